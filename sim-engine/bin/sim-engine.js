@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * sim-engine - Headless simulation runner
+ *
+ * Loads a world JSON (as produced by WorldState.export()), runs it for N turns
+ * and writes the turn summaries, history event log and final state to files.
+ *
+ * Usage:
+ *   sim-engine <world.json> [--turns 100] [--seed 1234] [--out ./sim-output] [--store ./sim-store] [--verbose]
+ *   sim-engine <world.json> --runs 200 [--turns 100] [--seed 1234] [--out ./sim-output]
+ *
+ * By default nothing outlives the process; --store persists the simulation state
+ * and history log to a directory (one JSON file per storage key).
+ *
+ * --runs switches to a Monte Carlo experiment: the world is run once per seed
+ * (seeds drawn from --seed) and experiment.json / experiment.csv hold the
+ * aggregated success rates, attribute drift and alignment/influence distributions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Compile the ES module sources on the fly (same sources the React app bundles). The preset is
+// resolved from this package, not the working directory, so the bin runs from anywhere
+require('@babel/register')({
+  presets: [[require.resolve('@babel/preset-env'), { targets: { node: 'current' } }]],
+  babelrc: false,
+  configFile: false,
+  only: [path.join(__dirname, '..', 'src')]
+});
+
+const USAGE = 'Usage: sim-engine <world.json> [--turns N] [--seed S] [--runs N] [--out DIR] [--store DIR] [--verbose]';
+
+function parseArgs(argv) {
+  const options = { turns: 10, seed: undefined, runs: null, out: 'sim-output', store: null, verbose: false, worldFile: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--turns':
+      case '-n':
+        options.turns = Number(argv[++i]);
+        break;
+      case '--seed':
+      case '-s':
+        options.seed = argv[++i];
+        break;
+      case '--runs':
+      case '-r':
+        options.runs = Number(argv[++i]);
+        break;
+      case '--out':
+      case '-o':
+        options.out = argv[++i];
+        break;
+      case '--store':
+        options.store = argv[++i];
+        break;
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.worldFile = arg;
+    }
+  }
+
+  // Numeric seeds stay numbers so they match seeds set from the UI
+  if (options.seed !== undefined && /^\d+$/.test(options.seed)) {
+    options.seed = Number(options.seed);
+  }
+
+  return options;
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// The simulation services report every save and turn; stdout is kept for the runner unless --verbose
+const quietLogger = { log: () => {}, info: () => {} };
+
+function runExperimentToFiles(worldData, options, log) {
+  const experiment = require('../src/application/use-cases/simulation/RunExperiment.js');
+
+  const result = experiment.default(worldData, {
+    runs: options.runs,
+    baseSeed: options.seed,
+    turns: options.turns,
+    logger: options.verbose ? console : quietLogger,
+    onRun: (index, run) => {
+      if (options.verbose) {
+        log(`Run ${index + 1}/${options.runs} (seed ${run.seed}): ${run.eventCount} events`);
+      }
+    }
+  });
+
+  fs.mkdirSync(options.out, { recursive: true });
+  writeJson(path.join(options.out, 'experiment.json'), result);
+  fs.writeFileSync(path.join(options.out, 'experiment.csv'), experiment.experimentToCSV(result));
+
+  log(`Ran ${result.seeds.length} seeds x ${result.turns} turns; results written to ${options.out}`);
+  return 0;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!options.worldFile) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (!Number.isInteger(options.turns) || options.turns < 0) {
+    console.error('--turns must be a non-negative integer');
+    return 1;
+  }
+
+  if (options.runs !== null && (!Number.isInteger(options.runs) || options.runs < 1)) {
+    console.error('--runs must be a positive integer');
+    return 1;
+  }
+
+  const { configureStorage } = require('../src/infrastructure/Persistance/StorageProvider.js');
+  const InMemoryStorage = require('../src/infrastructure/Persistance/InMemoryStorage.js').default;
+  const FileSystemStorageAdapter = require('../src/infrastructure/Persistance/FileSystemStorageAdapter.js').default;
+  await configureStorage(options.store
+    ? new FileSystemStorageAdapter({ directory: options.store, fs, path })
+    : new InMemoryStorage());
+
+  const runHeadless = require('../src/application/use-cases/simulation/RunHeadless.js').default;
+  const log = console.log;
+
+  try {
+    const worldData = JSON.parse(fs.readFileSync(options.worldFile, 'utf8'));
+
+    if (options.runs !== null) {
+      return runExperimentToFiles(worldData, options, log);
+    }
+
+    const result = runHeadless(worldData, {
+      turns: options.turns,
+      seed: options.seed,
+      logger: options.verbose ? console : quietLogger,
+      onTurn: (turn, summary) => {
+        if (options.verbose) {
+          log(`Turn ${turn}: ${summary.summary}`);
+        }
+      }
+    });
+
+    fs.mkdirSync(options.out, { recursive: true });
+    writeJson(path.join(options.out, 'turn-summaries.json'), result.turnSummaries);
+    writeJson(path.join(options.out, 'history-events.json'), result.events);
+    writeJson(path.join(options.out, 'final-state.json'), result.finalState);
+
+    log(`Ran ${result.turns} turns with seed ${result.seed}; ${result.events.length} history events written to ${options.out}`);
+    return 0;
+  } catch (error) {
+    console.error(`sim-engine: ${error.message}`);
+    return 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -30,7 +30,9 @@ class EditorStateManager extends EventEmitter {
         nodes: {},
         characters: {},
         interactions: {},
-        encounters: {}
+        encounters: {},
+        quests: {},
+        factions: {}
       }
     };
 
@@ -40,7 +42,9 @@ class EditorStateManager extends EventEmitter {
       NODES: 'nodes',
       CHARACTERS: 'characters',
       INTERACTIONS: 'interactions',
-      ENCOUNTERS: 'encounters'
+      ENCOUNTERS: 'encounters',
+      QUESTS: 'quests',
+      FACTIONS: 'factions'
     };
 
     // Bind methods to maintain context
@@ -385,7 +389,9 @@ class EditorStateManager extends EventEmitter {
         this.editorTypes.NODES,
         this.editorTypes.CHARACTERS,
         this.editorTypes.INTERACTIONS,
-        this.editorTypes.ENCOUNTERS
+        this.editorTypes.ENCOUNTERS,
+        this.editorTypes.QUESTS,
+        this.editorTypes.FACTIONS
       );
     }
 
@@ -411,7 +417,9 @@ class EditorStateManager extends EventEmitter {
         nodes: {},
         characters: {},
         interactions: {},
-        encounters: {}
+        encounters: {},
+        quests: {},
+        factions: {}
       }
     };
 
@@ -7,12 +7,46 @@
 
 import Encounter from '../../domain/entities/Encounter.js';
 import Interaction from '../../domain/entities/Interaction.js';
+import Character from '../../domain/entities/Character.js';
+import Attributes from '../../domain/value-objects/Attributes.js';
+import InteractionResolver from '../../domain/services/InteractionResolver.js';
+import { charactersAt } from '../../domain/services/TravelService.js';
+import { SimulationEventTypes } from '../../domain/events/SimulationEvents.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+
+// Participants are Character entities, plain character records or (once saved) bare ids
+const participantIdOf = participant => participant?.id ?? participant;
 
 class EncounterService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {SimulationEventBus} [options.eventBus] - Receives encounter started/resolved/ended events
+   * @param {Object} [options.rng] - Seeded rng for triggers, initiative, participant rolls and outcomes
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn, for the date effects are recorded at
+   */
+  constructor(options = {}) {
     this.encounters = new Map();
     this.activeEncounters = new Map();
     this.encounterHistory = [];
+    this.eventBus = options.eventBus || null;
+    this.rng = options.rng || defaultRandom;
+    this.daysPerTurn = options.daysPerTurn || 1;
+    // Participant rolls aren't announced; the encounter's own events are
+    this.resolver = new InteractionResolver({ rng: this.rng });
+  }
+
+  /**
+   * Publish an encounter lifecycle event when an event bus is attached
+   */
+  announce(type, instance, details) {
+    if (!this.eventBus) return;
+    this.eventBus.publish(type, {
+      encounterId: instance.encounterId,
+      instanceId: instance.id,
+      encounterName: instance.encounter.name,
+      ...details
+    });
   }
 
   /**
@@ -69,22 +103,29 @@ class EncounterService {
       throw new Error(`Encounter not found: ${encounterId}`);
     }
 
-    if (!encounter.canTrigger(context)) {
+    if (!encounter.canTrigger({ rng: this.rng, ...context })) {
       return null;
     }
 
+    return this.startEncounter(encounter, context);
+  }
+
+  /**
+   * Start an encounter whose trigger conditions have been checked
+   */
+  startEncounter(encounter, context = {}) {
     // Mark encounter as triggered
     encounter.markTriggered(context.currentTurn || 0);
 
-    // Create encounter instance
+    // Create encounter instance; the trigger count keeps ids unique and replays identical
     const encounterInstance = {
-      id: `instance_${Date.now()}_${encounter.id}`,
+      id: `instance_${encounter.id}_${encounter.timesTriggered}`,
       encounterId: encounter.id,
       encounter: encounter,
       context: context,
       startTurn: context.currentTurn || 0,
       status: 'active',
-      participants: context.participants || [],
+      participants: this.rollInitiative(encounter, context.participants || []),
       currentTurn: 0,
       maxTurns: encounter.turnBased.duration,
       outcome: null,
@@ -97,36 +138,114 @@ class EncounterService {
     const interactions = encounter.generateInteractions();
     encounterInstance.generatedInteractions = interactions;
 
+    this.announce(SimulationEventTypes.ENCOUNTER_STARTED, encounterInstance, {
+      turn: encounterInstance.startTurn,
+      nodeId: context.nodeId ?? null,
+      participantIds: encounterInstance.participants.map(participantIdOf)
+    });
+
     return encounterInstance;
   }
 
+  /**
+   * Order participants by the encounter's initiative
+   * 'fixed' keeps the given order, 'attribute' sorts by dexterity and 'random' by a d20 roll;
+   * ties keep the given order
+   */
+  rollInitiative(encounter, participants) {
+    if (encounter.turnBased.initiative === 'fixed') {
+      return [...participants];
+    }
+    return participants
+      .map((participant, index) => ({
+        participant,
+        index,
+        score: encounter.turnBased.initiative === 'attribute'
+          ? Attributes.getScore(participant?.attributes, 'dexterity')
+          : this.rng.nextInt(1, 20)
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(entry => entry.participant);
+  }
+
+  /**
+   * Runs the encounter phase of a simulation turn
+   * Each character at a node - not on the road and not already in an encounter - triggers
+   * the first encounter available to them there, joined by others present up to the
+   * encounter's participant slots. Then every running encounter plays a turn, and those
+   * that reach their duration resolve and apply their effects to the characters.
+   * @param {Object} worldState - { time, nodes, npcs }; npcs are replaced in place
+   * @param {number} [turn=worldState.time] - Turn being played
+   * @returns {Array<Object>} encounter_started, encounter_turn and encounter_completed results
+   */
+  advance(worldState, turn = worldState.time) {
+    const started = this.triggerAtNodes(worldState, turn);
+    return [...started, ...this.processTurn(turn, worldState)];
+  }
+
+  triggerAtNodes(worldState, turn) {
+    const engaged = new Set(this.getActiveEncounters().flatMap(instance => instance.participants.map(participantIdOf)));
+    const started = [];
+
+    worldState.nodes.forEach(node => {
+      const present = charactersAt(worldState.npcs, node.id);
+      present.forEach(character => {
+        if (engaged.has(character.id)) return;
+
+        const context = { currentTurn: turn, nodeId: node.id, character, rng: this.rng };
+        const [encounter] = this.getAvailableEncounters(node.id, context);
+        if (!encounter) return;
+
+        const party = [character, ...present.filter(other => other !== character && !engaged.has(other.id))]
+          .slice(0, Math.max(1, encounter.participants.length));
+        const instance = this.startEncounter(encounter, { currentTurn: turn, nodeId: node.id, character, participants: party });
+        party.forEach(member => engaged.add(member.id));
+
+        started.push({
+          type: 'encounter_started',
+          instanceId: instance.id,
+          encounterId: encounter.id,
+          encounterName: encounter.name,
+          nodeId: node.id,
+          turn,
+          participantIds: instance.participants.map(participantIdOf)
+        });
+      });
+    });
+
+    return started;
+  }
+
   /**
    * Process turn for active encounters
+   * Pass the world state to roll for its current characters and apply outcomes to them
    */
-  processTurn(currentTurn) {
+  processTurn(currentTurn, worldState = null) {
     const results = [];
 
     for (const [instanceId, instance] of this.activeEncounters.entries()) {
       if (instance.status !== 'active') continue;
 
-      // Advance encounter turn
+      // Advance encounter turn and play it
       instance.currentTurn++;
+      const turnResult = this.processEncounterTurn(instanceId, currentTurn, worldState);
 
-      // Check if encounter should end
+      // The last turn of the duration resolves the encounter
       if (instance.currentTurn >= instance.maxTurns) {
-        const outcome = this.resolveEncounter(instanceId);
+        const outcome = this.resolveEncounter(instanceId, worldState, currentTurn);
         results.push({
           type: 'encounter_completed',
           instanceId,
           encounterId: instance.encounterId,
-          outcome
+          encounterName: instance.encounter.name,
+          outcome,
+          successRate: instance.successRate,
+          participantIds: instance.participants.map(participantIdOf),
+          actions: turnResult ? turnResult.actions : [],
+          applied: instance.applied
         });
-      } else {
-        // Process encounter turn
-        const turnResult = this.processEncounterTurn(instanceId, currentTurn);
-        if (turnResult) {
-          results.push(turnResult);
-        }
+      } else if (turnResult) {
+        results.push(turnResult);
       }
     }
 
@@ -136,7 +255,7 @@ class EncounterService {
   /**
    * Process a single encounter turn
    */
-  processEncounterTurn(instanceId, globalTurn) {
+  processEncounterTurn(instanceId, globalTurn, worldState = null) {
     const instance = this.activeEncounters.get(instanceId);
     if (!instance || instance.status !== 'active') {
       return null;
@@ -152,23 +271,15 @@ class EncounterService {
       actions: []
     };
 
-    // Process participant actions based on sequencing
-    if (encounter.turnBased.sequencing === 'sequential') {
-      // Process participants in order
-      for (const participant of instance.participants) {
-        const action = this.processParticipantAction(instance, participant, globalTurn);
-        if (action) {
-          turnResult.actions.push(action);
-        }
-      }
-    } else {
-      // Process participants simultaneously
-      const actions = instance.participants.map(participant => 
-        this.processParticipantAction(instance, participant, globalTurn)
-      ).filter(action => action !== null);
-      
-      turnResult.actions.push(...actions);
-    }
+    // Sequential encounters hand the action to one participant per turn, in initiative
+    // order; in simultaneous ones everyone acts every turn
+    const actors = encounter.turnBased.sequencing === 'sequential' && instance.participants.length
+      ? [instance.participants[(instance.currentTurn - 1) % instance.participants.length]]
+      : instance.participants;
+    const actions = actors
+      .map(participant => this.processParticipantAction(instance, participant, globalTurn, worldState))
+      .filter(action => action !== null);
+    turnResult.actions.push(...actions);
 
     // Record turn in history
     instance.history.push(turnResult);
@@ -179,41 +290,97 @@ class EncounterService {
   /**
    * Process action for a single participant
    */
-  processParticipantAction(instance, participant, globalTurn) {
-    // This would integrate with character AI and decision making
-    // For now, return a basic action structure
+  // Rolls the encounter's check (Encounter.getCheck) through InteractionResolver.
+  // Only Character entities can roll; plain participant records sit the turn out
+  processParticipantAction(instance, participant, globalTurn, worldState = null) {
+    const character = this.findParticipant(participant, worldState);
+    if (!(character instanceof Character)) {
+      return null;
+    }
+
+    const resolution = this.resolver.resolve(character, instance.encounter.createActionInteraction(), 'attempt', globalTurn);
     return {
-      participantId: participant.id,
-      action: 'participate',
-      result: 'success',
+      participantId: character.id,
+      action: instance.encounter.type,
+      result: resolution.success ? 'success' : 'failure',
+      roll: resolution.roll ?? null,
+      dc: resolution.dc ?? null,
       effects: []
     };
   }
 
+  // The participant as it is now: characters are immutable, so look them up in the world by id
+  findParticipant(participant, worldState = null) {
+    if (!worldState) return participant;
+    const id = participantIdOf(participant);
+    return worldState.npcs.find(npc => npc?.id === id) || null;
+  }
+
   /**
    * Resolve encounter and determine outcome
+   * The share of successful rolls picks among 'success_rate' outcomes and decides whether
+   * rewards are paid. With a world state, the outcome's effects (and rewards) are applied
+   * to the participants there.
    */
-  resolveEncounter(instanceId) {
+  resolveEncounter(instanceId, worldState = null, currentTurn = undefined) {
     const instance = this.activeEncounters.get(instanceId);
     if (!instance) {
       throw new Error(`Encounter instance not found: ${instanceId}`);
     }
 
     const encounter = instance.encounter;
-    const outcome = encounter.resolveOutcome(instance.context);
+    const actions = instance.history.flatMap(turn => turn.actions);
+    const successRate = actions.length
+      ? actions.filter(action => action.result === 'success').length / actions.length
+      : null;
+    const endTurn = currentTurn ?? (instance.context.currentTurn || 0);
+    const outcome = encounter.resolveOutcome({ ...instance.context, currentTurn: endTurn, successRate, rng: this.rng });
 
     // Update instance
     instance.status = 'completed';
     instance.outcome = outcome;
-    instance.endTurn = instance.context.currentTurn || 0;
+    instance.successRate = successRate;
+    instance.endTurn = endTurn;
+    instance.applied = this.applyOutcome(instance, outcome, worldState);
 
     // Move to history
     this.encounterHistory.push(instance);
     this.activeEncounters.delete(instanceId);
 
+    this.announce(SimulationEventTypes.ENCOUNTER_RESOLVED, instance, {
+      outcome: outcome ?? null,
+      turn: instance.endTurn,
+      successRate,
+      participantIds: instance.participants.map(participantIdOf)
+    });
+
     return outcome;
   }
 
+  // Applies outcome effects, plus rewards when the encounter was won, to each participant
+  applyOutcome(instance, outcome, worldState) {
+    const encounter = instance.encounter;
+    const effects = [
+      ...(outcome?.effects || []),
+      ...(encounter.isSuccessful(instance.successRate) ? encounter.rewards : [])
+    ];
+    if (!worldState || !effects.length) {
+      return [];
+    }
+
+    const reason = `${encounter.name}: ${outcome?.description || 'resolved'}`;
+    const timestamp = dateOfTurn(instance.endTurn, this.daysPerTurn);
+    return instance.participants
+      .map(participant => {
+        const character = this.findParticipant(participant, worldState);
+        if (!(character instanceof Character)) return null;
+        const index = worldState.npcs.indexOf(character);
+        worldState.npcs[index] = character.withEncounterEffects(effects, { reason, timestamp });
+        return { participantId: character.id, effects };
+      })
+      .filter(Boolean);
+  }
+
   /**
    * Force end an encounter
    */
@@ -231,6 +398,8 @@ class EncounterService {
     this.encounterHistory.push(instance);
     this.activeEncounters.delete(instanceId);
 
+    this.announce(SimulationEventTypes.ENCOUNTER_ENDED, instance, { reason, turn: instance.endTurn });
+
     return true;
   }
 
@@ -253,7 +422,7 @@ class EncounterService {
 
     if (filters.participantId) {
       history = history.filter(instance => 
-        instance.participants.some(p => p.id === filters.participantId)
+        instance.participants.some(p => participantIdOf(p) === filters.participantId)
       );
     }
 
@@ -336,6 +505,47 @@ class EncounterService {
     return this.getAllEncounters().map(encounter => encounter.toJSON());
   }
 
+  /**
+   * Running encounters as plain records, participants by id, to keep in world state
+   */
+  saveActiveEncounters() {
+    return this.getActiveEncounters().map(instance => ({
+      id: instance.id,
+      encounterId: instance.encounterId,
+      nodeId: instance.context.nodeId ?? null,
+      startTurn: instance.startTurn,
+      currentTurn: instance.currentTurn,
+      maxTurns: instance.maxTurns,
+      participantIds: instance.participants.map(participantIdOf),
+      history: instance.history
+    }));
+  }
+
+  /**
+   * Resume encounters saved by saveActiveEncounters; load their encounters first
+   * Records whose encounter no longer exists are dropped
+   */
+  loadActiveEncounters(records = []) {
+    records.forEach(record => {
+      const encounter = this.getEncounter(record.encounterId);
+      if (!encounter) return;
+      this.activeEncounters.set(record.id, {
+        id: record.id,
+        encounterId: encounter.id,
+        encounter,
+        context: { currentTurn: record.startTurn, nodeId: record.nodeId },
+        startTurn: record.startTurn,
+        status: 'active',
+        participants: [...record.participantIds],
+        currentTurn: record.currentTurn,
+        maxTurns: record.maxTurns,
+        outcome: null,
+        history: [...(record.history || [])],
+        generatedInteractions: encounter.generateInteractions()
+      });
+    });
+  }
+
   /**
    * Get encounter statistics
    */
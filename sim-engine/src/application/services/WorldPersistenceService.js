@@ -9,24 +9,32 @@
 
 import { EventEmitter } from 'events';
 import WorldBuilder from '../../domain/services/WorldBuilder';
+import { getWorldRepository } from '../../infrastructure/Persistance/StorageProvider';
+import { WORLD_STORAGE_KEYS } from '../../infrastructure/Persistance/StorageWorldRepository';
+import { StorageQuotaError } from '../../infrastructure/Persistance/StorageErrors';
 
 class WorldPersistenceService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.worldRepository] - IWorldRepository to use instead of the configured storage
+   */
+  constructor(options = {}) {
     super();
     
-    this.storageKeys = {
-      WORLDS: 'worldHistorySimulator_worlds',
-      WORLD_PREFIX: 'worldHistorySimulator_world_',
-      NODES_PREFIX: 'worldHistorySimulator_nodes_',
-      CHARACTERS_PREFIX: 'worldHistorySimulator_characters_',
-      INTERACTIONS_PREFIX: 'worldHistorySimulator_interactions_',
-      ENCOUNTERS_PREFIX: 'worldHistorySimulator_encounters_',
-      METADATA: 'worldHistorySimulator_metadata'
-    };
+    this.worldRepository = options.worldRepository || null;
+    this.storageKeys = WORLD_STORAGE_KEYS;
 
     this.currentVersion = '1.0.0';
   }
 
+  /**
+   * Repository in use, resolved per call so storage configured at startup is honoured
+   * @returns {Object} IWorldRepository implementation
+   */
+  getRepository() {
+    return this.worldRepository || getWorldRepository();
+  }
+
   /**
    * Generate unique ID
    * @returns {string} Unique identifier
@@ -119,7 +127,7 @@ class WorldPersistenceService extends EventEmitter {
   }
 
   /**
-   * Save world data to localStorage (compatible with WorldBuilder)
+   * Save world data to storage (compatible with WorldBuilder)
    * @param {Object} worldData - World data to save (can be WorldBuilder config)
    * @returns {Promise<Object>} Saved world data with generated ID
    */
@@ -148,49 +156,28 @@ class WorldPersistenceService extends EventEmitter {
         version: this.currentVersion
       };
 
-      // Get existing worlds list
-      const existingWorlds = await this.getAllWorlds();
-      
-      // Update or add world to list
-      const worldIndex = existingWorlds.findIndex(w => w.id === worldToSave.id);
-      if (worldIndex >= 0) {
-        existingWorlds[worldIndex] = {
-          id: worldToSave.id,
-          name: worldToSave.name,
-          description: worldToSave.description,
-          lastModified: worldToSave.lastModified,
-          version: worldToSave.version
-        };
-      } else {
-        existingWorlds.push({
-          id: worldToSave.id,
-          name: worldToSave.name,
-          description: worldToSave.description,
-          lastModified: worldToSave.lastModified,
-          version: worldToSave.version
-        });
-      }
-
-      // Save world list
-      localStorage.setItem(this.storageKeys.WORLDS, JSON.stringify(existingWorlds));
-      
-      // Save full world data
-      localStorage.setItem(
-        `${this.storageKeys.WORLD_PREFIX}${worldToSave.id}`,
-        JSON.stringify(worldToSave)
-      );
+      // Save full world data and its entry in the worlds list
+      this.getRepository().saveWorldRecord(worldToSave, {
+        id: worldToSave.id,
+        name: worldToSave.name,
+        description: worldToSave.description,
+        lastModified: worldToSave.lastModified,
+        version: worldToSave.version
+      });
+      // Backends that commit in the background report quota failures here
+      await this.getRepository().flush();
 
       this.emit('worldSaved', worldToSave);
       return worldToSave;
 
     } catch (error) {
-      this.emit('saveError', { type: 'world', error: error.message });
+      this.emit('saveError', { type: 'world', error: error.message, quotaExceeded: error instanceof StorageQuotaError });
       throw error;
     }
   }
 
   /**
-   * Load world data from localStorage
+   * Load world data from storage
    * @param {string} worldId - ID of world to load
    * @returns {Promise<Object>} World data
    */
@@ -200,13 +187,11 @@ class WorldPersistenceService extends EventEmitter {
         throw new Error('World ID is required');
       }
 
-      const worldData = localStorage.getItem(`${this.storageKeys.WORLD_PREFIX}${worldId}`);
+      const parsedWorld = this.getRepository().findWorldById(worldId);
       
-      if (!worldData) {
+      if (!parsedWorld) {
         throw new Error(`World with ID ${worldId} not found`);
       }
-
-      const parsedWorld = JSON.parse(worldData);
       
       // Validate loaded data
       const validation = this.validateWorldData(parsedWorld);
@@ -229,8 +214,7 @@ class WorldPersistenceService extends EventEmitter {
    */
   async getAllWorlds() {
     try {
-      const worldsData = localStorage.getItem(this.storageKeys.WORLDS);
-      return worldsData ? JSON.parse(worldsData) : [];
+      return this.getRepository().listWorlds();
     } catch (error) {
       console.error('Error loading worlds list:', error);
       return [];
@@ -248,19 +232,9 @@ class WorldPersistenceService extends EventEmitter {
         throw new Error('World ID is required');
       }
 
-      // Remove from worlds list
-      const existingWorlds = await this.getAllWorlds();
-      const updatedWorlds = existingWorlds.filter(w => w.id !== worldId);
-      localStorage.setItem(this.storageKeys.WORLDS, JSON.stringify(updatedWorlds));
-
-      // Remove world data
-      localStorage.removeItem(`${this.storageKeys.WORLD_PREFIX}${worldId}`);
-      
-      // Remove associated data
-      localStorage.removeItem(`${this.storageKeys.NODES_PREFIX}${worldId}`);
-      localStorage.removeItem(`${this.storageKeys.CHARACTERS_PREFIX}${worldId}`);
-      localStorage.removeItem(`${this.storageKeys.INTERACTIONS_PREFIX}${worldId}`);
-      localStorage.removeItem(`${this.storageKeys.ENCOUNTERS_PREFIX}${worldId}`);
+      // Remove from worlds list along with the world's nodes, characters, interactions and encounters
+      this.getRepository().deleteWorldRecord(worldId);
+      await this.getRepository().flush();
 
       this.emit('worldDeleted', worldId);
 
@@ -308,16 +282,14 @@ class WorldPersistenceService extends EventEmitter {
       }
 
       // Save nodes back to storage
-      localStorage.setItem(
-        `${this.storageKeys.NODES_PREFIX}${worldId}`,
-        JSON.stringify(existingNodes)
-      );
+      this.getRepository().saveWorldNodes(worldId, existingNodes);
+      await this.getRepository().flush();
 
       this.emit('nodeSaved', { worldId, node: nodeToSave });
       return nodeToSave;
 
     } catch (error) {
-      this.emit('saveError', { type: 'node', worldId, error: error.message });
+      this.emit('saveError', { type: 'node', worldId, error: error.message, quotaExceeded: error instanceof StorageQuotaError });
       throw error;
     }
   }
@@ -333,8 +305,7 @@ class WorldPersistenceService extends EventEmitter {
         throw new Error('World ID is required');
       }
 
-      const nodesData = localStorage.getItem(`${this.storageKeys.NODES_PREFIX}${worldId}`);
-      return nodesData ? JSON.parse(nodesData) : [];
+      return this.getRepository().getWorldNodes(worldId);
 
     } catch (error) {
       console.error('Error loading nodes:', error);
@@ -357,10 +328,8 @@ class WorldPersistenceService extends EventEmitter {
       const existingNodes = await this.getWorldNodes(worldId);
       const updatedNodes = existingNodes.filter(n => n.id !== nodeId);
       
-      localStorage.setItem(
-        `${this.storageKeys.NODES_PREFIX}${worldId}`,
-        JSON.stringify(updatedNodes)
-      );
+      this.getRepository().saveWorldNodes(worldId, updatedNodes);
+      await this.getRepository().flush();
 
       this.emit('nodeDeleted', { worldId, nodeId });
 
@@ -450,38 +419,40 @@ class WorldPersistenceService extends EventEmitter {
 
   /**
    * Get storage usage statistics
-   * @returns {Object} Storage usage information
+   * Usage and quota come from the storage backend (navigator.storage.estimate for IndexedDB);
+   * quota is null when the backend has no fixed limit
+   * @returns {Promise<Object>} Storage usage information
    */
-  getStorageStats() {
+  async getStorageStats() {
     try {
-      let totalSize = 0;
-      let worldCount = 0;
-      let nodeCount = 0;
-
-      for (let key in localStorage) {
-        if (key.startsWith('worldHistorySimulator_')) {
-          const value = localStorage.getItem(key);
-          totalSize += value ? value.length : 0;
-          
-          if (key.startsWith(this.storageKeys.WORLD_PREFIX)) {
-            worldCount++;
-          } else if (key.startsWith(this.storageKeys.NODES_PREFIX)) {
-            const nodes = JSON.parse(value || '[]');
-            nodeCount += nodes.length;
-          }
-        }
-      }
+      const repository = this.getRepository();
+      const worlds = repository.listWorlds();
+      const nodeCount = worlds.reduce((count, world) => count + repository.getWorldNodes(world.id).length, 0);
+      const { usage, quota } = await repository.getUsage();
 
       return {
-        totalSize,
-        worldCount,
+        totalSize: usage,
+        quota,
+        available: quota !== null ? Math.max(0, quota - usage) : null,
+        percentUsed: quota ? Math.round((usage / quota) * 10000) / 100 : null,
+        worldCount: worlds.length,
         nodeCount,
-        formattedSize: this.formatBytes(totalSize)
+        formattedSize: this.formatBytes(usage),
+        formattedQuota: quota !== null ? this.formatBytes(quota) : null
       };
 
     } catch (error) {
       console.error('Error calculating storage stats:', error);
-      return { totalSize: 0, worldCount: 0, nodeCount: 0, formattedSize: '0 B' };
+      return {
+        totalSize: 0,
+        quota: null,
+        available: null,
+        percentUsed: null,
+        worldCount: 0,
+        nodeCount: 0,
+        formattedSize: '0 B',
+        formattedQuota: null
+      };
     }
   }
 
@@ -504,15 +475,8 @@ class WorldPersistenceService extends EventEmitter {
    */
   async clearAllData() {
     try {
-      const keysToRemove = [];
-      
-      for (let key in localStorage) {
-        if (key.startsWith('worldHistorySimulator_')) {
-          keysToRemove.push(key);
-        }
-      }
-
-      keysToRemove.forEach(key => localStorage.removeItem(key));
+      this.getRepository().clearLibrary();
+      await this.getRepository().flush();
       
       this.emit('allDataCleared');
 
@@ -0,0 +1,151 @@
+// src/application/services/__tests__/EncounterService.test.js
+
+import EncounterService from '../EncounterService';
+import Encounter from '../../../domain/entities/Encounter';
+import SimulationEventBus, { SimulationEventTypes } from '../../../domain/events/SimulationEvents';
+import runTick from '../../use-cases/simulation/RunTick';
+import { SimulationService } from '../../use-cases/services/SimulationService';
+import { createRandom } from '../../../shared/utils/RandomUtils';
+import InMemoryStorage from '../../../infrastructure/Persistance/InMemoryStorage';
+import createHistoryRepository from '../../../infrastructure/Persistance/StorageHistoryRepository';
+import { lucky, unlucky, character, buildWorld } from '../../../test/fixtures';
+
+// Fighters in the cave, quick or slow by dexterity
+const fighter = (id, dexterity, extra = {}) => character(id, 'cave', {
+  baseAttributes: { strength: 12, dexterity, constitution: 10, intelligence: 10, wisdom: 10, charisma: 10 },
+  ...extra
+});
+
+const trollFight = (overrides = {}) => ({
+  id: 'troll',
+  name: 'Troll Ambush',
+  type: 'combat',
+  difficulty: 'medium',
+  participants: [{ role: 'fighter' }, { role: 'fighter' }],
+  outcomes: [
+    { id: 'victory', description: 'The troll flees', condition: { type: 'success_rate', min: 0.5 }, effects: [{ type: 'health', value: -10 }] },
+    { id: 'defeat', description: 'The troll wins', condition: { type: 'success_rate', max: 0.49 }, effects: [{ type: 'health', value: -40 }] }
+  ],
+  rewards: [{ type: 'experience', value: 100 }, { type: 'prestige', target: 'honor', value: 5 }],
+  ...overrides
+});
+
+const caveWorld = (npcs, encounters = [trollFight()]) => buildWorld({
+  nodes: [{ id: 'cave', name: 'Cave' }],
+  npcs,
+  encounters
+});
+
+describe('EncounterService', () => {
+  test('should order participants by initiative and give instances replayable ids', () => {
+    const service = new EncounterService({ rng: createRandom(1) });
+    const slow = fighter('slow', 8);
+    const quick = fighter('quick', 16);
+
+    const byAttribute = service.createEncounter(trollFight({ id: 'a', turnBased: { initiative: 'attribute' } }));
+    const fixed = service.createEncounter(trollFight({ id: 'f', turnBased: { initiative: 'fixed' } }));
+
+    expect(service.triggerEncounter(byAttribute.id, { participants: [slow, quick] }).participants).toEqual([quick, slow]);
+    const instance = service.triggerEncounter(fixed.id, { participants: [slow, quick] });
+    expect(instance.participants).toEqual([slow, quick]);
+    expect(instance.id).toBe('instance_f_1');
+  });
+
+  test('should roll participant actions against the encounter check', () => {
+    const encounter = new Encounter(trollFight());
+    expect(encounter.getCheck()).toEqual({ attr: 'strength', dc: 15 });
+
+    const hero = fighter('hero', 10);
+    const win = new EncounterService({ rng: lucky });
+    win.createEncounter(trollFight());
+    const winning = win.triggerEncounter('troll', { participants: [hero] });
+    expect(win.processParticipantAction(winning, hero, 0)).toMatchObject({ participantId: 'hero', action: 'combat', result: 'success', roll: 21, dc: 15 });
+
+    const lose = new EncounterService({ rng: unlucky });
+    lose.createEncounter(trollFight());
+    const instance = lose.triggerEncounter('troll', { participants: [hero] });
+    expect(lose.processParticipantAction(instance, hero, 0)).toMatchObject({ result: 'failure', roll: 2 });
+    expect(lose.processParticipantAction(instance, { id: 'plain-record' }, 0)).toBeNull();
+  });
+
+  test('should let everyone act in simultaneous encounters and one at a time in sequential ones', () => {
+    const world = caveWorld([fighter('a', 14), fighter('b', 10)]);
+    const service = new EncounterService({ rng: lucky });
+    service.createEncounter(trollFight({ id: 'sim', turnBased: { duration: 3, initiative: 'attribute' } }));
+    service.createEncounter(trollFight({ id: 'seq', turnBased: { duration: 3, initiative: 'attribute', sequencing: 'sequential' } }));
+    const sim = service.triggerEncounter('sim', { participants: world.npcs });
+    const seq = service.triggerEncounter('seq', { participants: world.npcs });
+
+    [1, 2, 3].forEach(turn => service.processTurn(turn, world));
+
+    expect(sim.history.map(turn => turn.actions.map(action => action.participantId))).toEqual([['a', 'b'], ['a', 'b'], ['a', 'b']]);
+    expect(seq.history.map(turn => turn.actions.map(action => action.participantId))).toEqual([['a'], ['b'], ['a']]);
+  });
+
+  test('should apply outcome effects to participants, and rewards only when they won', () => {
+    const won = caveWorld([fighter('a', 10, { health: 80 })]);
+    const winning = new EncounterService({ rng: lucky });
+    winning.createEncounter(trollFight());
+    winning.triggerEncounter('troll', { participants: won.npcs, currentTurn: 0 });
+    const [completed] = winning.processTurn(0, won);
+
+    expect(completed).toMatchObject({ type: 'encounter_completed', successRate: 1, outcome: { id: 'victory' } });
+    expect(won.npcs[0].health).toBe(70);
+    expect(won.npcs[0].experience).toBe(100);
+    expect(won.npcs[0].prestige.getValue('honor')).toBeGreaterThan(fighter('x', 10).prestige.getValue('honor'));
+
+    const lost = caveWorld([fighter('a', 10, { health: 80 })]);
+    const losing = new EncounterService({ rng: unlucky });
+    losing.createEncounter(trollFight());
+    losing.triggerEncounter('troll', { participants: lost.npcs, currentTurn: 0 });
+    losing.processTurn(0, lost);
+
+    expect(lost.npcs[0].health).toBe(40);
+    expect(lost.npcs[0].experience).toBe(0);
+  });
+
+  test('should trigger encounters where characters are and resume them across ticks', () => {
+    const eventBus = new SimulationEventBus();
+    const resolved = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.ENCOUNTER_RESOLVED, resolved);
+    const world = caveWorld(
+      [fighter('a', 14, { energy: 5 }), fighter('b', 10, { energy: 5 }), fighter('c', 12, { energy: 5 })],
+      [new Encounter(trollFight({ turnBased: { duration: 2 }, cooldown: 10 })).toJSON()]
+    );
+
+    runTick(world, { rng: lucky, eventBus, historyRepository: createHistoryRepository(new InMemoryStorage()) });
+
+    expect(world.encounterResults.map(result => result.type)).toEqual(['encounter_started', 'encounter_turn']);
+    expect(world.encounterResults[0].participantIds).toEqual(['a', 'b']);
+    expect(world.activeEncounters).toHaveLength(1);
+    expect(world.encounters[0].timesTriggered).toBe(1);
+
+    runTick(world, { rng: lucky, eventBus });
+
+    expect(world.encounterResults.map(result => result.type)).toEqual(['encounter_completed']);
+    expect(world.activeEncounters).toEqual([]);
+    expect(resolved).toHaveBeenCalledTimes(1);
+    expect(world.npcs.map(npc => npc.experience)).toEqual([100, 100, 0]);
+  });
+
+  test('should report started and resolved encounters in the turn summary', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = new SimulationService({ historyRepository: createHistoryRepository(new InMemoryStorage()) });
+    const world = caveWorld([fighter('a', 10, { energy: 5 })], [new Encounter(trollFight()).toJSON()]);
+    const previous = service.deepCloneState(world);
+
+    runTick(world, { rng: lucky, eventBus: service.eventBus });
+    const summary = service.generateTurnSummary(previous, world, 0);
+
+    expect(summary.events.map(event => event.type)).toEqual(expect.arrayContaining(['encounter_started', 'encounter_resolved']));
+    expect(summary.events.find(event => event.type === 'encounter_resolved')).toMatchObject({
+      encounterName: 'Troll Ambush',
+      outcome: 'The troll flees',
+      participantIds: ['a'],
+      effectsApplied: 1
+    });
+    expect(summary.changes.encountersResolved).toBe(1);
+    expect(summary.summary).toContain('1 encounter resolved');
+    logSpy.mockRestore();
+  });
+});
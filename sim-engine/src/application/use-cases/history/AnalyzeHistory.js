@@ -1,48 +1,65 @@
 // src/application/use-cases/history/AnalyzeHistory.js
 
-import HistoryGenerator from '../../../domain/services/HistoryGenerator.js';
+import { parseHistoryQuery } from '../../../domain/services/HistoryQuery.js';
 
-const analyzeHistory = (criteria = {}) => {
-  const { timeRange, characterId, interactionType, minSignificance = 0, limit = 10 } = criteria;
-  const events = HistoryGenerator.getEvents();
+// Counted over every match, for the timeline charts
+export const DEFAULT_AGGREGATIONS = ['turn', 'node', 'outcome'];
 
-  // Filter and sort events
-  const filteredEvents = events.filter(event => {
-    const inTimeRange = !timeRange || (event.timestamp >= timeRange.start && event.timestamp <= timeRange.end);
-    const matchesCharacter = !characterId || event.characterId === characterId;
-    const matchesType = !interactionType || event.type === interactionType;
-    const aboveSignificance = event.significance >= minSignificance;
-    return inTimeRange && matchesCharacter && matchesType && aboveSignificance;
-  }).sort((a, b) => b.timestamp - a.timestamp);  // Latest first
+const LATEST_FIRST = [{ field: 'turn', descending: true }];
 
-  // Limit results
-  const limitedEvents = filteredEvents.slice(0, limit);
+// The older criteria fields, as query terms
+const criteriaTerms = ({ timeRange, characterId, interactionType, minSignificance = 0 }) => [
+  timeRange && { op: 'range', field: 'turn', start: timeRange.start ?? -Infinity, end: timeRange.end ?? Infinity },
+  characterId && { op: 'match', field: 'character', value: String(characterId).toLowerCase() },
+  interactionType && { op: 'match', field: 'type', value: String(interactionType).toLowerCase() },
+  minSignificance > 0 && { op: 'range', field: 'significance', start: minSignificance, end: Infinity }
+].filter(Boolean);
 
-  // Generate summary (simple for MVP)
+/**
+ * Queries the history and summarises the matches
+ * @param {Object} historyRepository - IHistoryRepository implementation
+ * @param {Object} [criteria]
+ * @param {string} [criteria.query] - HistoryQuery text, e.g. `type:birth AND turn:10..20 ORDER BY significance DESC`
+ * @param {number} [criteria.limit=10] - Events returned when the query has no LIMIT
+ * @param {Array<string>} [criteria.aggregate] - Fields to count the matches by (DEFAULT_AGGREGATIONS)
+ * @param {Object} [criteria.timeRange] - { start, end } turns; ANDed with the query, as are
+ *   characterId, interactionType (an event type) and minSignificance
+ * @returns {{events: Array<Object>, total: number, summary: Object, aggregations: Object, narrative: string}}
+ * @throws {HistoryQueryError} When the query does not parse
+ */
+const analyzeHistory = (historyRepository, criteria = {}) => {
+  const { query = '', limit = 10, aggregate = DEFAULT_AGGREGATIONS } = criteria;
+  const parsed = parseHistoryQuery(query);
+  const terms = [parsed.where, ...criteriaTerms(criteria)].filter(Boolean);
+
+  const { events, total, aggregations } = historyRepository.searchEvents({
+    where: terms.length > 1 ? { op: 'and', terms } : terms[0] || null,
+    orderBy: parsed.orderBy.length ? parsed.orderBy : LATEST_FIRST,
+    limit: parsed.limit ?? limit
+  }, { aggregate: [...new Set([...aggregate, 'character', 'significance'])] });
+
+  // Significance is counted per value, which is enough for the mean and the share above 0.5
+  const significances = aggregations.significance;
   const summary = {
-    totalEvents: filteredEvents.length,
-    significantEvents: filteredEvents.filter(e => e.significance > 0.5).length,
-    topCharacters: this.getTopCharacters(filteredEvents),
-    averageSignificance: filteredEvents.reduce((sum, e) => sum + e.significance, 0) / filteredEvents.length || 0,
+    totalEvents: total,
+    significantEvents: significances.filter(({ key }) => key > 0.5).reduce((sum, { count }) => sum + count, 0),
+    topCharacters: analyzeHistory.getTopCharacters(aggregations.character),
+    averageSignificance: significances.reduce((sum, { key, count }) => sum + key * count, 0) / total || 0,
   };
 
-  // Generate narrative (basic concatenation)
-  const narrative = this.generateNarrative(limitedEvents);
-
-  return { events: limitedEvents, summary, narrative };
+  return {
+    events,
+    total,
+    summary,
+    aggregations: Object.fromEntries(aggregate.map(by => [by, aggregations[by]])),
+    narrative: analyzeHistory.generateNarrative(events)
+  };
 };
 
-// Get top characters by event count (reused from old data analysis concept)
-analyzeHistory.getTopCharacters = (events) => {
-  const characterCounts = {};
-  events.forEach(event => {
-    characterCounts[event.characterId] = (characterCounts[event.characterId] || 0) + 1;
-  });
-  return Object.entries(characterCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3)
-    .map(([id, count]) => ({ id, count }));
-};
+// Top characters by event count, from the per-character counts
+analyzeHistory.getTopCharacters = (counts = []) => counts
+  .slice(0, 3)
+  .map(({ key, count }) => ({ id: key, count }));
 
 // Generate a narrative from events (quantum-inspired weighting by coherence)
 analyzeHistory.generateNarrative = (events) => {
@@ -50,11 +67,13 @@ analyzeHistory.generateNarrative = (events) => {
 
   return events
     .map(event => {
+      if (!event.interactionName) return event.description;
       const weight = event.significance * (event.outcome === 'positive' ? 1.5 : 0.5);  // Positive events emphasized
       const descriptor = weight > 1 ? 'notably' : weight > 0.5 ? 'moderately' : 'slightly';
-      return `${event.characterName} ${descriptor} ${event.outcome === 'positive' ? 'succeeded' : 'failed'} in ${event.interactionName} at ${new Date(event.timestamp).toLocaleDateString()}.`;
+      return `${event.characterName} ${descriptor} ${event.outcome === 'positive' ? 'succeeded' : 'failed'} in ${event.interactionName} in turn ${event.timestamp}.`;
     })
+    .filter(Boolean)
     .join(' ');
 };
 
-export default analyzeHistory;
\ No newline at end of file
+export default analyzeHistory;
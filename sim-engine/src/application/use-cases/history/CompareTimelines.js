@@ -0,0 +1,141 @@
+// src/application/use-cases/history/CompareTimelines.js
+
+// Normalize whatever was passed in (a Timeline from TimelineManager, a SimulationService,
+// or a plain { name, state, events } object) into serialized state plus history events
+const toTimelineView = (timeline, fallbackName) => {
+  if (!timeline || typeof timeline !== 'object') {
+    throw new Error('compareTimelines expects two timelines');
+  }
+
+  const service = timeline.service || (typeof timeline.serializeState === 'function' ? timeline : null);
+  if (service) {
+    return {
+      name: timeline.name || fallbackName,
+      forkTurn: timeline.forkTurn ?? null,
+      state: JSON.parse(JSON.stringify(service.serializeState() || {})),
+      events: service.getHistoryRepository().findEvents()
+    };
+  }
+
+  return {
+    name: timeline.name || fallbackName,
+    forkTurn: timeline.forkTurn ?? null,
+    state: timeline.state || {},
+    events: timeline.events || []
+  };
+};
+
+const compareNumbers = (a, b) => ({
+  a: a ?? null,
+  b: b ?? null,
+  delta: typeof a === 'number' && typeof b === 'number' ? b - a : null
+});
+
+// Compare two { id: number } maps such as Influence/Prestige/Alignment values
+const compareValueMaps = (a = {}, b = {}) => Object.fromEntries(
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].map(key => [key, compareNumbers(a[key], b[key])])
+);
+
+const countBy = (items, getKey) => items.reduce((counts, item) => {
+  const key = getKey(item);
+  counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+const presence = (a, b) => (a && b ? 'both' : a ? 'a' : 'b');
+
+const compareCharacters = (viewA, viewB) => {
+  const npcsA = new Map((viewA.state.npcs || []).map(npc => [npc.id, npc]));
+  const npcsB = new Map((viewB.state.npcs || []).map(npc => [npc.id, npc]));
+  const eventsA = countBy(viewA.events, event => event.characterId);
+  const eventsB = countBy(viewB.events, event => event.characterId);
+
+  return [...new Set([...npcsA.keys(), ...npcsB.keys()])].map(id => {
+    const a = npcsA.get(id);
+    const b = npcsB.get(id);
+    const changedFields = a && b
+      ? [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+      : [];
+
+    return {
+      id,
+      name: (a || b).name,
+      presentIn: presence(a, b),
+      diverged: !a || !b || changedFields.length > 0 || (eventsA[id] || 0) !== (eventsB[id] || 0),
+      changedFields,
+      influence: compareValueMaps(a?.influence?.values, b?.influence?.values),
+      prestige: compareValueMaps(a?.prestige?.values, b?.prestige?.values),
+      alignment: compareValueMaps(a?.alignment?.values, b?.alignment?.values),
+      location: { a: a?.currentNodeId ?? null, b: b?.currentNodeId ?? null },
+      events: compareNumbers(eventsA[id] || 0, eventsB[id] || 0)
+    };
+  });
+};
+
+// Population is the number of characters currently at the node
+const compareNodes = (viewA, viewB) => {
+  const nodesA = new Map((viewA.state.nodes || []).map(node => [node.id, node]));
+  const nodesB = new Map((viewB.state.nodes || []).map(node => [node.id, node]));
+  const populationA = countBy(viewA.state.npcs || [], npc => npc.currentNodeId);
+  const populationB = countBy(viewB.state.npcs || [], npc => npc.currentNodeId);
+  const eventsA = countBy(viewA.events, event => event.location);
+  const eventsB = countBy(viewB.events, event => event.location);
+
+  return [...new Set([...nodesA.keys(), ...nodesB.keys()])].map(id => {
+    const a = nodesA.get(id);
+    const b = nodesB.get(id);
+    return {
+      id,
+      name: (a || b).name,
+      presentIn: presence(a, b),
+      population: compareNumbers(a ? populationA[id] || 0 : null, b ? populationB[id] || 0 : null),
+      events: compareNumbers(eventsA[id] || 0, eventsB[id] || 0)
+    };
+  });
+};
+
+const compareEvents = (viewA, viewB) => {
+  const idsA = new Set(viewA.events.map(event => event.id));
+  const idsB = new Set(viewB.events.map(event => event.id));
+  const byTypeA = countBy(viewA.events, event => event.type);
+  const byTypeB = countBy(viewB.events, event => event.type);
+  const onlyA = viewA.events.filter(event => !idsB.has(event.id));
+  const onlyB = viewB.events.filter(event => !idsA.has(event.id));
+  const divergent = [...onlyA, ...onlyB].map(event => event.timestamp).filter(turn => typeof turn === 'number');
+
+  return {
+    total: compareNumbers(viewA.events.length, viewB.events.length),
+    shared: viewA.events.length - onlyA.length,
+    onlyInA: onlyA.length,
+    onlyInB: onlyB.length,
+    byType: Object.fromEntries(
+      [...new Set([...Object.keys(byTypeA), ...Object.keys(byTypeB)])]
+        .map(type => [type, compareNumbers(byTypeA[type] || 0, byTypeB[type] || 0)])
+    ),
+    firstDivergentTurn: divergent.length ? Math.min(...divergent) : null
+  };
+};
+
+/**
+ * Compares two timelines of the same world, e.g. the main run and a fork from TimelineManager
+ * @param {Object} a - Timeline, SimulationService or { name, state, events }
+ * @param {Object} b - Timeline, SimulationService or { name, state, events }
+ * @returns {Object} Per-character, per-node and event-count differences (deltas are b - a)
+ */
+const compareTimelines = (a, b) => {
+  const viewA = toTimelineView(a, 'A');
+  const viewB = toTimelineView(b, 'B');
+  const characters = compareCharacters(viewA, viewB);
+
+  return {
+    a: { name: viewA.name, turn: viewA.state.time ?? null, forkTurn: viewA.forkTurn },
+    b: { name: viewB.name, turn: viewB.state.time ?? null, forkTurn: viewB.forkTurn },
+    characters,
+    divergedCharacters: characters.filter(character => character.diverged).map(character => character.id),
+    nodes: compareNodes(viewA, viewB),
+    events: compareEvents(viewA, viewB)
+  };
+};
+
+export default compareTimelines;
@@ -0,0 +1,23 @@
+// src/application/use-cases/history/GenerateBiography.js
+
+import BiographyService from '../../../domain/services/BiographyService.js';
+
+/**
+ * Tells a character's life: the chronological record and a biography in prose
+ * @param {Object} character - A Character, or a deceased record
+ * @param {Array<Object>} [events] - History events about the character
+ * @param {Object} context
+ * @param {Object} context.narrativeService - INarrativeService implementation that writes the text
+ * @param {Object} [context.world] - World the character lives in; its time ends the series
+ * @param {Object} [context.grammar] - Narrative grammar rules over the world's
+ * @param {Object} [options] - BiographyService options (daysPerTurn, minChange)
+ * @returns {Promise<Object>} BiographyService.lifeRecord plus `text`
+ */
+const generateBiography = async (character, events = [], context = {}, options = {}) => {
+  const { narrativeService, world, grammar } = context;
+  const record = new BiographyService(options).lifeRecord(character, events, { now: world?.time });
+  const text = await narrativeService.writeBiography(character, events, { world, grammar });
+  return { ...record, text };
+};
+
+export default generateBiography;
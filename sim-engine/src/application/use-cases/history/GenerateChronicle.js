@@ -0,0 +1,40 @@
+// src/application/use-cases/history/GenerateChronicle.js
+
+import ChronicleGenerator from '../../../domain/services/ChronicleGenerator.js';
+import ChronicleRenderer from '../../../domain/services/ChronicleRenderer.js';
+
+/**
+ * Tells a history event log as a chronicle of eras, in Markdown and HTML
+ * @param {Array<Object>} events - History events (IHistoryRepository.findEvents)
+ * @param {Object} [worldState] - World the events happened in, for names, roles and pronouns
+ * @param {Object} [options] - ChronicleGenerator options (eraLength, turningPoint, minSignificance,
+ *   eventsPerChapter, minArcEvents, ...) and ChronicleRenderer ones (seed, title)
+ * @returns {Object} { title, start, end, eras, arcs, markdown, html }; eras and arcs are
+ *   summaries, with event counts rather than the events
+ */
+const generateChronicle = (events = [], worldState = {}, options = {}) => {
+  const chronicle = new ChronicleGenerator(options).generate(events, worldState || {});
+  const renderer = new ChronicleRenderer(options);
+  const document = renderer.compose(chronicle);
+
+  return {
+    title: document.title,
+    start: chronicle.start,
+    end: chronicle.end,
+    eras: chronicle.eras.map((era, index) => ({
+      index: era.index,
+      title: document.chapters[index].title,
+      start: era.start,
+      end: era.end,
+      events: era.total,
+      openingEventId: era.opening?.id || null
+    })),
+    arcs: chronicle.arcs.map(({ id, kind, subjectId, name, events: arcEvents, significance, start, end }) => ({
+      id, kind, subjectId, name, events: arcEvents.length, significance, start, end
+    })),
+    markdown: renderer.toMarkdown(document),
+    html: renderer.toHTML(document)
+  };
+};
+
+export default generateChronicle;
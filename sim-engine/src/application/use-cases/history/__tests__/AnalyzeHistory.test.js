@@ -0,0 +1,33 @@
+// src/application/use-cases/history/__tests__/AnalyzeHistory.test.js
+
+import analyzeHistory from '../AnalyzeHistory.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+
+const events = [
+  { id: 'e1', timestamp: 90, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'keep', outcome: 'positive', significance: 0.9, description: 'Aria won the duel.' },
+  { id: 'e2', timestamp: 120, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'ford', outcome: 'negative', significance: 0.4, description: 'Aria lost a skirmish.' },
+  { id: 'e3', timestamp: 150, type: 'combat', characterId: 'bren', characterName: 'Bren', location: 'keep', outcome: 'positive', significance: 0.7, description: 'Bren held the gate.' },
+  { id: 'e4', timestamp: 180, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'keep', outcome: 'positive', significance: 0.8, description: 'Aria broke the siege.' },
+  { id: 'e5', timestamp: 180, type: 'birth', characterId: 'cai', characterName: 'Cai', location: 'ford', significance: 0.8, description: 'Cai was born.' }
+];
+
+describe('analyzeHistory', () => {
+  test('should analyze the history with counts per turn, node and outcome', () => {
+    const repository = createHistoryRepository(new InMemoryStorage());
+    events.forEach(event => repository.saveEvent(event));
+
+    const analysis = analyzeHistory(repository, { query: 'type:combat', limit: 2 });
+
+    expect(analysis.events.map(event => event.id)).toEqual(['e4', 'e3']);
+    expect(analysis.summary).toMatchObject({ totalEvents: 4, significantEvents: 3, topCharacters: [{ id: 'aria', count: 3 }, { id: 'bren', count: 1 }] });
+    expect(analysis.summary.averageSignificance).toBeCloseTo(0.7);
+    expect(analysis.aggregations).toEqual({
+      turn: [{ key: 90, count: 1 }, { key: 120, count: 1 }, { key: 150, count: 1 }, { key: 180, count: 1 }],
+      node: [{ key: 'keep', count: 3 }, { key: 'ford', count: 1 }],
+      outcome: [{ key: 'positive', count: 3 }, { key: 'negative', count: 1 }]
+    });
+    expect(analysis.narrative).toBe('Aria broke the siege. Bren held the gate.');
+    expect(() => analyzeHistory(repository, { query: 'type:' })).toThrow('Expected a value for type at 5');
+  });
+});
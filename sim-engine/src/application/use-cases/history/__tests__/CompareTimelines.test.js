@@ -0,0 +1,110 @@
+// src/application/use-cases/history/__tests__/CompareTimelines.test.js
+
+import compareTimelines from '../CompareTimelines.js';
+
+const character = (id, overrides = {}) => ({
+  id,
+  name: id.toUpperCase(),
+  currentNodeId: 'n1',
+  influence: { values: { trade: 10, military: 5 } },
+  prestige: { values: { honor: 20 } },
+  alignment: { values: { goodEvil: 0, lawChaos: 0 } },
+  health: 100,
+  ...overrides
+});
+
+const sharedEvents = [
+  { id: 'e1', timestamp: 1, characterId: 'a', type: 'dialogue', location: 'n1' },
+  { id: 'e2', timestamp: 2, characterId: 'b', type: 'combat', location: 'n2' }
+];
+
+const main = {
+  name: 'main',
+  state: {
+    time: 5,
+    nodes: [{ id: 'n1', name: 'Market' }, { id: 'n2', name: 'Forest' }],
+    npcs: [character('a'), character('b', { currentNodeId: 'n2' }), character('c')]
+  },
+  events: [...sharedEvents, { id: 'e3', timestamp: 4, characterId: 'a', type: 'dialogue', location: 'n1' }]
+};
+
+const fork = {
+  name: 'war',
+  forkTurn: 2,
+  state: {
+    time: 6,
+    nodes: [{ id: 'n1', name: 'Market' }, { id: 'n2', name: 'Forest' }],
+    npcs: [
+      character('a', { influence: { values: { trade: 4, military: 15 } }, currentNodeId: 'n2' }),
+      character('b', { currentNodeId: 'n2' }),
+      character('d')
+    ]
+  },
+  events: [
+    ...sharedEvents,
+    { id: 'e4', timestamp: 3, characterId: 'a', type: 'combat', location: 'n2' },
+    { id: 'e5', timestamp: 5, characterId: 'a', type: 'combat', location: 'n2' }
+  ]
+};
+
+describe('compareTimelines', () => {
+  const result = compareTimelines(main, fork);
+
+  test('should describe both timelines', () => {
+    expect(result.a).toEqual({ name: 'main', turn: 5, forkTurn: null });
+    expect(result.b).toEqual({ name: 'war', turn: 6, forkTurn: 2 });
+  });
+
+  test('should list the characters that diverged', () => {
+    expect(result.divergedCharacters).toEqual(['a', 'c', 'd']);
+    expect(result.characters.find(c => c.id === 'b').diverged).toBe(false);
+    expect(result.characters.find(c => c.id === 'c').presentIn).toBe('a');
+    expect(result.characters.find(c => c.id === 'd').presentIn).toBe('b');
+  });
+
+  test('should report Influence, Prestige and Alignment differences as b - a', () => {
+    const aria = result.characters.find(c => c.id === 'a');
+
+    expect(aria.influence).toEqual({
+      trade: { a: 10, b: 4, delta: -6 },
+      military: { a: 5, b: 15, delta: 10 }
+    });
+    expect(aria.prestige.honor.delta).toBe(0);
+    expect(aria.alignment.goodEvil).toEqual({ a: 0, b: 0, delta: 0 });
+    expect(aria.changedFields).toEqual(['currentNodeId', 'influence']);
+    expect(aria.location).toEqual({ a: 'n1', b: 'n2' });
+    expect(aria.events).toEqual({ a: 2, b: 3, delta: 1 });
+  });
+
+  test('should compare node populations and event counts', () => {
+    expect(result.nodes).toEqual([
+      { id: 'n1', name: 'Market', presentIn: 'both', population: { a: 2, b: 1, delta: -1 }, events: { a: 2, b: 1, delta: -1 } },
+      { id: 'n2', name: 'Forest', presentIn: 'both', population: { a: 1, b: 2, delta: 1 }, events: { a: 1, b: 3, delta: 2 } }
+    ]);
+  });
+
+  test('should summarize the event logs', () => {
+    expect(result.events).toEqual({
+      total: { a: 3, b: 4, delta: 1 },
+      shared: 2,
+      onlyInA: 1,
+      onlyInB: 2,
+      byType: {
+        dialogue: { a: 2, b: 1, delta: -1 },
+        combat: { a: 1, b: 3, delta: 2 }
+      },
+      firstDivergentTurn: 3
+    });
+  });
+
+  test('should find no divergence between identical timelines', () => {
+    const same = compareTimelines(main, { ...main, name: 'copy' });
+
+    expect(same.divergedCharacters).toEqual([]);
+    expect(same.events.firstDivergentTurn).toBeNull();
+  });
+
+  test('should reject missing timelines', () => {
+    expect(() => compareTimelines(main, null)).toThrow('compareTimelines expects two timelines');
+  });
+});
@@ -0,0 +1,37 @@
+// src/application/use-cases/history/__tests__/GenerateChronicle.test.js
+
+import generateChronicle from '../GenerateChronicle.js';
+
+const world = {
+  worldName: 'Vale',
+  nodes: [{ id: 'keep', name: 'Keep' }],
+  settlements: [{ id: 'keep_town', name: 'Keep Town' }],
+  npcs: [{ id: 'ann', name: 'Ann', role: 'smith', pronouns: 'she/her' }],
+  deceased: [{ id: 'old', name: 'Old King', cause: 'old_age' }],
+  questTemplates: [{ id: 'ore', name: 'The Lost Ore' }]
+};
+
+const events = [
+  { id: 'e0', timestamp: 0, type: 'world_event', name: 'Border War', kind: 'war', location: 'keep', significance: 0.9 },
+  { id: 'e1', timestamp: 12, type: 'succession', characterId: 'ann', title: 'leader', location: 'keep_town', significance: 1 },
+  { id: 'e2', timestamp: 13, type: 'quest_failed', characterId: 'ann', questId: 'ore', location: 'keep_town', significance: 0.5 },
+  { id: 'e3', timestamp: 14, type: 'death', characterId: 'old', cause: 'old_age', location: 'keep_town', significance: 0.5 }
+];
+
+describe('generateChronicle', () => {
+  test('should render the same chronicle the same way for a seed, as Markdown and escaped HTML', () => {
+    const chronicle = generateChronicle(events, world, { seed: 7, minArcEvents: 2, title: 'Tales <of> the Vale' });
+
+    expect(generateChronicle(events, world, { seed: 7, minArcEvents: 2, title: 'Tales <of> the Vale' })).toEqual(chronicle);
+    expect(chronicle.eras).toEqual([
+      expect.objectContaining({ index: 0, start: 0, end: 0, events: 1 }),
+      expect.objectContaining({ index: 1, start: 12, end: 14, events: 3, title: expect.stringMatching(/^Chapter 2: The (Reign|Rule) of Ann$/) })
+    ]);
+    expect(chronicle.arcs).toEqual([expect.objectContaining({ id: 'node:keep_town', name: 'Keep Town', events: 3 }), expect.objectContaining({ id: 'character:ann', events: 2 })]);
+    expect(chronicle.markdown).toMatch(/^# Tales <of> the Vale\n\n## Chapter 1: /);
+    expect(chronicle.markdown).toContain('Border War');
+    expect(chronicle.markdown).toContain('## Principal Figures\n\n- **Ann** (smith): 2 events between turns 12 and 13.');
+    expect(chronicle.html).toContain('<h1>Tales &lt;of&gt; the Vale</h1>');
+    expect(chronicle.html).toContain('<section class="chronicle-chapter">\n<h2>Chapter 2: ');
+  });
+});
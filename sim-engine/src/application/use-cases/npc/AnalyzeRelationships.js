@@ -0,0 +1,47 @@
+// src/application/use-cases/npc/AnalyzeRelationships.js
+
+import RelationshipGraph from '../../../domain/entities/RelationshipGraph.js';
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Social network analysis of the world's relationship graph (worldState.relationshipGraph)
+ * @param {Object} worldState - { npcs, relationshipGraph }
+ * @param {Object} [query]
+ * @param {number} [query.minAffinity=30] - Weakest tie that holds a faction or clique together
+ * @param {number} [query.minCliqueSize=3]
+ * @param {number} [query.limit=10] - Most central characters listed
+ * @param {string} [query.characterId] - Also list this character's relationships
+ * @param {string} [query.fromId] - With toId, the shortest social path between two characters
+ * @param {string} [query.toId]
+ * @returns {Object} { characters, edges, centrality, factions, cliques, relationships, path }
+ */
+const analyzeRelationships = (worldState, query = {}) => {
+  const { minAffinity = 30, minCliqueSize = 3, limit = DEFAULT_LIMIT, characterId, fromId, toId } = query;
+  const graph = RelationshipGraph.fromJSON(worldState?.relationshipGraph);
+  const names = new Map((worldState?.npcs || []).map(npc => [npc.id, npc.name]));
+  const named = ids => ids.map(id => ({ id, name: names.get(id) || id }));
+
+  const centrality = Object.entries(graph.centrality())
+    .map(([id, measures]) => ({ characterId: id, name: names.get(id) || id, ...measures }))
+    .sort((a, b) => b.betweenness - a.betweenness || b.weightedDegree - a.weightedDegree)
+    .slice(0, limit);
+
+  const path = fromId && toId ? graph.shortestPath(fromId, toId) : null;
+
+  return {
+    characters: graph.getCharacterIds().length,
+    edges: graph.edges.size,
+    centrality,
+    factions: graph.factions({ minAffinity }).map(named),
+    cliques: graph.cliques({ minAffinity, minSize: minCliqueSize }).map(named),
+    relationships: characterId
+      ? graph.edgesFrom(characterId)
+        .map(edge => ({ ...edge, name: names.get(edge.to) || edge.to }))
+        .sort((a, b) => b.affinity - a.affinity)
+      : null,
+    path: path ? named(path) : null
+  };
+};
+
+export default analyzeRelationships;
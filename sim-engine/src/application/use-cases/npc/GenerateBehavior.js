@@ -4,10 +4,23 @@ import Character from '../../../domain/entities/Character.js';
 // import Interaction from '../../../domain/entities/Interaction.js'; // Currently unused
 import InteractionResolver from '../../../domain/services/InteractionResolver.js';
 import MemoryService from '../../../domain/services/MemoryService.js';
+import Attributes from '../../../domain/value-objects/Attributes.js';
 import EvolutionService from '../../../domain/services/EvolutionService.js';
-import HistoryGenerator from '../../../domain/services/HistoryGenerator.js';
+import { charactersAt } from '../../../domain/services/TravelService.js';
+import { weightedSelect } from '../../../shared/utils/SelectionUtils.js';
+import { defaultRandom } from '../../../shared/utils/RandomUtils.js';
+
+// options.rng: seeded rng for every roll and weighting
+// options.eventBus: receives INTERACTION_RESOLVED for the chosen interaction (history logging subscribes there)
+// options.effectRegistry: EffectRegistry applying the interaction's effects (the default one otherwise)
+// options.daysPerTurn: simulated days per turn, for the dates effects are recorded at
+// options.relationships: RelationshipService (loaded for this turn) choosing the partner of a
+//   social interaction among the characters at the node; the result's partnerId is null without one
+// The resolution's `character` is the character after the effects; resource effects change
+// the node (and worldState.resources) in place
+const generateBehavior = (character, worldState, options = {}) => {
+  const rng = options.rng || defaultRandom;
 
-const generateBehavior = (character, worldState) => {
   if (!(character instanceof Character)) {
     throw new Error('Invalid character');
   }
@@ -25,55 +38,45 @@ const generateBehavior = (character, worldState) => {
 
   // Decide: Select an interaction based on goals, memory, and resonance
   const memoryService = new MemoryService();
-  const interactionResolver = new InteractionResolver();
+  const interactionResolver = new InteractionResolver({ rng, eventBus: options.eventBus, effectRegistry: options.effectRegistry });
   const selectedInteraction = weightedSelect(availableInteractions, interaction => {
     const memoryInfluence = memoryService.getMemoryInfluence(character, interaction);
-    const branch = interaction.selectBranch(character);
-    const energyProxy = character.attributes.getEnergyProxy();
+    const branch = interaction.selectBranch(character, rng);
+    const energyProxy = Attributes.getEnergyProxy(character.attributes);
     const gammaFreq = character.consciousness.frequency || 40;  // 40 Hz gamma baseline
     const energyDiff = energyProxy - (branch?.requiredEnergy || energyProxy);
     const resonance = Math.exp(-Math.pow(energyDiff - gammaFreq, 2) / (2 * gammaFreq));
     const coherenceBonus = character.consciousness.coherence * 1.5;  // Higher coherence favors optimal
     const goalMatch = character.goals.some(goal => interaction.name.includes(goal.id)) ? 2 : 0;  // Prioritize goals
     return resonance + coherenceBonus + memoryInfluence + goalMatch;
-  });
+  }, rng);
 
   if (!selectedInteraction) return null;
 
   // Act: Resolve the interaction
+  const partnerId = options.relationships
+    ? options.relationships.choosePartner(character, selectedInteraction, charactersAt(worldState.npcs, currentNode.id), rng)
+    : null;
   const branch = interactionResolver.selectBranch(character, selectedInteraction);
-  const resolution = interactionResolver.resolve(character, selectedInteraction, branch.id);
+  const resolution = interactionResolver.resolve(character, selectedInteraction, branch.id, worldState.time, {
+    node: currentNode,
+    worldState,
+    turn: worldState.time,
+    daysPerTurn: options.daysPerTurn,
+    participants: partnerId ? [...selectedInteraction.participants, partnerId] : selectedInteraction.participants
+  });
 
-  // Learn: Evolve and log history
+  // Learn: Evolve (the resolver has already published the outcome for history logging).
+  // The evolved character isn't applied yet, so no event bus: nothing to announce
   const evolutionService = new EvolutionService();
   evolutionService.evolveFromInteraction(character, selectedInteraction, resolution.outcome);
 
-  const historyGenerator = new HistoryGenerator();
-  historyGenerator.logEvent({
-    timestamp: worldState.time,
-    character,
-    interaction: selectedInteraction,
-    outcome: resolution.outcome,
-    roll: resolution.roll,
-    dc: resolution.dc,
-  });
-
   return {
     interaction: selectedInteraction,
     branchId: branch.id,
     resolution,
+    partnerId,
   };
 };
 
-// Helper function (move to shared/utils/weightedSelect.js if not existing)
-function weightedSelect(options, weightFn) {
-  const totalWeight = options.reduce((sum, opt) => sum + weightFn(opt), 0);
-  let rand = Math.random() * totalWeight;
-  for (const opt of options) {
-    rand -= weightFn(opt);
-    if (rand <= 0) return opt;
-  }
-  return options[options.length - 1];  // Fallback
-}
-
 export default generateBehavior;
\ No newline at end of file
@@ -4,29 +4,35 @@ const ICharacterRepository = {
   /**
    * Save a character to the repository.
    * @param {Character} character - The character to save.
-   * @returns {Promise<void>}
+   * @returns {void}
    */
-  save: async (character) => {},
+  save: (character) => {},
 
   /**
    * Retrieve a character by ID.
    * @param {string} id - The character ID.
-   * @returns {Promise<Character>}
+   * @returns {Character|null}
    */
-  findById: async (id) => {},
+  findById: (id) => {},
 
   /**
    * Retrieve all characters.
-   * @returns {Promise<Character[]>}
+   * @returns {Character[]}
    */
-  findAll: async () => {},
+  findAll: () => {},
 
   /**
    * Delete a character by ID.
    * @param {string} id - The character ID.
+   * @returns {void}
+   */
+  delete: (id) => {},
+
+  /**
+   * Resolve once every write so far is durable; rejects with the first failed write.
    * @returns {Promise<void>}
    */
-  delete: async (id) => {},
+  flush: async () => {},
 };
 
-export default ICharacterRepository;
\ No newline at end of file
+export default ICharacterRepository;
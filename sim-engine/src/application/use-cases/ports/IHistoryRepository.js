@@ -4,22 +4,50 @@ const IHistoryRepository = {
   /**
    * Save a historical event.
    * @param {Object} event - The event to save.
-   * @returns {Promise<void>}
+   * @returns {void}
    */
-  saveEvent: async (event) => {},
+  saveEvent: (event) => {},
 
   /**
    * Retrieve events based on criteria.
-   * @param {Object} criteria - Filter criteria (e.g., timeRange, characterId).
-   * @returns {Promise<Object[]>}
+   * @param {Object} [criteria] - Filter criteria (e.g., timeRange, characterId, type).
+   * @returns {Object[]}
+   */
+  findEvents: (criteria) => {},
+
+  /**
+   * Run a history query (domain/services/HistoryQuery), e.g.
+   * `type:quest_completed AND character:"Aria" AND turn:100..200 ORDER BY significance DESC`.
+   * @param {string|Object} query - Query text or a parsed query.
+   * @param {Object} [options] - { aggregate: fields to count the matches by, e.g. ['turn', 'node', 'outcome'] }.
+   * @returns {{events: Object[], total: number, aggregations: Object}}
+   */
+  searchEvents: (query, options) => ({ events: [], total: 0, aggregations: {} }),
+
+  /**
+   * Number of events logged so far.
+   * @returns {number}
    */
-  findEvents: async (criteria) => {},
+  countEvents: () => 0,
+
+  /**
+   * Keep the first `length` events, in logged order, and drop the rest (rewinding the log).
+   * @param {number} length - Events to keep.
+   * @returns {void}
+   */
+  truncateEvents: (length) => {},
 
   /**
    * Clear all events.
+   * @returns {void}
+   */
+  clearEvents: () => {},
+
+  /**
+   * Resolve once every write so far is durable; rejects with the first failed write.
    * @returns {Promise<void>}
    */
-  clearEvents: async () => {},
+  flush: async () => {},
 };
 
-export default IHistoryRepository;
\ No newline at end of file
+export default IHistoryRepository;
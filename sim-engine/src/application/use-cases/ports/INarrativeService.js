@@ -0,0 +1,44 @@
+// src/application/ports/INarrativeService.js
+
+/**
+ * Writes prose about the simulation. Every method resolves with text, and every
+ * implementation takes the same context:
+ * - world: the world state the events happened in (names, roles, pronouns)
+ * - grammar: rules that override the backend's grammar for this call
+ */
+const INarrativeService = {
+  /**
+   * Describe one history event in a sentence.
+   * @param {Object} event - History event (IHistoryRepository.findEvents).
+   * @param {Object} [context] - { world, grammar }
+   * @returns {Promise<string>}
+   */
+  describeEvent: async (event, context) => {},
+
+  /**
+   * Summarize a turn in a few sentences.
+   * @param {Object} summary - Turn summary (SimulationService.generateTurnSummary).
+   * @param {Object} [context] - { world, grammar, events } - events: the turn's history events
+   * @returns {Promise<string>}
+   */
+  summarizeTurn: async (summary, context) => {},
+
+  /**
+   * Write the life story of a character.
+   * @param {Object} character - Character JSON, living or deceased.
+   * @param {Object[]} events - The character's history events.
+   * @param {Object} [context] - { world, grammar }
+   * @returns {Promise<string>}
+   */
+  writeBiography: async (character, events, context) => {},
+
+  /**
+   * Write a chronicle of the whole history, in Markdown.
+   * @param {Object[]} events - History events.
+   * @param {Object} [context] - { world, grammar, options } - options: GenerateChronicle options
+   * @returns {Promise<string>}
+   */
+  writeChronicle: async (events, context) => {},
+};
+
+export default INarrativeService;
@@ -0,0 +1,56 @@
+// src/application/ports/IStorageAdapter.js
+
+/**
+ * Key/value backend the repositories persist through. Reads and writes are
+ * synchronous (the simulation saves between turns); adapters backed by an
+ * asynchronous store keep a working copy in memory and load it in ready().
+ */
+const IStorageAdapter = {
+  /**
+   * Read a stored value.
+   * @param {string} key - Storage key.
+   * @returns {string|null} The stored string, or null when missing.
+   */
+  getItem: (key) => {},
+
+  /**
+   * Store a value.
+   * @param {string} key - Storage key.
+   * @param {string} value - Serialized value.
+   * @returns {void}
+   */
+  setItem: (key, value) => {},
+
+  /**
+   * Remove a value.
+   * @param {string} key - Storage key.
+   * @returns {void}
+   */
+  removeItem: (key) => {},
+
+  /**
+   * List every stored key.
+   * @returns {string[]}
+   */
+  keys: () => {},
+
+  /**
+   * Remove every stored value.
+   * @returns {void}
+   */
+  clear: () => {},
+
+  /**
+   * Approximate capacity in bytes, or null when unbounded/unknown.
+   * @type {number|null}
+   */
+  quota: null,
+
+  /**
+   * Resolve once the adapter can serve reads.
+   * @returns {Promise<void>}
+   */
+  ready: async () => {},
+};
+
+export default IStorageAdapter;
@@ -2,24 +2,121 @@
 
 const IWorldRepository = {
   /**
-   * Save the world state.
-   * @param {Object} worldState - The world state to save.
-   * @returns {Promise<void>}
+   * Save the running simulation's world state.
+   * @param {Object} worldState - The serialized world state to save.
+   * @returns {void}
+   */
+  saveWorld: (worldState) => {},
+
+  /**
+   * Retrieve the running simulation's world state.
+   * @returns {Object|null}
    */
-  saveWorld: async (worldState) => {},
+  getWorld: () => {},
 
   /**
-   * Retrieve the world state.
-   * @returns {Promise<Object>}
+   * Remove the running simulation's world state.
+   * @returns {void}
    */
-  getWorld: async () => {},
+  clearWorld: () => {},
 
   /**
-   * Update a node in the world state.
+   * Update a node in the saved world state.
    * @param {Object} node - The node to update.
+   * @returns {void}
+   */
+  updateNode: (node) => {},
+
+  /**
+   * List the metadata of every saved world.
+   * @returns {Object[]}
+   */
+  listWorlds: () => {},
+
+  /**
+   * Retrieve a saved world by ID.
+   * @param {string} worldId - The world ID.
+   * @returns {Object|null}
+   */
+  findWorldById: (worldId) => {},
+
+  /**
+   * Save a world and its entry in the world list.
+   * @param {Object} world - The world data (must carry an id).
+   * @param {Object} summary - The metadata listed for the world.
+   * @returns {void}
+   */
+  saveWorldRecord: (world, summary) => {},
+
+  /**
+   * Delete a saved world and everything stored for it.
+   * @param {string} worldId - The world ID.
+   * @returns {void}
+   */
+  deleteWorldRecord: (worldId) => {},
+
+  /**
+   * Retrieve the nodes saved for a world.
+   * @param {string} worldId - The world ID.
+   * @returns {Object[]}
+   */
+  getWorldNodes: (worldId) => {},
+
+  /**
+   * Replace the nodes saved for a world.
+   * @param {string} worldId - The world ID.
+   * @param {Object[]} nodes - The nodes to save.
+   * @returns {void}
+   */
+  saveWorldNodes: (worldId, nodes) => {},
+
+  /**
+   * Retrieve a named editor document (encounters, templates, drafts, ...).
+   * @param {string} name - The document name.
+   * @param {*} [fallback=null] - Returned when the document is missing.
+   * @returns {*}
+   */
+  getDocument: (name, fallback) => {},
+
+  /**
+   * Save a named editor document.
+   * @param {string} name - The document name.
+   * @param {*} value - JSON-serializable value.
+   * @returns {void}
+   */
+  saveDocument: (name, value) => {},
+
+  /**
+   * Remove a named editor document.
+   * @param {string} name - The document name.
+   * @returns {void}
+   */
+  removeDocument: (name) => {},
+
+  /**
+   * Retrieve every document whose name starts with a prefix.
+   * @param {string} prefix - The name prefix.
+   * @returns {Object[]}
+   */
+  findDocuments: (prefix) => {},
+
+  /**
+   * Remove every saved world and its associated data.
+   * @returns {void}
+   */
+  clearLibrary: () => {},
+
+  /**
+   * Report how much space the backend uses and allows.
+   * @returns {Promise<{usage: number, quota: number|null}>} Bytes used and available in total.
+   */
+  getUsage: async () => {},
+
+  /**
+   * Resolve once every write so far is durable; rejects with the first failed write.
    * @returns {Promise<void>}
    */
-  updateNode: async (node) => {},
+  flush: async () => {},
 };
 
-export default IWorldRepository;
\ No newline at end of file
+export default IWorldRepository;
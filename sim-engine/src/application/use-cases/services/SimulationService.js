@@ -3,14 +3,46 @@
 // Removed import of generateWorld - now using processMapplessWorldState
 import runTick from '../simulation/RunTick.js';
 import analyzeHistory from '../history/AnalyzeHistory.js';
+import generateChronicle from '../history/GenerateChronicle.js';
+import generateBiography from '../history/GenerateBiography.js';
+import analyzeRelationships from '../npc/AnalyzeRelationships.js';
 import Character from '../../../domain/entities/Character.js';
 import Node from '../../../domain/entities/Node.js';
+import Interaction from '../../../domain/entities/Interaction.js';
+import { createRandom, generateSeed } from '../../../shared/utils/RandomUtils.js';
+import { getWorldRepository, getHistoryRepository } from '../../../infrastructure/Persistance/StorageProvider.js';
+import { getNarrativeService } from '../../../infrastructure/external/NarrativeProvider.js';
+import InMemoryStorage from '../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import SnapshotStore from './SnapshotStore.js';
+import AutoRunner from '../../../domain/services/AutoRunner.js';
+import { subscribeHistoryLogger } from '../../../domain/services/HistoryGenerator.js';
+import { SimulationEventBus, SimulationEventTypes } from '../../../domain/events/SimulationEvents.js';
 
 class SimulationService {
-  constructor() {
+  // options.worldRepository / options.historyRepository override the configured storage (e.g. in tests)
+  // options.keyframeInterval sets how often a full snapshot is kept for rewinding
+  // options.narrativeService overrides the configured narrative backend (INarrativeService)
+  // options.logger receives progress messages through log() and info() (console by default)
+  constructor(options = {}) {
+    this.worldRepository = options.worldRepository || null;
+    this.logger = options.logger || console;
+    this.historyRepository = options.historyRepository || null;
+    this.narrativeService = options.narrativeService || null;
+    this.snapshots = new SnapshotStore({ keyframeInterval: options.keyframeInterval });
     this.worldState = null;
     this.isRunning = false;
     this.tickInterval = null;
+    this.autoRunner = null;
+    this.rng = null;  // Seeded PRNG shared by every system during a run
+
+    // Every turn publishes here (see RunTick); history logging is the first subscriber
+    this.eventBus = new SimulationEventBus();
+    subscribeHistoryLogger(this.eventBus, () => ({
+      rng: this.getRandom(),
+      historyRepository: this.getHistoryRepository()
+    }));
     
     // Turn-based simulation properties
     this.isTurnBasedMode = true;
@@ -20,13 +52,18 @@ class SimulationService {
   }
 
   // Initialize or reset the simulation with mappless world configuration
+  // Pass config.seed to replay a run exactly; a random seed is picked otherwise
   initialize(config = {}) {
     if (!this.validateMapplessWorldConfig(config)) {
       throw new Error('Invalid mappless world configuration');
     }
 
-    this.worldState = this.processMapplessWorldState(config);
+    const seed = config.seed !== undefined && config.seed !== null ? config.seed : generateSeed();
+    this.rng = createRandom(seed);
+    this.worldState = this.processMapplessWorldState(this.withEditorDocuments(config));
     this.initializeTurnHistory();
+    this.snapshots.clear();
+    this.captureSnapshot();
     this.saveState();  // Persist initial state
     return this.worldState;
   }
@@ -108,6 +145,7 @@ class SimulationService {
   processMapplessWorldState(config) {
     const worldState = {
       time: 0,
+      seed: this.rng ? this.rng.seed : null,
       worldName: config.worldName,
       worldDescription: config.worldDescription || '',
       rules: config.rules || {},
@@ -115,7 +153,30 @@ class SimulationService {
       nodes: [],
       npcs: [],
       interactions: config.interactions || [],
-      resources: {}
+      resources: {},
+      // Settlements (Settlement JSON: economy, population and governments whose titles
+      // pass to heirs), and characters who have died
+      settlements: [...(config.settlements || [])],
+      deceased: [],
+      // Merchants' caravans on the road and each trade route's running totals; see TradeService
+      caravans: [],
+      tradeRoutes: [],
+      // Who regards whom how (RelationshipGraph JSON); see RelationshipService
+      relationshipGraph: { edges: [] },
+      // Guilds, houses, religions, armies... (Faction JSON); see FactionService
+      factions: (config.factions || []).map(faction => (faction.toJSON ? faction.toJSON() : faction)),
+      // World-scale event templates (EventTemplate JSON, firing counts included), the ripples
+      // still to strike and the events fired so far; see HistoricalEventService
+      eventTemplates: [...(config.eventTemplates || [])],
+      pendingEffects: [],
+      worldEvents: [],
+      // Rules over the narrative backend's grammar; see GrammarNarrativeService
+      narrativeGrammar: { ...(config.narrativeGrammar || {}) },
+      // Encounter definitions (JSON, trigger counts included) and the ones running; see RunTick
+      encounters: (config.encounters || []).map(encounter => (encounter.toJSON ? encounter.toJSON() : encounter)),
+      activeEncounters: [],
+      // Quest templates (JSON); characters' runs live in Character.quests
+      questTemplates: (config.questTemplates || []).map(template => (template.toJSON ? template.toJSON() : template))
     };
 
     // Process abstract nodes (no spatial coordinates)
@@ -129,11 +190,28 @@ class SimulationService {
         resourceAvailability: nodeConfig.resourceAvailability || {},
         culturalContext: nodeConfig.culturalContext || {},
         assignedCharacters: nodeConfig.assignedCharacters || [],
+        // Travel links (node ids or { targetNodeId, distance, difficulty }) and the
+        // head count TravelService keeps in step as characters come and go
+        connectedNodes: nodeConfig.connectedNodes || nodeConfig.connections || [],
+        population: typeof nodeConfig.population === 'number'
+          ? nodeConfig.population
+          : (nodeConfig.assignedCharacters || []).length,
         // No position or spatial coordinates - mappless design
         interactions: this.getNodeInteractions(nodeConfig, config.interactions)
       };
     });
 
+    // Settlements may also be given on the node they belong to
+    config.nodes.filter(nodeConfig => nodeConfig.settlement).forEach(nodeConfig => {
+      worldState.settlements.push({
+        id: `settlement_${nodeConfig.id}`,
+        name: nodeConfig.name,
+        type: nodeConfig.type,
+        ...nodeConfig.settlement,
+        nodeId: nodeConfig.id
+      });
+    });
+
     // Process capability-driven characters
     worldState.npcs = config.characters.map(characterConfig => {
       // Find which node this character is assigned to
@@ -141,29 +219,26 @@ class SimulationService {
         node.assignedCharacters && node.assignedCharacters.includes(characterConfig.id)
       );
 
-      const character = new Character({
+      const attributes = characterConfig.attributes || this.generateDefaultAttributes();
+
+      return new Character({
         id: characterConfig.id,
         name: characterConfig.name,
         currentNodeId: assignedNode ? assignedNode.id : null,
-        attributes: characterConfig.attributes || this.generateDefaultAttributes(),
+        attributes,
+        baseAttributes: this.toBaseAttributes(attributes),
         personality: characterConfig.personality || {},
         consciousness: characterConfig.consciousness || { frequency: 40, coherence: 0.7 },
         skills: characterConfig.skills || {},
         goals: characterConfig.goals || [],
         energy: characterConfig.energy || 100,
         health: characterConfig.health || 100,
-        mood: characterConfig.mood || 80
+        mood: characterConfig.mood || 80,
+        role: characterConfig.role,
+        wealth: characterConfig.wealth,
+        // Character entities are frozen, so capabilities must be passed at construction
+        assignedInteractions: characterConfig.assignedInteractions || []
       });
-
-      // Add assignedInteractions as a separate property since Character entity doesn't support it
-      character.assignedInteractions = characterConfig.assignedInteractions || [];
-
-      // Ensure currentNodeId is set correctly
-      if (assignedNode) {
-        character.currentNodeId = assignedNode.id;
-      }
-
-      return character;
     });
 
     // Initialize resources based on node availability
@@ -179,21 +254,45 @@ class SimulationService {
       return !interaction.context || 
              !interaction.context.nodeTypes || 
              interaction.context.nodeTypes.includes(nodeConfig.type);
-    });
+    }).map(interaction => (
+      // runTick needs Interaction instances (isAvailable, selectBranch, applyEffects)
+      interaction instanceof Interaction ? interaction : new Interaction({ ...interaction, nodeId: nodeConfig.id })
+    ));
+  }
+
+  // Convert builder attributes ({ score } records or plain numbers) into Character base attributes
+  toBaseAttributes(attributes) {
+    return Object.fromEntries(Object.entries(attributes).map(([name, value]) => (
+      [name, typeof value === 'number' ? value : (value?.score || 10)]
+    )));
   }
 
   // Generate default D&D attributes for characters
   generateDefaultAttributes() {
+    const rng = this.getRandom();
     return {
-      strength: { score: Math.floor(Math.random() * 10) + 10 },
-      dexterity: { score: Math.floor(Math.random() * 10) + 10 },
-      constitution: { score: Math.floor(Math.random() * 10) + 10 },
-      intelligence: { score: Math.floor(Math.random() * 10) + 10 },
-      wisdom: { score: Math.floor(Math.random() * 10) + 10 },
-      charisma: { score: Math.floor(Math.random() * 10) + 10 }
+      strength: { score: rng.nextInt(10, 19) },
+      dexterity: { score: rng.nextInt(10, 19) },
+      constitution: { score: rng.nextInt(10, 19) },
+      intelligence: { score: rng.nextInt(10, 19) },
+      wisdom: { score: rng.nextInt(10, 19) },
+      charisma: { score: rng.nextInt(10, 19) }
     };
   }
 
+  // Get the run's PRNG, seeding one lazily if the service was not initialized with a config
+  getRandom() {
+    if (!this.rng) {
+      this.rng = createRandom(generateSeed());
+    }
+    return this.rng;
+  }
+
+  // Get the seed of the current run (null before initialization)
+  getSeed() {
+    return this.rng ? this.rng.seed : null;
+  }
+
   // Initialize resources based on node resource availability
   initializeResourcesFromNodes(worldState) {
     const resourceTypes = new Set();
@@ -288,21 +387,48 @@ class SimulationService {
     };
   }
 
-  // Start the simulation in turn-based mode (no automatic progression)
-  start() {
+  // Start auto-play: processes a turn every worldState.tickDelay / options.speed ms
+  // until a breakpoint hits or stop() is called (see AutoRunner for the options).
+  // Resolves with { reason, hits, turnsRun, turn }; processTurn() still works manually.
+  // Publishes autoPlay.started and autoPlay.ended on the event bus.
+  start(options = {}) {
     if (this.isRunning || !this.worldState) {
       throw new Error('Simulation already running or not initialized');
     }
 
+    const runner = new AutoRunner({
+      step: () => this.processTurn(),
+      getWorldState: () => this.worldState,
+      getTurnEvents: (time) => this.getHistoryRepository().findEvents({ timeRange: { start: time, end: time } }),
+      yieldControl: options.yieldControl
+    });
+    const finish = () => {
+      if (this.autoRunner === runner) {
+        this.autoRunner = null;
+        this.isRunning = false;
+      }
+    };
+
     this.isRunning = true;
-    console.log('Simulation started in turn-based mode. Use processTurn() to advance manually.');
-    
-    // Initialize turn history
-    this.initializeTurnHistory();
-    
-    // No automatic tick interval in turn-based mode
-    // Users must call processTurn() manually
-    return this.worldState;
+    this.autoRunner = runner;
+    this.eventBus.publish(SimulationEventTypes.AUTO_PLAY_STARTED, { turn: this.worldState.time, speed: options.speed ?? 1 });
+
+    return runner.run(options).then(outcome => {
+      finish();
+      const { turn, reason, turnsRun, hits } = outcome;
+      this.eventBus.publish(SimulationEventTypes.AUTO_PLAY_ENDED, { turn, reason, turnsRun, hits });
+      return outcome;
+    }, error => {
+      finish();
+      throw error;
+    });
+  }
+
+  // Change the speed multiplier of a running auto-play
+  setSpeed(speed) {
+    if (this.autoRunner) {
+      this.autoRunner.setSpeed(speed);
+    }
   }
 
   // Process a single turn manually (replaces automatic ticking)
@@ -321,7 +447,10 @@ class SimulationService {
       const turnStartTime = Date.now();
       
       // Process the turn using existing runTick logic
-      const updatedState = runTick(this.worldState);
+      const updatedState = runTick(this.worldState, {
+        rng: this.getRandom(),
+        eventBus: this.eventBus
+      });
 
       // Validate that the turn operation succeeded
       if (!updatedState) {
@@ -345,6 +474,7 @@ class SimulationService {
       
       // Add to turn history
       this.addToTurnHistory(turnSummary);
+      this.captureSnapshot();
 
       // Save state
       const saveSuccess = this.saveState();
@@ -361,7 +491,7 @@ class SimulationService {
         }
       }
 
-      console.log(`Turn ${updatedState.time} processed successfully`);
+      this.logger.log(`Turn ${updatedState.time} processed successfully`);
       return {
         worldState: this.worldState,
         turnSummary: turnSummary,
@@ -376,21 +506,26 @@ class SimulationService {
 
   // Stop the simulation
   stop() {
+    if (this.autoRunner) {
+      this.autoRunner.stop();
+    }
     if (this.tickInterval) {
       clearInterval(this.tickInterval);
       this.tickInterval = null;
     }
     this.isRunning = false;
-    console.log('Simulation stopped');
+    this.logger.log('Simulation stopped');
   }
 
   // Reset the simulation to initial state
   reset() {
     this.stop(); // Stop if running
     this.worldState = null;
+    this.rng = null;
     this.turnHistory = [];
     this.currentTurnSummary = null;
-    localStorage.removeItem('worldState'); // Clear saved state
+    this.snapshots.clear();
+    this.getWorldRepository().clearWorld(); // Clear saved state
     // Note: reset() no longer auto-initializes - requires valid world config
     return null;
   }
@@ -437,17 +572,32 @@ class SimulationService {
       characterActions: [],
       changes: {
         charactersChanged: 0,
+        charactersMoved: 0,
+        charactersBorn: 0,
+        charactersDied: 0,
+        encountersResolved: 0,
+        questsCompleted: 0,
+        settlementShortages: 0,
+        caravansArrived: 0,
+        factionsDissolved: 0,
+        worldEvents: 0,
         resourcesChanged: 0,
         newEvents: 0
       }
     };
 
-    // Track character changes and actions
+    // Track character changes and actions; characters are paired by id, since deaths and
+    // births reorder the list
     if (previousState.npcs && currentState.npcs) {
-      currentState.npcs.forEach((currentNpc, index) => {
-        const previousNpc = previousState.npcs[index];
+      const previousById = new Map(previousState.npcs.map(npc => [npc.id, npc]));
+      this.trackLifecycle(summary, previousState, currentState);
+
+      currentState.npcs.forEach(currentNpc => {
+        const previousNpc = previousById.get(currentNpc.id);
         
         if (previousNpc) {
+          this.trackTravel(summary, previousNpc, currentNpc, currentState.nodes);
+
           // Check for significant changes
           const hasChanges = this.hasSignificantCharacterChanges(previousNpc, currentNpc);
           
@@ -469,6 +619,13 @@ class SimulationService {
       });
     }
 
+    this.trackEncounters(summary, currentState.encounterResults || [], currentState.nodes);
+    this.trackQuests(summary, currentState.questResults || [], currentState.nodes);
+    this.trackSettlements(summary, currentState.settlementReports || []);
+    this.trackTrade(summary, currentState.tradeLedger || null, currentState.nodes);
+    this.trackFactions(summary, currentState.factionReports || [], currentState.factions || []);
+    this.trackWorldEvents(summary, currentState.eventResults || [], currentState.nodes);
+
     // Track resource changes
     if (previousState.resources && currentState.resources) {
       for (const [resourceType, currentAmount] of Object.entries(currentState.resources)) {
@@ -492,6 +649,190 @@ class SimulationService {
     return summary;
   }
 
+  // Record the characters born and the ones who died between two states
+  trackLifecycle(summary, previousState, currentState) {
+    const previousIds = new Set(previousState.npcs.map(npc => npc.id));
+    const currentIds = new Set(currentState.npcs.map(npc => npc.id));
+
+    previousState.npcs.filter(npc => !currentIds.has(npc.id)).forEach(npc => {
+      const record = (currentState.deceased || []).find(deceased => deceased.id === npc.id);
+      summary.changes.charactersDied++;
+      summary.events.push({
+        type: 'character_died',
+        characterId: npc.id,
+        characterName: npc.name,
+        cause: record?.cause || null,
+        age: record?.age ?? npc.age,
+        nodeId: npc.currentNodeId,
+        nodeName: this.getNodeName(npc.currentNodeId, currentState.nodes)
+      });
+    });
+
+    currentState.npcs.filter(npc => !previousIds.has(npc.id)).forEach(npc => {
+      summary.changes.charactersBorn++;
+      summary.events.push({
+        type: 'character_born',
+        characterId: npc.id,
+        characterName: npc.name,
+        parentIds: npc.parentIds || [],
+        nodeId: npc.currentNodeId,
+        nodeName: this.getNodeName(npc.currentNodeId, currentState.nodes)
+      });
+    });
+  }
+
+  // Record departures and arrivals between two states of a character
+  trackTravel(summary, previousNpc, currentNpc, nodes) {
+    if (currentNpc.journey && !previousNpc.journey) {
+      summary.events.push({
+        type: 'character_departed',
+        characterId: currentNpc.id,
+        characterName: currentNpc.name,
+        fromNodeId: currentNpc.journey.fromNodeId,
+        toNodeId: currentNpc.journey.toNodeId,
+        toNodeName: this.getNodeName(currentNpc.journey.toNodeId, nodes),
+        arrivesAt: currentNpc.journey.arrivesAt
+      });
+    }
+    if (currentNpc.currentNodeId !== previousNpc.currentNodeId) {
+      summary.changes.charactersMoved++;
+      summary.events.push({
+        type: 'character_moved',
+        characterId: currentNpc.id,
+        characterName: currentNpc.name,
+        fromNodeId: previousNpc.currentNodeId,
+        toNodeId: currentNpc.currentNodeId,
+        toNodeName: this.getNodeName(currentNpc.currentNodeId, nodes)
+      });
+    }
+  }
+
+  // Record encounters that started or resolved this turn (runTick's encounterResults)
+  trackEncounters(summary, encounterResults, nodes) {
+    encounterResults.forEach(result => {
+      if (result.type === 'encounter_started') {
+        summary.events.push({
+          type: 'encounter_started',
+          instanceId: result.instanceId,
+          encounterId: result.encounterId,
+          encounterName: result.encounterName,
+          nodeId: result.nodeId,
+          nodeName: this.getNodeName(result.nodeId, nodes),
+          participantIds: result.participantIds
+        });
+      } else if (result.type === 'encounter_completed') {
+        summary.changes.encountersResolved++;
+        summary.events.push({
+          type: 'encounter_resolved',
+          instanceId: result.instanceId,
+          encounterId: result.encounterId,
+          encounterName: result.encounterName,
+          outcome: result.outcome ? (result.outcome.description || result.outcome.id || null) : null,
+          successRate: result.successRate,
+          participantIds: result.participantIds,
+          effectsApplied: result.applied.length
+        });
+      }
+    });
+  }
+
+  // Record quests taken up, completed or failed this turn (runTick's questResults)
+  trackQuests(summary, questResults, nodes) {
+    questResults
+      .filter(result => result.type !== 'quest_progressed')
+      .forEach(result => {
+        if (result.type === 'quest_completed') {
+          summary.changes.questsCompleted++;
+        }
+        summary.events.push({
+          type: result.type,
+          characterId: result.characterId,
+          characterName: result.characterName,
+          questId: result.questId,
+          questName: result.questName,
+          nodeId: result.nodeId,
+          nodeName: this.getNodeName(result.nodeId, nodes),
+          ...(result.reason ? { reason: result.reason } : {})
+        });
+      });
+  }
+
+  // Record each settlement's state after the turn, and the shortages it suffered (runTick's settlementReports)
+  trackSettlements(summary, settlementReports) {
+    summary.settlements = settlementReports.map(report => ({
+      settlementId: report.settlementId,
+      settlementName: report.settlementName,
+      population: report.population,
+      populationChange: report.populationChange,
+      migration: report.migration,
+      treasury: report.treasury,
+      prices: report.prices
+    }));
+    settlementReports
+      .filter(report => Object.keys(report.shortages).length)
+      .forEach(report => {
+        summary.changes.settlementShortages++;
+        summary.events.push({
+          type: 'settlement_shortage',
+          settlementId: report.settlementId,
+          settlementName: report.settlementName,
+          nodeId: report.nodeId,
+          shortages: report.shortages
+        });
+      });
+  }
+
+  // Record the turn's trade ledger (runTick's tradeLedger) and each caravan that sold its goods
+  trackTrade(summary, tradeLedger, nodes = []) {
+    summary.trade = tradeLedger;
+    (tradeLedger?.trades || []).forEach(trade => {
+      summary.changes.caravansArrived++;
+      summary.events.push({
+        type: 'caravan_arrived',
+        merchantId: trade.merchantId,
+        merchantName: trade.merchantName,
+        nodeId: trade.toNodeId,
+        nodeName: this.getNodeName(trade.toNodeId, nodes),
+        good: trade.good,
+        quantity: trade.quantity,
+        value: trade.value,
+        profit: trade.profit
+      });
+    });
+  }
+
+  // Record each faction's state after the turn (runTick's factionReports) and the ones that dissolved
+  trackFactions(summary, factionReports, factions = []) {
+    summary.factions = factionReports;
+    factionReports.filter(report => report.dissolved).forEach(report => {
+      summary.changes.factionsDissolved++;
+      summary.events.push({
+        type: 'faction_dissolved',
+        factionId: report.factionId,
+        factionName: factions.find(faction => faction.id === report.factionId)?.name || report.factionId,
+        left: report.left
+      });
+    });
+  }
+
+  // Record the world events fired this turn (runTick's eventResults)
+  trackWorldEvents(summary, eventResults, nodes) {
+    eventResults.forEach(result => {
+      summary.changes.worldEvents++;
+      summary.events.push({
+        type: 'world_event',
+        eventId: result.eventId,
+        name: result.name,
+        kind: result.kind,
+        severity: result.severity,
+        nodeId: result.nodeId,
+        nodeName: this.getNodeName(result.nodeId, nodes),
+        characters: result.characterIds.length,
+        sourceEventId: result.sourceEventId
+      });
+    });
+  }
+
   // Check if character has significant changes worth reporting
   hasSignificantCharacterChanges(previousNpc, currentNpc) {
     // Check for interaction activity
@@ -518,6 +859,51 @@ class SimulationService {
       parts.push(`${actionCount} character${actionCount > 1 ? 's' : ''} took action`);
     }
     
+    if (summary.changes.charactersMoved > 0) {
+      const movedCount = summary.changes.charactersMoved;
+      parts.push(`${movedCount} character${movedCount > 1 ? 's' : ''} arrived somewhere new`);
+    }
+
+    if (summary.changes.charactersBorn > 0) {
+      const bornCount = summary.changes.charactersBorn;
+      parts.push(`${bornCount} character${bornCount > 1 ? 's' : ''} born`);
+    }
+
+    if (summary.changes.charactersDied > 0) {
+      const diedCount = summary.changes.charactersDied;
+      parts.push(`${diedCount} character${diedCount > 1 ? 's' : ''} died`);
+    }
+
+    if (summary.changes.encountersResolved > 0) {
+      const encounterCount = summary.changes.encountersResolved;
+      parts.push(`${encounterCount} encounter${encounterCount > 1 ? 's' : ''} resolved`);
+    }
+
+    if (summary.changes.questsCompleted > 0) {
+      const questCount = summary.changes.questsCompleted;
+      parts.push(`${questCount} quest${questCount > 1 ? 's' : ''} completed`);
+    }
+
+    if (summary.changes.settlementShortages > 0) {
+      const shortCount = summary.changes.settlementShortages;
+      parts.push(`${shortCount} settlement${shortCount > 1 ? 's' : ''} ran short of supplies`);
+    }
+
+    if (summary.changes.caravansArrived > 0) {
+      const caravanCount = summary.changes.caravansArrived;
+      parts.push(`${caravanCount} caravan${caravanCount > 1 ? 's' : ''} arrived`);
+    }
+
+    if (summary.changes.factionsDissolved > 0) {
+      const factionCount = summary.changes.factionsDissolved;
+      parts.push(`${factionCount} faction${factionCount > 1 ? 's' : ''} dissolved`);
+    }
+
+    if (summary.changes.worldEvents > 0) {
+      const eventCount = summary.changes.worldEvents;
+      parts.push(`${eventCount} world event${eventCount > 1 ? 's' : ''}`);
+    }
+
     if (summary.changes.resourcesChanged > 0) {
       parts.push(`${summary.changes.resourcesChanged} resource${summary.changes.resourcesChanged > 1 ? 's' : ''} changed`);
     }
@@ -573,9 +959,179 @@ class SimulationService {
     return this.worldState;
   }
 
-  // Analyze the current history
+  // Query and summarise the history (AnalyzeHistory criteria, e.g. { query: 'type:birth ORDER BY turn DESC' })
   getHistoryAnalysis(criteria = {}) {
-    return analyzeHistory(criteria);
+    return analyzeHistory(this.getHistoryRepository(), criteria);
+  }
+
+  // The history so far told as a chronicle (GenerateChronicle options)
+  getChronicle(options = {}) {
+    return generateChronicle(this.getHistoryRepository().findEvents(), this.worldState, options);
+  }
+
+  // A living or dead character's life record and biography (GenerateBiography options)
+  getBiography(characterId, options = {}) {
+    const world = this.worldState || {};
+    const character = (world.npcs || []).find(npc => npc.id === characterId) ||
+      (world.deceased || []).find(record => record.id === characterId);
+    if (!character) {
+      return Promise.reject(new Error(`Character '${characterId}' not found`));
+    }
+    const { events } = this.getHistoryRepository().searchEvents({
+      where: { op: 'match', field: 'character', value: String(characterId).toLowerCase() }
+    });
+    return generateBiography(character, events, { narrativeService: this.getNarrativeService(), world }, options);
+  }
+
+  // Replace the world's narrative grammar rules (see GrammarNarrativeService). They live in
+  // the world state, so saves, snapshots and branches carry them
+  setNarrativeGrammar(grammar = {}) {
+    if (!this.worldState) {
+      throw new Error('Simulation not initialized');
+    }
+    this.worldState.narrativeGrammar = { ...grammar };
+    this.saveState();
+    return this.worldState.narrativeGrammar;
+  }
+
+  // Centrality, factions, cliques and social paths of the relationship graph
+  getSocialNetwork(query = {}) {
+    return analyzeRelationships(this.worldState, query);
+  }
+
+  // Factions and quest templates saved in their editors join the world's own; the world's win on a shared id
+  withEditorDocuments(config) {
+    const repository = this.getWorldRepository();
+    const join = (own = [], saved) => [
+      ...own,
+      ...(saved || []).filter(entry => !own.some(candidate => candidate.id === entry.id))
+    ];
+    return {
+      ...config,
+      factions: join(config.factions, repository.getDocument('factions', [])),
+      questTemplates: join(config.questTemplates, repository.getDocument('quests', []))
+    };
+  }
+
+  // Resolved per call so a storage configured after construction is picked up
+  getWorldRepository() {
+    return this.worldRepository || getWorldRepository();
+  }
+
+  getHistoryRepository() {
+    return this.historyRepository || getHistoryRepository();
+  }
+
+  getNarrativeService() {
+    return this.narrativeService || getNarrativeService();
+  }
+
+  // A turn told in prose by the narrative backend; the latest turn by default
+  narrateTurn(turn) {
+    const summary = turn === undefined
+      ? this.currentTurnSummary
+      : this.turnHistory.find(candidate => candidate.turn === turn);
+    if (!summary) return Promise.resolve('');
+    // Events are logged with the turn being processed; the summary carries the turn after it
+    const events = this.getHistoryRepository().findEvents({ timeRange: { start: summary.turn - 1, end: summary.turn - 1 } });
+    return this.getNarrativeService().summarizeTurn(summary, { world: this.worldState, events });
+  }
+
+  // Record the current turn (world, RNG position and history log length) so it can be rewound to.
+  // The log is append-only, so its length is enough to cut it back to this turn
+  captureSnapshot() {
+    this.snapshots.record(this.getCurrentTurn(), {
+      ...this.serializeState(),
+      turnHistory: undefined,  // Rebuilt by filtering on rewind; diffing a sliding window is wasteful
+      currentTurnSummary: undefined,
+      historyLength: this.getHistoryRepository().countEvents()
+    });
+  }
+
+  // Turns that rewindTo/branchFrom can restore, oldest first
+  getSnapshotTurns() {
+    return this.snapshots.getTurns();
+  }
+
+  // Roll the simulation back to the end of a past turn; later turns are discarded
+  rewindTo(turn) {
+    const snapshot = this.snapshots.restore(turn);
+    const turnHistory = this.turnHistory.filter(summary => summary.turn <= turn);
+    // The grammar is authored, not simulated: an edit made since that turn is kept
+    const { narrativeGrammar } = this.worldState;
+
+    this.restoreSnapshot(snapshot, turnHistory);
+    this.worldState.narrativeGrammar = narrativeGrammar;
+    this.getHistoryRepository().truncateEvents(snapshot.historyLength);
+    this.snapshots.truncateAfter(turn);
+    this.saveState();
+
+    if (this.onTick) {
+      this.onTick(this.worldState);
+    }
+    return this.worldState;
+  }
+
+  // Start an independent "what if" timeline from a past turn. The branch keeps its
+  // own in-memory storage unless repositories are passed in, so this run is untouched.
+  branchFrom(turn, options = {}) {
+    const snapshot = this.snapshots.restore(turn);
+    const branch = new SimulationService({
+      keyframeInterval: this.snapshots.keyframeInterval,
+      worldRepository: options.worldRepository || createWorldRepository(new InMemoryStorage()),
+      historyRepository: options.historyRepository || createHistoryRepository(new InMemoryStorage())
+    });
+
+    branch.snapshots = this.snapshots.sliceTo(turn);
+    branch.restoreSnapshot(snapshot, this.turnHistory.filter(summary => summary.turn <= turn));
+    branch.worldState.narrativeGrammar = { ...this.worldState.narrativeGrammar };
+    const branchHistory = branch.getHistoryRepository();
+    branchHistory.clearEvents();
+    this.getHistoryRepository().findEvents().slice(0, snapshot.historyLength)
+      .forEach(event => branchHistory.saveEvent(event));
+    branch.saveState();
+    return branch;
+  }
+
+  // Replace the live state with a snapshot from captureSnapshot; the caller cuts the history log
+  restoreSnapshot(snapshot, turnHistory = []) {
+    this.rng = snapshot.seed !== undefined && snapshot.seed !== null
+      ? createRandom(snapshot.seed, snapshot.rngState)
+      : null;
+
+    this.worldState = {
+      time: snapshot.time,
+      seed: this.getSeed(),
+      worldName: snapshot.worldName,
+      worldDescription: snapshot.worldDescription,
+      rules: snapshot.rules,
+      initialConditions: snapshot.initialConditions,
+      // Nodes stay plain objects (as built by processMapplessWorldState); their
+      // Interaction instances carry the cooldown state
+      nodes: snapshot.nodes.map(node => ({
+        ...node,
+        interactions: (node.interactions || []).map(interaction => new Interaction(interaction))
+      })),
+      npcs: snapshot.npcs.map(npc => Character.fromJSON(npc)),
+      interactions: snapshot.interactions,
+      resources: snapshot.resources,
+      settlements: snapshot.settlements || [],
+      deceased: snapshot.deceased || [],
+      caravans: snapshot.caravans || [],
+      tradeRoutes: snapshot.tradeRoutes || [],
+      relationshipGraph: snapshot.relationshipGraph || { edges: [] },
+      factions: snapshot.factions || [],
+      eventTemplates: snapshot.eventTemplates || [],
+      pendingEffects: snapshot.pendingEffects || [],
+      worldEvents: snapshot.worldEvents || [],
+      narrativeGrammar: snapshot.narrativeGrammar || {},
+      encounters: snapshot.encounters || [],
+      activeEncounters: snapshot.activeEncounters || [],
+      questTemplates: snapshot.questTemplates || []
+    };
+
+    this.turnHistory = turnHistory;
+    this.currentTurnSummary = turnHistory.length ? turnHistory[turnHistory.length - 1] : null;
   }
 
   // Update saveState to properly serialize mappless world state
@@ -585,24 +1141,9 @@ class SimulationService {
       return false;
     }
     try {
-      const stateToSave = {
-        time: this.worldState.time || 0,
-        worldName: this.worldState.worldName || '',
-        worldDescription: this.worldState.worldDescription || '',
-        rules: this.worldState.rules || {},
-        initialConditions: this.worldState.initialConditions || {},
-        nodes: Array.isArray(this.worldState.nodes) ? 
-          this.worldState.nodes.map(node => node.toJSON ? node.toJSON() : node) : [],
-        npcs: Array.isArray(this.worldState.npcs) ? 
-          this.worldState.npcs.map(npc => npc.toJSON ? npc.toJSON() : npc) : [],
-        interactions: this.worldState.interactions || [],
-        resources: this.worldState.resources || {},
-        // Save turn-based simulation data
-        turnHistory: this.turnHistory || [],
-        currentTurnSummary: this.currentTurnSummary
-      };
-      localStorage.setItem('worldState', JSON.stringify(stateToSave));
-      console.log('SimulationService: State saved to localStorage');
+      const stateToSave = this.serializeState();
+      this.getWorldRepository().saveWorld(stateToSave);
+      this.logger.log('SimulationService: State saved to storage');
       return true;
     } catch (error) {
       console.error('SimulationService: Failed to save state:', error);
@@ -610,19 +1151,57 @@ class SimulationService {
     }
   }
 
+  // Serialize the current world state and turn data into a plain JSON-safe object
+  serializeState() {
+    if (!this.worldState) {
+      return null;
+    }
+    return {
+      time: this.worldState.time || 0,
+      // Seed plus generator position lets a loaded run continue the same random sequence
+      seed: this.getSeed(),
+      rngState: this.rng ? this.rng.getState() : null,
+      worldName: this.worldState.worldName || '',
+      worldDescription: this.worldState.worldDescription || '',
+      rules: this.worldState.rules || {},
+      initialConditions: this.worldState.initialConditions || {},
+      nodes: Array.isArray(this.worldState.nodes) ? 
+        this.worldState.nodes.map(node => node.toJSON ? node.toJSON() : node) : [],
+      npcs: Array.isArray(this.worldState.npcs) ? 
+        this.worldState.npcs.map(npc => npc.toJSON ? npc.toJSON() : npc) : [],
+      interactions: this.worldState.interactions || [],
+      resources: this.worldState.resources || {},
+      settlements: this.worldState.settlements || [],
+      deceased: this.worldState.deceased || [],
+      caravans: this.worldState.caravans || [],
+      tradeRoutes: this.worldState.tradeRoutes || [],
+      relationshipGraph: this.worldState.relationshipGraph || { edges: [] },
+      factions: this.worldState.factions || [],
+      eventTemplates: this.worldState.eventTemplates || [],
+      pendingEffects: this.worldState.pendingEffects || [],
+      worldEvents: this.worldState.worldEvents || [],
+      narrativeGrammar: this.worldState.narrativeGrammar || {},
+      encounters: this.worldState.encounters || [],
+      activeEncounters: this.worldState.activeEncounters || [],
+      questTemplates: this.worldState.questTemplates || [],
+      // Save turn-based simulation data
+      turnHistory: this.turnHistory || [],
+      currentTurnSummary: this.currentTurnSummary
+    };
+  }
+
   // Update SimulationService.js loadState method
   loadState() {
     try {
-      const savedStateStr = localStorage.getItem('worldState');
-      if (!savedStateStr) {
-        console.info('SimulationService: No saved state found in localStorage');
+      const savedState = this.getWorldRepository().getWorld();
+      if (!savedState) {
+        this.logger.info('SimulationService: No saved state found in storage');
         return null;
       }
 
-      const savedState = JSON.parse(savedStateStr);
       if (!this.isValidSavedState(savedState)) {
         console.warn('SimulationService: Invalid saved state structure, resetting to default');
-        localStorage.removeItem('worldState');
+        this.getWorldRepository().clearWorld();
         return null;
       }
 
@@ -657,7 +1236,7 @@ class SimulationService {
                 console.warn(`SimulationService: NPC ${npcData.name} has invalid currentNodeId: ${npcData.currentNodeId}`);
                 // Assign to first available node if exists
                 npcData.currentNodeId = reconstructedNodes[0].id;
-                console.log(`SimulationService: Reassigned NPC ${npcData.name} to node ${npcData.currentNodeId}`);
+                this.logger.log(`SimulationService: Reassigned NPC ${npcData.name} to node ${npcData.currentNodeId}`);
               }
             }
             return Character.fromJSON ? Character.fromJSON(npcData) : npcData;
@@ -670,8 +1249,13 @@ class SimulationService {
         }
       }).filter(npc => npc !== null) : [];
 
+      this.rng = savedState.seed !== undefined && savedState.seed !== null
+        ? createRandom(savedState.seed, savedState.rngState)
+        : null;
+
       const reconstructedState = {
         time: typeof savedState.time === 'number' ? savedState.time : 0,
+        seed: this.getSeed(),
         worldName: savedState.worldName || '',
         worldDescription: savedState.worldDescription || '',
         rules: savedState.rules || {},
@@ -679,7 +1263,20 @@ class SimulationService {
         nodes: reconstructedNodes,
         npcs: reconstructedNPCs,
         interactions: savedState.interactions || [],
-        resources: savedState.resources && typeof savedState.resources === 'object' ? savedState.resources : {}
+        resources: savedState.resources && typeof savedState.resources === 'object' ? savedState.resources : {},
+        settlements: Array.isArray(savedState.settlements) ? savedState.settlements : [],
+        deceased: Array.isArray(savedState.deceased) ? savedState.deceased : [],
+        caravans: Array.isArray(savedState.caravans) ? savedState.caravans : [],
+        tradeRoutes: Array.isArray(savedState.tradeRoutes) ? savedState.tradeRoutes : [],
+        relationshipGraph: Array.isArray(savedState.relationshipGraph?.edges) ? savedState.relationshipGraph : { edges: [] },
+        factions: Array.isArray(savedState.factions) ? savedState.factions : [],
+        eventTemplates: Array.isArray(savedState.eventTemplates) ? savedState.eventTemplates : [],
+        pendingEffects: Array.isArray(savedState.pendingEffects) ? savedState.pendingEffects : [],
+        worldEvents: Array.isArray(savedState.worldEvents) ? savedState.worldEvents : [],
+        narrativeGrammar: savedState.narrativeGrammar && typeof savedState.narrativeGrammar === 'object' ? savedState.narrativeGrammar : {},
+        encounters: Array.isArray(savedState.encounters) ? savedState.encounters : [],
+        activeEncounters: Array.isArray(savedState.activeEncounters) ? savedState.activeEncounters : [],
+        questTemplates: Array.isArray(savedState.questTemplates) ? savedState.questTemplates : []
       };
 
       this.worldState = reconstructedState;
@@ -692,12 +1289,16 @@ class SimulationService {
         this.currentTurnSummary = savedState.currentTurnSummary;
       }
 
-      console.log(`SimulationService: Loaded state from localStorage with turn ${reconstructedState.time}`);
-      console.log(`SimulationService: ${reconstructedNodes.length} nodes, ${reconstructedNPCs.length} NPCs`);
+      // A loaded run can only rewind as far back as the turn it was loaded at
+      this.snapshots.clear();
+      this.captureSnapshot();
+
+      this.logger.log(`SimulationService: Loaded state from storage with turn ${reconstructedState.time}`);
+      this.logger.log(`SimulationService: ${reconstructedNodes.length} nodes, ${reconstructedNPCs.length} NPCs`);
       return reconstructedState;
     } catch (error) {
-      console.error('SimulationService: Failed to load state from localStorage:', error);
-      localStorage.removeItem('worldState');
+      console.error('SimulationService: Failed to load state from storage:', error);
+      this.getWorldRepository().clearWorld();
       return null;
     }
   }
@@ -770,3 +1371,4 @@ class SimulationService {
 
 const simulationService = new SimulationService();
 export default simulationService;  // Singleton instance for global access
+export { SimulationService };  // Class export for isolated runs (CLI, batch jobs)
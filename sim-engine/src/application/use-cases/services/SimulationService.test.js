@@ -7,8 +7,9 @@ jest.mock('../simulation/GenerateWorld.js', () => jest.fn());
 jest.mock('../simulation/RunTick.js', () => jest.fn());
 jest.mock('../history/AnalyzeHistory.js', () => jest.fn());
 jest.mock('../../../domain/value-objects/Positions.js', () => jest.fn());
+// Plain constructor function: CRA's resetMocks would clear a jest.fn() implementation
 jest.mock('../../../domain/entities/Character.js', () => {
-  return jest.fn().mockImplementation((config) => {
+  return function MockCharacter(config) {
     const character = {
       id: config.id,
       name: config.name,
@@ -29,7 +30,7 @@ jest.mock('../../../domain/entities/Character.js', () => {
       value: config.currentNodeId
     });
     return character;
-  });
+  };
 });
 
 describe('SimulationService', () => {
@@ -565,7 +566,7 @@ describe('SimulationService', () => {
       let result = service.loadState();
       expect(result).toBeNull();
       expect(consoleSpy).toHaveBeenCalledWith(
-        'SimulationService: Failed to load state from localStorage:', 
+        'SimulationService: Failed to load state from storage:', 
         expect.any(Error)
       );
 
@@ -604,7 +605,7 @@ describe('SimulationService', () => {
       
       expect(result).toBeNull();
       expect(consoleInfoSpy).toHaveBeenCalledWith(
-        'SimulationService: No saved state found in localStorage'
+        'SimulationService: No saved state found in storage'
       );
 
       consoleInfoSpy.mockRestore();
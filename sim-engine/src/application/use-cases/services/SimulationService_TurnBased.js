@@ -5,6 +5,7 @@ import runTick from '../simulation/RunTick.js';
 import analyzeHistory from '../history/AnalyzeHistory.js';
 import Character from '../../../domain/entities/Character.js';
 import Node from '../../../domain/entities/Node.js';
+import { getHistoryRepository } from '../../../infrastructure/Persistance/StorageProvider.js';
 
 class SimulationService {
   constructor() {
@@ -577,7 +578,7 @@ class SimulationService {
 
   // Analyze the current history
   getHistoryAnalysis(criteria = {}) {
-    return analyzeHistory(criteria);
+    return analyzeHistory(getHistoryRepository(), criteria);
   }
 
   // Update saveState to properly serialize mappless world state
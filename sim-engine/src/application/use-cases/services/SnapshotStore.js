@@ -0,0 +1,132 @@
+// src/application/use-cases/services/SnapshotStore.js
+
+import { diffState, applyStateDiff } from '../../../shared/utils/StateDiff.js';
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+/**
+ * Per-turn record of serialized simulation state. Every `keyframeInterval` turns a
+ * full copy (keyframe) is kept; the turns in between only store the diff from the
+ * turn before, so long runs stay cheap while any recorded turn can be rebuilt.
+ */
+class SnapshotStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.keyframeInterval=10] - Turns between full copies
+   */
+  constructor(options = {}) {
+    this.keyframeInterval = options.keyframeInterval || 10;
+    if (!Number.isInteger(this.keyframeInterval) || this.keyframeInterval < 1) {
+      throw new Error('keyframeInterval must be a positive integer');
+    }
+    this.entries = new Map();  // turn -> { turn, previousTurn, keyframe, state | diff }
+    this.latestTurn = null;
+    this.latestState = null;  // Kept whole so the next diff does not need a rebuild
+  }
+
+  /**
+   * Records the state at the end of a turn. Recording a turn at or before the
+   * latest one starts a new timeline: the snapshots after it are dropped first.
+   * @param {number} turn - Turn number the state belongs to
+   * @param {Object} state - JSON-safe serialized state
+   */
+  record(turn, state) {
+    if (!Number.isInteger(turn) || turn < 0) {
+      throw new Error(`Invalid snapshot turn: ${turn}`);
+    }
+    if (this.latestTurn !== null && turn <= this.latestTurn) {
+      this.truncateAfter(turn - 1);
+    }
+
+    const snapshot = cloneState(state);
+    const isKeyframe = this.latestState === null || turn % this.keyframeInterval === 0;
+    this.entries.set(turn, isKeyframe
+      ? { turn, previousTurn: null, keyframe: true, state: snapshot }
+      : { turn, previousTurn: this.latestTurn, keyframe: false, diff: diffState(this.latestState, snapshot) });
+
+    this.latestTurn = turn;
+    this.latestState = snapshot;
+  }
+
+  /**
+   * @param {number} turn
+   * @returns {boolean} Whether the turn can be restored
+   */
+  has(turn) {
+    return this.entries.has(turn);
+  }
+
+  /**
+   * @returns {number[]} Recorded turns in ascending order
+   */
+  getTurns() {
+    return Array.from(this.entries.keys()).sort((a, b) => a - b);
+  }
+
+  /**
+   * Rebuilds the state recorded for a turn from its keyframe and the diffs after it
+   * @param {number} turn
+   * @returns {Object} A fresh copy of the recorded state
+   */
+  restore(turn) {
+    if (!this.entries.has(turn)) {
+      throw new Error(`No snapshot recorded for turn ${turn}`);
+    }
+    if (turn === this.latestTurn) {
+      return cloneState(this.latestState);
+    }
+
+    const chain = [];
+    let entry = this.entries.get(turn);
+    while (!entry.keyframe) {
+      chain.unshift(entry.diff);
+      entry = this.entries.get(entry.previousTurn);
+    }
+    return cloneState(chain.reduce((state, diff) => applyStateDiff(state, diff), entry.state));
+  }
+
+  /**
+   * Drops every snapshot recorded after the given turn
+   * @param {number} turn - Last turn to keep
+   */
+  truncateAfter(turn) {
+    if (this.latestTurn === null || this.latestTurn <= turn) return;
+
+    this.getTurns().filter(recorded => recorded > turn).forEach(recorded => this.entries.delete(recorded));
+    this._resetLatest();
+  }
+
+  /**
+   * Copies the snapshots up to and including a turn into a new store (for branching)
+   * @param {number} turn - Last turn to copy
+   * @returns {SnapshotStore}
+   */
+  sliceTo(turn) {
+    const store = new SnapshotStore({ keyframeInterval: this.keyframeInterval });
+    this.getTurns().filter(recorded => recorded <= turn).forEach(recorded => {
+      store.entries.set(recorded, this.entries.get(recorded));  // Entries are never mutated, so sharing is safe
+    });
+    store._resetLatest();
+    return store;
+  }
+
+  // Point latestTurn/latestState at the newest remaining entry
+  _resetLatest() {
+    const turns = this.getTurns();
+    this.latestTurn = null;
+    this.latestState = null;
+    if (turns.length) {
+      const turn = turns[turns.length - 1];
+      this.latestState = this.restore(turn);
+      this.latestTurn = turn;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.latestTurn = null;
+    this.latestState = null;
+  }
+}
+
+export default SnapshotStore;
@@ -0,0 +1,84 @@
+// src/application/use-cases/services/SnapshotStore.test.js
+
+import SnapshotStore from './SnapshotStore.js';
+
+const stateAt = (turn) => ({
+  time: turn,
+  npcs: [{ id: 'c1', energy: 100 - turn }],
+  history: Array.from({ length: turn }, (_, i) => ({ id: `event_${i}` }))
+});
+
+describe('SnapshotStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SnapshotStore({ keyframeInterval: 4 });
+    for (let turn = 0; turn <= 10; turn++) {
+      store.record(turn, stateAt(turn));
+    }
+  });
+
+  test('should keep a keyframe every interval and diffs in between', () => {
+    const keyframes = store.getTurns().filter(turn => store.entries.get(turn).keyframe);
+
+    expect(keyframes).toEqual([0, 4, 8]);
+    expect(store.entries.get(5).diff).toBeDefined();
+    expect(store.entries.get(5).state).toBeUndefined();
+  });
+
+  test('should restore every recorded turn exactly', () => {
+    store.getTurns().forEach(turn => {
+      expect(store.restore(turn)).toEqual(stateAt(turn));
+    });
+  });
+
+  test('should hand out copies', () => {
+    store.restore(6).npcs[0].energy = -1;
+    store.restore(10).npcs[0].energy = -1;
+
+    expect(store.restore(6)).toEqual(stateAt(6));
+    expect(store.restore(10)).toEqual(stateAt(10));
+  });
+
+  test('should not be affected by later changes to the recorded object', () => {
+    const state = stateAt(11);
+    store.record(11, state);
+    state.npcs[0].energy = 0;
+
+    expect(store.restore(11)).toEqual(stateAt(11));
+  });
+
+  test('should reject unknown turns', () => {
+    expect(() => store.restore(42)).toThrow('No snapshot recorded for turn 42');
+  });
+
+  test('should drop later snapshots when truncated', () => {
+    store.truncateAfter(6);
+
+    expect(store.getTurns()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    store.record(7, { ...stateAt(7), branch: true });
+    expect(store.restore(7)).toEqual({ ...stateAt(7), branch: true });
+  });
+
+  test('should start a new timeline when an earlier turn is recorded again', () => {
+    store.record(3, { ...stateAt(3), rewritten: true });
+
+    expect(store.getTurns()).toEqual([0, 1, 2, 3]);
+    expect(store.restore(3).rewritten).toBe(true);
+    expect(store.restore(2)).toEqual(stateAt(2));
+  });
+
+  test('should copy history up to a turn without sharing the timeline', () => {
+    const branch = store.sliceTo(5);
+    branch.record(6, { ...stateAt(6), branch: true });
+
+    expect(branch.getTurns()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(branch.restore(6).branch).toBe(true);
+    expect(store.restore(6)).toEqual(stateAt(6));
+    expect(store.getTurns()).toHaveLength(11);
+  });
+
+  test('should validate the keyframe interval', () => {
+    expect(() => new SnapshotStore({ keyframeInterval: 1.5 })).toThrow('keyframeInterval must be a positive integer');
+  });
+});
@@ -4,6 +4,7 @@ import Character from '../domain/entities/Character.js';
 import Interaction from '../domain/entities/Interaction.js';
 import Position from '../domain/entities/Position.js';
 import Attributes from '../domain/entities/Attributes.js';
+import { getWorldRepository } from '../../../infrastructure/Persistance/StorageProvider.js';
 
 class TemplateService {
   constructor() {
@@ -114,14 +115,14 @@ class TemplateService {
     return Math.min(1, baseCoherence * densityFactor);  // Caps at 1
   }
 
-  // Save templates to localStorage (reused from old project)
+  // Save templates as a world repository document
   saveTemplates() {
-    localStorage.setItem('templates', JSON.stringify(this.templates));
+    getWorldRepository().saveDocument('templates', this.templates);
   }
 
-  // Load templates from localStorage
+  // Load templates from the world repository
   loadTemplates() {
-    const saved = JSON.parse(localStorage.getItem('templates') || '{}');
+    const saved = getWorldRepository().getDocument('templates', {});
     return {
       characterTemplates: saved.characterTemplates || [],
       nodeTemplates: saved.nodeTemplates || [],
@@ -157,6 +157,32 @@ const generateCharactersFromWorldData = (worldBuilderData, numCharacters = 5) =>
   return characters;
 };
 
+// Link every node with its nearest neighbours both ways, so characters can travel between them.
+// Travel reads the distance from the link, so the generator's positions are copied onto it.
+const connectNearestNodes = (nodes, neighbours = 2) => {
+  const link = (from, to, distance) => {
+    if (!from.connectedNodes.some(existing => existing.targetNodeId === to.id)) {
+      from.connectedNodes.push({ targetNodeId: to.id, distance });
+    }
+  };
+  nodes.forEach(node => {
+    // distanceTo is Infinity for a position at the origin; those sort last and get the default distance
+    const gap = other => {
+      const distance = node.position.distanceTo(other.position);
+      return Number.isFinite(distance) ? distance : Number.MAX_VALUE;
+    };
+    nodes
+      .filter(other => other !== node)
+      .sort((a, b) => gap(a) - gap(b))
+      .slice(0, neighbours)
+      .forEach(other => {
+        const distance = gap(other) < Number.MAX_VALUE ? gap(other) : undefined;
+        link(node, other, distance);
+        link(other, node, distance);
+      });
+  });
+};
+
 const generateWorld = (config = {}, worldData = null) => {
   const {
     size = { width: 10, height: 10 },
@@ -184,9 +210,11 @@ const generateWorld = (config = {}, worldData = null) => {
       }),
       interactions: generateNodeInteractions(),
       population: Math.floor(Math.random() * 1000) + 100, // Random population 100-1100
+      connectedNodes: [],
     };
     worldState.nodes.push(node);
   }
+  connectNearestNodes(worldState.nodes);
 
   // Generate characters from world builder data or use fallback
   const characters = generateCharactersFromWorldData(worldData, characterCount);
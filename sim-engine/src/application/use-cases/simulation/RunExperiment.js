@@ -0,0 +1,204 @@
+// src/application/use-cases/simulation/RunExperiment.js
+
+import runTick from './RunTick.js';
+import { toSimulationConfig } from './RunHeadless.js';
+import { SimulationService } from '../services/SimulationService.js';
+import Attributes from '../../../domain/value-objects/Attributes.js';
+import InMemoryStorage from '../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { createRandom, generateSeed } from '../../../shared/utils/RandomUtils.js';
+import { summarize, DEFAULT_PERCENTILES } from '../../../shared/utils/StatisticsUtils.js';
+import { SimulationEventTypes } from '../../../domain/events/SimulationEvents.js';
+
+const pushSample = (samples, key, value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return;
+  (samples[key] = samples[key] || []).push(value);
+};
+
+const summarizeSamples = (samples) => Object.fromEntries(
+  Object.entries(samples).map(([key, values]) => [key, summarize(values)])
+);
+
+// Attribute scores (whatever shape the character stores them in) keyed by attribute name
+const attributeScores = (character) => Object.fromEntries(
+  Object.keys(character.attributes || {}).map(name => [name, Attributes.getScore(character.attributes, name)])
+);
+
+const valueObjectValues = (valueObject) => (valueObject?.toJSON ? valueObject.toJSON().values : valueObject?.values) || {};
+
+/**
+ * Derives the seeds for an experiment: explicit seeds win, otherwise `runs` seeds are
+ * drawn from `baseSeed` so the whole experiment can be repeated
+ * @param {Object} options - { seeds, runs, baseSeed }
+ * @returns {Array<number|string>} One seed per run
+ */
+export const experimentSeeds = ({ seeds, runs = 10, baseSeed } = {}) => {
+  if (Array.isArray(seeds) && seeds.length) {
+    return [...seeds];
+  }
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new Error('Run count must be a positive integer');
+  }
+  const rng = createRandom(baseSeed ?? generateSeed());
+  return Array.from({ length: runs }, () => rng.nextInt(0, 0xffffffff));
+};
+
+// One seed: initialize a private SimulationService, tick it `turns` times and record metrics
+const runOnce = (config, seed, turns, logger) => {
+  const service = new SimulationService({
+    worldRepository: createWorldRepository(new InMemoryStorage()),
+    historyRepository: createHistoryRepository(new InMemoryStorage()),
+    logger
+  });
+  service.initialize({ ...config, seed });
+
+  const initialAttributes = new Map(service.worldState.npcs.map(npc => [npc.id, attributeScores(npc)]));
+  const interactions = {};
+  service.eventBus.subscribe(SimulationEventTypes.INTERACTION_RESOLVED, ({ payload }) => {
+    const { interaction } = payload;
+    const stats = interactions[interaction.id] = interactions[interaction.id] ||
+      { name: interaction.name, attempts: 0, successes: 0, margins: [] };
+    stats.attempts++;
+    if (payload.success) stats.successes++;
+    stats.margins.push(payload.roll - payload.dc);
+  }, { filter: ({ payload }) => typeof payload.roll === 'number' });  // Not rolled: cooldown, missing branch
+
+  let worldState = service.worldState;
+  for (let turn = 0; turn < turns; turn++) {
+    worldState = runTick(worldState, {
+      rng: service.getRandom(),
+      eventBus: service.eventBus
+    });
+  }
+
+  const attributeDrift = {};
+  const alignment = {};
+  const influence = {};
+  worldState.npcs.forEach(npc => {
+    const before = initialAttributes.get(npc.id) || {};
+    Object.entries(attributeScores(npc)).forEach(([name, score]) => {
+      pushSample(attributeDrift, name, score - (before[name] ?? score));
+    });
+    Object.entries(valueObjectValues(npc.alignment)).forEach(([axis, value]) => pushSample(alignment, axis, value));
+    Object.entries(valueObjectValues(npc.influence)).forEach(([domain, value]) => pushSample(influence, domain, value));
+  });
+
+  return {
+    seed: service.getSeed(),
+    turns: worldState.time,
+    eventCount: service.getHistoryRepository().findEvents().length,
+    interactions,
+    attributeDrift,
+    alignment,
+    influence
+  };
+};
+
+/**
+ * Monte Carlo experiment: runs one world under many seeds and aggregates the outcomes
+ * @param {Object} worldData - Parsed world JSON (see toSimulationConfig)
+ * @param {Object} [options]
+ * @param {number} [options.runs=10] - Number of seeds to run
+ * @param {Array<number|string>} [options.seeds] - Explicit seeds (overrides runs/baseSeed)
+ * @param {number|string} [options.baseSeed] - Seed the run seeds are drawn from
+ * @param {number} [options.turns=100] - Turns per run
+ * @param {Function} [options.onRun] - Called with (runIndex, runResult) after each run
+ * @param {Object} [options.logger] - Receives the services' progress messages (console by default)
+ * @returns {Object} Per-interaction success rates, attribute drift, alignment and influence
+ *   distributions (each summarized with mean, variance and percentiles) plus per-run results
+ */
+const runExperiment = (worldData, options = {}) => {
+  const { turns = 100, onRun, logger } = options;
+  if (!Number.isInteger(turns) || turns < 0) {
+    throw new Error('Turn count must be a non-negative integer');
+  }
+
+  const config = toSimulationConfig(worldData);
+  const seeds = experimentSeeds(options);
+
+  const runs = seeds.map((seed, index) => {
+    const result = runOnce(config, seed, turns, logger);
+    if (onRun) {
+      onRun(index, result);
+    }
+    return result;
+  });
+
+  const interactions = {};
+  const attributeDrift = {};
+  const alignment = {};
+  const influence = {};
+  runs.forEach(run => {
+    Object.entries(run.interactions).forEach(([id, stats]) => {
+      const entry = interactions[id] = interactions[id] ||
+        { name: stats.name, attempts: 0, successes: 0, rates: [], margins: [] };
+      entry.attempts += stats.attempts;
+      entry.successes += stats.successes;
+      entry.rates.push(stats.successes / stats.attempts);
+      stats.margins.forEach(margin => entry.margins.push(margin));
+    });
+    [[attributeDrift, run.attributeDrift], [alignment, run.alignment], [influence, run.influence]]
+      .forEach(([samples, runSamples]) => {
+        Object.entries(runSamples).forEach(([key, values]) => values.forEach(value => pushSample(samples, key, value)));
+      });
+  });
+
+  return {
+    worldName: config.worldName,
+    turns,
+    seeds: runs.map(run => run.seed),
+    percentiles: DEFAULT_PERCENTILES,
+    interactions: Object.fromEntries(Object.entries(interactions).map(([id, entry]) => [id, {
+      name: entry.name,
+      attempts: entry.attempts,
+      successes: entry.successes,
+      successRate: entry.successes / entry.attempts,
+      successRateByRun: summarize(entry.rates),
+      rollMargin: summarize(entry.margins)  // roll - DC
+    }])),
+    attributeDrift: summarizeSamples(attributeDrift),
+    alignment: summarizeSamples(alignment),
+    influence: summarizeSamples(influence),
+    eventsPerRun: summarize(runs.map(run => run.eventCount)),
+    runs: runs.map(({ seed, eventCount, interactions: runInteractions }) => ({
+      seed,
+      eventCount,
+      interactions: Object.fromEntries(Object.entries(runInteractions)
+        .map(([id, stats]) => [id, { attempts: stats.attempts, successes: stats.successes }]))
+    }))
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flattens a runExperiment result into CSV: one row per summarized metric
+ * @param {Object} result - runExperiment output
+ * @returns {string} CSV text with a header row
+ */
+export const experimentToCSV = (result) => {
+  const percentileColumns = (result.percentiles || DEFAULT_PERCENTILES).map(p => `p${p}`);
+  const columns = ['count', 'mean', 'variance', 'stdDev', 'min', ...percentileColumns, 'max'];
+  const rows = [['metric', 'key', 'name', ...columns]];
+  const addRow = (metric, key, name, summary) => {
+    rows.push([metric, key, name, ...columns.map(column => summary[column])]);
+  };
+
+  Object.entries(result.interactions).forEach(([id, stats]) => {
+    addRow('interaction_success_rate', id, stats.name, stats.successRateByRun);
+    addRow('interaction_roll_margin', id, stats.name, stats.rollMargin);
+  });
+  Object.entries(result.attributeDrift).forEach(([name, summary]) => addRow('attribute_drift', name, '', summary));
+  Object.entries(result.alignment).forEach(([axis, summary]) => addRow('alignment', axis, '', summary));
+  Object.entries(result.influence).forEach(([domain, summary]) => addRow('influence', domain, '', summary));
+  addRow('events_per_run', '', '', result.eventsPerRun);
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+export default runExperiment;
@@ -0,0 +1,94 @@
+// src/application/use-cases/simulation/RunHeadless.js
+
+import WorldState from '../../../domain/entities/WorldState.js';
+import HistoryGenerator from '../../../domain/services/HistoryGenerator.js';
+import { SimulationService } from '../services/SimulationService.js';
+
+/**
+ * Converts a world file into the mappless configuration SimulationService.initialize expects
+ * Accepts the output of WorldState.export() or a bare serialized WorldState
+ * @param {Object} worldData - Parsed world JSON
+ * @returns {Object} Mappless simulation configuration
+ */
+export const toSimulationConfig = (worldData) => {
+  if (!worldData || typeof worldData !== 'object') {
+    throw new Error('World data must be an object');
+  }
+
+  const world = worldData.format === 'WorldState'
+    ? WorldState.import(worldData)
+    : WorldState.deserialize(worldData);
+
+  // Character-to-node assignments may live on the node, the character or a population map
+  const serialized = worldData.worldState || worldData;
+  const nodePopulations = serialized.nodePopulations || world.metadata?.nodePopulations || {};
+
+  const nodes = world.nodes.map(node => ({
+    ...node,
+    assignedCharacters: node.assignedCharacters || nodePopulations[node.id] ||
+      world.characters.filter(character => character.currentNodeId === node.id).map(character => character.id)
+  }));
+
+  return {
+    seed: world.seed,
+    worldName: world.name,
+    worldDescription: world.description,
+    rules: world.rules || {},
+    initialConditions: world.initialConditions || {},
+    nodes,
+    characters: world.characters,
+    interactions: world.interactions,
+    questTemplates: world.quests,
+    factions: world.factions,
+    eventTemplates: world.events,
+    narrativeGrammar: world.narrativeGrammar
+  };
+};
+
+/**
+ * Runs a world for a fixed number of turns without any UI
+ * @param {Object} worldData - Parsed world JSON (see toSimulationConfig)
+ * @param {Object} [options] - Run options
+ * @param {number} [options.turns=10] - Number of turns to process
+ * @param {number|string} [options.seed] - Overrides the seed stored in the world file
+ * @param {SimulationService} [options.simulationService] - Service instance to drive (a fresh one by default)
+ * @param {Function} [options.onTurn] - Called with (turnNumber, turnSummary) after each turn
+ * @param {Object} [options.logger] - Receives the fresh service's progress messages (console by default)
+ * @returns {Object} Seed, per-turn summaries, history events and the final serialized state
+ */
+const runHeadless = (worldData, options = {}) => {
+  const { turns = 10, seed, onTurn } = options;
+  if (!Number.isInteger(turns) || turns < 0) {
+    throw new Error('Turn count must be a non-negative integer');
+  }
+
+  const simulationService = options.simulationService || new SimulationService({ logger: options.logger });
+  const config = toSimulationConfig(worldData);
+  if (seed !== undefined && seed !== null) {
+    config.seed = seed;
+  }
+
+  const historyGenerator = new HistoryGenerator({ historyRepository: simulationService.getHistoryRepository() });
+  historyGenerator.clearEvents();
+
+  simulationService.initialize(config);
+
+  const turnSummaries = [];
+  for (let i = 0; i < turns; i++) {
+    const result = simulationService.processTurn();
+    turnSummaries.push(result.turnSummary);
+    if (onTurn) {
+      onTurn(result.turnSummary.turn, result.turnSummary);
+    }
+  }
+
+  return {
+    seed: simulationService.getSeed(),
+    turns: turnSummaries.length,
+    turnSummaries,
+    events: historyGenerator.getEvents(),
+    finalState: simulationService.serializeState()
+  };
+};
+
+export default runHeadless;
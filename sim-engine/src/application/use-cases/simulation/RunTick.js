@@ -1,21 +1,76 @@
 // src/application/use-cases/simulation/RunTick.js
 
 import Character from '../../../domain/entities/Character.js';
+import Settlement from '../../../domain/entities/Settlement.js';
 import generateBehavior from '../npc/GenerateBehavior.js';
 import EvolutionService from '../../../domain/services/EvolutionService.js';
-import HistoryGenerator from '../../../domain/services/HistoryGenerator.js';
+import SocialDynamicsService from '../../../domain/services/SocialDynamicsService.js';
+import TravelService, { charactersAt } from '../../../domain/services/TravelService.js';
+import LifecycleService from '../../../domain/services/LifecycleService.js';
+import EncounterService from '../../services/EncounterService.js';
+import QuestService from '../../../domain/services/QuestService.js';
+import SettlementService from '../../../domain/services/SettlementService.js';
+import TradeService from '../../../domain/services/TradeService.js';
+import RelationshipService from '../../../domain/services/RelationshipService.js';
+import FactionService from '../../../domain/services/FactionService.js';
+import HistoricalEventService from '../../../domain/services/HistoricalEventService.js';
+import { subscribeHistoryLogger } from '../../../domain/services/HistoryGenerator.js';
+import { SimulationEventBus, SimulationEventTypes } from '../../../domain/events/SimulationEvents.js';
+import { defaultRandom } from '../../../shared/utils/RandomUtils.js';
+import { getHistoryRepository } from '../../../infrastructure/Persistance/StorageProvider.js';
 
-const runTick = (worldState) => {
+// options.rng: seeded rng from RandomUtils.createRandom - every roll this tick draws from it
+// options.eventBus: SimulationEventBus the tick publishes to (TURN_STARTED, INTERACTION_RESOLVED,
+//   ATTRIBUTE_CHANGED, CHARACTER_DEPARTED, CHARACTER_MOVED, ENCOUNTER_STARTED, ENCOUNTER_RESOLVED,
+//   QUEST_ACCEPTED, QUEST_COMPLETED, QUEST_FAILED, CARAVAN_DEPARTED, CARAVAN_ARRIVED, RELATIONSHIP_FORMED,
+//   RELATIONSHIP_BROKEN, FACTION_JOINED, FACTION_LEFT, FACTION_LEADER_CHANGED, FACTION_GOAL_COMPLETED,
+//   FACTION_STANCE_CHANGED, FACTION_DISSOLVED, WORLD_EVENT_OCCURRED, CHARACTER_DIED, TITLE_SUCCEEDED,
+//   CHARACTER_BORN, TURN_COMPLETED); the owner subscribes history logging.
+//   Every event's `turn` is worldState.time at the start of the tick, like history timestamps.
+// options.historyRepository: without an eventBus, a private bus logs history here
+//   (the configured storage by default)
+// options.daysPerTurn: simulated days per turn for influence/prestige decay, alignment drift
+//   and settlement economies
+// options.effectRegistry: EffectRegistry applying interaction effects (the default one otherwise)
+// options.travel: TravelService options (distancePerTurn, stayBias, minTravelEnergy)
+// options.quests: QuestService options (maxActive, acceptChance)
+// options.trade: TradeService options (capacity, merchantRoles)
+// options.relationships: RelationshipService options (decayRate, interactionTies)
+// options.factions: FactionService options (minMembers, graceTurns, leaveBelow, stanceDrift, rivalryPressure)
+// options.lifecycle: LifecycleService options (turnsPerYear - 365 / daysPerTurn by default -
+//   annualBirthChance, bondThreshold, maxPopulation)
+const runTick = (worldState, options = {}) => {
   if (!worldState || !Array.isArray(worldState.npcs) || !Array.isArray(worldState.nodes)) {
     throw new Error('Invalid world state');
   }
 
   worldState.time = worldState.time || 0;
+  const rng = options.rng || defaultRandom;
+  const turn = worldState.time;
+  let eventBus = options.eventBus;
+  if (!eventBus) {
+    eventBus = new SimulationEventBus();
+    subscribeHistoryLogger(eventBus, { rng, historyRepository: options.historyRepository || getHistoryRepository() });
+  }
+  eventBus.publish(SimulationEventTypes.TURN_STARTED, { turn });
 
   // Adjust tick interval based on average coherence (quantum-inspired)
-  const avgCoherence = worldState.npcs.reduce((sum, npc) => sum + (npc.consciousness?.coherence || 0), 0) / worldState.npcs.length;
+  const avgCoherence = worldState.npcs.length
+    ? worldState.npcs.reduce((sum, npc) => sum + (npc.consciousness?.coherence || 0), 0) / worldState.npcs.length
+    : 0;
   const tickDelay = Math.max(100, 1000 - (avgCoherence * 900));  // 100-1000ms, higher coherence slows time
 
+  const socialDynamics = new SocialDynamicsService({ eventBus, daysPerTurn: options.daysPerTurn });
+  const travelService = new TravelService({ ...options.travel, rng, eventBus });
+  // Characters act within the settlement attached to their node, as it stood at the start of the turn
+  const settlementsByNode = new Map((worldState.settlements || [])
+    .filter(record => record?.id && record.nodeId)
+    .map(record => [record.nodeId, Settlement.fromJSON(record)]));
+  // Relationships: the world's graph, brought up to date with the characters; social
+  // interactions pick their partner from it and move the edges between the two
+  const relationships = new RelationshipService({ ...options.relationships, eventBus, daysPerTurn: options.daysPerTurn });
+  relationships.load(worldState);
+
   worldState.npcs.forEach((npc, index) => {
     if (!(npc instanceof Character)) {
       console.error('Invalid character in world state at index', index, npc);
@@ -30,47 +85,131 @@ const runTick = (worldState) => {
     }
 
     // Create a new Character instance with updated basic state
-    // This maintains the Character class while updating properties
-    const updatedNpc = new Character({
+    // fromJSON revives the value objects (alignment, influence, prestige) and relationships
+    const updatedNpc = Character.fromJSON({
       ...npc.toJSON(), // Get all current properties
       // Update basic properties
       energy: Math.max(0, Math.min(100, (npc.energy || 50) - 1)),
-      health: Math.max(0, Math.min(100, npc.health || 100)),
+      health: Math.max(0, Math.min(100, npc.health ?? 100)),
       mood: Math.max(0, Math.min(100, npc.mood || 50))
     });
 
     // Evolve over time - now passing a proper Character instance
-    const evolutionService = new EvolutionService();
+    const evolutionService = new EvolutionService({ eventBus });
     const evolvedNpc = evolutionService.evolveOverTime(updatedNpc, 1);  // 1 tick elapsed
 
-    // Generate and resolve behavior
-    const behavior = generateBehavior(evolvedNpc, worldState);
+    // Travel: arrive if the journey is due, otherwise stay on the road or maybe set out.
+    // Characters on the road don't act this turn
+    const travel = travelService.advance(evolvedNpc, worldState, turn);
+
+    // Generate and resolve behavior; the resolution is published and logged by subscribers
+    const behavior = travel.traveling ? null : generateBehavior(travel.character, worldState, {
+      rng,
+      eventBus,
+      effectRegistry: options.effectRegistry,
+      daysPerTurn: options.daysPerTurn,
+      relationships
+    });
     if (behavior) {
-      // Create a new Character instance with the interaction type tracked
-      const npcWithInteraction = new Character({
-        ...evolvedNpc.toJSON(),
+      if (behavior.partnerId) {
+        relationships.recordInteraction(npc.id, behavior.partnerId, behavior.interaction.type, behavior.resolution.success, turn);
+      }
+      // Create a new Character instance with the interaction's effects and type tracked
+      const npcWithInteraction = Character.fromJSON({
+        ...(behavior.resolution.character || travel.character).toJSON(),
         lastInteractionType: behavior.interaction.type
       });
 
-      // Log history
-      new HistoryGenerator().logEvent({
-        timestamp: worldState.time,
-        character: npcWithInteraction,
-        interaction: behavior.interaction,
-        outcome: behavior.resolution.outcome,
-        roll: behavior.resolution.roll,
-        dc: behavior.resolution.dc,
-      });
-
       // Update the reference to the new character instance
       worldState.npcs[index] = npcWithInteraction;
     } else {
       // Update even if no behavior was generated
-      worldState.npcs[index] = evolvedNpc;
+      worldState.npcs[index] = travel.character;
+    }
+
+    // Social dynamics: decay, drift, and the standing earned or lost by this turn's interaction
+    const node = travel.traveling
+      ? null
+      : worldState.nodes.find(candidate => candidate.id === worldState.npcs[index].currentNodeId);
+    worldState.npcs[index] = socialDynamics.applyTurn(worldState.npcs[index], {
+      turn,
+      behavior,
+      settlement: node ? settlementsByNode.get(node.id) || node : null,
+      witnesses: node ? charactersAt(worldState.npcs, node.id).length - 1 : 0
+    });
+
+    const movedTo = worldState.npcs[index].currentNodeId;
+    if (movedTo !== npc.currentNodeId) {
+      eventBus.publish(SimulationEventTypes.CHARACTER_MOVED, {
+        turn,
+        characterId: npc.id,
+        characterName: npc.name,
+        fromNodeId: npc.currentNodeId,
+        toNodeId: movedTo
+      });
     }
   });
 
+  // Encounters: definitions (Encounter JSON) and running instances live in the world state so
+  // snapshots carry them; this turn's started/played/completed results go to encounterResults
+  if (Array.isArray(worldState.encounters) && worldState.encounters.length) {
+    const encounterService = new EncounterService({ rng, eventBus, daysPerTurn: options.daysPerTurn });
+    encounterService.loadEncounters(worldState.encounters);
+    encounterService.loadActiveEncounters(worldState.activeEncounters || []);
+    worldState.encounterResults = encounterService.advance(worldState, turn);
+    worldState.encounters = encounterService.saveEncounters();
+    worldState.activeEncounters = encounterService.saveActiveEncounters();
+  } else {
+    worldState.encounterResults = [];
+  }
+
+  // Quests: templates live in the world state, each character's runs in Character.quests;
+  // this turn's accepted/progressed/completed/failed results go to questResults
+  if (Array.isArray(worldState.questTemplates) && worldState.questTemplates.length) {
+    const questService = new QuestService({ ...options.quests, rng, eventBus, daysPerTurn: options.daysPerTurn });
+    worldState.questResults = questService.advance(worldState, turn);
+  } else {
+    worldState.questResults = [];
+  }
+
+  // Settlements: production, markets, taxes, growth and migration; reports go to settlementReports
+  worldState.settlementReports = Array.isArray(worldState.settlements) && worldState.settlements.length
+    ? new SettlementService({ daysPerTurn: options.daysPerTurn }).advance(worldState, turn)
+    : [];
+
+  // Trade: merchants' caravans between connected settlements, at this turn's prices;
+  // caravans and route totals live in the world state, this turn's ledger goes to tradeLedger
+  worldState.tradeLedger = Array.isArray(worldState.settlements) && worldState.settlements.length
+    ? new TradeService({ ...options.trade, eventBus, daysPerTurn: options.daysPerTurn, travel: options.travel }).advance(worldState, turn)
+    : null;
+
+  // Relationships: decay, friendships, rivalries and loyalties gained or lost; the graph goes to
+  // relationshipGraph and each character's affinities back to Character.relationships
+  relationships.advance(worldState, turn);
+
+  // Factions: dues, loyalty, recruits and departures, goals, stances and dissolution, read off
+  // this turn's relationships; reports go to factionReports
+  worldState.factionReports = Array.isArray(worldState.factions) && worldState.factions.length
+    ? new FactionService({ ...options.factions, rng, eventBus }).advance(worldState, turn)
+    : [];
+
+  // World events: wars, plagues, famines and coronations fired from the event templates, and
+  // the ripples of earlier ones falling due; the events fired go to eventResults
+  worldState.eventResults = (worldState.eventTemplates || []).length || (worldState.pendingEffects || []).length
+    ? new HistoricalEventService({ rng, eventBus, daysPerTurn: options.daysPerTurn }).advance(worldState, turn)
+    : [];
+
+  // Lifecycle: birthdays, deaths and succession, then births
+  const lifecycle = new LifecycleService({
+    turnsPerYear: 365 / (options.daysPerTurn || 1),
+    ...options.lifecycle,
+    rng,
+    eventBus
+  });
+  lifecycle.advance(worldState, turn);
+
   worldState.time++;
+  eventBus.publish(SimulationEventTypes.TURN_COMPLETED, { turn, time: worldState.time, tickDelay });
 
   return { ...worldState, tickDelay };  // Return updated state with delay for UI
 };
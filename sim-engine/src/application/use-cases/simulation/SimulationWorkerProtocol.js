@@ -0,0 +1,241 @@
+// src/application/use-cases/simulation/SimulationWorkerProtocol.js
+
+import TimelineManager from './TimelineManager.js';
+import { ALL_EVENTS } from '../../../domain/events/SimulationEvents.js';
+
+/**
+ * Message protocol between the UI thread and the thread that owns the simulation.
+ *
+ * Requests are `{ id, type, payload }`. Every request is answered by exactly one
+ * `{ id, type: 'result', payload }` or `{ id, type: 'error', error }`; runUntil and
+ * autoRun requests additionally emit `{ id, type: 'progress', payload }` after each turn.
+ * autoRun breakpoints are specs (see domain/services/Breakpoints.js) because functions
+ * can't be posted to a worker.
+ *
+ * Simulation events (domain/events/SimulationEvents.js) of the types named by the last
+ * subscribeEvents request are forwarded as `{ type: 'event', payload: event }`, with no id.
+ */
+export const SimulationRequestTypes = Object.freeze({
+  INITIALIZE: 'initialize',
+  PROCESS_TURN: 'processTurn',
+  RUN_UNTIL: 'runUntil',
+  AUTO_RUN: 'autoRun',
+  SET_SPEED: 'setSpeed',
+  SNAPSHOT: 'snapshot',
+  CANCEL: 'cancel',
+  RESET: 'reset',
+  REWIND_TO: 'rewindTo',
+  ANALYZE_HISTORY: 'analyzeHistory',
+  ANALYZE_RELATIONSHIPS: 'analyzeRelationships',
+  GENERATE_CHRONICLE: 'generateChronicle',
+  NARRATE_TURN: 'narrateTurn',
+  GET_BIOGRAPHY: 'getBiography',
+  SET_NARRATIVE_GRAMMAR: 'setNarrativeGrammar',
+  FORK_TIMELINE: 'forkTimeline',
+  ADVANCE_TIMELINE: 'advanceTimeline',
+  REMOVE_TIMELINE: 'removeTimeline',
+  COMPARE_TIMELINES: 'compareTimelines',
+  SUBSCRIBE_EVENTS: 'subscribeEvents'
+});
+
+export const SimulationResponseTypes = Object.freeze({
+  RESULT: 'result',
+  PROGRESS: 'progress',
+  ERROR: 'error',
+  EVENT: 'event'
+});
+
+// Requests that may run while a multi-turn run is in flight (they don't touch the world)
+const CONCURRENT_REQUESTS = new Set([
+  SimulationRequestTypes.SNAPSHOT,
+  SimulationRequestTypes.CANCEL,
+  SimulationRequestTypes.SET_SPEED,
+  SimulationRequestTypes.ANALYZE_HISTORY,
+  SimulationRequestTypes.ANALYZE_RELATIONSHIPS,
+  SimulationRequestTypes.GENERATE_CHRONICLE,
+  SimulationRequestTypes.NARRATE_TURN,
+  SimulationRequestTypes.GET_BIOGRAPHY,
+  SimulationRequestTypes.COMPARE_TIMELINES,
+  SimulationRequestTypes.SUBSCRIBE_EVENTS
+]);
+
+// A macrotask break between turns so queued messages (cancel, snapshot) get handled
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Creates the message handler that drives a SimulationService on behalf of a remote caller
+ * @param {SimulationService} service - The simulation this handler owns
+ * @param {Function} post - Sends a response message back to the caller
+ * @param {Object} [options]
+ * @param {TimelineManager} [options.timelineManager] - Named forks of `service`
+ * @param {number} [options.historySize=10] - Turn summaries included in snapshots
+ * @param {Function} [options.yieldControl] - Awaited between the turns of runUntil and full-speed autoRun requests
+ * @returns {Function} Handles one request message; resolves once its response has been posted.
+ *   Its dispose() stops forwarding simulation events.
+ */
+export const createSimulationMessageHandler = (service, post, options = {}) => {
+  const timelineManager = options.timelineManager || new TimelineManager(service);
+  const historySize = options.historySize ?? 10;
+  const yieldControl = options.yieldControl || yieldToMessages;
+  let activeRun = null;
+  let forwardedTypes = new Set();
+
+  const stopForwarding = service.eventBus?.subscribe(ALL_EVENTS, (event) => {
+    if (forwardedTypes.has(event.type) || forwardedTypes.has(ALL_EVENTS)) {
+      post({ type: SimulationResponseTypes.EVENT, payload: event });
+    }
+  });
+
+  const snapshot = () => ({
+    worldState: service.getCurrentWorldState(),
+    currentTurn: service.getCurrentTurn(),
+    turnSummary: service.getLatestTurnSummary(),
+    turnHistory: service.getTurnHistory(historySize) || [],
+    snapshotTurns: service.getSnapshotTurns() || [],
+    timelines: timelineManager.list()
+  });
+
+  const runUntil = async (id, { turn, turns } = {}) => {
+    const startTurn = service.getCurrentTurn();
+    const targetTurn = turn ?? startTurn + turns;
+    if (!Number.isInteger(targetTurn) || targetTurn < startTurn) {
+      throw new Error('runUntil needs a target turn at or after the current turn');
+    }
+
+    const run = activeRun = { id, cancelled: false, cancel: () => {} };
+    const total = targetTurn - startTurn;
+    let completed = 0;
+    try {
+      while (completed < total && !run.cancelled) {
+        const result = service.processTurn();
+        completed++;
+        post({
+          id,
+          type: SimulationResponseTypes.PROGRESS,
+          payload: { turn: service.getCurrentTurn(), completed, total, turnSummary: result.turnSummary }
+        });
+        await yieldControl();
+      }
+    } finally {
+      activeRun = null;
+    }
+    return { ...snapshot(), completed, cancelled: run.cancelled };
+  };
+
+  // Plays turns at tickDelay / speed until a breakpoint hits or the run is cancelled.
+  // Progress carries the world state too, since auto-play is meant to be watched.
+  const autoRun = async (id, { speed, tickDelay, breakpoints = [] } = {}) => {
+    const run = activeRun = { id, cancelled: false, cancel: () => service.stop() };
+    try {
+      const outcome = await service.start({
+        speed,
+        tickDelay,
+        breakpoints,
+        yieldControl,
+        onTurn: ({ turn, turnsRun, hits, result }) => post({
+          id,
+          type: SimulationResponseTypes.PROGRESS,
+          payload: {
+            turn,
+            completed: turnsRun,
+            total: null,
+            turnSummary: result.turnSummary,
+            worldState: result.worldState,
+            hits
+          }
+        })
+      });
+      return {
+        ...snapshot(),
+        completed: outcome.turnsRun,
+        cancelled: run.cancelled,
+        reason: outcome.reason,
+        hits: outcome.hits,
+        error: outcome.error
+      };
+    } finally {
+      activeRun = null;
+    }
+  };
+
+  const handlers = {
+    [SimulationRequestTypes.INITIALIZE]: (id, config) => {
+      const worldState = service.initialize(config);
+      timelineManager.clearForks();
+      return { ...snapshot(), worldState };
+    },
+    [SimulationRequestTypes.PROCESS_TURN]: () => {
+      const result = service.processTurn();
+      return { ...snapshot(), ...result };
+    },
+    [SimulationRequestTypes.RUN_UNTIL]: runUntil,
+    [SimulationRequestTypes.AUTO_RUN]: autoRun,
+    [SimulationRequestTypes.SET_SPEED]: (id, { speed }) => {
+      service.setSpeed(speed);
+      return { speed };
+    },
+    [SimulationRequestTypes.SNAPSHOT]: () => snapshot(),
+    [SimulationRequestTypes.CANCEL]: () => {
+      if (!activeRun) {
+        return { cancelled: false };
+      }
+      activeRun.cancelled = true;
+      activeRun.cancel();
+      return { cancelled: true, runId: activeRun.id };
+    },
+    [SimulationRequestTypes.RESET]: () => {
+      service.reset();
+      timelineManager.clearForks();
+      return snapshot();
+    },
+    [SimulationRequestTypes.REWIND_TO]: (id, { turn }) => {
+      const worldState = service.rewindTo(turn);
+      return { ...snapshot(), worldState };
+    },
+    [SimulationRequestTypes.ANALYZE_HISTORY]: (id, criteria) => service.getHistoryAnalysis(criteria || {}),
+    [SimulationRequestTypes.ANALYZE_RELATIONSHIPS]: (id, query) => service.getSocialNetwork(query || {}),
+    [SimulationRequestTypes.GENERATE_CHRONICLE]: (id, options) => service.getChronicle(options || {}),
+    [SimulationRequestTypes.NARRATE_TURN]: (id, { turn } = {}) => service.narrateTurn(turn),
+    [SimulationRequestTypes.GET_BIOGRAPHY]: (id, { characterId, options } = {}) => service.getBiography(characterId, options),
+    [SimulationRequestTypes.SET_NARRATIVE_GRAMMAR]: (id, { grammar } = {}) => {
+      service.setNarrativeGrammar(grammar);
+      return snapshot();
+    },
+    [SimulationRequestTypes.FORK_TIMELINE]: (id, { name, options }) => {
+      timelineManager.fork(name, options);
+      return snapshot();
+    },
+    [SimulationRequestTypes.ADVANCE_TIMELINE]: (id, { name, count }) => {
+      timelineManager.runTurns(name, count);
+      return snapshot();
+    },
+    [SimulationRequestTypes.REMOVE_TIMELINE]: (id, { name }) => {
+      timelineManager.remove(name);
+      return snapshot();
+    },
+    [SimulationRequestTypes.COMPARE_TIMELINES]: (id, { a, b }) => timelineManager.compare(a, b),
+    [SimulationRequestTypes.SUBSCRIBE_EVENTS]: (id, { types = [] } = {}) => {
+      forwardedTypes = new Set(types);
+      return { types: [...forwardedTypes] };
+    }
+  };
+
+  const handleMessage = async (message) => {
+    const { id, type, payload } = message || {};
+    try {
+      const handler = handlers[type];
+      if (!handler) {
+        throw new Error(`Unknown simulation request: ${type}`);
+      }
+      if (activeRun && !CONCURRENT_REQUESTS.has(type)) {
+        throw new Error(`Cannot ${type} while a multi-turn run is in progress`);
+      }
+      const result = await handler(id, payload);
+      post({ id, type: SimulationResponseTypes.RESULT, payload: result });
+    } catch (error) {
+      post({ id, type: SimulationResponseTypes.ERROR, error: error.message });
+    }
+  };
+  handleMessage.dispose = () => stopForwarding?.();
+  return handleMessage;
+};
@@ -0,0 +1,142 @@
+// src/application/use-cases/simulation/TimelineManager.js
+
+import compareTimelines from '../history/CompareTimelines.js';
+import { createRandom } from '../../../shared/utils/RandomUtils.js';
+
+/**
+ * Keeps a set of named timelines: the main simulation plus any number of forks made
+ * with SimulationService.branchFrom. Each fork runs on its own storage, so forks can
+ * be advanced independently and compared against each other.
+ */
+class TimelineManager {
+  /**
+   * @param {SimulationService} rootService - The simulation every fork starts from
+   * @param {Object} [options]
+   * @param {string} [options.rootName='main'] - Name of the root timeline
+   */
+  constructor(rootService, options = {}) {
+    this.rootName = options.rootName || 'main';
+    this.timelines = new Map();
+    this.timelines.set(this.rootName, {
+      name: this.rootName,
+      service: rootService,
+      parent: null,
+      forkTurn: null,
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Forks a timeline at a recorded turn
+   * @param {string} name - Unique name for the new timeline
+   * @param {Object} [options]
+   * @param {string} [options.from] - Timeline to fork (the root by default)
+   * @param {number} [options.turn] - Turn to fork at (the source's current turn by default)
+   * @param {number|string} [options.seed] - Reseed the fork so its future plays out differently
+   * @param {Function} [options.apply] - Called with the fork's world state to change it before it runs
+   * @returns {Object} The new timeline ({ name, service, parent, forkTurn, createdAt })
+   */
+  fork(name, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Timeline name must be a non-empty string');
+    }
+    if (this.timelines.has(name)) {
+      throw new Error(`Timeline '${name}' already exists`);
+    }
+
+    const source = this.get(options.from || this.rootName);
+    const turn = options.turn ?? source.service.getCurrentTurn();
+    const service = source.service.branchFrom(turn);
+
+    const reseed = options.seed !== undefined && options.seed !== null;
+    if (reseed) {
+      service.rng = createRandom(options.seed);
+      service.worldState.seed = service.rng.seed;
+    }
+    if (options.apply) {
+      options.apply(service.worldState);
+    }
+    if (reseed || options.apply) {
+      service.captureSnapshot();  // The fork point now holds the changed state
+      service.saveState();
+    }
+
+    const timeline = { name, service, parent: source.name, forkTurn: turn, createdAt: new Date() };
+    this.timelines.set(name, timeline);
+    return timeline;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object} The timeline
+   */
+  get(name) {
+    const timeline = this.timelines.get(name);
+    if (!timeline) {
+      throw new Error(`Unknown timeline '${name}'`);
+    }
+    return timeline;
+  }
+
+  has(name) {
+    return this.timelines.has(name);
+  }
+
+  /**
+   * @returns {Array} Summary of every timeline, root first
+   */
+  list() {
+    return Array.from(this.timelines.values()).map(timeline => ({
+      name: timeline.name,
+      parent: timeline.parent,
+      forkTurn: timeline.forkTurn,
+      currentTurn: timeline.service.getCurrentTurn(),
+      createdAt: timeline.createdAt
+    }));
+  }
+
+  /**
+   * Removes a fork (the root timeline cannot be removed)
+   * @param {string} name
+   */
+  remove(name) {
+    if (name === this.rootName) {
+      throw new Error('The root timeline cannot be removed');
+    }
+    this.get(name);
+    this.timelines.delete(name);
+  }
+
+  // Drop every fork, e.g. after the root simulation is reset or re-initialized
+  clearForks() {
+    Array.from(this.timelines.keys())
+      .filter(name => name !== this.rootName)
+      .forEach(name => this.timelines.delete(name));
+  }
+
+  /**
+   * Advances one timeline without touching the others
+   * @param {string} name
+   * @param {number} [count=1] - Turns to process
+   * @returns {Array} processTurn results
+   */
+  runTurns(name, count = 1) {
+    const { service } = this.get(name);
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(service.processTurn());
+    }
+    return results;
+  }
+
+  /**
+   * @param {string} nameA
+   * @param {string} nameB
+   * @returns {Object} See compareTimelines
+   */
+  compare(nameA, nameB) {
+    return compareTimelines(this.get(nameA), this.get(nameB));
+  }
+}
+
+export default TimelineManager;
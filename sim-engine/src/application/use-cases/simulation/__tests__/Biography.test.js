@@ -0,0 +1,48 @@
+// src/application/use-cases/simulation/__tests__/Biography.test.js
+
+import { SimulationService } from '../../services/SimulationService.js';
+import Character from '../../../../domain/entities/Character.js';
+import { dateOfTurn } from '../../../../shared/utils/TimeUtils.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import GrammarNarrativeService from '../../../../infrastructure/external/GrammarNarrativeService.js';
+
+// Always the first rule
+const first = { next: () => 0, nextInt: min => min };
+
+// Ann is born in turn 2, does a good deed in turn 5 and completes a quest in turn 8
+const ann = new Character({ id: 'ann', name: 'Ann', bornAt: 2, currentNodeId: 'keep' })
+  .withEncounterEffects([{ type: 'alignment', target: 'moral', value: 10 }], { reason: 'Saved a child', timestamp: dateOfTurn(5) })
+  .withEncounterEffects([{ type: 'prestige', target: 'honor', value: 0.5 }, { type: 'influence', target: 'social', value: 6 }], { reason: 'Quest: The Lost Ore', timestamp: dateOfTurn(8) });
+
+const events = [
+  { id: 'e1', timestamp: 2, type: 'birth', characterId: 'ann', characterName: 'Ann', location: 'keep', significance: 0.8, description: 'Ann was born.' },
+  { id: 'e2', timestamp: 8, type: 'quest_completed', characterId: 'ann', characterName: 'Ann', questId: 'ore', location: 'keep', significance: 0.8, description: 'Ann completed the quest The Lost Ore.' }
+];
+
+describe('Biographies from the simulation service', () => {
+  test('should tell a character\'s life from the simulation, living or dead', async () => {
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    events.forEach(event => historyRepository.saveEvent(event));
+    const service = new SimulationService({
+      historyRepository,
+      worldRepository: createWorldRepository(new InMemoryStorage()),
+      narrativeService: new GrammarNarrativeService({ rng: first })
+    });
+    service.worldState = {
+      time: 10,
+      nodes: [{ id: 'keep', name: 'Keep' }],
+      npcs: [ann],
+      deceased: [{ id: 'cid', name: 'Cid', role: 'guard', nodeId: 'keep', age: 61, bornAt: 0, diedAt: 40, cause: 'old age' }]
+    };
+
+    const biography = await service.getBiography('ann');
+
+    expect(biography.text).toMatch(/^Ann was a citizen, born in turn 2 at Keep\. /);
+    expect(biography.text).toContain('Ann completed the quest');
+    expect(biography.entries).toHaveLength(4);
+    expect((await service.getBiography('cid')).series.alignment).toEqual([]);
+    await expect(service.getBiography('nobody')).rejects.toThrow("Character 'nobody' not found");
+  });
+});
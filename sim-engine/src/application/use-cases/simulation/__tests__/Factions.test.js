@@ -0,0 +1,60 @@
+// src/application/use-cases/simulation/__tests__/Factions.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { unlucky, character, buildWorld } from '../../../../test/fixtures.js';
+
+describe('Factions in the turn loop', () => {
+  test('should run in the turn loop, log history and report dissolutions in the turn summary', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    const service = new SimulationService({ historyRepository });
+    // One of its two members is gone, and a guild of one can't last
+    const world = buildWorld({
+      nodes: [{ id: 'keep', name: 'Keep' }],
+      npcs: [character('ann', 'keep')],
+      factions: [{ id: 'smiths', name: 'Smiths\' Guild', type: 'guild', nodeId: 'keep', members: ['ann', 'gone'], leaderId: 'ann' }]
+    });
+    const previous = service.deepCloneState(world);
+
+    runTick(world, { rng: unlucky, eventBus: service.eventBus, factions: { graceTurns: 0 } });
+    const summary = service.generateTurnSummary(previous, world, 1);
+
+    expect(world.factions[0].status).toBe('dissolved');
+    expect(historyRepository.findEvents().map(event => event.type)).toEqual(expect.arrayContaining(['faction_left', 'faction_dissolved']));
+    expect(summary.events.find(event => event.type === 'faction_dissolved')).toMatchObject({ factionName: 'Smiths\' Guild' });
+    expect(summary.summary).toContain('1 faction dissolved');
+    expect(service.deepCloneState(world).factions).toHaveLength(1);
+    logSpy.mockRestore();
+  });
+
+  test('should start the simulation with the factions saved in the faction editor', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const worldRepository = createWorldRepository(new InMemoryStorage());
+    worldRepository.saveDocument('factions', [
+      { id: 'smiths', name: 'Smiths\' Guild', type: 'guild', nodeId: 'keep', members: ['ann'], leaderId: 'ann' },
+      { id: 'watch', name: 'Night Watch', type: 'order', nodeId: 'keep', members: [] }
+    ]);
+    const service = new SimulationService({ worldRepository, historyRepository: createHistoryRepository(new InMemoryStorage()) });
+
+    service.initialize({
+      worldName: 'Keep',
+      seed: 3,
+      nodes: [{ id: 'keep', name: 'Keep', type: 'settlement', assignedCharacters: ['ann'] }],
+      characters: [{ id: 'ann', name: 'Ann', assignedInteractions: ['rest'] }],
+      interactions: [{ id: 'rest', name: 'Rest', type: 'action', branches: [{ id: 'sit', text: 'Sit down' }] }],
+      // The world's own faction wins over the editor's on a shared id
+      factions: [{ id: 'watch', name: 'Old Watch', type: 'order', nodeId: 'keep', members: ['ann'] }]
+    });
+
+    expect(service.worldState.factions.map(faction => [faction.id, faction.name])).toEqual([
+      ['watch', 'Old Watch'],
+      ['smiths', 'Smiths\' Guild']
+    ]);
+    expect(() => service.processTurn()).not.toThrow();
+    logSpy.mockRestore();
+  });
+});
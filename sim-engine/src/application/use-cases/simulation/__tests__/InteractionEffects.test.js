@@ -0,0 +1,32 @@
+// src/application/use-cases/simulation/__tests__/InteractionEffects.test.js
+
+import runTick from '../RunTick.js';
+import Interaction from '../../../../domain/entities/Interaction.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { lucky, character, buildWorld } from '../../../../test/fixtures.js';
+
+describe('Interaction effects in the turn loop', () => {
+  test('should reach the character and the node in the turn loop', () => {
+    const gather = new Interaction({
+      id: 'gather',
+      name: 'Gather Resources',
+      type: 'action',
+      effects: [{ type: 'mood', value: 5 }],
+      branches: [{ id: 'success', text: 'Resources gathered', effects: [{ type: 'resource', value: 10, target: 'food' }] }]
+    });
+    const world = buildWorld({
+      time: 4,
+      nodes: [{ id: 'field', name: 'Field', resourceAvailability: { food: 15 }, interactions: [gather] }],
+      npcs: [character('a', 'field', { energy: 5, baseAttributes: { strength: 14, dexterity: 10, constitution: 10, intelligence: 10, wisdom: 10, charisma: 10 } })],
+      resources: { food: 15 }
+    });
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+
+    runTick(world, { rng: lucky, historyRepository });
+
+    expect(world.npcs[0].inventory).toEqual([expect.objectContaining({ id: 'food', quantity: 10 })]);
+    expect(world.npcs[0].lastInteractionType).toBe('action');
+    expect(world.nodes[0].resourceAvailability.food).toBe(5);
+  });
+});
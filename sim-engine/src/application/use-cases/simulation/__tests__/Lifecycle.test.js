@@ -0,0 +1,35 @@
+// src/application/use-cases/simulation/__tests__/Lifecycle.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import { createRandom } from '../../../../shared/utils/RandomUtils.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { unlucky, character, buildWorld } from '../../../../test/fixtures.js';
+
+describe('Lifecycle in the turn loop', () => {
+  test('should let a simulated turn kill a character whose health ran out, mid-list, and report it', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = new SimulationService({ historyRepository: createHistoryRepository(new InMemoryStorage()) });
+    const world = buildWorld({
+      nodes: [{ id: 'n1', name: 'Ford' }, { id: 'n2', name: 'Mill' }, { id: 'n3', name: 'Keep' }],
+      npcs: [
+        character('aria', 'n1', { age: 30 }),
+        character('borin', 'n2', { age: 30, health: 0 }),
+        character('cal', 'n3', { age: 30 })
+      ]
+    });
+    const previous = service.deepCloneState(world);
+
+    runTick(world, { rng: createRandom(7), lifecycle: { rng: unlucky } });
+    const summary = service.generateTurnSummary(previous, world, 1);
+
+    expect(world.npcs.map(npc => npc.id)).toEqual(['aria', 'cal']);
+    expect(world.deceased).toEqual([expect.objectContaining({ id: 'borin', cause: 'poor health', diedAt: 0 })]);
+    expect(summary.changes).toMatchObject({ charactersMoved: 0, charactersDied: 1, charactersBorn: 0 });
+    expect(summary.events.filter(event => event.type === 'character_moved')).toEqual([]);
+    expect(summary.events).toContainEqual(expect.objectContaining({ type: 'character_died', characterId: 'borin', cause: 'poor health', nodeName: 'Mill' }));
+    expect(summary.summary).toContain('1 character died');
+    logSpy.mockRestore();
+  });
+});
@@ -0,0 +1,70 @@
+// src/application/use-cases/simulation/__tests__/Quests.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import { subscribeHistoryLogger } from '../../../../domain/services/HistoryGenerator.js';
+import { createRandom } from '../../../../shared/utils/RandomUtils.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { lucky, character, buildWorld } from '../../../../test/fixtures.js';
+
+// A one-step errand for those who protect the village
+const errand = {
+  id: 'wolves',
+  name: 'The Wolves of the Wood',
+  trigger: { nodeTypes: ['village'] },
+  goals: ['protect'],
+  nodes: [{ id: 'hear', name: 'Hear the elder', type: 'dialogue' }],
+  rewards: [{ type: 'experience', value: 50 }]
+};
+
+describe('Quests in the turn loop', () => {
+  test('should run quests in the turn loop, log them to history and report them in the summary', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    const service = new SimulationService({ historyRepository });
+    subscribeHistoryLogger(service.eventBus, { rng: createRandom(1), historyRepository });
+    const world = buildWorld({
+      nodes: [{ id: 'village', name: 'Village', type: 'village' }],
+      npcs: [character('guard', 'village', { energy: 5, goals: [{ id: 'protect' }] })],
+      questTemplates: [errand]
+    });
+
+    runTick(world, { rng: lucky, eventBus: service.eventBus });
+    const previous = service.deepCloneState(world);
+    runTick(world, { rng: lucky, eventBus: service.eventBus });
+    const summary = service.generateTurnSummary(previous, world, 1);
+
+    expect(world.questResults.map(result => result.type)).toEqual(['quest_completed']);
+    expect(summary.events.find(event => event.type === 'quest_completed')).toMatchObject({ questName: 'The Wolves of the Wood', nodeName: 'Village' });
+    expect(summary.changes.questsCompleted).toBe(1);
+    expect(summary.summary).toContain('1 quest completed');
+    expect(historyRepository.findEvents().map(event => event.type)).toEqual(expect.arrayContaining(['quest_accepted', 'quest_completed']));
+    logSpy.mockRestore();
+  });
+
+  test('should start the simulation with the quest templates saved in the quest editor', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const worldRepository = createWorldRepository(new InMemoryStorage());
+    worldRepository.saveDocument('quests', [errand, { ...errand, id: 'bandits', name: 'Bandits on the Road' }]);
+    const service = new SimulationService({ worldRepository, historyRepository: createHistoryRepository(new InMemoryStorage()) });
+
+    service.initialize({
+      worldName: 'Village',
+      seed: 3,
+      nodes: [{ id: 'village', name: 'Village', type: 'village', assignedCharacters: ['ann'] }],
+      characters: [{ id: 'ann', name: 'Ann', assignedInteractions: ['rest'] }],
+      interactions: [{ id: 'rest', name: 'Rest', type: 'action', branches: [{ id: 'sit', text: 'Sit down' }] }],
+      // The world's own template wins over the editor's on a shared id
+      questTemplates: [{ ...errand, name: 'Wolves at the Gate' }]
+    });
+
+    expect(service.worldState.questTemplates.map(template => [template.id, template.name])).toEqual([
+      ['wolves', 'Wolves at the Gate'],
+      ['bandits', 'Bandits on the Road']
+    ]);
+    expect(() => service.processTurn()).not.toThrow();
+    logSpy.mockRestore();
+  });
+});
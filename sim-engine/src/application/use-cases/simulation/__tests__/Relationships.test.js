@@ -0,0 +1,43 @@
+// src/application/use-cases/simulation/__tests__/Relationships.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import Interaction from '../../../../domain/entities/Interaction.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { lucky, character, buildWorld } from '../../../../test/fixtures.js';
+
+describe('Relationships in the turn loop', () => {
+  test('should choose partners in the turn loop and expose the network through the simulation service', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = new SimulationService({ historyRepository: createHistoryRepository(new InMemoryStorage()) });
+    const chat = new Interaction({
+      id: 'chat',
+      name: 'Chat',
+      type: 'dialogue',
+      repeatable: true,
+      effects: [{ type: 'relationship', target: 'participants', value: 2 }],
+      branches: [{ id: 'success', text: 'A good talk' }]
+    });
+    const world = buildWorld({
+      nodes: [{ id: 'square', name: 'Square', interactions: [chat] }],
+      npcs: [character('a', 'square', { energy: 5 }), character('b', 'square', { energy: 5 })]
+    });
+
+    runTick(world, { rng: lucky, eventBus: service.eventBus });
+
+    // Each chatted with the other: +3 both ways per dialogue, and +2 from the effect on the one who spoke
+    expect(world.npcs[0].relationships.get('b')).toBeCloseTo(8 * 0.995, 3);
+    expect(world.relationshipGraph.edges).toEqual(expect.arrayContaining([
+      expect.objectContaining({ from: 'a', to: 'b', trust: expect.closeTo(2 * 0.995, 3) })
+    ]));
+
+    service.worldState = world;
+    const network = service.getSocialNetwork({ minAffinity: 5, fromId: 'a', toId: 'b', characterId: 'a' });
+    expect(network).toMatchObject({ characters: 2, edges: 2, factions: [[{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }]] });
+    expect(network.path.map(step => step.id)).toEqual(['a', 'b']);
+    expect(network.relationships).toEqual([expect.objectContaining({ to: 'b', name: 'B' })]);
+    expect(service.deepCloneState(world).relationshipGraph.edges).toHaveLength(2);
+    logSpy.mockRestore();
+  });
+});
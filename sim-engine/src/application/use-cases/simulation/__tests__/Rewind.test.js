@@ -0,0 +1,168 @@
+// src/application/use-cases/simulation/__tests__/Rewind.test.js
+
+import { toSimulationConfig } from '../RunHeadless.js';
+import WorldState from '../../../../domain/entities/WorldState.js';
+import Character from '../../../../domain/entities/Character.js';
+import Interaction from '../../../../domain/entities/Interaction.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+
+const buildConfig = () => toSimulationConfig(new WorldState({
+  name: 'Rewind Test World',
+  seed: 99,
+  nodes: [
+    { id: 'node-1', name: 'Market', type: 'settlement' },
+    { id: 'node-2', name: 'Forest', type: 'wilderness' }
+  ],
+  characters: [
+    { id: 'char-1', name: 'Aria', currentNodeId: 'node-1', assignedInteractions: ['int-1'] },
+    { id: 'char-2', name: 'Borin', currentNodeId: 'node-2', assignedInteractions: ['int-1'] },
+    { id: 'char-3', name: 'Cale', currentNodeId: 'node-1', assignedInteractions: ['int-1'] }
+  ],
+  interactions: [
+    {
+      id: 'int-1',
+      name: 'Haggle',
+      type: 'dialogue',
+      cooldown: 2,
+      branches: [
+        { id: 'b1', text: 'Lower the price' },
+        { id: 'b2', text: 'Walk away' }
+      ]
+    }
+  ]
+}).export());
+
+// Everything that defines where a run is, minus wall-clock timestamps in the summaries
+const fingerprint = (service) => {
+  const { turnHistory, currentTurnSummary, ...state } = service.serializeState();
+  return JSON.parse(JSON.stringify({ ...state, history: service.getHistoryRepository().findEvents() }));
+};
+
+const runTurns = (service, count) => {
+  for (let i = 0; i < count; i++) {
+    service.processTurn();
+  }
+};
+
+describe('Rewind and branch', () => {
+  let service;
+  let logSpy;
+
+  const createService = () => new SimulationService({
+    keyframeInterval: 4,
+    worldRepository: createWorldRepository(new InMemoryStorage()),
+    historyRepository: createHistoryRepository(new InMemoryStorage())
+  });
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = createService();
+    service.initialize(buildConfig());
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('should snapshot the initial state and every processed turn', () => {
+    runTurns(service, 6);
+
+    expect(service.getSnapshotTurns()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  test('should restore characters, nodes, cooldowns and history exactly', () => {
+    runTurns(service, 5);
+    const atTurn5 = fingerprint(service);
+    runTurns(service, 6);
+
+    service.rewindTo(5);
+
+    expect(service.getCurrentTurn()).toBe(5);
+    expect(fingerprint(service)).toEqual(atTurn5);
+    expect(service.worldState.npcs.every(npc => npc instanceof Character)).toBe(true);
+    expect(service.worldState.nodes[0].interactions[0]).toBeInstanceOf(Interaction);
+    expect(service.worldState.nodes.flatMap(node => node.interactions.map(i => i.lastUsed)))
+      .toEqual(atTurn5.nodes.flatMap(node => node.interactions.map(i => i.lastUsed)));
+  });
+
+  test('should replay the same history after rewinding', () => {
+    runTurns(service, 10);
+    const atTurn10 = fingerprint(service);
+
+    service.rewindTo(3);
+    runTurns(service, 7);
+
+    expect(fingerprint(service)).toEqual(atTurn10);
+  });
+
+  test('should forget the discarded turns', () => {
+    runTurns(service, 8);
+    service.rewindTo(2);
+
+    expect(service.getSnapshotTurns()).toEqual([0, 1, 2]);
+    expect(service.getTurnHistory().map(summary => summary.turn)).toEqual([0, 1, 2]);
+    expect(service.getHistoryRepository().findEvents().every(event => event.timestamp < 2)).toBe(true);
+    expect(() => service.rewindTo(5)).toThrow('No snapshot recorded for turn 5');
+  });
+
+  test('should record the history log length instead of copying the log', () => {
+    runTurns(service, 6);
+    const logged = service.getHistoryRepository().findEvents();
+    const atTurn3 = service.snapshots.restore(3);
+
+    expect(atTurn3.history).toBeUndefined();
+    expect(atTurn3.historyLength).toBe(logged.filter(event => event.timestamp < 3).length);
+
+    service.rewindTo(3);
+    expect(service.getHistoryRepository().findEvents()).toEqual(logged.slice(0, atTurn3.historyLength));
+  });
+
+  test('should persist the rewound state', () => {
+    runTurns(service, 4);
+    service.rewindTo(1);
+
+    expect(service.getWorldRepository().getWorld().time).toBe(1);
+  });
+
+  test('should branch into an independent timeline', () => {
+    runTurns(service, 8);
+    const original = fingerprint(service);
+
+    const branch = service.branchFrom(4);
+    expect(branch.getCurrentTurn()).toBe(4);
+    expect(branch.getSnapshotTurns()).toEqual([0, 1, 2, 3, 4]);
+
+    runTurns(branch, 2);
+    branch.rewindTo(1);
+
+    expect(fingerprint(service)).toEqual(original);
+    expect(service.getSnapshotTurns()).toHaveLength(9);
+    expect(branch.getHistoryRepository()).not.toBe(service.getHistoryRepository());
+  });
+
+  test('should keep the world\'s narrative grammar through rewinds and branches', () => {
+    const narrativeGrammar = { birth: ['#subject# came into the world.'] };
+    runTurns(service, 4);
+    service.setNarrativeGrammar(narrativeGrammar);
+
+    const branch = service.branchFrom(2);
+    service.rewindTo(1);
+
+    expect(branch.worldState.narrativeGrammar).toEqual(narrativeGrammar);
+    expect(service.worldState.narrativeGrammar).toEqual(narrativeGrammar);
+    expect(service.getWorldRepository().getWorld().narrativeGrammar).toEqual(narrativeGrammar);
+  });
+
+  test('should branch onto the same future when nothing is changed', () => {
+    runTurns(service, 8);
+    const original = fingerprint(service);
+
+    const branch = service.branchFrom(4);
+    runTurns(branch, 4);
+
+    expect(fingerprint(branch)).toEqual(original);
+  });
+});
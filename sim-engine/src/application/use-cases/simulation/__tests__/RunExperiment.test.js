@@ -0,0 +1,117 @@
+// src/application/use-cases/simulation/__tests__/RunExperiment.test.js
+
+import runExperiment, { experimentSeeds, experimentToCSV } from '../RunExperiment.js';
+import WorldState from '../../../../domain/entities/WorldState.js';
+
+const buildWorld = () => new WorldState({
+  name: 'Experiment World',
+  seed: 1,
+  nodes: [{ id: 'node-1', name: 'Market', type: 'settlement' }],
+  characters: [
+    { id: 'char-1', name: 'Aria', currentNodeId: 'node-1', assignedInteractions: ['int-1'] },
+    { id: 'char-2', name: 'Borin', currentNodeId: 'node-1', assignedInteractions: ['int-1'] }
+  ],
+  interactions: [
+    {
+      id: 'int-1',
+      name: 'Haggle, politely',
+      type: 'dialogue',
+      repeatable: true,
+      branches: [{ id: 'b1', text: 'Offer less', requirements: { dc: 12 } }]
+    }
+  ]
+}).export();
+
+describe('RunExperiment', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  describe('experimentSeeds', () => {
+    test('should derive a repeatable list of seeds from a base seed', () => {
+      const seeds = experimentSeeds({ runs: 5, baseSeed: 42 });
+
+      expect(seeds).toHaveLength(5);
+      expect(new Set(seeds).size).toBe(5);
+      expect(experimentSeeds({ runs: 5, baseSeed: 42 })).toEqual(seeds);
+    });
+
+    test('should prefer explicit seeds', () => {
+      expect(experimentSeeds({ seeds: [1, 'two'], runs: 5 })).toEqual([1, 'two']);
+    });
+
+    test('should reject invalid run counts', () => {
+      expect(() => experimentSeeds({ runs: 0 })).toThrow('Run count must be a positive integer');
+    });
+  });
+
+  describe('runExperiment', () => {
+    test('should run every seed for the requested turns', () => {
+      const onRun = jest.fn();
+      const result = runExperiment(buildWorld(), { seeds: [1, 2, 3], turns: 8, onRun });
+
+      expect(result.seeds).toEqual([1, 2, 3]);
+      expect(result.turns).toBe(8);
+      expect(result.runs).toHaveLength(3);
+      expect(onRun).toHaveBeenCalledTimes(3);
+      expect(onRun.mock.calls[0][1].turns).toBe(8);
+    });
+
+    test('should aggregate interaction success rates from rolls against the DC', () => {
+      const result = runExperiment(buildWorld(), { seeds: [1, 2, 3, 4], turns: 10 });
+      const haggle = result.interactions['int-1'];
+
+      // Two characters act every turn in every run
+      expect(haggle.attempts).toBe(4 * 10 * 2);
+      expect(haggle.successes).toBe(result.runs.reduce((sum, run) => sum + run.interactions['int-1'].successes, 0));
+      expect(haggle.successRate).toBeCloseTo(haggle.successes / haggle.attempts);
+      expect(haggle.successRateByRun.count).toBe(4);
+      expect(haggle.rollMargin.count).toBe(haggle.attempts);
+      expect(haggle.rollMargin.min).toBeGreaterThanOrEqual(1 - 12 - 5);
+    });
+
+    test('should summarize attribute drift, alignment and influence per character and run', () => {
+      const result = runExperiment(buildWorld(), { seeds: [1, 2], turns: 5 });
+
+      expect(Object.keys(result.attributeDrift)).toEqual(expect.arrayContaining(['charisma', 'strength']));
+      expect(result.attributeDrift.charisma.count).toBe(4);
+      Object.values(result.alignment).forEach(summary => expect(summary.count).toBe(4));
+      Object.values(result.influence).forEach(summary => expect(summary).toEqual(expect.objectContaining({
+        count: 4,
+        mean: expect.any(Number),
+        variance: expect.any(Number),
+        p50: expect.any(Number)
+      })));
+    });
+
+    test('should be reproducible for the same seeds', () => {
+      const first = runExperiment(buildWorld(), { runs: 3, baseSeed: 'tuning', turns: 6 });
+      const second = runExperiment(buildWorld(), { runs: 3, baseSeed: 'tuning', turns: 6 });
+
+      expect(second).toEqual(first);
+    });
+
+    test('should validate the turn count', () => {
+      expect(() => runExperiment(buildWorld(), { turns: -1 })).toThrow('Turn count must be a non-negative integer');
+    });
+  });
+
+  describe('experimentToCSV', () => {
+    test('should write one row per metric with summary columns', () => {
+      const csv = experimentToCSV(runExperiment(buildWorld(), { seeds: [1, 2], turns: 4 }));
+      const [header, ...rows] = csv.trim().split('\n');
+
+      expect(header).toBe('metric,key,name,count,mean,variance,stdDev,min,p5,p25,p50,p75,p95,max');
+      expect(rows[0]).toMatch(/^interaction_success_rate,int-1,"Haggle, politely",2,/);
+      expect(rows.some(row => row.startsWith('attribute_drift,charisma,,'))).toBe(true);
+      expect(rows[rows.length - 1]).toMatch(/^events_per_run,,,2,/);
+      rows.forEach(row => expect(row.split(',').length).toBeGreaterThanOrEqual(14));
+    });
+  });
+});
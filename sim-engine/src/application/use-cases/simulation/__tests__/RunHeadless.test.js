@@ -0,0 +1,111 @@
+// src/application/use-cases/simulation/__tests__/RunHeadless.test.js
+
+import runHeadless, { toSimulationConfig } from '../RunHeadless.js';
+import WorldState from '../../../../domain/entities/WorldState.js';
+
+const buildWorld = (seed = 1234) => new WorldState({
+  name: 'Headless Test World',
+  seed,
+  nodes: [
+    { id: 'node-1', name: 'Market', type: 'settlement' },
+    { id: 'node-2', name: 'Forest', type: 'wilderness', assignedCharacters: ['char-2'] }
+  ],
+  characters: [
+    { id: 'char-1', name: 'Aria', currentNodeId: 'node-1', assignedInteractions: ['int-1'] },
+    { id: 'char-2', name: 'Borin', assignedInteractions: ['int-1'] }
+  ],
+  interactions: [
+    {
+      id: 'int-1',
+      name: 'Chat',
+      type: 'dialogue',
+      branches: [
+        { id: 'b1', text: 'Trade gossip' },
+        { id: 'b2', text: 'Ask for directions' }
+      ]
+    }
+  ]
+});
+
+describe('RunHeadless', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    localStorage.clear();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  describe('toSimulationConfig', () => {
+    test('should accept WorldState.export() output', () => {
+      const config = toSimulationConfig(buildWorld().export());
+
+      expect(config.worldName).toBe('Headless Test World');
+      expect(config.seed).toBe(1234);
+      expect(config.nodes).toHaveLength(2);
+      expect(config.characters).toHaveLength(2);
+    });
+
+    test('should accept a bare serialized WorldState', () => {
+      const config = toSimulationConfig(buildWorld().serialize());
+
+      expect(config.worldName).toBe('Headless Test World');
+    });
+
+    test('should derive node assignments from character locations', () => {
+      const config = toSimulationConfig(buildWorld().export());
+
+      expect(config.nodes[0].assignedCharacters).toEqual(['char-1']);
+      expect(config.nodes[1].assignedCharacters).toEqual(['char-2']);
+    });
+
+    test('should reject non-object input', () => {
+      expect(() => toSimulationConfig(null)).toThrow('World data must be an object');
+    });
+  });
+
+  describe('runHeadless', () => {
+    test('should run the requested number of turns', () => {
+      const onTurn = jest.fn();
+      const result = runHeadless(buildWorld().export(), { turns: 5, onTurn });
+
+      expect(result.turns).toBe(5);
+      expect(result.turnSummaries).toHaveLength(5);
+      expect(onTurn).toHaveBeenCalledTimes(5);
+      expect(result.finalState.time).toBe(5);
+    });
+
+    test('should produce identical histories for the same seed', () => {
+      const first = runHeadless(buildWorld().export(), { turns: 10 });
+      const second = runHeadless(buildWorld().export(), { turns: 10 });
+
+      expect(second.events).toEqual(first.events);
+      // Turn summaries carry wall-clock timestamps, so compare the simulated state only
+      expect(second.finalState.npcs).toEqual(first.finalState.npcs);
+      expect(second.finalState.rngState).toBe(first.finalState.rngState);
+    });
+
+    test('should let the seed option override the world seed', () => {
+      const result = runHeadless(buildWorld().export(), { turns: 1, seed: 'override' });
+
+      expect(result.seed).toBe('override');
+    });
+
+    test('should reject invalid turn counts', () => {
+      expect(() => runHeadless(buildWorld().export(), { turns: -1 }))
+        .toThrow('Turn count must be a non-negative integer');
+    });
+
+    test('should send the service\'s progress messages to the logger option', () => {
+      const logger = { log: jest.fn(), info: jest.fn() };
+
+      runHeadless(buildWorld().export(), { turns: 2, logger });
+
+      expect(logger.log).toHaveBeenCalledWith('Turn 2 processed successfully');
+      expect(logSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// src/application/use-cases/simulation/__tests__/Settlements.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { character, buildWorld } from '../../../../test/fixtures.js';
+
+describe('Settlements in the turn loop', () => {
+  let service;
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new SimulationService({ historyRepository: createHistoryRepository(new InMemoryStorage()) });
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('should tick settlements in the turn loop, let characters act within them and report them', () => {
+    // A thousand people with no stores and nothing to make food with
+    const world = buildWorld({
+      nodes: [{ id: 'valley', name: 'Valley' }],
+      npcs: [character('a', 'valley', { energy: 5 })],
+      settlements: [{ id: 'millbrook', name: 'Millbrook', nodeId: 'valley', population: 1000, resources: { amounts: {}, consumption: { food: 1 } } }]
+    });
+    const previous = service.deepCloneState(world);
+
+    runTick(world, { eventBus: service.eventBus });
+    const summary = service.generateTurnSummary(previous, world, 0);
+
+    expect(world.settlementReports).toHaveLength(1);
+    expect(world.settlements[0].resources.shortages).toEqual({ food: 10 });
+    expect(summary.events.find(event => event.type === 'settlement_shortage')).toMatchObject({ settlementName: 'Millbrook', shortages: { food: 10 } });
+    expect(summary.settlements[0]).toMatchObject({ settlementId: 'millbrook', population: world.settlements[0].population });
+    expect(summary.summary).toContain('1 settlement ran short of supplies');
+  });
+
+  test('should create settlements given inline on world nodes', () => {
+    service.initialize({
+      seed: 1,
+      worldName: 'Test',
+      nodes: [{ id: 'valley', name: 'Valley', type: 'town', assignedCharacters: ['a'], settlement: { population: 300 } }],
+      characters: [{ id: 'a', name: 'A', assignedInteractions: ['greet'] }],
+      interactions: [{ id: 'greet', name: 'Greet' }]
+    });
+
+    expect(service.worldState.settlements).toEqual([expect.objectContaining({ id: 'settlement_valley', name: 'Valley', type: 'town', nodeId: 'valley', population: 300 })]);
+  });
+});
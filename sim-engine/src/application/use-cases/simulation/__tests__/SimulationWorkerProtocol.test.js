@@ -0,0 +1,212 @@
+// src/application/use-cases/simulation/__tests__/SimulationWorkerProtocol.test.js
+
+import { createSimulationMessageHandler, SimulationResponseTypes } from '../SimulationWorkerProtocol.js';
+import { toSimulationConfig } from '../RunHeadless.js';
+import WorldState from '../../../../domain/entities/WorldState.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+
+const buildConfig = () => toSimulationConfig(new WorldState({
+  name: 'Worker Test World',
+  seed: 11,
+  nodes: [{ id: 'node-1', name: 'Market', type: 'settlement' }],
+  characters: [
+    { id: 'char-1', name: 'Aria', currentNodeId: 'node-1', assignedInteractions: ['int-1'] },
+    { id: 'char-2', name: 'Borin', currentNodeId: 'node-1', assignedInteractions: ['int-1'] }
+  ],
+  interactions: [
+    { id: 'int-1', name: 'Chat', type: 'dialogue', branches: [{ id: 'b1', text: 'Trade gossip' }] }
+  ]
+}).export());
+
+describe('SimulationWorkerProtocol', () => {
+  let service;
+  let messages;
+  let handle;
+  let logSpy;
+
+  const responseTo = (id) => messages.find(message => message.id === id && message.type !== SimulationResponseTypes.PROGRESS);
+  const progressOf = (id) => messages.filter(message => message.id === id && message.type === SimulationResponseTypes.PROGRESS);
+
+  beforeEach(async () => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new SimulationService({
+      worldRepository: createWorldRepository(new InMemoryStorage()),
+      historyRepository: createHistoryRepository(new InMemoryStorage())
+    });
+    messages = [];
+    handle = createSimulationMessageHandler(service, message => messages.push(message), {
+      yieldControl: () => Promise.resolve()
+    });
+    await handle({ id: 1, type: 'initialize', payload: buildConfig() });
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('should answer initialize with a snapshot of the new world', () => {
+    expect(responseTo(1)).toEqual({
+      id: 1,
+      type: 'result',
+      payload: expect.objectContaining({
+        currentTurn: 0,
+        turnHistory: [expect.objectContaining({ turn: 0 })],
+        snapshotTurns: [0],
+        timelines: [expect.objectContaining({ name: 'main', currentTurn: 0 })]
+      })
+    });
+    expect(responseTo(1).payload.worldState.npcs).toHaveLength(2);
+  });
+
+  test('should process a single turn', async () => {
+    await handle({ id: 2, type: 'processTurn' });
+
+    expect(responseTo(2).payload).toEqual(expect.objectContaining({
+      success: true,
+      currentTurn: 1,
+      turnSummary: expect.objectContaining({ turn: 1 })
+    }));
+  });
+
+  test('should run until a target turn, posting progress after every turn', async () => {
+    await handle({ id: 2, type: 'runUntil', payload: { turns: 4 } });
+
+    expect(progressOf(2).map(message => message.payload.completed)).toEqual([1, 2, 3, 4]);
+    expect(progressOf(2)[3].payload).toEqual(expect.objectContaining({ turn: 4, total: 4 }));
+    expect(responseTo(2).payload).toEqual(expect.objectContaining({ currentTurn: 4, completed: 4, cancelled: false }));
+
+    await handle({ id: 3, type: 'runUntil', payload: { turn: 6 } });
+    expect(responseTo(3).payload).toEqual(expect.objectContaining({ currentTurn: 6, completed: 2 }));
+  });
+
+  test('should stop a run when cancelled between turns', async () => {
+    let turnsSeen = 0;
+    handle = createSimulationMessageHandler(service, message => messages.push(message), {
+      yieldControl: async () => {
+        turnsSeen++;
+        if (turnsSeen === 2) {
+          await handle({ id: 99, type: 'cancel' });
+        }
+      }
+    });
+
+    await handle({ id: 2, type: 'runUntil', payload: { turns: 10 } });
+
+    expect(responseTo(99).payload).toEqual({ cancelled: true, runId: 2 });
+    expect(responseTo(2).payload).toEqual(expect.objectContaining({ completed: 2, cancelled: true, currentTurn: 2 }));
+  });
+
+  test('should auto-run until a breakpoint spec hits', async () => {
+    await handle({
+      id: 2,
+      type: 'autoRun',
+      payload: { speed: Infinity, breakpoints: [{ type: 'condition', path: 'time', operator: '>=', value: 3 }] }
+    });
+
+    expect(progressOf(2).map(message => message.payload.turn)).toEqual([1, 2, 3]);
+    expect(progressOf(2)[0].payload.worldState.npcs).toHaveLength(2);
+    expect(responseTo(2).payload).toEqual(expect.objectContaining({
+      currentTurn: 3,
+      completed: 3,
+      cancelled: false,
+      reason: 'breakpoint',
+      hits: [expect.objectContaining({ type: 'predicate', message: 'time >= 3' })]
+    }));
+    expect(service.isRunning).toBe(false);
+  });
+
+  test('should stop an auto-run on cancel', async () => {
+    let turnsSeen = 0;
+    handle = createSimulationMessageHandler(service, message => messages.push(message), {
+      yieldControl: async () => {
+        turnsSeen++;
+        if (turnsSeen === 3) {
+          await handle({ id: 98, type: 'setSpeed', payload: { speed: 8 } });
+          await handle({ id: 99, type: 'cancel' });
+        }
+      }
+    });
+
+    await handle({ id: 2, type: 'autoRun', payload: { speed: Infinity } });
+
+    expect(responseTo(98).payload).toEqual({ speed: 8 });
+    expect(responseTo(99).payload).toEqual({ cancelled: true, runId: 2 });
+    expect(responseTo(2).payload).toEqual(expect.objectContaining({ reason: 'stopped', cancelled: true, currentTurn: 2 }));
+  });
+
+  test('should refuse to change the world while a run is in progress', async () => {
+    handle = createSimulationMessageHandler(service, message => messages.push(message), {
+      yieldControl: async () => {
+        await handle({ id: 50, type: 'processTurn' });
+        await handle({ id: 51, type: 'snapshot' });
+      }
+    });
+
+    await handle({ id: 2, type: 'runUntil', payload: { turns: 1 } });
+
+    expect(responseTo(50)).toEqual({ id: 50, type: 'error', error: 'Cannot processTurn while a multi-turn run is in progress' });
+    expect(responseTo(51).type).toBe('result');
+    expect(responseTo(2).payload.currentTurn).toBe(1);
+  });
+
+  test('should report a cancel with no run in progress', async () => {
+    await handle({ id: 2, type: 'cancel' });
+
+    expect(responseTo(2).payload).toEqual({ cancelled: false });
+  });
+
+  test('should rewind and fork timelines through messages', async () => {
+    await handle({ id: 2, type: 'runUntil', payload: { turns: 3 } });
+    await handle({ id: 3, type: 'forkTimeline', payload: { name: 'war', options: { turn: 1 } } });
+    await handle({ id: 4, type: 'rewindTo', payload: { turn: 2 } });
+
+    expect(responseTo(3).payload.timelines.map(timeline => timeline.name)).toEqual(['main', 'war']);
+    expect(responseTo(4).payload.currentTurn).toBe(2);
+    expect(responseTo(4).payload.snapshotTurns).toEqual([0, 1, 2]);
+  });
+
+  test('should replace and save the world\'s narrative grammar', async () => {
+    const narrativeGrammar = { birth: ['#subject# came into the world.'] };
+    await handle({ id: 2, type: 'runUntil', payload: { turns: 2 } });
+    await handle({ id: 3, type: 'setNarrativeGrammar', payload: { grammar: narrativeGrammar } });
+
+    expect(responseTo(3).payload.currentTurn).toBe(2);
+    expect(responseTo(3).payload.worldState.narrativeGrammar).toEqual(narrativeGrammar);
+    expect(service.getWorldRepository().getWorld().narrativeGrammar).toEqual(narrativeGrammar);
+  });
+
+  test('should forward the subscribed simulation events in publish order', async () => {
+    const events = () => messages.filter(message => message.type === SimulationResponseTypes.EVENT).map(message => message.payload);
+
+    await handle({ id: 2, type: 'processTurn' });
+    expect(events()).toEqual([]);
+
+    await handle({ id: 3, type: 'subscribeEvents', payload: { types: ['turn.started', 'interaction.resolved', 'turn.completed'] } });
+    await handle({ id: 4, type: 'processTurn' });
+
+    expect(responseTo(3).payload).toEqual({ types: ['turn.started', 'interaction.resolved', 'turn.completed'] });
+    expect(events().map(event => event.type)).toEqual([
+      'turn.started', 'interaction.resolved', 'interaction.resolved', 'turn.completed'
+    ]);
+    expect(events()[0].payload).toEqual({ turn: 1 });
+    expect(events()[1].payload).toEqual(expect.objectContaining({ turn: 1, characterId: 'char-1', interactionId: 'int-1' }));
+    expect(events().map(event => event.sequence)).toEqual([...events().map(event => event.sequence)].sort((a, b) => a - b));
+
+    handle.dispose();
+    await handle({ id: 5, type: 'processTurn' });
+    expect(events()).toHaveLength(4);
+  });
+
+  test('should answer errors instead of throwing', async () => {
+    await handle({ id: 2, type: 'teleport' });
+    await handle({ id: 3, type: 'runUntil', payload: { turn: -1 } });
+    await handle({ id: 4, type: 'rewindTo', payload: { turn: 40 } });
+
+    expect(responseTo(2)).toEqual({ id: 2, type: 'error', error: 'Unknown simulation request: teleport' });
+    expect(responseTo(3).error).toBe('runUntil needs a target turn at or after the current turn');
+    expect(responseTo(4).error).toBe('No snapshot recorded for turn 40');
+  });
+});
@@ -0,0 +1,33 @@
+// src/application/use-cases/simulation/__tests__/SocialDynamics.test.js
+
+import runTick from '../RunTick.js';
+import Character from '../../../../domain/entities/Character.js';
+import Interaction from '../../../../domain/entities/Interaction.js';
+import { createRandom } from '../../../../shared/utils/RandomUtils.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { buildWorld } from '../../../../test/fixtures.js';
+
+describe('Social dynamics in the turn loop', () => {
+  test('should carry standing from turn to turn in runTick', () => {
+    const interaction = new Interaction({ id: 'chat', name: 'Chat', type: 'dialogue', branches: [{ id: 'b1', text: 'Gossip' }] });
+    const worldState = buildWorld({
+      nodes: [{ id: 'market', name: 'Market', type: 'settlement', population: 200, interactions: [interaction] }],
+      npcs: [
+        new Character({ id: 'aria', name: 'Aria', currentNodeId: 'market', influenceValues: { social: 30, economic: 20 }, prestigeValues: { social: 30 } }),
+        new Character({ id: 'borin', name: 'Borin', currentNodeId: 'market' })
+      ]
+    });
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    const rng = createRandom(7);
+
+    for (let i = 0; i < 5; i++) {
+      runTick(worldState, { rng, historyRepository });
+    }
+
+    const aria = worldState.npcs[0];
+    expect(aria.influence.getDomainHistory('social').length).toBeGreaterThanOrEqual(5);
+    expect(aria.relationships).toBeInstanceOf(Map);
+    expect(aria.currentNodeId).toBe('market');
+  });
+});
@@ -0,0 +1,136 @@
+// src/application/use-cases/simulation/__tests__/TimelineManager.test.js
+
+import TimelineManager from '../TimelineManager.js';
+import { toSimulationConfig } from '../RunHeadless.js';
+import WorldState from '../../../../domain/entities/WorldState.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+
+const buildConfig = () => toSimulationConfig(new WorldState({
+  name: 'Timeline Test World',
+  seed: 7,
+  nodes: [
+    { id: 'node-1', name: 'Market', type: 'settlement' },
+    { id: 'node-2', name: 'Forest', type: 'wilderness' }
+  ],
+  characters: [
+    { id: 'char-1', name: 'Aria', currentNodeId: 'node-1', assignedInteractions: ['int-1'] },
+    { id: 'char-2', name: 'Borin', currentNodeId: 'node-2', assignedInteractions: ['int-1'] }
+  ],
+  interactions: [
+    {
+      id: 'int-1',
+      name: 'Chat',
+      type: 'dialogue',
+      branches: [{ id: 'b1', text: 'Trade gossip' }, { id: 'b2', text: 'Ask for directions' }]
+    }
+  ]
+}).export());
+
+describe('TimelineManager', () => {
+  let manager;
+  let root;
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = new SimulationService({
+      worldRepository: createWorldRepository(new InMemoryStorage()),
+      historyRepository: createHistoryRepository(new InMemoryStorage())
+    });
+    root.initialize(buildConfig());
+    for (let i = 0; i < 6; i++) {
+      root.processTurn();
+    }
+    manager = new TimelineManager(root);
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('should start with the root timeline', () => {
+    expect(manager.list()).toEqual([
+      expect.objectContaining({ name: 'main', parent: null, forkTurn: null, currentTurn: 6 })
+    ]);
+  });
+
+  test('should fork at the current turn by default', () => {
+    const timeline = manager.fork('what-if');
+
+    expect(timeline.forkTurn).toBe(6);
+    expect(timeline.parent).toBe('main');
+    expect(timeline.service).not.toBe(root);
+    expect(manager.get('what-if').service.getCurrentTurn()).toBe(6);
+  });
+
+  test('should fork at an earlier turn and from other forks', () => {
+    manager.fork('early', { turn: 2 });
+    manager.runTurns('early', 3);
+    const nested = manager.fork('nested', { from: 'early', turn: 4 });
+
+    expect(nested.parent).toBe('early');
+    expect(nested.service.getCurrentTurn()).toBe(4);
+  });
+
+  test('should run timelines independently', () => {
+    manager.fork('fork', { turn: 3 });
+    manager.runTurns('fork', 5);
+
+    expect(manager.list().map(t => [t.name, t.currentTurn])).toEqual([['main', 6], ['fork', 8]]);
+  });
+
+  test('should replay the parent exactly when nothing changes', () => {
+    manager.fork('replay', { turn: 3 });
+    manager.runTurns('replay', 3);
+
+    const comparison = manager.compare('main', 'replay');
+    expect(comparison.divergedCharacters).toEqual([]);
+    expect(comparison.events.onlyInA + comparison.events.onlyInB).toBe(0);
+  });
+
+  test('should diverge when the fork is reseeded', () => {
+    manager.fork('reseeded', { turn: 3, seed: 'a different fate' });
+    manager.runTurns('reseeded', 3);
+
+    const comparison = manager.compare('main', 'reseeded');
+    expect(comparison.events.firstDivergentTurn).toBeGreaterThanOrEqual(3);
+    expect(comparison.events.onlyInB).toBeGreaterThan(0);
+    expect(comparison.b.forkTurn).toBe(3);
+  });
+
+  test('should let a fork change its world before it runs', () => {
+    manager.fork('moved', {
+      apply: (worldState) => {
+        worldState.resources.gold = 500;
+      }
+    });
+
+    expect(manager.get('moved').service.getCurrentWorldState().resources.gold).toBe(500);
+    expect(root.getCurrentWorldState().resources.gold).toBeUndefined();
+    manager.get('moved').service.rewindTo(6);
+    expect(manager.get('moved').service.getCurrentWorldState().resources.gold).toBe(500);
+  });
+
+  test('should validate names', () => {
+    manager.fork('taken');
+
+    expect(() => manager.fork('')).toThrow('Timeline name must be a non-empty string');
+    expect(() => manager.fork('taken')).toThrow("Timeline 'taken' already exists");
+    expect(() => manager.fork('x', { from: 'missing' })).toThrow("Unknown timeline 'missing'");
+  });
+
+  test('should remove forks but not the root', () => {
+    manager.fork('a');
+    manager.fork('b');
+    manager.remove('a');
+
+    expect(manager.has('a')).toBe(false);
+    expect(() => manager.remove('main')).toThrow('The root timeline cannot be removed');
+
+    manager.clearForks();
+    expect(manager.list().map(t => t.name)).toEqual(['main']);
+  });
+});
@@ -0,0 +1,46 @@
+// src/application/use-cases/simulation/__tests__/Trade.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { character, buildWorld } from '../../../../test/fixtures.js';
+
+const settlement = (id, nodeId, amounts, price) => ({
+  id,
+  name: id,
+  nodeId,
+  population: 100,
+  resources: { amounts },
+  economy: { taxes: { rate: 0, tariff: 0.1 }, markets: [{ type: 'general', goods: [{ type: 'food', price }] }] }
+});
+
+describe('Trade in the turn loop', () => {
+  test('should trade in the turn loop and report the ledger in the turn summary', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = new SimulationService({ historyRepository: createHistoryRepository(new InMemoryStorage()) });
+    // Food is cheap on the farm and dear in the city, a turn's ride away
+    const world = buildWorld({
+      nodes: [
+        { id: 'farm', name: 'Farm', connectedNodes: [{ nodeId: 'city', distance: 10 }] },
+        { id: 'city', name: 'City', connectedNodes: [{ nodeId: 'farm', distance: 10 }] }
+      ],
+      npcs: [character('m', 'farm', { name: 'Mara', role: 'merchant', wealth: 100, energy: 5 })],
+      settlements: [settlement('farmstead', 'farm', { food: 1000 }, 1), settlement('market_town', 'city', { food: 0 }, 5)]
+    });
+    const options = { eventBus: service.eventBus, travel: { distancePerTurn: 10 } };
+
+    runTick(world, options);
+    expect(world.tradeLedger.departures).toHaveLength(1);
+    const previous = service.deepCloneState(world);
+    runTick(world, options);
+    const summary = service.generateTurnSummary(previous, world, 1);
+
+    expect(world.npcs[0].currentNodeId).toBe('city');
+    expect(summary.trade.trades).toEqual([expect.objectContaining({ merchantId: 'm', good: 'food', quantity: 50 })]);
+    expect(summary.events.find(event => event.type === 'caravan_arrived')).toMatchObject({ merchantName: 'Mara', nodeName: 'City', good: 'food' });
+    expect(summary.summary).toContain('1 caravan arrived');
+    expect(service.deepCloneState(world).tradeRoutes).toHaveLength(1);
+    logSpy.mockRestore();
+  });
+});
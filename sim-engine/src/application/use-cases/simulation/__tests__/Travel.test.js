@@ -0,0 +1,71 @@
+// src/application/use-cases/simulation/__tests__/Travel.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import Character from '../../../../domain/entities/Character.js';
+import SimulationEventBus, { SimulationEventTypes } from '../../../../domain/events/SimulationEvents.js';
+import { createRandom } from '../../../../shared/utils/RandomUtils.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../../../infrastructure/Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { buildWorld } from '../../../../test/fixtures.js';
+
+describe('Travel in the turn loop', () => {
+  test('should move characters between nodes in runTick and announce arrivals', () => {
+    // Aria and one other live in the village, a 12-mile walk from the forest
+    const world = buildWorld({
+      nodes: [
+        { id: 'village', name: 'Village', connectedNodes: [{ targetNodeId: 'forest', distance: 12 }], population: 2 },
+        { id: 'forest', name: 'Forest', connectedNodes: [{ targetNodeId: 'village', distance: 12 }] }
+      ],
+      npcs: [new Character({ id: 'aria', name: 'Aria', currentNodeId: 'village', energy: 80 })]
+    });
+    const eventBus = new SimulationEventBus();
+    const moves = [];
+    eventBus.subscribe(SimulationEventTypes.CHARACTER_MOVED, event => moves.push(event.payload));
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    const rng = createRandom(3);
+
+    for (let turn = 0; turn < 40; turn++) {
+      runTick(world, { rng, eventBus, historyRepository, travel: { stayBias: 1 } });
+    }
+
+    expect(moves.length).toBeGreaterThan(0);
+    expect(moves[0]).toMatchObject({ characterId: 'aria', fromNodeId: 'village', toNodeId: 'forest' });
+    const onTheRoad = world.npcs[0].isTraveling() ? 1 : 0;
+    expect(world.nodes[0].population + world.nodes[1].population + onTheRoad).toBe(2);
+  });
+
+  test('should travel the links of a validated world config in the SimulationService', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = new SimulationService({
+      worldRepository: createWorldRepository(new InMemoryStorage()),
+      historyRepository: createHistoryRepository(new InMemoryStorage())
+    });
+    const config = {
+      worldName: 'Two Valleys',
+      seed: 5,
+      nodes: [
+        { id: 'village', name: 'Village', type: 'settlement', assignedCharacters: ['aria'], connectedNodes: [{ targetNodeId: 'forest', distance: 12 }] },
+        { id: 'forest', name: 'Forest', type: 'wilderness', assignedCharacters: ['borin'], connectedNodes: [{ targetNodeId: 'village', distance: 12 }] }
+      ],
+      characters: [
+        { id: 'aria', name: 'Aria', assignedInteractions: ['rest'] },
+        { id: 'borin', name: 'Borin', assignedInteractions: ['rest'] }
+      ],
+      interactions: [{ id: 'rest', name: 'Rest', type: 'action', branches: [{ id: 'sit', text: 'Sit by the road' }] }]
+    };
+    const departures = [];
+    service.eventBus.subscribe(SimulationEventTypes.CHARACTER_DEPARTED, event => departures.push(event.payload));
+
+    expect(service.validateMapplessWorldConfig(config)).toBe(true);
+    service.initialize(config);
+    for (let turn = 0; turn < 40; turn++) {
+      service.processTurn();
+    }
+
+    expect(departures.length).toBeGreaterThan(0);
+    departures.forEach(journey => expect(journey.arrivesAt - journey.departedAt).toBe(3));
+    console.log.mockRestore();
+  });
+});
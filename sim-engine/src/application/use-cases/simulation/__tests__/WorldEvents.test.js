@@ -0,0 +1,60 @@
+// src/application/use-cases/simulation/__tests__/WorldEvents.test.js
+
+import runTick from '../RunTick.js';
+import { SimulationService } from '../../services/SimulationService.js';
+import InMemoryStorage from '../../../../infrastructure/Persistance/InMemoryStorage.js';
+import createHistoryRepository from '../../../../infrastructure/Persistance/StorageHistoryRepository.js';
+import { lucky, character, buildWorld } from '../../../../test/fixtures.js';
+
+// A crowning whenever Keep Town has no leader
+const crowning = {
+  id: 'crowning',
+  name: 'Crowning at the Keep',
+  description: 'The realm gathers at the keep',
+  tags: ['coronation'],
+  trigger: { type: 'conditional', probability: 1 },
+  conditions: [{ type: 'vacant_title', requirements: {} }],
+  actions: [],
+  consequences: [],
+  historicalSimulation: { impact: { immediate: { scope: { nodeIds: ['keep'] } } } }
+};
+
+describe('World events in the turn loop', () => {
+  test('should crown the most influential in the turn loop, log history and report the event in the turn summary', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    const service = new SimulationService({ historyRepository });
+    const world = buildWorld({
+      nodes: [{ id: 'keep', name: 'Keep' }],
+      npcs: [character('ann', 'keep', { influenceValues: { political: 40 } }), character('dee', 'keep', { influenceValues: { political: 10 } })],
+      settlements: [{
+        id: 'keep_town',
+        name: 'Keep Town',
+        nodeId: 'keep',
+        population: 100,
+        government: { type: 'monarchy', leader: null, structure: [] }
+      }],
+      eventTemplates: [crowning]
+    });
+    const previous = service.deepCloneState(world);
+
+    runTick(world, { rng: lucky, eventBus: service.eventBus });
+    const summary = service.generateTurnSummary(previous, world, 1);
+
+    expect(world.eventResults).toEqual([expect.objectContaining({ templateId: 'crowning', crownedId: 'ann', characterIds: ['ann', 'dee'] })]);
+    expect(world.settlements[0].government.leader).toBe('ann');
+    const [ann, dee] = [world.npcs.find(npc => npc.id === 'ann'), world.npcs.find(npc => npc.id === 'dee')];
+    expect(ann.prestige.getValue('honor')).toBeGreaterThan(dee.prestige.getValue('honor'));
+    const history = historyRepository.findEvents();
+    expect(history.map(event => event.type)).toEqual(expect.arrayContaining(['world_event', 'succession']));
+    expect(history.find(event => event.type === 'succession').description).toBe('ANN became leader of Keep Town.');
+    expect(summary.events.find(event => event.type === 'world_event')).toMatchObject({ name: 'Crowning at the Keep', nodeName: 'Keep', characters: 2 });
+    expect(summary.summary).toContain('1 world event');
+
+    // The title is filled now
+    runTick(world, { rng: lucky, eventBus: service.eventBus });
+    expect(world.eventResults).toEqual([]);
+    expect(service.deepCloneState(world).eventTemplates[0].timesFired).toBe(1);
+    logSpy.mockRestore();
+  });
+});
@@ -15,8 +15,9 @@ class Character {
     // Basic character properties
     this.id = config.id || this._generateId();
     this.name = config.name || 'Unnamed Character';
-    this.age = config.age || 25;
+    this.age = typeof config.age === 'number' ? config.age : 25;  // Newborns are 0
     this.level = config.level || 1;
+    this.experience = config.experience || 0;
 
     // Initialize racial traits first (affects other systems)
     this.racialTraits = config.racialTraits instanceof RacialTraits
@@ -77,6 +78,14 @@ class Character {
     this.mood = config.mood !== undefined ? config.mood : 50;
     this.currentNodeId = config.currentNodeId || null;
     this.lastInteractionType = config.lastInteractionType || null;
+    // { fromNodeId, toNodeId, departedAt, arrivesAt } while on the road between nodes
+    this.journey = config.journey ? Object.freeze({ ...config.journey }) : null;
+    // Lineage: parents' ids, and the turn of birth for characters born during the simulation
+    this.parentIds = Array.isArray(config.parentIds) ? config.parentIds : [];
+    this.bornAt = typeof config.bornAt === 'number' ? config.bornAt : null;
+    // Occupation ('merchant', 'trader', 'leader', ...) and coin, read by the social and trade services
+    this.role = config.role || null;
+    this.wealth = typeof config.wealth === 'number' ? config.wealth : 0;
 
     // Ensure consciousness exists with proper structure
     this.consciousness = config.consciousness || {
@@ -87,6 +96,9 @@ class Character {
     // Ensure goals array exists
     this.goals = Array.isArray(config.goals) ? config.goals : [];
 
+    // Interaction IDs this character was given in the world builder (Step 4)
+    this.assignedInteractions = Array.isArray(config.assignedInteractions) ? config.assignedInteractions : [];
+
     // Freeze the character to maintain immutability at the entity level
     Object.freeze(this);
   }
@@ -181,17 +193,22 @@ class Character {
 
   /**
    * Create a new Character with updated age and age-related modifications
+   * Only the change since the current age is applied, so ageing a year at a time doesn't compound
    */
-  withAge(newAge) {
+  withAge(newAge, timestamp = new Date()) {
     if (typeof newAge !== 'number' || newAge < 0) {
       throw new Error('Age must be a non-negative number');
     }
 
     // Apply age modifiers to personality
-    const ageModifiedPersonality = this.personality.withAgeModifiers(newAge);
+    const ageModifiedPersonality = this.personality.withAgeProgression(this.age, newAge, timestamp);
 
-    // Apply racial age modifiers
-    const racialAgeModifiers = this.racialTraits.calculateAgeModifiers(newAge);
+    // Apply racial age modifiers, relative to those of the current age
+    const previousModifiers = this.racialTraits.calculateAgeModifiers(this.age);
+    const racialAgeModifiers = Object.fromEntries(
+      Object.entries(this.racialTraits.calculateAgeModifiers(newAge))
+        .map(([modifier, value]) => [modifier, value / (previousModifiers[modifier] || 1)])
+    );
 
     return new Character({
       ...this._getSerializableConfig(),
@@ -202,6 +219,151 @@ class Character {
     });
   }
 
+  /**
+   * Whether the character is on the road between nodes
+   */
+  isTraveling() {
+    return this.journey !== null;
+  }
+
+  /**
+   * Create a new Character at a node, optionally on a journey away from it
+   */
+  withTravel(currentNodeId, journey = null) {
+    return new Character({
+      ...this._getSerializableConfig(),
+      currentNodeId,
+      journey
+    });
+  }
+
+  /**
+   * Create a new Character with its inventory replaced
+   */
+  withInventory(inventory) {
+    return new Character({
+      ...this._getSerializableConfig(),
+      inventory
+    });
+  }
+
+  /**
+   * Create a new Character with its relationships replaced
+   */
+  withRelationships(relationships) {
+    return new Character({
+      ...this._getSerializableConfig(),
+      relationships: new Map(relationships)
+    });
+  }
+
+  /**
+   * Create a new Character with its coin changed by an amount (a trade's profit or cost)
+   */
+  withWealthChange(amount) {
+    return new Character({
+      ...this._getSerializableConfig(),
+      wealth: Math.round((this.wealth + amount) * 1000) / 1000
+    });
+  }
+
+  /**
+   * Create a new Character with its quest log replaced, and optionally its goals
+   * and consciousness (which quest steps shift)
+   */
+  withQuests(quests, { goals = this.goals, consciousness = this.consciousness } = {}) {
+    return new Character({
+      ...this._getSerializableConfig(),
+      quests,
+      goals,
+      consciousness
+    });
+  }
+
+  /**
+   * Create a new Character with encounter outcome effects and rewards applied
+   * Effects are { type, target, value }: experience, attribute, skill, item, influence,
+   * prestige, alignment, relationship, health, energy or mood. Unknown types, and
+   * influence/prestige/alignment targets the character doesn't track, are skipped.
+   * @param {Array<Object>} effects
+   * @param {Object} [context]
+   * @param {string} [context.reason='Encounter'] - Recorded in value-object histories
+   * @param {Date} [context.timestamp=new Date()] - When the changes are recorded
+   * @returns {Character}
+   */
+  withEncounterEffects(effects = [], { reason = 'Encounter', timestamp = new Date() } = {}) {
+    const config = {
+      ...this._getSerializableConfig(),
+      baseAttributes: { ...this.baseAttributes },
+      baseSkills: { ...this.baseSkills },
+      inventory: [...this.inventory],
+      relationships: new Map(this.relationships)
+    };
+    const clampStat = value => Math.max(0, Math.min(100, value));
+
+    effects.forEach(effect => {
+      const value = typeof effect?.value === 'number' ? effect.value : 0;
+      switch (effect?.type) {
+        case 'experience':
+          config.experience += value;
+          break;
+        case 'attribute':
+          if (typeof config.baseAttributes[effect.target] === 'number') {
+            config.baseAttributes[effect.target] = Math.max(1, config.baseAttributes[effect.target] + value);
+          }
+          break;
+        case 'skill':
+          if (effect.target) {
+            config.baseSkills[effect.target] = Math.max(0, (config.baseSkills[effect.target] || 0) + value);
+          }
+          break;
+        case 'item':
+          config.inventory.push({
+            id: effect.itemId || effect.target || effect.description || 'item',
+            name: effect.description || effect.itemId || effect.target || 'Item',
+            quantity: value || 1
+          });
+          break;
+        case 'influence': {
+          const domainId = effect.target || 'social';
+          if (config.influence.hasDomain(domainId)) {
+            config.influence = config.influence.withChange(domainId, value, reason, null, timestamp);
+          }
+          break;
+        }
+        case 'prestige': {
+          const trackId = effect.target || 'social';
+          if (config.prestige.hasTrack(trackId)) {
+            config.prestige = config.prestige.withChange(trackId, value, reason, null, timestamp);
+          }
+          break;
+        }
+        case 'alignment':
+          if (config.alignment.hasAxis(effect.target)) {
+            config.alignment = config.alignment.withChange(effect.target, value, reason, null, timestamp);
+          }
+          break;
+        case 'relationship':
+          if (effect.target) {
+            const bond = config.relationships.get(effect.target);
+            config.relationships.set(effect.target, bond && typeof bond === 'object'
+              ? { ...bond, strength: (bond.strength || 0) + value }
+              : (bond || 0) + value);
+          }
+          break;
+        case 'health':
+        case 'energy':
+        case 'mood':
+          config[effect.type] = clampStat(config[effect.type] + value);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return new Character(config);
+  }
+
   /**
    * Get character's current social standing in a settlement
    */
@@ -234,14 +396,16 @@ class Character {
 
   /**
    * Apply historical event to character, updating alignment, personality, and other systems
+   * services.alignmentService: the AlignmentService evolving the alignment (one that publishes
+   * changes and records simulated dates, say); a fresh one otherwise
    */
-  withHistoricalEvent(historicalEvent, characterRole = {}, historicalContext = {}) {
+  withHistoricalEvent(historicalEvent, characterRole = {}, historicalContext = {}, services = {}) {
     if (!historicalEvent || typeof historicalEvent !== 'object') {
       throw new Error('Historical event must be provided as an object');
     }
 
     // Apply historical event to alignment
-    const alignmentService = new AlignmentService();
+    const alignmentService = services.alignmentService || new AlignmentService();
     const personalityTraits = this._getPersonalityTraitsForAlignment();
     const newAlignment = alignmentService.evolveAlignment(
       this.alignment,
@@ -502,6 +666,7 @@ class Character {
       name: this.name,
       age: this.age,
       level: this.level,
+      experience: this.experience,
 
       // Value objects
       alignment: this.alignment.toJSON(),
@@ -529,8 +694,14 @@ class Character {
       mood: this.mood,
       currentNodeId: this.currentNodeId,
       lastInteractionType: this.lastInteractionType,
+      journey: this.journey ? { ...this.journey } : null,
+      parentIds: [...this.parentIds],
+      bornAt: this.bornAt,
+      role: this.role,
+      wealth: this.wealth,
       consciousness: this.consciousness,
-      goals: this.goals
+      goals: this.goals,
+      assignedInteractions: [...this.assignedInteractions]
     };
   }
 
@@ -547,6 +718,7 @@ class Character {
       name: data.name,
       age: data.age,
       level: data.level,
+      experience: data.experience,
 
       // Reconstruct value objects
       alignment: data.alignment ? Alignment.fromJSON(data.alignment) : undefined,
@@ -572,8 +744,14 @@ class Character {
       mood: data.mood,
       currentNodeId: data.currentNodeId,
       lastInteractionType: data.lastInteractionType,
+      journey: data.journey,
+      parentIds: data.parentIds,
+      bornAt: data.bornAt,
+      role: data.role,
+      wealth: data.wealth,
       consciousness: data.consciousness,
-      goals: data.goals
+      goals: data.goals,
+      assignedInteractions: data.assignedInteractions
     });
   }
 
@@ -597,6 +775,7 @@ class Character {
       name: this.name,
       age: this.age,
       level: this.level,
+      experience: this.experience,
       alignment: this.alignment,
       influence: this.influence,
       prestige: this.prestige,
@@ -608,7 +787,20 @@ class Character {
       quests: this.quests,
       relationships: this.relationships,
       memories: this.memories,
-      location: this.location
+      location: this.location,
+      energy: this.energy,
+      health: this.health,
+      mood: this.mood,
+      currentNodeId: this.currentNodeId,
+      lastInteractionType: this.lastInteractionType,
+      journey: this.journey,
+      parentIds: this.parentIds,
+      bornAt: this.bornAt,
+      role: this.role,
+      wealth: this.wealth,
+      consciousness: this.consciousness,
+      goals: this.goals,
+      assignedInteractions: this.assignedInteractions
     };
   }
 
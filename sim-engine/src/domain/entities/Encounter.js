@@ -1,5 +1,24 @@
 // src/domain/entities/Encounter.js
 
+import Interaction from './Interaction.js';
+import Attributes from '../value-objects/Attributes.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+
+// Difficulty class of a participant's roll, by encounter difficulty
+const DIFFICULTY_DC = Object.freeze({ trivial: 5, easy: 10, medium: 15, hard: 20, deadly: 25 });
+
+// Attribute a participant rolls with, by encounter type
+const CHECK_ATTRIBUTE = Object.freeze({
+  combat: 'strength',
+  social: 'charisma',
+  exploration: 'wisdom',
+  puzzle: 'intelligence',
+  environmental: 'constitution'
+});
+
+// Share of successful rolls at which an encounter counts as won and pays its rewards
+const SUCCESS_THRESHOLD = 0.5;
+
 // Utility function to generate UUID with fallback for test environments
 const generateId = () => {
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -85,8 +104,8 @@ class Encounter {
    * Check if this encounter can be triggered based on current conditions
    */
   canTrigger(context = {}) {
-    // Check cooldown
-    if (this.cooldown > 0 && context.currentTurn !== undefined) {
+    // Check cooldown; an encounter that has never triggered isn't cooling down
+    if (this.cooldown > 0 && this.timesTriggered > 0 && context.currentTurn !== undefined) {
       const turnsSinceLastTrigger = context.currentTurn - this.lastTriggered;
       if (turnsSinceLastTrigger < this.cooldown) {
         return false;
@@ -129,7 +148,7 @@ class Encounter {
   evaluatePrerequisite(prerequisite, context) {
     switch (prerequisite.type) {
       case 'attribute':
-        return context.character?.attributes?.[prerequisite.attribute]?.score >= prerequisite.value;
+        return Attributes.getScore(context.character?.attributes, prerequisite.attribute || '') >= prerequisite.value;
       case 'skill':
         return context.character?.skills?.[prerequisite.skill] >= prerequisite.value;
       case 'level':
@@ -161,7 +180,7 @@ class Encounter {
       case 'condition':
         return this.evaluateCondition(trigger.condition, context);
       case 'probability':
-        return Math.random() < trigger.probability;
+        return (context.rng || defaultRandom).next() < trigger.probability;
       default:
         return true; // Unknown trigger types default to true
     }
@@ -171,6 +190,12 @@ class Encounter {
    * Evaluate a complex condition
    */
   evaluateCondition(condition, context) {
+    // Share of successful participant rolls, within [min, max]
+    if (condition.type === 'success_rate') {
+      if (typeof context.successRate !== 'number') return false;
+      return context.successRate >= (condition.min ?? 0) && context.successRate <= (condition.max ?? 1);
+    }
+
     // Simple condition evaluation - can be expanded
     if (condition.type === 'character_state') {
       const character = context.character;
@@ -234,8 +259,46 @@ class Encounter {
     return interactions;
   }
 
+  /**
+   * The roll each participant makes per encounter turn
+   * @returns {{attr: string, dc: number}}
+   */
+  getCheck() {
+    return {
+      attr: CHECK_ATTRIBUTE[this.type] || 'charisma',
+      dc: DIFFICULTY_DC[this.difficulty] || DIFFICULTY_DC.medium
+    };
+  }
+
+  /**
+   * Interaction that InteractionResolver rolls for a participant's action
+   * It carries no effects: outcome effects and rewards are applied when the encounter resolves
+   * @returns {Interaction}
+   */
+  createActionInteraction() {
+    return new Interaction({
+      id: `encounter_${this.id}_action`,
+      name: `Encounter: ${this.name}`,
+      description: this.description,
+      type: this.type,
+      branches: [{ id: 'attempt', text: this.description || this.name, requirements: this.getCheck() }],
+      repeatable: true
+    });
+  }
+
+  /**
+   * Whether a share of successful rolls wins the encounter (and its rewards)
+   * An encounter nobody rolled in counts as won
+   * @param {number|null} successRate
+   * @returns {boolean}
+   */
+  isSuccessful(successRate) {
+    return typeof successRate !== 'number' || successRate >= SUCCESS_THRESHOLD;
+  }
+
   /**
    * Resolve encounter outcome based on turn-based simulation
+   * context.successRate (share of successful rolls) is matched by 'success_rate' conditions
    */
   resolveOutcome(context = {}) {
     const availableOutcomes = this.outcomes.filter(outcome => 
@@ -251,7 +314,7 @@ class Encounter {
       sum + (outcome.probability || 1.0), 0
     );
     
-    let random = Math.random() * totalWeight;
+    let random = (context.rng || defaultRandom).next() * totalWeight;
     for (const outcome of availableOutcomes) {
       random -= (outcome.probability || 1.0);
       if (random <= 0) {
@@ -271,16 +334,16 @@ class Encounter {
    * Mark encounter as triggered
    */
   markTriggered(currentTurn = 0) {
+    // Simulation state, not an edit: metadata.lastModified is left alone so replays match
     this.lastTriggered = currentTurn;
     this.timesTriggered += 1;
-    this.metadata.lastModified = new Date().toISOString();
   }
 
   /**
    * Check if encounter is available (not on cooldown)
    */
   isAvailable(currentTurn = 0) {
-    if (this.cooldown === 0) return true;
+    if (this.cooldown === 0 || this.timesTriggered === 0) return true;
     return (currentTurn - this.lastTriggered) >= this.cooldown;
   }
 
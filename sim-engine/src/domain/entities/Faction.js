@@ -0,0 +1,237 @@
+// src/domain/entities/Faction.js
+
+export const FACTION_TYPES = Object.freeze(['guild', 'house', 'religion', 'army', 'order', 'company']);
+
+export const DEFAULT_RANKS = Object.freeze([
+  { id: 'leader', name: 'Leader', level: 3 },
+  { id: 'officer', name: 'Officer', level: 2 },
+  { id: 'member', name: 'Member', level: 1 },
+  { id: 'initiate', name: 'Initiate', level: 0 }
+]);
+
+// Stance labels by the lowest score that earns them (scores run from -100 to 100)
+export const STANCE_LEVELS = Object.freeze([
+  { stance: 'allied', min: 50 },
+  { stance: 'friendly', min: 15 },
+  { stance: 'neutral', min: -15 },
+  { stance: 'rival', min: -50 },
+  { stance: 'hostile', min: -Infinity }
+]);
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * An organization characters belong to: a guild, a noble house, a religion, an army...
+ *
+ * - members: `{ characterId, rankId, joinedAt, loyalty }`, loyalty from 0 to 100; the
+ *   leader holds the highest rank and is `leaderId`
+ * - ranks: `{ id, name, level }`, higher levels outrank lower ones; newcomers get the lowest
+ * - resources: shared stores (`coin` from members' dues, and anything else)
+ * - goals: `{ id, type, target, status }` - 'members', 'wealth' or 'influence' reaching `target`;
+ *   FactionService marks them completed
+ * - stances: score towards each other faction, -100 (hostile) to 100 (allied); see STANCE_LEVELS
+ * - recruitment: `{ openness, roles, races, nodeIds, dues }` - the chance a turn of taking
+ *   in a fitting character, who they take (any when empty) and the coin each member pays a turn
+ * - collective: the members' shared `frequency` and `mood` (ConsciousnessSystem collectives)
+ *
+ * FactionService runs factions a turn at a time; they live in `worldState.factions` as JSON.
+ */
+export class Faction {
+  constructor(config = {}) {
+    if (!config.id) {
+      throw new Error('Faction requires an id');
+    }
+    this.id = config.id;
+    this.name = config.name || config.id;
+    this.type = FACTION_TYPES.includes(config.type) ? config.type : 'guild';
+    this.description = config.description || '';
+    this.nodeId = config.nodeId || null; // seat
+
+    this.ranks = (config.ranks?.length ? config.ranks : DEFAULT_RANKS)
+      .map(rank => ({ ...rank, level: rank.level ?? 0 }))
+      .sort((a, b) => b.level - a.level);
+    this.members = (config.members || []).map(member => (typeof member === 'string'
+      ? { characterId: member, rankId: this.lowestRank().id, joinedAt: null, loyalty: 50 }
+      : { rankId: this.lowestRank().id, joinedAt: null, loyalty: 50, ...member }));
+    this.leaderId = config.leaderId || null;
+
+    this.resources = { coin: 0, ...(config.resources || {}) };
+    this.goals = (config.goals || []).map(goal => ({ status: 'active', ...goal }));
+    this.stances = { ...(config.stances || {}) };
+    this.recruitment = {
+      openness: 0.2,
+      roles: [],
+      races: [],
+      nodeIds: [],
+      dues: 0,
+      ...(config.recruitment || {})
+    };
+    this.collective = { frequency: 7.5, mood: 'neutral', ...(config.collective || {}) };
+    this.cohesion = config.cohesion ?? 0.5;
+    this.turnsBelowQuorum = config.turnsBelowQuorum || 0; // consecutive turns with too few members
+
+    this.status = config.status || 'active'; // 'active' | 'dissolved'
+    this.foundedAt = config.foundedAt ?? null;
+    this.dissolvedAt = config.dissolvedAt ?? null;
+    this.history = config.history || [];
+  }
+
+  isActive() {
+    return this.status === 'active';
+  }
+
+  highestRank() {
+    return this.ranks[0];
+  }
+
+  lowestRank() {
+    return this.ranks[this.ranks.length - 1];
+  }
+
+  getRank(rankId) {
+    return this.ranks.find(rank => rank.id === rankId) || null;
+  }
+
+  getMember(characterId) {
+    return this.members.find(member => member.characterId === characterId) || null;
+  }
+
+  hasMember(characterId) {
+    return Boolean(this.getMember(characterId));
+  }
+
+  getMemberIds() {
+    return this.members.map(member => member.characterId);
+  }
+
+  /**
+   * Takes a character in, at the lowest rank unless another is given
+   * @returns {Object} The member record
+   */
+  addMember(characterId, { rankId, turn = null, loyalty = 50 } = {}) {
+    const existing = this.getMember(characterId);
+    if (existing) return existing;
+    const member = { characterId, rankId: this.getRank(rankId)?.id || this.lowestRank().id, joinedAt: turn, loyalty };
+    this.members.push(member);
+    if (!this.leaderId && member.rankId === this.highestRank().id) {
+      this.leaderId = characterId;
+    }
+    return member;
+  }
+
+  removeMember(characterId) {
+    const before = this.members.length;
+    this.members = this.members.filter(member => member.characterId !== characterId);
+    if (this.leaderId === characterId) {
+      this.leaderId = null;
+    }
+    return this.members.length < before;
+  }
+
+  setRank(characterId, rankId) {
+    const member = this.getMember(characterId);
+    if (!member || !this.getRank(rankId)) return false;
+    member.rankId = rankId;
+    return true;
+  }
+
+  /**
+   * The member to lead next: highest rank, then most loyal, then longest serving
+   * @returns {Object|null}
+   */
+  successor() {
+    const level = member => this.getRank(member.rankId)?.level ?? 0;
+    return [...this.members].sort((a, b) => level(b) - level(a) ||
+      b.loyalty - a.loyalty ||
+      (a.joinedAt ?? Infinity) - (b.joinedAt ?? Infinity))[0] || null;
+  }
+
+  getStance(factionId) {
+    return this.stances[factionId] || 0;
+  }
+
+  setStance(factionId, score) {
+    this.stances[factionId] = round(clamp(score, -100, 100));
+    return this.stances[factionId];
+  }
+
+  /**
+   * The stance's label towards another faction ('allied', 'friendly', 'neutral', 'rival', 'hostile')
+   */
+  stanceTowards(factionId) {
+    const score = this.getStance(factionId);
+    return STANCE_LEVELS.find(level => score >= level.min).stance;
+  }
+
+  adjustResource(resource, amount) {
+    this.resources[resource] = round((this.resources[resource] || 0) + amount);
+    return this.resources[resource];
+  }
+
+  dissolve(turn) {
+    this.status = 'dissolved';
+    this.dissolvedAt = turn;
+    this.members = [];
+    this.leaderId = null;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      description: this.description,
+      nodeId: this.nodeId,
+      ranks: this.ranks.map(rank => ({ ...rank })),
+      members: this.members.map(member => ({ ...member })),
+      leaderId: this.leaderId,
+      resources: { ...this.resources },
+      goals: this.goals.map(goal => ({ ...goal })),
+      stances: { ...this.stances },
+      recruitment: { ...this.recruitment },
+      collective: { ...this.collective },
+      cohesion: this.cohesion,
+      turnsBelowQuorum: this.turnsBelowQuorum,
+      status: this.status,
+      foundedAt: this.foundedAt,
+      dissolvedAt: this.dissolvedAt,
+      history: [...this.history]
+    };
+  }
+
+  static fromJSON(data) {
+    if (data instanceof Faction) return data;
+    return new Faction(data);
+  }
+
+  /**
+   * Instantiates a group template (TemplateGenerator.generateGroupTemplate): `members`
+   * become members, `roles` (`{ characterId: rankId }`) their ranks, `hierarchy`
+   * (`{ rankId: level }`) the ranks, and `rules` the description's fine print
+   * @param {Object} template
+   * @param {Object} [overrides] - Faction fields to set on top (type, nodeId, goals, ...)
+   * @returns {Faction}
+   */
+  static fromTemplate(template, overrides = {}) {
+    const ranks = Object.entries(template.hierarchy || {}).map(([id, level]) => ({
+      id,
+      name: id.charAt(0).toUpperCase() + id.slice(1),
+      level: typeof level === 'number' ? level : level?.level ?? 0
+    }));
+    const faction = new Faction({
+      id: template.id,
+      name: template.name,
+      description: [template.description, ...(template.rules || [])].filter(Boolean).join('\n'),
+      type: (template.tags || []).find(tag => FACTION_TYPES.includes(tag)),
+      ranks,
+      ...overrides
+    });
+    (template.members || []).forEach(characterId => {
+      faction.addMember(characterId, { rankId: template.roles?.[characterId] });
+    });
+    return faction;
+  }
+}
+
+export default Faction;
@@ -122,6 +122,12 @@ export class HistoricalEvent {
         return this._checkGlobalConditionRequirement(requirement, worldState);
       case 'time':
         return this._checkTimeRequirement(requirement, worldState);
+      case 'hostile_factions':
+        return this._checkHostileFactionsRequirement(requirement, worldState);
+      case 'shortage':
+        return this._checkShortageRequirement(requirement, worldState);
+      case 'vacant_title':
+        return this._checkVacantTitleRequirement(requirement, worldState);
       default:
         return true; // Unknown requirements pass by default
     }
@@ -140,7 +146,7 @@ export class HistoricalEvent {
   }
 
   _checkGlobalConditionRequirement(requirement, worldState) {
-    const conditionValue = worldState.globalConditions.get(requirement.condition) || 0;
+    const conditionValue = worldState.globalConditions?.get(requirement.condition) || 0;
     return conditionValue >= (requirement.minValue || 0);
   }
 
@@ -154,6 +160,30 @@ export class HistoricalEvent {
     }
     return true;
   }
+
+  // Two active factions (Faction JSON) at or below `maxStance` (-50) towards each other
+  _checkHostileFactionsRequirement(requirement, worldState) {
+    const maxStance = requirement.maxStance ?? -50;
+    const active = (worldState.factions || []).filter(faction => faction.status !== 'dissolved');
+    const activeIds = new Set(active.map(faction => faction.id));
+    return active.some(faction => Object.entries(faction.stances || {})
+      .some(([otherId, score]) => activeIds.has(otherId) && score <= maxStance));
+  }
+
+  // A settlement that ran short of `resource` (of anything, without one)
+  _checkShortageRequirement(requirement, worldState) {
+    return (worldState.settlements || []).some(settlement => {
+      const shortages = settlement.resources?.shortages || {};
+      return requirement.resource
+        ? (shortages[requirement.resource] || 0) > 0
+        : Object.values(shortages).some(amount => amount > 0);
+    });
+  }
+
+  // A settlement with a government but no leader
+  _checkVacantTitleRequirement(requirement, worldState) {
+    return (worldState.settlements || []).some(settlement => settlement.government && !settlement.government.leader);
+  }
 }
 
 export default HistoricalEvent;
\ No newline at end of file
@@ -1,5 +1,10 @@
 // src/domain/entities/Interaction.js
 
+import { weightedSelect } from '../../shared/utils/SelectionUtils.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import Attributes from '../value-objects/Attributes.js';
+import { defaultEffectRegistry } from '../services/EffectRegistry.js';
+
 // Utility function to generate UUID with fallback for test environments
 const generateId = () => {
   if (typeof crypto !== 'undefined' && crypto.randomUUID) {
@@ -31,14 +36,20 @@ class Interaction {
 
   // Validate if a character can perform this interaction (reuse PrerequisiteSystem if available)
   meetsRequirements(character) {
-    return this.requirements.every(req => {
-      const attrValue = character.attributes[req.attr]?.score || 0;
+    // Builder and template interactions use a { charisma: 12 } record instead of an array
+    const requirements = Array.isArray(this.requirements)
+      ? this.requirements
+      : Object.entries(this.requirements || {})
+        .filter(([, min]) => typeof min === 'number')
+        .map(([attr, min]) => ({ attr, min }));
+    return requirements.every(req => {
+      const attrValue = Attributes.getScore(character.attributes, req.attr);
       return attrValue >= req.min;
     });
   }
 
   // Select a branch based on character state (for autonomy; ties to Character.calculateDecisionWeight)
-  selectBranch(character) {
+  selectBranch(character, rng = defaultRandom) {
     if (!this.branches.length) return null;
     const validBranches = this.branches.filter(b => !b.condition || b.condition(character));
     if (!validBranches.length) return null;
@@ -48,30 +59,23 @@ class Interaction {
       const energyDiff = character.attributes.intelligence?.score || 10 - (branch.requiredEnergy || 10);
       const gammaFreq = character.consciousness.frequency || 40;  // 40 Hz gamma baseline
       const resonance = Math.exp(-Math.pow(energyDiff - gammaFreq, 2) / (2 * gammaFreq));
-      const personalityFactor = character.personality.traits.reduce((sum, t) => sum + t.value * (branch.matchFactor || 1), 0);
+      const traits = typeof character.personality.getAllTraits === 'function'
+        ? character.personality.getAllTraits()
+        : (character.personality.traits || []);
+      const personalityFactor = traits.reduce((sum, t) => sum + (t.intensity ?? t.value ?? 0) * (branch.matchFactor || 1), 0);
       return resonance + personalityFactor + character.consciousness.coherence * 1.5;  // Coherence bonus
-    });
+    }, rng);
   }
 
-  // Apply effects to a character (for resolution)
-  applyEffects(character) {
-    this.effects.forEach(effect => {
-      switch (effect.type) {
-        case 'influence':
-          character.influence.value += effect.value;
-          break;
-        case 'relationship':
-          character.relationships.set(effect.target, (character.relationships.get(effect.target) || 0) + effect.value);
-          break;
-        case 'attribute':
-          character.attributes[effect.target].score += effect.value;
-          character.attributes[effect.target].modifier = Math.floor((character.attributes[effect.target].score - 10) / 2);  // D&D mod
-          break;
-        // Add more effect types as needed (e.g., 'quest', 'resource')
-        default:
-          console.warn(`Unknown effect type: ${effect.type}`);
-          break;
-      }
+  // Apply the interaction's effects, then the chosen branch's, through an EffectRegistry.
+  // Characters are immutable, so the affected character is returned; context carries the
+  // branch, node, worldState and turn (see EffectRegistry.apply)
+  applyEffects(character, context = {}, registry = defaultEffectRegistry) {
+    const effects = [...this.effects, ...(context.branch?.effects || [])];
+    return registry.apply(character, effects, {
+      reason: `Interaction: ${this.name}`,
+      participants: this.participants,
+      ...context
     });
   }
 
@@ -104,15 +108,4 @@ class Interaction {
   }
 }
 
-// Helper function (move to shared/utils/weightedSelect.js if not existing)
-function weightedSelect(options, weightFn) {
-  const totalWeight = options.reduce((sum, opt) => sum + weightFn(opt), 0);
-  let rand = Math.random() * totalWeight;
-  for (const opt of options) {
-    rand -= weightFn(opt);
-    if (rand <= 0) return opt;
-  }
-  return options[options.length - 1];  // Fallback
-}
-
 export default Interaction;
\ No newline at end of file
@@ -1,3 +1,20 @@
+import Interaction from './Interaction.js';
+
+const STEP_ATTRIBUTE = {
+    dialogue: 'charisma',
+    action: 'strength',
+    discovery: 'wisdom',
+    choice: 'intelligence'
+};
+const DEFAULT_STEP_DC = 10;
+
+const DEFAULT_REWARDS = [{ type: 'prestige', target: 'honor', value: 5 }];
+
+const inRange = (value, range) => {
+    const [min, max] = range.split('-').map(Number);
+    return value >= min && value <= max;
+};
+
 export class QuestNode {
     constructor(config) {
         this.id = config.id;
@@ -9,6 +26,30 @@ export class QuestNode {
         this.branches = config.branches || [];
         this.consciousnessTriggers = config.consciousnessTriggers || [];
         this.unlockConditions = config.unlockConditions || [];
+        this.location = config.location || null; // world node the step is played at, anywhere when null
+        this.check = config.check || null; // { attr, dc } rolled to clear the step
+    }
+
+    // The roll that clears the step: the configured check, else one by step type
+    getCheck() {
+        return {
+            attr: this.check?.attr || STEP_ATTRIBUTE[this.type] || 'wisdom',
+            dc: this.check?.dc || DEFAULT_STEP_DC
+        };
+    }
+
+    // The step as an interaction for InteractionResolver: attribute minimums from
+    // `requirements`, one 'attempt' branch rolled against getCheck()
+    createActionInteraction(questId) {
+        return new Interaction({
+            id: `quest_${questId}_${this.id}`,
+            name: `Quest: ${this.name || this.id}`,
+            description: this.description,
+            type: this.type || 'quest',
+            requirements: this.requirements,
+            branches: [{ id: 'attempt', text: this.description || this.name, requirements: this.getCheck() }],
+            repeatable: true
+        });
     }
 
     toJSON() {
@@ -17,6 +58,8 @@ export class QuestNode {
             name: this.name,
             description: this.description,
             type: this.type,
+            location: this.location,
+            check: this.check,
             requirements: this.requirements,
             consequences: this.consequences,
             branches: this.branches,
@@ -26,23 +69,38 @@ export class QuestNode {
     }
 }
 
-class QuestTemplate {
+export class QuestTemplate {
     constructor(config) {
         this.id = config.id;
         this.name = config.name;
         this.description = config.description;
-        this.trigger = config.trigger;
+        this.trigger = config.trigger || {}; // { nodeTypes, nodeIds, minPopulation } where it is offered
         this.nodes = new Map();
-        this.initialNode = config.initialNode;
+        (config.nodes || []).forEach(node => this.addNode(node instanceof QuestNode ? node : new QuestNode(node)));
+        this.initialNode = config.initialNode || this.nodes.keys().next().value;
         this.consciousnessRequirements = config.consciousnessRequirements || {};
         this.evolutionRules = config.evolutionRules || [];
         this.informationLayers = config.informationLayers || {};
+        this.consequences = config.consequences || {};
+        this.goals = config.goals || []; // goal ids the quest serves; NPCs with those goals take it up
+        this.rewards = config.rewards || DEFAULT_REWARDS; // Character.withEncounterEffects effects
+        this.timeLimit = config.timeLimit || null; // turns before an unfinished quest fails
+        this.repeatable = Boolean(config.repeatable);
     }
 
     addNode(node) {
         this.nodes.set(node.id, node);
     }
 
+    // Whether the quest is offered at a world node
+    isOfferedAt(node) {
+        const { nodeTypes, nodeIds, minPopulation } = this.trigger;
+        if (nodeIds?.length && !nodeIds.includes(node.id)) return false;
+        if (nodeTypes?.length && !nodeTypes.includes(node.type)) return false;
+        if (minPopulation && (node.population || 0) < minPopulation) return false;
+        return true;
+    }
+
     toJSON() {
         return {
             id: this.id,
@@ -53,41 +111,94 @@ class QuestTemplate {
             initialNode: this.initialNode,
             consciousnessRequirements: this.consciousnessRequirements,
             evolutionRules: this.evolutionRules,
-            informationLayers: this.informationLayers
+            informationLayers: this.informationLayers,
+            consequences: this.consequences,
+            goals: this.goals,
+            rewards: this.rewards,
+            timeLimit: this.timeLimit,
+            repeatable: this.repeatable
         };
     }
+
+    static fromJSON(data) {
+        return data instanceof QuestTemplate ? data : new QuestTemplate(data);
+    }
 }
 
-class QuestInstance {
-    constructor(template, context) {
-        this.template = template;
-        this.context = context;
+// One character's run through a quest, with its own copy of the template so evolution rules
+// only reshape this run. Times are simulation turns.
+export class QuestInstance {
+    constructor(template, context = {}) {
+        this.template = QuestTemplate.fromJSON(template.toJSON());
+        this.context = context; // { characterId, nodeId, turn, consciousness }
+        this.startTime = context.turn ?? 0;
+        this.id = `${template.id}:${context.characterId || 'world'}:${this.startTime}`;
+        this.status = 'active';
+        this.completedAt = null;
         this.currentNode = template.initialNode;
         this.completedNodes = new Set();
         this.activeBranches = new Set();
         this.consciousnessState = new Map();
         this.informationRevealed = new Set();
-        this.startTime = Date.now();
+        this.appliedRules = new Set(); // indices of evolution rules already applied
+        this.pendingEffects = []; // consequences for the character, drained by the caller
+    }
+
+    // Share of the quest's steps cleared, 0-1
+    getProgress() {
+        if (this.status === 'completed') return 1;
+        return this.template.nodes.size ? this.completedNodes.size / this.template.nodes.size : 0;
     }
 
     toJSON() {
         return {
+            id: this.id,
             template: this.template.id,
             context: this.context,
+            status: this.status,
+            completedAt: this.completedAt,
             currentNode: this.currentNode,
             completedNodes: Array.from(this.completedNodes),
             activeBranches: Array.from(this.activeBranches),
             consciousnessState: Array.from(this.consciousnessState.entries()),
             informationRevealed: Array.from(this.informationRevealed),
+            appliedRules: Array.from(this.appliedRules),
             startTime: this.startTime
         };
     }
+
+    static fromJSON(template, data) {
+        const quest = new QuestInstance(template, data.context);
+        (data.appliedRules || []).forEach(index => {
+            const rule = quest.template.evolutionRules[index];
+            if (rule) QuestSystem.evolve(quest, rule, index);
+        });
+        quest.id = data.id || quest.id;
+        quest.status = data.status || 'active';
+        quest.completedAt = data.completedAt ?? null;
+        quest.currentNode = data.currentNode ?? quest.currentNode;
+        quest.completedNodes = new Set(data.completedNodes || []);
+        quest.activeBranches = new Set(data.activeBranches || []);
+        quest.consciousnessState = new Map(data.consciousnessState || []);
+        quest.informationRevealed = new Set(data.informationRevealed || []);
+        quest.startTime = data.startTime ?? quest.startTime;
+        return quest;
+    }
 }
 
+/**
+ * Quest templates, the runs in progress and finished ones
+ *
+ * Consciousness requirements, shifts and unlock conditions read a consciousness state
+ * ({ currentFrequency, emotionalCoherence }): the consciousnessSystem's state for the
+ * quest's node when one is given, otherwise the state the quest was started with in
+ * `context.consciousness` (QuestService passes the character's own). Without a
+ * consciousnessSystem, relationship consequences and `consequences.effects` are queued on
+ * the quest's `pendingEffects` for the caller to apply to the character.
+ */
 class QuestSystem {
-    constructor(consciousnessSystem, connectionSystem) {
+    constructor(consciousnessSystem = null) {
         this.consciousnessSystem = consciousnessSystem;
-        this.connectionSystem = connectionSystem;
         this.questTemplates = new Map();
         this.activeQuests = new Map();
         this.questHistory = new Map();
@@ -98,36 +209,54 @@ class QuestSystem {
         if (this.questTemplates.has(template.id)) {
             throw new Error(`Quest template with ID ${template.id} already exists`);
         }
-        this.questTemplates.set(template.id, template);
+        this.questTemplates.set(template.id, QuestTemplate.fromJSON(template));
         return true;
     }
 
+    getQuestTemplate(templateId) {
+        return this.questTemplates.get(templateId) || null;
+    }
+
     // Quest Generation
-    generateQuests(nodeId, context = {}) {
-        const node = this.connectionSystem.nodeTypeSystem.getNodeType(nodeId);
-        if (!node) {
-            throw new Error(`Node with ID ${nodeId} not found`);
+    // Templates offered at a world node ({ id, type, population }) to a context's consciousness
+    getAvailableTemplates(node, context = {}) {
+        if (!node?.id) {
+            throw new Error('Quests are generated for a node');
         }
+        const consciousnessState = this.consciousnessSystem?.getConsciousnessState(node.id) || context.consciousness || null;
+        return Array.from(this.questTemplates.values())
+            .filter(template => this.isQuestTemplateValid(template, node, consciousnessState));
+    }
 
-        const possibleQuests = Array.from(this.questTemplates.values())
-            .filter(template => this.isQuestTemplateValid(template, node, context));
-
-        return possibleQuests.map(template => this.createQuestInstance(template, {
+    generateQuests(node, context = {}) {
+        return this.getAvailableTemplates(node, context).map(template => this.createQuestInstance(template, {
             ...context,
-            nodeId,
-            timestamp: Date.now()
+            nodeId: node.id
         }));
     }
 
     // Quest Instance Management
     createQuestInstance(template, context) {
         const instance = new QuestInstance(template, context);
-        this.activeQuests.set(instance.template.id, instance);
+        this.activeQuests.set(instance.id, instance);
         return instance;
     }
 
+    // Resumes a run saved with QuestInstance.toJSON
+    restoreQuestInstance(data) {
+        const template = this.questTemplates.get(data.template);
+        if (!template) {
+            throw new Error(`Quest template with ID ${data.template} not found`);
+        }
+        const quest = QuestInstance.fromJSON(template, data);
+        (quest.status === 'active' ? this.activeQuests : this.questHistory).set(quest.id, quest);
+        return quest;
+    }
+
     // Quest Progression
-    progressQuest(questId, choice) {
+    // Clears the current step and moves to the branch chosen, else the first unlocked step,
+    // else completes the quest
+    progressQuest(questId, choice, turn = 0) {
         const quest = this.activeQuests.get(questId);
         if (!quest) {
             throw new Error(`Quest with ID ${questId} not found`);
@@ -145,43 +274,36 @@ class QuestSystem {
         this.updateConsciousnessState(quest, currentNode);
 
         // Check for evolution triggers
-        this.checkEvolutionTriggers(quest);
+        quest.completedNodes.add(currentNode.id);
+        this.checkEvolutionTriggers(quest, turn);
 
         // Move to next node
         const nextNode = this.determineNextNode(currentNode, choice, quest);
         if (nextNode) {
             quest.currentNode = nextNode;
-            quest.completedNodes.add(currentNode.id);
         } else {
-            this.completeQuest(questId);
+            this.completeQuest(questId, turn);
         }
 
         return quest;
     }
 
     // Helper Methods
-    isQuestTemplateValid(template, node, context) {
-        // Check consciousness requirements
-        if (template.consciousnessRequirements) {
-            const consciousnessState = this.consciousnessSystem.getConsciousnessState(node.id);
-            if (!consciousnessState) return false;
+    getConsciousnessState(quest) {
+        return this.consciousnessSystem?.getConsciousnessState(quest.context.nodeId) || quest.context.consciousness || null;
+    }
 
-            if (template.consciousnessRequirements.frequency) {
-                const [min, max] = template.consciousnessRequirements.frequency.split('-').map(Number);
-                if (consciousnessState.currentFrequency < min || consciousnessState.currentFrequency > max) {
-                    return false;
-                }
-            }
+    isQuestTemplateValid(template, node, consciousnessState) {
+        if (!template.isOfferedAt(node)) return false;
 
-            if (template.consciousnessRequirements.coherence) {
-                const [min, max] = template.consciousnessRequirements.coherence.split('-').map(Number);
-                if (consciousnessState.emotionalCoherence < min || consciousnessState.emotionalCoherence > max) {
-                    return false;
-                }
-            }
+        // Check consciousness requirements
+        const { frequency, coherence } = template.consciousnessRequirements || {};
+        if (frequency || coherence) {
+            if (!consciousnessState) return false;
+            if (frequency && !inRange(consciousnessState.currentFrequency, frequency)) return false;
+            if (coherence && !inRange(consciousnessState.emotionalCoherence, coherence)) return false;
         }
 
-        // Check other requirements
         return true;
     }
 
@@ -190,7 +312,7 @@ class QuestSystem {
 
         // Apply consciousness changes
         if (consequences.consciousness) {
-            const consciousnessState = this.consciousnessSystem.getConsciousnessState(quest.context.nodeId);
+            const consciousnessState = this.getConsciousnessState(quest);
             if (consciousnessState) {
                 if (consequences.consciousness.frequency) {
                     consciousnessState.currentFrequency += consequences.consciousness.frequency;
@@ -204,14 +326,18 @@ class QuestSystem {
         // Apply relationship changes
         if (consequences.relationships) {
             Object.entries(consequences.relationships).forEach(([targetId, change]) => {
-                this.consciousnessSystem.updateRelationship(
-                    quest.context.nodeId,
-                    targetId,
-                    change
-                );
+                if (this.consciousnessSystem) {
+                    this.consciousnessSystem.updateRelationship(quest.context.nodeId, targetId, change);
+                } else {
+                    quest.pendingEffects.push({ type: 'relationship', target: targetId, value: change });
+                }
             });
         }
 
+        if (Array.isArray(consequences.effects)) {
+            quest.pendingEffects.push(...consequences.effects);
+        }
+
         // Apply information reveals
         if (consequences.revealInformation) {
             quest.informationRevealed.add(consequences.revealInformation);
@@ -219,47 +345,47 @@ class QuestSystem {
     }
 
     updateConsciousnessState(quest, node) {
-        if (node.consciousnessTriggers) {
-            node.consciousnessTriggers.forEach(trigger => {
-                const consciousnessState = this.consciousnessSystem.getConsciousnessState(quest.context.nodeId);
-                if (consciousnessState) {
-                    if (trigger.type === 'frequency_shift') {
-                        consciousnessState.currentFrequency += trigger.value;
-                    } else if (trigger.type === 'coherence_shift') {
-                        consciousnessState.emotionalCoherence += trigger.value;
-                    }
-                }
-            });
-        }
+        const consciousnessState = this.getConsciousnessState(quest);
+        if (!consciousnessState) return;
+
+        node.consciousnessTriggers.forEach(trigger => {
+            if (trigger.type === 'frequency_shift') {
+                consciousnessState.currentFrequency += trigger.value;
+            } else if (trigger.type === 'coherence_shift') {
+                consciousnessState.emotionalCoherence += trigger.value;
+            }
+        });
     }
 
-    checkEvolutionTriggers(quest) {
-        const consciousnessState = this.consciousnessSystem.getConsciousnessState(quest.context.nodeId);
-        if (!consciousnessState) return;
+    // Each rule applies once per run
+    checkEvolutionTriggers(quest, turn) {
+        const consciousnessState = this.getConsciousnessState(quest);
 
-        quest.template.evolutionRules.forEach(rule => {
-            if (this.evaluateEvolutionRule(rule, consciousnessState, quest)) {
-                this.evolveQuest(quest, rule);
+        quest.template.evolutionRules.forEach((rule, index) => {
+            if (!quest.appliedRules.has(index) && this.evaluateEvolutionRule(rule, consciousnessState, quest, turn)) {
+                QuestSystem.evolve(quest, rule, index);
             }
         });
     }
 
-    evaluateEvolutionRule(rule, consciousnessState, quest) {
+    evaluateEvolutionRule(rule, consciousnessState, quest, turn) {
         switch (rule.type) {
             case 'frequency_threshold':
-                return consciousnessState.currentFrequency >= rule.threshold;
+                return Boolean(consciousnessState) && consciousnessState.currentFrequency >= rule.threshold;
             case 'coherence_threshold':
-                return consciousnessState.emotionalCoherence >= rule.threshold;
+                return Boolean(consciousnessState) && consciousnessState.emotionalCoherence >= rule.threshold;
             case 'completed_nodes':
                 return quest.completedNodes.size >= rule.count;
             case 'time_elapsed':
-                return Date.now() - quest.startTime >= rule.duration;
+                return turn - quest.startTime >= rule.duration;
             default:
                 return false;
         }
     }
 
-    evolveQuest(quest, rule) {
+    static evolve(quest, rule, index) {
+        quest.appliedRules.add(index);
+
         // Add new nodes
         if (rule.addNodes) {
             rule.addNodes.forEach(node => {
@@ -304,10 +430,11 @@ class QuestSystem {
 
     evaluateUnlockCondition(condition, quest) {
         switch (condition.type) {
-            case 'consciousness':
-                const consciousnessState = this.consciousnessSystem.getConsciousnessState(quest.context.nodeId);
+            case 'consciousness': {
+                const consciousnessState = this.getConsciousnessState(quest);
                 if (!consciousnessState) return false;
                 return this.evaluateConsciousnessCondition(condition, consciousnessState);
+            }
             case 'completed_nodes':
                 return quest.completedNodes.size >= condition.count;
             case 'information_revealed':
@@ -318,22 +445,16 @@ class QuestSystem {
     }
 
     evaluateConsciousnessCondition(condition, consciousnessState) {
-        if (condition.frequency) {
-            const [min, max] = condition.frequency.split('-').map(Number);
-            if (consciousnessState.currentFrequency < min || consciousnessState.currentFrequency > max) {
-                return false;
-            }
+        if (condition.frequency && !inRange(consciousnessState.currentFrequency, condition.frequency)) {
+            return false;
         }
-        if (condition.coherence) {
-            const [min, max] = condition.coherence.split('-').map(Number);
-            if (consciousnessState.emotionalCoherence < min || consciousnessState.emotionalCoherence > max) {
-                return false;
-            }
+        if (condition.coherence && !inRange(consciousnessState.emotionalCoherence, condition.coherence)) {
+            return false;
         }
         return true;
     }
 
-    completeQuest(questId) {
+    completeQuest(questId, turn = 0) {
         const quest = this.activeQuests.get(questId);
         if (!quest) {
             throw new Error(`Quest with ID ${questId} not found`);
@@ -342,17 +463,32 @@ class QuestSystem {
         // Apply completion consequences
         this.applyConsequences(quest.template.consequences, quest);
 
+        quest.status = 'completed';
+        quest.completedAt = turn;
+
         // Move to history
         this.questHistory.set(questId, quest);
         this.activeQuests.delete(questId);
     }
 
+    failQuest(questId, turn = 0) {
+        const quest = this.activeQuests.get(questId);
+        if (!quest) {
+            throw new Error(`Quest with ID ${questId} not found`);
+        }
+
+        quest.status = 'failed';
+        quest.completedAt = turn;
+        this.questHistory.set(questId, quest);
+        this.activeQuests.delete(questId);
+    }
+
     // Data Persistence
     toJSON() {
         return {
             questTemplates: Array.from(this.questTemplates.values()).map(template => template.toJSON()),
-            activeQuests: Array.from(this.activeQuests.entries()),
-            questHistory: Array.from(this.questHistory.entries())
+            activeQuests: Array.from(this.activeQuests.values()).map(quest => quest.toJSON()),
+            questHistory: Array.from(this.questHistory.values()).map(quest => quest.toJSON())
         };
     }
 
@@ -363,35 +499,15 @@ class QuestSystem {
         this.questHistory.clear();
 
         // Restore quest templates
-        data.questTemplates.forEach(templateData => {
-            const template = new QuestTemplate(templateData);
-            templateData.nodes.forEach(nodeData => {
-                template.addNode(new QuestNode(nodeData));
-            });
-            this.questTemplates.set(template.id, template);
-        });
+        (data.questTemplates || []).forEach(templateData => this.addQuestTemplate(templateData));
 
         // Restore active quests and history
-        data.activeQuests.forEach(([id, questData]) => {
-            const template = this.questTemplates.get(questData.template);
-            if (template) {
-                const quest = new QuestInstance(template, questData.context);
-                Object.assign(quest, questData);
-                this.activeQuests.set(id, quest);
-            }
-        });
-
-        data.questHistory.forEach(([id, questData]) => {
-            const template = this.questTemplates.get(questData.template);
-            if (template) {
-                const quest = new QuestInstance(template, questData.context);
-                Object.assign(quest, questData);
-                this.questHistory.set(id, quest);
-            }
-        });
+        [...(data.activeQuests || []), ...(data.questHistory || [])]
+            .filter(questData => this.questTemplates.has(questData.template))
+            .forEach(questData => this.restoreQuestInstance(questData));
 
         return this;
     }
 }
 
-export default QuestSystem; 
\ No newline at end of file
+export default QuestSystem;
@@ -0,0 +1,302 @@
+// src/domain/entities/RelationshipGraph.js
+
+export const RELATIONSHIP_TYPES = Object.freeze(['family', 'friendship', 'rivalry', 'loyalty', 'romance']);
+
+const clamp = value => Math.round(Math.max(-100, Math.min(100, value)) * 1000) / 1000;
+const edgeKey = (from, to) => `${from}|${to}`;
+
+/**
+ * The world's web of relationships: one directed edge per ordered pair of characters
+ *
+ * An edge is how `from` regards `to`: `affinity` (liking, -100 to 100, the number kept in
+ * Character.relationships), `trust` (-100 to 100) and its `types`, any of
+ * RELATIONSHIP_TYPES. The analytics read the undirected graph of ties, where two
+ * characters are tied when either regards the other with positive affinity; a tie's
+ * strength is the better of the two.
+ */
+export class RelationshipGraph {
+  /**
+   * @param {Array<Object>} [edges] - { from, to, types, affinity, trust, since, lastInteractionAt }
+   */
+  constructor(edges = []) {
+    this.edges = new Map();
+    edges.forEach(edge => this.setEdge(edge.from, edge.to, edge));
+  }
+
+  getEdge(from, to) {
+    return this.edges.get(edgeKey(from, to)) || null;
+  }
+
+  /**
+   * Creates or updates the edge from one character to another
+   * @param {string} from
+   * @param {string} to
+   * @param {Object} [fields] - { types, affinity, trust, since, lastInteractionAt }
+   * @returns {Object} The edge
+   */
+  setEdge(from, to, fields = {}) {
+    if (!from || !to || from === to) {
+      throw new Error('A relationship needs two different characters');
+    }
+    const previous = this.getEdge(from, to) || { from, to, types: [], affinity: 0, trust: 0, since: null, lastInteractionAt: null };
+    const types = (fields.types || previous.types).filter(type => RELATIONSHIP_TYPES.includes(type));
+    const edge = {
+      ...previous,
+      ...fields,
+      from,
+      to,
+      types: [...new Set(types)],
+      affinity: clamp(fields.affinity ?? previous.affinity),
+      trust: clamp(fields.trust ?? previous.trust)
+    };
+    this.edges.set(edgeKey(from, to), edge);
+    return edge;
+  }
+
+  /**
+   * Shifts an edge's affinity and trust, creating it if need be
+   * @returns {Object} The edge
+   */
+  adjust(from, to, { affinity = 0, trust = 0 } = {}, turn = null) {
+    const edge = this.getEdge(from, to);
+    return this.setEdge(from, to, {
+      affinity: (edge?.affinity || 0) + affinity,
+      trust: (edge?.trust || 0) + trust,
+      since: edge?.since ?? turn,
+      lastInteractionAt: turn ?? edge?.lastInteractionAt ?? null
+    });
+  }
+
+  addType(from, to, type) {
+    const edge = this.getEdge(from, to);
+    return this.setEdge(from, to, { types: [...(edge?.types || []), type] });
+  }
+
+  removeType(from, to, type) {
+    const edge = this.getEdge(from, to);
+    return edge ? this.setEdge(from, to, { types: edge.types.filter(candidate => candidate !== type) }) : null;
+  }
+
+  hasType(from, to, type) {
+    return Boolean(this.getEdge(from, to)?.types.includes(type));
+  }
+
+  removeEdge(from, to) {
+    this.edges.delete(edgeKey(from, to));
+  }
+
+  // Drops every edge from or to a character
+  removeCharacter(characterId) {
+    [...this.edges.values()]
+      .filter(edge => edge.from === characterId || edge.to === characterId)
+      .forEach(edge => this.removeEdge(edge.from, edge.to));
+  }
+
+  /**
+   * Edges from a character
+   * @param {string} characterId
+   * @returns {Array<Object>}
+   */
+  edgesFrom(characterId) {
+    return [...this.edges.values()].filter(edge => edge.from === characterId);
+  }
+
+  getCharacterIds() {
+    const ids = new Set();
+    this.edges.forEach(edge => {
+      ids.add(edge.from);
+      ids.add(edge.to);
+    });
+    return [...ids];
+  }
+
+  /**
+   * Undirected ties: characters tied with positive affinity (either way) of at least minAffinity
+   * @param {number} [minAffinity=0]
+   * @returns {Map<string, Map<string, number>>} Neighbours of each character, with the tie's strength
+   */
+  ties(minAffinity = 0) {
+    const ties = new Map(this.getCharacterIds().map(id => [id, new Map()]));
+    this.edges.forEach(edge => {
+      const back = this.getEdge(edge.to, edge.from);
+      const strength = Math.max(edge.affinity, back?.affinity ?? -Infinity);
+      if (strength > 0 && strength >= minAffinity) {
+        ties.get(edge.from).set(edge.to, strength);
+        ties.get(edge.to).set(edge.from, strength);
+      }
+    });
+    return ties;
+  }
+
+  /**
+   * Degree (share of the others a character is tied to), weighted degree (sum of tie
+   * strengths) and betweenness (share of shortest paths between others that pass through
+   * the character, Brandes' algorithm)
+   * @param {number} [minAffinity=0] - Weakest tie counted
+   * @returns {Object<string, {degree: number, weightedDegree: number, betweenness: number}>}
+   */
+  centrality(minAffinity = 0) {
+    const ties = this.ties(minAffinity);
+    const ids = [...ties.keys()];
+    const betweenness = new Map(ids.map(id => [id, 0]));
+
+    ids.forEach(source => {
+      const stack = [];
+      const predecessors = new Map(ids.map(id => [id, []]));
+      const paths = new Map(ids.map(id => [id, 0]));
+      const distance = new Map(ids.map(id => [id, -1]));
+      paths.set(source, 1);
+      distance.set(source, 0);
+      const queue = [source];
+      while (queue.length) {
+        const current = queue.shift();
+        stack.push(current);
+        ties.get(current).forEach((strength, neighbour) => {
+          if (distance.get(neighbour) < 0) {
+            distance.set(neighbour, distance.get(current) + 1);
+            queue.push(neighbour);
+          }
+          if (distance.get(neighbour) === distance.get(current) + 1) {
+            paths.set(neighbour, paths.get(neighbour) + paths.get(current));
+            predecessors.get(neighbour).push(current);
+          }
+        });
+      }
+      const dependency = new Map(ids.map(id => [id, 0]));
+      while (stack.length) {
+        const current = stack.pop();
+        predecessors.get(current).forEach(predecessor => {
+          dependency.set(predecessor, dependency.get(predecessor) +
+            (paths.get(predecessor) / paths.get(current)) * (1 + dependency.get(current)));
+        });
+        if (current !== source) {
+          betweenness.set(current, betweenness.get(current) + dependency.get(current));
+        }
+      }
+    });
+
+    // Each pair was counted from both ends; normalize by the pairs the others make
+    const pairs = ((ids.length - 1) * (ids.length - 2)) / 2;
+    return Object.fromEntries(ids.map(id => {
+      const neighbours = ties.get(id);
+      const weightedDegree = [...neighbours.values()].reduce((sum, strength) => sum + strength, 0);
+      return [id, {
+        degree: ids.length > 1 ? neighbours.size / (ids.length - 1) : 0,
+        weightedDegree: Math.round(weightedDegree * 1000) / 1000,
+        betweenness: pairs > 0 ? Math.round((betweenness.get(id) / 2 / pairs) * 1000) / 1000 : 0
+      }];
+    }));
+  }
+
+  /**
+   * Maximal cliques - groups where everyone is tied to everyone (Bron-Kerbosch with pivoting)
+   * @param {Object} [options]
+   * @param {number} [options.minAffinity=30] - Weakest tie counted
+   * @param {number} [options.minSize=3] - Smallest clique reported
+   * @returns {Array<string[]>} Largest first
+   */
+  cliques({ minAffinity = 30, minSize = 3 } = {}) {
+    const ties = this.ties(minAffinity);
+    const cliques = [];
+    const expand = (clique, candidates, excluded) => {
+      if (!candidates.size && !excluded.size) {
+        if (clique.length >= minSize) cliques.push([...clique].sort());
+        return;
+      }
+      const pivot = [...candidates, ...excluded].reduce((best, id) =>
+        (ties.get(id).size > ties.get(best).size ? id : best));
+      [...candidates].filter(id => !ties.get(pivot).has(id)).forEach(id => {
+        const neighbours = ties.get(id);
+        expand(
+          [...clique, id],
+          new Set([...candidates].filter(other => neighbours.has(other))),
+          new Set([...excluded].filter(other => neighbours.has(other)))
+        );
+        candidates.delete(id);
+        excluded.add(id);
+      });
+    };
+    expand([], new Set(ties.keys()), new Set());
+    return cliques.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+  }
+
+  /**
+   * Factions - groups held together by ties, directly or through others (connected components)
+   * @param {Object} [options]
+   * @param {number} [options.minAffinity=30] - Weakest tie counted
+   * @param {number} [options.minSize=2] - Smallest faction reported
+   * @returns {Array<string[]>} Largest first
+   */
+  factions({ minAffinity = 30, minSize = 2 } = {}) {
+    const ties = this.ties(minAffinity);
+    const seen = new Set();
+    const factions = [];
+    ties.forEach((neighbours, start) => {
+      if (seen.has(start)) return;
+      const members = [];
+      const queue = [start];
+      seen.add(start);
+      while (queue.length) {
+        const current = queue.shift();
+        members.push(current);
+        ties.get(current).forEach((strength, neighbour) => {
+          if (!seen.has(neighbour)) {
+            seen.add(neighbour);
+            queue.push(neighbour);
+          }
+        });
+      }
+      if (members.length >= minSize) factions.push(members.sort());
+    });
+    return factions.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+  }
+
+  /**
+   * The easiest chain of acquaintance from one character to another: each step costs
+   * 2 - strength / 100, so strong ties make short paths (Dijkstra)
+   * @param {string} from
+   * @param {string} to
+   * @param {number} [minAffinity=0] - Weakest tie walked
+   * @returns {string[]|null} Character ids from `from` to `to`, or null when they aren't connected
+   */
+  shortestPath(from, to, minAffinity = 0) {
+    const ties = this.ties(minAffinity);
+    if (!ties.has(from) || !ties.has(to)) return null;
+    const cost = new Map([[from, 0]]);
+    const previous = new Map();
+    const open = new Set([from]);
+    const done = new Set();
+
+    while (open.size) {
+      const current = [...open].reduce((best, id) => (cost.get(id) < cost.get(best) ? id : best));
+      if (current === to) break;
+      open.delete(current);
+      done.add(current);
+      ties.get(current).forEach((strength, neighbour) => {
+        if (done.has(neighbour)) return;
+        const next = cost.get(current) + 2 - strength / 100;
+        if (!cost.has(neighbour) || next < cost.get(neighbour)) {
+          cost.set(neighbour, next);
+          previous.set(neighbour, current);
+          open.add(neighbour);
+        }
+      });
+    }
+
+    if (!cost.has(to)) return null;
+    const path = [to];
+    while (path[0] !== from) path.unshift(previous.get(path[0]));
+    return path;
+  }
+
+  toJSON() {
+    return { edges: [...this.edges.values()].map(edge => ({ ...edge, types: [...edge.types] })) };
+  }
+
+  static fromJSON(data) {
+    if (data instanceof RelationshipGraph) return data;
+    return new RelationshipGraph(data?.edges || []);
+  }
+}
+
+export default RelationshipGraph;
@@ -1,158 +1,189 @@
-export const Settlement = {
-  id: String,
-  name: String,
-  type: String, // 'village', 'town', 'city', 'kingdom', etc.
-  population: {
-    total: Number,
-    composition: {
-      types: [String],
-      counts: Object
-    },
-    growth: Number,
-    migration: Number
-  },
-  resources: {
-    types: [String],
-    amounts: Object,
-    production: Object,
-    consumption: Object,
-    storage: Object
-  },
-  buildings: [{
-    id: String,
-    type: String,
-    level: Number,
-    status: String,
-    capacity: Number,
-    occupants: [String],
-    production: Object,
-    maintenance: Object
-  }],
-  government: {
-    type: String,
-    leader: String,
-    structure: [{
-      level: Number,
-      positions: [{
-        title: String,
-        holder: String,
-        responsibilities: Object,
-        authority: Object
-      }]
-    }],
-    policies: Object,
-    laws: [{
-      id: String,
-      description: String,
-      enforcement: Number,
-      penalties: Object
-    }]
-  },
-  economy: {
-    currency: Object,
-    trade: [{
-      partner: String,
-      resources: Object,
-      value: Number,
-      frequency: Number
-    }],
-    markets: [{
-      type: String,
-      location: String,
-      goods: [{
-        type: String,
-        price: Number,
-        supply: Number,
-        demand: Number
-      }]
-    }],
-    taxes: Object,
-    income: Object,
-    expenses: Object
-  },
-  history: [{
-    id: String,
-    timestamp: Number,
-    type: String,
-    description: String,
-    participants: [String],
-    effects: Object
-  }],
-  availableQuests: [{
-    id: String,
-    type: String,
-    difficulty: Number,
-    requirements: Object,
-    rewards: Object,
-    timeLimit: Number,
-    status: String
-  }],
-  influenceStanding: [{
-    domain: String,
-    value: Number,
-    history: [{
-      timestamp: Number,
-      change: Number,
-      reason: String
-    }]
-  }],
-  prestigeFactors: [{
-    type: String,
-    value: Number,
-    visibility: Number,
-    history: [{
-      timestamp: Number,
-      change: Number,
-      reason: String
-    }]
-  }],
-  territory: {
-    size: Number,
-    borders: Object,
-    control: Object,
-    features: [{
-      type: String,
-      location: Object,
-      properties: Object
-    }]
-  },
-  culture: {
-    traits: Object,
-    traditions: [{
-      name: String,
-      description: String,
-      importance: Number,
-      participants: [String]
-    }],
-    influences: Object,
-    evolution: [{
-      timestamp: Number,
-      changes: Object,
-      reason: String
-    }]
-  },
-  relationships: [{
-    target: String,
-    type: String,
-    value: Number,
-    history: [{
-      timestamp: Number,
-      change: Number,
-      reason: String
-    }]
-  }],
-  events: [{
-    id: String,
-    timestamp: Number,
-    type: String,
-    description: String,
-    impact: Object,
-    participants: [String]
-  }],
-  metadata: {
-    creationDate: Number,
-    lastUpdate: Number,
-    version: String,
-    tags: [String]
+// src/domain/entities/Settlement.js
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * A town attached to a world node: its people, stores, buildings, government and economy
+ *
+ * `population` is the head count, so the settlement can be handed straight to
+ * InfluenceService and PrestigeService, which read `population`, `type`, `prosperity`,
+ * `stability` and the `hasMarket`/`hasTemple`/`hasBarracks`/`hasGovernment` flags.
+ * Rates are per simulated day; SettlementService applies them a turn at a time.
+ *
+ * - resources: `amounts` in store, `production` and `consumption` (per 100 inhabitants)
+ *   outside of buildings, and `storage` caps
+ * - buildings: `{ id, type, level, status, capacity, occupants, production, maintenance, upkeep }`;
+ *   active buildings produce `production × level` and use `maintenance` resources and `upkeep` coin
+ * - economy: `treasury`, `taxes` (`{ rate, market, tariff }`; tariff on imports, see TradeService), `markets[].goods[]`
+ *   (`{ type, price, basePrice, supply, demand }`) and last turn's `income` and `expenses`
+ */
+export class Settlement {
+  constructor(config = {}) {
+    if (!config.id) {
+      throw new Error('Settlement requires an id');
+    }
+    // The type-shape this entity replaced nested the head count in population.total
+    const population = typeof config.population === 'object' && config.population !== null
+      ? config.population
+      : { total: config.population };
+
+    this.id = config.id;
+    this.name = config.name || config.id;
+    this.type = config.type || 'village'; // 'village', 'town', 'city', 'capital', 'trade_hub', ...
+    this.nodeId = config.nodeId || null;
+
+    this.population = Math.max(0, Math.round(population.total || 0));
+    this.composition = { ...(config.composition || population.composition?.counts || {}) };
+    this.growthRate = config.growthRate ?? population.growth ?? 0.02; // natural growth per year
+    this.migration = config.migration ?? population.migration ?? 0; // net arrivals last turn
+    this.growthRemainder = config.growthRemainder || 0;
+
+    this.resources = {
+      amounts: { ...(config.resources?.amounts || {}) },
+      production: { ...(config.resources?.production || {}) },
+      consumption: { ...(config.resources?.consumption || {}) },
+      storage: { ...(config.resources?.storage || {}) },
+      shortages: { ...(config.resources?.shortages || {}) }
+    };
+    this.buildings = (config.buildings || []).map(building => ({
+      level: 1,
+      status: 'active',
+      capacity: 0,
+      occupants: [],
+      production: {},
+      maintenance: {},
+      upkeep: 0,
+      ...building
+    }));
+
+    this.government = config.government || { type: 'council', leader: null, structure: [], policies: {}, laws: [] };
+    this.economy = {
+      currency: config.economy?.currency || { name: 'coin' },
+      treasury: config.economy?.treasury || 0,
+      taxes: { rate: 0.1, market: 0, tariff: 0, ...(config.economy?.taxes || {}) },
+      markets: (config.economy?.markets || []).map(market => ({
+        ...market,
+        goods: (market.goods || []).map(good => ({
+          ...good,
+          basePrice: good.basePrice ?? good.price ?? 1,
+          price: good.price ?? good.basePrice ?? 1
+        }))
+      })),
+      trade: config.economy?.trade || [],
+      income: config.economy?.income || {},
+      expenses: config.economy?.expenses || {}
+    };
+
+    this.prosperity = config.prosperity ?? 0.5;
+    this.stability = config.stability ?? 0.5;
+    this.dominantCulture = config.dominantCulture || null;
+    this.history = config.history || [];
   }
-}; 
\ No newline at end of file
+
+  get hasMarket() {
+    return this.economy.markets.length > 0 || this.hasBuilding('market');
+  }
+
+  get hasTemple() {
+    return this.hasBuilding('temple');
+  }
+
+  get hasShrine() {
+    return this.hasBuilding('shrine');
+  }
+
+  get hasBarracks() {
+    return this.hasBuilding('barracks');
+  }
+
+  get hasGovernment() {
+    return Boolean(this.government.leader) || (this.government.structure || []).length > 0;
+  }
+
+  hasBuilding(type) {
+    return this.buildings.some(building => building.type === type && building.status === 'active');
+  }
+
+  /**
+   * Every resource the settlement stores, makes or uses
+   * @returns {string[]}
+   */
+  getResourceTypes() {
+    const types = new Set([
+      ...Object.keys(this.resources.amounts),
+      ...Object.keys(this.resources.production),
+      ...Object.keys(this.resources.consumption)
+    ]);
+    this.buildings.forEach(building => {
+      Object.keys(building.production).forEach(type => types.add(type));
+      Object.keys(building.maintenance).forEach(type => types.add(type));
+    });
+    return [...types];
+  }
+
+  /**
+   * Current market price of a good, or null if no market trades it
+   * @param {string} type
+   * @returns {number|null}
+   */
+  getPrice(type) {
+    for (const market of this.economy.markets) {
+      const good = market.goods.find(candidate => candidate.type === type);
+      if (good) return good.price;
+    }
+    return null;
+  }
+
+  /**
+   * Sets the head count, scaling the composition counts to match
+   * @param {number} total
+   */
+  setPopulation(total) {
+    const next = Math.max(0, Math.round(total));
+    const types = Object.keys(this.composition);
+    const counted = types.reduce((sum, type) => sum + this.composition[type], 0);
+    if (types.length && counted > 0) {
+      types.forEach(type => { this.composition[type] = Math.round((this.composition[type] * next) / counted); });
+      const drift = next - types.reduce((sum, type) => sum + this.composition[type], 0);
+      const largest = types.reduce((best, type) => (this.composition[type] > this.composition[best] ? type : best), types[0]);
+      this.composition[largest] += drift;
+    }
+    this.population = next;
+  }
+
+  adjustProsperity(amount) {
+    this.prosperity = round(Math.max(0, Math.min(1, this.prosperity + amount)));
+  }
+
+  adjustStability(amount) {
+    this.stability = round(Math.max(0, Math.min(1, this.stability + amount)));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      nodeId: this.nodeId,
+      population: this.population,
+      composition: { ...this.composition },
+      growthRate: this.growthRate,
+      migration: this.migration,
+      growthRemainder: this.growthRemainder,
+      resources: JSON.parse(JSON.stringify(this.resources)),
+      buildings: JSON.parse(JSON.stringify(this.buildings)),
+      government: JSON.parse(JSON.stringify(this.government)),
+      economy: JSON.parse(JSON.stringify(this.economy)),
+      prosperity: this.prosperity,
+      stability: this.stability,
+      dominantCulture: this.dominantCulture,
+      history: [...this.history]
+    };
+  }
+
+  static fromJSON(data) {
+    return data instanceof Settlement ? data : new Settlement(data);
+  }
+}
+
+export default Settlement;
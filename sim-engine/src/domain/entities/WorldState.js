@@ -5,6 +5,7 @@
  */
 
 import WorldValidator from '../services/WorldValidator.js';
+import { generateSeed } from '../../shared/utils/RandomUtils.js';
 
 class WorldState {
   constructor(config = {}) {
@@ -12,6 +13,9 @@ class WorldState {
     this.name = config.name || 'Untitled World';
     this.description = config.description || '';
     
+    // Seed for the simulation PRNG - same seed + same world = same history
+    this.seed = config.seed !== undefined && config.seed !== null ? config.seed : generateSeed();
+    
     // Core world configuration
     this.dimensions = config.dimensions || null;
     this.rules = config.rules || null;
@@ -24,6 +28,9 @@ class WorldState {
     this.events = config.events || [];
     this.groups = config.groups || [];
     this.items = config.items || [];
+    this.quests = config.quests || []; // QuestTemplate JSON
+    this.factions = config.factions || []; // Faction JSON
+    this.narrativeGrammar = config.narrativeGrammar || {}; // Rules over the default narrative grammar
     
     // State tracking
     this.isValid = false;
@@ -102,6 +109,9 @@ class WorldState {
         customEvents: this.events.map(event => this._serializeForSimulation(event)),
         customGroups: this.groups.map(group => this._serializeForSimulation(group)),
         customItems: this.items.map(item => this._serializeForSimulation(item)),
+        factions: this.factions.map(faction => this._serializeForSimulation(faction)),
+        questTemplates: this.quests.map(quest => this._serializeForSimulation(quest)),
+        narrativeGrammar: { ...this.narrativeGrammar },
         
         // Rules and conditions
         rules: this.rules || {},
@@ -112,6 +122,7 @@ class WorldState {
         tickDelay: this.rules?.tickDelay || 1000,
         
         // Metadata for simulation
+        seed: this.seed,
         worldId: this.id,
         worldName: this.name,
         worldVersion: this.version
@@ -171,12 +182,12 @@ class WorldState {
 
   /**
    * Adds content to the world
-   * @param {string} type - Content type (nodes, characters, interactions, events, groups, items)
+   * @param {string} type - Content type (nodes, characters, interactions, events, groups, items, quests, factions)
    * @param {Object} content - Content to add
    * @returns {WorldState} This instance for chaining
    */
   addContent(type, content) {
-    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items'];
+    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items', 'quests', 'factions'];
     if (!validTypes.includes(type)) {
       throw new Error(`Invalid content type: ${type}. Must be one of: ${validTypes.join(', ')}`);
     }
@@ -203,7 +214,7 @@ class WorldState {
    * @returns {boolean} True if content was removed
    */
   removeContent(type, id) {
-    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items'];
+    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items', 'quests', 'factions'];
     if (!validTypes.includes(type)) {
       throw new Error(`Invalid content type: ${type}. Must be one of: ${validTypes.join(', ')}`);
     }
@@ -227,7 +238,7 @@ class WorldState {
    * @returns {boolean} True if content was updated
    */
   updateContent(type, id, updates) {
-    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items'];
+    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items', 'quests', 'factions'];
     if (!validTypes.includes(type)) {
       throw new Error(`Invalid content type: ${type}. Must be one of: ${validTypes.join(', ')}`);
     }
@@ -250,7 +261,7 @@ class WorldState {
    * @returns {Array|Object|null} Content array, specific content, or null
    */
   getContent(type, id = null) {
-    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items'];
+    const validTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items', 'quests', 'factions'];
     if (!validTypes.includes(type)) {
       throw new Error(`Invalid content type: ${type}. Must be one of: ${validTypes.join(', ')}`);
     }
@@ -299,6 +310,7 @@ class WorldState {
       id: this.id,
       name: this.name,
       description: this.description,
+      seed: this.seed,
       dimensions: this.dimensions,
       rules: this.rules,
       initialConditions: this.initialConditions,
@@ -308,6 +320,9 @@ class WorldState {
       events: this.events.map(event => this._serializeContent(event)),
       groups: this.groups.map(group => this._serializeContent(group)),
       items: this.items.map(item => this._serializeContent(item)),
+      quests: this.quests.map(quest => this._serializeContent(quest)),
+      factions: this.factions.map(faction => this._serializeContent(faction)),
+      narrativeGrammar: { ...this.narrativeGrammar },
       isValid: this.isValid,
       validationResult: this.validationResult,
       completeness: this.completeness,
@@ -463,7 +478,7 @@ class WorldState {
     }
 
     // Apply content customizations
-    const contentTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items'];
+    const contentTypes = ['nodes', 'characters', 'interactions', 'events', 'groups', 'items', 'quests', 'factions'];
     contentTypes.forEach(type => {
       if (customizations[type]) {
         if (customizations[type].replace && template.customizationOptions?.allowContentRemoval !== false) {
@@ -613,6 +628,7 @@ class WorldState {
       id: this.id,
       name: this.name,
       description: this.description,
+      seed: this.seed,
       dimensions: this.dimensions,
       rules: this.rules,
       initialConditions: this.initialConditions,
@@ -622,6 +638,10 @@ class WorldState {
       events: this.events.map(event => this._serializeContent(event)),
       groups: this.groups.map(group => this._serializeContent(group)),
       items: this.items.map(item => this._serializeContent(item)),
+      // Optional content: omitted while empty so worlds without quests, factions or grammar serialize as before
+      ...(this.quests.length ? { quests: this.quests.map(quest => this._serializeContent(quest)) } : {}),
+      ...(this.factions.length ? { factions: this.factions.map(faction => this._serializeContent(faction)) } : {}),
+      ...(Object.keys(this.narrativeGrammar).length ? { narrativeGrammar: { ...this.narrativeGrammar } } : {}),
       version: this.version,
       templateId: this.templateId,
       isTemplateInstance: this.isTemplateInstance
@@ -774,7 +794,14 @@ class WorldState {
     if (typeof content.toJSON === 'function') {
       return content.toJSON();
     }
-    
+
+    // Handle arrays (id lists such as assignedInteractions must stay arrays)
+    if (Array.isArray(content)) {
+      return content.map(item => (
+        typeof item === 'object' && item !== null ? this._serializeContent(item) : item
+      ));
+    }
+
     // Handle plain objects
     if (typeof content === 'object') {
       const serialized = {};
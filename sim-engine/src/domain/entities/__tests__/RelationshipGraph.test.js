@@ -0,0 +1,67 @@
+// src/domain/entities/__tests__/RelationshipGraph.test.js
+
+import RelationshipGraph from '../RelationshipGraph';
+
+// Two triangles of friends, a-b-c and d-e-f, bridged by c and d; g dislikes everyone
+const buildGraph = () => {
+  const graph = new RelationshipGraph();
+  const friends = (from, to, affinity = 50) => {
+    graph.setEdge(from, to, { affinity });
+    graph.setEdge(to, from, { affinity });
+  };
+  friends('a', 'b');
+  friends('b', 'c');
+  friends('a', 'c');
+  friends('d', 'e');
+  friends('e', 'f');
+  friends('d', 'f');
+  friends('c', 'd', 40);
+  graph.setEdge('g', 'a', { affinity: -60, types: ['rivalry'] });
+  return graph;
+};
+
+describe('RelationshipGraph', () => {
+  test('should keep one typed edge per direction, clamped and shifted by adjust', () => {
+    const graph = new RelationshipGraph();
+    graph.setEdge('a', 'b', { affinity: 150, types: ['friendship', 'nemesis', 'friendship'] });
+    graph.adjust('a', 'b', { affinity: -20, trust: 5 }, 3);
+    graph.adjust('b', 'a', { trust: -200 }, 4);
+
+    expect(graph.getEdge('a', 'b')).toMatchObject({ affinity: 80, trust: 5, types: ['friendship'], lastInteractionAt: 3 });
+    expect(graph.getEdge('b', 'a')).toMatchObject({ affinity: 0, trust: -100, since: 4 });
+    expect(graph.hasType('b', 'a', 'friendship')).toBe(false);
+    expect(() => graph.setEdge('a', 'a')).toThrow('A relationship needs two different characters');
+
+    graph.removeCharacter('b');
+    expect(graph.edges.size).toBe(0);
+  });
+
+  test('should rank the bridge between two groups as the most central', () => {
+    const centrality = buildGraph().centrality();
+
+    expect(centrality.c.betweenness).toBeGreaterThan(centrality.a.betweenness);
+    expect(centrality.d.betweenness).toBe(centrality.c.betweenness);
+    expect(centrality.c).toMatchObject({ degree: 0.5, weightedDegree: 140 });
+    // Dislike isn't a tie
+    expect(centrality.g).toEqual({ degree: 0, weightedDegree: 0, betweenness: 0 });
+  });
+
+  test('should find cliques, factions and the shortest social path', () => {
+    const graph = buildGraph();
+
+    expect(graph.cliques()).toEqual([['a', 'b', 'c'], ['d', 'e', 'f']]);
+    expect(graph.factions()).toEqual([['a', 'b', 'c', 'd', 'e', 'f']]);
+    expect(graph.factions({ minAffinity: 45 })).toEqual([['a', 'b', 'c'], ['d', 'e', 'f']]);
+    expect(graph.shortestPath('a', 'f')).toEqual(['a', 'c', 'd', 'f']);
+    expect(graph.shortestPath('a', 'g')).toBeNull();
+  });
+
+  test('should round-trip through JSON', () => {
+    const graph = buildGraph();
+
+    const copy = RelationshipGraph.fromJSON(JSON.parse(JSON.stringify(graph.toJSON())));
+
+    expect(copy.toJSON()).toEqual(graph.toJSON());
+    expect(copy.getEdge('g', 'a').types).toEqual(['rivalry']);
+  });
+});
@@ -149,7 +149,10 @@ describe('WorldState', () => {
         interactions: [{ id: 'int1', name: 'Test Interaction' }],
         events: [{ id: 'event1', name: 'Test Event' }],
         groups: [{ id: 'group1', name: 'Test Group' }],
-        items: [{ id: 'item1', name: 'Test Item' }]
+        items: [{ id: 'item1', name: 'Test Item' }],
+        factions: [{ id: 'faction1', name: 'Test Faction' }],
+        quests: [{ id: 'quest1', name: 'Test Quest' }],
+        narrativeGrammar: { birth: ['#subject# came into the world.'] }
       });
 
       const config = worldState.toSimulationConfig();
@@ -166,6 +169,9 @@ describe('WorldState', () => {
         customEvents: [{ id: 'event1', name: 'Test Event' }],
         customGroups: [{ id: 'group1', name: 'Test Group' }],
         customItems: [{ id: 'item1', name: 'Test Item' }],
+        factions: [{ id: 'faction1', name: 'Test Faction' }],
+        questTemplates: [{ id: 'quest1', name: 'Test Quest' }],
+        narrativeGrammar: { birth: ['#subject# came into the world.'] },
         rules: { tickDelay: 500 },
         initialConditions: { 
           resourceTypes: ['food', 'water'],
@@ -174,6 +180,7 @@ describe('WorldState', () => {
         },
         timeScale: 2,
         tickDelay: 500,
+        seed: worldState.seed,
         worldId: worldState.id,
         worldName: worldState.name,
         worldVersion: worldState.version
@@ -813,6 +820,7 @@ describe('WorldState', () => {
           id: worldState.id,
           name: 'Test World',
           description: 'A test world for templates',
+          seed: worldState.seed,
           dimensions: { width: 100, height: 100 },
           rules: { physics: { gravity: 9.8 } },
           initialConditions: { characterCount: 5, timeScale: 2 },
@@ -834,6 +842,22 @@ describe('WorldState', () => {
         });
       });
 
+      test('should preserve the simulation seed through serialization', () => {
+        const seeded = new WorldState({ name: 'Seeded World', seed: 'replay-me' });
+
+        const restored = WorldState.deserialize(seeded.serialize());
+
+        expect(restored.seed).toBe('replay-me');
+      });
+
+      test('should carry the narrative grammar through export and import', () => {
+        const narrativeGrammar = { birth: ['#subject# came into the world.'] };
+        const restored = WorldState.import(new WorldState({ name: 'Told World', narrativeGrammar }).export());
+
+        expect(restored.narrativeGrammar).toEqual(narrativeGrammar);
+        expect(worldState.serialize()).not.toHaveProperty('narrativeGrammar');
+      });
+
       test('should serialize without metadata when requested', () => {
         const serialized = worldState.serialize(false);
         
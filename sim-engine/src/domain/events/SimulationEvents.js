@@ -0,0 +1,277 @@
+// src/domain/events/SimulationEvents.js
+
+/**
+ * Simulation events - typed publish/subscribe between the simulation and whatever observes it
+ *
+ * Services publish facts (an interaction resolved, an attribute changed, an encounter
+ * started...) to a SimulationEventBus; history logging, analytics and UI panels subscribe.
+ * Every event type declares the payload fields it requires, and publish() rejects
+ * unknown types and missing fields so subscribers can rely on the shape.
+ *
+ * Delivery is synchronous and ordered: subscribers run in the order they subscribed,
+ * and an event published from inside a subscriber is queued until the current event
+ * has reached every subscriber. A failing subscriber is reported through onError and
+ * does not stop delivery to the others.
+ */
+
+export const SimulationEventTypes = Object.freeze({
+  TURN_STARTED: 'turn.started',
+  TURN_COMPLETED: 'turn.completed',
+  AUTO_PLAY_STARTED: 'autoPlay.started',
+  AUTO_PLAY_ENDED: 'autoPlay.ended',
+  INTERACTION_RESOLVED: 'interaction.resolved',
+  HISTORY_EVENT_LOGGED: 'history.eventLogged',
+  ATTRIBUTE_CHANGED: 'character.attributeChanged',
+  CHARACTER_MOVED: 'character.moved',
+  CHARACTER_DEPARTED: 'character.departed',
+  CHARACTER_BORN: 'character.born',
+  CHARACTER_DIED: 'character.died',
+  TITLE_SUCCEEDED: 'settlement.titleSucceeded',
+  ENCOUNTER_STARTED: 'encounter.started',
+  ENCOUNTER_RESOLVED: 'encounter.resolved',
+  ENCOUNTER_ENDED: 'encounter.ended',
+  QUEST_ACCEPTED: 'quest.accepted',
+  QUEST_COMPLETED: 'quest.completed',
+  QUEST_FAILED: 'quest.failed',
+  CARAVAN_DEPARTED: 'trade.caravanDeparted',
+  CARAVAN_ARRIVED: 'trade.caravanArrived',
+  RELATIONSHIP_FORMED: 'relationship.formed',
+  RELATIONSHIP_BROKEN: 'relationship.broken',
+  FACTION_JOINED: 'faction.joined',
+  FACTION_LEFT: 'faction.left',
+  FACTION_LEADER_CHANGED: 'faction.leaderChanged',
+  FACTION_GOAL_COMPLETED: 'faction.goalCompleted',
+  FACTION_STANCE_CHANGED: 'faction.stanceChanged',
+  FACTION_DISSOLVED: 'faction.dissolved',
+  WORLD_EVENT_OCCURRED: 'world.eventOccurred',
+  INFLUENCE_CHANGED: 'influence.changed',
+  PRESTIGE_CHANGED: 'prestige.changed',
+  PRESTIGE_LEVEL_CHANGED: 'prestige.levelChanged',
+  ALIGNMENT_CHANGED: 'alignment.changed'
+});
+
+// Required payload fields per event type
+const EVENT_SCHEMAS = new Map([
+  [SimulationEventTypes.TURN_STARTED, ['turn']],
+  [SimulationEventTypes.TURN_COMPLETED, ['turn', 'tickDelay']],
+  [SimulationEventTypes.AUTO_PLAY_STARTED, ['turn', 'speed']],
+  [SimulationEventTypes.AUTO_PLAY_ENDED, ['turn', 'reason', 'turnsRun', 'hits']],
+  [SimulationEventTypes.INTERACTION_RESOLVED, ['turn', 'character', 'interaction', 'outcome', 'success']],
+  [SimulationEventTypes.HISTORY_EVENT_LOGGED, ['event']],
+  [SimulationEventTypes.ATTRIBUTE_CHANGED, ['characterId', 'attribute', 'from', 'to', 'cause']],
+  [SimulationEventTypes.CHARACTER_MOVED, ['characterId', 'fromNodeId', 'toNodeId']],
+  [SimulationEventTypes.CHARACTER_DEPARTED, ['characterId', 'fromNodeId', 'toNodeId', 'arrivesAt']],
+  [SimulationEventTypes.CHARACTER_BORN, ['characterId', 'parentIds', 'nodeId']],
+  [SimulationEventTypes.CHARACTER_DIED, ['characterId', 'age', 'cause']],
+  [SimulationEventTypes.TITLE_SUCCEEDED, ['settlementId', 'title', 'fromCharacterId', 'toCharacterId']],
+  [SimulationEventTypes.ENCOUNTER_STARTED, ['encounterId', 'instanceId', 'turn']],
+  [SimulationEventTypes.ENCOUNTER_RESOLVED, ['encounterId', 'instanceId', 'outcome']],
+  [SimulationEventTypes.ENCOUNTER_ENDED, ['encounterId', 'instanceId', 'reason']],
+  [SimulationEventTypes.QUEST_ACCEPTED, ['turn', 'characterId', 'questId', 'nodeId']],
+  [SimulationEventTypes.QUEST_COMPLETED, ['turn', 'characterId', 'questId', 'rewards']],
+  [SimulationEventTypes.QUEST_FAILED, ['turn', 'characterId', 'questId', 'reason']],
+  [SimulationEventTypes.CARAVAN_DEPARTED, ['turn', 'caravanId', 'merchantId', 'fromNodeId', 'toNodeId', 'good', 'quantity']],
+  [SimulationEventTypes.CARAVAN_ARRIVED, ['turn', 'caravanId', 'merchantId', 'toNodeId', 'good', 'quantity', 'value', 'tariff']],
+  [SimulationEventTypes.RELATIONSHIP_FORMED, ['turn', 'characterId', 'otherId', 'type']],
+  [SimulationEventTypes.RELATIONSHIP_BROKEN, ['turn', 'characterId', 'otherId', 'type']],
+  [SimulationEventTypes.FACTION_JOINED, ['turn', 'factionId', 'characterId', 'rankId']],
+  [SimulationEventTypes.FACTION_LEFT, ['turn', 'factionId', 'characterId', 'reason']],
+  [SimulationEventTypes.FACTION_LEADER_CHANGED, ['turn', 'factionId', 'fromCharacterId', 'toCharacterId']],
+  [SimulationEventTypes.FACTION_GOAL_COMPLETED, ['turn', 'factionId', 'goalId', 'goalType']],
+  [SimulationEventTypes.FACTION_STANCE_CHANGED, ['turn', 'factionId', 'otherId', 'from', 'to']],
+  [SimulationEventTypes.FACTION_DISSOLVED, ['turn', 'factionId', 'memberIds', 'reason']],
+  [SimulationEventTypes.WORLD_EVENT_OCCURRED, ['turn', 'eventId', 'kind', 'nodeIds', 'characterIds']],
+  [SimulationEventTypes.INFLUENCE_CHANGED, ['characterId', 'domainId', 'from', 'to']],
+  [SimulationEventTypes.PRESTIGE_CHANGED, ['characterId', 'trackId', 'from', 'to']],
+  [SimulationEventTypes.PRESTIGE_LEVEL_CHANGED, ['characterId', 'trackId', 'fromLevel', 'toLevel']],
+  [SimulationEventTypes.ALIGNMENT_CHANGED, ['characterId', 'axisId', 'from', 'to']]
+]);
+
+export const ALL_EVENTS = '*';
+
+/**
+ * Checks a payload against its event type
+ * @param {string} type
+ * @param {Object} payload
+ * @throws {Error} For unknown types or missing required fields
+ */
+export const validateSimulationEvent = (type, payload) => {
+  const required = EVENT_SCHEMAS.get(type);
+  if (!required) {
+    throw new Error(`Unknown simulation event type: ${type}`);
+  }
+  const missing = required.filter(field => payload?.[field] === undefined);
+  if (missing.length) {
+    throw new Error(`Simulation event ${type} is missing ${missing.join(', ')}`);
+  }
+};
+
+// A filter is a predicate on the event or an object of payload fields that must match
+const toFilter = (filter) => {
+  if (!filter) return () => true;
+  if (typeof filter === 'function') return filter;
+  const entries = Object.entries(filter);
+  return (event) => entries.every(([field, value]) => event.payload[field] === value);
+};
+
+export class SimulationEventBus {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onError] - (error, event) when a subscriber throws
+   */
+  constructor(options = {}) {
+    this.subscriptions = [];
+    this.queue = [];
+    this.dispatching = false;
+    this.sequence = 0;
+    this.onError = options.onError || ((error, event) => {
+      console.error(`SimulationEventBus: subscriber failed on ${event.type}:`, error);
+    });
+  }
+
+  /**
+   * Subscribes to one type, several types or ALL_EVENTS
+   * @param {string|string[]} types
+   * @param {Function} handler - Receives the event { type, sequence, payload }
+   * @param {Object} [options]
+   * @param {Function|Object} [options.filter] - Predicate, or payload fields to match
+   * @param {boolean} [options.once] - Unsubscribe after the first delivered event
+   * @returns {Function} Unsubscribes
+   */
+  subscribe(types, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error('Simulation event handler must be a function');
+    }
+    const typeList = Array.isArray(types) ? types : [types];
+    typeList.filter(type => type !== ALL_EVENTS).forEach(type => this.assertKnownType(type));
+
+    const subscription = {
+      types: new Set(typeList),
+      handler,
+      filter: toFilter(options.filter),
+      once: Boolean(options.once),
+      active: true
+    };
+    this.subscriptions.push(subscription);
+    return () => this.remove(subscription);
+  }
+
+  /**
+   * Subscribes for a single matching event
+   */
+  once(types, handler, options = {}) {
+    return this.subscribe(types, handler, { ...options, once: true });
+  }
+
+  /**
+   * Publishes an event; delivery happens before publish returns unless a delivery is
+   * already in progress, in which case the event is queued behind it
+   * @param {string} type - One of SimulationEventTypes
+   * @param {Object} payload - Fields required by the type, plus any extras
+   * @returns {Object} The published event
+   */
+  publish(type, payload = {}) {
+    validateSimulationEvent(type, payload);
+    const event = Object.freeze({ type, sequence: ++this.sequence, payload: Object.freeze({ ...payload }) });
+    this.queue.push(event);
+    if (!this.dispatching) {
+      this.drain();
+    }
+    return event;
+  }
+
+  /**
+   * Number of subscriptions that would receive an event of this type
+   * @param {string} type
+   * @returns {number}
+   */
+  listenerCount(type) {
+    return this.subscriptions.filter(subscription => (
+      subscription.types.has(type) || subscription.types.has(ALL_EVENTS)
+    )).length;
+  }
+
+  // Removes every subscription
+  clear() {
+    this.subscriptions.forEach(subscription => { subscription.active = false; });
+    this.subscriptions = [];
+  }
+
+  assertKnownType(type) {
+    if (!EVENT_SCHEMAS.has(type)) {
+      throw new Error(`Unknown simulation event type: ${type}`);
+    }
+  }
+
+  remove(subscription) {
+    subscription.active = false;
+    this.subscriptions = this.subscriptions.filter(existing => existing !== subscription);
+  }
+
+  drain() {
+    this.dispatching = true;
+    try {
+      while (this.queue.length) {
+        const event = this.queue.shift();
+        // Snapshot so subscribing or unsubscribing mid-delivery doesn't reorder this event
+        [...this.subscriptions].forEach(subscription => this.deliver(subscription, event));
+      }
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  deliver(subscription, event) {
+    if (!subscription.active) return;
+    if (!subscription.types.has(event.type) && !subscription.types.has(ALL_EVENTS)) return;
+    try {
+      if (!subscription.filter(event)) return;
+      if (subscription.once) {
+        this.remove(subscription);
+      }
+      subscription.handler(event);
+    } catch (error) {
+      this.onError(error, event);
+    }
+  }
+}
+
+/**
+ * Publishes `type` once for every track, domain or axis whose value differs between two
+ * versions of a value object (Prestige, Influence, Alignment)
+ * @param {SimulationEventBus|null} eventBus - Nothing is published without a bus
+ * @param {string} type - Event type to publish
+ * @param {Object} before - Value object before the change
+ * @param {Object} after - Value object after the change
+ * @param {Object} options
+ * @param {string} options.idField - Payload field naming the id (trackId, domainId, axisId)
+ * @param {Function} options.getIds - (valueObject) => ids to compare
+ * @param {Function} [options.getLevel] - (valueObject, id) => named level/tier/zone or null
+ * @param {string|null} [options.characterId]
+ * @returns {Array} The changes published ({ id, from, to, fromLevel, toLevel })
+ */
+export const publishValueChanges = (eventBus, type, before, after, { idField, getIds, getLevel, characterId = null }) => {
+  if (!eventBus || !before || !after || before === after) return [];
+
+  const levelName = (valueObject, id) => (getLevel ? getLevel(valueObject, id)?.name ?? null : undefined);
+  const changes = getIds(after)
+    .filter(id => getIds(before).includes(id) && before.getValue(id) !== after.getValue(id))
+    .map(id => ({
+      id,
+      from: before.getValue(id),
+      to: after.getValue(id),
+      fromLevel: levelName(before, id),
+      toLevel: levelName(after, id)
+    }));
+
+  changes.forEach(change => eventBus.publish(type, {
+    characterId,
+    [idField]: change.id,
+    from: change.from,
+    to: change.to,
+    ...(getLevel ? { fromLevel: change.fromLevel, toLevel: change.toLevel } : {})
+  }));
+  return changes;
+};
+
+export default SimulationEventBus;
@@ -0,0 +1,148 @@
+// src/domain/events/__tests__/SimulationEvents.test.js
+
+import SimulationEventBus, {
+  ALL_EVENTS,
+  publishValueChanges,
+  SimulationEventTypes,
+  validateSimulationEvent
+} from '../SimulationEvents';
+import { Prestige } from '../../value-objects/Prestige';
+import PrestigeService from '../../services/PrestigeService';
+
+const { TURN_STARTED, TURN_COMPLETED, CHARACTER_MOVED, PRESTIGE_CHANGED, PRESTIGE_LEVEL_CHANGED } = SimulationEventTypes;
+
+const militaryTrack = {
+  id: 'military',
+  name: 'Military',
+  min: 0,
+  max: 100,
+  defaultValue: 10,
+  decayRate: 0,
+  levels: [
+    { name: 'Unknown', min: 0, max: 19, politicalPower: 0 },
+    { name: 'Recognized', min: 20, max: 100, politicalPower: 5 }
+  ]
+};
+
+const moved = (characterId) => ({ characterId, fromNodeId: 'a', toNodeId: 'b' });
+
+describe('SimulationEventBus', () => {
+  test('should deliver to every subscriber in subscription order', () => {
+    const bus = new SimulationEventBus();
+    const calls = [];
+    bus.subscribe(TURN_STARTED, () => calls.push('first'));
+    bus.subscribe([TURN_STARTED, TURN_COMPLETED], () => calls.push('second'));
+    bus.subscribe(ALL_EVENTS, event => calls.push(`all:${event.type}`));
+
+    const event = bus.publish(TURN_STARTED, { turn: 0 });
+
+    expect(calls).toEqual(['first', 'second', 'all:turn.started']);
+    expect(event).toEqual({ type: TURN_STARTED, sequence: 1, payload: { turn: 0 } });
+    expect(Object.isFrozen(event.payload)).toBe(true);
+  });
+
+  test('should queue events published during delivery behind the current one', () => {
+    const bus = new SimulationEventBus();
+    const calls = [];
+    bus.subscribe(TURN_STARTED, () => {
+      bus.publish(TURN_COMPLETED, { turn: 0, tickDelay: 1000 });
+      calls.push('a:started');
+    });
+    bus.subscribe(ALL_EVENTS, event => calls.push(`b:${event.type}:${event.sequence}`));
+
+    bus.publish(TURN_STARTED, { turn: 0 });
+
+    expect(calls).toEqual(['a:started', 'b:turn.started:1', 'b:turn.completed:2']);
+  });
+
+  test('should filter by predicate or payload fields', () => {
+    const bus = new SimulationEventBus();
+    const byField = jest.fn();
+    const byPredicate = jest.fn();
+    bus.subscribe(CHARACTER_MOVED, byField, { filter: { characterId: 'aria' } });
+    bus.subscribe(CHARACTER_MOVED, byPredicate, { filter: event => event.payload.characterId !== 'aria' });
+
+    bus.publish(CHARACTER_MOVED, moved('aria'));
+    bus.publish(CHARACTER_MOVED, moved('borin'));
+
+    expect(byField.mock.calls.map(([event]) => event.payload.characterId)).toEqual(['aria']);
+    expect(byPredicate.mock.calls.map(([event]) => event.payload.characterId)).toEqual(['borin']);
+  });
+
+  test('should unsubscribe, including once subscriptions after their first match', () => {
+    const bus = new SimulationEventBus();
+    const handler = jest.fn();
+    const onceHandler = jest.fn();
+    const unsubscribe = bus.subscribe(CHARACTER_MOVED, handler);
+    bus.once(CHARACTER_MOVED, onceHandler, { filter: { characterId: 'borin' } });
+
+    bus.publish(CHARACTER_MOVED, moved('aria'));
+    unsubscribe();
+    bus.publish(CHARACTER_MOVED, moved('borin'));
+    bus.publish(CHARACTER_MOVED, moved('borin'));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(onceHandler).toHaveBeenCalledTimes(1);
+    expect(bus.listenerCount(CHARACTER_MOVED)).toBe(0);
+  });
+
+  test('should keep delivering when a subscriber throws', () => {
+    const onError = jest.fn();
+    const bus = new SimulationEventBus({ onError });
+    const after = jest.fn();
+    bus.subscribe(TURN_STARTED, () => { throw new Error('broken panel'); });
+    bus.subscribe(TURN_STARTED, after);
+
+    bus.publish(TURN_STARTED, { turn: 2 });
+
+    expect(after).toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'broken panel' }), expect.objectContaining({ type: TURN_STARTED }));
+  });
+
+  test('should reject unknown types and incomplete payloads', () => {
+    const bus = new SimulationEventBus();
+
+    expect(() => bus.publish('world.exploded', {})).toThrow('Unknown simulation event type: world.exploded');
+    expect(() => bus.subscribe('world.exploded', () => {})).toThrow('Unknown simulation event type');
+    expect(() => validateSimulationEvent(CHARACTER_MOVED, { characterId: 'a' })).toThrow('is missing fromNodeId, toNodeId');
+    expect(() => validateSimulationEvent(CHARACTER_MOVED, { ...moved('a'), fromNodeId: null })).not.toThrow();
+  });
+});
+
+describe('publishValueChanges', () => {
+  test('should publish one event per changed track with its levels', () => {
+    const bus = new SimulationEventBus();
+    const handler = jest.fn();
+    bus.subscribe(PRESTIGE_CHANGED, handler);
+    const before = new Prestige([militaryTrack]);
+
+    const changes = publishValueChanges(bus, PRESTIGE_CHANGED, before, before.withChange('military', 15, 'Won a duel'), {
+      idField: 'trackId',
+      getIds: prestige => prestige.getTrackIds(),
+      getLevel: (prestige, trackId) => prestige.getLevel(trackId),
+      characterId: 'aria'
+    });
+
+    expect(changes).toEqual([{ id: 'military', from: 10, to: 25, fromLevel: 'Unknown', toLevel: 'Recognized' }]);
+    expect(handler.mock.calls[0][0].payload).toEqual({
+      characterId: 'aria', trackId: 'military', from: 10, to: 25, fromLevel: 'Unknown', toLevel: 'Recognized'
+    });
+    expect(publishValueChanges(null, PRESTIGE_CHANGED, before, before, { getIds: () => [] })).toEqual([]);
+  });
+
+  test('should let PrestigeService announce value and level changes', () => {
+    const bus = new SimulationEventBus();
+    const events = [];
+    bus.subscribe(ALL_EVENTS, event => events.push(event));
+    const service = new PrestigeService({ eventBus: bus });
+    const prestige = new Prestige([militaryTrack]);
+    jest.spyOn(service, '_calculateSocialInteractionChanges').mockReturnValue([
+      { trackId: 'military', amount: 12, reason: 'Public duel' }
+    ]);
+
+    service.applySocialInteraction(prestige, { type: 'duel', description: 'A duel' }, { name: 'Borin' }, { characterId: 'aria' });
+
+    expect(events.map(event => event.type)).toEqual([PRESTIGE_CHANGED, PRESTIGE_LEVEL_CHANGED]);
+    expect(events[1].payload).toEqual({ characterId: 'aria', trackId: 'military', fromLevel: 'Unknown', toLevel: 'Recognized' });
+  });
+});
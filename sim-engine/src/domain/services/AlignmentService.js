@@ -1,12 +1,23 @@
 // src/domain/services/AlignmentService.js
 
 import { Alignment } from '../value-objects/Alignment.js';
+import { publishValueChanges, SimulationEventTypes } from '../events/SimulationEvents.js';
 
 /**
  * Domain service for handling alignment evolution and moral choice processing
  * Provides business logic for how alignments change over time and in response to events
  */
 class AlignmentService {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the Date recorded in value-object histories
+   * @param {SimulationEventBus} [options.eventBus] - Receives ALIGNMENT_CHANGED for every axis that changes
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || null;
+    this.clock = options.clock || (() => new Date());
+  }
+
   /**
    * Evolve alignment based on historical events and temporal context
    * @param {Alignment} alignment - Current alignment state
@@ -35,11 +46,12 @@ class AlignmentService {
         shift.axisId,
         shift.amount,
         shift.reason,
-        historicalContext
+        historicalContext,
+        this.clock()
       );
     }
     
-    return evolvedAlignment;
+    return this._announceChanges(alignment, evolvedAlignment, historicalContext.characterId);
   }
   
   /**
@@ -77,11 +89,12 @@ class AlignmentService {
         shift.axisId,
         shift.amount,
         `Moral choice: ${moralChoice.description}`,
-        moralChoice.context
+        moralChoice.context,
+        this.clock()
       );
     }
     
-    return newAlignment;
+    return this._announceChanges(alignment, newAlignment, socialContext.characterId);
   }
   
   /**
@@ -123,11 +136,13 @@ class AlignmentService {
       shiftedAlignment = shiftedAlignment.withChange(
         shift.axisId,
         shift.amount,
-        shift.reason
+        shift.reason,
+        null,
+        this.clock()
       );
     }
     
-    return shiftedAlignment;
+    return this._announceChanges(alignment, shiftedAlignment, personalityTraits.characterId);
   }
   
   /**
@@ -525,6 +540,20 @@ class AlignmentService {
     return Math.min(Math.max(value, min), max);
   }
   
+  /**
+   * Publish the axes whose alignment differs between two states
+   * @returns {Alignment} The updated alignment, unchanged
+   */
+  _announceChanges(before, after, characterId = null) {
+    publishValueChanges(this.eventBus, SimulationEventTypes.ALIGNMENT_CHANGED, before, after, {
+      idField: 'axisId',
+      getIds: alignment => alignment.getAxisIds(),
+      getLevel: (alignment, axisId) => alignment.getZone(axisId),
+      characterId: characterId ?? null
+    });
+    return after;
+  }
+
   /**
    * Validation methods
    */
@@ -0,0 +1,144 @@
+// src/domain/services/AutoRunner.js
+
+import { captureBreakpointState, evaluateBreakpoints } from './Breakpoints.js';
+
+export const DEFAULT_TICK_DELAY = 1000;
+
+const defaultYield = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * AutoRunner - plays turns one after another until a breakpoint hits or stop() is called
+ *
+ * Between turns it waits the world's tickDelay (set by runTick from coherence)
+ * divided by the speed multiplier; a non-finite speed runs without waiting but
+ * still yields so stop() and other messages get through. The first turn is
+ * played after one wait, like a clock that starts ticking.
+ *
+ * run() always resolves with { reason, hits, turnsRun, turn, error? } where
+ * reason is 'breakpoint', 'stopped' or 'error'.
+ */
+class AutoRunner {
+  /**
+   * @param {Object} hooks
+   * @param {Function} hooks.step - Processes one turn (may return a promise)
+   * @param {Function} hooks.getWorldState - Current world state
+   * @param {Function} [hooks.getTurn] - Current turn number (defaults to worldState.time)
+   * @param {Function} [hooks.getTurnEvents] - (turnStartTime) => events logged during that turn
+   * @param {Function} [hooks.yieldControl] - Awaited instead of a zero-length wait
+   */
+  constructor({ step, getWorldState, getTurn, getTurnEvents, yieldControl = defaultYield }) {
+    this.step = step;
+    this.getWorldState = getWorldState;
+    this.getTurn = getTurn || (() => this.getWorldState()?.time ?? 0);
+    this.getTurnEvents = getTurnEvents || (() => []);
+    this.yieldControl = yieldControl;
+    this.isRunning = false;
+    this.speed = 1;
+    this.stopRequested = false;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Plays turns until a breakpoint hits or stop() is called
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - Multiplier applied to the tick delay
+   * @param {number} [options.tickDelay] - Fixed delay in ms instead of worldState.tickDelay
+   * @param {Array} [options.breakpoints] - Breakpoints or breakpoint specs
+   * @param {Function} [options.onTurn] - Called after every turn with { turn, turnsRun, hits, result }
+   * @returns {Promise<Object>} Why the run stopped
+   */
+  async run({ speed = 1, tickDelay, breakpoints = [], onTurn } = {}) {
+    if (this.isRunning) {
+      throw new Error('Auto-run already in progress');
+    }
+    this.setSpeed(speed);
+    this.isRunning = true;
+    this.stopRequested = false;
+    let turnsRun = 0;
+
+    const finish = (reason, extra = {}) => {
+      this.isRunning = false;
+      return { reason, hits: [], turnsRun, turn: this.getTurn(), ...extra };
+    };
+
+    try {
+      while (!this.stopRequested) {
+        await this.wait(this.delayFor(tickDelay));
+        if (this.stopRequested) break;
+
+        const before = captureBreakpointState(this.getWorldState());
+        const result = await this.step();
+        const world = this.getWorldState();
+        const turn = this.getTurn();
+        turnsRun++;
+
+        const hits = evaluateBreakpoints(breakpoints, {
+          turn,
+          before,
+          after: captureBreakpointState(world),
+          world,
+          events: this.getTurnEvents(before.time)
+        });
+
+        if (onTurn) {
+          onTurn({ turn, turnsRun, hits, result });
+        }
+        if (hits.length) {
+          return finish('breakpoint', { hits });
+        }
+      }
+      return finish('stopped');
+    } catch (error) {
+      return finish('error', { error: error.message });
+    }
+  }
+
+  /**
+   * Changes the speed multiplier of a run in progress
+   * @param {number} speed
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Speed must be a positive multiplier, got ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  /**
+   * Stops after the turn in progress (or immediately while waiting)
+   */
+  stop() {
+    this.stopRequested = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  delayFor(tickDelay) {
+    if (!Number.isFinite(this.speed)) return 0;
+    const base = tickDelay ?? this.getWorldState()?.tickDelay ?? DEFAULT_TICK_DELAY;
+    return base / this.speed;
+  }
+
+  wait(ms) {
+    if (ms <= 0) {
+      return this.yieldControl();
+    }
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        resolve();
+      }, ms);
+    }).then(() => {
+      this.wake = null;
+    });
+  }
+}
+
+export default AutoRunner;
@@ -0,0 +1,144 @@
+// src/domain/services/BiographyService.js
+
+import { turnOfDate } from '../../shared/utils/TimeUtils.js';
+
+// The value objects whose change histories make up a life, and how each names its parts
+const TRACKS = {
+  alignment: { ids: 'getAxisIds', history: 'getAxisHistory', definition: 'getAxis' },
+  influence: { ids: 'getDomainIds', history: 'getDomainHistory', definition: 'getDomain' },
+  prestige: { ids: 'getTrackIds', history: 'getTrackHistory', definition: 'getTrack' }
+};
+
+// Within a turn: what happened, then what it changed, then what the character made of it
+const KIND_ORDER = ['event', 'decision', 'alignment', 'influence', 'prestige', 'memory'];
+
+const signed = value => `${value > 0 ? '+' : ''}${Math.round(value * 100) / 100}`;
+
+/**
+ * BiographyService - A character's life as one chronological record
+ *
+ * Merges the history events about a character with the change histories of their
+ * alignment (getAxisHistory), influence (getDomainHistory) and prestige (getTrackHistory),
+ * and with the decisions (decisionHistory) and memories they carry. Value-object changes
+ * are recorded at dates, `turn * daysPerTurn` days after the epoch; they are read back as turns.
+ */
+class BiographyService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn, as the simulation recorded changes
+   * @param {number} [options.minChange=1] - Smaller value changes show in the series but not as entries
+   */
+  constructor(options = {}) {
+    this.daysPerTurn = options.daysPerTurn || 1;
+    this.minChange = options.minChange ?? 1;
+  }
+
+  // The turn a recorded timestamp (a turn, a Date or its ISO string) falls in
+  turnOf(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    return turnOfDate(timestamp, this.daysPerTurn);
+  }
+
+  /**
+   * The character's life record
+   * @param {Object} character - A Character, or a deceased record ({ id, name, bornAt, diedAt, cause })
+   * @param {Array<Object>} [events] - History events about the character
+   * @param {Object} [options]
+   * @param {number} [options.now] - The current turn, where the series end
+   * @returns {{characterId: string, name: string, born: number|null, died: number|null,
+   *   entries: Array<Object>, series: Object}}
+   */
+  lifeRecord(character, events = [], options = {}) {
+    const born = typeof character.bornAt === 'number' ? character.bornAt : null;
+    const died = typeof character.diedAt === 'number' ? character.diedAt : null;
+    const end = died ?? options.now ?? null;
+    const series = {};
+    const entries = events.map(event => ({
+      turn: event.timestamp,
+      kind: 'event',
+      type: event.type,
+      eventId: event.id,
+      significance: event.significance ?? 0,
+      description: event.description || event.type
+    }));
+
+    Object.keys(TRACKS).forEach(kind => {
+      series[kind] = this.seriesOf(character[kind], kind, born, end);
+      series[kind].forEach(track => entries.push(...track.changes
+        .filter(change => Math.abs(change.change) >= this.minChange)
+        .map(change => ({
+          turn: change.turn,
+          kind,
+          trackId: track.id,
+          change: change.change,
+          value: change.value,
+          description: `${track.name} ${signed(change.change)} (now ${signed(change.value)})${change.reason ? `: ${change.reason}` : ''}`
+        }))));
+    });
+
+    (character.decisionHistory || []).forEach(decision => entries.push({
+      turn: this.turnOf(decision.timestamp),
+      kind: 'decision',
+      interactionId: decision.interactionId,
+      outcome: decision.outcome,
+      description: `Chose ${decision.interactionName || decision.interactionId}${decision.outcome ? ` (${decision.outcome})` : ''}`
+    }));
+
+    (character.memories || []).forEach(memory => entries.push({
+      turn: memory.turn ?? this.turnOf(memory.timestamp),
+      kind: 'memory',
+      significance: memory.significance ?? 0,
+      description: memory.description || memory.content || memory.event || String(memory.type || 'A memory')
+    }));
+
+    return {
+      characterId: character.id,
+      name: character.name || character.id,
+      born,
+      died,
+      entries: entries
+        .filter(entry => entry.turn !== null && entry.turn !== undefined)
+        .map((entry, position) => ({ entry, position }))
+        .sort((a, b) => a.entry.turn - b.entry.turn ||
+          KIND_ORDER.indexOf(a.entry.kind) - KIND_ORDER.indexOf(b.entry.kind) ||
+          a.position - b.position)
+        .map(({ entry }) => entry),
+      series
+    };
+  }
+
+  /**
+   * One line per axis, domain or track: its value at birth (or before its first change),
+   * after each change, and at `end`
+   * @param {Object} valueObject - Alignment, Influence or Prestige
+   * @param {string} kind - 'alignment', 'influence' or 'prestige'
+   * @param {number|null} start - First turn of the line
+   * @param {number|null} end - Last turn of the line
+   * @returns {Array<{id, name, min, max, points: Array<{turn, value}>, changes: Array<Object>}>}
+   */
+  seriesOf(valueObject, kind, start, end) {
+    const methods = TRACKS[kind];
+    if (!valueObject || typeof valueObject[methods.ids] !== 'function') return [];
+
+    return valueObject[methods.ids]().map(id => {
+      const definition = valueObject[methods.definition]?.(id) || {};
+      const changes = valueObject[methods.history](id)
+        .map(change => ({ turn: this.turnOf(change.timestamp), change: change.change, value: change.newValue, reason: change.reason }))
+        .filter(change => change.turn !== null);
+      const current = valueObject.getValue(id);
+      const initial = changes.length ? changes[0].value - changes[0].change : current;
+
+      const points = [];
+      const from = start ?? (changes.length ? changes[0].turn : end);
+      if (from !== null && from !== undefined) points.push({ turn: from, value: initial });
+      changes.forEach(change => points.push({ turn: change.turn, value: change.value }));
+      if (end !== null && end !== undefined && (!points.length || points[points.length - 1].turn < end)) {
+        points.push({ turn: end, value: current });
+      }
+
+      return { id, name: definition.name || id, min: definition.min, max: definition.max, points, changes };
+    });
+  }
+}
+
+export default BiographyService;
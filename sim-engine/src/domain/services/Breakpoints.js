@@ -0,0 +1,237 @@
+// src/domain/services/Breakpoints.js
+
+/**
+ * Breakpoints - stop conditions checked after every auto-run turn
+ *
+ * A breakpoint is `{ type, description, check(context) }`; check returns null or a hit
+ * `{ type, message, ... }`. The context describes one processed turn:
+ *   turn     - turn number just completed
+ *   before   - captureBreakpointState() of the world before the turn
+ *   after    - captureBreakpointState() of the world after the turn
+ *   world    - the world state after the turn
+ *   events   - history events logged during the turn
+ *
+ * Breakpoints can also be given as plain specs (`{ type: 'characterDeath', characterId }`)
+ * so they can cross a worker boundary; createBreakpoint turns a spec into a breakpoint.
+ */
+
+export const BreakpointTypes = Object.freeze({
+  CHARACTER_DEATH: 'characterDeath',
+  ENCOUNTER: 'encounter',
+  PRESTIGE_LEVEL: 'prestigeLevel',
+  CONDITION: 'condition',
+  PREDICATE: 'predicate',
+  MAX_TURNS: 'maxTurns'
+});
+
+// Dead characters are flagged (isAlive / status) or have run out of health
+export const isCharacterAlive = (npc) => Boolean(npc) &&
+  npc.isAlive !== false &&
+  npc.status !== 'dead' &&
+  !(typeof npc.health === 'number' && npc.health <= 0);
+
+// Level name per prestige track; works for Prestige instances and their JSON form
+const prestigeLevels = (prestige) => {
+  if (!prestige) return {};
+  if (typeof prestige.getLevel === 'function' && typeof prestige.getTrackIds === 'function') {
+    return Object.fromEntries(prestige.getTrackIds().map(trackId => [trackId, prestige.getLevel(trackId)?.name ?? null]));
+  }
+  const tracks = prestige.tracks || [];
+  const values = prestige.values || {};
+  return Object.fromEntries(tracks.map(track => {
+    const value = values[track.id] ?? track.defaultValue;
+    const level = (track.levels || []).find(candidate => value >= candidate.min && value <= candidate.max);
+    return [track.id, level ? level.name : null];
+  }));
+};
+
+/**
+ * Records what breakpoints compare between turns. Taken before a turn because
+ * runTick replaces characters in place.
+ * @param {Object} worldState
+ * @returns {Object} { time, npcs: Map(id -> { id, name, alive, prestigeLevels }) }
+ */
+export const captureBreakpointState = (worldState) => ({
+  time: worldState?.time ?? 0,
+  npcs: new Map((worldState?.npcs || []).map(npc => [npc.id, {
+    id: npc.id,
+    name: npc.name,
+    alive: isCharacterAlive(npc),
+    prestigeLevels: prestigeLevels(npc.prestige)
+  }]))
+});
+
+/**
+ * Stops when a character dies (or disappears from the world)
+ * @param {Object} [options] - { characterId } to watch one character only
+ */
+export const characterDeath = ({ characterId } = {}) => ({
+  type: BreakpointTypes.CHARACTER_DEATH,
+  description: characterId ? `Character ${characterId} dies` : 'A character dies',
+  check: ({ before, after }) => {
+    const died = Array.from(before.npcs.values()).filter(npc => (
+      npc.alive &&
+      (!characterId || npc.id === characterId) &&
+      !after.npcs.get(npc.id)?.alive
+    ));
+    if (!died.length) return null;
+    return {
+      type: BreakpointTypes.CHARACTER_DEATH,
+      characterIds: died.map(npc => npc.id),
+      message: `${died.map(npc => npc.name).join(', ')} died`
+    };
+  }
+});
+
+// Encounter interactions are logged with type 'encounter' and id `encounter_<encounterId>_...`
+const isEncounterEvent = (event, encounterId) => {
+  if (event.type !== 'encounter' && !event.encounterId) return false;
+  if (!encounterId) return true;
+  return event.encounterId === encounterId ||
+    (typeof event.interactionId === 'string' && event.interactionId.startsWith(`encounter_${encounterId}_`));
+};
+
+/**
+ * Stops when an encounter triggers during the turn
+ * @param {Object} [options] - { encounterId } to watch one encounter only
+ */
+export const encounterTriggered = ({ encounterId } = {}) => ({
+  type: BreakpointTypes.ENCOUNTER,
+  description: encounterId ? `Encounter ${encounterId} triggers` : 'An encounter triggers',
+  check: ({ events = [] }) => {
+    const triggered = events.filter(event => isEncounterEvent(event, encounterId));
+    if (!triggered.length) return null;
+    return {
+      type: BreakpointTypes.ENCOUNTER,
+      eventIds: triggered.map(event => event.id),
+      message: `Encounter: ${triggered[0].interactionName || triggered[0].encounterId || 'unknown'}`
+    };
+  }
+});
+
+/**
+ * Stops when a prestige track moves to a different level
+ * @param {Object} [options]
+ * @param {string} [options.characterId] - Only this character
+ * @param {string} [options.trackId] - Only this track
+ * @param {string} [options.level] - Only when this level is reached
+ */
+export const prestigeLevelCrossed = ({ characterId, trackId, level } = {}) => ({
+  type: BreakpointTypes.PRESTIGE_LEVEL,
+  description: `Prestige${trackId ? ` (${trackId})` : ''} ${level ? `reaches ${level}` : 'changes level'}`,
+  check: ({ before, after }) => {
+    const crossings = [];
+    after.npcs.forEach(npc => {
+      const previous = before.npcs.get(npc.id);
+      if (!previous || (characterId && npc.id !== characterId)) return;
+      Object.entries(npc.prestigeLevels).forEach(([track, levelName]) => {
+        if (trackId && track !== trackId) return;
+        const from = previous.prestigeLevels[track];
+        if (from === undefined || from === levelName) return;
+        if (level && levelName !== level) return;
+        crossings.push({ characterId: npc.id, name: npc.name, trackId: track, from, to: levelName });
+      });
+    });
+    if (!crossings.length) return null;
+    return {
+      type: BreakpointTypes.PRESTIGE_LEVEL,
+      crossings,
+      message: crossings.map(crossing => `${crossing.name}: ${crossing.trackId} ${crossing.from} -> ${crossing.to}`).join('; ')
+    };
+  }
+});
+
+/**
+ * Stops when a custom predicate on the world state is true
+ * @param {Function} predicate - (worldState, context) => boolean
+ * @param {Object} [options] - { description }
+ */
+export const worldPredicate = (predicate, { description = 'Custom condition' } = {}) => {
+  if (typeof predicate !== 'function') {
+    throw new Error('Predicate breakpoint needs a function');
+  }
+  return {
+    type: BreakpointTypes.PREDICATE,
+    description,
+    check: (context) => (predicate(context.world, context)
+      ? { type: BreakpointTypes.PREDICATE, message: description }
+      : null)
+  };
+};
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+const readPath = (object, path) => String(path).split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+
+/**
+ * Declarative predicate that survives serialization, e.g.
+ * `{ path: 'resources.gold', operator: '>=', value: 100 }`
+ * @param {Object} condition - { path, operator, value, description }
+ */
+export const worldCondition = ({ path, operator = '==', value, description } = {}) => {
+  const compare = OPERATORS[operator];
+  if (!path || !compare) {
+    throw new Error(`Invalid condition breakpoint: ${path} ${operator}`);
+  }
+  return worldPredicate(world => compare(readPath(world, path), value), {
+    description: description || `${path} ${operator} ${value}`
+  });
+};
+
+/**
+ * Stops once the turn counter reaches a limit (TurnManager.maxTurns)
+ * @param {number} maxTurns
+ */
+export const maxTurnsReached = (maxTurns) => ({
+  type: BreakpointTypes.MAX_TURNS,
+  description: `Turn ${maxTurns} reached`,
+  maxTurns,
+  check: ({ turn }) => (maxTurns && turn >= maxTurns
+    ? { type: BreakpointTypes.MAX_TURNS, message: `Maximum turns reached (${maxTurns})` }
+    : null)
+});
+
+/**
+ * Builds a breakpoint from a spec; breakpoints (anything with check) pass through
+ * @param {Object} spec - { type, ...options }
+ * @returns {Object} Breakpoint
+ */
+export const createBreakpoint = (spec) => {
+  if (spec && typeof spec.check === 'function') {
+    return spec;
+  }
+  switch (spec?.type) {
+    case BreakpointTypes.CHARACTER_DEATH:
+      return characterDeath(spec);
+    case BreakpointTypes.ENCOUNTER:
+      return encounterTriggered(spec);
+    case BreakpointTypes.PRESTIGE_LEVEL:
+      return prestigeLevelCrossed(spec);
+    case BreakpointTypes.CONDITION:
+      return worldCondition(spec);
+    case BreakpointTypes.PREDICATE:
+      return worldPredicate(spec.predicate, spec);
+    case BreakpointTypes.MAX_TURNS:
+      return maxTurnsReached(spec.maxTurns);
+    default:
+      throw new Error(`Unknown breakpoint type: ${spec?.type}`);
+  }
+};
+
+/**
+ * Checks every breakpoint against one processed turn
+ * @param {Array} breakpoints - Breakpoints or specs
+ * @param {Object} context - See the module comment
+ * @returns {Array} Hits, in breakpoint order
+ */
+export const evaluateBreakpoints = (breakpoints, context) => breakpoints
+  .map(breakpoint => createBreakpoint(breakpoint).check(context))
+  .filter(Boolean);
@@ -0,0 +1,177 @@
+// src/domain/services/ChronicleGenerator.js
+
+// History event types that open a new era when they are significant enough
+const TURNING_POINTS = new Set(['world_event', 'succession', 'death', 'faction_dissolved', 'faction_leader_changed']);
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const turnOf = event => (typeof event.timestamp === 'number' ? event.timestamp : 0);
+
+const chronological = events => [...events].sort((a, b) => turnOf(a) - turnOf(b));
+
+// Most significant first; earlier first among equals
+const bySignificance = (a, b) => (b.significance || 0) - (a.significance || 0) || turnOf(a) - turnOf(b);
+
+/**
+ * The story threads an event belongs to: its character, its place and its factions
+ * @param {Object} event - History event
+ * @returns {Array<{kind: string, subjectId: string}>}
+ */
+export const threadsOf = event => [
+  ...(event.characterId ? [{ kind: 'character', subjectId: event.characterId }] : []),
+  ...[event.factionId, event.otherFactionId].filter(Boolean).map(subjectId => ({ kind: 'faction', subjectId })),
+  ...(event.location && event.location !== 'Unknown' ? [{ kind: 'node', subjectId: event.location }] : [])
+];
+
+/**
+ * Names and details of everything a chronicle refers to, from a world state (live or serialized)
+ * @param {Object} [world] - { npcs, deceased, nodes, settlements, factions, questTemplates }
+ * @returns {Object} Maps by id: characters ({ name, role, pronouns }), places, factions ({ name, type }), quests
+ */
+export const directoryOf = (world = {}) => ({
+  characters: new Map([...(world.deceased || []), ...(world.npcs || [])].filter(character => character?.id).map(character => [
+    character.id,
+    { name: character.name || character.id, role: character.role || null, pronouns: character.pronouns || null }
+  ])),
+  places: new Map([
+    ...(world.settlements || []).filter(settlement => settlement?.id).map(settlement => [settlement.id, settlement.name || settlement.id]),
+    ...(world.nodes || []).filter(node => node?.id).map(node => [node.id, node.name || node.id])
+  ]),
+  factions: new Map((world.factions || []).filter(faction => faction?.id).map(faction => [
+    faction.id,
+    { name: faction.name || faction.id, type: faction.type || 'faction' }
+  ])),
+  quests: new Map((world.questTemplates || []).filter(quest => quest?.id).map(quest => [quest.id, quest.name || quest.id]))
+});
+
+/**
+ * Shapes a history event log into a chronicle: eras, story arcs and the events worth telling
+ *
+ * - eras: a new era opens at a turning point - a world event, succession, death, a faction's
+ *   fall or change of leader - of at least `turningPoint` significance, once the current era
+ *   has lasted `minEraLength` turns; an era lasting `eraLength` turns closes by itself
+ * - arcs: the events of each character, place and faction, with at least `minArcEvents` of
+ *   them, ranked by their summed significance
+ * - highlights: each era's `eventsPerChapter` most significant events of at least
+ *   `minSignificance`, its opening always among them, in the order they happened
+ *
+ * ChronicleRenderer turns the result into prose.
+ */
+class ChronicleGenerator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.eraLength=100] - Turns after which an era closes by itself
+   * @param {number} [options.minEraLength=10] - Turns an era lasts before a turning point can close it
+   * @param {number} [options.turningPoint=0.8] - Significance of a turning point
+   * @param {number} [options.minSignificance=0.3] - Least significance of a highlight
+   * @param {number} [options.eventsPerChapter=12] - Highlights told per era
+   * @param {number} [options.minArcEvents=3] - Events a thread needs to make a story arc
+   * @param {number} [options.arcsPerEra=3] - Story arcs listed per era
+   */
+  constructor(options = {}) {
+    this.eraLength = options.eraLength ?? 100;
+    this.minEraLength = options.minEraLength ?? 10;
+    this.turningPoint = options.turningPoint ?? 0.8;
+    this.minSignificance = options.minSignificance ?? 0.3;
+    this.eventsPerChapter = options.eventsPerChapter ?? 12;
+    this.minArcEvents = options.minArcEvents ?? 3;
+    this.arcsPerEra = options.arcsPerEra ?? 3;
+  }
+
+  /**
+   * @param {Array<Object>} events - History events (IHistoryRepository.findEvents)
+   * @param {Object} [world] - World state the events happened in, for names
+   * @returns {Object} { worldName, start, end, total, eras, arcs, directory }; each era is
+   *   { index, start, end, opening, total, highlights, arcs }
+   */
+  generate(events = [], world = {}) {
+    const directory = directoryOf(world);
+    const ordered = chronological(events.filter(Boolean));
+    const eras = this.erasOf(ordered).map((era, index) => ({
+      index,
+      start: era.start,
+      end: era.end,
+      opening: era.opening,
+      total: era.events.length,
+      highlights: this.highlightsOf(era),
+      arcs: this.arcsOf(era.events, directory).slice(0, this.arcsPerEra)
+    }));
+
+    return {
+      worldName: world.worldName || world.name || null,
+      start: ordered.length ? turnOf(ordered[0]) : null,
+      end: ordered.length ? turnOf(ordered[ordered.length - 1]) : null,
+      total: ordered.length,
+      eras,
+      arcs: this.arcsOf(ordered, directory),
+      directory
+    };
+  }
+
+  isTurningPoint(event) {
+    return TURNING_POINTS.has(event.type) && (event.significance || 0) >= this.turningPoint;
+  }
+
+  /**
+   * @param {Array<Object>} events - In the order they happened
+   * @returns {Array<{start, end, opening, events}>}
+   */
+  erasOf(events) {
+    const eras = [];
+    let current = null;
+    events.forEach(event => {
+      const turn = turnOf(event);
+      const turning = current && this.isTurningPoint(event) && turn - current.start >= this.minEraLength;
+      if (!current || turning || turn - current.start >= this.eraLength) {
+        current = { start: turn, end: turn, opening: turning ? event : null, events: [] };
+        eras.push(current);
+      }
+      current.events.push(event);
+      current.end = turn;
+    });
+    return eras;
+  }
+
+  highlightsOf(era) {
+    const ranked = era.events
+      .filter(event => (event.significance || 0) >= this.minSignificance && event !== era.opening)
+      .sort(bySignificance)
+      .slice(0, era.opening ? this.eventsPerChapter - 1 : this.eventsPerChapter);
+    return chronological(era.opening ? [era.opening, ...ranked] : ranked);
+  }
+
+  /**
+   * Story arcs: each thread's events, most significant thread first
+   * @returns {Array<Object>} { id, kind, subjectId, name, events, significance, start, end, peak }
+   */
+  arcsOf(events, directory) {
+    const threads = new Map();
+    events.forEach(event => threadsOf(event).forEach(({ kind, subjectId }) => {
+      const id = `${kind}:${subjectId}`;
+      if (!threads.has(id)) threads.set(id, { id, kind, subjectId, events: [] });
+      threads.get(id).events.push(event);
+    }));
+
+    return [...threads.values()]
+      .filter(thread => thread.events.length >= this.minArcEvents)
+      .map(thread => ({
+        ...thread,
+        name: this.nameOf(thread, directory),
+        significance: round(thread.events.reduce((sum, event) => sum + (event.significance || 0), 0)),
+        start: turnOf(thread.events[0]),
+        end: turnOf(thread.events[thread.events.length - 1]),
+        peak: [...thread.events].sort(bySignificance)[0]
+      }))
+      .sort((a, b) => b.significance - a.significance || a.start - b.start);
+  }
+
+  nameOf({ kind, subjectId, events }, directory) {
+    if (kind === 'character') {
+      return directory.characters.get(subjectId)?.name || events.find(event => event.characterName)?.characterName || subjectId;
+    }
+    if (kind === 'faction') return directory.factions.get(subjectId)?.name || subjectId;
+    return directory.places.get(subjectId) || subjectId;
+  }
+}
+
+export default ChronicleGenerator;
@@ -0,0 +1,361 @@
+// src/domain/services/ChronicleRenderer.js
+
+import { createRandom } from '../../shared/utils/RandomUtils.js';
+import { randomSelect } from '../../shared/utils/SelectionUtils.js';
+import { threadsOf } from './ChronicleGenerator.js';
+
+const PRONOUN_SETS = {
+  he: { subject: 'he', object: 'him', possessive: 'his', plural: false },
+  she: { subject: 'she', object: 'her', possessive: 'her', plural: false },
+  they: { subject: 'they', object: 'them', possessive: 'their', plural: true }
+};
+
+// Sentence templates per history event type; the renderer picks one, not the last one it used
+const PHRASES = {
+  birth: ['{subject} {was} born{at}.', '{subject} came into the world{at}.'],
+  death: [
+    '{subject} died of {cause}{at}.',
+    '{cause} claimed {object}{at}.',
+    '{subject} succumbed to {cause}{at}.'
+  ],
+  succession: event => {
+    if (!event.characterId || event.characterId === event.previousHolderId) return ['the title of {title}{at} fell vacant.'];
+    return event.previousHolderId
+      ? ['{subject} succeeded {previous} as {title}{at}.', '{subject} took up the title of {title}{at} after {previous}.']
+      : ['{subject} became {title}{at}.', '{subject} {was} raised to {title}{at}.'];
+  },
+  quest_accepted: ['{subject} took up the quest {quest}.', '{subject} set out on the quest {quest}.'],
+  quest_completed: ['{subject} completed the quest {quest}.', '{subject} saw the quest {quest} through to its end.'],
+  quest_failed: ['{subject} failed the quest {quest}.', 'the quest {quest} ended in failure for {object}.'],
+  relationship_formed: event => ({
+    rivalry: ['{named} and {other} became rivals.', '{subject} came to count {other} as a rival.'],
+    romance: ['{subject} fell for {other}.', '{named} and {other} became lovers.'],
+    loyalty: ['{subject} came to trust {other}.', '{subject} swore loyalty to {other}.']
+  }[event.relationshipType] || ['{named} and {other} became friends.', '{subject} found a friend in {other}.']),
+  relationship_broken: ['{named} and {other} drifted apart.', '{subject} no longer counted {other} as a {relation}.'],
+  faction_joined: ['{subject} joined {faction}.', '{subject} swore in with {faction}.', '{faction} took {object} in.'],
+  faction_left: ['{subject} left {faction}.', '{subject} turned {possessive} back on {faction}.'],
+  faction_leader_changed: ['{subject} took the lead of {faction}.', '{faction} rallied behind {object}.'],
+  faction_goal_completed: ['{faction} achieved its aim, {goal}.', '{faction} saw its goal, {goal}, fulfilled.'],
+  faction_stance_changed: ['{faction} and {otherFaction} became {stance}.', 'relations between {faction} and {otherFaction} turned {stance}.'],
+  faction_dissolved: ['{faction} dissolved.', '{faction} was no more.', 'the last of {faction} scattered.'],
+  world_event: event => ({
+    war: ['war came to {place}: {name}.', '{name} broke out around {place}.'],
+    plague: ['{name} swept through {place}.', 'sickness took hold of {place} in {name}.'],
+    famine: ['{name} emptied the stores of {place}.', 'hunger gripped {place} in {name}.'],
+    coronation: ['{name} was held at {place}.', '{place} saw {name}.']
+  }[event.kind] || ['{name} struck {place}.']),
+  interaction: event => (event.outcome === 'positive'
+    ? ['{subject} succeeded at {interaction}{at}.', '{subject} carried off {interaction}{at}.']
+    : ['{subject} failed at {interaction}{at}.', '{interaction} went badly for {object}{at}.'])
+};
+
+// Chapter titles by the kind of event that opened the era
+const TITLES = {
+  world_event: ['The Years of {name}', 'After {name}'],
+  succession: ['The Reign of {character}', 'The Rule of {character}'],
+  death: ['After {character}', 'The Passing of {character}'],
+  faction_dissolved: ['The Fall of {faction}', 'The End of {faction}'],
+  faction_leader_changed: ['{faction} under {character}', 'The Rise of {character}'],
+  first: ['The First Years', 'Beginnings'],
+  arc: ['The Age of {arc}', 'In the Days of {arc}']
+};
+
+const SPANS = [
+  'These are the turns {start} to {end}, {total} recorded events in all.',
+  'From turn {start} to turn {end}, the records hold {total} events.',
+  'The chronicle of turns {start} to {end} tells of {total} events.'
+];
+
+const CLOSINGS = {
+  character: ['Of all who lived in these years, {arc} left the deepest mark.', 'These were, above all, the years of {arc}.'],
+  node: ['Much of it turned on {arc}.', 'Again and again the story returned to {arc}.'],
+  faction: ['{arc} loomed over these years.', 'Few things mattered more in these years than {arc}.']
+};
+
+const CONNECTIVES = ['Meanwhile, ', 'Elsewhere, ', 'In those same years, ', 'Later, '];
+
+const humanize = value => String(value ?? '').replace(/[_-]+/g, ' ').trim();
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+const escapeHTML = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fillTokens = (template, values) => template.replace(/\{(\w+)\}/g, (match, token) => (token in values ? values[token] : match));
+
+// Pronouns as a set, a 'she/her' string or nothing (they/them)
+export const pronounsOf = pronouns => {
+  if (pronouns?.subject) return { ...PRONOUN_SETS.they, ...pronouns, plural: pronouns.plural ?? pronouns.subject === 'they' };
+  const key = typeof pronouns === 'string' ? pronouns.split('/')[0].trim().toLowerCase() : 'they';
+  return PRONOUN_SETS[key] || PRONOUN_SETS.they;
+};
+
+/**
+ * Tracks who and what a chapter has mentioned, to refer back to it naturally: characters are
+ * introduced once with their role, then named, and called by pronoun when they were the last
+ * one mentioned; a place mentioned last is "there"; a faction mentioned last is "the guild"
+ */
+class References {
+  constructor(directory) {
+    this.directory = directory;
+    this.introduced = new Set();
+    this.paragraph();
+  }
+
+  // Pronouns don't reach across paragraphs
+  paragraph() {
+    this.character = null;
+    this.place = null;
+    this.faction = null;
+    this.sentence();
+  }
+
+  sentence() {
+    this.mentioned = new Set();
+    this.plural = false;
+  }
+
+  // After a sentence about two people, "she" would be ambiguous
+  endSentence() {
+    if (this.mentioned.size > 1) this.character = null;
+  }
+
+  /**
+   * @param {string} id - Character id
+   * @param {string} [fallback] - Name when the directory doesn't know the character
+   * @param {string} [form='subject'] - subject, object, possessive or name (never a pronoun)
+   */
+  characterRef(id, fallback, form = 'subject') {
+    const entry = this.directory.characters.get(id);
+    const pronouns = pronounsOf(entry?.pronouns);
+    const pronoun = id && id === this.character && form !== 'name';
+    if (form === 'subject') this.plural = pronoun && pronouns.plural;
+    this.mentioned.add(id);
+    if (pronoun) return pronouns[form];
+
+    let name = entry?.name || fallback || id || 'someone';
+    if (!this.introduced.has(id) && entry?.role && entry.role !== 'citizen' && form !== 'possessive') {
+      name = `${name} the ${humanize(entry.role)}`;
+    }
+    this.introduced.add(id);
+    this.character = id;
+    return form === 'possessive' ? `${name}'s` : name;
+  }
+
+  placeName(id) {
+    this.place = id;
+    return this.directory.places.get(id) || humanize(id) || 'parts unknown';
+  }
+
+  // " at Keep", " there" or nothing
+  at(id) {
+    if (!id || id === 'Unknown') return '';
+    if (id === this.place) return ' there';
+    return ` at ${this.placeName(id)}`;
+  }
+
+  factionRef(id) {
+    const entry = this.directory.factions.get(id);
+    const key = `faction:${id}`;
+    if (id === this.faction && this.introduced.has(key)) return `the ${humanize(entry?.type || 'faction')}`;
+    this.introduced.add(key);
+    this.faction = id;
+    return entry?.name || humanize(id);
+  }
+}
+
+/**
+ * Renders a ChronicleGenerator chronicle as prose: a chapter per era, its highlights told as
+ * paragraphs per story thread, in Markdown or HTML
+ *
+ * Wording is chosen from template variants with a seeded random source, so the same
+ * chronicle and seed always read the same.
+ */
+class ChronicleRenderer {
+  /**
+   * @param {Object} [options]
+   * @param {string|number} [options.seed='chronicle'] - Seed for the choice of wording
+   * @param {Object} [options.rng] - Random source; overrides the seed
+   * @param {string} [options.title] - Title of the chronicle
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || createRandom(options.seed ?? 'chronicle');
+    this.title = options.title || null;
+    this.lastChoice = new Map();
+  }
+
+  /**
+   * @param {Object} chronicle - ChronicleGenerator.generate result
+   * @returns {Object} { title, chapters: [{ title, span, paragraphs }], figures: [{ name, role, summary }] }
+   */
+  compose(chronicle) {
+    const { directory } = chronicle;
+    return {
+      title: this.title || (chronicle.worldName ? `The Chronicle of ${chronicle.worldName}` : 'A Chronicle'),
+      chapters: chronicle.eras.map(era => this.composeChapter(era, directory)),
+      figures: chronicle.arcs.filter(arc => arc.kind === 'character').slice(0, 5).map(arc => ({
+        name: arc.name,
+        role: directory.characters.get(arc.subjectId)?.role || null,
+        summary: `${arc.events.length} events between turns ${arc.start} and ${arc.end}. ` +
+          `At the height of it: ${this.sentence(arc.peak, new References(directory))}`
+      }))
+    };
+  }
+
+  composeChapter(era, directory) {
+    const refs = new References(directory);
+    const paragraphs = this.threadsOf(era).map((events, index) => {
+      refs.paragraph();
+      const connective = index > 0 && this.rng.next() < 0.5 ? this.choose('connective', CONNECTIVES) : '';
+      return events.map((event, position) => this.sentence(event, refs, position === 0 ? connective : '')).join(' ');
+    });
+
+    const span = fillTokens(this.choose('span', SPANS), { start: era.start, end: era.end, total: era.total });
+    const [leading] = era.arcs;
+    const closing = leading && CLOSINGS[leading.kind]
+      ? fillTokens(this.choose(`closing:${leading.kind}`, CLOSINGS[leading.kind]), { arc: leading.name })
+      : null;
+
+    return {
+      title: `Chapter ${era.index + 1}: ${this.chapterTitle(era, directory)}`,
+      span: `Turns ${era.start}–${era.end}`,
+      paragraphs: [span, ...paragraphs, ...(closing ? [closing] : [])]
+    };
+  }
+
+  // Highlights as paragraphs: each joins the first paragraph about one of its characters or
+  // factions (its place, for events about neither), in the order they happened
+  threadsOf(era) {
+    const threads = [];
+    era.highlights.forEach(event => {
+      const subjects = threadsOf(event).filter(thread => thread.kind !== 'node');
+      const keys = (subjects.length ? subjects : threadsOf(event)).map(thread => `${thread.kind}:${thread.subjectId}`);
+      const thread = threads.find(candidate => keys.some(key => candidate.keys.has(key)));
+      if (thread) {
+        thread.events.push(event);
+        keys.forEach(key => thread.keys.add(key));
+      } else {
+        threads.push({ keys: new Set(keys), events: [event] });
+      }
+    });
+    return threads.map(thread => thread.events);
+  }
+
+  chapterTitle(era, directory) {
+    const { opening } = era;
+    const values = opening && {
+      name: opening.name || capitalize(humanize(opening.kind)),
+      character: directory.characters.get(opening.characterId)?.name || opening.characterName || opening.characterId,
+      faction: directory.factions.get(opening.factionId)?.name || humanize(opening.factionId)
+    };
+    if (opening && TITLES[opening.type]) return fillTokens(this.choose(`title:${opening.type}`, TITLES[opening.type]), values);
+    if (era.index === 0) return this.choose('title:first', TITLES.first);
+    if (era.arcs.length) return fillTokens(this.choose('title:arc', TITLES.arc), { arc: era.arcs[0].name });
+    return `Turns ${era.start}–${era.end}`;
+  }
+
+  /**
+   * One event as a sentence, referring to who and what came before through `refs`
+   * @returns {string}
+   */
+  sentence(event, refs, connective = '') {
+    const type = PHRASES[event.type] ? event.type : event.interactionId ? 'interaction' : null;
+    if (!type) return connective + capitalize(event.description || humanize(event.type));
+
+    const phrases = typeof PHRASES[type] === 'function' ? PHRASES[type](event) : PHRASES[type];
+    const template = this.choose(`phrase:${type}`, phrases);
+    const { directory } = refs;
+    refs.sentence();
+    const tokens = {
+      subject: () => refs.characterRef(event.characterId, event.characterName, 'subject'),
+      // By name, where a pronoun reads badly ("they and Ann")
+      named: () => refs.characterRef(event.characterId, event.characterName, 'name'),
+      object: () => refs.characterRef(event.characterId, event.characterName, 'object'),
+      possessive: () => refs.characterRef(event.characterId, event.characterName, 'possessive'),
+      was: () => (refs.plural ? 'were' : 'was'),
+      other: () => refs.characterRef(event.otherId, null, 'name'),
+      previous: () => refs.characterRef(event.previousHolderId || event.previousLeaderId, null, 'object'),
+      at: () => refs.at(event.location),
+      place: () => refs.placeName(event.location),
+      faction: () => refs.factionRef(event.factionId),
+      otherFaction: () => refs.factionRef(event.otherFactionId),
+      quest: () => directory.quests.get(event.questId) || humanize(event.questId),
+      title: () => humanize(event.title || 'leader'),
+      cause: () => humanize(event.cause || 'unknown causes'),
+      relation: () => humanize(event.relationshipType || 'friend'),
+      stance: () => humanize(event.stance),
+      goal: () => humanize(event.goalId),
+      interaction: () => event.interactionName || humanize(event.interactionId),
+      name: () => event.name || capitalize(humanize(event.kind))
+    };
+    // Left to right, so pronouns follow the mentions before them
+    const text = template.replace(/\{(\w+)\}/g, (match, token) => (tokens[token] ? tokens[token]() : match));
+    refs.endSentence();
+    return capitalize(connective + text);
+  }
+
+  // A random variant, never the same one twice in a row for the same purpose
+  choose(purpose, options) {
+    const fresh = options.length > 1 ? options.filter(option => option !== this.lastChoice.get(purpose)) : options;
+    const choice = randomSelect(fresh, this.rng);
+    this.lastChoice.set(purpose, choice);
+    return choice;
+  }
+
+  /**
+   * @param {Object} document - compose() result
+   * @returns {string} Markdown
+   */
+  toMarkdown(document) {
+    const chapters = document.chapters.map(chapter => [
+      `## ${chapter.title}`,
+      `*${chapter.span}*`,
+      ...chapter.paragraphs
+    ].join('\n\n'));
+    const figures = document.figures.length
+      ? [['## Principal Figures', document.figures.map(figure => `- **${figure.name}**${figure.role ? ` (${humanize(figure.role)})` : ''}: ${figure.summary}`).join('\n')].join('\n\n')]
+      : [];
+    return [`# ${document.title}`, ...chapters, ...figures].join('\n\n') + '\n';
+  }
+
+  /**
+   * @param {Object} document - compose() result
+   * @returns {string} HTML fragment
+   */
+  toHTML(document) {
+    const chapters = document.chapters.map(chapter => [
+      '<section class="chronicle-chapter">',
+      `<h2>${escapeHTML(chapter.title)}</h2>`,
+      `<p class="chronicle-span">${escapeHTML(chapter.span)}</p>`,
+      ...chapter.paragraphs.map(paragraph => `<p>${escapeHTML(paragraph)}</p>`),
+      '</section>'
+    ].join('\n'));
+    const figures = document.figures.length
+      ? [[
+        '<section class="chronicle-figures">',
+        '<h2>Principal Figures</h2>',
+        '<ul>',
+        ...document.figures.map(figure => `<li><strong>${escapeHTML(figure.name)}</strong>${figure.role ? ` (${escapeHTML(humanize(figure.role))})` : ''}: ${escapeHTML(figure.summary)}</li>`),
+        '</ul>',
+        '</section>'
+      ].join('\n')]
+      : [];
+    return ['<article class="chronicle">', `<h1>${escapeHTML(document.title)}</h1>`, ...chapters, ...figures, '</article>'].join('\n') + '\n';
+  }
+
+  /**
+   * @param {Object} chronicle - ChronicleGenerator.generate result
+   * @param {string} [format='markdown'] - markdown or html
+   * @returns {string}
+   */
+  render(chronicle, format = 'markdown') {
+    const document = this.compose(chronicle);
+    return format === 'html' ? this.toHTML(document) : this.toMarkdown(document);
+  }
+}
+
+export default ChronicleRenderer;
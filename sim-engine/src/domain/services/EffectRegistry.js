@@ -0,0 +1,197 @@
+// src/domain/services/EffectRegistry.js
+
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+
+// Effect types Character.withEncounterEffects applies (value objects through their withChange)
+const CHARACTER_EFFECTS = ['experience', 'attribute', 'skill', 'item', 'influence', 'prestige', 'alignment', 'health', 'energy', 'mood'];
+
+// A node's resource stock: `resources` on Node entities, `resourceAvailability` on simulation nodes
+const nodeStore = node => {
+  if (node.resources && typeof node.resources === 'object') return node.resources;
+  if (!node.resourceAvailability || typeof node.resourceAvailability !== 'object') {
+    node.resourceAvailability = {};
+  }
+  return node.resourceAvailability;
+};
+
+const inventoryAmount = (character, resource) =>
+  character.inventory.filter(item => item.id === resource).reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+// Replaces the character's stack of a resource with `quantity` of it (none at 0)
+const withInventoryAmount = (character, resource, quantity) => {
+  const inventory = character.inventory.filter(item => item.id !== resource);
+  if (quantity > 0) {
+    inventory.push({ id: resource, name: resource, type: 'resource', quantity });
+  }
+  return character.withInventory(inventory);
+};
+
+// Changes a node's stock, and the world's pool of that resource with it
+const changeNodeStock = (context, resource, amount) => {
+  if (!context.node || !amount) return 0;
+  const store = nodeStore(context.node);
+  const before = store[resource] || 0;
+  store[resource] = Math.max(0, before + amount);
+  const change = store[resource] - before;
+  const pools = context.worldState?.resources;
+  if (pools && typeof pools[resource] === 'number') {
+    pools[resource] = Math.max(0, pools[resource] + change);
+  }
+  return change;
+};
+
+/**
+ * Resource gained or lost: `{ type: 'resource', target, value, scope }`
+ * - scope 'node': the node's stock changes by `value`
+ * - scope 'inventory': the character's stack changes by `value`
+ * - otherwise a transfer: a positive value is taken from the node into the character's
+ *   inventory (no more than the node has, when it tracks the resource); a negative value
+ *   goes from the inventory back to the node
+ */
+const applyResource = (character, effect, context) => {
+  const resource = effect.target;
+  const value = typeof effect.value === 'number' ? effect.value : 0;
+  if (!resource || !value) return character;
+  const held = inventoryAmount(character, resource);
+
+  if (effect.scope === 'node') {
+    changeNodeStock(context, resource, value);
+    return character;
+  }
+  if (effect.scope === 'inventory' || !context.node) {
+    return withInventoryAmount(character, resource, Math.max(0, held + value));
+  }
+
+  const store = nodeStore(context.node);
+  const moved = value > 0
+    ? (typeof store[resource] === 'number' ? Math.min(value, store[resource]) : value)
+    : -Math.min(-value, held);
+  if (!moved) return character;
+  if (typeof store[resource] === 'number' || moved < 0) {
+    changeNodeStock(context, resource, -moved);
+  }
+  return withInventoryAmount(character, resource, held + moved);
+};
+
+/**
+ * Relationship change: `{ type: 'relationship', target, value, mutual }`
+ * The target is a character id, a character's name, or 'participants' for every other
+ * participant of the interaction. With `mutual`, the others' regard changes as well.
+ */
+const applyRelationship = (character, effect, context) => {
+  const npcs = context.worldState?.npcs || [];
+  const targets = effect.target === 'participants'
+    ? (context.participants || []).filter(id => id !== character.id)
+    : [npcs.find(npc => npc?.name === effect.target)?.id || effect.target].filter(Boolean);
+  if (!targets.length) return character;
+
+  if (effect.mutual) {
+    targets.forEach(targetId => {
+      const index = npcs.findIndex(npc => npc?.id === targetId);
+      if (index >= 0 && typeof npcs[index].withEncounterEffects === 'function') {
+        npcs[index] = npcs[index].withEncounterEffects(
+          [{ type: 'relationship', target: character.id, value: effect.value }],
+          { reason: context.reason, timestamp: context.timestamp }
+        );
+      }
+    });
+  }
+  return character.withEncounterEffects(
+    targets.map(targetId => ({ type: 'relationship', target: targetId, value: effect.value })),
+    { reason: context.reason, timestamp: context.timestamp }
+  );
+};
+
+/**
+ * Quest progress: `{ type: 'quest', target, value }` clears `value` (1 by default) steps
+ * of the character's active run of quest `target`; QuestService plays them one a turn,
+ * as if their checks had passed
+ */
+const applyQuest = (character, effect) => {
+  const steps = typeof effect.value === 'number' ? effect.value : 1;
+  const record = character.quests.find(candidate => candidate.id === effect.target && candidate.status === 'active');
+  if (!record || steps <= 0) return character;
+  const quests = character.quests.map(candidate => (candidate === record
+    ? { ...record, stepsCleared: (record.stepsCleared || 0) + steps }
+    : candidate));
+  return character.withQuests(quests);
+};
+
+const applyCharacterEffect = (character, effect, context) =>
+  character.withEncounterEffects([effect], { reason: context.reason, timestamp: context.timestamp });
+
+export const DEFAULT_EFFECT_HANDLERS = Object.freeze({
+  resource: applyResource,
+  relationship: applyRelationship,
+  quest: applyQuest,
+  ...Object.fromEntries(CHARACTER_EFFECTS.map(type => [type, applyCharacterEffect]))
+});
+
+/**
+ * Applies interaction effects (`{ type, target, value, ... }`) by type
+ *
+ * A handler takes `(character, effect, context)` and returns the character after the
+ * effect (Characters are immutable; nodes and world pools are changed in place).
+ * `context` carries the `node` and `worldState` the interaction happened in, its
+ * `participants`, and the `reason` and `timestamp` recorded in value-object histories.
+ * Register a handler to support a new effect type, or to replace a default one.
+ */
+export class EffectRegistry {
+  /**
+   * @param {Object<string, Function>} [handlers=DEFAULT_EFFECT_HANDLERS]
+   */
+  constructor(handlers = DEFAULT_EFFECT_HANDLERS) {
+    this.handlers = new Map(Object.entries(handlers));
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} handler - (character, effect, context) => Character
+   * @returns {EffectRegistry} this, for chaining
+   */
+  register(type, handler) {
+    if (typeof type !== 'string' || typeof handler !== 'function') {
+      throw new Error('An effect handler needs a type and a function');
+    }
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  unregister(type) {
+    this.handlers.delete(type);
+    return this;
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Applies effects in order; unknown types are skipped with a warning
+   * @param {Character} character
+   * @param {Array<Object>} effects
+   * @param {Object} [context] - { node, worldState, participants, reason, timestamp, turn, daysPerTurn }
+   * @returns {Character}
+   */
+  apply(character, effects = [], context = {}) {
+    const resolved = {
+      reason: 'Interaction',
+      ...context,
+      timestamp: context.timestamp || (typeof context.turn === 'number'
+        ? dateOfTurn(context.turn, context.daysPerTurn || 1)
+        : new Date())
+    };
+    return effects.reduce((current, effect) => {
+      const handler = this.handlers.get(effect?.type);
+      if (!handler) {
+        console.warn(`Unknown effect type: ${effect?.type}`);
+        return current;
+      }
+      return handler(current, effect, resolved) || current;
+    }, character);
+  }
+}
+
+export const defaultEffectRegistry = new EffectRegistry();
+
+export default EffectRegistry;
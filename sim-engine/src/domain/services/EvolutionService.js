@@ -1,8 +1,14 @@
 // src/domain/services/EvolutionService.js
 
 import Character from '../entities/Character.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
 
 class EvolutionService {
+  // options.eventBus receives ATTRIBUTE_CHANGED for every attribute score that moves
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || null;
+  }
+
   // Evolve a character based on an interaction outcome
   evolveFromInteraction(character, interaction, outcome) {
     if (!(character instanceof Character)) {
@@ -21,6 +27,7 @@ class EvolutionService {
     if (attrToImprove && evolvedData.attributes) {
       const current = evolvedData.attributes[attrToImprove] || { score: 10 };
       const newScore = Math.min(20, current.score + learningRate);
+      this.announceAttributeChange(character, attrToImprove, current.score, newScore, 'interaction');
       evolvedData.attributes = {
         ...evolvedData.attributes,
         [attrToImprove]: {
@@ -43,6 +50,19 @@ class EvolutionService {
     return Character.fromJSON(evolvedData);
   }
 
+  // Attributes stored as plain numbers have no score to report
+  announceAttributeChange(character, attribute, from, to, cause) {
+    if (!this.eventBus || typeof from !== 'number' || from === to) return;
+    this.eventBus.publish(SimulationEventTypes.ATTRIBUTE_CHANGED, {
+      characterId: character.id,
+      characterName: character.name,
+      attribute,
+      from,
+      to,
+      cause
+    });
+  }
+
   // Calculate learning rate based on coherence and success (quantum-inspired)
   calculateLearningRate(coherence, success) {
     const baseRate = success ? 0.1 : 0.02;
@@ -145,6 +165,7 @@ class EvolutionService {
     if (characterData.attributes && characterData.attributes[attrToImprove]) {
       const current = characterData.attributes[attrToImprove];
       const newScore = Math.min(20, current.score + passiveRate * ticksElapsed);
+      this.announceAttributeChange(character, attrToImprove, current.score, newScore, 'time');
 
       // Create updated character data
       const evolvedData = {
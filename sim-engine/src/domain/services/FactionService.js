@@ -0,0 +1,321 @@
+// src/domain/services/FactionService.js
+
+import Character from '../entities/Character.js';
+import Faction from '../entities/Faction.js';
+import RelationshipGraph from '../entities/RelationshipGraph.js';
+import ConsciousnessSystem from '../value-objects/ConsciousnessSystem.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+// How much each happening lifts or weighs on a faction's collective frequency
+const MOOD_IMPACT = {
+  joined: 0.5,
+  left: -0.5,
+  leader_changed: -0.5,
+  goal_completed: 2,
+  allied: 1,
+  hostile: -1
+};
+
+// Entries kept in a faction's history
+const HISTORY_LENGTH = 50;
+
+const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Runs the world's factions a turn at a time (`worldState.factions`, Faction JSON)
+ *
+ * For each active faction, in order:
+ * - members who are no longer in the world leave
+ * - members pay `recruitment.dues` from their wealth into the faction's coin
+ * - cohesion follows how the members regard each other, and each member's loyalty how
+ *   they regard the others and the leader (affinity in the relationship graph)
+ * - members whose loyalty fell below `leaveBelow` leave; a faction without a leader
+ *   is taken over by its successor (Faction.successor)
+ * - it may take in one fitting character a turn at its seat or where its members are:
+ *   `recruitment.openness`, doubled while a 'members' goal is open, and scaled by how the
+ *   candidate regards the members. Characters belong to one faction of each type
+ * - goals that reached their target are completed
+ * Then stances between factions drift towards how their members regard each other, less
+ * `rivalryPressure` for factions of a type sharing a node, plus 10 a shared member. A
+ * faction below `minMembers` for `graceTurns` turns dissolves. What happened moves each
+ * faction's collective frequency and mood (ConsciousnessSystem.updateCollectiveMood).
+ */
+class FactionService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Seeded rng for recruitment rolls
+   * @param {SimulationEventBus} [options.eventBus] - Receives the FACTION_* events
+   * @param {number} [options.minMembers=2] - Members a faction needs to carry on
+   * @param {number} [options.graceTurns=5] - Turns a faction may spend below minMembers
+   * @param {number} [options.leaveBelow=25] - Loyalty under which members leave
+   * @param {number} [options.stanceDrift=0.1] - Share of the way stances move towards their target a turn
+   * @param {number} [options.rivalryPressure=20] - Stance lost by factions of a type sharing a node
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.eventBus = options.eventBus || null;
+    this.minMembers = options.minMembers ?? 2;
+    this.graceTurns = options.graceTurns ?? 5;
+    this.leaveBelow = options.leaveBelow ?? 25;
+    this.stanceDrift = options.stanceDrift ?? 0.1;
+    this.rivalryPressure = options.rivalryPressure ?? 20;
+  }
+
+  /**
+   * Runs a turn for every faction; updates `worldState.factions` and `worldState.npcs`
+   * @param {Object} worldState - { npcs, factions, relationshipGraph }
+   * @param {number} [turn=worldState.time]
+   * @returns {Array<Object>} Per faction: { factionId, members, joined, left, leaderId, coin, cohesion, mood, goalsCompleted, dissolved }
+   */
+  advance(worldState, turn = worldState.time) {
+    const factions = (worldState.factions || []).map(record => Faction.fromJSON(record));
+    const graph = RelationshipGraph.fromJSON(worldState.relationshipGraph);
+    const consciousness = new ConsciousnessSystem();
+    const reports = new Map();
+
+    factions.filter(faction => faction.isActive()).forEach(faction => {
+      consciousness.createCollective(faction.id, {
+        collectiveFrequency: faction.collective.frequency,
+        mood: faction.collective.mood,
+        members: new Set(faction.getMemberIds())
+      });
+      const report = { factionId: faction.id, joined: [], left: [], goalsCompleted: [], moments: [], dissolved: false };
+      reports.set(faction.id, report);
+
+      this.dropDeparted(faction, worldState, turn, report);
+      this.collectDues(faction, worldState);
+      this.updateLoyalty(faction, graph);
+      this.loseDisloyal(faction, worldState, turn, report);
+      this.ensureLeader(faction, worldState, turn, report);
+      this.recruit(faction, factions, worldState, graph, turn, report);
+      this.completeGoals(faction, worldState, turn, report);
+    });
+
+    this.updateStances(factions, worldState, graph, turn, reports);
+    this.dissolveWeak(factions, turn, reports);
+
+    factions.filter(faction => reports.has(faction.id)).forEach(faction => {
+      const report = reports.get(faction.id);
+      if (!report.dissolved) {
+        const collective = consciousness.getCollective(faction.id);
+        const drift = (5 + faction.cohesion * 5 - collective.collectiveFrequency) * 0.1;
+        [...report.moments, { type: 'cohesion', impact: drift }].forEach(moment => consciousness.updateCollectiveMood(faction.id, moment));
+        faction.collective = { frequency: round(collective.collectiveFrequency), mood: collective.mood };
+      }
+      faction.history = faction.history.slice(-HISTORY_LENGTH);
+    });
+
+    worldState.factions = factions.map(faction => faction.toJSON());
+    return factions.filter(faction => reports.has(faction.id)).map(faction => {
+      const { moments, formerLeaderId, ...report } = reports.get(faction.id);
+      return {
+        ...report,
+        members: faction.members.length,
+        leaderId: faction.leaderId,
+        coin: faction.resources.coin,
+        cohesion: faction.cohesion,
+        mood: faction.collective.mood
+      };
+    });
+  }
+
+  dropDeparted(faction, worldState, turn, report) {
+    const present = new Set(worldState.npcs.map(npc => npc?.id));
+    faction.getMemberIds()
+      .filter(characterId => !present.has(characterId))
+      .forEach(characterId => this.leave(faction, characterId, 'gone', worldState, turn, report));
+  }
+
+  collectDues(faction, worldState) {
+    const dues = faction.recruitment.dues;
+    if (!(dues > 0)) return;
+    worldState.npcs = worldState.npcs.map(npc => {
+      if (!(npc instanceof Character) || !faction.hasMember(npc.id)) return npc;
+      const paid = Math.min(dues, Math.max(0, npc.wealth));
+      if (!paid) return npc;
+      faction.adjustResource('coin', paid);
+      return npc.withWealthChange(-paid);
+    });
+  }
+
+  // Cohesion from the members' mutual affinity; loyalty moves a fifth of the way to
+  // 50 + half their affinity for the other members + a quarter of their affinity for the leader
+  updateLoyalty(faction, graph) {
+    const memberIds = faction.getMemberIds();
+    const affinity = (from, to) => graph.getEdge(from, to)?.affinity || 0;
+    const pairs = memberIds.flatMap(from => memberIds.filter(to => to !== from).map(to => affinity(from, to)));
+    faction.cohesion = round((mean(pairs) + 100) / 200);
+
+    faction.members.forEach(member => {
+      const others = memberIds.filter(id => id !== member.characterId);
+      const forLeader = faction.leaderId && faction.leaderId !== member.characterId
+        ? affinity(member.characterId, faction.leaderId)
+        : 0;
+      const target = Math.max(0, Math.min(100, 50 + mean(others.map(id => affinity(member.characterId, id))) / 2 + forLeader / 4));
+      member.loyalty = round(member.loyalty + (target - member.loyalty) * 0.2);
+    });
+  }
+
+  loseDisloyal(faction, worldState, turn, report) {
+    faction.members
+      .filter(member => member.loyalty < this.leaveBelow)
+      .map(member => member.characterId)
+      .forEach(characterId => this.leave(faction, characterId, 'disloyal', worldState, turn, report));
+  }
+
+  ensureLeader(faction, worldState, turn, report) {
+    if (faction.leaderId || !faction.members.length) return;
+    const successor = faction.successor();
+    faction.setRank(successor.characterId, faction.highestRank().id);
+    faction.leaderId = successor.characterId;
+    report.moments.push({ type: 'leader_changed', impact: MOOD_IMPACT.leader_changed });
+    this.record(faction, worldState, turn, SimulationEventTypes.FACTION_LEADER_CHANGED, {
+      fromCharacterId: report.formerLeaderId || null,
+      toCharacterId: successor.characterId,
+      toCharacterName: worldState.npcs.find(npc => npc?.id === successor.characterId)?.name
+    });
+  }
+
+  recruit(faction, factions, worldState, graph, turn, report) {
+    const { openness, roles, races, nodeIds } = faction.recruitment;
+    if (!(openness > 0)) return;
+    const characters = worldState.npcs.filter(npc => npc instanceof Character);
+    const memberIds = faction.getMemberIds();
+    const places = new Set(nodeIds.length
+      ? nodeIds
+      : [faction.nodeId, ...characters.filter(npc => faction.hasMember(npc.id)).map(npc => npc.currentNodeId)].filter(Boolean));
+    const takenByKind = new Set(factions
+      .filter(other => other.isActive() && other.type === faction.type)
+      .flatMap(other => other.getMemberIds()));
+
+    const candidates = characters.filter(npc => places.has(npc.currentNodeId) &&
+      !npc.journey &&
+      !takenByKind.has(npc.id) &&
+      (!roles.length || roles.includes(npc.role)) &&
+      (!races.length || races.includes(npc.race)));
+    const recruiting = faction.goals.some(goal => goal.status === 'active' && goal.type === 'members') ? 2 : 1;
+
+    const recruit = candidates.find(candidate => {
+      const regard = mean(memberIds.map(id => graph.getEdge(candidate.id, id)?.affinity || 0));
+      return this.rng.next() < openness * recruiting * Math.max(0.1, 1 + regard / 100);
+    });
+    if (!recruit) return;
+
+    const member = faction.addMember(recruit.id, { turn });
+    report.joined.push(recruit.id);
+    report.moments.push({ type: 'joined', impact: MOOD_IMPACT.joined });
+    this.record(faction, worldState, turn, SimulationEventTypes.FACTION_JOINED, {
+      characterId: recruit.id,
+      characterName: recruit.name,
+      rankId: member.rankId
+    });
+  }
+
+  // 'members' counts members, 'wealth' the faction's coin, 'influence' the members'
+  // influence in `goal.domain` ('political' by default) added up
+  completeGoals(faction, worldState, turn, report) {
+    const members = worldState.npcs.filter(npc => npc instanceof Character && faction.hasMember(npc.id));
+    const measures = {
+      members: () => faction.members.length,
+      wealth: () => faction.resources.coin,
+      influence: goal => members.reduce((sum, npc) => sum + npc.influence.getValue(goal.domain || 'political'), 0)
+    };
+    faction.goals.forEach(goal => {
+      const measure = measures[goal.type];
+      if (goal.status !== 'active' || !measure || measure(goal) < goal.target) return;
+      goal.status = 'completed';
+      goal.completedAt = turn;
+      report.goalsCompleted.push(goal.id);
+      report.moments.push({ type: 'goal_completed', impact: MOOD_IMPACT.goal_completed });
+      this.record(faction, worldState, turn, SimulationEventTypes.FACTION_GOAL_COMPLETED, { goalId: goal.id, goalType: goal.type });
+    });
+  }
+
+  updateStances(factions, worldState, graph, turn, reports) {
+    const active = factions.filter(faction => faction.isActive());
+    const locations = new Map(worldState.npcs.map(npc => [npc?.id, npc?.currentNodeId]));
+    const places = faction => new Set([faction.nodeId, ...faction.getMemberIds().map(id => locations.get(id))].filter(Boolean));
+
+    active.forEach((faction, index) => active.slice(index + 1).forEach(other => {
+      const cross = faction.getMemberIds().flatMap(from => other.getMemberIds()
+        .filter(to => to !== from)
+        .flatMap(to => [graph.getEdge(from, to)?.affinity || 0, graph.getEdge(to, from)?.affinity || 0]));
+      const otherPlaces = places(other);
+      const rivals = faction.type === other.type && [...places(faction)].some(nodeId => otherPlaces.has(nodeId));
+      const shared = faction.getMemberIds().filter(id => other.hasMember(id)).length;
+      const target = mean(cross) - (rivals ? this.rivalryPressure : 0) + shared * 10;
+
+      const from = faction.stanceTowards(other.id);
+      const score = faction.getStance(other.id) + (target - faction.getStance(other.id)) * this.stanceDrift;
+      faction.setStance(other.id, score);
+      other.setStance(faction.id, score);
+      const to = faction.stanceTowards(other.id);
+      if (from === to) return;
+
+      [faction, other].forEach(side => {
+        if (MOOD_IMPACT[to]) reports.get(side.id).moments.push({ type: to, impact: MOOD_IMPACT[to] });
+      });
+      this.record(faction, worldState, turn, SimulationEventTypes.FACTION_STANCE_CHANGED, {
+        otherId: other.id,
+        otherName: other.name,
+        from,
+        to,
+        score: faction.getStance(other.id)
+      });
+      other.history.push({ turn, type: 'stance_changed', otherId: faction.id, from, to });
+    }));
+  }
+
+  dissolveWeak(factions, turn, reports) {
+    factions.filter(faction => faction.isActive()).forEach(faction => {
+      faction.turnsBelowQuorum = faction.members.length < this.minMembers ? (faction.turnsBelowQuorum || 0) + 1 : 0;
+      if (faction.turnsBelowQuorum <= this.graceTurns) return;
+
+      const memberIds = faction.getMemberIds();
+      faction.dissolve(turn);
+      factions.forEach(other => {
+        delete other.stances[faction.id];
+      });
+      reports.get(faction.id).dissolved = true;
+      faction.history.push({ turn, type: 'dissolved', memberIds });
+      this.publish(SimulationEventTypes.FACTION_DISSOLVED, {
+        turn,
+        factionId: faction.id,
+        factionName: faction.name,
+        memberIds,
+        reason: 'too_few_members'
+      });
+    });
+  }
+
+  leave(faction, characterId, reason, worldState, turn, report) {
+    if (faction.leaderId === characterId) {
+      report.formerLeaderId = characterId;
+    }
+    faction.removeMember(characterId);
+    report.left.push(characterId);
+    report.moments.push({ type: 'left', impact: MOOD_IMPACT.left });
+    this.record(faction, worldState, turn, SimulationEventTypes.FACTION_LEFT, {
+      characterId,
+      characterName: worldState.npcs.find(npc => npc?.id === characterId)?.name,
+      reason
+    });
+  }
+
+  // Publishes a faction event and notes it in the faction's history
+  record(faction, worldState, turn, type, details) {
+    const entryType = type.split('.').pop().replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    faction.history.push({ turn, type: entryType, ...details });
+    this.publish(type, { turn, factionId: faction.id, factionName: faction.name, ...details });
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.publish(type, payload);
+    }
+  }
+}
+
+export default FactionService;
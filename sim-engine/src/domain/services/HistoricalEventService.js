@@ -0,0 +1,438 @@
+// src/domain/services/HistoricalEventService.js
+
+import Character from '../entities/Character.js';
+import HistoricalEvent from '../entities/HistoricalEvent.js';
+import Settlement from '../entities/Settlement.js';
+import AlignmentService from './AlignmentService.js';
+import TravelService, { charactersAt } from './TravelService.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { randomSelect } from '../../shared/utils/SelectionUtils.js';
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+// Fired events kept in worldState.worldEvents
+const RECORD_LENGTH = 100;
+
+// Links away from the epicentre an event reaches, by its scope
+const SCOPE_REACH = { local: 0, regional: 1, global: Infinity };
+
+// How a scope reads to PersonalityProfile.withHistoricalEventInfluence
+const PERSONALITY_SCALES = { local: 'local', regional: 'regional', global: 'global' };
+
+/**
+ * What each kind of event does at magnitude 1
+ * - alignment: the type (and subtype) AlignmentService.evolveAlignment reads it as
+ * - characters: effects on everyone in scope, `{ type, target, value }` as for encounters
+ * - settlements: share of the population lost or gained, and prosperity and stability changes
+ * - stores: share of each resource lost from the settlements' stores and the nodes' stocks
+ * - crown: the most politically influential character in scope takes the settlements' lead
+ */
+export const EVENT_KINDS = {
+  war: {
+    alignment: { type: 'war' },
+    characters: [{ type: 'health', value: -15 }, { type: 'mood', value: -10 }],
+    settlements: { population: -0.05, prosperity: -0.1, stability: -0.2 }
+  },
+  plague: {
+    alignment: { type: 'plague' },
+    characters: [{ type: 'health', value: -25 }, { type: 'energy', value: -10 }],
+    settlements: { population: -0.1, prosperity: -0.1, stability: -0.05 }
+  },
+  famine: {
+    alignment: { type: 'famine' },
+    characters: [{ type: 'health', value: -10 }, { type: 'energy', value: -20 }, { type: 'mood', value: -15 }],
+    settlements: { population: -0.03, stability: -0.1 },
+    stores: { food: -0.5 }
+  },
+  coronation: {
+    alignment: { type: 'political_change', subtype: 'law_establishment' },
+    characters: [{ type: 'mood', value: 5 }],
+    settlements: { stability: 0.15 },
+    crown: true
+  }
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+const severityOf = magnitude => {
+  if (magnitude >= 2) return 'critical';
+  if (magnitude >= 1) return 'major';
+  if (magnitude >= 0.5) return 'moderate';
+  return 'minor';
+};
+
+// Adds up numeric fields of change maps ({ population: -0.05 } and { population: -0.1 })
+const mergeChanges = changes => changes.reduce((merged, change) => {
+  Object.entries(change || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') merged[key] = (merged[key] || 0) + value;
+  });
+  return merged;
+}, {});
+
+/**
+ * World-scale events: wars, plagues, famines, coronations...
+ *
+ * Event templates (EventTemplate JSON, `TemplateGenerator.generateEventTemplate`) live in
+ * `worldState.eventTemplates`. The kind is the template's `kind`, or else the first of its
+ * `tags` in EVENT_KINDS. Each turn a template may fire when:
+ * - `trigger.type` allows: 'immediate' fires once as soon as it can, 'delayed' once from turn
+ *   `trigger.delay`, 'periodic' and 'conditional' with `trigger.probability` (0.1) a turn, at
+ *   least `trigger.cooldown` turns apart; 'manual' (the default) never fires by itself
+ * - its `conditions` (`{ type, requirements }`) pass HistoricalEvent.canOccur
+ * - the year falls in one of `historicalSimulation.timePeriods`, if it has any; the period's
+ *   `modifiers.probability` and `modifiers.magnitude` scale the chance and the impact
+ *
+ * An event strikes an epicentre (`impact.immediate.scope.nodeIds`, else any node) and reaches
+ * out by its scope: 'local' the epicentre, 'regional' its neighbours too, 'global' every node.
+ * The kind's effects, plus the template's `actions` (`{ type: 'characters' | 'settlements' |
+ * 'stores', effects }`), scaled by `impact.immediate.magnitude`, apply to the settlements, node
+ * stocks and characters in scope. Each character goes through Character.withHistoricalEvent,
+ * which passes the event to AlignmentService.evolveAlignment and the personality.
+ *
+ * `impact.rippleEffects` (`{ type, probability, delay, magnitude }`) schedule later events on
+ * the same nodes in `worldState.pendingEffects`: the template with that id, or else a bare event
+ * of that kind, at `magnitude` times the event's (0.5). Significance starts at
+ * `significance.baseValue` (0.7) and wanes by `significance.decayRate` a turn until a ripple strikes.
+ */
+class HistoricalEventService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Seeded rng for triggers, epicentres and ripples
+   * @param {SimulationEventBus} [options.eventBus] - Receives WORLD_EVENT_OCCURRED, TITLE_SUCCEEDED and ALIGNMENT_CHANGED
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn, for years and recorded dates
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.eventBus = options.eventBus || null;
+    this.daysPerTurn = options.daysPerTurn || 1;
+    this.turn = 0;
+    this.travel = new TravelService();
+    this.alignmentService = new AlignmentService({ eventBus: this.eventBus, clock: () => dateOfTurn(this.turn, this.daysPerTurn) });
+  }
+
+  // The world's year: `worldState.startYear` plus the years simulated
+  yearOf(worldState, turn) {
+    return (worldState.startYear || 0) + Math.floor((turn * this.daysPerTurn) / 365);
+  }
+
+  kindOf(template) {
+    return template.kind || (template.tags || []).find(tag => EVENT_KINDS[tag]) || 'generic';
+  }
+
+  /**
+   * Strikes due ripples, then fires the templates whose time has come
+   * Updates `worldState.eventTemplates` (timesFired, lastFiredAt), `pendingEffects`, `worldEvents`,
+   * and the settlements, nodes and characters struck
+   * @param {Object} worldState - { nodes, npcs, settlements, eventTemplates, pendingEffects }
+   * @param {number} [turn=worldState.time]
+   * @returns {Array<Object>} The events fired: { eventId, templateId, name, kind, nodeId, nodeIds,
+   *   characterIds, magnitude, severity, significance, sourceEventId, crownedId, ripples }
+   */
+  advance(worldState, turn = worldState.time) {
+    this.turn = turn;
+    if (!worldState.nodes?.length) return [];
+    const templates = (worldState.eventTemplates || []).filter(template => template?.id);
+    const due = (worldState.pendingEffects || []).filter(ripple => ripple.dueAt <= turn);
+    worldState.pendingEffects = (worldState.pendingEffects || []).filter(ripple => ripple.dueAt > turn);
+    const results = [];
+
+    due.forEach(ripple => {
+      const kind = EVENT_KINDS[ripple.type] ? ripple.type : 'generic';
+      const template = templates.find(candidate => candidate.id === ripple.type) ||
+        { id: ripple.type, name: `${capitalize(ripple.type)} after ${ripple.sourceName}`, kind };
+      results.push(this.fire(template, worldState, turn, {
+        id: ripple.id,
+        epicentre: ripple.nodeId,
+        nodeIds: ripple.nodeIds,
+        magnitude: ripple.magnitude,
+        significance: ripple.significance,
+        sourceEventId: ripple.sourceEventId
+      }));
+    });
+
+    worldState.eventTemplates = templates.map(template => {
+      const period = this.periodOf(template, worldState, turn);
+      if (!period || !this.triggers(template, worldState, turn, period)) return template;
+      const magnitude = (template.historicalSimulation?.impact?.immediate?.magnitude ?? 1) * (period.modifiers?.magnitude ?? 1);
+      results.push(this.fire(template, worldState, turn, { magnitude }));
+      return { ...template, timesFired: (template.timesFired || 0) + 1, lastFiredAt: turn };
+    });
+
+    return results;
+  }
+
+  /**
+   * The time period a template may fire in this year: `{ modifiers }` when it lists none,
+   * null when it lists some and the year is outside them all
+   */
+  periodOf(template, worldState, turn) {
+    const periods = template.historicalSimulation?.timePeriods || [];
+    if (!periods.length) return { modifiers: {} };
+    const year = this.yearOf(worldState, turn);
+    return periods.find(period => (period.startYear ?? -Infinity) <= year && year <= (period.endYear ?? Infinity)) || null;
+  }
+
+  // Whether a template fires this turn; rolls its probability last
+  triggers(template, worldState, turn, period) {
+    const trigger = template.trigger || {};
+    const fired = template.timesFired || 0;
+    let probability;
+    switch (trigger.type) {
+      case 'immediate':
+        if (fired) return false;
+        probability = trigger.probability ?? 1;
+        break;
+      case 'delayed':
+        if (fired || turn < (trigger.delay ?? 0)) return false;
+        probability = trigger.probability ?? 1;
+        break;
+      case 'periodic':
+      case 'conditional':
+        if (fired && turn - template.lastFiredAt < (trigger.cooldown || 0)) return false;
+        probability = trigger.probability ?? 0.1;
+        break;
+      default:
+        return false;
+    }
+    if (!this.conditionsMet(template, worldState, turn)) return false;
+    return this.rng.next() < probability * (period.modifiers?.probability ?? 1);
+  }
+
+  conditionsMet(template, worldState, turn) {
+    const event = new HistoricalEvent({
+      id: template.id,
+      type: this.kindOf(template),
+      worldStateRequirements: (template.conditions || []).map(condition => ({ type: condition.type, ...(condition.requirements || {}) }))
+    });
+    return event.canOccur({
+      ...worldState,
+      settlements: worldState.settlements || [],
+      globalConditions: new Map(Object.entries(worldState.globalConditions || {})),
+      currentTime: dateOfTurn(turn, this.daysPerTurn)
+    });
+  }
+
+  // Node ids within `reach` links of the epicentre
+  nodesInScope(worldState, epicentre, reach) {
+    const byId = new Map(worldState.nodes.map(node => [node.id, node]));
+    const found = new Set([epicentre]);
+    let frontier = [epicentre];
+    for (let step = 0; step < reach && frontier.length; step++) {
+      frontier = frontier
+        .flatMap(nodeId => this.travel.linksFrom(byId.get(nodeId)).map(link => link.nodeId))
+        .filter(nodeId => byId.has(nodeId) && !found.has(nodeId));
+      frontier.forEach(nodeId => found.add(nodeId));
+    }
+    return [...found];
+  }
+
+  /**
+   * Fires an event of a template, whatever its trigger says
+   * @param {Object} template - EventTemplate JSON
+   * @param {Object} worldState
+   * @param {number} turn
+   * @param {Object} [options] - { id, epicentre, nodeIds, magnitude, significance, sourceEventId }
+   * @returns {Object} The result, as listed by advance
+   */
+  fire(template, worldState, turn, options = {}) {
+    this.turn = turn;
+    const kind = this.kindOf(template);
+    const simulation = template.historicalSimulation || {};
+    const scope = simulation.impact?.immediate?.scope || {};
+    const level = SCOPE_REACH[scope.level] !== undefined ? scope.level : 'local';
+    const candidates = scope.nodeIds?.length ? scope.nodeIds : worldState.nodes.map(node => node.id);
+    const epicentre = options.epicentre || randomSelect(candidates, this.rng);
+    const nodeIds = options.nodeIds || this.nodesInScope(worldState, epicentre, SCOPE_REACH[level]);
+    const magnitude = round(options.magnitude ?? simulation.impact?.immediate?.magnitude ?? 1);
+    const significance = round(clamp(options.significance ?? simulation.significance?.baseValue ?? 0.7, 0, 1));
+    const characterIds = nodeIds.flatMap(nodeId => charactersAt(worldState.npcs, nodeId)).map(npc => npc.id);
+
+    const event = new HistoricalEvent({
+      id: options.id || `${template.id}_${turn}`,
+      type: kind,
+      name: template.name || capitalize(kind),
+      description: template.description || '',
+      timestamp: dateOfTurn(turn, this.daysPerTurn),
+      location: epicentre,
+      participants: characterIds,
+      severity: severityOf(magnitude),
+      scope: level,
+      duration: simulation.impact?.longTerm?.duration || 0,
+      metadata: { templateId: template.id, turn, magnitude, nodeIds, significance, sourceEventId: options.sourceEventId || null }
+    });
+
+    const effects = this.effectsOf(template, kind);
+    this.strikeSettlements(worldState, nodeIds, effects, magnitude);
+    this.strikeNodes(worldState, nodeIds, effects, magnitude);
+    const crownedId = this.strikeCharacters(worldState, event, nodeIds, effects, { magnitude, level, turn, alignmentImpact: template.alignmentImpact });
+    const ripples = this.scheduleRipples(worldState, simulation, event, { epicentre, nodeIds, magnitude, significance, turn });
+
+    worldState.worldEvents = [...(worldState.worldEvents || []), event.toJSON()].slice(-RECORD_LENGTH);
+    const result = {
+      eventId: event.id,
+      templateId: template.id,
+      name: event.name,
+      kind,
+      nodeId: epicentre,
+      nodeIds,
+      characterIds,
+      magnitude,
+      severity: event.severity,
+      significance,
+      sourceEventId: options.sourceEventId || null,
+      crownedId,
+      ripples
+    };
+    this.publish(SimulationEventTypes.WORLD_EVENT_OCCURRED, {
+      turn,
+      ...result,
+      nodeName: worldState.nodes.find(node => node.id === epicentre)?.name
+    });
+    return result;
+  }
+
+  // The kind's effects with the template's actions added
+  effectsOf(template, kind) {
+    const base = EVENT_KINDS[kind] || {};
+    const actions = template.actions || [];
+    const ofType = type => actions.filter(action => action?.type === type).map(action => action.effects);
+    return {
+      alignment: base.alignment || { type: kind },
+      characters: [...(base.characters || []), ...ofType('characters').flat().filter(Boolean)],
+      settlements: mergeChanges([base.settlements, ...ofType('settlements')]),
+      stores: mergeChanges([base.stores, ...ofType('stores')]),
+      crown: Boolean(base.crown)
+    };
+  }
+
+  strikeSettlements(worldState, nodeIds, effects, magnitude) {
+    const { population = 0, prosperity = 0, stability = 0 } = effects.settlements;
+    worldState.settlements = (worldState.settlements || []).map(record => {
+      if (!record?.id || !nodeIds.includes(record.nodeId)) return record;
+      const settlement = Settlement.fromJSON(record);
+      settlement.setPopulation(settlement.population * Math.max(0, 1 + population * magnitude));
+      settlement.adjustProsperity(prosperity * magnitude);
+      settlement.adjustStability(stability * magnitude);
+      Object.entries(effects.stores).forEach(([resource, share]) => {
+        if (typeof settlement.resources.amounts[resource] === 'number') {
+          settlement.resources.amounts[resource] = round(settlement.resources.amounts[resource] * Math.max(0, 1 + share * magnitude));
+        }
+      });
+      return settlement.toJSON();
+    });
+  }
+
+  // Node stocks: `resources` on Node entities, `resourceAvailability` on simulation nodes
+  strikeNodes(worldState, nodeIds, effects, magnitude) {
+    worldState.nodes.filter(node => nodeIds.includes(node.id)).forEach(node => {
+      const store = node.resources && typeof node.resources === 'object' ? node.resources : node.resourceAvailability;
+      if (!store) return;
+      Object.entries(effects.stores).forEach(([resource, share]) => {
+        if (typeof store[resource] === 'number') {
+          store[resource] = round(store[resource] * Math.max(0, 1 + share * magnitude));
+        }
+      });
+    });
+  }
+
+  /**
+   * Passes the event to every character in scope (Character.withHistoricalEvent), then applies
+   * the kind's character effects; a coronation crowns the most politically influential
+   * @returns {string|null} The crowned character's id
+   */
+  strikeCharacters(worldState, event, nodeIds, effects, { magnitude, level, turn, alignmentImpact }) {
+    const struck = new Set(event.participants);
+    const crowned = effects.crown
+      ? worldState.npcs
+        .filter(npc => npc instanceof Character && struck.has(npc.id))
+        .reduce((best, npc) => (!best || npc.influence.getValue('political') > best.influence.getValue('political') ? npc : best), null)
+      : null;
+    // How AlignmentService and the personality read the event
+    const impact = {
+      ...effects.alignment,
+      name: event.name,
+      description: event.description || event.name,
+      intensity: magnitude,
+      severity: magnitude,
+      scale: PERSONALITY_SCALES[level],
+      alignmentImpact
+    };
+    const characterEffects = effects.characters.map(effect => ({
+      ...effect,
+      value: typeof effect.value === 'number' ? round(effect.value * magnitude) : effect.value
+    }));
+    if (crowned) {
+      characterEffects.push({ type: 'prestige', target: 'honor', value: round(10 * magnitude), crowned: true });
+    }
+
+    worldState.npcs = worldState.npcs.map(npc => {
+      if (!(npc instanceof Character) || !struck.has(npc.id)) return npc;
+      const importance = npc === crowned ? 'pivotal' : (npc.currentNodeId === event.location ? 'moderate' : 'minor');
+      const changed = npc.withHistoricalEvent(impact, { importance }, { characterId: npc.id, turn, eventId: event.id }, {
+        alignmentService: this.alignmentService
+      });
+      return changed.withEncounterEffects(characterEffects.filter(effect => !effect.crowned || npc === crowned), {
+        reason: `Historical event: ${event.name}`,
+        timestamp: dateOfTurn(turn, this.daysPerTurn)
+      });
+    });
+
+    if (crowned) {
+      this.crown(worldState, crowned, nodeIds, turn);
+    }
+    return crowned ? crowned.id : null;
+  }
+
+  // The crowned character takes the lead of every settlement in scope
+  crown(worldState, character, nodeIds, turn) {
+    (worldState.settlements || []).filter(settlement => settlement?.government && nodeIds.includes(settlement.nodeId)).forEach(settlement => {
+      const previousId = settlement.government.leader || null;
+      if (previousId === character.id) return;
+      settlement.government.leader = character.id;
+      this.publish(SimulationEventTypes.TITLE_SUCCEEDED, {
+        turn,
+        settlementId: settlement.id,
+        title: 'leader',
+        fromCharacterId: previousId,
+        toCharacterId: character.id,
+        settlementName: settlement.name,
+        fromCharacterName: worldState.npcs.find(npc => npc?.id === previousId)?.name || null,
+        toCharacterName: character.name
+      });
+    });
+  }
+
+  // Rolls each ripple effect and schedules those that come to pass
+  scheduleRipples(worldState, simulation, event, { epicentre, nodeIds, magnitude, significance, turn }) {
+    const decayRate = simulation.significance?.decayRate || 0;
+    let scheduled = 0;
+    (simulation.impact?.rippleEffects || []).forEach((ripple, index) => {
+      if (!ripple?.type || this.rng.next() >= (ripple.probability ?? 1)) return;
+      const delay = Math.max(1, ripple.delay ?? 1);
+      worldState.pendingEffects = worldState.pendingEffects || [];
+      worldState.pendingEffects.push({
+        id: `${event.id}_ripple_${index}`,
+        type: ripple.type,
+        dueAt: turn + delay,
+        nodeId: epicentre,
+        nodeIds,
+        magnitude: round(magnitude * (ripple.magnitude ?? 0.5)),
+        significance: round(significance * Math.pow(1 - decayRate, delay)),
+        sourceEventId: event.id,
+        sourceName: event.name
+      });
+      scheduled++;
+    });
+    return scheduled;
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.publish(type, payload);
+    }
+  }
+}
+
+export default HistoricalEventService;
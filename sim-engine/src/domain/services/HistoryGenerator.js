@@ -2,8 +2,130 @@
 
 import Character from '../entities/Character.js';
 import Interaction from '../entities/Interaction.js';
+import Attributes from '../value-objects/Attributes.js';
+import { randomSelect } from '../../shared/utils/SelectionUtils.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+// How each lifecycle event becomes a history entry
+// How a relationship type reads in a sentence
+const RELATIONSHIP_NOUNS = { friendship: 'friend', rivalry: 'rival', loyalty: 'trusted ally', romance: 'beloved', family: 'relative' };
+
+// How a stance between factions reads in a sentence
+const FACTION_STANCE_PHRASES = { allied: 'allies', friendly: 'on friendly terms', neutral: 'at peace', rival: 'rivals', hostile: 'feuding' };
+
+const LIFE_EVENTS = {
+  [SimulationEventTypes.CHARACTER_BORN]: {
+    type: 'birth',
+    significance: 0.8,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, parentIds: payload.parentIds }),
+    describe: payload => `${payload.characterName || payload.characterId} was born.`,
+  },
+  [SimulationEventTypes.CHARACTER_DIED]: {
+    type: 'death',
+    significance: 1,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, cause: payload.cause }),
+    describe: payload => `${payload.characterName || payload.characterId} died of ${payload.cause} at the age of ${payload.age}.`,
+  },
+  [SimulationEventTypes.TITLE_SUCCEEDED]: {
+    type: 'succession',
+    significance: 1,
+    subject: payload => ({
+      characterId: payload.toCharacterId || payload.fromCharacterId,
+      characterName: payload.toCharacterName || payload.fromCharacterName,
+      title: payload.title,
+      previousHolderId: payload.fromCharacterId,
+    }),
+    describe: payload => (payload.toCharacterId
+      ? `${payload.toCharacterName || payload.toCharacterId} ${payload.fromCharacterId ? `succeeded ${payload.fromCharacterName || payload.fromCharacterId} as` : 'became'} ${payload.title} of ${payload.settlementName || payload.settlementId}.`
+      : `The title of ${payload.title} of ${payload.settlementName || payload.settlementId} fell vacant.`),
+  },
+  [SimulationEventTypes.QUEST_ACCEPTED]: {
+    type: 'quest_accepted',
+    significance: 0.4,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, questId: payload.questId }),
+    describe: payload => `${payload.characterName || payload.characterId} took up the quest ${payload.questName || payload.questId}.`,
+  },
+  [SimulationEventTypes.QUEST_COMPLETED]: {
+    type: 'quest_completed',
+    significance: 0.8,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, questId: payload.questId }),
+    describe: payload => `${payload.characterName || payload.characterId} completed the quest ${payload.questName || payload.questId}.`,
+  },
+  [SimulationEventTypes.QUEST_FAILED]: {
+    type: 'quest_failed',
+    significance: 0.5,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, questId: payload.questId }),
+    describe: payload => `${payload.characterName || payload.characterId} failed the quest ${payload.questName || payload.questId} (${payload.reason}).`,
+  },
+  [SimulationEventTypes.RELATIONSHIP_FORMED]: {
+    type: 'relationship_formed',
+    significance: 0.4,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, otherId: payload.otherId, relationshipType: payload.type }),
+    describe: payload => `${payload.characterName || payload.characterId} now counts ${payload.otherName || payload.otherId} as a ${RELATIONSHIP_NOUNS[payload.type] || payload.type}.`,
+  },
+  [SimulationEventTypes.RELATIONSHIP_BROKEN]: {
+    type: 'relationship_broken',
+    significance: 0.3,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, otherId: payload.otherId, relationshipType: payload.type }),
+    describe: payload => `${payload.characterName || payload.characterId} no longer counts ${payload.otherName || payload.otherId} as a ${RELATIONSHIP_NOUNS[payload.type] || payload.type}.`,
+  },
+  [SimulationEventTypes.FACTION_JOINED]: {
+    type: 'faction_joined',
+    significance: 0.4,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, factionId: payload.factionId }),
+    describe: payload => `${payload.characterName || payload.characterId} joined ${payload.factionName || payload.factionId}.`,
+  },
+  [SimulationEventTypes.FACTION_LEFT]: {
+    type: 'faction_left',
+    significance: 0.3,
+    subject: payload => ({ characterId: payload.characterId, characterName: payload.characterName, factionId: payload.factionId }),
+    describe: payload => `${payload.characterName || payload.characterId} left ${payload.factionName || payload.factionId}.`,
+  },
+  [SimulationEventTypes.FACTION_LEADER_CHANGED]: {
+    type: 'faction_leader_changed',
+    significance: 0.7,
+    subject: payload => ({ characterId: payload.toCharacterId, characterName: payload.toCharacterName, factionId: payload.factionId, previousLeaderId: payload.fromCharacterId }),
+    describe: payload => `${payload.toCharacterName || payload.toCharacterId} took the lead of ${payload.factionName || payload.factionId}.`,
+  },
+  [SimulationEventTypes.FACTION_GOAL_COMPLETED]: {
+    type: 'faction_goal_completed',
+    significance: 0.6,
+    subject: payload => ({ factionId: payload.factionId, goalId: payload.goalId }),
+    describe: payload => `${payload.factionName || payload.factionId} achieved its ${payload.goalType} goal ${payload.goalId}.`,
+  },
+  [SimulationEventTypes.FACTION_STANCE_CHANGED]: {
+    type: 'faction_stance_changed',
+    significance: 0.6,
+    subject: payload => ({ factionId: payload.factionId, otherFactionId: payload.otherId, stance: payload.to }),
+    describe: payload => `${payload.factionName || payload.factionId} and ${payload.otherName || payload.otherId} are now ${FACTION_STANCE_PHRASES[payload.to] || payload.to}.`,
+  },
+  [SimulationEventTypes.FACTION_DISSOLVED]: {
+    type: 'faction_dissolved',
+    significance: 0.8,
+    subject: payload => ({ factionId: payload.factionId, memberIds: payload.memberIds }),
+    describe: payload => `${payload.factionName || payload.factionId} dissolved.`,
+  },
+  [SimulationEventTypes.WORLD_EVENT_OCCURRED]: {
+    type: 'world_event',
+    significance: payload => payload.significance ?? 0.7,
+    subject: payload => ({ eventId: payload.eventId, templateId: payload.templateId, name: payload.name, kind: payload.kind, characterIds: payload.characterIds, sourceEventId: payload.sourceEventId }),
+    describe: payload => `${payload.name || payload.kind} struck ${payload.nodeName || payload.nodeId}` +
+      `${payload.nodeIds.length > 1 ? ` and ${payload.nodeIds.length - 1} places around` : ''}.`,
+  },
+};
 
 class HistoryGenerator {
+  // Inject a seeded rng so generated descriptions replay identically, and the
+  // historyRepository (IHistoryRepository) to persist to; the application layer picks it
+  constructor(options = {}) {
+    if (!options.historyRepository) {
+      throw new Error('HistoryGenerator requires a historyRepository');
+    }
+    this.rng = options.rng || defaultRandom;
+    this.historyRepository = options.historyRepository;
+  }
+
   // Log a historical event from an interaction outcome
   logEvent(config = {}) {
     const { timestamp = Date.now(), character, interaction, outcome, roll, dc } = config;
@@ -16,7 +138,7 @@ class HistoryGenerator {
     if (significance < 0.1) return;  // Skip trivial events
 
     const event = {
-      id: crypto.randomUUID(),
+      id: this.generateEventId(timestamp),
       timestamp,
       characterId: character.id,
       characterName: character.name,
@@ -31,11 +153,37 @@ class HistoryGenerator {
       description: this.generateDescription(character, interaction, outcome),
     };
 
-    // Simulate persistence (reused from old localStorage approach)
     this.saveEvent(event);
     return event;
   }
 
+  // Log a birth, death or succession published on the simulation event bus
+  logLifeEvent({ type, payload }) {
+    const life = LIFE_EVENTS[type];
+    if (!life) {
+      throw new Error(`Not a life event: ${type}`);
+    }
+
+    const event = {
+      id: this.generateEventId(payload.turn),
+      timestamp: payload.turn,
+      ...life.subject(payload),
+      type: life.type,
+      location: payload.nodeId || payload.settlementId || 'Unknown',
+      significance: typeof life.significance === 'function' ? life.significance(payload) : life.significance,
+      description: life.describe(payload),
+    };
+
+    this.saveEvent(event);
+    return event;
+  }
+
+  // Event IDs draw from the injected rng so seeded runs produce identical logs
+  generateEventId(timestamp) {
+    const suffix = Math.floor(this.rng.next() * 0x100000000).toString(36).padStart(7, '0');
+    return `event_${timestamp}_${suffix}`;
+  }
+
   // Calculate event significance (inspired by quantum coherence impact)
   calculateSignificance(character, outcome) {
     const coherence = character.consciousness.coherence || 0;
@@ -47,9 +195,9 @@ class HistoryGenerator {
   // Generate a narrative description (simple for MVP)
   generateDescription(character, interaction, outcome) {
     const success = outcome === 'positive';
-    const attrMod = character.attributes.getTotalModifier('charisma');  // Proxy for narrative flavor
+    const attrMod = Attributes.getModifier(character.attributes, 'charisma');  // Proxy for narrative flavor
     const descriptors = ['bravely', 'cautiously', 'cleverly', 'boldly'];
-    const descriptor = descriptors[Math.floor(Math.random() * descriptors.length)];
+    const descriptor = randomSelect(descriptors, this.rng);
 
     if (interaction.type === 'dialogue') {
       return `${character.name} ${descriptor} engaged in a ${success ? 'successful' : 'failed'} conversation about ${interaction.name} with a charisma of ${attrMod}.`;
@@ -59,22 +207,50 @@ class HistoryGenerator {
     return `${character.name} experienced a ${success ? 'notable' : 'minor'} ${interaction.name} event.`;
   }
 
-  // Simulate saving to localStorage (reused from old project)
+  // Persist through the history repository
   saveEvent(event) {
-    const events = JSON.parse(localStorage.getItem('historicalEvents') || '[]');
-    events.push(event);
-    localStorage.setItem('historicalEvents', JSON.stringify(events));
+    this.historyRepository.saveEvent(event);
   }
 
-  // Retrieve events (for analysis or UI)
-  getEvents() {
-    return JSON.parse(localStorage.getItem('historicalEvents') || '[]');
+  // Retrieve events (for analysis or UI); criteria as in IHistoryRepository.findEvents
+  getEvents(criteria = {}) {
+    return this.historyRepository.findEvents(criteria);
   }
 
   // Clear events (for testing)
   clearEvents() {
-    localStorage.removeItem('historicalEvents');
+    this.historyRepository.clearEvents();
   }
 }
 
+/**
+ * Logs every resolved interaction, birth, death and succession published on an event
+ * bus and announces the logged history event (HISTORY_EVENT_LOGGED). Options may be a
+ * function so the owner can swap its rng or repository between turns (re-initialization, rewinds).
+ * @param {SimulationEventBus} eventBus
+ * @param {Object|Function} [options] - HistoryGenerator options, or a function returning them
+ * @returns {Function} Unsubscribes
+ */
+export const subscribeHistoryLogger = (eventBus, options = {}) => {
+  const generator = () => new HistoryGenerator(typeof options === 'function' ? options() : options);
+  const announce = (event) => {
+    if (event) {
+      eventBus.publish(SimulationEventTypes.HISTORY_EVENT_LOGGED, { event });
+    }
+  };
+
+  const unsubscribers = [
+    eventBus.subscribe(SimulationEventTypes.INTERACTION_RESOLVED, ({ payload }) => announce(generator().logEvent({
+      timestamp: payload.turn,
+      character: payload.character,
+      interaction: payload.interaction,
+      outcome: payload.outcome,
+      roll: payload.roll,
+      dc: payload.dc,
+    }))),
+    eventBus.subscribe(Object.keys(LIFE_EVENTS), event => announce(generator().logLifeEvent(event)))
+  ];
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
 export default HistoryGenerator;
\ No newline at end of file
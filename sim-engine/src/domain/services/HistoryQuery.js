@@ -0,0 +1,335 @@
+// src/domain/services/HistoryQuery.js
+
+/**
+ * HistoryQuery - A small query language over history events
+ *
+ *   type:quest_completed AND character:"Aria" AND turn:100..200 ORDER BY significance DESC LIMIT 20
+ *
+ * - Terms are `field:value`; quote values holding spaces. Text without a field searches descriptions.
+ * - Numeric fields (turn, significance) take ranges: `turn:100..200`, `significance:0.5..`, `turn:..40`.
+ * - NOT binds tighter than AND, AND tighter than OR; terms side by side are ANDed; parentheses group.
+ * - ORDER BY takes fields separated by commas, each ASC (the default) or DESC. Without it
+ *   events stay in the order they happened.
+ * - Values and keywords are case-insensitive.
+ */
+
+export class HistoryQueryError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'HistoryQueryError';
+    this.position = position;
+  }
+}
+
+const lower = value => (value === undefined || value === null ? null : String(value).toLowerCase());
+
+// What each field reads off an event; a term on a list field matches any of its values
+export const QUERY_FIELDS = {
+  type: { values: event => [event.type] },
+  character: { values: event => [event.characterId, event.characterName, ...(event.characterIds || [])] },
+  node: { values: event => [event.location] },
+  outcome: { values: event => [event.outcome] },
+  faction: { values: event => [event.factionId, event.otherFactionId] },
+  turn: { numeric: true, value: event => event.timestamp },
+  significance: { numeric: true, value: event => event.significance }
+};
+
+const FIELD_ALIASES = { location: 'node', time: 'turn', timestamp: 'turn' };
+
+// How ORDER BY compares events on a field
+const SORT_KEYS = {
+  turn: event => event.timestamp ?? 0,
+  significance: event => event.significance ?? 0,
+  type: event => lower(event.type) || '',
+  character: event => lower(event.characterName || event.characterId) || '',
+  node: event => lower(event.location) || '',
+  outcome: event => lower(event.outcome) || ''
+};
+
+// What aggregateEvents groups by; events without a value are left out of the counts
+export const AGGREGATIONS = {
+  turn: event => event.timestamp,
+  node: event => event.location || 'Unknown',
+  outcome: event => event.outcome,
+  type: event => event.type,
+  character: event => event.characterId,
+  significance: event => event.significance
+};
+
+// Aggregations listed by key rather than by count
+const ORDERED_AGGREGATIONS = new Set(['turn', 'significance']);
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'order', 'by', 'asc', 'desc', 'limit']);
+
+const TOKEN = /\s+|(\()|(\))|(,)|(:)|"((?:[^"\\]|\\.)*)"|([^\s():,"]+)|(")/gy;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let match;
+  while (TOKEN.lastIndex < text.length && (match = TOKEN.exec(text))) {
+    const position = match.index;
+    const [, open, close, comma, colon, quoted, word, stray] = match;
+    if (stray) throw new HistoryQueryError(`Unterminated quote at ${position}`, position);
+    if (open || close || comma || colon) tokens.push({ kind: open || close || comma || colon, position });
+    else if (quoted !== undefined) tokens.push({ kind: 'text', value: quoted.replace(/\\(.)/g, '$1'), quoted: true, position });
+    else if (word) tokens.push({ kind: 'text', value: word, position });
+  }
+  return tokens;
+};
+
+const parseNumber = (text, field, position) => {
+  const number = Number(text);
+  if (text === '' || Number.isNaN(number)) {
+    throw new HistoryQueryError(`${field} takes a number or a range like 1..5, not '${text}'`, position);
+  }
+  return number;
+};
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  // The keyword at the cursor, if the next token is one (and not a field named like one)
+  keyword(offset = 0) {
+    const token = this.peek(offset);
+    const next = this.peek(offset + 1);
+    if (!token || token.kind !== 'text' || token.quoted || next?.kind === ':') return null;
+    const word = token.value.toLowerCase();
+    return KEYWORDS.has(word) ? word : null;
+  }
+
+  expect(kind, what) {
+    const token = this.peek();
+    if (!token || token.kind !== kind) {
+      const position = token ? token.position : this.text.length;
+      throw new HistoryQueryError(`Expected ${what} at ${position}`, position);
+    }
+    this.index += 1;
+    return token;
+  }
+
+  parse() {
+    const where = this.peek() && this.keyword() !== 'order' && this.keyword() !== 'limit' ? this.or() : null;
+    const orderBy = [];
+    let limit = null;
+
+    if (this.keyword() === 'order') {
+      this.index += 1;
+      if (this.keyword() !== 'by') {
+        const position = this.peek()?.position ?? this.text.length;
+        throw new HistoryQueryError(`Expected BY after ORDER at ${position}`, position);
+      }
+      this.index += 1;
+      for (;;) {
+        const token = this.expect('text', 'a field to order by');
+        const field = FIELD_ALIASES[token.value.toLowerCase()] || token.value.toLowerCase();
+        if (!SORT_KEYS[field]) {
+          throw new HistoryQueryError(`Cannot order by '${token.value}'; use ${Object.keys(SORT_KEYS).join(', ')}`, token.position);
+        }
+        const direction = this.keyword();
+        if (direction === 'asc' || direction === 'desc') this.index += 1;
+        orderBy.push({ field, descending: direction === 'desc' });
+        if (this.peek()?.kind !== ',') break;
+        this.index += 1;
+      }
+    }
+
+    if (this.keyword() === 'limit') {
+      this.index += 1;
+      const token = this.expect('text', 'a number after LIMIT');
+      limit = Number(token.value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new HistoryQueryError(`LIMIT takes a whole number, not '${token.value}'`, token.position);
+      }
+    }
+
+    const rest = this.peek();
+    if (rest) throw new HistoryQueryError(`Unexpected '${this.text.slice(rest.position).split(/\s/)[0]}' at ${rest.position}`, rest.position);
+    return { where, orderBy, limit };
+  }
+
+  or() {
+    const terms = [this.and()];
+    while (this.keyword() === 'or') {
+      this.index += 1;
+      terms.push(this.and());
+    }
+    return terms.length === 1 ? terms[0] : { op: 'or', terms };
+  }
+
+  and() {
+    const terms = [this.not()];
+    for (;;) {
+      const keyword = this.keyword();
+      if (keyword === 'and') {
+        this.index += 1;
+      } else if (!this.peek() || this.peek().kind === ')' || (keyword && keyword !== 'not')) {
+        break;
+      }
+      terms.push(this.not());
+    }
+    return terms.length === 1 ? terms[0] : { op: 'and', terms };
+  }
+
+  not() {
+    if (this.keyword() === 'not') {
+      this.index += 1;
+      return { op: 'not', term: this.not() };
+    }
+    if (this.peek()?.kind === '(') {
+      this.index += 1;
+      const group = this.or();
+      this.expect(')', 'a closing parenthesis');
+      return group;
+    }
+    return this.term();
+  }
+
+  term() {
+    const token = this.expect('text', 'a term such as type:birth');
+    if (this.peek()?.kind !== ':') {
+      return { op: 'text', value: token.value.toLowerCase() };
+    }
+    this.index += 1;
+
+    const name = token.value.toLowerCase();
+    const field = FIELD_ALIASES[name] || name;
+    if (!QUERY_FIELDS[field]) {
+      throw new HistoryQueryError(`Unknown field '${token.value}'; use ${Object.keys(QUERY_FIELDS).join(', ')}`, token.position);
+    }
+    const value = this.expect('text', `a value for ${field}`);
+
+    if (!QUERY_FIELDS[field].numeric) {
+      return { op: 'match', field, value: value.value.toLowerCase() };
+    }
+    const range = !value.quoted && value.value.split('..');
+    if (range && range.length === 2) {
+      return {
+        op: 'range',
+        field,
+        start: range[0] === '' ? -Infinity : parseNumber(range[0], field, value.position),
+        end: range[1] === '' ? Infinity : parseNumber(range[1], field, value.position)
+      };
+    }
+    const number = parseNumber(value.value, field, value.position);
+    return { op: 'range', field, start: number, end: number };
+  }
+}
+
+/**
+ * Parses a query into { where, orderBy: [{ field, descending }], limit }
+ * @param {string} text - Query text; empty matches every event
+ * @returns {Object} Parsed query
+ * @throws {HistoryQueryError} On malformed queries, with the offending position
+ */
+export const parseHistoryQuery = (text = '') => new Parser(String(text)).parse();
+
+/**
+ * @param {string|Object} query - Query text or a parsed query
+ * @returns {Object} Parsed query
+ */
+export const toHistoryQuery = (query) => (typeof query === 'string' || query === undefined || query === null
+  ? parseHistoryQuery(query || '')
+  : { where: null, orderBy: [], limit: null, ...query });
+
+/**
+ * Whether an event satisfies a parsed query's where clause
+ * @param {Object} event - History event
+ * @param {Object|null} where - Parsed condition
+ * @returns {boolean}
+ */
+export const matchesQuery = (event, where) => {
+  if (!where) return true;
+  switch (where.op) {
+    case 'and': return where.terms.every(term => matchesQuery(event, term));
+    case 'or': return where.terms.some(term => matchesQuery(event, term));
+    case 'not': return !matchesQuery(event, where.term);
+    case 'text': return (lower(event.description) || '').includes(where.value);
+    case 'range': {
+      const value = QUERY_FIELDS[where.field].value(event);
+      return typeof value === 'number' && value >= where.start && value <= where.end;
+    }
+    default: return QUERY_FIELDS[where.field].values(event).some(value => lower(value) === where.value);
+  }
+};
+
+/**
+ * The field terms every match must satisfy (those ANDed at the top), which an index can look up
+ * @param {Object|null} where - Parsed condition
+ * @returns {Array<Object>} match and range terms
+ */
+export const requiredTerms = (where) => {
+  if (!where) return [];
+  if (where.op === 'match' || where.op === 'range') return [where];
+  return where.op === 'and' ? where.terms.flatMap(requiredTerms) : [];
+};
+
+/**
+ * Sorts events by ORDER BY fields; ties keep the order they came in
+ * @param {Array<Object>} events - History events
+ * @param {Array<Object>} orderBy - [{ field, descending }]
+ * @returns {Array<Object>} A sorted copy
+ */
+export const sortEvents = (events, orderBy = []) => {
+  if (!orderBy.length) return [...events];
+  return events
+    .map((event, position) => ({ event, position }))
+    .sort((a, b) => {
+      for (const { field, descending } of orderBy) {
+        const x = SORT_KEYS[field](a.event);
+        const y = SORT_KEYS[field](b.event);
+        if (x !== y) return (x < y ? -1 : 1) * (descending ? -1 : 1);
+      }
+      return a.position - b.position;
+    })
+    .map(({ event }) => event);
+};
+
+/**
+ * Counts events per value of a field: turns and significances in order, other fields most frequent first
+ * @param {Array<Object>} events - History events
+ * @param {string} by - A key of AGGREGATIONS
+ * @returns {Array<{key: string|number, count: number}>}
+ */
+export const aggregateEvents = (events, by) => {
+  const keyOf = AGGREGATIONS[by];
+  if (!keyOf) throw new HistoryQueryError(`Cannot count by '${by}'; use ${Object.keys(AGGREGATIONS).join(', ')}`);
+
+  const counts = new Map();
+  events.forEach(event => {
+    const key = keyOf(event);
+    if (key === undefined || key === null) return;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const rows = [...counts].map(([key, count]) => ({ key, count }));
+  return ORDERED_AGGREGATIONS.has(by)
+    ? rows.sort((a, b) => a.key - b.key)
+    : rows.sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+};
+
+/**
+ * Runs a query over a list of events
+ * @param {Array<Object>} events - History events, in the order they happened
+ * @param {string|Object} query - Query text or a parsed query
+ * @param {Object} [options]
+ * @param {Array<string>} [options.aggregate] - Fields to count the matches by (before LIMIT)
+ * @returns {{events: Array<Object>, total: number, aggregations: Object}}
+ */
+export const runHistoryQuery = (events, query, options = {}) => {
+  const { where, orderBy, limit } = toHistoryQuery(query);
+  const matched = events.filter(event => matchesQuery(event, where));
+  const sorted = sortEvents(matched, orderBy);
+  return {
+    events: limit === null || limit === undefined ? sorted : sorted.slice(0, limit),
+    total: matched.length,
+    aggregations: Object.fromEntries((options.aggregate || []).map(by => [by, aggregateEvents(matched, by)]))
+  };
+};
@@ -1,12 +1,23 @@
 // src/domain/services/InfluenceService.js
 
 import { Influence } from '../value-objects/Influence.js';
+import { publishValueChanges, SimulationEventTypes } from '../events/SimulationEvents.js';
 
 /**
  * Domain service for handling influence evolution and settlement-based changes
  * Provides business logic for how influence changes over time and in response to settlement events
  */
 class InfluenceService {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the Date recorded in value-object histories
+   * @param {SimulationEventBus} [options.eventBus] - Receives INFLUENCE_CHANGED for every domain that changes
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || null;
+    this.clock = options.clock || (() => new Date());
+  }
+
   /**
    * Update influence based on settlement-based changes
    * @param {Influence} influence - Current influence state
@@ -48,11 +59,12 @@ class InfluenceService {
         change.domainId,
         change.amount,
         change.reason,
-        settlementContext
+        settlementContext,
+        this.clock()
       );
     }
     
-    return updatedInfluence;
+    return this._announceChanges(influence, updatedInfluence, character?.id);
   }
   
   /**
@@ -84,11 +96,13 @@ class InfluenceService {
       decayedInfluence = decayedInfluence.withChange(
         decay.domainId,
         decay.amount,
-        decay.reason
+        decay.reason,
+        null,
+        this.clock()
       );
     }
     
-    return decayedInfluence;
+    return this._announceChanges(influence, decayedInfluence, character?.id);
   }
   
   /**
@@ -164,11 +178,12 @@ class InfluenceService {
         change.domainId,
         change.amount,
         change.reason,
-        actionContext
+        actionContext,
+        this.clock()
       );
     }
     
-    return actionInfluence;
+    return this._announceChanges(influence, actionInfluence, character?.id);
   }
   
   /**
@@ -576,6 +591,20 @@ class InfluenceService {
     return Math.min(Math.max(value, min), max);
   }
   
+  /**
+   * Publish the domains whose influence differs between two states
+   * @returns {Influence} The updated influence, unchanged
+   */
+  _announceChanges(before, after, characterId = null) {
+    publishValueChanges(this.eventBus, SimulationEventTypes.INFLUENCE_CHANGED, before, after, {
+      idField: 'domainId',
+      getIds: influence => influence.getDomainIds(),
+      getLevel: (influence, domainId) => influence.getTier(domainId),
+      characterId: characterId ?? null
+    });
+    return after;
+  }
+
   /**
    * Validation methods
    */
@@ -2,52 +2,86 @@
 
 import Interaction from '../entities/Interaction.js';
 import Character from '../entities/Character.js';
+import Attributes from '../value-objects/Attributes.js';
+import { weightedSelect } from '../../shared/utils/SelectionUtils.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+import { defaultEffectRegistry } from './EffectRegistry.js';
 
 class InteractionResolver {
+  // Inject a seeded rng (see shared/utils/RandomUtils) to make rolls reproducible
+  // and an eventBus to announce every resolution (history logging subscribes to it);
+  // effectRegistry applies the effects of successful interactions
+  constructor(options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.eventBus = options.eventBus || null;
+    this.effectRegistry = options.effectRegistry || defaultEffectRegistry;
+  }
+
   // Resolve an interaction for a character, returning outcome and applying effects
-  resolve(character, interaction, branchId) {
+  // currentTick is the simulation turn; it falls back to wall-clock time for legacy callers.
+  // context ({ node, worldState, turn, daysPerTurn }) is where the effects land; the
+  // resolution's `character` is the character after them
+  resolve(character, interaction, branchId, currentTick = Date.now(), context = {}) {
     if (!(interaction instanceof Interaction) || !(character instanceof Character)) {
       throw new Error('Invalid interaction or character');
     }
 
     // Check availability (cooldown from Interaction.js)
-    if (!interaction.isAvailable(Date.now())) {
-      return { success: false, outcome: 'cooldown', message: 'Interaction on cooldown' };
+    if (!interaction.isAvailable(currentTick)) {
+      return this.announce(character, interaction, currentTick, { success: false, outcome: 'cooldown', message: 'Interaction on cooldown' });
     }
 
     // Select branch (defaults to requested branchId if valid)
-    const branch = interaction.branches.find(b => b.id === branchId) || interaction.selectBranch(character);
+    const branch = interaction.branches.find(b => b.id === branchId) || interaction.selectBranch(character, this.rng);
     if (!branch) {
-      return { success: false, outcome: 'no_valid_branch', message: 'No valid branch available' };
+      return this.announce(character, interaction, currentTick, { success: false, outcome: 'no_valid_branch', message: 'No valid branch available' });
     }
 
     // Check prerequisites (e.g., D&D attribute requirements)
     if (!interaction.meetsRequirements(character)) {
-      return { success: false, outcome: 'prerequisite_failed', message: 'Requirements not met' };
+      return this.announce(character, interaction, currentTick, { success: false, outcome: 'prerequisite_failed', message: 'Requirements not met' });
     }
 
     // Roll for success (D&D-style d20 + modifier vs DC)
     const reqAttr = branch.requirements?.attr || 'charisma';  // Default to CHA if not specified
-    const attrMod = character.attributes.getTotalModifier(reqAttr);
-    const roll = Math.floor(Math.random() * 20) + 1 + attrMod;
+    const attrMod = Attributes.getModifier(character.attributes, reqAttr);
+    const roll = this.rng.nextInt(1, 20) + attrMod;
     const dc = branch.requirements?.dc || 10;  // Default difficulty
     const success = roll >= dc;
 
     // Apply effects if successful
+    const affected = success
+      ? interaction.applyEffects(character, { ...context, branch }, this.effectRegistry)
+      : character;
     if (success) {
-      interaction.applyEffects(character);
-      interaction.markUsed(Date.now());  // Update last used timestamp
+      interaction.markUsed(currentTick);  // Update last used timestamp
     }
 
-    // Log for history (to be handled by HistoryGenerator)
-    return {
+    return this.announce(character, interaction, currentTick, {
+      character: affected,
       success,
       outcome: success ? 'positive' : 'negative',
       roll,
       dc,
       branchId: branch.id,
       message: success ? branch.text || 'Success!' : 'Failed!',
-    };
+    });
+  }
+
+  // Publish the resolution (history is logged by a subscriber) and hand it back
+  announce(character, interaction, turn, resolution) {
+    if (this.eventBus) {
+      this.eventBus.publish(SimulationEventTypes.INTERACTION_RESOLVED, {
+        turn,
+        ...resolution,
+        character,
+        interaction,
+        characterId: character.id,
+        interactionId: interaction.id
+      });
+    }
+    return resolution;
   }
 
   // Helper to select a branch based on character state (delegates to Interaction but adds logic)
@@ -56,7 +90,7 @@ class InteractionResolver {
       throw new Error('Invalid interaction');
     }
 
-    const branch = interaction.selectBranch(character);
+    const branch = interaction.selectBranch(character, this.rng);
     if (!branch) {
       throw new Error('No branch selected');
     }
@@ -65,28 +99,17 @@ class InteractionResolver {
     const validBranches = interaction.branches.filter(b => !b.condition || b.condition(character));
     if (validBranches.length > 1) {
       // Re-weight with consciousness and resonance (from papers' R(E1,E2,t))
-      const energyProxy = character.attributes.getEnergyProxy();
+      const energyProxy = Attributes.getEnergyProxy(character.attributes);
       const gammaFreq = character.consciousness.frequency || 40;  // 40 Hz gamma
       return weightedSelect(validBranches, b => {
         const energyDiff = energyProxy - (b.requiredEnergy || energyProxy);
         const resonance = Math.exp(-Math.pow(energyDiff - gammaFreq, 2) / (2 * gammaFreq));
         const coherenceBonus = character.consciousness.coherence * 1.5;  // Higher coherence favors optimal
-        return resonance + coherenceBonus + (character.personality.aggression * (b.type === 'combat' ? 2 : 1));
-      });
+        return resonance + coherenceBonus + ((character.personality.aggression || 0) * (b.type === 'combat' ? 2 : 1));
+      }, this.rng);
     }
     return branch;
   }
 }
 
-// Helper function (move to shared/utils/weightedSelect.js if not existing)
-function weightedSelect(options, weightFn) {
-  const totalWeight = options.reduce((sum, opt) => sum + weightFn(opt), 0);
-  let rand = Math.random() * totalWeight;
-  for (const opt of options) {
-    rand -= weightFn(opt);
-    if (rand <= 0) return opt;
-  }
-  return options[options.length - 1];  // Fallback
-}
-
 export default InteractionResolver;
\ No newline at end of file
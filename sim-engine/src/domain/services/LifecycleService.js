@@ -0,0 +1,362 @@
+// src/domain/services/LifecycleService.js
+
+import Character from '../entities/Character.js';
+import PersonalityProfile from '../value-objects/PersonalityProfile.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { randomSelect } from '../../shared/utils/SelectionUtils.js';
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+// Share of the racial average lifespan: fertile between the first two, frail from the last
+const FERTILE_FROM = 0.2;
+const FERTILE_UNTIL = 0.6;
+const ELDER_FROM = 0.7;
+
+const NAME_SYLLABLES = ['al', 'bor', 'cal', 'da', 'el', 'fin', 'gar', 'hal', 'is', 'jor', 'ka', 'lin', 'mer', 'na', 'or', 'ric', 'sa', 'tor', 'ul', 'wen'];
+
+/**
+ * Birth, ageing, death and succession
+ *
+ * Characters age a year every `turnsPerYear` turns, counted from the turn they were
+ * born (or from turn 0 for the founding generation); each birthday applies
+ * Character.withAge, so racial and personality age modifiers follow. On a birthday
+ * the character may die of old age - unlikely before 70% of the racial average
+ * lifespan, certain at the racial maximum - and poor health adds to the risk. A
+ * character whose health reaches 0 dies that turn.
+ *
+ * Two fertile characters of the same node, not parent and child or siblings, whose
+ * relationship reaches `bondThreshold` may have a child: it takes one parent's race,
+ * a blend of both personalities and the average of their base attributes.
+ *
+ * When a character dies, every title they hold in
+ * `worldState.settlements` (`government.leader` and `government.structure[].positions[].holder`)
+ * passes to their eldest living child, else their closest bonded partner, else falls vacant.
+ */
+class LifecycleService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Seeded rng for deaths, births, inherited traits and names
+   * @param {SimulationEventBus} [options.eventBus] - Receives CHARACTER_BORN, CHARACTER_DIED and TITLE_SUCCEEDED
+   * @param {number} [options.turnsPerYear=365] - Turns in a simulated year
+   * @param {number} [options.annualBirthChance=0.3] - Chance a bonded fertile pair has a child in a year
+   * @param {number} [options.bondThreshold=50] - Relationship strength that makes two characters a couple
+   * @param {number} [options.maxPopulation=500] - No births once this many characters are alive
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.eventBus = options.eventBus || null;
+    const turnsPerYear = options.turnsPerYear ?? 365;
+    if (!(turnsPerYear >= 1)) {
+      throw new Error('turnsPerYear must be at least 1');
+    }
+    this.turnsPerYear = Math.round(turnsPerYear);
+    this.annualBirthChance = options.annualBirthChance ?? 0.3;
+    this.bondThreshold = options.bondThreshold ?? 50;
+    this.maxPopulation = options.maxPopulation ?? 500;
+  }
+
+  /**
+   * Runs one turn of the lifecycle over the whole world
+   * Updates worldState in place: `npcs` loses the dead and gains the newborn, the dead
+   * are recorded in `deceased`, node populations and settlement titles follow.
+   * @param {Object} worldState - { npcs, nodes, settlements?, deceased? }
+   * @param {number} [turn=worldState.time] - Turn being played
+   * @returns {{born: Character[], died: Object[], successions: Object[]}} What happened this turn
+   */
+  advance(worldState, turn = worldState.time) {
+    const aged = worldState.npcs.map(character => (this.isBirthday(character, turn) ? this.age(character, turn) : character));
+
+    const died = [];
+    const living = aged.filter(character => {
+      const cause = this.causeOfDeath(character, turn);
+      if (!cause) return true;
+      died.push({ character, cause });
+      return false;
+    });
+
+    const records = died.map(({ character, cause }) => this.recordDeath(worldState, character, cause, turn));
+    const successions = died.flatMap(({ character }) => this.succeed(worldState, character, living, turn));
+    const born = this.births(worldState, living, turn);
+
+    worldState.npcs = [...living, ...born];
+    if (records.length) {
+      worldState.deceased = [...(worldState.deceased || []), ...records];
+    }
+    return { born, died: records, successions };
+  }
+
+  isBirthday(character, turn) {
+    const since = turn - (character.bornAt ?? 0);
+    return since > 0 && since % this.turnsPerYear === 0;
+  }
+
+  age(character, turn) {
+    return character.withAge(character.age + 1, dateOfTurn(turn, 365 / this.turnsPerYear));
+  }
+
+  /**
+   * Yearly chance of dying at an age: small until ELDER_FROM of the average lifespan,
+   * then rising with the cube of the way to the racial maximum
+   * @param {Character} character
+   * @returns {number} Probability from 0 to 1
+   */
+  mortality(character) {
+    const { average, maximum } = character.racialTraits.getLifespan();
+    if (character.age >= maximum) return 1;
+    const elderAge = average * ELDER_FROM;
+    const ageRisk = character.age < elderAge
+      ? 0.001
+      : 0.02 + 0.98 * Math.pow((character.age - elderAge) / (maximum - elderAge), 3);
+    const healthRisk = character.health < 30 ? (30 - character.health) / 100 : 0;
+    return Math.min(1, ageRisk + healthRisk);
+  }
+
+  // Why a character dies this turn, or null
+  causeOfDeath(character, turn) {
+    if (character.health <= 0) return 'poor health';
+    if (!this.isBirthday(character, turn)) return null;
+    if (this.rng.next() >= this.mortality(character)) return null;
+    return character.health < 30 ? 'poor health' : 'old age';
+  }
+
+  recordDeath(worldState, character, cause, turn) {
+    if (!character.isTraveling()) {
+      this.adjustPopulation(worldState, character.currentNodeId, -1);
+    }
+    const record = {
+      id: character.id,
+      name: character.name,
+      raceId: character.racialTraits.raceId,
+      age: character.age,
+      parentIds: [...character.parentIds],
+      bornAt: character.bornAt,
+      diedAt: turn,
+      cause,
+      nodeId: character.currentNodeId
+    };
+    this.publish(SimulationEventTypes.CHARACTER_DIED, {
+      turn,
+      characterId: character.id,
+      characterName: character.name,
+      age: character.age,
+      cause,
+      nodeId: character.currentNodeId
+    });
+    return record;
+  }
+
+  /**
+   * Hands the dead character's titles to their heir
+   * @param {Object} worldState
+   * @param {Character} character - The deceased
+   * @param {Character[]} living - Characters still alive
+   * @param {number} turn
+   * @returns {Array<{settlementId, title, fromCharacterId, toCharacterId}>}
+   */
+  succeed(worldState, character, living, turn) {
+    const settlements = Array.isArray(worldState.settlements) ? worldState.settlements : [];
+    let heir;
+    const successions = [];
+
+    settlements.forEach(settlement => {
+      const government = settlement?.government;
+      if (!government) return;
+      const titles = [];
+      if (government.leader === character.id) {
+        titles.push({ title: 'leader', assign: holder => { government.leader = holder; } });
+      }
+      (government.structure || []).forEach(level => {
+        (level.positions || []).forEach(position => {
+          if (position.holder === character.id) {
+            titles.push({ title: position.title, assign: holder => { position.holder = holder; } });
+          }
+        });
+      });
+
+      titles.forEach(({ title, assign }) => {
+        if (heir === undefined) heir = this.findHeir(character, living);
+        const toCharacterId = heir ? heir.id : null;
+        assign(toCharacterId);
+        const succession = { settlementId: settlement.id, title, fromCharacterId: character.id, toCharacterId };
+        successions.push(succession);
+        this.publish(SimulationEventTypes.TITLE_SUCCEEDED, {
+          turn,
+          ...succession,
+          settlementName: settlement.name,
+          fromCharacterName: character.name,
+          toCharacterName: heir ? heir.name : null
+        });
+      });
+    });
+
+    return successions;
+  }
+
+  /**
+   * Eldest living child, else the closest bonded partner, else nobody
+   * @param {Character} character
+   * @param {Character[]} living
+   * @returns {Character|null}
+   */
+  findHeir(character, living) {
+    const children = living
+      .filter(candidate => candidate.parentIds.includes(character.id))
+      .sort((a, b) => b.age - a.age || a.id.localeCompare(b.id));
+    if (children.length) return children[0];
+    return this.partnerOf(character, living);
+  }
+
+  // The living character this one is most strongly bonded to, at or above bondThreshold
+  partnerOf(character, candidates) {
+    let partner = null;
+    let strongest = this.bondThreshold;
+    candidates.forEach(candidate => {
+      if (candidate.id === character.id) return;
+      const bond = this.bondStrength(character, candidate);
+      if (bond >= strongest) {
+        partner = candidate;
+        strongest = bond;
+      }
+    });
+    return partner;
+  }
+
+  // Relationship values are numbers, or objects with a strength or value
+  bondStrength(character, other) {
+    const relationship = character.relationships?.get?.(other.id);
+    if (typeof relationship === 'number') return relationship;
+    return relationship?.strength ?? relationship?.value ?? 0;
+  }
+
+  // Parent and child, or siblings
+  isKin(character, other) {
+    return character.parentIds.includes(other.id) ||
+      other.parentIds.includes(character.id) ||
+      character.parentIds.some(parentId => other.parentIds.includes(parentId));
+  }
+
+  isFertile(character) {
+    const { average } = character.racialTraits.getLifespan();
+    return character.age >= average * FERTILE_FROM && character.age <= average * FERTILE_UNTIL;
+  }
+
+  /**
+   * Children born this turn to bonded fertile couples standing in the same node
+   * @param {Object} worldState
+   * @param {Character[]} living
+   * @param {number} turn
+   * @returns {Character[]}
+   */
+  births(worldState, living, turn) {
+    const chance = this.annualBirthChance / this.turnsPerYear;
+    const parents = new Set();
+    const born = [];
+
+    living.forEach(character => {
+      if (living.length + born.length >= this.maxPopulation) return;
+      if (parents.has(character.id) || character.isTraveling() || !this.isFertile(character)) return;
+      const partner = this.partnerOf(character, living.filter(candidate =>
+        !parents.has(candidate.id) &&
+        !candidate.isTraveling() &&
+        candidate.currentNodeId === character.currentNodeId &&
+        !this.isKin(character, candidate) &&
+        this.isFertile(candidate)
+      ));
+      if (!partner || this.rng.next() >= chance) return;
+
+      parents.add(character.id);
+      parents.add(partner.id);
+      const child = this.createChild(character, partner, turn);
+      this.adjustPopulation(worldState, child.currentNodeId, 1);
+      this.publish(SimulationEventTypes.CHARACTER_BORN, {
+        turn,
+        characterId: child.id,
+        characterName: child.name,
+        parentIds: child.parentIds,
+        nodeId: child.currentNodeId
+      });
+      born.push(child);
+    });
+
+    return born;
+  }
+
+  /**
+   * A newborn of two parents
+   * @param {Character} first
+   * @param {Character} second
+   * @param {number} turn
+   * @returns {Character}
+   */
+  createChild(first, second, turn) {
+    const raceSource = randomSelect([first, second], this.rng);
+    const surname = first.name.includes(' ') ? first.name.split(' ').slice(-1)[0] : null;
+    const baseAttributes = Object.fromEntries(
+      Object.keys(first.baseAttributes).map(attribute => [
+        attribute,
+        Math.round(((first.baseAttributes[attribute] || 10) + (second.baseAttributes[attribute] ?? first.baseAttributes[attribute] ?? 10)) / 2)
+      ])
+    );
+
+    return new Character({
+      id: `char_${first.id}_${turn}`,
+      name: [this.generateName(), surname].filter(Boolean).join(' '),
+      age: 0,
+      raceId: raceSource.racialTraits.raceId,
+      subraceId: raceSource.racialTraits.subraceId,
+      // Parents' intensities already carry their racial influence, so the blend isn't merged again
+      personality: new PersonalityProfile({ traits: this.blendTraits(first.personality, second.personality) }),
+      baseAttributes,
+      consciousness: {
+        frequency: ((first.consciousness?.frequency || 40) + (second.consciousness?.frequency || 40)) / 2,
+        coherence: ((first.consciousness?.coherence || 0.5) + (second.consciousness?.coherence || 0.5)) / 2
+      },
+      relationships: new Map([[first.id, this.bondThreshold], [second.id, this.bondThreshold]]),
+      currentNodeId: first.currentNodeId,
+      parentIds: [first.id, second.id],
+      bornAt: turn,
+      energy: 100,
+      health: 100,
+      mood: 50,
+      assignedInteractions: [...new Set([...first.assignedInteractions, ...second.assignedInteractions])]
+    });
+  }
+
+  // Each trait either parent has, at the average intensity nudged by up to ±0.1
+  blendTraits(firstProfile, secondProfile) {
+    const traitsOf = profile => (typeof profile?.getAllTraits === 'function' ? profile.getAllTraits() : []);
+    const second = new Map(traitsOf(secondProfile).map(trait => [trait.id, trait]));
+    const traits = new Map(traitsOf(firstProfile).map(trait => [trait.id, trait]));
+    second.forEach((trait, id) => { if (!traits.has(id)) traits.set(id, trait); });
+
+    return Array.from(traits.values()).map(trait => {
+      const intensities = [traitsOf(firstProfile).find(t => t.id === trait.id), second.get(trait.id)]
+        .filter(Boolean)
+        .map(t => t.intensity);
+      const average = intensities.reduce((sum, value) => sum + value, 0) / intensities.length;
+      const intensity = Math.max(0, Math.min(1, average + (this.rng.next() - 0.5) * 0.2));
+      return { ...trait.toJSON(), intensity, baseLevel: intensity, influence: {} };
+    });
+  }
+
+  generateName() {
+    const syllables = 2 + Math.floor(this.rng.next() * 2);
+    const name = Array.from({ length: syllables }, () => randomSelect(NAME_SYLLABLES, this.rng)).join('');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  adjustPopulation(worldState, nodeId, change) {
+    const node = (worldState.nodes || []).find(candidate => candidate.id === nodeId);
+    if (node) {
+      node.population = Math.max(0, (node.population || 0) + change);
+    }
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.publish(type, payload);
+    }
+  }
+}
+
+export default LifecycleService;
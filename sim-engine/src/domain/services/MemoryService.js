@@ -10,7 +10,7 @@ class MemoryService {
     }
 
     const { interactionId, participantId, outcome, minSignificance = 0 } = criteria;
-    return character.decisionHistory.filter(event => {
+    return (character.decisionHistory || []).filter(event => {
       const matches = (
         (!interactionId || event.interactionId === interactionId) &&
         (!participantId || character.relationships.has(participantId)) &&
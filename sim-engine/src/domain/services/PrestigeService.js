@@ -1,12 +1,23 @@
 // src/domain/services/PrestigeService.js
 
 import { Prestige } from '../value-objects/Prestige.js';
+import { publishValueChanges, SimulationEventTypes } from '../events/SimulationEvents.js';
 
 /**
  * Domain service for handling prestige evolution and reputation management
  * Provides business logic for how prestige changes over time and in response to achievements
  */
 class PrestigeService {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the Date recorded in value-object histories
+   * @param {SimulationEventBus} [options.eventBus] - Receives PRESTIGE_CHANGED, and PRESTIGE_LEVEL_CHANGED, for every track that changes
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || null;
+    this.clock = options.clock || (() => new Date());
+  }
+
   /**
    * Update prestige based on achievement-based changes
    * @param {Prestige} prestige - Current prestige state
@@ -53,11 +64,12 @@ class PrestigeService {
         change.trackId,
         change.amount,
         change.reason,
-        contextData
+        contextData,
+        this.clock()
       );
     }
     
-    return updatedPrestige;
+    return this._announceChanges(prestige, updatedPrestige, character?.id ?? socialContext.characterId);
   }
   
   /**
@@ -83,7 +95,7 @@ class PrestigeService {
       character
     );
     
-    return prestige.withDecay(calculatedDecayRates);
+    return this._announceChanges(prestige, prestige.withDecay(calculatedDecayRates, this.clock()), character?.id);
   }
   
   /**
@@ -195,11 +207,12 @@ class PrestigeService {
         change.trackId,
         change.amount,
         change.reason,
-        contextData
+        contextData,
+        this.clock()
       );
     }
     
-    return interactionPrestige;
+    return this._announceChanges(prestige, interactionPrestige, socialContext.characterId);
   }
   
   /**
@@ -796,6 +809,28 @@ class PrestigeService {
     return Math.min(Math.max(value, min), max);
   }
   
+  /**
+   * Publish the tracks and levels that differ between two prestige states
+   * @returns {Prestige} The updated prestige, unchanged
+   */
+  _announceChanges(before, after, characterId = null) {
+    const changes = publishValueChanges(this.eventBus, SimulationEventTypes.PRESTIGE_CHANGED, before, after, {
+      idField: 'trackId',
+      getIds: prestige => prestige.getTrackIds(),
+      getLevel: (prestige, trackId) => prestige.getLevel(trackId),
+      characterId: characterId ?? null
+    });
+    changes
+      .filter(change => change.fromLevel !== change.toLevel)
+      .forEach(change => this.eventBus.publish(SimulationEventTypes.PRESTIGE_LEVEL_CHANGED, {
+        characterId: characterId ?? null,
+        trackId: change.id,
+        fromLevel: change.fromLevel,
+        toLevel: change.toLevel
+      }));
+    return after;
+  }
+
   /**
    * Validation methods
    */
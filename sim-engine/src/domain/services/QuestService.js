@@ -0,0 +1,250 @@
+// src/domain/services/QuestService.js
+
+import Character from '../entities/Character.js';
+import QuestSystem from '../entities/Quest.js';
+import InteractionResolver from './InteractionResolver.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { randomSelect, weightedSelect } from '../../shared/utils/SelectionUtils.js';
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+const questGoalId = templateId => `quest:${templateId}`;
+
+/**
+ * Quests taken up and played by NPCs
+ *
+ * Quest templates (QuestTemplate JSON) live in `worldState.questTemplates`; each is
+ * offered at the nodes its `trigger` matches. A character at such a node, with fewer than
+ * `maxActive` quests under way, takes one up: always when one of its goals is among the
+ * template's `goals`, otherwise with `acceptChance`. The run is recorded in
+ * `Character.quests` as `{ id, name, status, nodeId, acceptedAt, completedAt, progress, instance }`
+ * (`instance` is the QuestInstance JSON), so prerequisites checking `quests` see it.
+ *
+ * While a quest is active the character holds a `quest:<templateId>` goal whose
+ * `targetNodeId` is the current step's `location`, which draws it there (TravelService).
+ * Each turn at the step's location it rolls the step's check; success clears the step,
+ * applies its consequences and moves along a random branch. Clearing the last step
+ * completes the quest and grants the template's `rewards` (prestige by default);
+ * a quest still open after its `timeLimit` in turns fails. Steps cleared by interaction
+ * effects (the record's `stepsCleared`) are played one a turn without a visit or a check.
+ */
+class QuestService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Seeded rng for taking up quests and the branches steps resolve with
+   * @param {SimulationEventBus} [options.eventBus] - Receives QUEST_ACCEPTED, QUEST_COMPLETED and QUEST_FAILED
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn, for the dates rewards are recorded at
+   * @param {number} [options.maxActive=1] - Quests a character pursues at once
+   * @param {number} [options.acceptChance=0.1] - Chance a character takes up a quest none of its goals call for
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.eventBus = options.eventBus || null;
+    this.daysPerTurn = options.daysPerTurn || 1;
+    this.maxActive = options.maxActive ?? 1;
+    this.acceptChance = options.acceptChance ?? 0.1;
+    this.resolver = new InteractionResolver({ rng: this.rng });
+    this.questSystem = new QuestSystem();
+  }
+
+  /**
+   * Replaces the known templates
+   * @param {Array<Object>} templates - QuestTemplate JSON
+   */
+  loadTemplates(templates = []) {
+    this.questSystem = new QuestSystem();
+    templates.filter(template => template?.id).forEach(template => this.questSystem.addQuestTemplate(template));
+  }
+
+  /**
+   * Runs one turn of quests over the whole world: progress first, then new quests taken up
+   * Updates `worldState.npcs` in place
+   * @param {Object} worldState - { npcs, nodes, questTemplates }
+   * @param {number} [turn=worldState.time] - Turn being played
+   * @returns {Array<Object>} quest_accepted, quest_progressed, quest_completed and quest_failed results
+   */
+  advance(worldState, turn = worldState.time) {
+    this.loadTemplates(worldState.questTemplates || []);
+    const results = [];
+
+    worldState.npcs = worldState.npcs.map(character => {
+      if (!(character instanceof Character) || character.isTraveling()) return character;
+      const progressed = this.progress(character, turn, results);
+      return this.activeQuests(progressed).length < this.maxActive
+        ? this.offer(progressed, worldState, turn, results)
+        : progressed;
+    });
+
+    return results;
+  }
+
+  activeQuests(character) {
+    return character.quests.filter(record => record.status === 'active');
+  }
+
+  /**
+   * Templates a character may take up where it stands
+   * Quests it is on, or has completed and can't repeat, aren't offered again
+   * @param {Character} character
+   * @param {Object} node
+   * @returns {QuestTemplate[]}
+   */
+  offersFor(character, node) {
+    const consciousness = this.consciousnessStateOf(character);
+    return this.questSystem.getAvailableTemplates(node, { consciousness }).filter(template => !character.quests.some(record =>
+      record.id === template.id && (record.status === 'active' || (record.status === 'completed' && !template.repeatable))
+    ));
+  }
+
+  // How many of a character's goals a template serves
+  goalMatches(character, template) {
+    return character.goals.filter(goal => goal && template.goals.includes(goal.id)).length;
+  }
+
+  offer(character, worldState, turn, results) {
+    const node = worldState.nodes.find(candidate => candidate.id === character.currentNodeId);
+    if (!node) return character;
+
+    const offers = this.offersFor(character, node);
+    if (!offers.length) return character;
+    const wanted = offers.filter(template => this.goalMatches(character, template) > 0);
+    if (!wanted.length && this.rng.next() >= this.acceptChance) return character;
+
+    const template = wanted.length
+      ? weightedSelect(wanted, candidate => this.goalMatches(character, candidate), this.rng)
+      : randomSelect(offers, this.rng);
+    return this.accept(character, template, node, turn, results);
+  }
+
+  accept(character, template, node, turn, results) {
+    const quest = this.questSystem.createQuestInstance(template, {
+      characterId: character.id,
+      nodeId: node.id,
+      turn,
+      consciousness: this.consciousnessStateOf(character)
+    });
+    const accepted = this.record(character, quest, { acceptedAt: turn, nodeId: node.id });
+
+    const payload = {
+      turn,
+      characterId: character.id,
+      characterName: character.name,
+      questId: template.id,
+      questName: template.name,
+      nodeId: node.id
+    };
+    results.push({ type: 'quest_accepted', ...payload });
+    this.publish(SimulationEventTypes.QUEST_ACCEPTED, payload);
+    return accepted;
+  }
+
+  progress(character, turn, results) {
+    return this.activeQuests(character).reduce((current, record) => {
+      const template = this.questSystem.getQuestTemplate(record.id);
+      if (!template || !record.instance) return current;
+      const quest = this.questSystem.restoreQuestInstance(record.instance);
+      quest.context.consciousness = this.consciousnessStateOf(current);
+      const payload = {
+        turn,
+        characterId: current.id,
+        characterName: current.name,
+        questId: template.id,
+        questName: template.name,
+        nodeId: current.currentNodeId
+      };
+
+      if (template.timeLimit && turn - quest.startTime >= template.timeLimit) {
+        this.questSystem.failQuest(quest.id, turn);
+        results.push({ type: 'quest_failed', ...payload, reason: 'time limit' });
+        this.publish(SimulationEventTypes.QUEST_FAILED, { ...payload, reason: 'time limit' });
+        return this.record(current, quest);
+      }
+
+      // Steps cleared by interaction effects (EffectRegistry 'quest') need no visit and no check
+      const cleared = record.stepsCleared > 0;
+      const step = quest.template.nodes.get(quest.currentNode);
+      if (!cleared && step?.location && step.location !== current.currentNodeId) return current;
+
+      if (step) {
+        if (!cleared) {
+          const resolution = this.resolver.resolve(current, step.createActionInteraction(template.id), 'attempt', turn);
+          if (!resolution.success) return current;
+        }
+        const branch = step.branches.length ? randomSelect(step.branches, this.rng) : null;
+        this.questSystem.progressQuest(quest.id, branch?.id, turn);
+      } else {
+        this.questSystem.completeQuest(quest.id, turn);
+      }
+
+      let updated = this.applyPending(current, quest, turn);
+      if (quest.status === 'completed') {
+        updated = updated.withEncounterEffects(template.rewards, { reason: `Quest: ${template.name}`, timestamp: dateOfTurn(turn, this.daysPerTurn) });
+        results.push({ type: 'quest_completed', ...payload, rewards: template.rewards });
+        this.publish(SimulationEventTypes.QUEST_COMPLETED, { ...payload, rewards: template.rewards });
+      } else {
+        results.push({ type: 'quest_progressed', ...payload, stepId: step.id, nextStepId: quest.currentNode });
+      }
+      return this.record(updated, quest, cleared ? { stepsCleared: record.stepsCleared - 1 } : {});
+    }, character);
+  }
+
+  // Consequences queued for the character, and the consciousness its steps shifted
+  applyPending(character, quest, turn) {
+    const { consciousness } = quest.context;
+    const effects = quest.pendingEffects.splice(0);
+    const shifted = character.withQuests(character.quests, {
+      consciousness: {
+        ...character.consciousness,
+        frequency: consciousness.currentFrequency,
+        coherence: consciousness.emotionalCoherence
+      }
+    });
+    return effects.length
+      ? shifted.withEncounterEffects(effects, { reason: `Quest: ${quest.template.name}`, timestamp: dateOfTurn(turn, this.daysPerTurn) })
+      : shifted;
+  }
+
+  // Writes the run into Character.quests and keeps the quest goal pointing at the current step
+  record(character, quest, fields = {}) {
+    const previous = character.quests.find(record => record.instance?.id === quest.id) || {};
+    const entry = {
+      ...previous,
+      id: quest.template.id,
+      name: quest.template.name,
+      status: quest.status,
+      nodeId: previous.nodeId || quest.context.nodeId,
+      acceptedAt: previous.acceptedAt ?? quest.startTime,
+      completedAt: quest.completedAt,
+      progress: quest.getProgress(),
+      ...fields,
+      instance: quest.toJSON()
+    };
+    const quests = previous.instance
+      ? character.quests.map(record => (record === previous ? entry : record))
+      : [...character.quests, entry];
+
+    const goalId = questGoalId(quest.template.id);
+    const goals = character.goals.filter(goal => goal?.id !== goalId);
+    if (quest.status === 'active') {
+      const step = quest.template.nodes.get(quest.currentNode);
+      goals.push({ id: goalId, questId: quest.template.id, targetNodeId: step?.location || undefined, progress: entry.progress });
+    }
+
+    return character.withQuests(quests, { goals });
+  }
+
+  consciousnessStateOf(character) {
+    return {
+      currentFrequency: character.consciousness?.frequency ?? 40,
+      emotionalCoherence: character.consciousness?.coherence ?? 0.5
+    };
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.publish(type, payload);
+    }
+  }
+}
+
+export default QuestService;
@@ -0,0 +1,261 @@
+// src/domain/services/RelationshipService.js
+
+import Character from '../entities/Character.js';
+import RelationshipGraph from '../entities/RelationshipGraph.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { weightedSelect } from '../../shared/utils/SelectionUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+/**
+ * How an interaction with a partner moves affinity and trust, both ways, on success and failure.
+ * Interaction types not listed are done alone.
+ */
+export const DEFAULT_INTERACTION_TIES = Object.freeze({
+  dialogue: { success: { affinity: 3, trust: 1 }, failure: { affinity: -1, trust: 0 } },
+  trade: { success: { affinity: 1, trust: 3 }, failure: { affinity: -1, trust: -3 } },
+  diplomacy: { success: { affinity: 2, trust: 2 }, failure: { affinity: -1, trust: -2 } },
+  combat: { success: { affinity: -5, trust: -2 }, failure: { affinity: -3, trust: -2 } }
+});
+
+// Interaction types that seek out the characters one likes least
+const HOSTILE_TYPES = ['combat'];
+
+// Thresholds of the types an edge earns from its numbers
+const FRIENDSHIP_AFFINITY = 30;
+const RIVALRY_AFFINITY = -30;
+const LOYALTY_TRUST = 60;
+// Affinity a new family tie starts at
+const FAMILY_AFFINITY = 50;
+// Edge types that wear away at a quarter of the rate
+const LASTING_TYPES = ['family', 'romance', 'loyalty'];
+// Edges weaker than this both ways, with no type, are forgotten
+const FORGOTTEN = 0.5;
+
+const DERIVED_TYPES = [
+  { type: 'friendship', holds: edge => edge.affinity >= FRIENDSHIP_AFFINITY },
+  { type: 'rivalry', holds: edge => edge.affinity <= RIVALRY_AFFINITY },
+  { type: 'loyalty', holds: edge => edge.trust >= LOYALTY_TRUST }
+];
+
+// A Character.relationships entry is a number, or an object with a strength
+const bondValue = bond => (typeof bond === 'number' ? bond : bond?.strength ?? bond?.value ?? 0);
+
+/**
+ * Keeps the world's RelationshipGraph and Character.relationships in step, a turn at a time
+ *
+ * The graph (RelationshipGraph JSON) lives in `worldState.relationshipGraph`.
+ * Character.relationships stays the affinity each character holds for the others, so
+ * anything that changes it (interaction effects, encounters, quests) reaches the graph:
+ * - load, at the start of a turn: edges of characters no longer living are dropped,
+ *   affinities written into Character.relationships since the last turn are taken up
+ *   (with any `type`/`types` of object entries), and parents, children and siblings are tied
+ *   as family
+ * - choosePartner: who a character turns to for an interaction - friends and the trusted
+ *   for most, rivals for combat
+ * - recordInteraction: an interaction with a partner moves both edges' affinity and trust
+ *   (DEFAULT_INTERACTION_TIES)
+ * - advance, at the end: affinity changed in Character.relationships during the turn is
+ *   added to the edges, affinity and trust decay by `decayRate` a day (a quarter of that
+ *   for family, romance and loyalty), friendship, rivalry and loyalty are gained and lost
+ *   with the numbers, faded edges are forgotten, and the affinities are written back
+ */
+class RelationshipService {
+  /**
+   * @param {Object} [options]
+   * @param {SimulationEventBus} [options.eventBus] - Receives RELATIONSHIP_FORMED and RELATIONSHIP_BROKEN
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn
+   * @param {number} [options.decayRate=0.005] - Share of affinity and trust lost a day
+   * @param {Object} [options.interactionTies] - Interaction type mappings, merged over DEFAULT_INTERACTION_TIES
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || null;
+    this.daysPerTurn = options.daysPerTurn || 1;
+    this.decayRate = options.decayRate ?? 0.005;
+    this.interactionTies = { ...DEFAULT_INTERACTION_TIES, ...(options.interactionTies || {}) };
+    this.graph = new RelationshipGraph();
+    this.baseline = new Map();
+  }
+
+  /**
+   * Reads the world's graph and brings it up to date with the characters
+   * @param {Object} worldState - { npcs, relationshipGraph }
+   * @returns {RelationshipGraph}
+   */
+  load(worldState) {
+    const graph = RelationshipGraph.fromJSON(worldState.relationshipGraph);
+    const characters = worldState.npcs.filter(npc => npc instanceof Character);
+    const living = new Set(characters.map(character => character.id));
+
+    graph.getCharacterIds().filter(id => !living.has(id)).forEach(id => graph.removeCharacter(id));
+
+    characters.forEach(character => {
+      character.relationships.forEach((bond, otherId) => {
+        if (!living.has(otherId) || otherId === character.id) return;
+        const edge = graph.getEdge(character.id, otherId);
+        const types = [bond?.type, ...(bond?.types || [])].filter(Boolean);
+        if (!edge || edge.affinity !== bondValue(bond) || types.some(type => !edge.types.includes(type))) {
+          graph.setEdge(character.id, otherId, { affinity: bondValue(bond), types: [...(edge?.types || []), ...types] });
+        }
+      });
+    });
+
+    const family = (from, to) => {
+      if (!living.has(from) || !living.has(to) || from === to || graph.hasType(from, to, 'family')) return;
+      const edge = graph.getEdge(from, to);
+      graph.setEdge(from, to, { types: [...(edge?.types || []), 'family'], affinity: edge ? edge.affinity : FAMILY_AFFINITY });
+    };
+    characters.forEach(character => {
+      character.parentIds.forEach(parentId => {
+        family(character.id, parentId);
+        family(parentId, character.id);
+      });
+      characters
+        .filter(other => other.id !== character.id && other.parentIds.some(parentId => character.parentIds.includes(parentId)))
+        .forEach(sibling => family(character.id, sibling.id));
+    });
+
+    this.graph = graph;
+    this.baseline = this.bondsOf(characters);
+    return graph;
+  }
+
+  // Each character's affinity for each other living character, keyed like the graph's edges
+  bondsOf(characters) {
+    const living = new Set(characters.map(character => character.id));
+    const bonds = new Map();
+    characters.forEach(character => character.relationships.forEach((bond, otherId) => {
+      if (living.has(otherId) && otherId !== character.id) {
+        bonds.set(`${character.id}|${otherId}`, { from: character.id, to: otherId, value: bondValue(bond) });
+      }
+    }));
+    return bonds;
+  }
+
+  // Affinity changed in Character.relationships since load (interaction effects, encounters,
+  // quests) is added to the graph on top of the interactions recorded there
+  absorbChanges(worldState) {
+    const characters = worldState.npcs.filter(npc => npc instanceof Character);
+    this.bondsOf(characters).forEach(({ from, to, value }, key) => {
+      const change = value - (this.baseline.get(key)?.value ?? 0);
+      if (change) this.graph.adjust(from, to, { affinity: change });
+    });
+    this.baseline = new Map();
+  }
+
+  /**
+   * Whether an interaction type is done with a partner
+   * @param {string} type
+   * @returns {boolean}
+   */
+  isSocial(type) {
+    return Boolean(this.interactionTies[type]);
+  }
+
+  /**
+   * Picks the partner for an interaction among the characters at hand
+   * Weights grow with affinity and trust, or with their absence for hostile types
+   * @param {Character} character
+   * @param {Interaction} interaction
+   * @param {Array<Character>} candidates - Characters at the same node
+   * @param {Object} [rng]
+   * @returns {string|null} The partner's id, or null when the interaction is done alone or nobody is there
+   */
+  choosePartner(character, interaction, candidates, rng = defaultRandom) {
+    const others = candidates.filter(candidate => candidate && candidate.id !== character.id);
+    if (!this.isSocial(interaction.type) || !others.length) return null;
+    const hostile = HOSTILE_TYPES.includes(interaction.type);
+    const partner = weightedSelect(others, other => {
+      const edge = this.graph.getEdge(character.id, other.id);
+      const affinity = (edge?.affinity || 0) * (hostile ? -1 : 1);
+      const trust = (edge?.trust || 0) * (hostile ? -1 : 1);
+      return 1 + Math.max(0, affinity) / 20 + Math.max(0, trust) / 40;
+    }, rng);
+    return partner?.id || null;
+  }
+
+  /**
+   * Moves both edges between a character and its partner for an interaction they had
+   * @param {string} characterId
+   * @param {string} partnerId
+   * @param {string} interactionType
+   * @param {boolean} success
+   * @param {number} turn
+   */
+  recordInteraction(characterId, partnerId, interactionType, success, turn) {
+    const change = this.interactionTies[interactionType]?.[success ? 'success' : 'failure'];
+    if (!change || !partnerId || partnerId === characterId) return;
+    this.graph.adjust(characterId, partnerId, change, turn);
+    this.graph.adjust(partnerId, characterId, change, turn);
+  }
+
+  /**
+   * Ends the turn: decay, types, forgetting, and the affinities written back to the characters
+   * Updates `worldState.npcs` and `worldState.relationshipGraph`
+   * @param {Object} worldState - { npcs }
+   * @param {number} [turn=worldState.time]
+   * @returns {RelationshipGraph}
+   */
+  advance(worldState, turn = worldState.time) {
+    this.absorbChanges(worldState);
+    const graph = this.graph;
+    const fade = rate => Math.pow(1 - rate, this.daysPerTurn);
+    const names = new Map(worldState.npcs.map(npc => [npc?.id, npc?.name]));
+
+    [...graph.edges.values()].forEach(edge => {
+      const lasting = edge.types.some(type => LASTING_TYPES.includes(type));
+      const keep = fade(lasting ? this.decayRate / 4 : this.decayRate);
+      const decayed = { ...edge, affinity: edge.affinity * keep, trust: edge.trust * keep };
+
+      let types = edge.types;
+      DERIVED_TYPES.forEach(({ type, holds }) => {
+        const had = types.includes(type);
+        if (holds(decayed) === had) return;
+        types = had ? types.filter(candidate => candidate !== type) : [...types, type];
+        this.publish(had ? SimulationEventTypes.RELATIONSHIP_BROKEN : SimulationEventTypes.RELATIONSHIP_FORMED, {
+          turn,
+          characterId: edge.from,
+          characterName: names.get(edge.from),
+          otherId: edge.to,
+          otherName: names.get(edge.to),
+          type
+        });
+      });
+
+      if (!types.length && Math.abs(decayed.affinity) < FORGOTTEN && Math.abs(decayed.trust) < FORGOTTEN) {
+        graph.removeEdge(edge.from, edge.to);
+      } else {
+        graph.setEdge(edge.from, edge.to, { affinity: decayed.affinity, trust: decayed.trust, types });
+      }
+    });
+
+    worldState.npcs = worldState.npcs.map(character => this.writeBack(character, worldState));
+    worldState.relationshipGraph = graph.toJSON();
+    return graph;
+  }
+
+  // Character.relationships from the graph: entries for other living characters follow their
+  // edges (object entries keep their other fields); entries for anyone else are left alone
+  writeBack(character, worldState) {
+    if (!(character instanceof Character)) return character;
+    const living = new Set(worldState.npcs.map(npc => npc?.id));
+    const relationships = new Map(
+      [...character.relationships].filter(([otherId]) => !living.has(otherId) || this.graph.getEdge(character.id, otherId))
+    );
+    this.graph.edgesFrom(character.id).forEach(edge => {
+      const bond = relationships.get(edge.to);
+      relationships.set(edge.to, bond && typeof bond === 'object' ? { ...bond, strength: edge.affinity } : edge.affinity);
+    });
+
+    const unchanged = relationships.size === character.relationships.size &&
+      [...relationships].every(([otherId, bond]) => bondValue(character.relationships.get(otherId)) === bondValue(bond));
+    return unchanged ? character : character.withRelationships(relationships);
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.publish(type, payload);
+    }
+  }
+}
+
+export default RelationshipService;
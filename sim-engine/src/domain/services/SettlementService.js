@@ -0,0 +1,228 @@
+// src/domain/services/SettlementService.js
+
+import Settlement from '../entities/Settlement.js';
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Turns of need a market keeps in view when it weighs demand against supply
+const DEMAND_HORIZON = 5;
+// Share of the gap to the supply-and-demand price closed each turn, and how far prices may stray
+const PRICE_ADJUSTMENT = 0.5;
+const MIN_PRICE_FACTOR = 0.25;
+const MAX_PRICE_FACTOR = 4;
+// Coin a head produces per day at 0.5 prosperity, the base the tax rate applies to
+const WEALTH_PER_HEAD = 1;
+// Yearly share of the people lost in a shortage, and of the discontented who move away
+const FAMINE_RATE = 0.2;
+const MIGRATION_RATE = 0.1;
+// Daily drift of prosperity and stability; shortages pull them down this many times faster
+const RECOVERY = 0.01;
+const SHORTAGE_PENALTY = 5;
+const FAIR_TAX_RATE = 0.2;
+
+/**
+ * The economy and demography of the world's settlements, a turn at a time
+ *
+ * Settlements (Settlement JSON) live in `worldState.settlements`, each attached to a
+ * world node by `nodeId`. Each turn, per settlement:
+ * 1. Resources - buildings produce and use resources, the people consume theirs;
+ *    what can't be covered is a shortage, stores are capped by `storage`
+ * 2. Markets - each good's supply is what is in store and its demand the need over
+ *    the next few turns; prices move halfway to `basePrice × demand / supply` (bounded)
+ * 3. Taxes - income from the people's wealth and from market sales, less building upkeep,
+ *    goes to the treasury
+ * 4. Prosperity and stability recover slowly, and fall with shortages, debt and heavy taxes
+ * 5. Population grows at `growthRate` (scaled by prosperity) or dwindles in a shortage
+ * Then people move from settlements less attractive than the average (prosperity plus
+ * stability, less shortages and taxes) to the more attractive ones.
+ */
+class SettlementService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn
+   */
+  constructor(options = {}) {
+    this.daysPerTurn = options.daysPerTurn || 1;
+  }
+
+  /**
+   * Runs one turn over every settlement, updating `worldState.settlements` in place
+   * @param {Object} worldState - { settlements }
+   * @param {number} [turn=worldState.time] - Turn being played
+   * @returns {Array<Object>} One report per settlement (see tick)
+   */
+  advance(worldState, turn = worldState.time) {
+    const settlements = (worldState.settlements || []).map(record => Settlement.fromJSON(record));
+    const reports = settlements.map(settlement => this.tick(settlement, turn));
+    this.migrate(settlements, reports);
+    worldState.settlements = settlements.map(settlement => settlement.toJSON());
+    return reports;
+  }
+
+  /**
+   * Plays a turn of one settlement's production, markets, taxes and growth
+   * @param {Settlement} settlement - Updated in place
+   * @param {number} turn
+   * @returns {Object} { turn, settlementId, settlementName, nodeId, population, populationChange,
+   *   migration, shortages, income, expenses, treasury, prices }
+   */
+  tick(settlement, turn) {
+    const startingPopulation = settlement.population;
+    const { produced, needed } = this.produce(settlement);
+    const shortages = settlement.resources.shortages;
+    this.updateMarkets(settlement, needed);
+    this.collectTaxes(settlement, needed);
+    this.updateMorale(settlement);
+    this.grow(settlement);
+
+    return {
+      turn,
+      settlementId: settlement.id,
+      settlementName: settlement.name,
+      nodeId: settlement.nodeId,
+      population: settlement.population,
+      populationChange: settlement.population - startingPopulation,
+      migration: 0,
+      produced,
+      shortages: { ...shortages },
+      income: settlement.economy.income.total,
+      expenses: settlement.economy.expenses.total,
+      treasury: settlement.economy.treasury,
+      prices: Object.fromEntries(settlement.economy.markets.flatMap(market => market.goods.map(good => [good.type, good.price])))
+    };
+  }
+
+  // Production and consumption: returns what was made and what was needed this turn, by resource
+  produce(settlement) {
+    const days = this.daysPerTurn;
+    const { resources } = settlement;
+    const active = settlement.buildings.filter(building => building.status === 'active');
+    const produced = {};
+    const needed = {};
+    resources.shortages = {};
+
+    settlement.getResourceTypes().forEach(type => {
+      const made = ((resources.production[type] || 0) +
+        active.reduce((sum, building) => sum + (building.production[type] || 0) * building.level, 0)) * days;
+      const need = (((resources.consumption[type] || 0) * settlement.population) / 100 +
+        active.reduce((sum, building) => sum + (building.maintenance[type] || 0), 0)) * days;
+      const available = (resources.amounts[type] || 0) + made;
+
+      produced[type] = round(made);
+      needed[type] = round(need);
+      if (available < need) {
+        resources.shortages[type] = round(need - available);
+        resources.amounts[type] = 0;
+      } else {
+        const cap = resources.storage[type];
+        resources.amounts[type] = round(typeof cap === 'number' ? Math.min(cap, available - need) : available - need);
+      }
+    });
+
+    return { produced, needed };
+  }
+
+  // Prices follow supply (what is in store) and demand (the need over DEMAND_HORIZON turns)
+  updateMarkets(settlement, needed) {
+    settlement.economy.markets.forEach(market => {
+      market.goods.forEach(good => {
+        good.supply = settlement.resources.amounts[good.type] || 0;
+        good.demand = round((needed[good.type] || 0) * DEMAND_HORIZON);
+        const factor = Math.max(MIN_PRICE_FACTOR, Math.min(MAX_PRICE_FACTOR, (good.demand + 1) / (good.supply + 1)));
+        good.price = round(good.price + (good.basePrice * factor - good.price) * PRICE_ADJUSTMENT);
+      });
+    });
+  }
+
+  // Taxes on wealth and market sales, less building upkeep, into the treasury
+  collectTaxes(settlement, needed) {
+    const days = this.daysPerTurn;
+    const { economy } = settlement;
+    const wealth = settlement.population * WEALTH_PER_HEAD * (0.5 + settlement.prosperity) * days;
+    const sales = Object.entries(needed).reduce((sum, [type, amount]) => {
+      const price = settlement.getPrice(type);
+      const sold = amount - (settlement.resources.shortages[type] || 0);
+      return price === null ? sum : sum + sold * price;
+    }, 0);
+    const taxes = round(wealth * (economy.taxes.rate || 0));
+    const market = round(sales * (economy.taxes.market || 0));
+    const upkeep = round(settlement.buildings
+      .filter(building => building.status === 'active')
+      .reduce((sum, building) => sum + (building.upkeep || 0), 0) * days);
+
+    economy.income = { taxes, market, total: round(taxes + market) };
+    economy.expenses = { buildings: upkeep, total: upkeep };
+    economy.treasury = round(economy.treasury + economy.income.total - upkeep);
+  }
+
+  updateMorale(settlement) {
+    const days = this.daysPerTurn;
+    const short = Object.keys(settlement.resources.shortages).length > 0;
+    const inDebt = settlement.economy.treasury < 0;
+    const overtaxed = Math.max(0, (settlement.economy.taxes.rate || 0) - FAIR_TAX_RATE);
+
+    settlement.adjustProsperity(RECOVERY * days * (short ? -SHORTAGE_PENALTY : 1) - (inDebt ? RECOVERY * days : 0));
+    settlement.adjustStability(RECOVERY * days * (short ? -SHORTAGE_PENALTY : 1) - overtaxed * RECOVERY * days * 10);
+  }
+
+  // Natural growth, scaled by prosperity, or famine; fractions of a person carry over
+  grow(settlement) {
+    const yearly = Object.keys(settlement.resources.shortages).length
+      ? -FAMINE_RATE
+      : settlement.growthRate * (0.5 + settlement.prosperity);
+    const change = (settlement.population * yearly * this.daysPerTurn) / 365 + settlement.growthRemainder;
+    const whole = Math.trunc(change);
+    settlement.growthRemainder = round(change - whole);
+    settlement.setPopulation(settlement.population + whole);
+  }
+
+  /**
+   * How much a settlement draws people
+   * @param {Settlement} settlement
+   * @returns {number}
+   */
+  attractiveness(settlement) {
+    const shortages = Object.keys(settlement.resources.shortages).length;
+    return settlement.prosperity + settlement.stability - shortages * 0.5 - (settlement.economy.taxes.rate || 0);
+  }
+
+  // People leave the settlements below average attractiveness for those above it
+  migrate(settlements, reports) {
+    const inhabited = settlements.filter(settlement => settlement.population > 0);
+    if (inhabited.length < 2) {
+      settlements.forEach(settlement => { settlement.migration = 0; });
+      return;
+    }
+    const scores = new Map(settlements.map(settlement => [settlement, this.attractiveness(settlement)]));
+    const average = inhabited.reduce((sum, settlement) => sum + scores.get(settlement), 0) / inhabited.length;
+    const destinations = settlements.filter(settlement => scores.get(settlement) > average);
+    const pull = destinations.reduce((sum, settlement) => sum + scores.get(settlement) - average, 0);
+    const moves = new Map(settlements.map(settlement => [settlement, 0]));
+
+    inhabited.filter(settlement => scores.get(settlement) < average).forEach(origin => {
+      const leaving = Math.floor((origin.population * (average - scores.get(origin)) * MIGRATION_RATE * this.daysPerTurn) / 365);
+      if (leaving <= 0 || !destinations.length) return;
+      let placed = 0;
+      destinations.forEach(destination => {
+        const share = Math.floor((leaving * (scores.get(destination) - average)) / pull);
+        moves.set(destination, moves.get(destination) + share);
+        placed += share;
+      });
+      // Whoever the shares leave over goes to the most attractive
+      const best = destinations.reduce((top, settlement) => (scores.get(settlement) > scores.get(top) ? settlement : top));
+      moves.set(best, moves.get(best) + leaving - placed);
+      moves.set(origin, moves.get(origin) - leaving);
+    });
+
+    settlements.forEach((settlement, index) => {
+      const moved = moves.get(settlement);
+      settlement.migration = moved;
+      settlement.setPopulation(settlement.population + moved);
+      reports[index].migration = moved;
+      reports[index].population = settlement.population;
+      reports[index].populationChange += moved;
+    });
+  }
+}
+
+export default SettlementService;
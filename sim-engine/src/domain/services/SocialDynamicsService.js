@@ -0,0 +1,183 @@
+// src/domain/services/SocialDynamicsService.js
+
+import AlignmentService from './AlignmentService.js';
+import InfluenceService from './InfluenceService.js';
+import PrestigeService from './PrestigeService.js';
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+
+/**
+ * How resolving an interaction of each type reaches a character's standing:
+ * - action: InfluenceService.applyCharacterAction type, applied in the settlement where it happened
+ * - achievement: PrestigeService.updatePrestige type, earned on success
+ * - alignment: axis shifts for a `success` or `failure`, applied as a moral choice
+ * Types not listed only decay; interaction effects of type 'alignment' or 'prestige' still apply.
+ */
+export const DEFAULT_SOCIAL_EFFECTS = Object.freeze({
+  dialogue: { action: 'social_gathering', achievement: 'social_deed', alignment: { success: { moral: 0.5 } } },
+  trade: {
+    action: 'trade_deal',
+    achievement: 'economic_achievement',
+    alignment: { success: { ethical: 0.5 }, failure: { ethical: -0.5 } }
+  },
+  combat: { action: 'military_command', achievement: 'military_victory', alignment: { success: { moral: -0.5 } } },
+  diplomacy: { action: 'diplomatic_mission', achievement: 'political_success', alignment: { success: { ethical: 0.5 } } },
+  quest: { achievement: 'heroic_act', alignment: { success: { moral: 1 } } }
+});
+
+// A roll this far above the DC counts double
+const STRONG_SUCCESS_MARGIN = 5;
+
+/**
+ * Per-turn social dynamics: decays a character's influence and prestige, drifts their
+ * alignment toward their personality, and turns the interaction they resolved this turn
+ * into an influence action, a prestige achievement and a moral choice.
+ *
+ * Every change goes through the Influence, Prestige and Alignment services, so it is
+ * recorded in the value objects' histories and published on the event bus. History
+ * entries are stamped with the turn's simulated date (`daysPerTurn` days per turn from
+ * the Unix epoch) so a replayed turn records exactly the same history.
+ */
+class SocialDynamicsService {
+  /**
+   * @param {Object} [options]
+   * @param {SimulationEventBus} [options.eventBus] - Receives the influence, prestige and alignment events
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn, the time unit of decay and drift
+   * @param {Object} [options.socialEffects] - Interaction type mappings, merged over DEFAULT_SOCIAL_EFFECTS
+   * @param {number} [options.achievementMagnitude=0.1] - Prestige achievement magnitude of an ordinary success
+   * @param {number} [options.actionIntensity=0.25] - Influence action intensity of an ordinary interaction
+   */
+  constructor(options = {}) {
+    this.daysPerTurn = options.daysPerTurn ?? 1;
+    if (!(this.daysPerTurn > 0)) {
+      throw new Error('daysPerTurn must be a positive number');
+    }
+    this.socialEffects = { ...DEFAULT_SOCIAL_EFFECTS, ...(options.socialEffects || {}) };
+    this.achievementMagnitude = options.achievementMagnitude ?? 0.1;
+    this.actionIntensity = options.actionIntensity ?? 0.25;
+    this.turn = 0;
+
+    const serviceOptions = { eventBus: options.eventBus, clock: () => dateOfTurn(this.turn, this.daysPerTurn) };
+    this.influenceService = new InfluenceService(serviceOptions);
+    this.prestigeService = new PrestigeService(serviceOptions);
+    this.alignmentService = new AlignmentService(serviceOptions);
+  }
+
+  /**
+   * Runs one turn of social dynamics for a character
+   * @param {Character} character
+   * @param {Object} [context]
+   * @param {number} [context.turn=0] - Turn being played
+   * @param {Object} [context.behavior] - { interaction, resolution } from generateBehavior, if any
+   * @param {Object} [context.settlement] - Node the character is in ({ id, name, type, population })
+   * @param {number} [context.witnesses=0] - Other characters present
+   * @returns {Character} The character with updated influence, prestige and alignment
+   */
+  applyTurn(character, { turn = 0, behavior = null, settlement = null, witnesses = 0 } = {}) {
+    this.turn = turn;
+    const days = this.daysPerTurn;
+    const characterContext = this.characterContext(character);
+    const traits = { ...this.personalityTraits(character), characterId: character.id };
+    const socialContext = {
+      characterId: character.id,
+      witnesses,
+      settlementId: settlement?.id,
+      settlementName: settlement?.name
+    };
+    const activeSettlements = this.isSettlement(settlement) ? [settlement] : [];
+
+    let influence = this.influenceService.calculateInfluenceDecay(character.influence, days, characterContext, activeSettlements);
+    let prestige = this.prestigeService.applyTimeDecay(character.prestige, days, null, characterContext);
+    let alignment = this.alignmentService.calculateAlignmentShift(character.alignment, traits, days);
+
+    const resolved = behavior && typeof behavior.resolution?.roll === 'number' ? behavior : null;
+    if (resolved) {
+      const { interaction, resolution } = resolved;
+      const effects = this.socialEffects[interaction.type] || {};
+      const scale = resolution.roll - resolution.dc >= STRONG_SUCCESS_MARGIN ? 2 : 1;
+      const description = `${interaction.name} (${resolution.success ? 'success' : 'failure'})`;
+
+      if (effects.action && activeSettlements.length) {
+        influence = this.influenceService.applyCharacterAction(influence, {
+          type: effects.action,
+          description,
+          success: resolution.success,
+          intensity: this.actionIntensity * scale
+        }, settlement, characterContext);
+      }
+
+      if (resolution.success) {
+        this.achievementsFor(interaction, effects, description, this.achievementMagnitude * scale).forEach(achievement => {
+          prestige = this.prestigeService.updatePrestige(prestige, achievement, socialContext, characterContext);
+        });
+      }
+
+      const alignmentImpact = this.alignmentImpactFor(interaction, effects, resolution.success);
+      if (alignmentImpact.size) {
+        alignment = this.alignmentService.applyMoralChoice(alignment, {
+          description,
+          alignmentImpact,
+          context: { turn, interactionId: interaction.id }
+        }, traits, socialContext);
+      }
+    }
+
+    let updated = character;
+    if (influence !== character.influence) updated = updated.withInfluence(influence);
+    if (prestige !== character.prestige) updated = updated.withPrestige(prestige);
+    if (alignment !== character.alignment) updated = updated.withAlignment(alignment);
+    return updated;
+  }
+
+  // The mapped achievement, plus a generic one for the interaction's own prestige effects
+  achievementsFor(interaction, effects, description, magnitude) {
+    const achievements = [];
+    if (effects.achievement) {
+      achievements.push({ type: effects.achievement, description, magnitude });
+    }
+    const prestigeImpact = this.effectTotals(interaction, 'prestige');
+    if (Object.keys(prestigeImpact).length) {
+      achievements.push({ type: 'interaction_effect', description, prestigeImpact });
+    }
+    return achievements;
+  }
+
+  // Axis shifts for the outcome plus the interaction's own alignment effects
+  alignmentImpactFor(interaction, effects, success) {
+    const impact = new Map(Object.entries(effects.alignment?.[success ? 'success' : 'failure'] || {}));
+    Object.entries(this.effectTotals(interaction, 'alignment')).forEach(([axisId, value]) => {
+      impact.set(axisId, (impact.get(axisId) || 0) + value);
+    });
+    return impact;
+  }
+
+  // Sums interaction effects of one type ({ type, target, value }) per target
+  effectTotals(interaction, type) {
+    return (interaction.effects || [])
+      .filter(effect => effect?.type === type && effect.target && typeof effect.value === 'number')
+      .reduce((totals, effect) => ({ ...totals, [effect.target]: (totals[effect.target] || 0) + effect.value }), {});
+  }
+
+  isSettlement(node) {
+    return Boolean(node && typeof node.id === 'string' && typeof node.name === 'string');
+  }
+
+  characterContext(character) {
+    return {
+      id: character.id,
+      name: character.name,
+      age: character.age,
+      level: character.level,
+      role: character.role || 'citizen',
+      wealth: character.wealth || 0,
+      charisma: character.attributes?.charisma?.score ?? character.attributes?.charisma ?? 10,
+      socialSkill: character.skills?.persuasion || 0
+    };
+  }
+
+  personalityTraits(character) {
+    const traits = typeof character.personality?.getAllTraits === 'function' ? character.personality.getAllTraits() : [];
+    return traits.reduce((acc, trait) => ({ ...acc, [trait.id]: trait.intensity }), {});
+  }
+}
+
+export default SocialDynamicsService;
@@ -0,0 +1,278 @@
+// src/domain/services/TradeService.js
+
+import Character from '../entities/Character.js';
+import Settlement from '../entities/Settlement.js';
+import InfluenceService from './InfluenceService.js';
+import TravelService from './TravelService.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+import { dateOfTurn } from '../../shared/utils/TimeUtils.js';
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Turns of its people's consumption a settlement keeps back from the caravans
+const RESERVE_TURNS = 5;
+// Sale value that makes an economic event of intensity 1 for the merchant, and the cap
+const VALUE_PER_INTENSITY = 100;
+const MAX_INTENSITY = 2;
+
+export const routeId = (fromNodeId, toNodeId) => `${fromNodeId}->${toNodeId}`;
+
+/**
+ * Trade between settlements, carried by caravans of merchant NPCs
+ *
+ * Routes follow the world's `connectedNodes` between nodes that hold a settlement
+ * (`worldState.settlements`, see SettlementService). Each turn:
+ * 1. Arrivals - a caravan whose merchant has reached its destination sells its goods
+ *    there at the market price. The destination's `economy.taxes.tariff` share of the
+ *    sale goes to its treasury; the treasury pays the merchant the rest and the goods
+ *    go into its stores. The merchant gains economic influence in proportion to the
+ *    value sold (InfluenceService economic events: `new_trade_route` the first time a
+ *    route is run, `trade_boom` after).
+ * 2. Departures - every merchant (a character whose `role` is in `merchantRoles`) at a
+ *    settlement, not on the road and not running a caravan, weighs each good its market
+ *    has to spare against each neighbouring market: the margin is the destination price
+ *    less its tariff, less the price paid here. It buys the load with the best profit
+ *    per turn of travel (up to `capacity`, and what its `wealth` can pay for), paying
+ *    the settlement's treasury, and sets out (TravelService travel time).
+ *
+ * Caravans on the road live in `worldState.caravans`; each route's running totals in
+ * `worldState.tradeRoutes`. `advance` returns the turn's ledger, for charting economies.
+ */
+class TradeService {
+  /**
+   * @param {Object} [options]
+   * @param {SimulationEventBus} [options.eventBus] - Receives CARAVAN_DEPARTED, CARAVAN_ARRIVED and CHARACTER_DEPARTED
+   * @param {number} [options.daysPerTurn=1] - Simulated days per turn
+   * @param {number} [options.capacity=50] - Units of goods a caravan carries
+   * @param {string[]} [options.merchantRoles=['merchant', 'trader']] - Character roles that run caravans
+   * @param {Object} [options.travel] - TravelService options (distancePerTurn) for journey times
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || null;
+    this.daysPerTurn = options.daysPerTurn || 1;
+    this.capacity = options.capacity ?? 50;
+    this.merchantRoles = options.merchantRoles || ['merchant', 'trader'];
+    this.travelService = new TravelService(options.travel);
+    this.turn = 0;
+    this.influenceService = new InfluenceService({ eventBus: this.eventBus, clock: () => dateOfTurn(this.turn, this.daysPerTurn) });
+  }
+
+  /**
+   * Runs one turn of trade, updating `worldState.settlements`, `npcs`, `caravans` and
+   * `tradeRoutes` in place
+   * @param {Object} worldState - { nodes, npcs, settlements, caravans, tradeRoutes }
+   * @param {number} [turn=worldState.time] - Turn being played
+   * @returns {Object} The turn's ledger: { turn, departures, trades, volume, tariffs, settlements }
+   *   where `settlements` maps settlement ids to { exports, imports, tariffs }
+   */
+  advance(worldState, turn = worldState.time) {
+    this.turn = turn;
+    const settlements = (worldState.settlements || []).map(record => Settlement.fromJSON(record));
+    const byNode = new Map(settlements.filter(settlement => settlement.nodeId).map(settlement => [settlement.nodeId, settlement]));
+    const routes = new Map((worldState.tradeRoutes || []).map(route => [route.id, { ...route }]));
+    const ledger = { turn, departures: [], trades: [], volume: 0, tariffs: 0, settlements: {} };
+
+    const onTheRoad = [];
+    (worldState.caravans || []).forEach(caravan => {
+      const index = worldState.npcs.findIndex(npc => npc?.id === caravan.merchantId);
+      const merchant = worldState.npcs[index];
+      // A caravan whose merchant is gone is lost with its goods
+      if (!(merchant instanceof Character)) return;
+      if (merchant.isTraveling() || merchant.currentNodeId !== caravan.toNodeId) {
+        onTheRoad.push(caravan);
+        return;
+      }
+      const destination = byNode.get(caravan.toNodeId);
+      if (destination) {
+        worldState.npcs[index] = this.sell(merchant, caravan, destination, routes, ledger);
+      }
+    });
+
+    const busy = new Set(onTheRoad.map(caravan => caravan.merchantId));
+    worldState.npcs.forEach((character, index) => {
+      if (!this.isMerchant(character) || character.isTraveling() || busy.has(character.id)) return;
+      const origin = byNode.get(character.currentNodeId);
+      if (!origin) return;
+      const plan = this.chooseRoute(character, origin, worldState, byNode);
+      if (!plan) return;
+      const departed = this.depart(character, origin, plan, worldState, ledger);
+      worldState.npcs[index] = departed.character;
+      onTheRoad.push(departed.caravan);
+    });
+
+    worldState.caravans = onTheRoad;
+    worldState.tradeRoutes = [...routes.values()];
+    worldState.settlements = settlements.map(settlement => settlement.toJSON());
+    return ledger;
+  }
+
+  isMerchant(character) {
+    return character instanceof Character && this.merchantRoles.includes(character.role);
+  }
+
+  /**
+   * What a settlement can let go of a good: its stock above RESERVE_TURNS of its people's needs
+   * @param {Settlement} settlement
+   * @param {string} type
+   * @returns {number}
+   */
+  surplus(settlement, type) {
+    const perTurn = ((settlement.resources.consumption[type] || 0) * settlement.population * this.daysPerTurn) / 100;
+    return Math.max(0, (settlement.resources.amounts[type] || 0) - perTurn * RESERVE_TURNS);
+  }
+
+  /**
+   * The most profitable load a merchant can carry from its settlement to a neighbouring one
+   * @param {Character} merchant
+   * @param {Settlement} origin
+   * @param {Object} worldState - { nodes }
+   * @param {Map<string, Settlement>} byNode - Settlements by node id
+   * @returns {Object|null} { fromNodeId, toNodeId, turns, good, quantity, buyPrice, sellPrice, profit }
+   */
+  chooseRoute(merchant, origin, worldState, byNode) {
+    const node = worldState.nodes.find(candidate => candidate.id === origin.nodeId);
+    if (!node) return null;
+
+    let best = null;
+    this.travelService.linksFrom(node).forEach(link => {
+      const destination = byNode.get(link.nodeId);
+      const toNode = worldState.nodes.find(candidate => candidate.id === link.nodeId);
+      if (!destination || !toNode) return;
+      const turns = this.travelService.travelTime(link);
+      const tariff = destination.economy.taxes.tariff || 0;
+
+      origin.economy.markets.forEach(market => market.goods.forEach(good => {
+        const sellPrice = destination.getPrice(good.type);
+        if (sellPrice === null || !(good.price > 0)) return;
+        const margin = sellPrice * (1 - tariff) - good.price;
+        const quantity = Math.floor(Math.min(this.capacity, this.surplus(origin, good.type), merchant.wealth / good.price));
+        if (margin <= 0 || quantity <= 0) return;
+        const profit = round(margin * quantity);
+        if (!best || profit / turns > best.profit / best.turns) {
+          best = {
+            fromNodeId: node.id,
+            toNodeId: toNode.id,
+            turns,
+            good: good.type,
+            quantity,
+            buyPrice: good.price,
+            sellPrice,
+            profit
+          };
+        }
+      }));
+    });
+    return best;
+  }
+
+  // Buys the load from the settlement's stores and puts the merchant on the road
+  depart(merchant, origin, plan, worldState, ledger) {
+    const cost = round(plan.quantity * plan.buyPrice);
+    origin.resources.amounts[plan.good] = round(origin.resources.amounts[plan.good] - plan.quantity);
+    origin.economy.treasury = round(origin.economy.treasury + cost);
+    const entry = this.ledgerEntry(ledger, origin);
+    entry.exports = round(entry.exports + cost);
+
+    const journey = {
+      fromNodeId: plan.fromNodeId,
+      toNodeId: plan.toNodeId,
+      departedAt: ledger.turn,
+      arrivesAt: ledger.turn + plan.turns
+    };
+    const caravan = {
+      id: `caravan_${merchant.id}_${ledger.turn}`,
+      merchantId: merchant.id,
+      merchantName: merchant.name,
+      fromNodeId: plan.fromNodeId,
+      toNodeId: plan.toNodeId,
+      fromSettlementId: origin.id,
+      good: plan.good,
+      quantity: plan.quantity,
+      buyPrice: plan.buyPrice,
+      cost,
+      departedAt: journey.departedAt,
+      arrivesAt: journey.arrivesAt
+    };
+    ledger.departures.push(caravan);
+
+    this.travelService.adjustPopulation(worldState, plan.fromNodeId, -1);
+    this.publish(SimulationEventTypes.CHARACTER_DEPARTED, {
+      turn: ledger.turn,
+      characterId: merchant.id,
+      characterName: merchant.name,
+      ...journey
+    });
+    this.publish(SimulationEventTypes.CARAVAN_DEPARTED, { turn: ledger.turn, caravanId: caravan.id, ...caravan });
+
+    return {
+      caravan,
+      character: merchant.withWealthChange(-cost).withTravel(plan.fromNodeId, journey)
+    };
+  }
+
+  // Sells a caravan's goods at its destination and credits the route and the merchant
+  sell(merchant, caravan, destination, routes, ledger) {
+    const sellPrice = destination.getPrice(caravan.good) ?? caravan.buyPrice;
+    const value = round(caravan.quantity * sellPrice);
+    const tariff = round(value * (destination.economy.taxes.tariff || 0));
+    const stored = (destination.resources.amounts[caravan.good] || 0) + caravan.quantity;
+    const cap = destination.resources.storage[caravan.good];
+    destination.resources.amounts[caravan.good] = round(typeof cap === 'number' ? Math.min(cap, stored) : stored);
+    destination.economy.treasury = round(destination.economy.treasury - value + tariff);
+
+    const entry = this.ledgerEntry(ledger, destination);
+    entry.imports = round(entry.imports + value);
+    entry.tariffs = round(entry.tariffs + tariff);
+    ledger.volume = round(ledger.volume + value);
+    ledger.tariffs = round(ledger.tariffs + tariff);
+
+    const id = routeId(caravan.fromNodeId, caravan.toNodeId);
+    const route = routes.get(id) || { id, fromNodeId: caravan.fromNodeId, toNodeId: caravan.toNodeId, trips: 0, volume: 0 };
+    const trade = {
+      caravanId: caravan.id,
+      merchantId: merchant.id,
+      merchantName: merchant.name,
+      routeId: id,
+      fromNodeId: caravan.fromNodeId,
+      toNodeId: caravan.toNodeId,
+      fromSettlementId: caravan.fromSettlementId,
+      toSettlementId: destination.id,
+      good: caravan.good,
+      quantity: caravan.quantity,
+      buyPrice: caravan.buyPrice,
+      sellPrice,
+      value,
+      tariff,
+      profit: round(value - tariff - caravan.cost),
+      newRoute: route.trips === 0
+    };
+    routes.set(id, { ...route, trips: route.trips + 1, volume: round(route.volume + value), lastTradedAt: ledger.turn });
+    ledger.trades.push(trade);
+
+    const influence = this.influenceService.updateInfluence(merchant.influence, destination, {
+      type: 'economic_event',
+      subtype: trade.newRoute ? 'new_trade_route' : 'trade_boom',
+      description: `${caravan.quantity} ${caravan.good} brought from ${caravan.fromNodeId}`,
+      intensity: Math.min(MAX_INTENSITY, value / VALUE_PER_INTENSITY)
+    }, { id: merchant.id, name: merchant.name, role: merchant.role, wealth: merchant.wealth });
+    this.publish(SimulationEventTypes.CARAVAN_ARRIVED, { turn: ledger.turn, ...trade });
+
+    const paid = merchant.withWealthChange(value - tariff);
+    return influence === merchant.influence ? paid : paid.withInfluence(influence);
+  }
+
+  ledgerEntry(ledger, settlement) {
+    if (!ledger.settlements[settlement.id]) {
+      ledger.settlements[settlement.id] = { exports: 0, imports: 0, tariffs: 0 };
+    }
+    return ledger.settlements[settlement.id];
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) {
+      this.eventBus.publish(type, payload);
+    }
+  }
+}
+
+export default TradeService;
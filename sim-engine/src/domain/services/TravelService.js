@@ -0,0 +1,204 @@
+// src/domain/services/TravelService.js
+
+import { weightedSelect } from '../../shared/utils/SelectionUtils.js';
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { SimulationEventTypes } from '../events/SimulationEvents.js';
+
+// Personality traits that make a character more (positive) or less (negative) willing to travel
+const WANDERLUST_TRAITS = Object.freeze({
+  curiosity: 1,
+  openness: 1,
+  adventurousness: 1,
+  restlessness: 1,
+  caution: -1,
+  neuroticism: -0.5
+});
+
+/**
+ * Moves characters between connected nodes
+ *
+ * Each turn a character who is not on the road weighs staying against every node
+ * listed in its current node's `connectedNodes`. A destination scores for the
+ * character's goals it serves, the interactions the character could take there and
+ * its resources; staying scores the same way for the current node, times `stayBias`.
+ * Curious characters discount the cost of the road, cautious ones don't leave at all
+ * as often, and tired ones (energy below `minTravelEnergy`) stay put.
+ *
+ * A journey takes `ceil(distance * difficulty / distancePerTurn)` turns (at least one).
+ * Worlds are mappless (nodes have no positions), so the distance is the link's own
+ * `distance`, or `defaultDistance` when the link doesn't give one. While on the road the character keeps its origin as
+ * `currentNodeId`, carries a `journey` and counts toward no node's population.
+ */
+class TravelService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Seeded rng for choosing whether and where to go
+   * @param {SimulationEventBus} [options.eventBus] - Receives CHARACTER_DEPARTED (arrivals are CHARACTER_MOVED)
+   * @param {number} [options.distancePerTurn=5] - Distance covered in one turn
+   * @param {number} [options.defaultDistance=distancePerTurn] - Length of a link without a distance
+   * @param {number} [options.stayBias=8] - How strongly characters prefer the node they are in
+   * @param {number} [options.minTravelEnergy=20] - Characters with less energy never set out
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.eventBus = options.eventBus || null;
+    this.distancePerTurn = options.distancePerTurn ?? 5;
+    if (!(this.distancePerTurn > 0)) {
+      throw new Error('distancePerTurn must be a positive number');
+    }
+    this.defaultDistance = options.defaultDistance ?? this.distancePerTurn;
+    this.stayBias = options.stayBias ?? 8;
+    this.minTravelEnergy = options.minTravelEnergy ?? 20;
+  }
+
+  /**
+   * Links out of a node, normalized from node ids or { nodeId | targetNodeId, distance, difficulty }
+   * @param {Object} node
+   * @returns {Array<{nodeId: string, distance: (number|undefined), difficulty: number}>}
+   */
+  linksFrom(node) {
+    const links = Array.isArray(node?.connectedNodes) ? node.connectedNodes : [];
+    return links
+      .map(link => (typeof link === 'string'
+        ? { nodeId: link, distance: undefined, difficulty: 1 }
+        : {
+          nodeId: link?.nodeId || link?.targetNodeId,
+          distance: typeof link?.distance === 'number' ? link.distance : undefined,
+          difficulty: link?.difficulty > 0 ? link.difficulty : 1
+        }))
+      .filter(link => typeof link.nodeId === 'string' && link.nodeId !== node.id);
+  }
+
+  /**
+   * Turns needed to travel a link
+   * @param {Object} [link] - From linksFrom
+   * @returns {number} Whole turns, at least 1
+   */
+  travelTime(link = {}) {
+    const distance = typeof link.distance === 'number' ? link.distance : this.defaultDistance;
+    const difficulty = link.difficulty > 0 ? link.difficulty : 1;
+    return Math.max(1, Math.ceil((distance * difficulty) / this.distancePerTurn));
+  }
+
+  /**
+   * Chooses whether a character stays or sets out, and where to
+   * @param {Character} character - A character that is not traveling
+   * @param {Object} worldState - { time, nodes }
+   * @returns {{toNodeId: string, turns: number}|null} The journey to start, or null to stay
+   */
+  chooseDestination(character, worldState) {
+    const currentNode = worldState.nodes.find(node => node.id === character.currentNodeId);
+    if (!currentNode || (character.energy ?? 50) < this.minTravelEnergy) return null;
+
+    const options = this.linksFrom(currentNode)
+      .map(link => {
+        const node = worldState.nodes.find(candidate => candidate.id === link.nodeId);
+        return node ? { node, turns: this.travelTime(link) } : null;
+      })
+      .filter(Boolean);
+    if (!options.length) return null;
+
+    const wanderlust = this.wanderlust(character);
+    const stay = { node: currentNode, turns: 0 };
+    const choice = weightedSelect([stay, ...options], option => (option === stay
+      ? this.attraction(character, currentNode, worldState) * this.stayBias * (1.5 - wanderlust)
+      : (this.attraction(character, option.node, worldState) * (0.5 + wanderlust)) / option.turns
+    ), this.rng);
+
+    return choice === stay ? null : { toNodeId: choice.node.id, turns: choice.turns };
+  }
+
+  /**
+   * How much a node draws a character: goals it serves, usable interactions and resources
+   * @param {Character} character
+   * @param {Object} node
+   * @param {Object} worldState
+   * @returns {number} Positive score
+   */
+  attraction(character, node, worldState) {
+    const interactions = Array.isArray(node.interactions) ? node.interactions : [];
+    const usable = interactions.filter(interaction =>
+      (typeof interaction.isAvailable !== 'function' || interaction.isAvailable(worldState.time)) &&
+      (typeof interaction.meetsRequirements !== 'function' || interaction.meetsRequirements(character))
+    );
+    const goalMatches = (character.goals || []).filter(goal => goal && (
+      goal.targetNodeId === node.id ||
+      (typeof goal.id === 'string' && (
+        node.name?.includes(goal.id) ||
+        node.type === goal.id ||
+        usable.some(interaction => interaction.name?.includes(goal.id))
+      ))
+    )).length;
+    const resources = Object.values(node.resources || node.resourceAvailability || {})
+      .filter(amount => typeof amount === 'number' && amount > 0)
+      .reduce((sum, amount) => sum + amount, 0);
+
+    return 1 + goalMatches * 2 + usable.length * 0.5 + Math.log10(1 + resources) / 2;
+  }
+
+  // 0 (homebody) to 1 (wanderer) from personality; 0.5 when no trait speaks to it
+  wanderlust(character) {
+    const personality = character.personality;
+    if (typeof personality?.getTrait !== 'function') return 0.5;
+    const shift = Object.entries(WANDERLUST_TRAITS).reduce((sum, [traitId, weight]) => {
+      const trait = personality.getTrait(traitId);
+      return trait ? sum + (trait.intensity - 0.5) * weight : sum;
+    }, 0);
+    return Math.max(0, Math.min(1, 0.5 + shift));
+  }
+
+  /**
+   * Runs a character's travel phase for this turn
+   * Arrives when the journey is due, otherwise keeps it on the road, otherwise may set out.
+   * Node populations follow: departure leaves the origin, arrival joins the destination.
+   * @param {Character} character
+   * @param {Object} worldState - { time, nodes }; nodes' `population` is updated in place
+   * @param {number} [turn=worldState.time] - Turn being played
+   * @returns {{character: Character, traveling: boolean}} `traveling` is true while on the road
+   */
+  advance(character, worldState, turn = worldState.time) {
+    const { journey } = character;
+    if (journey) {
+      if (turn < journey.arrivesAt) {
+        return { character, traveling: true };
+      }
+      this.adjustPopulation(worldState, journey.toNodeId, 1);
+      return { character: character.withTravel(journey.toNodeId, null), traveling: false };
+    }
+
+    const destination = this.chooseDestination(character, worldState);
+    if (!destination) {
+      return { character, traveling: false };
+    }
+
+    const departing = {
+      fromNodeId: character.currentNodeId,
+      toNodeId: destination.toNodeId,
+      departedAt: turn,
+      arrivesAt: turn + destination.turns
+    };
+    this.adjustPopulation(worldState, departing.fromNodeId, -1);
+    if (this.eventBus) {
+      this.eventBus.publish(SimulationEventTypes.CHARACTER_DEPARTED, {
+        turn,
+        characterId: character.id,
+        characterName: character.name,
+        ...departing
+      });
+    }
+    return { character: character.withTravel(character.currentNodeId, departing), traveling: true };
+  }
+
+  adjustPopulation(worldState, nodeId, change) {
+    const node = worldState.nodes.find(candidate => candidate.id === nodeId);
+    if (node) {
+      node.population = Math.max(0, (node.population || 0) + change);
+    }
+  }
+}
+
+// Characters at a node, not counting those on the road
+export const charactersAt = (npcs, nodeId) =>
+  npcs.filter(npc => npc?.currentNodeId === nodeId && !npc.journey);
+
+export default TravelService;
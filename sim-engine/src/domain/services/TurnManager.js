@@ -9,6 +9,9 @@
  * Requirements: Turn-based simulation control
  */
 
+import AutoRunner from './AutoRunner.js';
+import { maxTurnsReached } from './Breakpoints.js';
+
 class TurnManager {
   constructor(simulationService) {
     this.simulationService = simulationService;
@@ -32,6 +35,9 @@ class TurnManager {
     this.onTurnEnd = null;
     this.onTurnProcessed = null;
     this.onMaxTurnsReached = null;
+
+    // Set while autoRun() is playing turns
+    this.autoRunner = null;
   }
 
   /**
@@ -72,11 +78,12 @@ class TurnManager {
       throw new Error('Turn processing is paused');
     }
     
-    if (this.maxTurns && this.currentTurn >= this.maxTurns) {
+    const limit = maxTurnsReached(this.maxTurns).check({ turn: this.currentTurn });
+    if (limit) {
       if (this.onMaxTurnsReached) {
         this.onMaxTurnsReached(this.currentTurn);
       }
-      throw new Error(`Maximum turns reached (${this.maxTurns})`);
+      throw new Error(limit.message);
     }
 
     this.isProcessing = true;
@@ -151,7 +158,7 @@ class TurnManager {
         turnNumber: this.currentTurn,
         summary: turnSummary,
         processingTime,
-        canContinue: !this.maxTurns || this.currentTurn < this.maxTurns
+        canContinue: this.canContinue()
       };
       
       return result;
@@ -415,9 +422,55 @@ class TurnManager {
   }
 
   /**
-   * Pauses turn processing
+   * Processes turns automatically until a breakpoint hits, maxTurns is reached or
+   * pause() is called. maxTurns is added as a breakpoint, so a run that reaches it
+   * ends with reason 'breakpoint' and a 'maxTurns' hit.
+   * @param {Object} [options] - AutoRunner options (speed, tickDelay, breakpoints, onTurn)
+   * @returns {Promise<Object>} { reason, hits, turnsRun, turn }
+   */
+  async autoRun(options = {}) {
+    if (!this.canContinue()) {
+      return {
+        reason: 'breakpoint',
+        hits: [maxTurnsReached(this.maxTurns).check({ turn: this.currentTurn })],
+        turnsRun: 0,
+        turn: this.currentTurn
+      };
+    }
+
+    const breakpoints = [...(options.breakpoints || [])];
+    if (this.maxTurns) {
+      breakpoints.push(maxTurnsReached(this.maxTurns));
+    }
+
+    this.autoRunner = new AutoRunner({
+      step: () => this.processNextTurn(),
+      getWorldState: () => this.simulationService.getCurrentWorldState(),
+      getTurn: () => this.currentTurn,
+      getTurnEvents: (time) => {
+        const repository = this.simulationService.getHistoryRepository?.();
+        return repository ? repository.findEvents({ timeRange: { start: time, end: time } }) : [];
+      }
+    });
+
+    try {
+      const outcome = await this.autoRunner.run({ ...options, breakpoints });
+      if (outcome.hits.some(hit => hit.type === 'maxTurns') && this.onMaxTurnsReached) {
+        this.onMaxTurnsReached(this.currentTurn);
+      }
+      return outcome;
+    } finally {
+      this.autoRunner = null;
+    }
+  }
+
+  /**
+   * Pauses turn processing (and stops an automatic run after its current turn)
    */
   pause() {
+    if (this.autoRunner) {
+      this.autoRunner.stop();
+    }
     this.isPaused = true;
     console.log('Turn processing paused');
   }
@@ -443,6 +496,27 @@ class TurnManager {
     console.log('TurnManager reset');
   }
 
+  /**
+   * Rewinds the simulation to an earlier turn and forgets everything after it
+   * @param {number} turnNumber - Turn to return to (must have a snapshot)
+   * @returns {Object} Restored world state
+   */
+  rewindTo(turnNumber) {
+    if (this.isProcessing) {
+      throw new Error('Cannot rewind while a turn is being processed');
+    }
+
+    const worldState = this.simulationService.rewindTo(turnNumber);
+    this.currentTurn = turnNumber;
+    this.turnHistory = this.turnHistory.filter(turnState => turnState.turn <= turnNumber);
+    Array.from(this.turnSummaries.keys())
+      .filter(turn => turn > turnNumber)
+      .forEach(turn => this.turnSummaries.delete(turn));
+    this.eventLog = this.eventLog.filter(event => event.turn <= turnNumber);
+
+    return worldState;
+  }
+
   /**
    * Auto-saves the current simulation state
    * @returns {Promise<void>}
@@ -504,10 +578,18 @@ class TurnManager {
       historySize: this.turnHistory.length,
       summaryCount: this.turnSummaries.size,
       eventCount: this.eventLog.length,
-      canContinue: !this.maxTurns || this.currentTurn < this.maxTurns
+      canContinue: this.canContinue()
     };
   }
 
+  /**
+   * Whether another turn may be processed under maxTurns
+   * @returns {boolean}
+   */
+  canContinue() {
+    return !maxTurnsReached(this.maxTurns).check({ turn: this.currentTurn });
+  }
+
   /**
    * Exports turn history for analysis
    * @param {number} startTurn - Start turn (optional)
@@ -0,0 +1,150 @@
+// src/domain/services/__tests__/AutoRunner.test.js
+
+import AutoRunner from '../AutoRunner';
+import TurnManager from '../TurnManager';
+import { worldPredicate } from '../Breakpoints';
+
+// A world whose only character loses 10 health per turn
+const createWorld = () => {
+  let worldState = { time: 0, tickDelay: 400, npcs: [{ id: 'a', name: 'Aria', health: 30 }] };
+  return {
+    get: () => worldState,
+    step: jest.fn(() => {
+      worldState = {
+        ...worldState,
+        time: worldState.time + 1,
+        npcs: worldState.npcs.map(npc => ({ ...npc, health: npc.health - 10 }))
+      };
+      return { worldState };
+    })
+  };
+};
+
+describe('AutoRunner', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should run at full speed until a breakpoint hits', async () => {
+    const world = createWorld();
+    const runner = new AutoRunner({ step: world.step, getWorldState: world.get, yieldControl: () => Promise.resolve() });
+    const onTurn = jest.fn();
+
+    const outcome = await runner.run({ speed: Infinity, breakpoints: [{ type: 'characterDeath' }], onTurn });
+
+    expect(outcome).toEqual(expect.objectContaining({ reason: 'breakpoint', turnsRun: 3, turn: 3 }));
+    expect(outcome.hits[0].message).toBe('Aria died');
+    expect(onTurn).toHaveBeenCalledTimes(3);
+    expect(runner.isRunning).toBe(false);
+  });
+
+  test('should wait tickDelay divided by the speed between turns', async () => {
+    jest.useFakeTimers();
+    const flush = async () => {
+      for (let i = 0; i < 5; i++) await Promise.resolve();
+    };
+    const world = createWorld();
+    const runner = new AutoRunner({ step: world.step, getWorldState: world.get });
+
+    const done = runner.run({ speed: 2, breakpoints: [worldPredicate(state => state.time === 2)] });
+
+    jest.advanceTimersByTime(199);
+    await flush();
+    expect(world.step).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(world.step).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(200);
+    expect((await done).turn).toBe(2);
+
+    runner.setSpeed(4);
+    expect(runner.delayFor()).toBe(100);
+    expect(runner.delayFor(1000)).toBe(250);
+  });
+
+  test('should stop while waiting without playing another turn', async () => {
+    const world = createWorld();
+    const runner = new AutoRunner({ step: world.step, getWorldState: world.get });
+
+    const done = runner.run({ tickDelay: 60000 });
+    runner.stop();
+
+    expect(await done).toEqual(expect.objectContaining({ reason: 'stopped', turnsRun: 0 }));
+    expect(world.step).not.toHaveBeenCalled();
+  });
+
+  test('should report a failing turn instead of rejecting', async () => {
+    const runner = new AutoRunner({
+      step: () => { throw new Error('bad tick'); },
+      getWorldState: () => ({ time: 0, npcs: [] }),
+      yieldControl: () => Promise.resolve()
+    });
+
+    expect(await runner.run({ speed: Infinity })).toEqual(expect.objectContaining({ reason: 'error', error: 'bad tick' }));
+  });
+
+  test('should reject speeds that are not positive', async () => {
+    const runner = new AutoRunner({ step: jest.fn(), getWorldState: () => null });
+
+    await expect(runner.run({ speed: 0 })).rejects.toThrow('Speed must be a positive multiplier');
+    expect(runner.isRunning).toBe(false);
+  });
+});
+
+describe('TurnManager auto-run', () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  const createTurnManager = (maxTurns) => {
+    const world = createWorld();
+    const simulationService = {
+      getCurrentWorldState: () => ({ ...world.get(), characters: [], nodes: [] }),
+      processTurn: world.step
+    };
+    const turnManager = new TurnManager(simulationService);
+    turnManager.initialize(world.get(), { maxTurns, autoSave: false });
+    return turnManager;
+  };
+
+  test('should stop at maxTurns through the breakpoint mechanism', async () => {
+    const turnManager = createTurnManager(2);
+    turnManager.onMaxTurnsReached = jest.fn();
+
+    const outcome = await turnManager.autoRun({ speed: Infinity });
+
+    expect(outcome.reason).toBe('breakpoint');
+    expect(outcome.hits).toEqual([expect.objectContaining({ type: 'maxTurns', message: 'Maximum turns reached (2)' })]);
+    expect(turnManager.currentTurn).toBe(2);
+    expect(turnManager.onMaxTurnsReached).toHaveBeenCalledWith(2);
+    expect(turnManager.canContinue()).toBe(false);
+    await expect(turnManager.processNextTurn()).rejects.toThrow('Maximum turns reached (2)');
+  });
+
+  test('should not play a turn once maxTurns has been reached', async () => {
+    const turnManager = createTurnManager(1);
+    await turnManager.processNextTurn();
+
+    const outcome = await turnManager.autoRun({ speed: Infinity });
+
+    expect(outcome).toEqual(expect.objectContaining({ reason: 'breakpoint', turnsRun: 0, turn: 1 }));
+  });
+
+  test('should stop when paused', async () => {
+    const turnManager = createTurnManager(null);
+
+    const done = turnManager.autoRun({ tickDelay: 60000 });
+    turnManager.pause();
+
+    expect((await done).reason).toBe('stopped');
+    expect(turnManager.currentTurn).toBe(0);
+  });
+});
@@ -0,0 +1,32 @@
+// src/domain/services/__tests__/BiographyService.test.js
+
+import BiographyService from '../BiographyService';
+import Character from '../../entities/Character';
+import { dateOfTurn } from '../../../shared/utils/TimeUtils';
+
+// Ann is born in turn 2, does a good deed in turn 5 and wins renown in turn 8
+const ann = new Character({ id: 'ann', name: 'Ann', bornAt: 2, currentNodeId: 'keep' })
+  .withEncounterEffects([{ type: 'alignment', target: 'moral', value: 10 }], { reason: 'Saved a child', timestamp: dateOfTurn(5) })
+  .withEncounterEffects([{ type: 'prestige', target: 'honor', value: 0.5 }, { type: 'influence', target: 'social', value: 6 }], { reason: 'Quest: The Lost Ore', timestamp: dateOfTurn(8) });
+
+const events = [
+  { id: 'e1', timestamp: 2, type: 'birth', characterId: 'ann', characterName: 'Ann', location: 'keep', significance: 0.8, description: 'Ann was born.' },
+  { id: 'e2', timestamp: 8, type: 'quest_completed', characterId: 'ann', characterName: 'Ann', questId: 'ore', location: 'keep', significance: 0.8, description: 'Ann completed the quest The Lost Ore.' }
+];
+
+describe('BiographyService', () => {
+  test('should merge events and value changes into one chronological life', () => {
+    const record = new BiographyService().lifeRecord(ann, events, { now: 10 });
+
+    expect(record.entries.map(entry => [entry.turn, entry.kind])).toEqual([
+      [2, 'event'], [5, 'alignment'], [8, 'event'], [8, 'influence']
+    ]);
+    expect(record.entries[1].description).toBe('Moral Axis +10 (now +10): Saved a child');
+
+    const moral = record.series.alignment.find(line => line.id === 'moral');
+    expect(moral.points).toEqual([{ turn: 2, value: 0 }, { turn: 5, value: 10 }, { turn: 10, value: 10 }]);
+    // Below minChange: charted, not listed
+    const honor = record.series.prestige.find(line => line.id === 'honor');
+    expect(honor.points.map(point => point.turn)).toEqual([2, 8, 10]);
+  });
+});
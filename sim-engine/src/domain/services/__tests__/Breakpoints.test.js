@@ -0,0 +1,135 @@
+// src/domain/services/__tests__/Breakpoints.test.js
+
+import {
+  captureBreakpointState,
+  characterDeath,
+  createBreakpoint,
+  encounterTriggered,
+  evaluateBreakpoints,
+  isCharacterAlive,
+  maxTurnsReached,
+  prestigeLevelCrossed,
+  worldPredicate
+} from '../Breakpoints';
+import { Prestige } from '../../value-objects/Prestige';
+
+const militaryTrack = {
+  id: 'military',
+  name: 'Military',
+  min: 0,
+  max: 100,
+  defaultValue: 10,
+  decayRate: 0,
+  levels: [
+    { name: 'Unknown', min: 0, max: 19, politicalPower: 0 },
+    { name: 'Recognized', min: 20, max: 39, politicalPower: 5 },
+    { name: 'Renowned', min: 40, max: 100, politicalPower: 15 }
+  ]
+};
+
+const world = (npcs, extra = {}) => ({ time: 3, npcs, ...extra });
+
+const turnContext = (beforeWorld, afterWorld, events = []) => ({
+  turn: afterWorld.time,
+  before: captureBreakpointState(beforeWorld),
+  after: captureBreakpointState(afterWorld),
+  world: afterWorld,
+  events
+});
+
+describe('Breakpoints', () => {
+  test('should treat flagged or out-of-health characters as dead', () => {
+    expect(isCharacterAlive({ health: 40 })).toBe(true);
+    expect(isCharacterAlive({ health: 0 })).toBe(false);
+    expect(isCharacterAlive({ health: 40, isAlive: false })).toBe(false);
+    expect(isCharacterAlive({ status: 'dead' })).toBe(false);
+    expect(isCharacterAlive(undefined)).toBe(false);
+  });
+
+  test('should hit when a character dies or disappears', () => {
+    const before = world([{ id: 'a', name: 'Aria', health: 10 }, { id: 'b', name: 'Borin', health: 10 }]);
+    const after = world([{ id: 'a', name: 'Aria', health: 0 }], { time: 4 });
+
+    const hit = characterDeath().check(turnContext(before, after));
+
+    expect(hit).toEqual(expect.objectContaining({ type: 'characterDeath', characterIds: ['a', 'b'] }));
+    expect(characterDeath({ characterId: 'c' }).check(turnContext(before, after))).toBeNull();
+  });
+
+  test('should not hit for characters that were already dead', () => {
+    const before = world([{ id: 'a', name: 'Aria', health: 0 }]);
+
+    expect(characterDeath().check(turnContext(before, before))).toBeNull();
+  });
+
+  test('should hit when an encounter interaction is logged during the turn', () => {
+    const events = [
+      { id: 'e1', type: 'dialogue', interactionId: 'int-1' },
+      { id: 'e2', type: 'encounter', interactionId: 'encounter_bandits_base', interactionName: 'Bandit Ambush' }
+    ];
+    const context = turnContext(world([]), world([]), events);
+
+    expect(encounterTriggered().check(context)).toEqual(expect.objectContaining({
+      eventIds: ['e2'],
+      message: 'Encounter: Bandit Ambush'
+    }));
+    expect(encounterTriggered({ encounterId: 'bandits' }).check(context)).not.toBeNull();
+    expect(encounterTriggered({ encounterId: 'dragon' }).check(context)).toBeNull();
+  });
+
+  test('should hit when a prestige track crosses into another level', () => {
+    const prestige = new Prestige([militaryTrack]);
+    const before = world([{ id: 'a', name: 'Aria', prestige }]);
+    const after = world([{ id: 'a', name: 'Aria', prestige: prestige.withChange('military', 15, 'Won a duel') }]);
+
+    const hit = prestigeLevelCrossed().check(turnContext(before, after));
+
+    expect(hit.crossings).toEqual([
+      { characterId: 'a', name: 'Aria', trackId: 'military', from: 'Unknown', to: 'Recognized' }
+    ]);
+    expect(prestigeLevelCrossed({ level: 'Renowned' }).check(turnContext(before, after))).toBeNull();
+  });
+
+  test('should read prestige levels from serialized characters', () => {
+    const before = world([{ id: 'a', name: 'Aria', prestige: new Prestige([militaryTrack]).toJSON() }]);
+    const after = world([{ id: 'a', name: 'Aria', prestige: new Prestige([militaryTrack], { military: 45 }).toJSON() }]);
+
+    expect(prestigeLevelCrossed({ trackId: 'military' }).check(turnContext(before, after)).crossings[0].to).toBe('Renowned');
+  });
+
+  test('should evaluate custom predicates and declarative conditions', () => {
+    const after = world([], { resources: { gold: 120 } });
+    const context = turnContext(after, after);
+
+    expect(worldPredicate(state => state.resources.gold > 100, { description: 'Rich' }).check(context))
+      .toEqual({ type: 'predicate', message: 'Rich' });
+    expect(createBreakpoint({ type: 'condition', path: 'resources.gold', operator: '>=', value: 100 }).check(context))
+      .not.toBeNull();
+    expect(createBreakpoint({ type: 'condition', path: 'resources.gold', operator: '<', value: 100 }).check(context))
+      .toBeNull();
+  });
+
+  test('should stop at maxTurns and ignore an unset limit', () => {
+    expect(maxTurnsReached(5).check({ turn: 5 }).message).toBe('Maximum turns reached (5)');
+    expect(maxTurnsReached(5).check({ turn: 4 })).toBeNull();
+    expect(maxTurnsReached(null).check({ turn: 500 })).toBeNull();
+  });
+
+  test('should evaluate a mix of specs and breakpoints', () => {
+    const before = world([{ id: 'a', name: 'Aria', health: 5 }]);
+    const after = world([{ id: 'a', name: 'Aria', health: 0 }], { time: 4 });
+
+    const hits = evaluateBreakpoints([
+      { type: 'maxTurns', maxTurns: 10 },
+      { type: 'characterDeath' },
+      maxTurnsReached(4)
+    ], turnContext(before, after));
+
+    expect(hits.map(hit => hit.type)).toEqual(['characterDeath', 'maxTurns']);
+  });
+
+  test('should reject unknown specs', () => {
+    expect(() => createBreakpoint({ type: 'eclipse' })).toThrow('Unknown breakpoint type: eclipse');
+    expect(() => createBreakpoint({ type: 'condition', path: 'x', operator: '~' })).toThrow('Invalid condition breakpoint');
+  });
+});
@@ -0,0 +1,79 @@
+// src/domain/services/__tests__/ChronicleGenerator.test.js
+
+import ChronicleGenerator from '../ChronicleGenerator';
+import ChronicleRenderer from '../ChronicleRenderer';
+
+// Always the first variant
+const first = { next: () => 0, nextInt: min => min };
+
+let nextId = 0;
+const event = (timestamp, type, extra = {}) => ({ id: `e${nextId++}`, timestamp, type, location: 'keep', significance: 0.5, ...extra });
+
+const world = {
+  worldName: 'Vale',
+  nodes: [{ id: 'keep', name: 'Keep' }, { id: 'farm', name: 'Farm' }],
+  settlements: [{ id: 'keep_town', name: 'Keep Town' }],
+  npcs: [
+    { id: 'ann', name: 'Ann', role: 'smith', pronouns: 'she/her' },
+    { id: 'bob', name: 'Bob', role: 'citizen' }
+  ],
+  deceased: [{ id: 'old', name: 'Old King', cause: 'old_age' }],
+  factions: [{ id: 'smiths', name: 'Smiths\' Guild', type: 'guild' }],
+  questTemplates: [{ id: 'ore', name: 'The Lost Ore' }]
+};
+
+describe('ChronicleGenerator', () => {
+  test('should open eras at turning points and after eraLength, and rank highlights and arcs', () => {
+    const events = [
+      event(0, 'birth', { characterId: 'ann', significance: 0.8 }),
+      event(2, 'relationship_broken', { characterId: 'bob', otherId: 'ann', significance: 0.2 }),
+      event(4, 'quest_accepted', { characterId: 'ann', questId: 'ore', significance: 0.4 }),
+      // Too soon after the era opened to close it
+      event(5, 'death', { characterId: 'bob', significance: 1 }),
+      event(20, 'death', { characterId: 'old', significance: 1 }),
+      event(22, 'quest_completed', { characterId: 'ann', questId: 'ore', significance: 0.8 }),
+      event(40, 'faction_joined', { characterId: 'ann', factionId: 'smiths', location: 'Unknown', significance: 0.4 })
+    ];
+
+    const chronicle = new ChronicleGenerator({ eraLength: 15, minEraLength: 10, eventsPerChapter: 2 }).generate(events, world);
+
+    expect(chronicle).toMatchObject({ worldName: 'Vale', start: 0, end: 40, total: 7 });
+    expect(chronicle.eras.map(era => [era.start, era.end, era.total, era.opening?.type || null]))
+      .toEqual([[0, 5, 4, null], [20, 22, 2, 'death'], [40, 40, 1, null]]);
+    // The two most significant, told in order; the minor quarrel is left out
+    expect(chronicle.eras[0].highlights.map(highlight => highlight.type)).toEqual(['birth', 'death']);
+    expect(chronicle.eras[1].highlights.map(highlight => highlight.type)).toEqual(['death', 'quest_completed']);
+
+    expect(chronicle.arcs.map(arc => [arc.id, arc.name, arc.events.length])).toEqual([
+      ['node:keep', 'Keep', 6],
+      ['character:ann', 'Ann', 4]
+    ]);
+    expect(chronicle.arcs[1]).toMatchObject({ start: 0, end: 40, significance: 2.4, peak: expect.objectContaining({ type: 'birth' }) });
+  });
+});
+
+describe('ChronicleRenderer', () => {
+  test('should introduce characters once, then refer back by pronoun, "there" and the faction\'s kind', () => {
+    const events = [
+      event(0, 'birth', { characterId: 'ann', significance: 0.8 }),
+      event(1, 'faction_joined', { characterId: 'ann', factionId: 'smiths', significance: 0.6 }),
+      event(2, 'faction_goal_completed', { factionId: 'smiths', goalId: 'grow', location: 'Unknown', significance: 0.6 }),
+      event(3, 'interaction', { characterId: 'bob', interactionId: 'haggle', interactionName: 'Haggling', outcome: 'negative', location: 'farm', significance: 0.6 }),
+      event(4, 'interaction', { characterId: 'bob', interactionId: 'barter', interactionName: 'Bartering', outcome: 'positive', location: 'farm', significance: 0.6 }),
+      event(5, 'relationship_formed', { characterId: 'bob', otherId: 'ann', relationshipType: 'rivalry', location: 'farm', significance: 0.6 })
+    ];
+    const chronicle = new ChronicleGenerator({ minArcEvents: 2 }).generate(events, world);
+
+    const document = new ChronicleRenderer({ rng: first }).compose(chronicle);
+
+    const [chapter] = document.chapters;
+    expect(chapter).toMatchObject({ title: 'Chapter 1: The First Years', span: 'Turns 0–5' });
+    expect(chapter.paragraphs).toEqual([
+      'These are the turns 0 to 5, 6 recorded events in all.',
+      'Ann the smith was born at Keep. She joined Smiths\' Guild. The guild achieved its aim, grow.',
+      'Meanwhile, Bob failed at Haggling at Farm. They succeeded at Bartering there. Bob and Ann became rivals.',
+      'Of all who lived in these years, Bob left the deepest mark.'
+    ]);
+    expect(document.figures.map(figure => [figure.name, figure.role])).toEqual([['Bob', 'citizen'], ['Ann', 'smith']]);
+  });
+});
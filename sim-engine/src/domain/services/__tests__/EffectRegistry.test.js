@@ -0,0 +1,113 @@
+// src/domain/services/__tests__/EffectRegistry.test.js
+
+import EffectRegistry from '../EffectRegistry';
+import InteractionResolver from '../InteractionResolver';
+import Interaction from '../../entities/Interaction';
+import { lucky, character, buildWorld } from '../../../test/fixtures';
+
+const fieldWorld = npcs => buildWorld({
+  time: 4,
+  nodes: [{ id: 'field', name: 'Field', resourceAvailability: { food: 15 } }],
+  npcs,
+  resources: { food: 15 }
+});
+
+describe('EffectRegistry', () => {
+  test('should move resources between the node and the character\'s inventory', () => {
+    const registry = new EffectRegistry();
+    const world = fieldWorld([character('a', 'field')]);
+    const context = { node: world.nodes[0], worldState: world };
+
+    let a = registry.apply(world.npcs[0], [{ type: 'resource', target: 'food', value: 10 }], context);
+    expect(a.inventory).toEqual([{ id: 'food', name: 'food', type: 'resource', quantity: 10 }]);
+    expect(world.nodes[0].resourceAvailability.food).toBe(5);
+    expect(world.resources.food).toBe(5);
+
+    // No more than the node has; then some of it back
+    a = registry.apply(a, [{ type: 'resource', target: 'food', value: 10 }, { type: 'resource', target: 'food', value: -3 }], context);
+    expect(a.inventory[0].quantity).toBe(12);
+    expect(world.nodes[0].resourceAvailability.food).toBe(3);
+
+    a = registry.apply(a, [{ type: 'resource', target: 'food', value: -20, scope: 'inventory' }, { type: 'resource', target: 'ore', value: 4, scope: 'node' }], context);
+    expect(a.inventory).toEqual([]);
+    expect(world.nodes[0].resourceAvailability.ore).toBe(4);
+  });
+
+  test('should apply stats, items and value-object deltas through withChange, stamped with the turn', () => {
+    const registry = new EffectRegistry();
+    const before = character('a', 'field');
+
+    const after = registry.apply(before, [
+      { type: 'item', target: 'sword' },
+      { type: 'health', value: -30 },
+      { type: 'mood', value: 10 },
+      { type: 'prestige', target: 'honor', value: 5 },
+      { type: 'influence', target: 'economic', value: 3 },
+      { type: 'alignment', target: 'moral', value: -2 }
+    ], { turn: 2, daysPerTurn: 10, reason: 'Interaction: Duel' });
+
+    expect(after.inventory).toEqual([expect.objectContaining({ id: 'sword', quantity: 1 })]);
+    expect(after).toMatchObject({ health: 70, mood: 60 });
+    expect(after.prestige.getValue('honor')).toBe(before.prestige.getValue('honor') + 5);
+    expect(after.influence.getValue('economic')).toBe(before.influence.getValue('economic') + 3);
+    expect(after.alignment.getValue('moral')).toBe(before.alignment.getValue('moral') - 2);
+    expect(after.prestige.getLastChange('honor')).toMatchObject({ reason: 'Interaction: Duel', timestamp: new Date(20 * 24 * 60 * 60 * 1000) });
+  });
+
+  test('should change relationships with named participants, both ways when mutual', () => {
+    const registry = new EffectRegistry();
+    const world = fieldWorld([character('a', 'field'), character('b', 'field'), character('c', 'field')]);
+    const context = { worldState: world, participants: ['a', 'b', 'c'] };
+
+    const a = registry.apply(world.npcs[0], [
+      { type: 'relationship', target: 'participants', value: 2 },
+      { type: 'relationship', target: 'C', value: 5, mutual: true }
+    ], context);
+
+    expect(a.relationships.get('b')).toBe(2);
+    expect(a.relationships.get('c')).toBe(7);
+    expect(world.npcs[2].relationships.get('a')).toBe(5);
+    expect(world.npcs[1].relationships.has('a')).toBe(false);
+  });
+
+  test('should mark quest steps cleared on active runs only', () => {
+    const registry = new EffectRegistry();
+    const a = character('a', 'field', { quests: [{ id: 'wolves', status: 'active' }, { id: 'bandits', status: 'completed' }] });
+
+    const after = registry.apply(a, [{ type: 'quest', target: 'wolves' }, { type: 'quest', target: 'bandits' }]);
+
+    expect(after.quests).toEqual([{ id: 'wolves', status: 'active', stepsCleared: 1 }, { id: 'bandits', status: 'completed' }]);
+  });
+
+  test('should take new effect types, and skip unknown ones with a warning', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const registry = new EffectRegistry().register('rest', (current, effect) => current.withEncounterEffects([{ type: 'energy', value: effect.value }]));
+
+    const after = registry.apply(character('a', 'field', { energy: 10 }), [{ type: 'rest', value: 40 }, { type: 'teleport' }]);
+
+    expect(after.energy).toBe(50);
+    expect(warn).toHaveBeenCalledWith('Unknown effect type: teleport');
+    expect(() => registry.register('bad')).toThrow('An effect handler needs a type and a function');
+    warn.mockRestore();
+  });
+});
+
+describe('Interaction effects', () => {
+  const gather = () => new Interaction({
+    id: 'gather',
+    name: 'Gather Resources',
+    type: 'action',
+    effects: [{ type: 'mood', value: 5 }],
+    branches: [{ id: 'success', text: 'Resources gathered', effects: [{ type: 'resource', value: 10, target: 'food' }] }]
+  });
+
+  test('should be applied by the resolver on success, leaving the character it was given untouched', () => {
+    const world = fieldWorld([character('a', 'field')]);
+    const resolution = new InteractionResolver({ rng: lucky }).resolve(world.npcs[0], gather(), 'success', 4, { node: world.nodes[0], worldState: world });
+
+    expect(resolution.success).toBe(true);
+    expect(resolution.character.inventory).toEqual([expect.objectContaining({ id: 'food', quantity: 10 })]);
+    expect(resolution.character.mood).toBe(55);
+    expect(world.npcs[0].inventory).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+// src/domain/services/__tests__/FactionService.test.js
+
+import FactionService from '../FactionService';
+import Faction from '../../entities/Faction';
+import RelationshipGraph from '../../entities/RelationshipGraph';
+import TemplateGenerator from '../../../template/TemplateGenerator';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+import { lucky, unlucky, character, listen } from '../../../test/fixtures';
+
+const guild = (extra = {}) => ({
+  id: 'smiths',
+  name: 'Smiths\' Guild',
+  type: 'guild',
+  nodeId: 'keep',
+  members: [{ characterId: 'ann', rankId: 'leader' }, { characterId: 'bob', rankId: 'member' }],
+  leaderId: 'ann',
+  ...extra
+});
+
+// Ties both ways between pairs of characters
+const graphOf = (...ties) => {
+  const graph = new RelationshipGraph();
+  ties.forEach(([from, to, affinity]) => {
+    graph.setEdge(from, to, { affinity });
+    graph.setEdge(to, from, { affinity });
+  });
+  return graph.toJSON();
+};
+
+describe('Faction', () => {
+  test('should instantiate group templates with their hierarchy and roles', () => {
+    const template = {
+      ...TemplateGenerator.generateGroupTemplate('Temple of Dawn', 'Keepers of the flame', ['religion']),
+      members: ['ann', 'bob'],
+      roles: { ann: 'priest' },
+      hierarchy: { priest: 2, acolyte: 0 },
+      rules: ['No blades in the temple']
+    };
+
+    const faction = Faction.fromTemplate(template, { nodeId: 'keep' });
+
+    expect(faction).toMatchObject({ name: 'Temple of Dawn', type: 'religion', nodeId: 'keep', leaderId: 'ann' });
+    expect(faction.members.map(member => member.rankId)).toEqual(['priest', 'acolyte']);
+    expect(faction.description).toBe('Keepers of the flame\nNo blades in the temple');
+    expect(Faction.fromJSON(faction.toJSON()).toJSON()).toEqual(faction.toJSON());
+  });
+});
+
+describe('FactionService', () => {
+  test('should collect dues, recruit at the seat and complete goals', () => {
+    const eventBus = new SimulationEventBus();
+    const joined = listen(eventBus, SimulationEventTypes.FACTION_JOINED);
+    const goals = listen(eventBus, SimulationEventTypes.FACTION_GOAL_COMPLETED);
+    const world = {
+      time: 3,
+      npcs: [character('ann', 'keep', { wealth: 10 }), character('bob', 'keep', { wealth: 1 }), character('cid', 'keep'), character('dee', 'mine')],
+      factions: [guild({
+        recruitment: { openness: 0.5, dues: 2 },
+        goals: [{ id: 'grow', type: 'members', target: 3 }, { id: 'rich', type: 'wealth', target: 100 }]
+      })]
+    };
+
+    const [report] = new FactionService({ rng: lucky, eventBus }).advance(world, 3);
+
+    const [faction] = world.factions;
+    expect(world.npcs.map(npc => npc.wealth)).toEqual([8, 0, 0, 0]);
+    expect(faction.resources.coin).toBe(3);
+    // Dee is away at the mine
+    expect(faction.members.map(member => member.characterId)).toEqual(['ann', 'bob', 'cid']);
+    expect(faction.members[2]).toMatchObject({ rankId: 'initiate', joinedAt: 3 });
+    expect(faction.goals).toEqual([
+      expect.objectContaining({ id: 'grow', status: 'completed', completedAt: 3 }),
+      expect.objectContaining({ id: 'rich', status: 'active' })
+    ]);
+    expect(report).toMatchObject({ factionId: 'smiths', joined: ['cid'], goalsCompleted: ['grow'], members: 3, coin: 3, dissolved: false });
+    expect(joined.mock.calls[0][0].payload).toMatchObject({ factionId: 'smiths', characterId: 'cid', characterName: 'CID' });
+    expect(goals).toHaveBeenCalledTimes(1);
+    expect(faction.history.map(entry => entry.type)).toEqual(['joined', 'goal_completed']);
+  });
+
+  test('should lose disloyal members and hand the lead to the successor', () => {
+    const eventBus = new SimulationEventBus();
+    const left = listen(eventBus, SimulationEventTypes.FACTION_LEFT);
+    const leader = listen(eventBus, SimulationEventTypes.FACTION_LEADER_CHANGED);
+    const world = {
+      npcs: [character('ann', 'keep'), character('bob', 'keep'), character('cid', 'keep')],
+      // Ann can't stand the others
+      relationshipGraph: graphOf(['ann', 'bob', -100], ['ann', 'cid', -100], ['bob', 'cid', 40]),
+      factions: [guild({
+        members: [
+          { characterId: 'ann', rankId: 'leader', loyalty: 26 },
+          { characterId: 'bob', rankId: 'member', loyalty: 60, joinedAt: 2 },
+          { characterId: 'cid', rankId: 'member', loyalty: 60, joinedAt: 1 }
+        ],
+        recruitment: { openness: 0 }
+      })]
+    };
+
+    new FactionService({ rng: unlucky, eventBus }).advance(world, 5);
+
+    const [faction] = world.factions;
+    expect(faction.members.map(member => member.characterId)).toEqual(['bob', 'cid']);
+    // Same rank and loyalty: Cid has served longer
+    expect(faction.leaderId).toBe('cid');
+    expect(faction.members[1].rankId).toBe('leader');
+    expect(faction.cohesion).toBeLessThan(0.5);
+    expect(left.mock.calls[0][0].payload).toMatchObject({ characterId: 'ann', reason: 'disloyal' });
+    expect(leader.mock.calls[0][0].payload).toMatchObject({ fromCharacterId: 'ann', toCharacterId: 'cid' });
+  });
+
+  test('should sour the stance of feuding factions and dissolve the ones that dwindle', () => {
+    const eventBus = new SimulationEventBus();
+    const stances = listen(eventBus, SimulationEventTypes.FACTION_STANCE_CHANGED);
+    const dissolved = listen(eventBus, SimulationEventTypes.FACTION_DISSOLVED);
+    const world = {
+      npcs: [character('ann', 'keep'), character('bob', 'keep'), character('cid', 'keep'), character('dee', 'keep')],
+      relationshipGraph: graphOf(['ann', 'cid', -80], ['ann', 'dee', -80], ['bob', 'cid', -80], ['bob', 'dee', -80]),
+      factions: [
+        guild({ stances: { masons: -45 } }),
+        guild({ id: 'masons', name: 'Masons', members: ['cid', 'dee'], leaderId: null, stances: { smiths: -45 } }),
+        guild({ id: 'hermits', name: 'Hermits', members: ['ann'], leaderId: null, turnsBelowQuorum: 1 })
+      ]
+    };
+    const service = new FactionService({ rng: unlucky, eventBus, graceTurns: 1 });
+
+    service.advance(world, 0);
+
+    const [smiths, masons, hermits] = world.factions;
+    // 10% of the way from -45 towards -80, less 20 for two guilds in one keep
+    expect(smiths.stances.masons).toBe(-50.5);
+    expect(masons.stances.smiths).toBe(smiths.stances.masons);
+    expect(stances.mock.calls[0][0].payload).toMatchObject({ factionId: 'smiths', otherId: 'masons', from: 'rival', to: 'hostile' });
+    expect(smiths.collective.frequency).toBeLessThan(7.5);
+    expect(hermits).toMatchObject({ status: 'dissolved', dissolvedAt: 0, members: [] });
+    expect(smiths.stances.hermits).toBeUndefined();
+    expect(dissolved.mock.calls[0][0].payload).toMatchObject({ factionId: 'hermits', memberIds: ['ann'] });
+  });
+});
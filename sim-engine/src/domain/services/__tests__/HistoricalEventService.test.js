@@ -0,0 +1,118 @@
+// src/domain/services/__tests__/HistoricalEventService.test.js
+
+import HistoricalEventService from '../HistoricalEventService';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+import { lucky, character, buildWorld } from '../../../test/fixtures';
+
+// The keep and the farm are linked; the isle is on its own
+const realmWorld = (eventTemplates = []) => buildWorld({
+  nodes: [
+    { id: 'keep', name: 'Keep', connectedNodes: ['farm'] },
+    { id: 'farm', name: 'Farm', connectedNodes: ['keep'], resourceAvailability: { food: 100 } },
+    { id: 'isle', name: 'Isle', connectedNodes: [] }
+  ],
+  npcs: [character('ann', 'keep'), character('bob', 'farm'), character('cid', 'isle')],
+  settlements: [{
+    id: 'keep_town',
+    name: 'Keep Town',
+    nodeId: 'keep',
+    population: 100,
+    prosperity: 0.5,
+    stability: 0.5,
+    resources: { amounts: { food: 200 } },
+    government: { type: 'monarchy', leader: null, structure: [] }
+  }],
+  eventTemplates
+});
+
+const template = (extra = {}) => ({
+  id: 'border_war',
+  name: 'Border War',
+  description: 'Raiders cross the river',
+  tags: ['war'],
+  trigger: { type: 'immediate' },
+  conditions: [],
+  actions: [],
+  consequences: [],
+  ...extra
+});
+
+describe('HistoricalEventService', () => {
+  test('should strike the places and people in scope and fire an immediate event once', () => {
+    const eventBus = new SimulationEventBus();
+    const alignment = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.ALIGNMENT_CHANGED, alignment);
+    const world = realmWorld([template({
+      historicalSimulation: { impact: { immediate: { magnitude: 2, scope: { level: 'regional', nodeIds: ['keep'] } } } }
+    })]);
+    const service = new HistoricalEventService({ rng: lucky, eventBus });
+
+    const [result] = service.advance(world, 0);
+
+    expect(result).toMatchObject({ eventId: 'border_war_0', kind: 'war', nodeId: 'keep', nodeIds: ['keep', 'farm'], characterIds: ['ann', 'bob'], severity: 'critical' });
+    expect(world.settlements[0]).toMatchObject({ population: 90, stability: 0.1, prosperity: 0.3 });
+    const [ann, bob, cid] = world.npcs;
+    expect(ann.health).toBe(cid.health - 30);
+    expect(bob.mood).toBe(cid.mood - 20);
+    // War calls for order: the ethical axis moves
+    expect(alignment.mock.calls.map(([event]) => event.payload)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ characterId: 'ann', axisId: 'ethical' })
+    ]));
+    expect(world.worldEvents).toEqual([expect.objectContaining({ id: 'border_war_0', type: 'war', location: 'keep', scope: 'regional' })]);
+
+    expect(service.advance(world, 1)).toEqual([]);
+    expect(world.eventTemplates[0]).toMatchObject({ timesFired: 1, lastFiredAt: 0 });
+  });
+
+  test('should fire periodic events only in their time periods, off cooldown and when their conditions hold', () => {
+    const world = realmWorld([
+      template({
+        id: 'feud',
+        tags: ['famine'],
+        trigger: { type: 'periodic', probability: 1, cooldown: 3 },
+        conditions: [{ type: 'hostile_factions', requirements: { maxStance: -50 } }],
+        historicalSimulation: { timePeriods: [{ name: 'Troubles', startYear: 1, endYear: 5, modifiers: { magnitude: 0.5 } }] }
+      }),
+      template({ id: 'idle', trigger: { type: 'manual' } })
+    ]);
+    world.factions = [{ id: 'reds', stances: { blues: -40 } }, { id: 'blues', stances: { reds: -40 } }];
+    // A year a turn
+    const service = new HistoricalEventService({ rng: lucky, daysPerTurn: 365 });
+
+    const fired = [];
+    for (let turn = 0; turn <= 6; turn++) {
+      if (turn === 2) world.factions[0].stances.blues = -60;
+      service.advance(world, turn).forEach(result => fired.push([turn, result.templateId, result.magnitude]));
+    }
+
+    expect(fired).toEqual([[2, 'feud', 0.5], [5, 'feud', 0.5]]);
+  });
+
+  test('should schedule ripples and strike them on the same nodes when due', () => {
+    const world = realmWorld([template({
+      id: 'dearth',
+      name: 'Dearth',
+      tags: ['famine'],
+      historicalSimulation: {
+        significance: { baseValue: 0.8, decayRate: 0.5 },
+        impact: {
+          immediate: { scope: { nodeIds: ['farm'] } },
+          rippleEffects: [{ type: 'plague', probability: 1, delay: 2, magnitude: 0.5 }]
+        }
+      }
+    })]);
+    const service = new HistoricalEventService({ rng: lucky });
+
+    service.advance(world, 0);
+    expect(world.nodes[1].resourceAvailability.food).toBe(50);
+    expect(world.pendingEffects).toEqual([expect.objectContaining({ type: 'plague', dueAt: 2, nodeIds: ['farm'], magnitude: 0.5, significance: 0.2 })]);
+    const bobAfterFamine = world.npcs[1].health;
+
+    expect(service.advance(world, 1)).toEqual([]);
+    const [plague] = service.advance(world, 2);
+
+    expect(plague).toMatchObject({ eventId: 'dearth_0_ripple_0', name: 'Plague after Dearth', kind: 'plague', nodeIds: ['farm'], sourceEventId: 'dearth_0', significance: 0.2 });
+    expect(world.npcs[1].health).toBe(bobAfterFamine - 12.5);
+    expect(world.pendingEffects).toEqual([]);
+  });
+});
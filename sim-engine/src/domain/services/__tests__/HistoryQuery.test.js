@@ -0,0 +1,31 @@
+// src/domain/services/__tests__/HistoryQuery.test.js
+
+import { parseHistoryQuery, runHistoryQuery, HistoryQueryError } from '../HistoryQuery';
+
+const events = [
+  { id: 'e1', timestamp: 90, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'keep', outcome: 'positive', significance: 0.9, description: 'Aria won the duel.' },
+  { id: 'e2', timestamp: 120, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'ford', outcome: 'negative', significance: 0.4, description: 'Aria lost a skirmish.' },
+  { id: 'e3', timestamp: 150, type: 'combat', characterId: 'bren', characterName: 'Bren', location: 'keep', outcome: 'positive', significance: 0.7, description: 'Bren held the gate.' },
+  { id: 'e4', timestamp: 180, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'keep', outcome: 'positive', significance: 0.8, description: 'Aria broke the siege.' },
+  { id: 'e5', timestamp: 180, type: 'birth', characterId: 'cai', characterName: 'Cai', location: 'ford', significance: 0.8, description: 'Cai was born.' }
+];
+
+const ids = result => result.events.map(event => event.id);
+
+describe('HistoryQuery', () => {
+  test('should filter, order and limit events', () => {
+    expect(ids(runHistoryQuery(events, 'type:combat AND character:"Aria" AND turn:100..200 ORDER BY significance DESC')))
+      .toEqual(['e4', 'e2']);
+    expect(ids(runHistoryQuery(events, 'node:keep OR NOT (turn:..150) ORDER BY turn DESC, significance LIMIT 3')))
+      .toEqual(['e4', 'e5', 'e3']);
+    expect(ids(runHistoryQuery(events, 'significance:0.75.. siege'))).toEqual(['e4']);
+    expect(runHistoryQuery(events, '').total).toBe(5);
+  });
+
+  test('should point at what does not parse', () => {
+    expect(() => parseHistoryQuery('colour:red')).toThrow(HistoryQueryError);
+    expect(() => parseHistoryQuery('turn:ten')).toThrow("turn takes a number or a range like 1..5, not 'ten'");
+    expect(() => parseHistoryQuery('type:birth ORDER significance')).toThrow('Expected BY after ORDER at 17');
+    expect(() => parseHistoryQuery('(type:birth')).toThrow('Expected a closing parenthesis at 11');
+  });
+});
@@ -0,0 +1,171 @@
+// src/domain/services/__tests__/LifecycleService.test.js
+
+import LifecycleService from '../LifecycleService';
+import Character from '../../entities/Character';
+import SimulationEventBus, { ALL_EVENTS, SimulationEventTypes } from '../../events/SimulationEvents';
+import { subscribeHistoryLogger } from '../HistoryGenerator';
+import { createRandom } from '../../../shared/utils/RandomUtils';
+import { lucky, unlucky, buildWorld, historyLog } from '../../../test/fixtures';
+
+const trait = (id, intensity) => ({ id, name: id, description: id, category: 'social', intensity });
+
+const couple = () => [
+  new Character({
+    id: 'aria',
+    name: 'Aria Vale',
+    age: 30,
+    currentNodeId: 'village',
+    personalityConfig: { traits: [trait('curiosity', 0.9)] },
+    baseAttributes: { strength: 14, dexterity: 10, constitution: 12, intelligence: 10, wisdom: 10, charisma: 10 },
+    relationships: new Map([['borin', 80]]),
+    assignedInteractions: ['trade']
+  }),
+  new Character({
+    id: 'borin',
+    name: 'Borin',
+    age: 32,
+    currentNodeId: 'village',
+    personalityConfig: { traits: [trait('curiosity', 0.5), trait('caution', 0.7)] },
+    baseAttributes: { strength: 10, dexterity: 10, constitution: 12, intelligence: 14, wisdom: 10, charisma: 10 },
+    relationships: new Map([['aria', 60]]),
+    assignedInteractions: ['hunt']
+  })
+];
+
+// The village of Vale, whose king has a steward; everyone counts toward its population
+const valeWorld = (npcs) => buildWorld({
+  nodes: [{ id: 'village', name: 'Village', population: npcs.length }],
+  npcs,
+  settlements: [{
+    id: 'vale',
+    name: 'Vale',
+    government: {
+      type: 'monarchy',
+      leader: 'old-king',
+      structure: [{ level: 1, positions: [{ title: 'steward', holder: 'old-king' }] }]
+    }
+  }]
+});
+
+describe('LifecycleService', () => {
+  test('should age characters once a year from their birth turn', () => {
+    const service = new LifecycleService({ turnsPerYear: 4, rng: unlucky });
+    const founder = new Character({ id: 'a', age: 30 });
+    const newborn = new Character({ id: 'b', age: 0, bornAt: 2 });
+    const world = valeWorld([founder, newborn]);
+
+    [1, 2, 3, 4, 5, 6].forEach(turn => service.advance(world, turn));
+
+    expect(world.npcs.map(character => character.age)).toEqual([31, 1]);
+  });
+
+  test('should not compound age modifiers when ageing a year at a time', () => {
+    const sexagenarian = new Character({ age: 60, baseAttributes: { strength: 12, wisdom: 10 } });
+
+    const stepped = Array.from({ length: 10 }).reduce(current => current.withAge(current.age + 1), sexagenarian);
+    const jumped = sexagenarian.withAge(70);
+
+    expect(stepped.baseAttributes).toEqual(jumped.baseAttributes);
+    expect(stepped.baseAttributes.strength).toBeLessThan(12);
+  });
+
+  test('should kill on poor health, or at the racial maximum age', () => {
+    const service = new LifecycleService({ turnsPerYear: 1, rng: unlucky });
+    const world = valeWorld([
+      new Character({ id: 'sick', name: 'Sick', health: 0, currentNodeId: 'village' }),
+      new Character({ id: 'elder', name: 'Elder', age: 99, currentNodeId: 'village' }),
+      new Character({ id: 'young', name: 'Young', age: 20, currentNodeId: 'village' })
+    ]);
+
+    const { died } = service.advance(world, 1);
+
+    expect(died.map(record => [record.id, record.cause, record.diedAt])).toEqual([['sick', 'poor health', 1], ['elder', 'old age', 1]]);
+    expect(world.npcs.map(character => character.id)).toEqual(['young']);
+    expect(world.deceased.map(record => record.id)).toEqual(['sick', 'elder']);
+    expect(world.nodes[0].population).toBe(1);
+    expect(service.mortality(new Character({ age: 20 }))).toBeLessThan(service.mortality(new Character({ age: 85 })));
+  });
+
+  test('should give bonded couples children who inherit from both', () => {
+    const eventBus = new SimulationEventBus();
+    const born = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.CHARACTER_BORN, born);
+    const service = new LifecycleService({ rng: lucky, eventBus, turnsPerYear: 12 });
+    const [aria, borin] = couple();
+    const world = valeWorld([aria, borin]);
+
+    const result = service.advance(world, 5);
+
+    expect(result.born).toHaveLength(1);
+    const [child] = result.born;
+    expect(child.age).toBe(0);
+    expect(child.bornAt).toBe(5);
+    expect(child.parentIds).toEqual(['aria', 'borin']);
+    expect(child.name).toMatch(/ Vale$/);
+    expect(child.baseAttributes.strength).toBe(12);
+    expect(child.baseAttributes.intelligence).toBe(12);
+    // The average of the parents', nudged down 0.1 by the rng
+    const parentCuriosity = [aria, borin].map(parent => parent.personality.getTrait('curiosity').intensity);
+    expect(child.personality.getTrait('curiosity').intensity).toBeCloseTo((parentCuriosity[0] + parentCuriosity[1]) / 2 - 0.1, 5);
+    expect(child.personality.getTrait('caution')).not.toBeNull();
+    expect(child.assignedInteractions).toEqual(['trade', 'hunt']);
+    expect(world.npcs).toHaveLength(3);
+    expect(world.nodes[0].population).toBe(3);
+    expect(born.mock.calls[0][0].payload).toMatchObject({ characterId: child.id, parentIds: ['aria', 'borin'], nodeId: 'village' });
+  });
+
+  test('should not pair kin, strangers in other nodes or the elderly', () => {
+    const service = new LifecycleService({ rng: lucky });
+    const [aria, borin] = couple();
+    const sibling = new Character({ id: 'sib', age: 30, parentIds: ['p1'], relationships: new Map([['sib2', 90]]) });
+    const sibling2 = new Character({ id: 'sib2', age: 30, parentIds: ['p1'] });
+
+    expect(service.births(valeWorld([]), [sibling, sibling2], 1)).toEqual([]);
+    expect(service.births(valeWorld([]), [aria, borin.withTravel('forest')], 1)).toEqual([]);
+    expect(service.births(valeWorld([]), [aria.withAge(70), borin], 1)).toEqual([]);
+  });
+
+  test('should hand titles to the eldest child, else the partner, else leave them vacant', () => {
+    const eventBus = new SimulationEventBus();
+    const successions = [];
+    eventBus.subscribe(SimulationEventTypes.TITLE_SUCCEEDED, event => successions.push(event.payload));
+    const service = new LifecycleService({ rng: unlucky, eventBus });
+    const king = new Character({ id: 'old-king', name: 'Old King', health: 0, relationships: new Map([['queen', 70]]) });
+    const queen = new Character({ id: 'queen', name: 'Queen' });
+    const elder = new Character({ id: 'elder-child', name: 'Elder', age: 20, parentIds: ['old-king', 'queen'] });
+    const younger = new Character({ id: 'younger-child', name: 'Younger', age: 12, parentIds: ['old-king', 'queen'] });
+
+    const world = valeWorld([king, queen, younger, elder]);
+    service.advance(world, 1);
+    expect(world.settlements[0].government.leader).toBe('elder-child');
+    expect(world.settlements[0].government.structure[0].positions[0].holder).toBe('elder-child');
+    expect(successions.map(succession => succession.title)).toEqual(['leader', 'steward']);
+
+    const childless = valeWorld([king, queen]);
+    service.advance(childless, 1);
+    expect(childless.settlements[0].government.leader).toBe('queen');
+
+    const alone = valeWorld([king]);
+    service.advance(alone, 1);
+    expect(alone.settlements[0].government.leader).toBeNull();
+    expect(successions[successions.length - 1]).toMatchObject({ title: 'steward', toCharacterId: null });
+  });
+
+  test('should record births, deaths and successions in history', () => {
+    const eventBus = new SimulationEventBus();
+    const historyRepository = historyLog();
+    subscribeHistoryLogger(eventBus, { rng: createRandom(1), historyRepository });
+    const logged = [];
+    eventBus.subscribe(ALL_EVENTS, event => logged.push(event.type));
+    const service = new LifecycleService({ rng: unlucky, eventBus });
+    const king = new Character({ id: 'old-king', name: 'Old King', health: 0 });
+
+    service.advance(valeWorld([king]), 3);
+
+    const history = historyRepository.findEvents();
+    expect(history.map(event => event.type)).toEqual(['death', 'succession', 'succession']);
+    expect(history[0]).toMatchObject({ timestamp: 3, characterId: 'old-king', description: 'Old King died of poor health at the age of 25.' });
+    expect(history[1].description).toBe('The title of leader of Vale fell vacant.');
+    expect(logged).toContain(SimulationEventTypes.HISTORY_EVENT_LOGGED);
+  });
+});
@@ -0,0 +1,150 @@
+// src/domain/services/__tests__/QuestService.test.js
+
+import QuestService from '../QuestService';
+import QuestSystem, { QuestInstance, QuestTemplate } from '../../entities/Quest';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+import { lucky, unlucky, character, buildWorld } from '../../../test/fixtures';
+
+// Villagers, all of middling strength
+const villager = (id, extra = {}) => character(id, 'village', {
+  baseAttributes: { strength: 12, dexterity: 10, constitution: 10, intelligence: 10, wisdom: 10, charisma: 10 },
+  ...extra
+});
+
+const wolfHunt = (overrides = {}) => ({
+  id: 'wolves',
+  name: 'The Wolves of the Wood',
+  trigger: { nodeTypes: ['village'] },
+  goals: ['protect'],
+  nodes: [
+    { id: 'hear', name: 'Hear the elder', type: 'dialogue', branches: [{ id: 'go', nextNode: 'hunt' }] },
+    {
+      id: 'hunt',
+      name: 'Hunt the pack',
+      type: 'action',
+      location: 'forest',
+      check: { attr: 'strength', dc: 12 },
+      consequences: { relationships: { elder: 10 }, consciousness: { coherence: 0.1 } }
+    }
+  ],
+  rewards: [{ type: 'prestige', target: 'honor', value: 10 }, { type: 'experience', value: 50 }],
+  ...overrides
+});
+
+const villageWorld = (npcs, questTemplates = [wolfHunt()]) => buildWorld({
+  nodes: [
+    { id: 'village', name: 'Village', type: 'village' },
+    { id: 'forest', name: 'Forest', type: 'wilderness' }
+  ],
+  npcs,
+  questTemplates
+});
+
+describe('QuestSystem', () => {
+  test('should generate quests for a node from template triggers and consciousness requirements', () => {
+    const system = new QuestSystem();
+    system.addQuestTemplate(wolfHunt());
+    system.addQuestTemplate(wolfHunt({ id: 'vision', trigger: {}, consciousnessRequirements: { frequency: '60-100' } }));
+
+    const village = { id: 'village', type: 'village' };
+    expect(system.generateQuests(village, { characterId: 'a', turn: 3 }).map(quest => quest.id)).toEqual(['wolves:a:3']);
+    expect(system.getAvailableTemplates(village, { consciousness: { currentFrequency: 70 } }).map(template => template.id))
+      .toEqual(['wolves', 'vision']);
+    expect(system.getAvailableTemplates({ id: 'forest', type: 'wilderness' })).toEqual([]);
+    expect(() => system.generateQuests('village')).toThrow('Quests are generated for a node');
+  });
+
+  test('should apply evolution rules once per run and replay them on restore', () => {
+    const template = new QuestTemplate(wolfHunt({
+      evolutionRules: [{ type: 'completed_nodes', count: 1, addNodes: [{ id: 'den', name: 'Find the den', type: 'discovery' }] }]
+    }));
+    const system = new QuestSystem();
+    system.addQuestTemplate(template);
+    const quest = system.createQuestInstance(system.getQuestTemplate('wolves'), { characterId: 'a', turn: 0 });
+
+    system.progressQuest(quest.id, 'go', 1);
+
+    expect(quest.template.nodes.has('den')).toBe(true);
+    expect(system.getQuestTemplate('wolves').nodes.has('den')).toBe(false);
+    const restored = QuestInstance.fromJSON(system.getQuestTemplate('wolves'), JSON.parse(JSON.stringify(quest.toJSON())));
+    expect(restored.template.nodes.has('den')).toBe(true);
+    expect(restored.currentNode).toBe('hunt');
+    expect(restored.getProgress()).toBeCloseTo(1 / 3);
+  });
+});
+
+describe('QuestService', () => {
+  test('should have characters take up quests their goals call for', () => {
+    const eventBus = new SimulationEventBus();
+    const accepted = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.QUEST_ACCEPTED, accepted);
+    const service = new QuestService({ rng: unlucky, eventBus, acceptChance: 0 });
+    const world = villageWorld([villager('guard', { goals: [{ id: 'protect' }] }), villager('idler')]);
+
+    const results = service.advance(world, 0);
+
+    expect(results.map(result => [result.type, result.characterId])).toEqual([['quest_accepted', 'guard']]);
+    const [guard, idler] = world.npcs;
+    expect(guard.quests).toEqual([expect.objectContaining({ id: 'wolves', status: 'active', nodeId: 'village', acceptedAt: 0, progress: 0 })]);
+    expect(guard.goals).toContainEqual(expect.objectContaining({ id: 'quest:wolves', questId: 'wolves' }));
+    expect(idler.quests).toEqual([]);
+    expect(accepted.mock.calls[0][0].payload).toMatchObject({ characterId: 'guard', questId: 'wolves', nodeId: 'village' });
+  });
+
+  test('should clear steps on successful checks where they are set, then complete with rewards', () => {
+    const service = new QuestService({ rng: lucky });
+    const world = villageWorld([villager('guard', { goals: [{ id: 'protect' }] })]);
+
+    service.advance(world, 0);
+    const [progressed] = service.advance(world, 1);
+    expect(progressed).toMatchObject({ type: 'quest_progressed', stepId: 'hear', nextStepId: 'hunt' });
+    // The hunt step draws the character to the forest and waits for it there
+    expect(world.npcs[0].goals).toContainEqual(expect.objectContaining({ id: 'quest:wolves', targetNodeId: 'forest' }));
+    expect(service.advance(world, 2)).toEqual([]);
+
+    world.npcs[0] = world.npcs[0].withTravel('forest');
+    const [completed] = service.advance(world, 3);
+
+    const guard = world.npcs[0];
+    expect(completed).toMatchObject({ type: 'quest_completed', questId: 'wolves', nodeId: 'forest' });
+    expect(guard.quests[0]).toMatchObject({ id: 'wolves', status: 'completed', completedAt: 3, progress: 1 });
+    expect(guard.goals.some(goal => goal.id === 'quest:wolves')).toBe(false);
+    expect(guard.experience).toBe(50);
+    expect(guard.prestige.getValue('honor')).toBeGreaterThan(villager('x').prestige.getValue('honor'));
+    expect(guard.relationships.get('elder')).toBe(10);
+    expect(guard.consciousness.coherence).toBeCloseTo(0.6);
+    // A completed quest isn't offered again unless it is repeatable
+    expect(service.offersFor(guard, world.nodes[0])).toEqual([]);
+  });
+
+  test('should keep failing checks open and fail quests past their time limit', () => {
+    const eventBus = new SimulationEventBus();
+    const failed = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.QUEST_FAILED, failed);
+    const service = new QuestService({ rng: unlucky, eventBus });
+    const world = villageWorld([villager('guard', { goals: [{ id: 'protect' }] })], [wolfHunt({ timeLimit: 3 })]);
+
+    service.advance(world, 0);
+    expect(service.advance(world, 1)).toEqual([]);
+    expect(world.npcs[0].quests[0].status).toBe('active');
+
+    const [result] = service.advance(world, 3);
+    expect(result).toMatchObject({ type: 'quest_failed', reason: 'time limit' });
+    expect(world.npcs[0].quests[0]).toMatchObject({ status: 'failed', completedAt: 3 });
+    expect(failed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should play steps cleared by interaction effects without a visit or a check', () => {
+    const service = new QuestService({ rng: unlucky });
+    const world = villageWorld([villager('guard', { goals: [{ id: 'protect' }] })]);
+    service.advance(world, 0);
+    world.npcs[0] = world.npcs[0].withQuests(world.npcs[0].quests.map(record => ({ ...record, stepsCleared: 2 })));
+
+    expect(service.advance(world, 1).map(result => result.type)).toEqual(['quest_progressed']);
+    // The hunt is in the forest, but the guard never leaves the village
+    const [completed] = service.advance(world, 2);
+
+    expect(completed).toMatchObject({ type: 'quest_completed', nodeId: 'village' });
+    expect(world.npcs[0].quests[0]).toMatchObject({ status: 'completed', stepsCleared: 0 });
+  });
+});
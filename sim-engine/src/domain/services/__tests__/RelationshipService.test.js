@@ -0,0 +1,78 @@
+// src/domain/services/__tests__/RelationshipService.test.js
+
+import RelationshipService from '../RelationshipService';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+import { character, buildWorld } from '../../../test/fixtures';
+
+const squareWorld = npcs => buildWorld({
+  nodes: [{ id: 'square', name: 'Square' }],
+  npcs
+});
+
+describe('RelationshipService', () => {
+  test('should take up characters\' relationships and family ties, dropping those who are gone', () => {
+    const service = new RelationshipService();
+    const world = squareWorld([
+      character('mum', 'square', { relationships: new Map([['elder', 20], ['kid', { strength: 70, type: 'romance' }]]) }),
+      character('kid', 'square', { parentIds: ['mum'] }),
+      character('sis', 'square', { parentIds: ['mum'] })
+    ]);
+    world.relationshipGraph = { edges: [{ from: 'kid', to: 'gone', affinity: 10 }] };
+
+    const graph = service.load(world);
+
+    expect(graph.getEdge('mum', 'kid')).toMatchObject({ affinity: 70, types: ['romance', 'family'] });
+    expect(graph.getEdge('kid', 'mum')).toMatchObject({ affinity: 50, types: ['family'] });
+    expect(graph.hasType('kid', 'sis', 'family')).toBe(true);
+    expect(graph.getEdge('mum', 'elder')).toBeNull();
+    expect(graph.getCharacterIds()).not.toContain('gone');
+  });
+
+  test('should prefer friends as partners, and rivals for combat', () => {
+    const service = new RelationshipService();
+    const world = squareWorld([
+      character('a', 'square', { relationships: new Map([['friend', 90], ['rival', -90]]) }),
+      character('friend', 'square'),
+      character('rival', 'square')
+    ]);
+    service.load(world);
+    const pick = type => service.choosePartner(world.npcs[0], { type }, world.npcs, { next: () => 0.5 });
+
+    expect(pick('dialogue')).toBe('friend');
+    expect(pick('combat')).toBe('rival');
+    expect(pick('action')).toBeNull();
+    expect(service.choosePartner(world.npcs[0], { type: 'dialogue' }, [world.npcs[0]])).toBeNull();
+  });
+
+  test('should decay edges, derive friendships and write affinities back', () => {
+    const eventBus = new SimulationEventBus();
+    const formed = jest.fn();
+    const broken = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.RELATIONSHIP_FORMED, formed);
+    eventBus.subscribe(SimulationEventTypes.RELATIONSHIP_BROKEN, broken);
+    const service = new RelationshipService({ eventBus, daysPerTurn: 10 });
+    const world = squareWorld([
+      character('a', 'square', { relationships: new Map([['b', 28], ['elder', 5]]) }),
+      character('b', 'square', { relationships: new Map([['a', { strength: 31, types: ['friendship'] }]]) }),
+      character('c', 'square', { relationships: new Map([['a', 0.4]]) })
+    ]);
+    service.load(world);
+
+    service.recordInteraction('a', 'b', 'dialogue', true, 0);
+    // An effect applied during the turn adds to the graph as well
+    world.npcs[0] = world.npcs[0].withEncounterEffects([{ type: 'relationship', target: 'b', value: 1 }]);
+    service.advance(world, 0);
+
+    const [a, b, c] = world.npcs;
+    // (28 + 3 + 1) and (31 + 3), less 10 days at 0.5%
+    expect(a.relationships.get('b')).toBeCloseTo(32 * Math.pow(0.995, 10), 3);
+    expect(b.relationships.get('a')).toMatchObject({ strength: expect.closeTo(34 * Math.pow(0.995, 10), 3), types: ['friendship'] });
+    expect(a.relationships.get('elder')).toBe(5);
+    expect(c.relationships.has('a')).toBe(false);
+    expect(service.graph.getEdge('a', 'b').types).toEqual(['friendship']);
+    expect(formed).toHaveBeenCalledTimes(1);
+    expect(formed.mock.calls[0][0].payload).toMatchObject({ characterId: 'a', otherId: 'b', characterName: 'A', type: 'friendship' });
+    expect(broken).not.toHaveBeenCalled();
+    expect(world.relationshipGraph.edges).toHaveLength(2);
+  });
+});
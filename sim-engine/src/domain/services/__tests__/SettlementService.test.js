@@ -0,0 +1,127 @@
+// src/domain/services/__tests__/SettlementService.test.js
+
+import SettlementService from '../SettlementService';
+import Settlement from '../../entities/Settlement';
+import Character from '../../entities/Character';
+import PrestigeService from '../PrestigeService';
+
+const town = (overrides = {}) => ({
+  id: 'millbrook',
+  name: 'Millbrook',
+  type: 'town',
+  nodeId: 'valley',
+  population: 1000,
+  growthRate: 0.1,
+  resources: {
+    amounts: { food: 100, timber: 0 },
+    consumption: { food: 1 },
+    storage: { food: 200 }
+  },
+  buildings: [
+    { id: 'farm', type: 'farm', level: 2, production: { food: 10 }, upkeep: 5 },
+    { id: 'mill', type: 'sawmill', production: { timber: 4 }, maintenance: { food: 2 } }
+  ],
+  economy: {
+    treasury: 0,
+    taxes: { rate: 0.1, market: 0.05 },
+    markets: [{ type: 'general', goods: [{ type: 'food', price: 2 }, { type: 'timber', price: 5 }] }]
+  },
+  ...overrides
+});
+
+describe('Settlement', () => {
+  test('should expose what the influence and prestige services read', () => {
+    const settlement = new Settlement(town({ buildings: [{ id: 't', type: 'temple' }], government: { leader: 'mayor' } }));
+
+    expect(settlement.population).toBe(1000);
+    expect(settlement).toMatchObject({ hasMarket: true, hasTemple: true, hasBarracks: false, hasGovernment: true });
+    expect(new PrestigeService().calculateSocialStanding(new Character().prestige, settlement, { age: 30 }).settlementRank).toEqual(expect.any(Number));
+    expect(() => new Settlement({})).toThrow('Settlement requires an id');
+  });
+
+  test('should read the nested population of the old type-shape and keep its composition in step', () => {
+    const settlement = new Settlement({ id: 's', population: { total: 100, growth: 0.05, composition: { counts: { human: 60, elf: 40 } } } });
+    expect(settlement).toMatchObject({ population: 100, growthRate: 0.05, composition: { human: 60, elf: 40 } });
+
+    settlement.setPopulation(151);
+    expect(settlement.composition).toEqual({ human: 91, elf: 60 });
+    expect(Settlement.fromJSON(JSON.parse(JSON.stringify(settlement.toJSON())))).toEqual(settlement);
+  });
+});
+
+describe('SettlementService', () => {
+  test('should produce, consume and cap resources from buildings and people', () => {
+    const world = { settlements: [town()] };
+
+    const [report] = new SettlementService().advance(world, 0);
+
+    const [millbrook] = world.settlements;
+    // 100 + 20 made - 10 eaten - 2 for the mill; timber 4 made
+    expect(millbrook.resources.amounts).toEqual({ food: 108, timber: 4 });
+    expect(report).toMatchObject({ produced: { food: 20, timber: 4 }, shortages: {} });
+
+    new SettlementService({ daysPerTurn: 30 }).advance(world, 1);
+    expect(world.settlements[0].resources.amounts.food).toBe(200);
+  });
+
+  test('should price goods from supply and demand', () => {
+    const world = { settlements: [town({ resources: { amounts: { food: 0 }, consumption: { food: 1 } }, buildings: [] })] };
+    const service = new SettlementService();
+
+    service.advance(world, 0);
+    const scarce = world.settlements[0].economy.markets[0].goods[0].price;
+    expect(scarce).toBeGreaterThan(2);
+
+    const plenty = { settlements: [town({ resources: { amounts: { food: 10000 }, consumption: { food: 1 } }, buildings: [] })] };
+    service.advance(plenty, 0);
+    expect(plenty.settlements[0].economy.markets[0].goods[0].price).toBeLessThan(2);
+    expect(plenty.settlements[0].economy.markets[0].goods[0]).toMatchObject({ basePrice: 2, supply: 9990, demand: 50 });
+  });
+
+  test('should collect wealth and market taxes, less building upkeep', () => {
+    const world = { settlements: [town()] };
+
+    const [report] = new SettlementService().advance(world, 0);
+
+    const { economy } = world.settlements[0];
+    // 1000 people × 1 coin × (0.5 + 0.5 prosperity) × 10%; 12 food sold at the new price × 5%
+    expect(economy.income.taxes).toBe(100);
+    expect(economy.income.market).toBeCloseTo(12 * economy.markets[0].goods[0].price * 0.05, 3);
+    expect(economy.expenses.total).toBe(5);
+    expect(report.treasury).toBe(economy.treasury);
+    expect(economy.treasury).toBeCloseTo(95 + economy.income.market, 3);
+  });
+
+  test('should grow with prosperity and shrink and sour in a shortage', () => {
+    const thriving = { settlements: [town({ prosperity: 1 })] };
+    const service = new SettlementService({ daysPerTurn: 365 });
+    service.advance(thriving, 0);
+    // 10% a year, half as much again at full prosperity
+    expect(thriving.settlements[0].population).toBe(1150);
+
+    const starving = { settlements: [town({ resources: { amounts: {}, consumption: { food: 1 } }, buildings: [] })] };
+    new SettlementService({ daysPerTurn: 10 }).advance(starving, 0);
+    const [hungry] = starving.settlements;
+    expect(hungry.resources.shortages).toEqual({ food: 100 });
+    expect(hungry.population).toBeLessThan(1000);
+    expect(hungry.prosperity).toBeLessThan(0.5);
+    expect(hungry.stability).toBeLessThan(0.5);
+  });
+
+  test('should move people from struggling settlements to thriving ones', () => {
+    const world = {
+      settlements: [
+        town({ id: 'poor', nodeId: 'a', population: 1000000, prosperity: 0.1, stability: 0.1, growthRate: 0, resources: {}, buildings: [] }),
+        town({ id: 'rich', nodeId: 'b', population: 1000000, prosperity: 0.9, stability: 0.9, growthRate: 0, resources: {}, buildings: [] })
+      ]
+    };
+
+    const reports = new SettlementService().advance(world, 0);
+
+    // Attractiveness 0.12 and 1.72 after the turn's recovery: a 0.8 gap to the average, 10% a year
+    const moved = Math.floor((1000000 * 0.8 * 0.1) / 365);
+    expect(reports.map(report => report.migration)).toEqual([-moved, moved]);
+    expect(world.settlements.map(settlement => settlement.population)).toEqual([1000000 - moved, 1000000 + moved]);
+    expect(reports[0].populationChange).toBe(-moved);
+  });
+});
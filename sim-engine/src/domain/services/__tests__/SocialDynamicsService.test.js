@@ -0,0 +1,94 @@
+// src/domain/services/__tests__/SocialDynamicsService.test.js
+
+import SocialDynamicsService from '../SocialDynamicsService';
+import Character from '../../entities/Character';
+import Interaction from '../../entities/Interaction';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+
+const market = { id: 'market', name: 'Market', type: 'settlement', population: 200 };
+
+const createCharacter = () => new Character({
+  id: 'aria',
+  name: 'Aria',
+  currentNodeId: 'market',
+  influenceValues: { social: 30, economic: 20 },
+  prestigeValues: { social: 30 }
+});
+
+const behavior = (type, resolution, effects = []) => ({
+  interaction: new Interaction({ id: `int-${type}`, name: `A ${type}`, type, effects }),
+  resolution: { dc: 10, outcome: resolution.success ? 'positive' : 'negative', ...resolution }
+});
+
+describe('SocialDynamicsService', () => {
+  test('should decay influence and prestige when nothing happens', () => {
+    const character = createCharacter();
+
+    const result = new SocialDynamicsService({ daysPerTurn: 30 }).applyTurn(character, { turn: 3 });
+
+    expect(result.influence.getValue('social')).toBeLessThan(30);
+    expect(result.prestige.getValue('social')).toBeLessThan(30);
+    expect(result.currentNodeId).toBe('market');
+  });
+
+  test('should turn a successful interaction into influence, prestige and alignment', () => {
+    const service = new SocialDynamicsService();
+    const idle = service.applyTurn(createCharacter(), { turn: 1, settlement: market });
+
+    const result = service.applyTurn(createCharacter(), {
+      turn: 1,
+      settlement: market,
+      witnesses: 2,
+      behavior: behavior('dialogue', { success: true, roll: 12 })
+    });
+
+    expect(result.influence.getValue('social')).toBeGreaterThan(idle.influence.getValue('social'));
+    expect(result.prestige.getValue('social')).toBeGreaterThan(idle.prestige.getValue('social'));
+    expect(result.alignment.getValue('moral')).toBeGreaterThan(idle.alignment.getValue('moral'));
+  });
+
+  test('should lose influence on failure without earning prestige', () => {
+    const service = new SocialDynamicsService();
+    const idle = service.applyTurn(createCharacter(), { turn: 1, settlement: market });
+
+    const result = service.applyTurn(createCharacter(), {
+      turn: 1,
+      settlement: market,
+      behavior: behavior('trade', { success: false, roll: 4 })
+    });
+
+    expect(result.influence.getValue('economic')).toBeLessThan(idle.influence.getValue('economic'));
+    expect(result.prestige.getValue('social')).toBe(idle.prestige.getValue('social'));
+    expect(result.alignment.getValue('ethical')).toBeLessThan(idle.alignment.getValue('ethical'));
+  });
+
+  test('should apply interaction alignment and prestige effects and skip unrolled resolutions', () => {
+    const service = new SocialDynamicsService();
+    const effects = [{ type: 'alignment', target: 'ethical', value: 2 }, { type: 'prestige', target: 'honor', value: 4 }];
+    const idle = service.applyTurn(createCharacter(), { turn: 1 });
+
+    const result = service.applyTurn(createCharacter(), { turn: 1, behavior: behavior('ritual', { success: true, roll: 11 }, effects) });
+    const skipped = service.applyTurn(createCharacter(), { turn: 1, behavior: behavior('ritual', { success: false, outcome: 'cooldown' }, effects) });
+
+    expect(result.alignment.getValue('ethical')).toBeGreaterThan(idle.alignment.getValue('ethical'));
+    expect(result.prestige.getValue('honor')).toBeGreaterThan(idle.prestige.getValue('honor'));
+    expect(skipped.alignment.getValue('ethical')).toBe(idle.alignment.getValue('ethical'));
+  });
+
+  test('should record changes at the simulated date of the turn and publish them', () => {
+    const eventBus = new SimulationEventBus();
+    const types = [];
+    eventBus.subscribe([SimulationEventTypes.INFLUENCE_CHANGED, SimulationEventTypes.PRESTIGE_CHANGED], event => {
+      types.push(event.type);
+      expect(event.payload.characterId).toBe('aria');
+    });
+    const service = new SocialDynamicsService({ eventBus, daysPerTurn: 2 });
+
+    const result = service.applyTurn(createCharacter(), { turn: 5, settlement: market, behavior: behavior('dialogue', { success: true, roll: 15 }) });
+
+    const socialHistory = result.influence.toJSON().history.social;
+    expect(socialHistory[socialHistory.length - 1].timestamp).toEqual(new Date(10 * 24 * 60 * 60 * 1000));
+    expect(types).toEqual(expect.arrayContaining([SimulationEventTypes.INFLUENCE_CHANGED, SimulationEventTypes.PRESTIGE_CHANGED]));
+    expect(() => new SocialDynamicsService({ daysPerTurn: 0 })).toThrow('daysPerTurn must be a positive number');
+  });
+});
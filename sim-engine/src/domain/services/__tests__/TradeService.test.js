@@ -0,0 +1,98 @@
+// src/domain/services/__tests__/TradeService.test.js
+
+import TradeService from '../TradeService';
+import Settlement from '../../entities/Settlement';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+import { character, buildWorld } from '../../../test/fixtures';
+
+const market = goods => ({ taxes: { rate: 0, tariff: 0.1 }, markets: [{ type: 'general', goods }] });
+
+const settlement = (id, nodeId, amounts, goods) => ({
+  id,
+  name: id,
+  nodeId,
+  population: 100,
+  resources: { amounts },
+  economy: market(goods)
+});
+
+// Food is cheap on the farm, dear in the city a 2-turn ride away, and a little dearer in the hamlet next door
+const tradeWorld = (npcs, extra = {}) => buildWorld({
+  nodes: [
+    { id: 'farm', name: 'Farm', connectedNodes: [{ nodeId: 'city', distance: 10 }, { nodeId: 'hamlet', distance: 5 }] },
+    { id: 'city', name: 'City', connectedNodes: [{ nodeId: 'farm', distance: 10 }] },
+    { id: 'hamlet', name: 'Hamlet', connectedNodes: ['farm'] }
+  ],
+  npcs,
+  settlements: [
+    settlement('farmstead', 'farm', { food: 1000, cloth: 0 }, [{ type: 'food', price: 1 }, { type: 'cloth', price: 10 }]),
+    settlement('market_town', 'city', { food: 0 }, [{ type: 'food', price: 5 }, { type: 'cloth', price: 8 }]),
+    settlement('hamlet', 'hamlet', { food: 0 }, [{ type: 'food', price: 2 }])
+  ],
+  ...extra
+});
+
+const merchant = (extra = {}) => character('m', 'farm', { name: 'Mara', role: 'merchant', wealth: 100, ...extra });
+
+describe('TradeService', () => {
+  test('should pick the load with the best profit per turn of travel, after tariffs', () => {
+    const service = new TradeService();
+    const world = tradeWorld([merchant()]);
+    const byNode = new Map(world.settlements.map(record => [record.nodeId, new Settlement(record)]));
+
+    const plan = service.chooseRoute(world.npcs[0], byNode.get('farm'), world, byNode);
+
+    // City: 50 food × (5 × 0.9 - 1) over 2 turns beats the hamlet's 50 × (2 × 0.9 - 1) in 1; cloth sells at a loss
+    expect(plan).toEqual({ fromNodeId: 'farm', toNodeId: 'city', turns: 2, good: 'food', quantity: 50, buyPrice: 1, sellPrice: 5, profit: 175 });
+    expect(service.chooseRoute(merchant({ wealth: 20 }), byNode.get('farm'), world, byNode).quantity).toBe(20);
+    expect(service.chooseRoute(merchant({ wealth: 0 }), byNode.get('farm'), world, byNode)).toBeNull();
+  });
+
+  test('should buy from the settlement and send the merchant off with a caravan', () => {
+    const eventBus = new SimulationEventBus();
+    const departed = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.CARAVAN_DEPARTED, departed);
+    const world = tradeWorld([merchant(), character('c', 'farm', { name: 'Cob', wealth: 100 })]);
+
+    const ledger = new TradeService({ eventBus }).advance(world, 0);
+
+    const [mara, cob] = world.npcs;
+    expect(mara.journey).toMatchObject({ fromNodeId: 'farm', toNodeId: 'city', arrivesAt: 2 });
+    expect(mara.wealth).toBe(50);
+    expect(cob.journey).toBeNull();
+    expect(world.caravans).toEqual([expect.objectContaining({ merchantId: 'm', toNodeId: 'city', good: 'food', quantity: 50, cost: 50 })]);
+    expect(world.settlements[0].resources.amounts.food).toBe(950);
+    expect(world.settlements[0].economy.treasury).toBe(50);
+    expect(world.nodes[0].population).toBe(1); // Cob stays behind
+    expect(ledger).toMatchObject({ turn: 0, trades: [], volume: 0, settlements: { farmstead: { exports: 50, imports: 0, tariffs: 0 } } });
+    expect(departed.mock.calls[0][0].payload).toMatchObject({ merchantId: 'm', fromNodeId: 'farm', toNodeId: 'city', good: 'food', quantity: 50 });
+  });
+
+  test('should sell on arrival, less the tariff, and raise the merchant\'s economic influence', () => {
+    const eventBus = new SimulationEventBus();
+    const arrived = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.CARAVAN_ARRIVED, arrived);
+    const service = new TradeService({ eventBus });
+    const world = tradeWorld([merchant()]);
+    service.advance(world, 0);
+
+    expect(service.advance(world, 1).trades).toEqual([]);
+    world.npcs[0] = world.npcs[0].withTravel('city', null);
+    const ledger = service.advance(world, 2);
+
+    const [mara] = world.npcs;
+    // 50 food at 5, 10% to the city
+    expect(ledger.trades).toEqual([expect.objectContaining({
+      merchantId: 'm', routeId: 'farm->city', toSettlementId: 'market_town', value: 250, tariff: 25, profit: 175, newRoute: true
+    })]);
+    expect(ledger).toMatchObject({ volume: 250, tariffs: 25, settlements: { market_town: { imports: 250, tariffs: 25 } } });
+    expect(mara.wealth).toBe(275);
+    expect(mara.influence.getValue('economic')).toBeGreaterThan(merchant().influence.getValue('economic'));
+    expect(world.settlements[1].resources.amounts.food).toBe(50);
+    expect(world.settlements[1].economy.treasury).toBe(-225);
+    expect(world.tradeRoutes).toEqual([{ id: 'farm->city', fromNodeId: 'farm', toNodeId: 'city', trips: 1, volume: 250, lastTradedAt: 2 }]);
+    // Nothing in the city is worth carrying back to the farm
+    expect(world.caravans).toEqual([]);
+    expect(arrived).toHaveBeenCalledTimes(1);
+  });
+});
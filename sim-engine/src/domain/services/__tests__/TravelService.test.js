@@ -0,0 +1,89 @@
+// src/domain/services/__tests__/TravelService.test.js
+
+import TravelService, { charactersAt } from '../TravelService';
+import Character from '../../entities/Character';
+import Interaction from '../../entities/Interaction';
+import SimulationEventBus, { SimulationEventTypes } from '../../events/SimulationEvents';
+import { unlucky, buildWorld } from '../../../test/fixtures';
+
+// The highest roll takes the last option: always leave when there is somewhere to go
+const alwaysRng = unlucky;
+
+// Aria and one other live in the village, a 12-mile walk from the forest
+const valleyWorld = () => buildWorld({
+  nodes: [
+    { id: 'village', name: 'Village', connectedNodes: [{ targetNodeId: 'forest', distance: 12 }], population: 2 },
+    { id: 'forest', name: 'Forest', connectedNodes: [{ targetNodeId: 'village', distance: 12 }] }
+  ],
+  npcs: [new Character({ id: 'aria', name: 'Aria', currentNodeId: 'village', energy: 80 })]
+});
+
+describe('TravelService', () => {
+  test('should take travel time from the link\'s distance, or the default distance', () => {
+    const service = new TravelService({ distancePerTurn: 5 });
+    const [road] = service.linksFrom(valleyWorld().nodes[0]);
+
+    expect(service.travelTime(road)).toBe(3);
+    expect(service.travelTime({ distance: 4, difficulty: 2 })).toBe(2);
+    expect(service.travelTime()).toBe(1);
+    expect(new TravelService({ distancePerTurn: 5, defaultDistance: 12 }).travelTime({ difficulty: 2 })).toBe(5);
+    expect(service.linksFrom({ id: 'a', connectedNodes: ['b', { targetNodeId: 'c', distance: 3 }, 'a', {}] })).toEqual([
+      { nodeId: 'b', distance: undefined, difficulty: 1 },
+      { nodeId: 'c', distance: 3, difficulty: 1 }
+    ]);
+  });
+
+  test('should prefer nodes that serve goals and offer interactions', () => {
+    const service = new TravelService();
+    const world = valleyWorld();
+    world.nodes[1].interactions = [new Interaction({ name: 'Hunt deer', type: 'action' })];
+    const hunter = new Character({ id: 'h', name: 'Hunter', goals: [{ id: 'Hunt' }] });
+
+    expect(service.attraction(hunter, world.nodes[1], world)).toBeGreaterThan(service.attraction(hunter, world.nodes[0], world));
+    expect(service.attraction(hunter, { id: 'rich', resources: { gold: 99 } }, world)).toBeGreaterThan(1);
+  });
+
+  test('should keep tired or unconnected characters where they are', () => {
+    const service = new TravelService({ rng: alwaysRng });
+    const world = valleyWorld();
+
+    expect(service.chooseDestination(new Character({ currentNodeId: 'village', energy: 5 }), world)).toBeNull();
+    world.nodes[0].connectedNodes = [];
+    expect(service.chooseDestination(world.npcs[0], world)).toBeNull();
+  });
+
+  test('should take a multi-turn journey and keep populations in step', () => {
+    const eventBus = new SimulationEventBus();
+    const departed = jest.fn();
+    eventBus.subscribe(SimulationEventTypes.CHARACTER_DEPARTED, departed);
+    const service = new TravelService({ rng: alwaysRng, eventBus, distancePerTurn: 5 });
+    const world = valleyWorld();
+
+    let { character, traveling } = service.advance(world.npcs[0], world, 0);
+    expect(traveling).toBe(true);
+    expect(character.journey).toEqual({ fromNodeId: 'village', toNodeId: 'forest', departedAt: 0, arrivesAt: 3 });
+    expect(character.currentNodeId).toBe('village');
+    expect(world.nodes.map(node => node.population)).toEqual([1, 0]);
+    expect(departed.mock.calls[0][0].payload).toMatchObject({ characterId: 'aria', toNodeId: 'forest', arrivesAt: 3 });
+    expect(charactersAt([character], 'village')).toEqual([]);
+
+    ({ character, traveling } = service.advance(character, world, 2));
+    expect(traveling).toBe(true);
+
+    ({ character, traveling } = service.advance(character, world, 3));
+    expect(traveling).toBe(false);
+    expect(character.currentNodeId).toBe('forest');
+    expect(character.isTraveling()).toBe(false);
+    expect(world.nodes.map(node => node.population)).toEqual([1, 1]);
+  });
+
+  test('should survive serialization mid-journey', () => {
+    const character = new Character({ id: 'aria', currentNodeId: 'village' })
+      .withTravel('village', { fromNodeId: 'village', toNodeId: 'forest', departedAt: 0, arrivesAt: 2 });
+
+    const revived = Character.fromJSON(JSON.parse(JSON.stringify(character.toJSON())));
+
+    expect(revived.journey).toEqual(character.journey);
+    expect(revived.withPrestige(revived.prestige).journey).toEqual(character.journey);
+  });
+});
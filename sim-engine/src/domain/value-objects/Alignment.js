@@ -60,8 +60,9 @@ export class Alignment {
   /**
    * Create a new Alignment instance with a changed value for the specified axis
    * This is the primary way to "modify" the immutable alignment
+   * The change is recorded at `timestamp` (now by default; simulations pass their own clock)
    */
-  withChange(axisId, amount, reason, historicalContext = null) {
+  withChange(axisId, amount, reason, historicalContext = null, timestamp = new Date()) {
     const axis = this._axesMap.get(axisId);
     if (!axis) {
       throw new Error(`Alignment axis '${axisId}' not found`);
@@ -82,7 +83,7 @@ export class Alignment {
     
     // Create change record
     const change = Object.freeze({
-      timestamp: new Date(),
+      timestamp,
       change: amount,
       newValue,
       reason,
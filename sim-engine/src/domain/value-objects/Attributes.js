@@ -60,6 +60,35 @@ class Attributes {
     return (intMod + wisMod) / 2 + 10;  // Base 10 + modifiers for scale
   }
 
+  // Read a score from any attribute shape in use: Attributes instance, { score } records or plain numbers
+  static getScore(attributes, attrName) {
+    const attr = attributes?.[attrName.toLowerCase()];
+    if (typeof attr === 'number') return attr;
+    return attr?.score || 0;
+  }
+
+  // Total modifier for any attribute shape (Character stores racially-adjusted plain numbers)
+  static getModifier(attributes, attrName) {
+    if (attributes && typeof attributes.getTotalModifier === 'function') {
+      return attributes.getTotalModifier(attrName);
+    }
+    const attr = attributes?.[attrName.toLowerCase()];
+    if (attr && typeof attr === 'object' && typeof attr.modifier === 'number') {
+      return attr.modifier;
+    }
+    return Math.floor((Attributes.getScore(attributes, attrName) - 10) / 2);
+  }
+
+  // Energy proxy for any attribute shape (see getEnergyProxy)
+  static getEnergyProxy(attributes) {
+    if (attributes && typeof attributes.getEnergyProxy === 'function') {
+      return attributes.getEnergyProxy();
+    }
+    const intMod = Attributes.getModifier(attributes, 'intelligence');
+    const wisMod = Attributes.getModifier(attributes, 'wisdom');
+    return (intMod + wisMod) / 2 + 10;
+  }
+
   // Serialize for persistence (match old JSON format)
   toJSON() {
     return {
@@ -57,7 +57,9 @@ class CollectiveConsciousness {
 }
 
 class ConsciousnessSystem {
-    constructor() {
+    // options.worldRepository (IWorldRepository) holds the system as a document; see saveToStorage
+    constructor(options = {}) {
+        this.worldRepository = options.worldRepository || null;
         this.consciousnessStates = new Map();
         this.collectives = new Map();
         this.goalTypes = {
@@ -275,8 +277,8 @@ class ConsciousnessSystem {
     }
 
     calculateEventImpact(event) {
-        // Implement event impact calculation based on event type and magnitude
-        return 0; // Placeholder
+        // The event's own magnitude: positive lifts the collective, negative weighs on it
+        return typeof event?.impact === 'number' ? event.impact : 0;
     }
 
     determineMood(frequency) {
@@ -319,37 +321,38 @@ class ConsciousnessSystem {
         return this;
     }
 
-    // Persistence methods for localStorage
-    saveToLocalStorage(key = 'consciousnessSystem') {
+    // Persistence methods (stored as a document in the injected world repository)
+    saveToStorage(key = 'consciousnessSystem') {
         try {
-            const data = this.toJSON();
-            localStorage.setItem(key, JSON.stringify(data));
+            if (!this.worldRepository) throw new Error('No worldRepository was given');
+            this.worldRepository.saveDocument(key, this.toJSON());
             return true;
         } catch (error) {
-            console.error('Failed to save ConsciousnessSystem to localStorage:', error);
+            console.error('Failed to save ConsciousnessSystem to storage:', error);
             return false;
         }
     }
 
-    static loadFromLocalStorage(key = 'consciousnessSystem') {
+    static loadFromStorage(worldRepository, key = 'consciousnessSystem') {
         try {
-            const data = localStorage.getItem(key);
+            const data = worldRepository.getDocument(key);
             if (!data) {
                 return null;
             }
-            return ConsciousnessSystem.fromJSON(JSON.parse(data));
+            return new ConsciousnessSystem({ worldRepository }).fromJSON(data);
         } catch (error) {
-            console.error('Failed to load ConsciousnessSystem from localStorage:', error);
+            console.error('Failed to load ConsciousnessSystem from storage:', error);
             return null;
         }
     }
 
-    clearLocalStorage(key = 'consciousnessSystem') {
+    clearStorage(key = 'consciousnessSystem') {
         try {
-            localStorage.removeItem(key);
+            if (!this.worldRepository) throw new Error('No worldRepository was given');
+            this.worldRepository.removeDocument(key);
             return true;
         } catch (error) {
-            console.error('Failed to clear ConsciousnessSystem from localStorage:', error);
+            console.error('Failed to clear ConsciousnessSystem from storage:', error);
             return false;
         }
     }
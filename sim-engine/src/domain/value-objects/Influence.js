@@ -60,8 +60,9 @@ export class Influence {
   /**
    * Create a new Influence instance with a changed value for the specified domain
    * This is the primary way to "modify" the immutable influence
+   * The change is recorded at `timestamp` (now by default; simulations pass their own clock)
    */
-  withChange(domainId, amount, reason, settlementContext = null) {
+  withChange(domainId, amount, reason, settlementContext = null, timestamp = new Date()) {
     const domain = this._domainsMap.get(domainId);
     if (!domain) {
       throw new Error(`Influence domain '${domainId}' not found`);
@@ -82,7 +83,7 @@ export class Influence {
     
     // Create change record
     const change = Object.freeze({
-      timestamp: new Date(),
+      timestamp,
       change: amount,
       newValue,
       reason,
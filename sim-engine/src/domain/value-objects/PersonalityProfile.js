@@ -299,9 +299,10 @@ class PersonalityProfile {
      * Create a new PersonalityProfile with age-based modifications
      * @param {number} age - Character's current age
      * @param {Object} ageModifiers - Age-based modifiers configuration
+     * @param {Date} [timestamp] - When the modifiers were applied (now by default; simulations pass their own clock)
      * @returns {PersonalityProfile} New PersonalityProfile with age modifications
      */
-    withAgeModifiers(age, ageModifiers = {}) {
+    withAgeModifiers(age, ageModifiers = {}, timestamp = new Date()) {
         const newTraits = [];
         const newAttributes = [];
         const newEmotionalTendencies = [];
@@ -329,7 +330,7 @@ class PersonalityProfile {
                     ...trait.influence,
                     ageModified: {
                         age: age,
-                        timestamp: new Date().toISOString(),
+                        timestamp: timestamp.toISOString(),
                         appliedModifiers: appliedModifiers
                     }
                 }
@@ -386,6 +387,24 @@ class PersonalityProfile {
         });
     }
 
+    /**
+     * Create a new PersonalityProfile aged from one age to another
+     * Applies only the change in the age curves between the two ages, so ageing a
+     * profile year by year doesn't compound them
+     * @param {number} fromAge - Age the profile currently reflects
+     * @param {number} toAge - New age
+     * @param {Date} [timestamp] - When the ageing happened
+     * @returns {PersonalityProfile} New PersonalityProfile
+     */
+    withAgeProgression(fromAge, toAge, timestamp = new Date()) {
+        return this.withAgeModifiers(toAge, {
+            wisdom: this._calculateWisdomModifier(toAge) - this._calculateWisdomModifier(fromAge),
+            volatility: this._calculateVolatilityModifier(toAge) / this._calculateVolatilityModifier(fromAge),
+            adaptability: this._calculateAdaptabilityModifier(toAge) / this._calculateAdaptabilityModifier(fromAge),
+            physicalDecline: this._calculatePhysicalDeclineModifier(toAge) - this._calculatePhysicalDeclineModifier(fromAge)
+        }, timestamp);
+    }
+
     // Age modifier calculation helpers
     _calculateWisdomModifier(age) {
         // Wisdom increases gradually with age, plateauing around 60
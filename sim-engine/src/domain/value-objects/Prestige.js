@@ -60,8 +60,9 @@ export class Prestige {
   /**
    * Create a new Prestige instance with a changed value for the specified track
    * This is the primary way to "modify" the immutable prestige
+   * The change is recorded at `timestamp` (now by default; simulations pass their own clock)
    */
-  withChange(trackId, amount, reason, socialContext = null) {
+  withChange(trackId, amount, reason, socialContext = null, timestamp = new Date()) {
     const track = this._tracksMap.get(trackId);
     if (!track) {
       throw new Error(`Prestige track '${trackId}' not found`);
@@ -82,7 +83,7 @@ export class Prestige {
     
     // Create change record
     const change = Object.freeze({
-      timestamp: new Date(),
+      timestamp,
       change: amount,
       newValue,
       reason,
@@ -104,7 +105,7 @@ export class Prestige {
    * Create a new Prestige instance with decay applied to specified tracks
    * Decay rates are provided as a Map<trackId, decayAmount>
    */
-  withDecay(decayRates) {
+  withDecay(decayRates, timestamp = new Date()) {
     if (!(decayRates instanceof Map)) {
       throw new Error('Decay rates must be provided as a Map');
     }
@@ -140,7 +141,7 @@ export class Prestige {
         
         // Create decay record
         const change = Object.freeze({
-          timestamp: new Date(),
+          timestamp,
           change: -(currentValue - newValue), // Negative change for decay
           newValue,
           reason: 'Time decay',
@@ -2,10 +2,19 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { configureBrowserStorage } from './infrastructure/Persistance/StorageProvider';
+import { configureBrowserNarrative } from './infrastructure/external/NarrativeProvider';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+
+// Prose from a model server when the build names one, the built-in grammar otherwise
+configureBrowserNarrative();
+
+// Pick the storage backend before anything loads or saves
+configureBrowserStorage().then(() => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
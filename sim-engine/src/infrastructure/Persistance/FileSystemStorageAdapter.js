@@ -0,0 +1,62 @@
+// src/infrastructure/persistence/FileSystemStorageAdapter.js
+
+import { toStorageError } from './StorageErrors.js';
+
+/**
+ * FileSystemStorageAdapter - Storage adapter writing one file per key (Node only)
+ *
+ * Node's fs and path modules are passed in rather than imported so this file
+ * can live in the same source tree the browser bundle is built from.
+ *
+ * @example
+ * new FileSystemStorageAdapter({ directory: './data', fs: require('fs'), path: require('path') })
+ */
+class FileSystemStorageAdapter {
+  constructor({ directory, fs, path } = {}) {
+    if (!directory || !fs || !path) {
+      throw new Error('FileSystemStorageAdapter requires directory, fs and path');
+    }
+    this.directory = directory;
+    this.fs = fs;
+    this.path = path;
+    this.fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  _fileFor(key) {
+    return this.path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  getItem(key) {
+    const file = this._fileFor(key);
+    return this.fs.existsSync(file) ? this.fs.readFileSync(file, 'utf8') : null;
+  }
+
+  setItem(key, value) {
+    try {
+      this.fs.writeFileSync(this._fileFor(key), String(value));
+    } catch (error) {
+      throw toStorageError(error);
+    }
+  }
+
+  removeItem(key) {
+    const file = this._fileFor(key);
+    if (this.fs.existsSync(file)) {
+      this.fs.unlinkSync(file);
+    }
+  }
+
+  keys() {
+    return this.fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => decodeURIComponent(name.slice(0, -'.json'.length)));
+  }
+
+  clear() {
+    this.keys().forEach(key => this.removeItem(key));
+  }
+
+  async ready() {}
+}
+
+export default FileSystemStorageAdapter;
@@ -0,0 +1,149 @@
+// src/infrastructure/persistence/HistoryIndex.js
+
+import { QUERY_FIELDS, requiredTerms, runHistoryQuery, toHistoryQuery } from '../../domain/services/HistoryQuery.js';
+
+export const matchesCriteria = (event, criteria) => {
+  if (criteria.characterId && event.characterId !== criteria.characterId) return false;
+  if (criteria.type && event.type !== criteria.type) return false;
+  if (criteria.location && event.location !== criteria.location) return false;
+  if (criteria.timeRange) {
+    const { start = -Infinity, end = Infinity } = criteria.timeRange;
+    if (event.timestamp < start || event.timestamp > end) return false;
+  }
+  return true;
+};
+
+// Significance is indexed in tenths: 0.0-0.1, 0.1-0.2 ... 0.9-1.0
+const BUCKETS = 10;
+const bucketOf = significance => Math.max(0, Math.min(BUCKETS - 1, Math.floor((significance || 0) * BUCKETS)));
+
+const lower = value => String(value).toLowerCase();
+
+const addTo = (map, key, position) => {
+  if (key === undefined || key === null) return;
+  if (!map.has(key)) map.set(key, []);
+  const positions = map.get(key);
+  // An event listing the same key twice (e.g. as character id and name) is indexed once
+  if (positions[positions.length - 1] !== position) positions.push(position);
+};
+
+// Positions in several lists, in the order the events were saved
+const union = lists => (lists.length === 1 ? lists[0] : [...new Set(lists.flat())].sort((a, b) => a - b));
+
+/**
+ * HistoryIndex - In-memory indexes over a history repository's events
+ *
+ * Events are indexed by turn, character (id and name), node, type and significance, so
+ * findEvents criteria and HistoryQuery terms look up their candidates instead of scanning
+ * the whole log. Repositories keep their event list as is and call sync() before reading:
+ * appended events are indexed incrementally, a replaced or shortened list (even one
+ * appended to again since) is reindexed.
+ */
+class HistoryIndex {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.eventOf] - Reads the event out of a stored item (e.g. an IndexedDB record)
+   */
+  constructor(options = {}) {
+    this.eventOf = options.eventOf || (item => item);
+    this.clear();
+  }
+
+  clear() {
+    this.items = null;
+    this.last = undefined;
+    this.events = [];
+    this.byTurn = new Map();
+    this.byCharacter = new Map();
+    this.byNode = new Map();
+    this.byType = new Map();
+    this.bySignificance = Array.from({ length: BUCKETS }, () => []);
+  }
+
+  /**
+   * Brings the index in step with the repository's list of stored items
+   * @param {Array<Object>} items - Stored items, oldest first
+   * @returns {HistoryIndex} this
+   */
+  sync(items) {
+    // The last indexed item moves or vanishes when the list was cut or refilled in place
+    if (items !== this.items || items.length < this.events.length || items[this.events.length - 1] !== this.last) {
+      this.clear();
+      this.items = items;
+    }
+    for (let position = this.events.length; position < items.length; position++) {
+      this.add(this.eventOf(items[position]));
+    }
+    this.last = items[items.length - 1];
+    return this;
+  }
+
+  add(event) {
+    const position = this.events.length;
+    this.events.push(event);
+    addTo(this.byTurn, event.timestamp, position);
+    QUERY_FIELDS.character.values(event)
+      .filter(value => value !== undefined && value !== null)
+      .forEach(value => addTo(this.byCharacter, lower(value), position));
+    if (event.location) addTo(this.byNode, lower(event.location), position);
+    if (event.type) addTo(this.byType, lower(event.type), position);
+    this.bySignificance[bucketOf(event.significance)].push(position);
+  }
+
+  // Positions of the events that may satisfy a term, or null when no index covers it
+  lookup(term) {
+    if (term.op === 'match') {
+      const map = { character: this.byCharacter, node: this.byNode, type: this.byType }[term.field];
+      return map ? map.get(term.value) || [] : null;
+    }
+    if (term.field === 'turn') {
+      if (term.start === term.end) return this.byTurn.get(term.start) || [];
+      return union([[], ...[...this.byTurn.keys()]
+        .filter(turn => turn >= term.start && turn <= term.end)
+        .map(turn => this.byTurn.get(turn))]);
+    }
+    if (term.field === 'significance') {
+      const from = term.start === -Infinity ? 0 : bucketOf(term.start);
+      const to = term.end === Infinity ? BUCKETS - 1 : bucketOf(term.end);
+      return union([[], ...this.bySignificance.slice(from, to + 1)]);
+    }
+    return null;
+  }
+
+  // The events that may satisfy every term: those under the most selective index
+  candidates(terms) {
+    const lists = terms.map(term => this.lookup(term)).filter(Boolean);
+    if (!lists.length) return this.events;
+    const narrowest = lists.reduce((best, list) => (list.length < best.length ? list : best));
+    return narrowest.map(position => this.events[position]);
+  }
+
+  /**
+   * Events matching IHistoryRepository.findEvents criteria, oldest first
+   * @param {Object} [criteria] - characterId, type, location, timeRange
+   * @returns {Array<Object>}
+   */
+  find(criteria = {}) {
+    const terms = [
+      criteria.characterId && { op: 'match', field: 'character', value: lower(criteria.characterId) },
+      criteria.type && { op: 'match', field: 'type', value: lower(criteria.type) },
+      criteria.location && { op: 'match', field: 'node', value: lower(criteria.location) },
+      criteria.timeRange && { op: 'range', field: 'turn', start: criteria.timeRange.start ?? -Infinity, end: criteria.timeRange.end ?? Infinity }
+    ].filter(Boolean);
+    return this.candidates(terms).filter(event => matchesCriteria(event, criteria));
+  }
+
+  /**
+   * Runs a HistoryQuery over the indexed events
+   * @param {string|Object} query - Query text or a parsed query
+   * @param {Object} [options]
+   * @param {Array<string>} [options.aggregate] - Fields to count the matches by (before LIMIT)
+   * @returns {{events: Array<Object>, total: number, aggregations: Object}}
+   */
+  search(query, options = {}) {
+    const parsed = toHistoryQuery(query);
+    return runHistoryQuery(this.candidates(requiredTerms(parsed.where)), parsed, options);
+  }
+}
+
+export default HistoryIndex;
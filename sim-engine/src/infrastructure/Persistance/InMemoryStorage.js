@@ -0,0 +1,54 @@
+// src/infrastructure/persistence/InMemoryStorage.js
+
+/**
+ * InMemoryStorage - Storage adapter backed by a Map
+ *
+ * Also implements the Web Storage API, so it can stand in for
+ * window.localStorage. Used outside the browser (Node CLI runs, batch jobs,
+ * tests); data lives only as long as the process.
+ */
+class InMemoryStorage {
+  constructor(initialData = {}) {
+    this._data = new Map(Object.entries(initialData).map(([key, value]) => [key, String(value)]));
+  }
+
+  get length() {
+    return this._data.size;
+  }
+
+  key(index) {
+    return Array.from(this._data.keys())[index] ?? null;
+  }
+
+  getItem(key) {
+    return this._data.has(key) ? this._data.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._data.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._data.delete(key);
+  }
+
+  clear() {
+    this._data.clear();
+  }
+
+  keys() {
+    return Array.from(this._data.keys());
+  }
+
+  async ready() {}
+
+  /**
+   * Snapshot of every stored key/value pair
+   * @returns {Object} Plain object copy of the storage contents
+   */
+  toJSON() {
+    return Object.fromEntries(this._data);
+  }
+}
+
+export default InMemoryStorage;
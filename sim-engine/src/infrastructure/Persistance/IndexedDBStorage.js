@@ -0,0 +1,640 @@
+// src/infrastructure/persistence/IndexedDBStorage.js
+/* global globalThis -- the window or a Web Worker's global scope */
+
+import IWorldRepository from '../../application/use-cases/ports/IWorldRepository.js';
+import ICharacterRepository from '../../application/use-cases/ports/ICharacterRepository.js';
+import IHistoryRepository from '../../application/use-cases/ports/IHistoryRepository.js';
+import Character from '../../domain/entities/Character.js';
+import { WORLD_STORAGE_KEYS } from './StorageWorldRepository.js';
+import { CHARACTER_PREFIX } from './StorageCharacterRepository.js';
+import { EVENTS_KEY } from './StorageHistoryRepository.js';
+import HistoryIndex, { matchesCriteria } from './HistoryIndex.js';
+import { toStorageError } from './StorageErrors.js';
+
+/**
+ * IndexedDBStorage - IndexedDB backend with one object store per entity type
+ *
+ * The repository ports are synchronous, so ready() loads every store into an
+ * in-memory working set that serves reads; writes update that set immediately
+ * and are committed to IndexedDB in the background. flush() waits for pending
+ * commits and rejects with the first failure (e.g. StorageQuotaError).
+ *
+ * On first open, data saved by the localStorage adapter is copied in and the
+ * copied keys are removed from localStorage.
+ *
+ * The UI thread and the simulation worker (and other tabs) each hold their own
+ * working set over the same database. Every committed write is announced on a
+ * BroadcastChannel with the records it changed, and the other contexts apply
+ * them to their working sets, so a document saved by an editor reaches the
+ * worker and turns saved by the worker reach the UI. Announced records also
+ * carry the sequence counter forward, keeping the contexts' orderings in step.
+ */
+
+const DATABASE_VERSION = 1;
+
+export const STORES = {
+  DOCUMENTS: 'documents',
+  WORLDS: 'worlds',
+  NODES: 'nodes',
+  CHARACTERS: 'characters',
+  HISTORY: 'historyEvents'
+};
+
+const MIGRATION_MARKER = '__migratedFromLocalStorage';
+
+// Editor documents the localStorage-era code wrote outside the world library
+const LEGACY_DOCUMENT_KEYS = ['encounters', 'interactions', 'templates', 'consciousnessSystem'];
+const LEGACY_DOCUMENT_PREFIXES = ['world_', WORLD_STORAGE_KEYS.LIBRARY_PREFIX];
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+const bySequence = (a, b) => a.sequence - b.sequence;
+
+const parseLegacyValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+class IndexedDBStorage {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB] - Factory to open the database with (globalThis.indexedDB by default, so workers find it too)
+   * @param {Function} [options.IDBKeyRange] - Key range constructor matching options.indexedDB
+   * @param {string} [options.databaseName='worldHistorySimulator'] - Database name
+   * @param {Object} [options.legacyStorage] - Storage adapter holding localStorage-era data to migrate
+   * @param {Function} [options.estimate] - Resolves to { usage, quota } (navigator.storage.estimate by default)
+   * @param {Function} [options.onError] - Called with background write failures
+   * @param {Function|null} [options.BroadcastChannel] - Channel constructor for change notices (globalThis.BroadcastChannel by default; null for none)
+   */
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.IDBKeyRange = options.IDBKeyRange || globalThis.IDBKeyRange;
+    this.databaseName = options.databaseName || 'worldHistorySimulator';
+    this.legacyStorage = options.legacyStorage || null;
+    this.estimate = options.estimate || (
+      typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate
+        ? () => navigator.storage.estimate()
+        : null
+    );
+    this.onError = options.onError || (error => console.error('IndexedDBStorage: Write failed:', error));
+    this.BroadcastChannel = options.BroadcastChannel !== undefined ? options.BroadcastChannel : globalThis.BroadcastChannel;
+
+    this.db = null;
+    this.channel = null;
+    this.migratedCount = 0;
+    this._sequence = 0;
+    this._pendingWrites = new Set();
+    this._failedWrite = null;
+    this.cache = {
+      documents: new Map(),
+      worlds: new Map(),
+      nodes: new Map(),
+      characters: new Map(),
+      events: []
+    };
+  }
+
+  /**
+   * Whether IndexedDB exists in this environment, a window or a Web Worker
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return !!globalThis.indexedDB;
+  }
+
+  /**
+   * Opens the database, migrates localStorage data once and loads the working set
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    if (this.db) return;
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    this.db = await this._open();
+    await this._migrateLegacyStorage();
+    await this._load();
+    this._listen();
+  }
+
+  /**
+   * Closes the database connection and stops listening for other contexts' changes
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  _open() {
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.databaseName, DATABASE_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(STORES.DOCUMENTS, { keyPath: 'key' });
+        db.createObjectStore(STORES.WORLDS, { keyPath: 'id' });
+
+        const nodes = db.createObjectStore(STORES.NODES, { keyPath: ['worldId', 'id'] });
+        nodes.createIndex('worldId', 'worldId');
+
+        const characters = db.createObjectStore(STORES.CHARACTERS, { keyPath: 'id' });
+        characters.createIndex('worldId', 'worldId');
+
+        const history = db.createObjectStore(STORES.HISTORY, { keyPath: 'id' });
+        history.createIndex('turn', 'turn');
+        history.createIndex('characterId', 'characterId');
+        history.createIndex('type', 'type');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`IndexedDB database ${this.databaseName} is blocked by another tab`));
+    });
+  }
+
+  async _load() {
+    const transaction = this.db.transaction(Object.values(STORES), 'readonly');
+    const [documents, worlds, nodes, characters, events] = await Promise.all([
+      requestToPromise(transaction.objectStore(STORES.DOCUMENTS).getAll()),
+      requestToPromise(transaction.objectStore(STORES.WORLDS).getAll()),
+      requestToPromise(transaction.objectStore(STORES.NODES).getAll()),
+      requestToPromise(transaction.objectStore(STORES.CHARACTERS).getAll()),
+      requestToPromise(transaction.objectStore(STORES.HISTORY).getAll())
+    ]);
+
+    // Refill in place: repositories hold references to these collections
+    const { cache } = this;
+    cache.documents.clear();
+    cache.worlds.clear();
+    cache.nodes.clear();
+    cache.characters.clear();
+    cache.events.length = 0;
+
+    documents
+      .filter(record => record.key !== MIGRATION_MARKER)
+      .forEach(record => cache.documents.set(record.key, record.value));
+    worlds.sort(bySequence).forEach(record => cache.worlds.set(record.id, record));
+    nodes.sort(bySequence).forEach(record => {
+      if (!cache.nodes.has(record.worldId)) cache.nodes.set(record.worldId, new Map());
+      cache.nodes.get(record.worldId).set(record.id, record);
+    });
+    characters.forEach(record => cache.characters.set(record.id, record));
+    events.sort(bySequence).forEach(record => cache.events.push(record));
+
+    this._sequence = [...worlds, ...nodes, ...events]
+      .reduce((max, record) => Math.max(max, record.sequence || 0), 0);
+  }
+
+  _nextSequence() {
+    this._sequence += 1;
+    return this._sequence;
+  }
+
+  _listen() {
+    if (!this.BroadcastChannel || this.channel) return;
+    this.channel = new this.BroadcastChannel(`${this.databaseName}:changes`);
+    this.channel.onmessage = event => this._applyChange(event.data);
+    // Node (tests, the CLI) has unref(); the channel alone must not keep the process alive
+    if (typeof this.channel.unref === 'function') this.channel.unref();
+  }
+
+  /**
+   * Applies a write another context committed to this context's working set
+   * @param {Object} change - { store, put, remove, clear, worldId } as announced by _write
+   */
+  _applyChange(change) {
+    const { cache } = this;
+    const { put = [], remove = [] } = change;
+
+    switch (change.store) {
+      case STORES.DOCUMENTS:
+        put.forEach(record => cache.documents.set(record.key, record.value));
+        remove.forEach(key => cache.documents.delete(key));
+        break;
+      case STORES.WORLDS:
+        // A world's nodes go with it
+        if (change.clear) {
+          cache.worlds.clear();
+          cache.nodes.clear();
+        }
+        put.forEach(record => cache.worlds.set(record.id, record));
+        remove.forEach(worldId => {
+          cache.worlds.delete(worldId);
+          cache.nodes.delete(worldId);
+        });
+        break;
+      case STORES.NODES:
+        // saveWorldNodes replaces all of a world's nodes
+        cache.nodes.set(change.worldId, new Map(put.map(record => [record.id, record])));
+        break;
+      case STORES.CHARACTERS:
+        put.forEach(record => cache.characters.set(record.id, record));
+        remove.forEach(id => cache.characters.delete(id));
+        break;
+      case STORES.HISTORY: {
+        // Refill in place: the history index follows this array
+        const removed = new Set(remove);
+        const kept = change.clear ? [] : cache.events.filter(record => !removed.has(record.id));
+        if (kept.length < cache.events.length) {
+          cache.events.length = 0;
+          kept.forEach(record => cache.events.push(record));
+        }
+        put.forEach(record => cache.events.push(record));
+        break;
+      }
+      default:
+        return;
+    }
+
+    this._sequence = put.reduce((max, record) => Math.max(max, record.sequence || 0), this._sequence);
+  }
+
+  /**
+   * Starts a readwrite transaction and tracks it until it commits, then announces the change
+   * @param {string[]} storeNames - Stores the transaction touches
+   * @param {Function} operation - Receives the transaction and issues the writes
+   * @param {Object} change - What other contexts apply once it commits: { store, put, remove, clear, worldId }
+   */
+  _write(storeNames, operation, change) {
+    if (!this.db) {
+      throw new Error('IndexedDBStorage is not ready; await ready() before use');
+    }
+
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    operation(transaction);
+
+    const done = transactionDone(transaction).then(() => {
+      if (this.channel) this.channel.postMessage(change);
+    }, error => {
+      const storageError = toStorageError(error);
+      if (!this._failedWrite) this._failedWrite = storageError;
+      this.onError(storageError);
+    });
+    this._pendingWrites.add(done);
+    done.then(() => this._pendingWrites.delete(done));
+  }
+
+  /**
+   * Waits for pending writes; rejects with the first write that failed since the last flush
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this._pendingWrites]);
+    if (this._failedWrite) {
+      const error = this._failedWrite;
+      this._failedWrite = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Bytes used and available for this origin
+   * @returns {Promise<{usage: number, quota: number|null}>}
+   */
+  async getUsage() {
+    if (this.estimate) {
+      const { usage = 0, quota = null } = await this.estimate();
+      return { usage, quota };
+    }
+
+    // No StorageManager: approximate with the size of the working set
+    const cached = [...this.cache.documents.values(), ...this.cache.worlds.values(),
+      ...[...this.cache.nodes.values()].flatMap(nodes => [...nodes.values()]),
+      ...this.cache.characters.values(), ...this.cache.events];
+    return { usage: JSON.stringify(cached).length * 2, quota: null };
+  }
+
+  _putDocument(key, value) {
+    const record = { key, value: clone(value) };
+    this.cache.documents.set(key, clone(value));
+    this._write([STORES.DOCUMENTS], transaction => {
+      transaction.objectStore(STORES.DOCUMENTS).put(record);
+    }, { store: STORES.DOCUMENTS, put: [record] });
+  }
+
+  _deleteDocuments(keys) {
+    if (keys.length === 0) return;
+    keys.forEach(key => this.cache.documents.delete(key));
+    this._write([STORES.DOCUMENTS], transaction => {
+      const store = transaction.objectStore(STORES.DOCUMENTS);
+      keys.forEach(key => store.delete(key));
+    }, { store: STORES.DOCUMENTS, remove: keys });
+  }
+
+  async _migrateLegacyStorage() {
+    const markerTransaction = this.db.transaction([STORES.DOCUMENTS], 'readonly');
+    const marker = await requestToPromise(markerTransaction.objectStore(STORES.DOCUMENTS).get(MIGRATION_MARKER));
+    if (marker || !this.legacyStorage) return;
+
+    const worldSummaries = parseLegacyValue(this.legacyStorage.getItem(WORLD_STORAGE_KEYS.WORLDS)) || [];
+    const migratedKeys = [];
+    const transaction = this.db.transaction(Object.values(STORES), 'readwrite');
+    const stores = Object.fromEntries(Object.values(STORES).map(name => [name, transaction.objectStore(name)]));
+    let sequence = 0;
+
+    for (const key of this.legacyStorage.keys()) {
+      const value = parseLegacyValue(this.legacyStorage.getItem(key));
+      if (value === undefined) continue;  // Leave unreadable entries where they are
+
+      if (key === WORLD_STORAGE_KEYS.WORLDS) {
+        // Folded into the world records below
+      } else if (key.startsWith(WORLD_STORAGE_KEYS.WORLD_PREFIX)) {
+        const id = key.slice(WORLD_STORAGE_KEYS.WORLD_PREFIX.length);
+        const summary = worldSummaries.find(world => world.id === id) ||
+          { id, name: value.name, description: value.description, lastModified: value.lastModified, version: value.version };
+        stores[STORES.WORLDS].put({ id, sequence: ++sequence, summary, data: value });
+      } else if (key.startsWith(WORLD_STORAGE_KEYS.NODES_PREFIX)) {
+        const worldId = key.slice(WORLD_STORAGE_KEYS.NODES_PREFIX.length);
+        for (const node of Array.isArray(value) ? value : []) {
+          if (node && node.id) stores[STORES.NODES].put({ worldId, id: node.id, sequence: ++sequence, data: node });
+        }
+      } else if (key.startsWith(CHARACTER_PREFIX)) {
+        if (!value || !value.id) continue;
+        stores[STORES.CHARACTERS].put({ id: value.id, ...(value.worldId ? { worldId: value.worldId } : {}), data: value });
+      } else if (key === EVENTS_KEY) {
+        for (const event of Array.isArray(value) ? value : []) {
+          if (event && event.id) stores[STORES.HISTORY].put(toEventRecord(event, ++sequence));
+        }
+      } else if (key === WORLD_STORAGE_KEYS.SIMULATION_STATE || LEGACY_DOCUMENT_KEYS.includes(key) ||
+        LEGACY_DOCUMENT_PREFIXES.some(prefix => key.startsWith(prefix))) {
+        stores[STORES.DOCUMENTS].put({ key, value });
+      } else {
+        continue;  // Not ours; another app on this origin may own it
+      }
+      migratedKeys.push(key);
+    }
+
+    stores[STORES.DOCUMENTS].put({ key: MIGRATION_MARKER, value: { migratedAt: new Date().toISOString(), keys: migratedKeys.length } });
+
+    try {
+      await transactionDone(transaction);
+    } catch (error) {
+      throw toStorageError(error);
+    }
+
+    // Only free the localStorage quota once the copy has committed
+    migratedKeys.forEach(key => this.legacyStorage.removeItem(key));
+    this.migratedCount = migratedKeys.length;
+  }
+
+  /**
+   * Repositories serving the ports from this database
+   * @returns {{world: Object, character: Object, history: Object}}
+   */
+  createRepositories() {
+    return {
+      world: createIndexedDBWorldRepository(this),
+      character: createIndexedDBCharacterRepository(this),
+      history: createIndexedDBHistoryRepository(this)
+    };
+  }
+}
+
+// The turn index uses the event timestamp, which the turn loop sets to the world time
+const toEventRecord = (event, sequence) => ({
+  id: event.id,
+  sequence,
+  turn: event.timestamp,
+  ...(event.characterId ? { characterId: event.characterId } : {}),
+  ...(event.type ? { type: event.type } : {}),
+  event
+});
+
+const createIndexedDBWorldRepository = (storage) => {
+  const { cache } = storage;
+
+  const IndexedDBWorldRepository = {
+    saveWorld: (worldState) => {
+      storage._putDocument(WORLD_STORAGE_KEYS.SIMULATION_STATE, worldState);
+    },
+
+    getWorld: () => clone(cache.documents.get(WORLD_STORAGE_KEYS.SIMULATION_STATE)) ?? null,
+
+    clearWorld: () => {
+      storage._deleteDocuments([WORLD_STORAGE_KEYS.SIMULATION_STATE]);
+    },
+
+    updateNode: (node) => {
+      const world = IndexedDBWorldRepository.getWorld();
+      if (world && Array.isArray(world.nodes)) {
+        const index = world.nodes.findIndex(n => n.id === node.id);
+        if (index >= 0) world.nodes[index] = node;
+        IndexedDBWorldRepository.saveWorld(world);
+      }
+    },
+
+    listWorlds: () => [...cache.worlds.values()].map(record => clone(record.summary)),
+
+    findWorldById: (worldId) => clone(cache.worlds.get(worldId)?.data) ?? null,
+
+    saveWorldRecord: (world, summary) => {
+      const existing = cache.worlds.get(world.id);
+      const record = {
+        id: world.id,
+        sequence: existing ? existing.sequence : storage._nextSequence(),
+        summary: clone(summary),
+        data: clone(world)
+      };
+      cache.worlds.set(world.id, record);
+      storage._write([STORES.WORLDS], transaction => {
+        transaction.objectStore(STORES.WORLDS).put(clone(record));
+      }, { store: STORES.WORLDS, put: [clone(record)] });
+    },
+
+    deleteWorldRecord: (worldId) => {
+      cache.worlds.delete(worldId);
+      cache.nodes.delete(worldId);
+      storage._write([STORES.WORLDS, STORES.NODES], transaction => {
+        transaction.objectStore(STORES.WORLDS).delete(worldId);
+        // Arrays sort after every other key type, so this range spans all of the world's nodes
+        transaction.objectStore(STORES.NODES).delete(storage.IDBKeyRange.bound([worldId], [worldId, []]));
+      }, { store: STORES.WORLDS, remove: [worldId] });
+      storage._deleteDocuments([
+        WORLD_STORAGE_KEYS.CHARACTERS_PREFIX,
+        WORLD_STORAGE_KEYS.INTERACTIONS_PREFIX,
+        WORLD_STORAGE_KEYS.ENCOUNTERS_PREFIX
+      ].map(prefix => `${prefix}${worldId}`).filter(key => cache.documents.has(key)));
+    },
+
+    getWorldNodes: (worldId) => [...(cache.nodes.get(worldId)?.values() || [])].map(record => clone(record.data)),
+
+    saveWorldNodes: (worldId, nodes) => {
+      const records = new Map(nodes.map(node => [node.id, {
+        worldId,
+        id: node.id,
+        sequence: storage._nextSequence(),
+        data: clone(node)
+      }]));
+      cache.nodes.set(worldId, records);
+      storage._write([STORES.NODES], transaction => {
+        const store = transaction.objectStore(STORES.NODES);
+        store.delete(storage.IDBKeyRange.bound([worldId], [worldId, []]));
+        records.forEach(record => store.put(clone(record)));
+      }, { store: STORES.NODES, worldId, put: [...records.values()].map(clone) });
+    },
+
+    getDocument: (name, fallback = null) => (
+      cache.documents.has(name) ? clone(cache.documents.get(name)) : fallback
+    ),
+
+    saveDocument: (name, value) => {
+      storage._putDocument(name, value);
+    },
+
+    removeDocument: (name) => {
+      storage._deleteDocuments([name]);
+    },
+
+    findDocuments: (prefix) => [...cache.documents.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, value]) => clone(value)),
+
+    clearLibrary: () => {
+      cache.worlds.clear();
+      cache.nodes.clear();
+      storage._write([STORES.WORLDS, STORES.NODES], transaction => {
+        transaction.objectStore(STORES.WORLDS).clear();
+        transaction.objectStore(STORES.NODES).clear();
+      }, { store: STORES.WORLDS, clear: true });
+      storage._deleteDocuments([...cache.documents.keys()]
+        .filter(key => key.startsWith(WORLD_STORAGE_KEYS.LIBRARY_PREFIX)));
+    },
+
+    getUsage: () => storage.getUsage(),
+
+    flush: () => storage.flush(),
+  };
+
+  return { ...IWorldRepository, ...IndexedDBWorldRepository };
+};
+
+const createIndexedDBCharacterRepository = (storage) => {
+  const { cache } = storage;
+
+  const IndexedDBCharacterRepository = {
+    save: (character) => {
+      if (!(character instanceof Character)) throw new Error('Invalid character');
+      const data = character.toJSON();
+      const record = { id: character.id, ...(data.worldId ? { worldId: data.worldId } : {}), data };
+      cache.characters.set(character.id, clone(record));
+      storage._write([STORES.CHARACTERS], transaction => {
+        transaction.objectStore(STORES.CHARACTERS).put(clone(record));
+      }, { store: STORES.CHARACTERS, put: [clone(record)] });
+    },
+
+    findById: (id) => {
+      const record = cache.characters.get(id);
+      return record ? Character.fromJSON(clone(record.data)) : null;
+    },
+
+    findAll: () => [...cache.characters.values()].map(record => Character.fromJSON(clone(record.data))),
+
+    delete: (id) => {
+      cache.characters.delete(id);
+      storage._write([STORES.CHARACTERS], transaction => {
+        transaction.objectStore(STORES.CHARACTERS).delete(id);
+      }, { store: STORES.CHARACTERS, remove: [id] });
+    },
+
+    flush: () => storage.flush(),
+  };
+
+  return { ...ICharacterRepository, ...IndexedDBCharacterRepository };
+};
+
+const createIndexedDBHistoryRepository = (storage) => {
+  const { cache } = storage;
+  // Follows cache.events, which _load refills in place
+  const index = new HistoryIndex({ eventOf: record => record.event });
+
+  const IndexedDBHistoryRepository = {
+    saveEvent: (event) => {
+      const record = toEventRecord(clone(event), storage._nextSequence());
+      cache.events.push(record);
+      storage._write([STORES.HISTORY], transaction => {
+        transaction.objectStore(STORES.HISTORY).put(clone(record));
+      }, { store: STORES.HISTORY, put: [clone(record)] });
+    },
+
+    findEvents: (criteria = {}) => index.sync(cache.events).find(criteria).map(clone),
+
+    searchEvents: (query, options = {}) => {
+      const result = index.sync(cache.events).search(query, options);
+      return { ...result, events: result.events.map(clone) };
+    },
+
+    /**
+     * Reads events straight from the database using the characterId, turn or type index
+     * @param {Object} [criteria] - Same criteria as findEvents
+     * @returns {Promise<Object[]>}
+     */
+    queryEvents: async (criteria = {}) => {
+      await storage.flush();
+      const store = storage.db.transaction([STORES.HISTORY], 'readonly').objectStore(STORES.HISTORY);
+
+      let request;
+      if (criteria.characterId) {
+        request = store.index('characterId').getAll(criteria.characterId);
+      } else if (criteria.timeRange) {
+        const { start = -Infinity, end = Infinity } = criteria.timeRange;
+        request = store.index('turn').getAll(storage.IDBKeyRange.bound(start, end));
+      } else if (criteria.type) {
+        request = store.index('type').getAll(criteria.type);
+      } else {
+        request = store.getAll();
+      }
+
+      const records = await requestToPromise(request);
+      return records.sort(bySequence)
+        .map(record => record.event)
+        .filter(event => matchesCriteria(event, criteria));
+    },
+
+    countEvents: () => cache.events.length,
+
+    truncateEvents: (length) => {
+      if (length >= cache.events.length) return;
+      // Spliced in place, which the history index notices and rebuilds from
+      const dropped = cache.events.splice(length);
+      const ids = dropped.map(record => record.id);
+      storage._write([STORES.HISTORY], transaction => {
+        const store = transaction.objectStore(STORES.HISTORY);
+        ids.forEach(id => store.delete(id));
+      }, { store: STORES.HISTORY, remove: ids });
+    },
+
+    clearEvents: () => {
+      cache.events.length = 0;
+      storage._write([STORES.HISTORY], transaction => {
+        transaction.objectStore(STORES.HISTORY).clear();
+      }, { store: STORES.HISTORY, clear: true });
+    },
+
+    flush: () => storage.flush(),
+  };
+
+  return { ...IHistoryRepository, ...IndexedDBHistoryRepository };
+};
+
+export default IndexedDBStorage;
@@ -0,0 +1,68 @@
+// src/infrastructure/persistence/LocalStorageAdapter.js
+/* global globalThis -- the window or a Web Worker's global scope */
+
+import { toStorageError } from './StorageErrors.js';
+
+// Browsers allow roughly 5 million UTF-16 characters per origin
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024 * 2;
+
+/**
+ * LocalStorageAdapter - Storage adapter backed by the browser's localStorage
+ *
+ * The Storage object is looked up on every call rather than captured, so a
+ * replaced globalThis.localStorage (tests, private browsing fallbacks) is honoured.
+ * Subject to the browser's ~5MB per-origin quota.
+ */
+class LocalStorageAdapter {
+  constructor(getStorage = () => globalThis.localStorage) {
+    this._getStorage = getStorage;
+    this.quota = LOCAL_STORAGE_QUOTA_BYTES;
+  }
+
+  /**
+   * Whether localStorage can be used in this environment (never in a Web Worker)
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    try {
+      return !!globalThis.localStorage;
+    } catch {
+      // Accessing localStorage throws when storage is disabled
+      return false;
+    }
+  }
+
+  getItem(key) {
+    return this._getStorage().getItem(key);
+  }
+
+  setItem(key, value) {
+    try {
+      this._getStorage().setItem(key, value);
+    } catch (error) {
+      throw toStorageError(error);
+    }
+  }
+
+  removeItem(key) {
+    this._getStorage().removeItem(key);
+  }
+
+  keys() {
+    const storage = this._getStorage();
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key !== null) keys.push(key);
+    }
+    return keys;
+  }
+
+  clear() {
+    this._getStorage().clear();
+  }
+
+  async ready() {}
+}
+
+export default LocalStorageAdapter;
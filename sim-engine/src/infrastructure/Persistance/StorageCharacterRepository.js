@@ -0,0 +1,41 @@
+// src/infrastructure/persistence/StorageCharacterRepository.js
+
+import ICharacterRepository from '../../application/use-cases/ports/ICharacterRepository.js';
+import Character from '../../domain/entities/Character.js';
+
+export const CHARACTER_PREFIX = 'character_';
+
+/**
+ * Creates an ICharacterRepository persisting through a storage adapter
+ * @param {Object} storage - IStorageAdapter implementation
+ * @returns {Object} Character repository
+ */
+export const createCharacterRepository = (storage) => {
+  const StorageCharacterRepository = {
+    save: (character) => {
+      if (!(character instanceof Character)) throw new Error('Invalid character');
+      storage.setItem(`${CHARACTER_PREFIX}${character.id}`, JSON.stringify(character.toJSON()));
+    },
+
+    findById: (id) => {
+      const data = storage.getItem(`${CHARACTER_PREFIX}${id}`);
+      return data ? Character.fromJSON(JSON.parse(data)) : null;
+    },
+
+    findAll: () => storage.keys()
+      .filter(key => key.startsWith(CHARACTER_PREFIX))
+      .map(key => storage.getItem(key))
+      .filter(Boolean)
+      .map(data => Character.fromJSON(JSON.parse(data))),
+
+    delete: (id) => {
+      storage.removeItem(`${CHARACTER_PREFIX}${id}`);
+    },
+
+    flush: async () => {},
+  };
+
+  return { ...ICharacterRepository, ...StorageCharacterRepository };
+};
+
+export default createCharacterRepository;
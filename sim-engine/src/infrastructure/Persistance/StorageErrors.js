@@ -0,0 +1,37 @@
+// src/infrastructure/persistence/StorageErrors.js
+
+/**
+ * Raised when a write is rejected because the storage backend is full
+ */
+export class StorageQuotaError extends Error {
+  constructor(message = 'Storage quota exceeded', cause = null) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Recognises the quota errors thrown by localStorage, IndexedDB and Node's fs
+ * @param {Error} error - Error raised by a storage backend
+ * @returns {boolean}
+ */
+export const isQuotaExceededError = (error) => !!error && (
+  error instanceof StorageQuotaError ||
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.code === 1014 ||
+  error.code === 'ENOSPC'
+);
+
+/**
+ * Converts backend quota errors to StorageQuotaError, passing other errors through
+ * @param {Error} error - Error raised by a storage backend
+ * @returns {Error}
+ */
+export const toStorageError = (error) => (
+  isQuotaExceededError(error) && !(error instanceof StorageQuotaError)
+    ? new StorageQuotaError(error.message || undefined, error)
+    : error
+);
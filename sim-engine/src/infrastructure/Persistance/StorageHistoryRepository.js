@@ -0,0 +1,73 @@
+// src/infrastructure/persistence/StorageHistoryRepository.js
+
+import IHistoryRepository from '../../application/use-cases/ports/IHistoryRepository.js';
+import HistoryIndex from './HistoryIndex.js';
+
+export { matchesCriteria } from './HistoryIndex.js';
+
+export const EVENTS_KEY = 'historicalEvents';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Creates an IHistoryRepository persisting through a storage adapter
+ *
+ * The parsed log and its HistoryIndex are kept until the stored text changes, so reads
+ * only parse the log again after another writer has touched it.
+ * @param {Object} storage - IStorageAdapter implementation
+ * @returns {Object} History repository
+ */
+export const createHistoryRepository = (storage) => {
+  const index = new HistoryIndex();
+  let loaded = { text: null, events: [] };
+
+  const load = () => {
+    const text = storage.getItem(EVENTS_KEY) || '[]';
+    if (text !== loaded.text) {
+      loaded = { text, events: JSON.parse(text) };
+    }
+    return loaded.events;
+  };
+
+  const indexed = () => index.sync(load());
+
+  const StorageHistoryRepository = {
+    saveEvent: (event) => {
+      const events = load();
+      const saved = clone(event);
+      const text = JSON.stringify([...events, saved]);
+      storage.setItem(EVENTS_KEY, text);
+      // Appending in place lets the index pick up just the new event
+      events.push(saved);
+      loaded.text = text;
+    },
+
+    findEvents: (criteria = {}) => indexed().find(criteria).map(clone),
+
+    searchEvents: (query, options = {}) => {
+      const result = indexed().search(query, options);
+      return { ...result, events: result.events.map(clone) };
+    },
+
+    countEvents: () => load().length,
+
+    truncateEvents: (length) => {
+      const events = load();
+      if (length >= events.length) return;
+      const kept = events.slice(0, length);
+      const text = JSON.stringify(kept);
+      storage.setItem(EVENTS_KEY, text);
+      loaded = { text, events: kept };
+    },
+
+    clearEvents: () => {
+      storage.removeItem(EVENTS_KEY);
+    },
+
+    flush: async () => {},
+  };
+
+  return { ...IHistoryRepository, ...StorageHistoryRepository };
+};
+
+export default createHistoryRepository;
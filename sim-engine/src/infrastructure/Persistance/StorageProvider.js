@@ -0,0 +1,90 @@
+// src/infrastructure/persistence/StorageProvider.js
+
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import InMemoryStorage from './InMemoryStorage.js';
+import IndexedDBStorage from './IndexedDBStorage.js';
+import createWorldRepository from './StorageWorldRepository.js';
+import createCharacterRepository from './StorageCharacterRepository.js';
+import createHistoryRepository from './StorageHistoryRepository.js';
+
+/**
+ * StorageProvider - Chooses the storage adapter and hands out the repositories
+ *
+ * Call configureStorage() once at startup (the app entry point, the CLI, a test)
+ * before anything persists. Without it the browser's localStorage is used when
+ * present, otherwise an in-memory store.
+ *
+ * Key/value adapters get the generic Storage*Repository implementations;
+ * backends with their own layout (IndexedDBStorage) supply createRepositories().
+ */
+
+let adapter = null;
+let repositories = null;
+
+const createDefaultAdapter = () => (
+  LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : new InMemoryStorage()
+);
+
+/**
+ * Selects the storage adapter every repository persists through
+ * @param {Object} storageAdapter - IStorageAdapter implementation, or a backend with createRepositories()
+ * @returns {Promise<Object>} Resolves with the adapter once it can serve reads
+ */
+export const configureStorage = async (storageAdapter) => {
+  if (!storageAdapter) {
+    throw new Error('A storage adapter is required');
+  }
+  await storageAdapter.ready();
+  adapter = storageAdapter;
+  repositories = null;
+  return adapter;
+};
+
+/**
+ * Browser startup: IndexedDB (migrating any localStorage data into it), or
+ * localStorage when IndexedDB is missing or cannot be opened
+ * @returns {Promise<Object>} The configured adapter
+ */
+export const configureBrowserStorage = async () => {
+  const localStorageAdapter = LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : null;
+
+  if (IndexedDBStorage.isAvailable()) {
+    try {
+      return await configureStorage(new IndexedDBStorage({ legacyStorage: localStorageAdapter }));
+    } catch (error) {
+      console.warn('StorageProvider: IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  return configureStorage(localStorageAdapter || new InMemoryStorage());
+};
+
+/**
+ * @returns {Object} The active storage adapter
+ */
+export const getStorageAdapter = () => {
+  if (!adapter) {
+    adapter = createDefaultAdapter();
+  }
+  return adapter;
+};
+
+const getRepositories = () => {
+  if (!repositories) {
+    const storage = getStorageAdapter();
+    repositories = typeof storage.createRepositories === 'function'
+      ? storage.createRepositories()
+      : {
+        world: createWorldRepository(storage),
+        character: createCharacterRepository(storage),
+        history: createHistoryRepository(storage)
+      };
+  }
+  return repositories;
+};
+
+export const getWorldRepository = () => getRepositories().world;
+
+export const getCharacterRepository = () => getRepositories().character;
+
+export const getHistoryRepository = () => getRepositories().history;
@@ -0,0 +1,129 @@
+// src/infrastructure/persistence/StorageWorldRepository.js
+
+import IWorldRepository from '../../application/use-cases/ports/IWorldRepository.js';
+
+// Key names predate the storage adapters; keep them so existing saves still load
+export const WORLD_STORAGE_KEYS = {
+  SIMULATION_STATE: 'worldState',
+  WORLDS: 'worldHistorySimulator_worlds',
+  WORLD_PREFIX: 'worldHistorySimulator_world_',
+  NODES_PREFIX: 'worldHistorySimulator_nodes_',
+  CHARACTERS_PREFIX: 'worldHistorySimulator_characters_',
+  INTERACTIONS_PREFIX: 'worldHistorySimulator_interactions_',
+  ENCOUNTERS_PREFIX: 'worldHistorySimulator_encounters_',
+  LIBRARY_PREFIX: 'worldHistorySimulator_'
+};
+
+const readJSON = (storage, key, fallback) => {
+  const data = storage.getItem(key);
+  return data ? JSON.parse(data) : fallback;
+};
+
+const writeJSON = (storage, key, value) => {
+  storage.setItem(key, JSON.stringify(value));
+};
+
+/**
+ * Creates an IWorldRepository persisting through a storage adapter
+ * @param {Object} storage - IStorageAdapter implementation
+ * @returns {Object} World repository
+ */
+export const createWorldRepository = (storage) => {
+  const StorageWorldRepository = {
+    saveWorld: (worldState) => {
+      writeJSON(storage, WORLD_STORAGE_KEYS.SIMULATION_STATE, worldState);
+    },
+
+    // Throws on corrupted data so callers can decide whether to discard it
+    getWorld: () => readJSON(storage, WORLD_STORAGE_KEYS.SIMULATION_STATE, null),
+
+    clearWorld: () => {
+      storage.removeItem(WORLD_STORAGE_KEYS.SIMULATION_STATE);
+    },
+
+    updateNode: (node) => {
+      const world = StorageWorldRepository.getWorld();
+      if (world && Array.isArray(world.nodes)) {
+        const index = world.nodes.findIndex(n => n.id === node.id);
+        if (index >= 0) world.nodes[index] = node;
+        StorageWorldRepository.saveWorld(world);
+      }
+    },
+
+    listWorlds: () => readJSON(storage, WORLD_STORAGE_KEYS.WORLDS, []),
+
+    findWorldById: (worldId) => readJSON(storage, `${WORLD_STORAGE_KEYS.WORLD_PREFIX}${worldId}`, null),
+
+    saveWorldRecord: (world, summary) => {
+      const worlds = StorageWorldRepository.listWorlds();
+      const index = worlds.findIndex(w => w.id === world.id);
+      if (index >= 0) {
+        worlds[index] = summary;
+      } else {
+        worlds.push(summary);
+      }
+
+      writeJSON(storage, WORLD_STORAGE_KEYS.WORLDS, worlds);
+      writeJSON(storage, `${WORLD_STORAGE_KEYS.WORLD_PREFIX}${world.id}`, world);
+    },
+
+    deleteWorldRecord: (worldId) => {
+      const worlds = StorageWorldRepository.listWorlds().filter(w => w.id !== worldId);
+      writeJSON(storage, WORLD_STORAGE_KEYS.WORLDS, worlds);
+
+      [
+        WORLD_STORAGE_KEYS.WORLD_PREFIX,
+        WORLD_STORAGE_KEYS.NODES_PREFIX,
+        WORLD_STORAGE_KEYS.CHARACTERS_PREFIX,
+        WORLD_STORAGE_KEYS.INTERACTIONS_PREFIX,
+        WORLD_STORAGE_KEYS.ENCOUNTERS_PREFIX
+      ].forEach(prefix => storage.removeItem(`${prefix}${worldId}`));
+    },
+
+    getWorldNodes: (worldId) => readJSON(storage, `${WORLD_STORAGE_KEYS.NODES_PREFIX}${worldId}`, []),
+
+    saveWorldNodes: (worldId, nodes) => {
+      writeJSON(storage, `${WORLD_STORAGE_KEYS.NODES_PREFIX}${worldId}`, nodes);
+    },
+
+    getDocument: (name, fallback = null) => readJSON(storage, name, fallback),
+
+    saveDocument: (name, value) => {
+      writeJSON(storage, name, value);
+    },
+
+    removeDocument: (name) => {
+      storage.removeItem(name);
+    },
+
+    findDocuments: (prefix) => storage.keys()
+      .filter(key => key.startsWith(prefix))
+      .map(key => {
+        try {
+          return JSON.parse(storage.getItem(key));
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean),
+
+    clearLibrary: () => {
+      storage.keys()
+        .filter(key => key.startsWith(WORLD_STORAGE_KEYS.LIBRARY_PREFIX))
+        .forEach(key => storage.removeItem(key));
+    },
+
+    // Strings are stored as UTF-16, two bytes per character
+    getUsage: async () => ({
+      usage: storage.keys().reduce((total, key) => total + (key.length + (storage.getItem(key) || '').length) * 2, 0),
+      quota: storage.quota ?? null
+    }),
+
+    // Adapter writes are synchronous, so there is never anything pending
+    flush: async () => {},
+  };
+
+  return { ...IWorldRepository, ...StorageWorldRepository };
+};
+
+export default createWorldRepository;
@@ -0,0 +1,35 @@
+// src/infrastructure/Persistance/__tests__/HistoryIndex.test.js
+
+import HistoryIndex from '../HistoryIndex.js';
+import { runHistoryQuery } from '../../../domain/services/HistoryQuery.js';
+
+const events = [
+  { id: 'e1', timestamp: 90, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'keep', outcome: 'positive', significance: 0.9 },
+  { id: 'e2', timestamp: 120, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'ford', outcome: 'negative', significance: 0.4 },
+  { id: 'e3', timestamp: 150, type: 'combat', characterId: 'bren', characterName: 'Bren', location: 'keep', outcome: 'positive', significance: 0.7 },
+  { id: 'e4', timestamp: 180, type: 'combat', characterId: 'aria', characterName: 'Aria', location: 'keep', outcome: 'positive', significance: 0.8 },
+  { id: 'e5', timestamp: 180, type: 'birth', characterId: 'cai', characterName: 'Cai', location: 'ford', significance: 0.8 }
+];
+
+describe('HistoryIndex', () => {
+  test('should answer from the index exactly as from a scan, following appends and rewrites', () => {
+    const stored = events.slice(0, 3);
+    const index = new HistoryIndex().sync(stored);
+    const queries = ['character:aria', 'turn:120', 'node:keep AND significance:0.7..0.9', 'outcome:negative OR type:birth'];
+
+    stored.push(...events.slice(3));
+    index.sync(stored);
+    queries.forEach(query => expect(index.search(query)).toEqual(runHistoryQuery(events, query)));
+    expect(index.find({ characterId: 'aria', timeRange: { start: 100 } }).map(event => event.id)).toEqual(['e2', 'e4']);
+
+    index.sync([events[4]]);
+    expect(index.search('turn:180').events.map(event => event.id)).toEqual(['e5']);
+
+    // Cut back in place and appended past the old length before the next read
+    index.sync(stored);
+    stored.splice(1);
+    stored.push({ ...events[2] }, { ...events[3] }, { ...events[4] }, { ...events[1] });
+    index.sync(stored);
+    expect(index.find({ characterId: 'aria' }).map(event => event.id)).toEqual(['e1', 'e4', 'e2']);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * @jest-environment node
+ */
+// src/infrastructure/persistence/__tests__/IndexedDBStorage.test.js
+/* eslint-disable testing-library/await-async-query -- findById is the repository port, not a Testing Library query */
+/* global globalThis */
+
+import { BroadcastChannel } from 'worker_threads';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import IndexedDBStorage, { STORES } from '../IndexedDBStorage.js';
+import InMemoryStorage from '../InMemoryStorage.js';
+import { StorageQuotaError } from '../StorageErrors.js';
+import { WORLD_STORAGE_KEYS } from '../StorageWorldRepository.js';
+import { configureStorage, configureBrowserStorage, getStorageAdapter, getWorldRepository } from '../StorageProvider.js';
+import Character from '../../../domain/entities/Character.js';
+import { WorldPersistenceService } from '../../../application/services/WorldPersistenceService.js';
+
+describe('IndexedDBStorage', () => {
+  let indexedDB;
+  // No change notices unless a test asks for them: every test shares the database name
+  const open = async (options = {}) => {
+    const storage = new IndexedDBStorage({ indexedDB, IDBKeyRange, BroadcastChannel: null, ...options });
+    await storage.ready();
+    return storage;
+  };
+
+  // Writes are committed in the background; reopen to prove they reached the database
+  const reopen = async (storage, options) => {
+    await storage.flush();
+    storage.close();
+    return open(options);
+  };
+
+  beforeEach(() => {
+    indexedDB = new IDBFactory();
+  });
+
+  test('should create an object store per entity type with lookup indexes', async () => {
+    const storage = await open();
+    const transaction = storage.db.transaction(Object.values(STORES), 'readonly');
+
+    expect([...storage.db.objectStoreNames].sort()).toEqual(Object.values(STORES).sort());
+    expect([...transaction.objectStore(STORES.NODES).indexNames]).toEqual(['worldId']);
+    expect([...transaction.objectStore(STORES.CHARACTERS).indexNames]).toEqual(['worldId']);
+    expect([...transaction.objectStore(STORES.HISTORY).indexNames].sort()).toEqual(['characterId', 'turn', 'type']);
+  });
+
+  test('should refuse to write before ready()', () => {
+    const storage = new IndexedDBStorage({ indexedDB, IDBKeyRange });
+    const { world } = storage.createRepositories();
+
+    expect(() => world.saveWorld({ time: 1 })).toThrow('IndexedDBStorage is not ready');
+  });
+
+  describe('world repository', () => {
+    test('should persist the simulation state and documents', async () => {
+      let storage = await open();
+      let { world } = storage.createRepositories();
+
+      world.saveWorld({ time: 12, nodes: [], npcs: [] });
+      world.saveDocument('encounters', [{ id: 'e1' }]);
+
+      storage = await reopen(storage);
+      ({ world } = storage.createRepositories());
+
+      expect(world.getWorld()).toEqual({ time: 12, nodes: [], npcs: [] });
+      expect(world.getDocument('encounters', [])).toEqual([{ id: 'e1' }]);
+
+      world.clearWorld();
+      storage = await reopen(storage);
+      expect(storage.createRepositories().world.getWorld()).toBeNull();
+    });
+
+    test('should hand out copies so callers cannot mutate stored data', async () => {
+      const { world } = (await open()).createRepositories();
+      world.saveWorld({ time: 1, nodes: [], npcs: [] });
+
+      world.getWorld().time = 99;
+
+      expect(world.getWorld().time).toBe(1);
+    });
+
+    test('should keep saved worlds and their nodes in order', async () => {
+      let storage = await open();
+      let { world } = storage.createRepositories();
+
+      world.saveWorldRecord({ id: 'w2', name: 'Second' }, { id: 'w2', name: 'Second' });
+      world.saveWorldRecord({ id: 'w1', name: 'First' }, { id: 'w1', name: 'First' });
+      world.saveWorldNodes('w1', [{ id: 'n2', name: 'B' }, { id: 'n1', name: 'A' }]);
+      world.saveWorldNodes('w2', [{ id: 'n1', name: 'Other world' }]);
+
+      storage = await reopen(storage);
+      ({ world } = storage.createRepositories());
+
+      expect(world.listWorlds().map(w => w.id)).toEqual(['w2', 'w1']);
+      expect(world.getWorldNodes('w1').map(n => n.id)).toEqual(['n2', 'n1']);
+      expect(world.getWorldNodes('w2')).toEqual([{ id: 'n1', name: 'Other world' }]);
+    });
+
+    test('should replace and delete a world with its nodes', async () => {
+      let storage = await open();
+      let { world } = storage.createRepositories();
+
+      world.saveWorldRecord({ id: 'w1', name: 'First' }, { id: 'w1', name: 'First' });
+      world.saveWorldNodes('w1', [{ id: 'n1' }, { id: 'n2' }]);
+      world.saveWorldNodes('w1', [{ id: 'n2' }]);
+      world.saveWorldRecord({ id: 'w2', name: 'Second' }, { id: 'w2', name: 'Second' });
+      world.saveWorldNodes('w2', [{ id: 'n9' }]);
+
+      storage = await reopen(storage);
+      ({ world } = storage.createRepositories());
+      expect(world.getWorldNodes('w1')).toEqual([{ id: 'n2' }]);
+
+      world.deleteWorldRecord('w1');
+      storage = await reopen(storage);
+      ({ world } = storage.createRepositories());
+
+      expect(world.listWorlds().map(w => w.id)).toEqual(['w2']);
+      expect(world.findWorldById('w1')).toBeNull();
+      expect(world.getWorldNodes('w1')).toEqual([]);
+      expect(world.getWorldNodes('w2')).toEqual([{ id: 'n9' }]);
+    });
+
+    test('should clear only the saved-world library', async () => {
+      let storage = await open();
+      const { world } = storage.createRepositories();
+
+      world.saveWorldRecord({ id: 'w1', name: 'First' }, { id: 'w1', name: 'First' });
+      world.saveDocument('templates', {});
+      world.saveDocument(`${WORLD_STORAGE_KEYS.ENCOUNTERS_PREFIX}w1`, []);
+      world.clearLibrary();
+
+      storage = await reopen(storage);
+      const reopened = storage.createRepositories().world;
+
+      expect(reopened.listWorlds()).toEqual([]);
+      expect(reopened.getDocument('templates')).toEqual({});
+      expect(reopened.getDocument(`${WORLD_STORAGE_KEYS.ENCOUNTERS_PREFIX}w1`)).toBeNull();
+    });
+  });
+
+  describe('character repository', () => {
+    test('should round-trip characters', async () => {
+      let storage = await open();
+      storage.createRepositories().character.save(new Character({ id: 'c1', name: 'Aria' }));
+
+      storage = await reopen(storage);
+      const { character } = storage.createRepositories();
+
+      expect(character.findById('c1')).toBeInstanceOf(Character);
+      expect(character.findAll().map(c => c.name)).toEqual(['Aria']);
+
+      character.delete('c1');
+      expect(character.findById('c1')).toBeNull();
+    });
+  });
+
+  describe('history repository', () => {
+    const events = [
+      { id: 'event_10_a', timestamp: 10, characterId: 'c1', type: 'combat' },
+      { id: 'event_9_b', timestamp: 9, characterId: 'c2', type: 'dialogue' },
+      { id: 'event_11_c', timestamp: 11, characterId: 'c1', type: 'dialogue' }
+    ];
+
+    test('should keep events in the order they were logged', async () => {
+      let storage = await open();
+      const { history } = storage.createRepositories();
+      events.forEach(event => history.saveEvent(event));
+
+      storage = await reopen(storage);
+
+      expect(storage.createRepositories().history.findEvents().map(e => e.id))
+        .toEqual(['event_10_a', 'event_9_b', 'event_11_c']);
+    });
+
+    test('should query through the characterId, turn and type indexes', async () => {
+      const { history } = (await open()).createRepositories();
+      events.forEach(event => history.saveEvent(event));
+
+      expect((await history.queryEvents({ characterId: 'c1' })).map(e => e.id)).toEqual(['event_10_a', 'event_11_c']);
+      expect((await history.queryEvents({ timeRange: { start: 9, end: 10 } })).map(e => e.id)).toEqual(['event_10_a', 'event_9_b']);
+      expect((await history.queryEvents({ type: 'dialogue' })).map(e => e.id)).toEqual(['event_9_b', 'event_11_c']);
+      expect(history.findEvents({ characterId: 'c1', type: 'dialogue' }).map(e => e.id)).toEqual(['event_11_c']);
+    });
+
+    test('should clear events', async () => {
+      let storage = await open();
+      const { history } = storage.createRepositories();
+      events.forEach(event => history.saveEvent(event));
+      history.clearEvents();
+
+      storage = await reopen(storage);
+
+      expect(storage.createRepositories().history.findEvents()).toEqual([]);
+    });
+
+    test('should truncate the log to its first events', async () => {
+      let storage = await open();
+      const { history } = storage.createRepositories();
+      events.forEach(event => history.saveEvent(event));
+      expect(history.findEvents({ characterId: 'c1' })).toHaveLength(2);
+
+      history.truncateEvents(1);
+      history.saveEvent({ id: 'event_12_d', timestamp: 12, characterId: 'c2', type: 'combat' });
+      history.saveEvent({ id: 'event_13_e', timestamp: 13, characterId: 'c2', type: 'combat' });
+      expect(history.countEvents()).toBe(3);
+      expect(history.findEvents({ characterId: 'c1' }).map(e => e.id)).toEqual(['event_10_a']);
+
+      storage = await reopen(storage);
+
+      expect(storage.createRepositories().history.findEvents().map(e => e.id))
+        .toEqual(['event_10_a', 'event_12_d', 'event_13_e']);
+    });
+  });
+
+  describe('sharing the database between contexts', () => {
+    // The UI thread and the simulation worker, each with its own working set
+    const openContexts = async () => {
+      const options = { BroadcastChannel, databaseName: 'sharedWorld' };
+      return [await open(options), await open(options)];
+    };
+
+    const notices = (storage, count = 1) => new Promise(resolve => {
+      let received = 0;
+      const onMessage = () => {
+        received += 1;
+        if (received === count) {
+          storage.channel.removeEventListener('message', onMessage);
+          resolve();
+        }
+      };
+      storage.channel.addEventListener('message', onMessage);
+    });
+
+    test('should apply documents and events another context wrote, in sequence', async () => {
+      const [ui, worker] = await openContexts();
+      const uiRepositories = ui.createRepositories();
+      const workerRepositories = worker.createRepositories();
+
+      const grammarSaved = notices(worker, 2);
+      uiRepositories.world.saveDocument('grammar', { origin: ['#hero# wins'] });
+      uiRepositories.history.saveEvent({ id: 'edit', timestamp: 0 });
+      await grammarSaved;
+
+      expect(workerRepositories.world.getDocument('grammar')).toEqual({ origin: ['#hero# wins'] });
+      expect(workerRepositories.history.findEvents().map(event => event.id)).toEqual(['edit']);
+
+      const turnSaved = notices(ui, 2);
+      workerRepositories.history.saveEvent({ id: 'turn_1', timestamp: 1 });
+      workerRepositories.world.saveWorld({ time: 1, nodes: [], npcs: [] });
+      await turnSaved;
+
+      expect(uiRepositories.history.findEvents().map(event => event.id)).toEqual(['edit', 'turn_1']);
+      expect(ui.cache.events.map(record => record.sequence)).toEqual([1, 2]);
+      expect(uiRepositories.world.getWorld()).toEqual({ time: 1, nodes: [], npcs: [] });
+
+      const truncated = notices(ui);
+      workerRepositories.history.truncateEvents(1);
+      await truncated;
+      expect(uiRepositories.history.findEvents().map(event => event.id)).toEqual(['edit']);
+
+      const cleared = notices(ui);
+      workerRepositories.history.clearEvents();
+      await cleared;
+      expect(uiRepositories.history.findEvents()).toEqual([]);
+
+      ui.close();
+      worker.close();
+    });
+
+    test('should apply saved and deleted worlds, nodes and characters', async () => {
+      const [ui, worker] = await openContexts();
+      const { world, character } = ui.createRepositories();
+      const workerRepositories = worker.createRepositories();
+
+      const saved = notices(worker, 3);
+      world.saveWorldRecord({ id: 'w1', name: 'Vale' }, { id: 'w1', name: 'Vale' });
+      world.saveWorldNodes('w1', [{ id: 'n1', name: 'Ford' }]);
+      character.save(new Character({ id: 'c1', name: 'Aria' }));
+      await saved;
+
+      expect(workerRepositories.world.listWorlds()).toEqual([{ id: 'w1', name: 'Vale' }]);
+      expect(workerRepositories.world.getWorldNodes('w1')).toEqual([{ id: 'n1', name: 'Ford' }]);
+      expect(workerRepositories.character.findById('c1').name).toBe('Aria');
+
+      const deleted = notices(worker, 2);
+      world.deleteWorldRecord('w1');
+      character.delete('c1');
+      await deleted;
+
+      expect(workerRepositories.world.listWorlds()).toEqual([]);
+      expect(workerRepositories.world.getWorldNodes('w1')).toEqual([]);
+      expect(workerRepositories.character.findById('c1')).toBeNull();
+
+      ui.close();
+      worker.close();
+    });
+  });
+
+  describe('localStorage migration', () => {
+    const buildLegacyStorage = () => new InMemoryStorage({
+      worldState: JSON.stringify({ time: 3, nodes: [], npcs: [] }),
+      [WORLD_STORAGE_KEYS.WORLDS]: JSON.stringify([{ id: 'w1', name: 'Legacy' }]),
+      [`${WORLD_STORAGE_KEYS.WORLD_PREFIX}w1`]: JSON.stringify({ id: 'w1', name: 'Legacy', description: 'Old save' }),
+      [`${WORLD_STORAGE_KEYS.NODES_PREFIX}w1`]: JSON.stringify([{ id: 'n1', name: 'Village' }]),
+      character_c1: JSON.stringify(new Character({ id: 'c1', name: 'Aria' }).toJSON()),
+      historicalEvents: JSON.stringify([{ id: 'e1', timestamp: 1, characterId: 'c1' }]),
+      encounters: JSON.stringify([{ id: 'enc1' }]),
+      world_draft: JSON.stringify({ name: 'Draft' }),
+      templates: 'not json {',
+      someOtherApp: JSON.stringify({ keep: true })
+    });
+
+    test('should copy existing localStorage data into the object stores', async () => {
+      const legacyStorage = buildLegacyStorage();
+      const storage = await open({ legacyStorage });
+      const { world, character, history } = storage.createRepositories();
+
+      expect(world.getWorld().time).toBe(3);
+      expect(world.listWorlds()).toEqual([{ id: 'w1', name: 'Legacy' }]);
+      expect(world.findWorldById('w1').description).toBe('Old save');
+      expect(world.getWorldNodes('w1')).toEqual([{ id: 'n1', name: 'Village' }]);
+      expect(character.findById('c1').name).toBe('Aria');
+      expect(history.findEvents()).toEqual([{ id: 'e1', timestamp: 1, characterId: 'c1' }]);
+      expect(world.getDocument('encounters')).toEqual([{ id: 'enc1' }]);
+      expect(world.findDocuments('world_')).toEqual([{ name: 'Draft' }]);
+      expect(storage.migratedCount).toBe(8);
+    });
+
+    test('should free migrated keys and leave unreadable or foreign ones alone', async () => {
+      const legacyStorage = buildLegacyStorage();
+      await open({ legacyStorage });
+
+      expect(legacyStorage.keys().sort()).toEqual(['someOtherApp', 'templates']);
+    });
+
+    test('should only migrate once', async () => {
+      const legacyStorage = buildLegacyStorage();
+      const storage = await open({ legacyStorage });
+
+      legacyStorage.setItem('encounters', JSON.stringify([{ id: 'written-later' }]));
+      const reopened = await reopen(storage, { legacyStorage });
+
+      expect(reopened.migratedCount).toBe(0);
+      expect(reopened.createRepositories().world.getDocument('encounters')).toEqual([{ id: 'enc1' }]);
+      expect(legacyStorage.getItem('encounters')).not.toBeNull();
+    });
+  });
+
+  describe('quota handling', () => {
+    const quotaExceeded = () => Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+
+    // Stand-in for a transaction the browser aborts because the origin is out of space
+    const failWritesWithQuotaError = (storage) => {
+      storage.db.transaction = () => {
+        const transaction = {
+          error: quotaExceeded(),
+          objectStore: () => ({ put() {}, delete() {}, clear() {} })
+        };
+        setTimeout(() => transaction.onabort(), 0);
+        return transaction;
+      };
+    };
+
+    test('should reject flush() with a StorageQuotaError', async () => {
+      const onError = jest.fn();
+      const storage = await open({ onError });
+      failWritesWithQuotaError(storage);
+
+      storage.createRepositories().world.saveWorld({ time: 1 });
+
+      await expect(storage.flush()).rejects.toBeInstanceOf(StorageQuotaError);
+      expect(onError).toHaveBeenCalledWith(expect.any(StorageQuotaError));
+      await expect(storage.flush()).resolves.toBeUndefined();
+    });
+
+    test('should make WorldPersistenceService.saveWorld fail loudly', async () => {
+      const storage = await open({ onError: () => {} });
+      const service = new WorldPersistenceService({ worldRepository: storage.createRepositories().world });
+      const saveError = jest.fn();
+      service.on('saveError', saveError);
+      failWritesWithQuotaError(storage);
+
+      await expect(service.saveWorld({ name: 'Huge', description: 'Too big to store' }))
+        .rejects.toBeInstanceOf(StorageQuotaError);
+      expect(saveError).toHaveBeenCalledWith(expect.objectContaining({ type: 'world', quotaExceeded: true }));
+    });
+
+    test('should report usage and quota from the storage estimate', async () => {
+      const storage = await open({ estimate: async () => ({ usage: 1024, quota: 4096 }) });
+      const service = new WorldPersistenceService({ worldRepository: storage.createRepositories().world });
+
+      await service.saveWorld({ id: 'w1', name: 'Stats', description: 'Counts worlds' });
+      await service.saveNode('w1', { name: 'Node', type: 'settlement' });
+      const stats = await service.getStorageStats();
+
+      expect(stats).toEqual(expect.objectContaining({
+        totalSize: 1024,
+        quota: 4096,
+        available: 3072,
+        percentUsed: 25,
+        worldCount: 1,
+        nodeCount: 1,
+        formattedSize: '1 KB',
+        formattedQuota: '4 KB'
+      }));
+    });
+  });
+
+  test('should supply its own repositories to the StorageProvider', async () => {
+    const storage = new IndexedDBStorage({ indexedDB, IDBKeyRange });
+    await configureStorage(storage);
+
+    getWorldRepository().saveDocument('templates', { nodeTemplates: [] });
+
+    expect(storage.cache.documents.get('templates')).toEqual({ nodeTemplates: [] });
+    await storage.flush();
+  });
+
+  // Like a Web Worker: IndexedDB on the global scope, but no window and no localStorage
+  test('should be chosen by configureBrowserStorage without a window', async () => {
+    expect(typeof window).toBe('undefined');
+    Object.assign(globalThis, { indexedDB, IDBKeyRange });
+    try {
+      expect(IndexedDBStorage.isAvailable()).toBe(true);
+      const storage = await configureBrowserStorage();
+
+      expect(storage).toBeInstanceOf(IndexedDBStorage);
+      expect(getStorageAdapter()).toBe(storage);
+      expect(storage.legacyStorage).toBeNull();
+      storage.close();
+    } finally {
+      delete globalThis.indexedDB;
+      delete globalThis.IDBKeyRange;
+    }
+    expect(IndexedDBStorage.isAvailable()).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+// src/infrastructure/persistence/__tests__/StorageAdapters.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import InMemoryStorage from '../InMemoryStorage.js';
+import LocalStorageAdapter from '../LocalStorageAdapter.js';
+import FileSystemStorageAdapter from '../FileSystemStorageAdapter.js';
+
+const storeDirectory = path.join(os.tmpdir(), `sim-engine-store-${process.pid}`);
+
+// Every adapter must satisfy the same IStorageAdapter contract
+describe.each([
+  ['InMemoryStorage', () => new InMemoryStorage()],
+  ['LocalStorageAdapter', () => new LocalStorageAdapter()],
+  ['FileSystemStorageAdapter', () => new FileSystemStorageAdapter({ directory: storeDirectory, fs, path })]
+])('%s', (name, createAdapter) => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = createAdapter();
+    await adapter.ready();
+    adapter.clear();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storeDirectory, { recursive: true, force: true });
+  });
+
+  test('should store and read values', () => {
+    adapter.setItem('worldState', '{"time":3}');
+
+    expect(adapter.getItem('worldState')).toBe('{"time":3}');
+  });
+
+  test('should return null for missing keys', () => {
+    expect(adapter.getItem('missing')).toBeNull();
+  });
+
+  test('should remove values', () => {
+    adapter.setItem('a', '1');
+    adapter.removeItem('a');
+    adapter.removeItem('never-set');
+
+    expect(adapter.getItem('a')).toBeNull();
+  });
+
+  test('should list keys, including ones with special characters', () => {
+    adapter.setItem('worldHistorySimulator_world_1', '{}');
+    adapter.setItem('world_my/odd:name', '{}');
+
+    expect(adapter.keys().sort()).toEqual(['worldHistorySimulator_world_1', 'world_my/odd:name'].sort());
+  });
+
+  test('should clear every value', () => {
+    adapter.setItem('a', '1');
+    adapter.setItem('b', '2');
+    adapter.clear();
+
+    expect(adapter.keys()).toEqual([]);
+  });
+});
+
+describe('FileSystemStorageAdapter configuration', () => {
+  test('should require a directory and the fs/path modules', () => {
+    expect(() => new FileSystemStorageAdapter({ directory: storeDirectory }))
+      .toThrow('FileSystemStorageAdapter requires directory, fs and path');
+  });
+});
+
+describe('InMemoryStorage', () => {
+  test('should also implement the Web Storage API', () => {
+    const storage = new InMemoryStorage({ existing: 'yes' });
+
+    storage.setItem('count', 3);
+
+    expect(storage.getItem('count')).toBe('3');
+    expect(storage.length).toBe(2);
+    expect(storage.key(0)).toBe('existing');
+    expect(storage.toJSON()).toEqual({ existing: 'yes', count: '3' });
+  });
+});
+
+describe('LocalStorageAdapter', () => {
+  test('should report availability', () => {
+    expect(LocalStorageAdapter.isAvailable()).toBe(true);
+  });
+
+  test('should use whichever Storage object the getter returns', () => {
+    const backing = new InMemoryStorage();
+    const adapter = new LocalStorageAdapter(() => backing);
+
+    adapter.setItem('templates', '{}');
+
+    expect(backing.getItem('templates')).toBe('{}');
+  });
+});
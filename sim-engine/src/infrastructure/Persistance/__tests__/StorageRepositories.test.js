@@ -0,0 +1,261 @@
+// src/infrastructure/persistence/__tests__/StorageRepositories.test.js
+/* eslint-disable testing-library/await-async-query -- findById is the repository port, not a Testing Library query */
+
+import InMemoryStorage from '../InMemoryStorage.js';
+import createWorldRepository, { WORLD_STORAGE_KEYS } from '../StorageWorldRepository.js';
+import createCharacterRepository from '../StorageCharacterRepository.js';
+import createHistoryRepository from '../StorageHistoryRepository.js';
+import {
+  configureStorage,
+  getStorageAdapter,
+  getWorldRepository,
+  getHistoryRepository
+} from '../StorageProvider.js';
+import LocalStorageAdapter from '../LocalStorageAdapter.js';
+import Character from '../../../domain/entities/Character.js';
+import HistoryGenerator from '../../../domain/services/HistoryGenerator.js';
+import ConsciousnessSystem from '../../../domain/value-objects/ConsciousnessSystem.js';
+import { SimulationService } from '../../../application/use-cases/services/SimulationService.js';
+import { WorldPersistenceService } from '../../../application/services/WorldPersistenceService.js';
+
+describe('StorageWorldRepository', () => {
+  let storage;
+  let repository;
+
+  beforeEach(() => {
+    storage = new InMemoryStorage();
+    repository = createWorldRepository(storage);
+  });
+
+  test('should save, read and clear the simulation state', () => {
+    repository.saveWorld({ time: 4, nodes: [], npcs: [] });
+
+    expect(repository.getWorld()).toEqual({ time: 4, nodes: [], npcs: [] });
+    expect(storage.getItem(WORLD_STORAGE_KEYS.SIMULATION_STATE)).not.toBeNull();
+
+    repository.clearWorld();
+    expect(repository.getWorld()).toBeNull();
+  });
+
+  test('should throw on corrupted simulation state', () => {
+    storage.setItem(WORLD_STORAGE_KEYS.SIMULATION_STATE, 'invalid json {');
+
+    expect(() => repository.getWorld()).toThrow();
+  });
+
+  test('should update a node inside the saved state', () => {
+    repository.saveWorld({ time: 0, nodes: [{ id: 'n1', name: 'Old' }], npcs: [] });
+
+    repository.updateNode({ id: 'n1', name: 'New' });
+
+    expect(repository.getWorld().nodes[0].name).toBe('New');
+  });
+
+  test('should keep the world list in step with saved worlds', () => {
+    repository.saveWorldRecord({ id: 'w1', name: 'First' }, { id: 'w1', name: 'First' });
+    repository.saveWorldRecord({ id: 'w1', name: 'Renamed' }, { id: 'w1', name: 'Renamed' });
+    repository.saveWorldRecord({ id: 'w2', name: 'Second' }, { id: 'w2', name: 'Second' });
+
+    expect(repository.listWorlds()).toEqual([{ id: 'w1', name: 'Renamed' }, { id: 'w2', name: 'Second' }]);
+    expect(repository.findWorldById('w1').name).toBe('Renamed');
+    expect(repository.findWorldById('missing')).toBeNull();
+  });
+
+  test('should delete a world with its associated data', () => {
+    repository.saveWorldRecord({ id: 'w1', name: 'First' }, { id: 'w1', name: 'First' });
+    repository.saveWorldNodes('w1', [{ id: 'n1' }]);
+
+    repository.deleteWorldRecord('w1');
+
+    expect(repository.listWorlds()).toEqual([]);
+    expect(repository.findWorldById('w1')).toBeNull();
+    expect(repository.getWorldNodes('w1')).toEqual([]);
+  });
+
+  test('should store named documents', () => {
+    repository.saveDocument('encounters', [{ id: 'e1' }]);
+    repository.saveDocument('world_a', { name: 'A' });
+    repository.saveDocument('world_b', { name: 'B' });
+    storage.setItem('world_broken', 'not json');
+
+    expect(repository.getDocument('encounters', [])).toEqual([{ id: 'e1' }]);
+    expect(repository.getDocument('interactions', [])).toEqual([]);
+    expect(repository.findDocuments('world_')).toEqual(expect.arrayContaining([{ name: 'A' }, { name: 'B' }]));
+    expect(repository.findDocuments('world_')).toHaveLength(2);
+
+    repository.removeDocument('encounters');
+    expect(repository.getDocument('encounters')).toBeNull();
+  });
+
+  test('should only clear the saved-world library', () => {
+    repository.saveWorldRecord({ id: 'w1', name: 'First' }, { id: 'w1', name: 'First' });
+    repository.saveDocument('templates', {});
+
+    repository.clearLibrary();
+
+    expect(storage.keys()).toEqual(['templates']);
+  });
+
+  test('should report usage in UTF-16 bytes against the adapter quota', async () => {
+    storage.setItem('ab', 'cd');
+
+    expect(await repository.getUsage()).toEqual({ usage: 8, quota: null });
+    expect((await createWorldRepository(new LocalStorageAdapter()).getUsage()).quota).toBe(5 * 1024 * 1024 * 2);
+  });
+});
+
+describe('StorageCharacterRepository', () => {
+  test('should round-trip characters', () => {
+    const repository = createCharacterRepository(new InMemoryStorage());
+    const character = new Character({ id: 'c1', name: 'Aria' });
+
+    repository.save(character);
+
+    expect(repository.findById('c1')).toBeInstanceOf(Character);
+    expect(repository.findById('c1').name).toBe('Aria');
+    expect(repository.findAll()).toHaveLength(1);
+
+    repository.delete('c1');
+    expect(repository.findById('c1')).toBeNull();
+  });
+
+  test('should reject non-Character values', () => {
+    const repository = createCharacterRepository(new InMemoryStorage());
+
+    expect(() => repository.save({ id: 'c1' })).toThrow('Invalid character');
+  });
+});
+
+describe('StorageHistoryRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createHistoryRepository(new InMemoryStorage());
+    repository.saveEvent({ id: 'e1', timestamp: 1, characterId: 'c1', type: 'combat' });
+    repository.saveEvent({ id: 'e2', timestamp: 5, characterId: 'c2', type: 'dialogue' });
+    repository.saveEvent({ id: 'e3', timestamp: 9, characterId: 'c1', type: 'dialogue' });
+  });
+
+  test('should return every event without criteria', () => {
+    expect(repository.findEvents().map(e => e.id)).toEqual(['e1', 'e2', 'e3']);
+  });
+
+  test('should filter by character, type and time range', () => {
+    expect(repository.findEvents({ characterId: 'c1' }).map(e => e.id)).toEqual(['e1', 'e3']);
+    expect(repository.findEvents({ type: 'dialogue' }).map(e => e.id)).toEqual(['e2', 'e3']);
+    expect(repository.findEvents({ timeRange: { start: 2, end: 9 } }).map(e => e.id)).toEqual(['e2', 'e3']);
+  });
+
+  test('should clear events', () => {
+    repository.clearEvents();
+
+    expect(repository.findEvents()).toEqual([]);
+  });
+
+  test('should count events and truncate the log to its first events', () => {
+    expect(repository.countEvents()).toBe(3);
+
+    repository.truncateEvents(1);
+    repository.saveEvent({ id: 'e4', timestamp: 2, characterId: 'c1', type: 'combat' });
+
+    expect(repository.countEvents()).toBe(2);
+    expect(repository.findEvents({ characterId: 'c1' }).map(e => e.id)).toEqual(['e1', 'e4']);
+  });
+
+  test('should search events and see what another repository on the same storage wrote', () => {
+    const storage = new InMemoryStorage();
+    const reader = createHistoryRepository(storage);
+    const writer = createHistoryRepository(storage);
+    writer.saveEvent({ id: 'e1', timestamp: 1, characterId: 'c1', type: 'combat' });
+
+    expect(reader.searchEvents('type:combat').events.map(e => e.id)).toEqual(['e1']);
+
+    writer.saveEvent({ id: 'e2', timestamp: 4, characterId: 'c1', type: 'combat' });
+    const result = reader.searchEvents('character:c1 ORDER BY turn DESC LIMIT 1', { aggregate: ['turn'] });
+
+    expect(result.events.map(e => e.id)).toEqual(['e2']);
+    expect(result.total).toBe(2);
+    expect(result.aggregations.turn).toEqual([{ key: 1, count: 1 }, { key: 4, count: 1 }]);
+    // Results are copies
+    result.events[0].type = 'changed';
+    expect(reader.findEvents({ type: 'combat' })).toHaveLength(2);
+  });
+});
+
+describe('StorageProvider', () => {
+  afterEach(async () => {
+    await configureStorage(new LocalStorageAdapter());
+  });
+
+  test('should default to localStorage in the browser', () => {
+    expect(getStorageAdapter()).toBeInstanceOf(LocalStorageAdapter);
+  });
+
+  test('should route repositories through the configured adapter', async () => {
+    const storage = new InMemoryStorage();
+    await configureStorage(storage);
+
+    getWorldRepository().saveDocument('templates', { nodeTemplates: [] });
+    getHistoryRepository().saveEvent({ id: 'e1' });
+
+    expect(storage.keys().sort()).toEqual(['historicalEvents', 'templates']);
+    expect(localStorage.getItem('templates')).toBeNull();
+  });
+
+  test('should require an adapter', async () => {
+    await expect(configureStorage(null)).rejects.toThrow('A storage adapter is required');
+  });
+});
+
+describe('services with injected repositories', () => {
+  test('SimulationService should save and load through its repository', () => {
+    const storage = new InMemoryStorage();
+    const service = new SimulationService({ worldRepository: createWorldRepository(storage) });
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    service.worldState = { time: 7, worldName: 'Injected', nodes: [], npcs: [], interactions: [], resources: {} };
+
+    expect(service.saveState()).toBe(true);
+    service.worldState = null;
+    expect(service.loadState().time).toBe(7);
+    expect(storage.keys()).toEqual(['worldState']);
+
+    logSpy.mockRestore();
+  });
+
+  test('HistoryGenerator should persist through its repository', () => {
+    const historyRepository = createHistoryRepository(new InMemoryStorage());
+    const generator = new HistoryGenerator({ historyRepository });
+
+    generator.saveEvent({ id: 'e1', characterId: 'c1' });
+
+    expect(generator.getEvents()).toEqual([{ id: 'e1', characterId: 'c1' }]);
+    expect(generator.getEvents({ characterId: 'other' })).toEqual([]);
+    expect(() => new HistoryGenerator()).toThrow('HistoryGenerator requires a historyRepository');
+  });
+
+  test('ConsciousnessSystem should persist through its repository', () => {
+    const storage = new InMemoryStorage();
+    const worldRepository = createWorldRepository(storage);
+    const system = new ConsciousnessSystem({ worldRepository });
+    system.createConsciousnessState('c1', { currentFrequency: 7 });
+
+    expect(system.saveToStorage()).toBe(true);
+    const loaded = ConsciousnessSystem.loadFromStorage(worldRepository);
+    expect(loaded.toJSON()).toEqual(system.toJSON());
+    expect(loaded.clearStorage()).toBe(true);
+    expect(storage.keys()).toEqual([]);
+    expect(ConsciousnessSystem.loadFromStorage(worldRepository)).toBeNull();
+  });
+
+  test('WorldPersistenceService should persist through its repository', async () => {
+    const storage = new InMemoryStorage();
+    const service = new WorldPersistenceService({ worldRepository: createWorldRepository(storage) });
+
+    const world = await service.saveWorld({ name: 'Injected', description: 'Stored in memory' });
+
+    expect(await service.loadWorld(world.id)).toEqual(world);
+    expect((await service.getStorageStats()).worldCount).toBe(1);
+    expect(localStorage.getItem(`${WORLD_STORAGE_KEYS.WORLD_PREFIX}${world.id}`)).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+// src/infrastructure/external/DefaultNarrativeGrammar.js
+
+/**
+ * The grammar GrammarNarrativeService starts from; a world's grammar (worldState.narrativeGrammar,
+ * edited in the Narrative Grammar editor) replaces any of these symbols.
+ *
+ * Event symbols are named after history event types, some with a variant suffix
+ * (succession_vacant, relationship_rivalry, world_event_war, interaction_success...).
+ * The service supplies, where the event has them:
+ * subject, other, previous, place, faction, otherFaction, quest, title, cause, relation,
+ * stance, goal, interaction, name, kind - and the subject's pronouns: they, them, their.
+ * Turns add turn and count; biographies name, role, home, born, died, cause and age.
+ */
+export const NARRATIVE_VARIABLES = [
+  'subject', 'other', 'previous', 'place', 'faction', 'otherFaction', 'quest', 'title', 'cause', 'relation',
+  'stance', 'goal', 'interaction', 'name', 'kind', 'they', 'them', 'their',
+  'turn', 'count', 'role', 'home', 'born', 'died', 'age'
+];
+
+const DEFAULT_NARRATIVE_GRAMMAR = {
+  // Events
+  birth: ['#subject# was born at #place#.', '#subject# came into the world at #place#.', 'At #place#, #subject# drew #their# first breath.'],
+  death: ['#subject# died of #cause# at #place#.', '#cause.capitalize# claimed #subject# at #place#.', '#subject# #passedAway# at #place#, taken by #cause#.'],
+  passedAway: ['passed away', 'breathed #their# last', 'went to the grave'],
+  succession: ['#subject# succeeded #previous# as #title# of #place#.', '#subject# took up the mantle of #title# of #place# after #previous#.'],
+  succession_new: ['#subject# became #title# of #place#.', '#subject# was raised to #title# of #place#.'],
+  succession_vacant: ['The title of #title# of #place# fell vacant.', 'No one held the title of #title# of #place# any longer.'],
+  quest_accepted: ['#subject# took up the quest #quest#.', '#subject# set out on #quest#.'],
+  quest_completed: ['#subject# completed the quest #quest#.', '#subject# saw #quest# through to #their# #triumphantEnd#.'],
+  triumphantEnd: ['end', 'triumphant end', 'hard-won end'],
+  quest_failed: ['#subject# failed the quest #quest#.', '#quest.capitalize# ended in failure for #subject#.'],
+  relationship_formed: ['#subject# and #other# became friends.', '#subject# found a friend in #other#.'],
+  relationship_rivalry: ['#subject# and #other# became rivals.', '#subject# came to count #other# as a rival.'],
+  relationship_romance: ['#subject# fell for #other#.', '#subject# and #other# became lovers.'],
+  relationship_loyalty: ['#subject# came to trust #other#.', '#subject# swore loyalty to #other#.'],
+  relationship_broken: ['#subject# and #other# drifted apart.', '#subject# no longer counted #other# as #relation.a#.'],
+  faction_joined: ['#subject# joined #faction#.', '#subject# swore in with #faction#.', '#faction# took #subject# in.'],
+  faction_left: ['#subject# left #faction#.', '#subject# turned #their# back on #faction#.'],
+  faction_leader_changed: ['#subject# took the lead of #faction#.', '#faction# rallied behind #subject#.'],
+  faction_goal_completed: ['#faction# achieved its aim, #goal#.', '#faction# saw its goal, #goal#, fulfilled.'],
+  faction_stance_changed: ['#faction# and #otherFaction# became #stance#.', 'Relations between #faction# and #otherFaction# turned #stance#.'],
+  faction_dissolved: ['#faction# dissolved.', '#faction# was no more.', 'The last of #faction# scattered.'],
+  world_event: ['#name# struck #place#.', '#name# came to #place#.'],
+  world_event_war: ['War came to #place#: #name#.', '#name# broke out around #place#.'],
+  world_event_plague: ['#name# swept through #place#.', 'Sickness took hold of #place# in #name#.'],
+  world_event_famine: ['#name# emptied the stores of #place#.', 'Hunger gripped #place# in #name#.'],
+  world_event_coronation: ['#name# was held at #place#.', '#place# saw #name#.'],
+  interaction_success: ['#subject# succeeded at #interaction# at #place#.', '#subject# carried off #interaction# at #place#.'],
+  interaction_failure: ['#subject# failed at #interaction# at #place#.', '#interaction.capitalize# went badly for #subject# at #place#.'],
+
+  // Turns
+  turn_summary: ['Turn #turn# saw #count#.', 'In turn #turn#, the records hold #count#.', 'Turn #turn# brought #count#.'],
+  turn_quiet: ['Turn #turn# passed quietly.', 'Nothing of note happened in turn #turn#.'],
+
+  // Biographies
+  biography_opening: ['#name# was #role.a#, born in turn #born# at #home#.', 'Born in turn #born#, #name# was #role.a# of #home#.'],
+  // Characters who were there before the records began
+  biography_opening_founder: ['#name# was #role.a# of #home#.', '#name#, #role.a#, made #their# home at #home#.'],
+  biography_alive: ['#name# #liveOn# at #home#, #age# years old.', 'At #age#, #name# #liveOn#.'],
+  liveOn: ['lives on', 'is still living', 'carries on'],
+  biography_dead: ['#name# died in turn #died# of #cause#, aged #age#.', '#cause.capitalize# took #name# in turn #died#, at #age#.'],
+  biography_quiet: ['Little else is recorded of #them#.', 'The records say little more of #them#.']
+};
+
+export default DEFAULT_NARRATIVE_GRAMMAR;
@@ -0,0 +1,233 @@
+// src/infrastructure/external/Grammar.js
+
+import { defaultRandom } from '../../shared/utils/RandomUtils.js';
+import { randomSelect } from '../../shared/utils/SelectionUtils.js';
+
+const MAX_DEPTH = 20;
+
+// Tracery's English modifiers: #animal.a.capitalize#
+export const MODIFIERS = {
+  capitalize: text => text.charAt(0).toUpperCase() + text.slice(1),
+  capitalizeAll: text => text.replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase()),
+  lowercase: text => text.toLowerCase(),
+  a: text => `${/^[aeiou]/i.test(text) && !/^(uni|eu|one)/i.test(text) ? 'an' : 'a'} ${text}`,
+  s: text => {
+    if (/(s|x|z|ch|sh)$/i.test(text)) return `${text}es`;
+    if (/[^aeiou]y$/i.test(text)) return `${text.slice(0, -1)}ies`;
+    return `${text}s`;
+  },
+  ed: text => {
+    if (/e$/i.test(text)) return `${text}d`;
+    if (/[^aeiou]y$/i.test(text)) return `${text.slice(0, -1)}ied`;
+    return `${text}ed`;
+  },
+  possessive: text => (/s$/i.test(text) ? `${text}'` : `${text}'s`)
+};
+
+/**
+ * Splits a rule into plain text, #tags# and [actions]; a backslash escapes the next character
+ * @param {string} rule
+ * @returns {Array<{type: 'text'|'tag'|'action', value: string}>}
+ */
+export const parseRule = (rule) => {
+  const sections = [];
+  let text = '';
+  let depth = 0;
+  let inTag = false;
+  let start = 0;
+  const flushText = () => {
+    if (text) sections.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  for (let i = 0; i < rule.length; i++) {
+    const char = rule[i];
+    const outside = depth === 0 && !inTag;
+    if (char === '\\') {
+      if (outside) text += rule[i + 1] ?? '';
+      i++;
+    } else if (char === '[') {
+      if (outside) {
+        flushText();
+        start = i + 1;
+      }
+      depth++;
+    } else if (char === ']') {
+      depth--;
+      if (depth === 0 && !inTag) sections.push({ type: 'action', value: rule.slice(start, i) });
+    } else if (char === '#' && depth === 0) {
+      if (inTag) {
+        sections.push({ type: 'tag', value: rule.slice(start, i) });
+      } else {
+        flushText();
+        start = i + 1;
+      }
+      inTag = !inTag;
+    } else if (outside) {
+      text += char;
+    }
+  }
+  flushText();
+  return sections;
+};
+
+// "[hero:#name#]story.capitalize" -> actions, symbol and modifiers
+const parseTag = (tag) => {
+  const actions = [];
+  let rest = tag;
+  while (rest.startsWith('[')) {
+    let depth = 0;
+    let end = 0;
+    for (; end < rest.length; end++) {
+      if (rest[end] === '[') depth++;
+      if (rest[end] === ']' && --depth === 0) break;
+    }
+    actions.push(rest.slice(1, end));
+    rest = rest.slice(end + 1);
+  }
+  const [symbol, ...modifiers] = rest.split('.');
+  return { actions, symbol, modifiers };
+};
+
+/**
+ * A Tracery-style text grammar: symbols map to lists of rules, which expand other symbols
+ *
+ * - `#symbol#` expands to one of the symbol's rules, picked at random
+ * - `#symbol.capitalize.s#` runs the expansion through MODIFIERS
+ * - `[key:rule]` expands the rule and pushes it as `key` (comma-separated rules push a list);
+ *   `[key:POP]` pops it again. Actions inside a tag, `#[hero:#name#]story#`, last for the tag
+ * - unknown symbols expand to `((symbol))`, and expansion stops `maxDepth` symbols deep
+ */
+class Grammar {
+  /**
+   * @param {Object} [rules] - { symbol: rule | [rules] }
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Random source
+   * @param {number} [options.maxDepth=20]
+   */
+  constructor(rules = {}, options = {}) {
+    this.rng = options.rng || defaultRandom;
+    this.maxDepth = options.maxDepth ?? MAX_DEPTH;
+    this.stacks = new Map();
+    this.addRules(rules);
+  }
+
+  // Replaces each symbol's rules
+  addRules(rules = {}) {
+    Object.entries(rules).forEach(([symbol, options]) => {
+      this.stacks.set(symbol, [Array.isArray(options) ? options.map(String) : [String(options)]]);
+    });
+    return this;
+  }
+
+  pushRules(symbol, options) {
+    if (!this.stacks.has(symbol)) this.stacks.set(symbol, []);
+    this.stacks.get(symbol).push(Array.isArray(options) ? options.map(String) : [String(options)]);
+  }
+
+  popRules(symbol) {
+    const stack = this.stacks.get(symbol);
+    if (stack?.length) stack.pop();
+    if (stack && !stack.length) this.stacks.delete(symbol);
+  }
+
+  hasSymbol(symbol) {
+    return this.stacks.has(symbol);
+  }
+
+  /**
+   * @param {string} rule - Text with #tags# and [actions]
+   * @param {Object} [variables] - Symbols that hold for this call only, e.g. { subject: 'Ann' }
+   * @returns {string}
+   */
+  flatten(rule, variables = {}) {
+    const entries = Object.entries(variables).filter(([, value]) => value !== undefined && value !== null);
+    entries.forEach(([symbol, value]) => this.pushRules(symbol, Array.isArray(value) ? value : [value]));
+    try {
+      return this.expandRule(String(rule), 0);
+    } finally {
+      entries.forEach(([symbol]) => this.popRules(symbol));
+    }
+  }
+
+  expandRule(rule, depth) {
+    return parseRule(rule).map(section => {
+      if (section.type === 'text') return section.value;
+      if (section.type === 'action') {
+        this.runAction(section.value, depth);
+        return '';
+      }
+      return this.expandTag(section.value, depth);
+    }).join('');
+  }
+
+  expandTag(tag, depth) {
+    const { actions, symbol, modifiers } = parseTag(tag);
+    const pushed = actions.map(action => this.runAction(action, depth)).filter(Boolean);
+    let text;
+    const options = this.stacks.get(symbol);
+    if (!options?.length || depth >= this.maxDepth) {
+      text = `((${symbol}))`;
+    } else {
+      text = this.expandRule(randomSelect(options[options.length - 1], this.rng), depth + 1);
+    }
+    pushed.forEach(key => this.popRules(key));
+    return modifiers.reduce((result, modifier) => (MODIFIERS[modifier] ? MODIFIERS[modifier](result) : result), text);
+  }
+
+  // Returns the key it pushed, if any
+  runAction(action, depth) {
+    const separator = action.indexOf(':');
+    if (separator < 0) return null;
+    const key = action.slice(0, separator);
+    const rule = action.slice(separator + 1);
+    if (rule === 'POP') {
+      this.popRules(key);
+      return null;
+    }
+    this.pushRules(key, rule.split(',').map(option => this.expandRule(option, depth + 1)));
+    return key;
+  }
+
+  /**
+   * Problems with a rule set: symbols with no rules, rules that aren't text, tags naming
+   * symbols that are neither defined nor in `provided`
+   * @param {Object} rules
+   * @param {Array<string>} [provided] - Symbols supplied at flatten time
+   * @returns {Array<string>}
+   */
+  static validate(rules = {}, provided = []) {
+    const errors = [];
+    const known = new Set([...Object.keys(rules), ...provided]);
+    Object.entries(rules).forEach(([symbol, options]) => {
+      const list = Array.isArray(options) ? options : [options];
+      if (!list.length) errors.push(`${symbol} has no rules`);
+      list.forEach(rule => {
+        if (typeof rule !== 'string') {
+          errors.push(`${symbol} has a rule that isn't text`);
+          return;
+        }
+        const pushed = new Set();
+        const check = text => parseRule(text).forEach(section => {
+          if (section.type === 'action') {
+            const [key, value = ''] = section.value.split(/:(.*)/s);
+            pushed.add(key);
+            value.split(',').forEach(check);
+          } else if (section.type === 'tag') {
+            const { actions, symbol: used } = parseTag(section.value);
+            actions.forEach(action => {
+              const [key, value = ''] = action.split(/:(.*)/s);
+              pushed.add(key);
+              value.split(',').forEach(check);
+            });
+            if (used && !known.has(used) && !pushed.has(used)) errors.push(`${symbol} uses #${used}#, which has no rules`);
+          }
+        });
+        check(rule);
+      });
+    });
+    return [...new Set(errors)];
+  }
+}
+
+export default Grammar;
@@ -0,0 +1,155 @@
+// src/infrastructure/external/GrammarNarrativeService.js
+
+import Grammar from './Grammar.js';
+import DEFAULT_NARRATIVE_GRAMMAR from './DefaultNarrativeGrammar.js';
+import ChronicleGenerator, { directoryOf } from '../../domain/services/ChronicleGenerator.js';
+import ChronicleRenderer, { pronounsOf } from '../../domain/services/ChronicleRenderer.js';
+import { createRandom } from '../../shared/utils/RandomUtils.js';
+
+// Told in a biography's opening and closing rather than among its events
+const LIFE_BOUNDS = new Set(['birth', 'death']);
+
+const humanize = value => String(value).replace(/[_-]+/g, ' ').trim();
+
+// Grammar variables skip missing values, so a rule naming one shows ((symbol))
+const textOf = value => (value === undefined || value === null || value === '' ? undefined : String(value));
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const bySignificance = (a, b) => (b.significance || 0) - (a.significance || 0);
+
+// The most significant of `events`, in the order they happened
+const highlights = (events, limit) => {
+  const chosen = new Set([...events].sort(bySignificance).slice(0, limit));
+  return events.filter(event => chosen.has(event));
+};
+
+/**
+ * INarrativeService on a Tracery-style grammar (Grammar.js): works offline, by rule
+ *
+ * Rules come from DefaultNarrativeGrammar, then the `grammar` option, then the world's
+ * (context.world.narrativeGrammar), then the call's (context.grammar); each replaces the
+ * symbols it defines. Chronicles go through ChronicleGenerator and ChronicleRenderer.
+ */
+class GrammarNarrativeService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.grammar] - Rules over the default grammar
+   * @param {string|number} [options.seed='narrative'] - Seed for the choice of rules
+   * @param {Object} [options.rng] - Random source; overrides the seed
+   * @param {number} [options.eventsPerTurn=3] - Events told in a turn summary
+   * @param {number} [options.eventsPerBiography=8] - Events told in a biography
+   */
+  constructor(options = {}) {
+    this.rules = { ...DEFAULT_NARRATIVE_GRAMMAR, ...(options.grammar || {}) };
+    this.rng = options.rng || createRandom(options.seed ?? 'narrative');
+    this.eventsPerTurn = options.eventsPerTurn ?? 3;
+    this.eventsPerBiography = options.eventsPerBiography ?? 8;
+  }
+
+  grammarFor(context = {}) {
+    return new Grammar({ ...this.rules, ...(context.world?.narrativeGrammar || {}), ...(context.grammar || {}) }, { rng: this.rng });
+  }
+
+  async describeEvent(event, context = {}) {
+    return this.describe(event, this.grammarFor(context), directoryOf(context.world));
+  }
+
+  async summarizeTurn(summary, context = {}) {
+    const grammar = this.grammarFor(context);
+    const directory = directoryOf(context.world);
+    const events = context.events || [];
+    const count = events.length || summary.events?.length || 0;
+    if (!count) return grammar.flatten('#turn_quiet#', { turn: textOf(summary.turn) });
+
+    return [
+      grammar.flatten('#turn_summary#', { turn: textOf(summary.turn), count: plural(count, 'event') }),
+      ...highlights(events, this.eventsPerTurn).map(event => this.describe(event, grammar, directory))
+    ].join(' ');
+  }
+
+  async writeBiography(character, events = [], context = {}) {
+    const grammar = this.grammarFor(context);
+    const directory = directoryOf(context.world);
+    const pronouns = pronounsOf(character.pronouns);
+    const variables = {
+      name: textOf(character.name || character.id),
+      role: humanize(character.role || 'citizen'),
+      home: textOf(directory.places.get(character.currentNodeId || character.nodeId)) || 'parts unknown',
+      born: textOf(character.bornAt),
+      died: textOf(character.diedAt),
+      cause: textOf(character.cause && humanize(character.cause)),
+      age: textOf(typeof character.age === 'number' ? Math.floor(character.age) : null),
+      they: pronouns.subject,
+      them: pronouns.object,
+      their: pronouns.possessive
+    };
+    const dead = character.diedAt !== undefined && character.diedAt !== null;
+    const told = highlights(events.filter(event => !LIFE_BOUNDS.has(event.type)), this.eventsPerBiography);
+
+    return [
+      grammar.flatten(variables.born ? '#biography_opening#' : '#biography_opening_founder#', variables),
+      ...(told.length
+        ? told.map(event => this.describe(event, grammar, directory))
+        : [grammar.flatten('#biography_quiet#', variables)]),
+      grammar.flatten(dead ? '#biography_dead#' : '#biography_alive#', variables)
+    ].join(' ');
+  }
+
+  async writeChronicle(events = [], context = {}) {
+    const options = { seed: this.rng.next(), ...(context.options || {}) };
+    const chronicle = new ChronicleGenerator(options).generate(events, context.world || {});
+    return new ChronicleRenderer(options).render(chronicle, 'markdown');
+  }
+
+  describe(event, grammar, directory) {
+    const symbol = this.symbolFor(event, grammar);
+    return symbol ? grammar.flatten(`#${symbol}#`, this.variablesOf(event, directory)) : event.description || '';
+  }
+
+  // The symbol telling an event: its type, or the type's most specific variant with rules
+  symbolFor(event, grammar) {
+    let candidates = [event.type];
+    if (event.type === 'succession') {
+      const vacant = !event.characterId || event.characterId === event.previousHolderId;
+      candidates = [vacant ? 'succession_vacant' : event.previousHolderId ? 'succession' : 'succession_new'];
+    } else if (event.type === 'relationship_formed') {
+      candidates = [`relationship_${event.relationshipType}`, event.type];
+    } else if (event.type === 'world_event') {
+      candidates = [`world_event_${event.kind}`, event.type];
+    } else if (event.interactionId) {
+      candidates.push(event.outcome === 'positive' ? 'interaction_success' : 'interaction_failure');
+    }
+    return candidates.find(symbol => grammar.hasSymbol(symbol)) || null;
+  }
+
+  variablesOf(event, directory) {
+    const characterName = id => textOf(id && (directory.characters.get(id)?.name || id));
+    const factionName = id => textOf(id && (directory.factions.get(id)?.name || humanize(id)));
+    const pronouns = pronounsOf(directory.characters.get(event.characterId)?.pronouns);
+    const location = event.location && event.location !== 'Unknown' ? event.location : null;
+
+    return {
+      subject: characterName(event.characterId) || textOf(event.characterName),
+      other: characterName(event.otherId),
+      previous: characterName(event.previousHolderId || event.previousLeaderId),
+      place: location ? directory.places.get(location) || humanize(location) : 'parts unknown',
+      faction: factionName(event.factionId),
+      otherFaction: factionName(event.otherFactionId),
+      quest: textOf(event.questId && (directory.quests.get(event.questId) || humanize(event.questId))),
+      title: humanize(event.title || 'leader'),
+      cause: textOf(event.cause && humanize(event.cause)),
+      relation: textOf(event.relationshipType && humanize(event.relationshipType)),
+      stance: textOf(event.stance && humanize(event.stance)),
+      goal: textOf(event.goalId && humanize(event.goalId)),
+      interaction: textOf(event.interactionName || (event.interactionId && humanize(event.interactionId))),
+      name: textOf(event.name || (event.kind && humanize(event.kind))),
+      kind: textOf(event.kind),
+      they: pronouns.subject,
+      them: pronouns.object,
+      their: pronouns.possessive
+    };
+  }
+}
+
+export default GrammarNarrativeService;
@@ -0,0 +1,138 @@
+// src/infrastructure/external/HttpNarrativeService.js
+
+import GrammarNarrativeService from './GrammarNarrativeService.js';
+
+const SYSTEM_PROMPT = 'You are the chronicler of a simulated fantasy world. Rewrite the draft you are given as ' +
+  'vivid prose in the same language. Keep every name, number and fact; invent nothing. Answer with the prose only.';
+
+const INSTRUCTIONS = {
+  describeEvent: 'Retell this event in one or two sentences.',
+  summarizeTurn: 'Retell what happened this turn in a short paragraph.',
+  writeBiography: 'Retell this life story in a paragraph or two.',
+  writeChronicle: 'Retell this chronicle. Keep its Markdown headings and chapters.'
+};
+
+/**
+ * INarrativeService backed by a model server with an OpenAI-compatible chat completions API
+ * (llama.cpp, Ollama, LM Studio, vLLM...)
+ *
+ * Every request starts from the fallback service's text: the server gets it as a draft to
+ * retell, so the model words the prose while the facts stay the simulation's. When the
+ * server can't be reached, errs or times out, the draft is returned as it is, and the server
+ * is left alone for `retryAfterMs` - without a server this reads exactly like the fallback.
+ */
+class HttpNarrativeService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint='http://localhost:11434/v1'] - Base URL of the API
+   * @param {string} [options.model='llama3'] - Model name sent with each request
+   * @param {string} [options.apiKey] - Sent as a bearer token, for servers that want one
+   * @param {number} [options.temperature=0.8]
+   * @param {number} [options.timeoutMs=20000] - Longest wait for an answer
+   * @param {number} [options.retryAfterMs=60000] - How long to leave a failed server alone
+   * @param {Object} [options.fallback] - INarrativeService writing the drafts (a GrammarNarrativeService)
+   * @param {Function} [options.fetch] - fetch implementation (the global one by default)
+   */
+  constructor(options = {}) {
+    this.endpoint = (options.endpoint || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = options.model || 'llama3';
+    this.apiKey = options.apiKey || null;
+    this.temperature = options.temperature ?? 0.8;
+    this.timeoutMs = options.timeoutMs ?? 20000;
+    this.retryAfterMs = options.retryAfterMs ?? 60000;
+    this.fallback = options.fallback || new GrammarNarrativeService();
+    this.fetch = options.fetch || (typeof fetch === 'function' ? (...args) => fetch(...args) : null);
+    this.unavailableUntil = 0;
+    this.lastError = null;
+  }
+
+  describeEvent(event, context = {}) {
+    return this.narrate('describeEvent', [event, context]);
+  }
+
+  summarizeTurn(summary, context = {}) {
+    return this.narrate('summarizeTurn', [summary, context]);
+  }
+
+  writeBiography(character, events = [], context = {}) {
+    return this.narrate('writeBiography', [character, events, context]);
+  }
+
+  writeChronicle(events = [], context = {}) {
+    return this.narrate('writeChronicle', [events, context]);
+  }
+
+  // Whether the server is up, answering its model list
+  async isAvailable() {
+    if (!this.fetch) return false;
+    try {
+      const response = await this.send(`${this.endpoint}/models`, { method: 'GET' });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async narrate(method, args) {
+    const draft = await this.fallback[method](...args);
+    if (!this.fetch || Date.now() < this.unavailableUntil || !draft) return draft;
+
+    try {
+      const text = await this.complete(`${INSTRUCTIONS[method]}\n\nDraft:\n${draft}`);
+      this.lastError = null;
+      return text;
+    } catch (error) {
+      console.warn(`HttpNarrativeService: ${this.endpoint} unavailable, using the local grammar:`, error.message);
+      this.lastError = error;
+      this.unavailableUntil = Date.now() + this.retryAfterMs;
+      return draft;
+    }
+  }
+
+  async complete(prompt) {
+    const response = await this.send(`${this.endpoint}/chat/completions`, {
+      method: 'POST',
+      body: JSON.stringify({
+        model: this.model,
+        temperature: this.temperature,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ]
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`The server answered ${response.status}`);
+    }
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('The server sent no text');
+    }
+    return text.trim();
+  }
+
+  async send(url, init) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = setTimeout(() => controller?.abort(), this.timeoutMs);
+    try {
+      return await Promise.race([
+        this.fetch(url, {
+          ...init,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+          },
+          signal: controller?.signal
+        }),
+        new Promise((resolve, reject) => {
+          controller?.signal.addEventListener('abort', () => reject(new Error(`No answer in ${this.timeoutMs}ms`)));
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default HttpNarrativeService;
@@ -1,13 +1,19 @@
 // src/infrastructure/external/NarrativeGenerator.js
 
-import IExternalService from '../../application/use-cases/ports/IExternalService.js';  // Reuse or add INarrativeService
+import INarrativeService from '../../application/use-cases/ports/INarrativeService.js';
+import { getNarrativeService } from './NarrativeProvider.js';
 
+// Delegates to the configured backend (NarrativeProvider): the local grammar unless a model server is set up
 const NarrativeGenerator = {
-  generateNarrative: async (events) => {
-    // Simple JS rule-based narrative (for MVP; replace with LLM API later)
-    return events.map(e => `${e.characterName} ${e.outcome === 'positive' ? 'succeeded' : 'failed'} in ${e.interactionName}.`).join(' ');
+  generateNarrative: async (events, context = {}) => {
+    const sentences = await Promise.all(events.map(event => getNarrativeService().describeEvent(event, context)));
+    return sentences.filter(Boolean).join(' ');
   },
+  describeEvent: (event, context) => getNarrativeService().describeEvent(event, context),
+  summarizeTurn: (summary, context) => getNarrativeService().summarizeTurn(summary, context),
+  writeBiography: (character, events, context) => getNarrativeService().writeBiography(character, events, context),
+  writeChronicle: (events, context) => getNarrativeService().writeChronicle(events, context),
 };
 
-const NarrativeService = { ...IExternalService, ...NarrativeGenerator };
-export default NarrativeService;
\ No newline at end of file
+const NarrativeService = { ...INarrativeService, ...NarrativeGenerator };
+export default NarrativeService;
@@ -0,0 +1,59 @@
+// src/infrastructure/external/NarrativeProvider.js
+
+import GrammarNarrativeService from './GrammarNarrativeService.js';
+import HttpNarrativeService from './HttpNarrativeService.js';
+
+/**
+ * NarrativeProvider - Chooses the narrative backend (INarrativeService)
+ *
+ * Without configureNarrative() the local grammar backend is used, so nothing
+ * depends on a model server being present.
+ */
+
+let service = null;
+
+/**
+ * A narrative backend: the HTTP one over the grammar one when an endpoint is given,
+ * the grammar one alone otherwise
+ * @param {Object} [options] - GrammarNarrativeService options, plus HttpNarrativeService
+ *   ones (endpoint, model, apiKey, timeoutMs...)
+ * @returns {Object} INarrativeService implementation
+ */
+export const createNarrativeService = (options = {}) => {
+  const grammarService = new GrammarNarrativeService(options);
+  return options.endpoint ? new HttpNarrativeService({ ...options, fallback: grammarService }) : grammarService;
+};
+
+/**
+ * Selects the narrative backend everything writes prose through
+ * @param {Object} narrativeService - INarrativeService implementation
+ * @returns {Object} The service
+ */
+export const configureNarrative = (narrativeService) => {
+  if (!narrativeService) {
+    throw new Error('A narrative service is required');
+  }
+  service = narrativeService;
+  return service;
+};
+
+/**
+ * @returns {Object} The active narrative backend
+ */
+export const getNarrativeService = () => {
+  if (!service) {
+    service = new GrammarNarrativeService();
+  }
+  return service;
+};
+
+/**
+ * Browser startup (UI thread and simulation worker): the model server at
+ * REACT_APP_NARRATIVE_ENDPOINT when the build sets one (REACT_APP_NARRATIVE_MODEL
+ * names the model), the local grammar otherwise
+ * @returns {Object} The configured service
+ */
+export const configureBrowserNarrative = () => configureNarrative(createNarrativeService({
+  endpoint: process.env.REACT_APP_NARRATIVE_ENDPOINT,
+  model: process.env.REACT_APP_NARRATIVE_MODEL
+}));
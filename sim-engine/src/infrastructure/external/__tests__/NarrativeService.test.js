@@ -0,0 +1,125 @@
+// src/infrastructure/external/__tests__/NarrativeService.test.js
+
+import Grammar from '../Grammar';
+import GrammarNarrativeService from '../GrammarNarrativeService';
+import HttpNarrativeService from '../HttpNarrativeService';
+import { createNarrativeService } from '../NarrativeProvider';
+import Character from '../../../domain/entities/Character';
+import runTick from '../../../application/use-cases/simulation/RunTick';
+import { SimulationService } from '../../../application/use-cases/services/SimulationService';
+import InMemoryStorage from '../../Persistance/InMemoryStorage';
+import createHistoryRepository from '../../Persistance/StorageHistoryRepository';
+import createWorldRepository from '../../Persistance/StorageWorldRepository';
+
+// Always the first rule
+const first = { next: () => 0, nextInt: min => min };
+
+const world = {
+  nodes: [{ id: 'keep', name: 'Keep' }],
+  npcs: [{ id: 'ann', name: 'Ann', role: 'smith', pronouns: 'she/her', currentNodeId: 'keep', bornAt: 3, age: 20 }],
+  deceased: [{ id: 'cid', name: 'Cid', role: 'guard', nodeId: 'keep', age: 61, bornAt: 0, diedAt: 40, cause: 'old age' }],
+  factions: [{ id: 'smiths', name: 'Smiths\' Guild', type: 'guild' }],
+  questTemplates: [{ id: 'ore', name: 'The Lost Ore' }]
+};
+
+const joined = { id: 'e1', timestamp: 5, type: 'faction_joined', characterId: 'ann', factionId: 'smiths', location: 'keep', significance: 0.4 };
+const completed = { id: 'e2', timestamp: 5, type: 'quest_completed', characterId: 'ann', questId: 'ore', location: 'keep', significance: 0.8 };
+
+// A fetch answering like a chat completions server
+const serverReplying = content => jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ choices: [{ message: { content } }] }) }));
+
+describe('Grammar', () => {
+  test('should expand symbols with modifiers, actions and escapes', () => {
+    const grammar = new Grammar({
+      origin: '#[hero:#name#]story#',
+      story: '#hero# met #animal.a#. #hero.capitalize# kept \\#1.',
+      name: 'ann',
+      animal: ['owl', 'fox']
+    }, { rng: first });
+
+    expect(grammar.flatten('#origin#')).toBe('ann met an owl. Ann kept #1.');
+    // The hero was pushed for the tag only
+    expect(grammar.hasSymbol('hero')).toBe(false);
+    expect(grammar.flatten('#animal.s# and #missing#', { animal: 'box' })).toBe('boxes and ((missing))');
+    expect(grammar.flatten('#animal#')).toBe('owl');
+    expect(Grammar.validate({ origin: ['#hero# #[x:1]x#', '#place#'] }, ['hero'])).toEqual(['origin uses #place#, which has no rules']);
+  });
+});
+
+describe('GrammarNarrativeService', () => {
+  test('should describe events, turns and lives from the world, with the world\'s grammar first', async () => {
+    const service = new GrammarNarrativeService({ rng: first });
+
+    expect(await service.describeEvent(joined, { world })).toBe('Ann joined Smiths\' Guild.');
+    expect(await service.describeEvent(joined, {
+      world: { ...world, narrativeGrammar: { faction_joined: '#subject# took #their# oath to #faction#.' } }
+    })).toBe('Ann took her oath to Smiths\' Guild.');
+
+    expect(await service.summarizeTurn({ turn: 6, events: [] }, { world })).toBe('Turn 6 passed quietly.');
+    expect(await service.summarizeTurn({ turn: 6 }, { world, events: [joined, completed], grammar: { turn_summary: 'Turn #turn#: #count#.' } }))
+      .toBe('Turn 6: 2 events. Ann joined Smiths\' Guild. Ann completed the quest The Lost Ore.');
+
+    expect(await service.writeBiography(world.deceased[0], [], { world }))
+      .toBe('Cid was a guard, born in turn 0 at Keep. Little else is recorded of them. Cid died in turn 40 of old age, aged 61.');
+  });
+});
+
+describe('HttpNarrativeService', () => {
+  test('should have the server retell the grammar\'s draft', async () => {
+    const fetch = serverReplying('  Ann swore herself to the Smiths\' Guild.  ');
+    const service = new HttpNarrativeService({ endpoint: 'http://localhost:8080/v1/', model: 'tiny', fetch, fallback: new GrammarNarrativeService({ rng: first }) });
+
+    expect(await service.describeEvent(joined, { world })).toBe('Ann swore herself to the Smiths\' Guild.');
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    const body = JSON.parse(request.body);
+    expect(body.model).toBe('tiny');
+    expect(body.messages[1].content).toContain('Draft:\nAnn joined Smiths\' Guild.');
+  });
+
+  test('should read exactly like the grammar backend when no server answers, and stop asking for a while', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetch = jest.fn(async () => { throw new Error('connect ECONNREFUSED'); });
+    const http = createNarrativeService({ endpoint: 'http://localhost:9/v1', seed: 4, fetch });
+    const local = createNarrativeService({ seed: 4 });
+
+    expect(http).toBeInstanceOf(HttpNarrativeService);
+    expect(local).toBeInstanceOf(GrammarNarrativeService);
+    for (const character of [world.npcs[0], world.deceased[0]]) {
+      expect(await http.writeBiography(character, [joined, completed], { world }))
+        .toBe(await local.writeBiography(character, [joined, completed], { world }));
+    }
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(http.lastError.message).toBe('connect ECONNREFUSED');
+    warnSpy.mockRestore();
+  });
+
+  test('should narrate a simulated turn through the configured backend and the world\'s grammar', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const storage = new InMemoryStorage();
+    const worldRepository = createWorldRepository(storage);
+    const service = new SimulationService({
+      historyRepository: createHistoryRepository(storage),
+      worldRepository,
+      narrativeService: new GrammarNarrativeService({ rng: first })
+    });
+    service.worldState = {
+      time: 0,
+      nodes: [{ id: 'keep', name: 'Keep', population: 2, interactions: [] }],
+      npcs: [new Character({ id: 'ann', name: 'Ann', currentNodeId: 'keep' }), new Character({ id: 'bob', name: 'Bob', currentNodeId: 'keep' })],
+      // Ann joins the guild this turn
+      factions: [{ id: 'smiths', name: 'Smiths\' Guild', type: 'guild', nodeId: 'keep', members: ['bob'], leaderId: 'bob', recruitment: { openness: 1 } }]
+    };
+    service.setNarrativeGrammar({ turn_summary: 'In turn #turn# the records tell of #count#.' });
+    const previous = service.deepCloneState(service.worldState);
+    runTick(service.worldState, { rng: first, eventBus: service.eventBus });
+    service.currentTurnSummary = service.generateTurnSummary(previous, service.worldState, 1);
+
+    const text = await service.narrateTurn();
+
+    expect(text).toMatch(/^In turn 1 the records tell of \d+ events?\. /);
+    expect(text).toContain('Ann joined Smiths\' Guild.');
+    logSpy.mockRestore();
+  });
+});
@@ -0,0 +1,41 @@
+// src/infrastructure/workers/LocalSimulationWorker.js
+
+import { createSimulationMessageHandler } from '../../application/use-cases/simulation/SimulationWorkerProtocol.js';
+
+/**
+ * Worker-shaped stand-in that serves the simulation protocol on the current thread.
+ * Used where Web Workers don't exist (Jest, Node); requests are still handled
+ * asynchronously and multi-turn runs still yield between turns.
+ */
+class LocalSimulationWorker {
+  constructor(service, options = {}) {
+    this.listeners = { message: new Set(), error: new Set() };
+    this.terminated = false;
+    this.handle = createSimulationMessageHandler(service, (message) => {
+      if (this.terminated) return;
+      this.listeners.message.forEach(listener => listener({ data: message }));
+    }, options);
+  }
+
+  postMessage(message) {
+    if (this.terminated) return;
+    Promise.resolve().then(() => {
+      if (!this.terminated) this.handle(message);
+    });
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type]?.add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type]?.delete(listener);
+  }
+
+  terminate() {
+    this.terminated = true;
+    this.handle.dispose();
+  }
+}
+
+export default LocalSimulationWorker;
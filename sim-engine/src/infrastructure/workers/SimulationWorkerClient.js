@@ -0,0 +1,244 @@
+// src/infrastructure/workers/SimulationWorkerClient.js
+
+import {
+  SimulationRequestTypes,
+  SimulationResponseTypes
+} from '../../application/use-cases/simulation/SimulationWorkerProtocol.js';
+import LocalSimulationWorker from './LocalSimulationWorker.js';
+import SimulationEventBus from '../../domain/events/SimulationEvents.js';
+
+/**
+ * Promise-based side of the simulation worker protocol. Wraps anything that
+ * looks like a Worker (postMessage / addEventListener / terminate) - a real
+ * Web Worker in the browser, or a LocalSimulationWorker where workers are
+ * unavailable.
+ */
+class SimulationWorkerClient {
+  /**
+   * @param {Worker|LocalSimulationWorker|Promise} worker - The worker, or a promise of one
+   */
+  constructor(worker) {
+    this.pending = new Map();
+    this.nextId = 1;
+    this.terminated = false;
+    // Forwarded simulation events are republished here; the worker only sends subscribed types
+    this.eventBus = new SimulationEventBus();
+    this.eventTypeLists = [];
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleError = this.handleError.bind(this);
+    this.worker = Promise.resolve(worker).then(resolved => {
+      resolved.addEventListener('message', this.handleMessage);
+      resolved.addEventListener('error', this.handleError);
+      return resolved;
+    });
+  }
+
+  /**
+   * Sends a request and resolves with the worker's result payload
+   * @param {string} type - One of SimulationRequestTypes
+   * @param {*} [payload]
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with each progress payload
+   * @returns {Promise<*>} Rejects with the worker's error message
+   */
+  request(type, payload, options = {}) {
+    if (this.terminated) {
+      return Promise.reject(new Error('Simulation worker has been terminated'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress: options.onProgress });
+      this.worker
+        .then(worker => worker.postMessage({ id, type, payload }))
+        .catch(error => {
+          this.pending.delete(id);
+          reject(error);
+        });
+    });
+  }
+
+  handleMessage(event) {
+    const { id, type, payload, error } = event.data || {};
+    if (type === SimulationResponseTypes.EVENT) {
+      this.eventBus.publish(payload.type, payload.payload);
+      return;
+    }
+
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    if (type === SimulationResponseTypes.PROGRESS) {
+      if (request.onProgress) {
+        request.onProgress(payload);
+      }
+      return;
+    }
+
+    this.pending.delete(id);
+    if (type === SimulationResponseTypes.ERROR) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(payload);
+    }
+  }
+
+  // An uncaught error inside the worker fails every outstanding request
+  handleError(event) {
+    const error = new Error(event?.message || 'Simulation worker failed');
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  }
+
+  initialize(config) {
+    return this.request(SimulationRequestTypes.INITIALIZE, config);
+  }
+
+  processTurn() {
+    return this.request(SimulationRequestTypes.PROCESS_TURN);
+  }
+
+  /**
+   * Processes turns until a target is reached or the run is cancelled
+   * @param {Object} target - { turn } (absolute) or { turns } (count from the current turn)
+   * @param {Object} [options] - { onProgress }
+   * @returns {Promise<Object>} Snapshot plus { completed, cancelled }
+   */
+  runUntil(target, options = {}) {
+    return this.request(SimulationRequestTypes.RUN_UNTIL, target, options);
+  }
+
+  /**
+   * Plays turns at the world's tick delay until a breakpoint hits or the run is cancelled
+   * @param {Object} settings - { speed, tickDelay, breakpoints } (breakpoint specs only)
+   * @param {Object} [options] - { onProgress }
+   * @returns {Promise<Object>} Snapshot plus { completed, cancelled, reason, hits }
+   */
+  autoRun(settings = {}, options = {}) {
+    return this.request(SimulationRequestTypes.AUTO_RUN, settings, options);
+  }
+
+  // Changes the speed multiplier of the auto-run in progress
+  setSpeed(speed) {
+    return this.request(SimulationRequestTypes.SET_SPEED, { speed });
+  }
+
+  snapshot() {
+    return this.request(SimulationRequestTypes.SNAPSHOT);
+  }
+
+  // Stops the multi-turn run in progress after its current turn
+  cancel() {
+    return this.request(SimulationRequestTypes.CANCEL);
+  }
+
+  reset() {
+    return this.request(SimulationRequestTypes.RESET);
+  }
+
+  rewindTo(turn) {
+    return this.request(SimulationRequestTypes.REWIND_TO, { turn });
+  }
+
+  analyzeHistory(criteria = {}) {
+    return this.request(SimulationRequestTypes.ANALYZE_HISTORY, criteria);
+  }
+
+  analyzeRelationships(query = {}) {
+    return this.request(SimulationRequestTypes.ANALYZE_RELATIONSHIPS, query);
+  }
+
+  generateChronicle(options = {}) {
+    return this.request(SimulationRequestTypes.GENERATE_CHRONICLE, options);
+  }
+
+  // The latest turn when `turn` is left out
+  narrateTurn(turn) {
+    return this.request(SimulationRequestTypes.NARRATE_TURN, { turn });
+  }
+
+  getBiography(characterId, options = {}) {
+    return this.request(SimulationRequestTypes.GET_BIOGRAPHY, { characterId, options });
+  }
+
+  // Replaces the running world's narrative grammar rules
+  setNarrativeGrammar(grammar) {
+    return this.request(SimulationRequestTypes.SET_NARRATIVE_GRAMMAR, { grammar });
+  }
+
+  forkTimeline(name, options = {}) {
+    return this.request(SimulationRequestTypes.FORK_TIMELINE, { name, options });
+  }
+
+  advanceTimeline(name, count = 1) {
+    return this.request(SimulationRequestTypes.ADVANCE_TIMELINE, { name, count });
+  }
+
+  removeTimeline(name) {
+    return this.request(SimulationRequestTypes.REMOVE_TIMELINE, { name });
+  }
+
+  compareTimelines(a, b) {
+    return this.request(SimulationRequestTypes.COMPARE_TIMELINES, { a, b });
+  }
+
+  /**
+   * Subscribes to simulation events published inside the worker
+   * @param {string|string[]} types - Event types (see SimulationEventTypes) or ALL_EVENTS
+   * @param {Function} handler - Receives { type, sequence, payload }; sequence is local to this client
+   * @param {Object} [options] - { filter, once }, as for SimulationEventBus.subscribe
+   * @returns {Function} Unsubscribes
+   */
+  subscribe(types, handler, options = {}) {
+    const typeList = Array.isArray(types) ? types : [types];
+    const unsubscribe = this.eventBus.subscribe(typeList, handler, options);
+    this.eventTypeLists.push(typeList);
+    this.syncEventTypes();
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      unsubscribe();
+      this.eventTypeLists.splice(this.eventTypeLists.indexOf(typeList), 1);
+      this.syncEventTypes();
+    };
+  }
+
+  // Tells the worker which event types any subscriber still wants
+  syncEventTypes() {
+    const types = [...new Set(this.eventTypeLists.flat())];
+    return this.request(SimulationRequestTypes.SUBSCRIBE_EVENTS, { types }).catch(() => {});
+  }
+
+  terminate() {
+    this.terminated = true;
+    this.eventBus.clear();
+    const error = new Error('Simulation worker has been terminated');
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+    this.worker.then(worker => {
+      worker.removeEventListener('message', this.handleMessage);
+      worker.removeEventListener('error', this.handleError);
+      worker.terminate();
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Client for the simulation: a Web Worker when the environment has them, otherwise
+ * the same protocol served on this thread by `fallbackService`
+ * @param {SimulationService} fallbackService - Used when Worker is unavailable (tests, Node)
+ * @returns {SimulationWorkerClient}
+ */
+export const createSimulationClient = (fallbackService) => {
+  if (typeof Worker === 'undefined') {
+    return new SimulationWorkerClient(new LocalSimulationWorker(fallbackService));
+  }
+  // Loaded lazily: the worker factory uses import.meta, which only the bundler understands
+  return new SimulationWorkerClient(
+    import('./createSimulationWorker.js').then(module => module.default())
+  );
+};
+
+export default SimulationWorkerClient;
@@ -0,0 +1,127 @@
+// src/infrastructure/workers/__tests__/SimulationWorkerClient.test.js
+
+import SimulationWorkerClient, { createSimulationClient } from '../SimulationWorkerClient.js';
+import LocalSimulationWorker from '../LocalSimulationWorker.js';
+import { toSimulationConfig } from '../../../application/use-cases/simulation/RunHeadless.js';
+import WorldState from '../../../domain/entities/WorldState.js';
+import { SimulationService } from '../../../application/use-cases/services/SimulationService.js';
+import InMemoryStorage from '../../Persistance/InMemoryStorage.js';
+import createWorldRepository from '../../Persistance/StorageWorldRepository.js';
+import createHistoryRepository from '../../Persistance/StorageHistoryRepository.js';
+
+const buildConfig = () => toSimulationConfig(new WorldState({
+  name: 'Client Test World',
+  seed: 5,
+  nodes: [{ id: 'node-1', name: 'Market', type: 'settlement' }],
+  characters: [{ id: 'char-1', name: 'Aria', currentNodeId: 'node-1', assignedInteractions: ['int-1'] }],
+  interactions: [{ id: 'int-1', name: 'Chat', type: 'dialogue', branches: [{ id: 'b1', text: 'Trade gossip' }] }]
+}).export());
+
+const createService = () => new SimulationService({
+  worldRepository: createWorldRepository(new InMemoryStorage()),
+  historyRepository: createHistoryRepository(new InMemoryStorage())
+});
+
+describe('SimulationWorkerClient', () => {
+  let client;
+  let logSpy;
+
+  beforeEach(async () => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    client = new SimulationWorkerClient(new LocalSimulationWorker(createService()));
+    await client.initialize(buildConfig());
+  });
+
+  afterEach(() => {
+    client.terminate();
+    logSpy.mockRestore();
+  });
+
+  test('should resolve requests with the worker result', async () => {
+    const result = await client.processTurn();
+
+    expect(result.success).toBe(true);
+    expect(result.currentTurn).toBe(1);
+    expect((await client.snapshot()).currentTurn).toBe(1);
+  });
+
+  test('should report progress for multi-turn runs', async () => {
+    const onProgress = jest.fn();
+
+    const result = await client.runUntil({ turns: 3 }, { onProgress });
+
+    expect(onProgress.mock.calls.map(([progress]) => progress.turn)).toEqual([1, 2, 3]);
+    expect(result).toEqual(expect.objectContaining({ currentTurn: 3, completed: 3, cancelled: false }));
+  });
+
+  test('should cancel a run from a progress callback', async () => {
+    let cancelled;
+    const result = await client.runUntil({ turns: 50 }, {
+      onProgress: (progress) => {
+        if (progress.completed === 2) {
+          cancelled = client.cancel();
+        }
+      }
+    });
+
+    expect(await cancelled).toEqual(expect.objectContaining({ cancelled: true }));
+    expect(result.cancelled).toBe(true);
+    expect(result.completed).toBeLessThan(50);
+    expect(result.currentTurn).toBe(result.completed);
+  });
+
+  test('should republish forwarded simulation events to subscribers', async () => {
+    const turns = [];
+    const moves = jest.fn();
+    const unsubscribe = client.subscribe('turn.completed', event => turns.push(event.payload.turn));
+    client.subscribe(['character.moved'], moves);
+
+    await client.processTurn();
+    unsubscribe();
+    await client.processTurn();
+
+    expect(turns).toEqual([0]);
+    expect(moves).not.toHaveBeenCalled();
+    expect(client.eventTypeLists).toEqual([['character.moved']]);
+  });
+
+  test('should reject with the worker error message', async () => {
+    await expect(client.rewindTo(99)).rejects.toThrow('No snapshot recorded for turn 99');
+  });
+
+  test('should reject pending and later requests once terminated', async () => {
+    const pending = client.runUntil({ turns: 20 });
+    client.terminate();
+
+    await expect(pending).rejects.toThrow('Simulation worker has been terminated');
+    await expect(client.snapshot()).rejects.toThrow('Simulation worker has been terminated');
+  });
+
+  test('should fail outstanding requests when the worker errors', async () => {
+    const listeners = {};
+    const worker = {
+      postMessage: jest.fn(),
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      removeEventListener: jest.fn(),
+      terminate: jest.fn()
+    };
+    const brokenClient = new SimulationWorkerClient(worker);
+
+    const pending = brokenClient.processTurn();
+    await Promise.resolve();
+    listeners.error({ message: 'boom' });
+
+    await expect(pending).rejects.toThrow('boom');
+    brokenClient.terminate();
+  });
+
+  test('should fall back to an in-thread worker without Web Worker support', async () => {
+    expect(typeof Worker).toBe('undefined');
+    const fallback = createSimulationClient(createService());
+
+    const snapshot = await fallback.initialize(buildConfig());
+
+    expect(snapshot.currentTurn).toBe(0);
+    fallback.terminate();
+  });
+});
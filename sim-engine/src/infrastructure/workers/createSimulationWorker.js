@@ -0,0 +1,7 @@
+// src/infrastructure/workers/createSimulationWorker.js
+
+// Kept in its own module: webpack bundles the worker from the `new URL(..., import.meta.url)`
+// pattern, but import.meta is a syntax error for Jest's CommonJS runtime
+const createSimulationWorker = () => new Worker(new URL('./simulation.worker.js', import.meta.url));
+
+export default createSimulationWorker;
@@ -0,0 +1,24 @@
+// src/infrastructure/workers/simulation.worker.js
+
+/* eslint-disable no-restricted-globals */
+import SimulationService from '../../application/use-cases/services/SimulationService.js';
+import { createSimulationMessageHandler } from '../../application/use-cases/simulation/SimulationWorkerProtocol.js';
+import { configureBrowserStorage } from '../Persistance/StorageProvider.js';
+import { configureBrowserNarrative } from '../external/NarrativeProvider.js';
+
+// Characters, nodes and interactions are class instances; the UI thread gets their JSON form
+const post = (message) => self.postMessage(JSON.parse(JSON.stringify(message)));
+
+const handleMessage = createSimulationMessageHandler(SimulationService, post);
+
+configureBrowserNarrative();
+
+// Same backend as the UI thread (IndexedDB, found on the worker's global scope); workers have
+// no localStorage, so migrating it is left to the UI thread. Requests wait until it is open
+const storageReady = configureBrowserStorage().catch(error => {
+  console.error('simulation.worker: Failed to configure storage:', error);
+});
+
+self.addEventListener('message', (event) => {
+  storageReady.then(() => handleMessage(event.data));
+});
@@ -502,6 +502,30 @@ const Sidebar = ({
       hoverColor: 'rgba(220, 38, 127, 0.1)',
       hoverBorder: 'rgba(220, 38, 127, 0.3)'
     },
+    {
+      id: 'quest-editor',
+      label: '📜 Quest Editor',
+      path: '/editors/quests',
+      onClick: () => navigate('/editors/quests'),
+      hoverColor: 'rgba(245, 158, 11, 0.1)',
+      hoverBorder: 'rgba(245, 158, 11, 0.3)'
+    },
+    {
+      id: 'faction-editor',
+      label: '🏰 Faction Editor',
+      path: '/editors/factions',
+      onClick: () => navigate('/editors/factions'),
+      hoverColor: 'rgba(20, 184, 166, 0.1)',
+      hoverBorder: 'rgba(20, 184, 166, 0.3)'
+    },
+    {
+      id: 'grammar-editor',
+      label: '📖 Narrative Grammar',
+      path: '/editors/grammar',
+      onClick: () => navigate('/editors/grammar'),
+      hoverColor: 'rgba(168, 85, 247, 0.1)',
+      hoverBorder: 'rgba(168, 85, 247, 0.3)'
+    },
     {
       id: 'divider2',
       type: 'divider',
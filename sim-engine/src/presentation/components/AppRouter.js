@@ -23,6 +23,9 @@ import NodeEditorPage from '../pages/NodeEditorPage';
 import CharacterEditorPage from '../pages/CharacterEditorPage';
 import InteractionEditorPage from '../pages/InteractionEditorPage';
 import EncounterEditorPage from '../pages/EncounterEditorPage';
+import QuestEditorPage from '../pages/QuestEditorPage';
+import FactionEditorPage from '../pages/FactionEditorPage';
+import GrammarEditorPage from '../pages/GrammarEditorPage';
 import WorldNodeEditorPage from '../pages/WorldNodeEditorPage';
 
 // Loading component
@@ -50,6 +53,9 @@ const AppRouter = () => {
             <Route path="/editors/characters" element={<CharacterEditorPage />} />
             <Route path="/editors/interactions" element={<InteractionEditorPage />} />
             <Route path="/editors/encounters" element={<EncounterEditorPage />} />
+            <Route path="/editors/quests" element={<QuestEditorPage />} />
+            <Route path="/editors/factions" element={<FactionEditorPage />} />
+            <Route path="/editors/grammar" element={<GrammarEditorPage />} />
             <Route path="/world-editor" element={<WorldNodeEditorPage />} />
             
             {/* Simulation route - Optional, with prerequisites */}
@@ -16,6 +16,8 @@ import {
   Users, 
   MessageSquare, 
   Sword,
+  ScrollText,
+  Shield,
   ChevronRight,
   AlertTriangle,
   Lock
@@ -83,6 +85,26 @@ const EditorNavigation = ({ className = '' }) => {
       requiresWorld: true,
       color: 'text-pink-400',
       hoverColor: 'hover:bg-pink-500/10'
+    },
+    {
+      id: 'quests',
+      name: 'Quest Editor',
+      path: '/editors/quests',
+      icon: ScrollText,
+      description: 'Write quests',
+      requiresWorld: true,
+      color: 'text-amber-400',
+      hoverColor: 'hover:bg-amber-500/10'
+    },
+    {
+      id: 'factions',
+      name: 'Faction Editor',
+      path: '/editors/factions',
+      icon: Shield,
+      description: 'Found guilds, houses and orders',
+      requiresWorld: true,
+      color: 'text-teal-400',
+      hoverColor: 'hover:bg-teal-500/10'
     }
   ];
 
@@ -0,0 +1,46 @@
+// src/presentation/components/HistoryCounts.js
+
+import React from 'react';
+
+const TITLES = { turn: 'Events per turn', node: 'Events per node', outcome: 'Events per outcome' };
+
+// One bar per key of an aggregation ([{ key, count }]), scaled to the largest count
+const CountBars = ({ title, rows, limit }) => {
+  const shown = limit ? rows.slice(-limit) : rows;
+  const largest = Math.max(1, ...shown.map(row => row.count));
+  return (
+    <div className="mb-3">
+      <h3 className="text-sm font-semibold mb-1">{title}</h3>
+      {shown.length === 0 && <p className="text-xs text-gray-400">No events</p>}
+      {shown.map(({ key, count }) => (
+        <div key={key} className="flex items-center gap-2 text-xs">
+          <span className="w-24 truncate" title={String(key)}>{key}</span>
+          <div className="flex-1 bg-gray-200 rounded h-2">
+            <div className="bg-blue-500 h-2 rounded" style={{ width: `${(count / largest) * 100}%` }} />
+          </div>
+          <span className="w-8 text-right">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * The aggregations of an AnalyzeHistory result as bar charts
+ * @param {Object} props.aggregations - { turn: [{ key, count }], node: [...], outcome: [...] }
+ * @param {number} [props.turns] - Only the latest this many turns
+ */
+const HistoryCounts = ({ aggregations = {}, turns }) => (
+  <div>
+    {Object.entries(aggregations).map(([by, rows]) => (
+      <CountBars
+        key={by}
+        title={TITLES[by] || `Events per ${by}`}
+        rows={rows || []}
+        limit={by === 'turn' ? turns : undefined}
+      />
+    ))}
+  </div>
+);
+
+export default HistoryCounts;
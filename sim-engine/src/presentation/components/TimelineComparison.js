@@ -0,0 +1,204 @@
+// src/presentation/components/TimelineComparison.js
+
+import React, { useState } from 'react';
+
+const formatDelta = (delta) => {
+  if (delta === null || delta === undefined) return '';
+  const rounded = Math.round(delta * 100) / 100;
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+// Only the values that differ between the timelines, e.g. "military +12, trade -3"
+const ValueDeltas = ({ values }) => {
+  const changed = Object.entries(values).filter(([, value]) => value.delta);
+  if (!changed.length) return <span className="text-gray-400">—</span>;
+  return (
+    <span>
+      {changed.map(([key, value]) => `${key} ${formatDelta(value.delta)}`).join(', ')}
+    </span>
+  );
+};
+
+const TimelineComparison = ({
+  timelines = [],
+  snapshotTurns = [],
+  forkTimeline,
+  advanceTimeline,
+  removeTimeline,
+  compareTimelines
+}) => {
+  const [forkName, setForkName] = useState('');
+  const [forkTurn, setForkTurn] = useState('');
+  const [forkSeed, setForkSeed] = useState('');
+  const [timelineA, setTimelineA] = useState('');
+  const [timelineB, setTimelineB] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFork = async () => {
+    const result = await forkTimeline(forkName.trim(), {
+      turn: forkTurn === '' ? undefined : Number(forkTurn),
+      seed: forkSeed === '' ? undefined : forkSeed
+    });
+    setError(result.success ? null : result.error);
+    if (result.success) {
+      setForkName('');
+      setForkSeed('');
+    }
+  };
+
+  const handleAdvance = async (name, count) => {
+    const result = await advanceTimeline(name, count);
+    setError(result.success ? null : result.error);
+  };
+
+  const handleCompare = async () => {
+    try {
+      setComparison(await compareTimelines(timelineA, timelineB));
+      setError(null);
+    } catch (compareError) {
+      setError(compareError.message);
+    }
+  };
+
+  const divergedCharacters = comparison ? comparison.characters.filter(character => character.diverged) : [];
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-bold mb-2">Alternate Timelines</h2>
+      {error && <p className="text-red-600 text-sm mb-2" role="alert">{error}</p>}
+
+      <div className="flex flex-wrap items-end gap-2 mb-4">
+        <label className="text-sm">
+          Name
+          <input
+            type="text"
+            value={forkName}
+            onChange={(e) => setForkName(e.target.value)}
+            className="ml-2 px-2 py-1 border rounded"
+            maxLength={50}
+          />
+        </label>
+        <label className="text-sm">
+          Fork at turn
+          <select value={forkTurn} onChange={(e) => setForkTurn(e.target.value)} className="ml-2 px-2 py-1 border rounded">
+            <option value="">Current</option>
+            {snapshotTurns.map(turn => <option key={turn} value={turn}>{turn}</option>)}
+          </select>
+        </label>
+        <label className="text-sm">
+          New seed (optional)
+          <input
+            type="text"
+            value={forkSeed}
+            onChange={(e) => setForkSeed(e.target.value)}
+            className="ml-2 px-2 py-1 border rounded w-28"
+          />
+        </label>
+        <button onClick={handleFork} disabled={!forkName.trim()} className="bg-blue-500 text-white p-2 rounded disabled:opacity-50">
+          Fork
+        </button>
+      </div>
+
+      <table className="w-full text-sm mb-6">
+        <thead>
+          <tr className="text-left border-b">
+            <th>Timeline</th><th>Forked from</th><th>At turn</th><th>Current turn</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {timelines.map(timeline => (
+            <tr key={timeline.name} className="border-b">
+              <td>{timeline.name}</td>
+              <td>{timeline.parent || '—'}</td>
+              <td>{timeline.forkTurn ?? '—'}</td>
+              <td>{timeline.currentTurn}</td>
+              <td className="space-x-1 text-right">
+                <button onClick={() => handleAdvance(timeline.name, 1)} className="px-2 py-1 border rounded">+1</button>
+                <button onClick={() => handleAdvance(timeline.name, 10)} className="px-2 py-1 border rounded">+10</button>
+                {timeline.parent && (
+                  <button onClick={() => removeTimeline(timeline.name)} className="px-2 py-1 border rounded text-red-600">Remove</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-end gap-2 mb-4">
+        {[['A', timelineA, setTimelineA], ['B', timelineB, setTimelineB]].map(([label, value, setValue]) => (
+          <label key={label} className="text-sm">
+            Timeline {label}
+            <select value={value} onChange={(e) => setValue(e.target.value)} className="ml-2 px-2 py-1 border rounded">
+              <option value="">--</option>
+              {timelines.map(timeline => <option key={timeline.name} value={timeline.name}>{timeline.name}</option>)}
+            </select>
+          </label>
+        ))}
+        <button onClick={handleCompare} disabled={!timelineA || !timelineB} className="bg-blue-500 text-white p-2 rounded disabled:opacity-50">
+          Compare
+        </button>
+      </div>
+
+      {comparison && (
+        <div data-testid="timeline-comparison">
+          <p className="mb-2">
+            {comparison.a.name} (turn {comparison.a.turn}) vs {comparison.b.name} (turn {comparison.b.turn}):{' '}
+            {comparison.events.total.a} vs {comparison.events.total.b} events,{' '}
+            {comparison.events.shared} shared
+            {comparison.events.firstDivergentTurn !== null && `, first diverging at turn ${comparison.events.firstDivergentTurn}`}
+          </p>
+
+          <h3 className="font-semibold mt-4">Diverged characters ({divergedCharacters.length})</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th>Character</th><th>Location A / B</th><th>Events A / B</th><th>Influence</th><th>Prestige</th><th>Alignment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {divergedCharacters.map(character => (
+                <tr key={character.id} className="border-b">
+                  <td>{character.name}{character.presentIn !== 'both' && ` (only in ${character.presentIn.toUpperCase()})`}</td>
+                  <td>{character.location.a || '—'} / {character.location.b || '—'}</td>
+                  <td>{character.events.a} / {character.events.b}</td>
+                  <td><ValueDeltas values={character.influence} /></td>
+                  <td><ValueDeltas values={character.prestige} /></td>
+                  <td><ValueDeltas values={character.alignment} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className="font-semibold mt-4">Nodes</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th>Node</th><th>Population A / B</th><th>Change</th><th>Events A / B</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.nodes.map(node => (
+                <tr key={node.id} className="border-b">
+                  <td>{node.name}</td>
+                  <td>{node.population.a ?? '—'} / {node.population.b ?? '—'}</td>
+                  <td>{formatDelta(node.population.delta)}</td>
+                  <td>{node.events.a} / {node.events.b}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className="font-semibold mt-4">Events by type</h3>
+          <ul className="text-sm">
+            {Object.entries(comparison.events.byType).map(([type, counts]) => (
+              <li key={type}>{type}: {counts.a} / {counts.b} ({formatDelta(counts.delta)})</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelineComparison;
@@ -0,0 +1,89 @@
+// src/presentation/components/TimelineComparison.test.js
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TimelineComparison from './TimelineComparison.js';
+
+const timelines = [
+  { name: 'main', parent: null, forkTurn: null, currentTurn: 6 },
+  { name: 'war', parent: 'main', forkTurn: 3, currentTurn: 6 }
+];
+
+const comparison = {
+  a: { name: 'main', turn: 6, forkTurn: null },
+  b: { name: 'war', turn: 6, forkTurn: 3 },
+  characters: [
+    {
+      id: 'a',
+      name: 'Aria',
+      presentIn: 'both',
+      diverged: true,
+      location: { a: 'n1', b: 'n2' },
+      events: { a: 2, b: 3, delta: 1 },
+      influence: { military: { a: 5, b: 15, delta: 10 } },
+      prestige: {},
+      alignment: {}
+    },
+    { id: 'b', name: 'Borin', presentIn: 'both', diverged: false, location: {}, events: {}, influence: {}, prestige: {}, alignment: {} }
+  ],
+  divergedCharacters: ['a'],
+  nodes: [{ id: 'n1', name: 'Market', population: { a: 2, b: 1, delta: -1 }, events: { a: 2, b: 1 } }],
+  events: { total: { a: 3, b: 4 }, shared: 2, onlyInA: 1, onlyInB: 2, byType: { combat: { a: 1, b: 3, delta: 2 } }, firstDivergentTurn: 3 }
+};
+
+describe('TimelineComparison', () => {
+  const renderComparison = (props = {}) => {
+    const handlers = {
+      forkTimeline: jest.fn(async () => ({ success: true })),
+      advanceTimeline: jest.fn(async () => ({ success: true })),
+      removeTimeline: jest.fn(),
+      compareTimelines: jest.fn(async () => comparison)
+    };
+    render(<TimelineComparison timelines={timelines} snapshotTurns={[0, 1, 2, 3]} {...handlers} {...props} />);
+    return handlers;
+  };
+
+  test('should fork a named timeline at the chosen turn', async () => {
+    const { forkTimeline } = renderComparison();
+
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'war' } });
+    fireEvent.change(screen.getByLabelText('Fork at turn'), { target: { value: '2' } });
+    fireEvent.click(screen.getByText('Fork'));
+
+    expect(forkTimeline).toHaveBeenCalledWith('war', { turn: 2, seed: undefined });
+    await waitFor(() => expect(screen.getByLabelText('Name')).toHaveValue(''));
+  });
+
+  test('should show fork errors', async () => {
+    renderComparison({ forkTimeline: async () => ({ success: false, error: "Timeline 'war' already exists" }) });
+
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'war' } });
+    fireEvent.click(screen.getByText('Fork'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("Timeline 'war' already exists");
+  });
+
+  test('should advance timelines', async () => {
+    const { advanceTimeline } = renderComparison();
+
+    fireEvent.click(screen.getAllByText('+10')[1]);
+
+    await waitFor(() => expect(advanceTimeline).toHaveBeenCalledWith('war', 10));
+  });
+
+  test('should render the comparison of two timelines', async () => {
+    const { compareTimelines } = renderComparison();
+
+    fireEvent.change(screen.getByLabelText('Timeline A'), { target: { value: 'main' } });
+    fireEvent.change(screen.getByLabelText('Timeline B'), { target: { value: 'war' } });
+    fireEvent.click(screen.getByText('Compare'));
+
+    expect(compareTimelines).toHaveBeenCalledWith('main', 'war');
+    expect(await screen.findByText('Diverged characters (1)')).toBeInTheDocument();
+    expect(screen.getByText('Aria')).toBeInTheDocument();
+    expect(screen.queryByText('Borin')).not.toBeInTheDocument();
+    expect(screen.getByText('military +10')).toBeInTheDocument();
+    expect(screen.getByTestId('timeline-comparison')).toHaveTextContent('first diverging at turn 3');
+  });
+});
@@ -0,0 +1,60 @@
+// src/presentation/components/ValueChart.js
+
+import React from 'react';
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2'];
+const WIDTH = 320;
+const HEIGHT = 110;
+const PAD = 6;
+
+const extent = values => [Math.min(...values), Math.max(...values)];
+
+/**
+ * Lines of values over turns, one per series, on a shared turn axis
+ * @param {string} props.title - Chart heading
+ * @param {Array<Object>} props.series - [{ id, name, min, max, points: [{ turn, value }] }]
+ */
+const ValueChart = ({ title, series = [] }) => {
+  const drawn = series.filter(line => line.points.length);
+  if (!drawn.length) return null;
+
+  const points = drawn.flatMap(line => line.points);
+  const [firstTurn, lastTurn] = extent(points.map(point => point.turn));
+  // The axes' own bounds when they declare them, so small shifts don't look like swings
+  const bounds = drawn.flatMap(line => [line.min, line.max]).filter(value => typeof value === 'number');
+  const [low, high] = extent([...bounds, ...points.map(point => point.value)]);
+  const x = turn => PAD + ((turn - firstTurn) / ((lastTurn - firstTurn) || 1)) * (WIDTH - 2 * PAD);
+  const y = value => HEIGHT - PAD - ((value - low) / ((high - low) || 1)) * (HEIGHT - 2 * PAD);
+
+  return (
+    <figure className="mb-3">
+      <figcaption className="text-sm font-semibold mb-1">{title}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-50 border rounded" role="img" aria-label={title}>
+        {low < 0 && high > 0 && (
+          <line x1={PAD} x2={WIDTH - PAD} y1={y(0)} y2={y(0)} stroke="#d1d5db" strokeDasharray="4 3" />
+        )}
+        {drawn.map((line, index) => (
+          <polyline
+            key={line.id}
+            fill="none"
+            stroke={COLORS[index % COLORS.length]}
+            strokeWidth="2"
+            points={line.points.map(point => `${x(point.turn)},${y(point.value)}`).join(' ')}
+          >
+            <title>{line.name}</title>
+          </polyline>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs mt-1">
+        <span className="text-gray-500">Turns {firstTurn}–{lastTurn}</span>
+        {drawn.map((line, index) => (
+          <span key={line.id} style={{ color: COLORS[index % COLORS.length] }}>
+            {line.name}: {Math.round(line.points[line.points.length - 1].value * 10) / 10}
+          </span>
+        ))}
+      </div>
+    </figure>
+  );
+};
+
+export default ValueChart;
@@ -0,0 +1,12 @@
+// src/presentation/contexts/SimulationClientContext.js
+
+import { createContext } from 'react';
+
+/**
+ * The SimulationProvider's simulation client, held as a ref ({ current }) and created on
+ * first use. Every useSimulation() beneath the provider sends its requests through it, so
+ * they all drive the one simulation (one worker) instead of starting their own.
+ */
+const SimulationClientContext = createContext(null);
+
+export default SimulationClientContext;
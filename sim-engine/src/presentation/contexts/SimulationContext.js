@@ -10,6 +10,7 @@
 
 import React, { createContext, useContext, useState } from 'react';
 import useSimulation from '../hooks/useSimulation.js';
+import SimulationClientContext from './SimulationClientContext.js';
 import useWorldBuilder from '../hooks/useWorldBuilder.js';
 import TemplateManager from '../../template/TemplateManager.js';
 
@@ -50,13 +51,31 @@ export const SimulationProvider = ({ children }) => {
     turnSummary: simulationState?.turnSummary || null,
     turnHistory: simulationState?.turnHistory || [],
     canProcessTurn: simulationState?.canProcessTurn || false,
+    isProcessing: simulationState?.isProcessing || false,
+    runProgress: simulationState?.runProgress || null,
+    isAutoRunning: simulationState?.isAutoRunning || false,
+    lastStop: simulationState?.lastStop || null,
     
-    // Turn-based actions
+    // Turn-based actions (asynchronous: the simulation runs in a worker)
     initializeWorld: simulationState?.initializeWorld || (() => false),
     resetSimulation: simulationState?.resetSimulation || (() => false),
     processTurn: simulationState?.processTurn || (() => ({ success: false, error: 'Not available' })),
+    runUntil: simulationState?.runUntil || (() => ({ success: false, error: 'Not available' })),
+    cancelRun: simulationState?.cancelRun || (() => false),
+    autoRun: simulationState?.autoRun || (() => ({ success: false, error: 'Not available' })),
+    setSpeed: simulationState?.setSpeed || (() => {}),
+    rewindTo: simulationState?.rewindTo || (() => ({ success: false, error: 'Not available' })),
+    getSnapshotTurns: simulationState?.getSnapshotTurns || (() => []),
+    timelines: simulationState?.timelines || [],
+    forkTimeline: simulationState?.forkTimeline || (() => ({ success: false, error: 'Not available' })),
+    advanceTimeline: simulationState?.advanceTimeline || (() => ({ success: false, error: 'Not available' })),
+    removeTimeline: simulationState?.removeTimeline || (() => {}),
+    compareTimelines: simulationState?.compareTimelines || (() => null),
     getTurnHistory: simulationState?.getTurnHistory || (() => []),
     analyzeHistory: simulationState?.analyzeHistory || (() => null),
+    getBiography: simulationState?.getBiography || (() => Promise.resolve(null)),
+    setNarrativeGrammar: simulationState?.setNarrativeGrammar || (() => Promise.resolve({ success: false, error: 'Not available' })),
+    subscribeEvents: simulationState?.subscribeEvents || (() => () => {}),
     
     // World building completion status
     isWorldComplete: worldBuilderState?.isWorldComplete || false,
@@ -65,7 +84,10 @@ export const SimulationProvider = ({ children }) => {
 
   return (
     <SimulationContext.Provider value={contextValue}>
-      {children}
+      {/* Any other useSimulation() below shares this provider's simulation client */}
+      <SimulationClientContext.Provider value={simulationState?.clientRef || null}>
+        {children}
+      </SimulationClientContext.Provider>
     </SimulationContext.Provider>
   );
 };
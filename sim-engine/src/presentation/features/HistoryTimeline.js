@@ -1,26 +1,40 @@
 // src/presentation/components/features/HistoryTimeline.js
 
 import React, { useState, useEffect } from 'react';
-import analyzeHistory from '../../application/use-cases/history/AnalyzeHistory.js';
+import { useSimulationContext } from '../contexts/SimulationContext.js';
+import HistoryCounts from '../components/HistoryCounts.js';
 
 const HistoryTimeline = () => {
+  const { analyzeHistory, currentTurn } = useSimulationContext();
   const [events, setEvents] = useState([]);
   const [summary, setSummary] = useState({});
+  const [aggregations, setAggregations] = useState({});
 
+  // The history lives with the simulation worker; re-query it after every turn
   useEffect(() => {
-    const result = analyzeHistory({ limit: 20 });
-    setEvents(result.events);
-    setSummary(result.summary);
-  }, []);
+    let stale = false;
+    Promise.resolve(analyzeHistory({ limit: 20 }))
+      .then(result => {
+        if (stale || !result) return;
+        setEvents(result.events);
+        setSummary(result.summary);
+        setAggregations(result.aggregations || {});
+      })
+      .catch(error => console.error('HistoryTimeline: Failed to load history:', error));
+    return () => {
+      stale = true;
+    };
+  }, [analyzeHistory, currentTurn]);
 
   return (
     <div className="p-4">
       <h2 className="text-lg font-bold">History Timeline</h2>
       <p>Total Events: {summary.totalEvents} (Significant: {summary.significantEvents})</p>
+      <HistoryCounts aggregations={aggregations} turns={10} />
       <ul className="list-disc">
         {events.map(event => (
           <li key={event.id}>
-            [{new Date(event.timestamp).toLocaleString()}] {event.characterName} {event.description}
+            [Turn {event.timestamp}] {event.description}
           </li>
         ))}
       </ul>
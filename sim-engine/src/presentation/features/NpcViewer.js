@@ -1,25 +1,114 @@
 // src/presentation/components/features/NpcViewer.js
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { User } from 'lucide-react';  // From Lucide icons
+import { useSimulationContext } from '../contexts/SimulationContext.js';
+import ValueChart from '../components/ValueChart.js';
+
+const CHARTS = [
+  ['alignment', 'Alignment'],
+  ['influence', 'Influence'],
+  ['prestige', 'Prestige']
+];
+
+const KIND_STYLES = {
+  event: 'bg-blue-100 text-blue-800',
+  decision: 'bg-purple-100 text-purple-800',
+  alignment: 'bg-amber-100 text-amber-800',
+  influence: 'bg-green-100 text-green-800',
+  prestige: 'bg-rose-100 text-rose-800',
+  memory: 'bg-gray-100 text-gray-800'
+};
+
+// Relationships arrive as a Map from the worker, or as [id, bond] pairs once serialized
+const relationshipsOf = relationships => [...(relationships instanceof Map
+  ? relationships.entries()
+  : Array.isArray(relationships) ? relationships : Object.entries(relationships || {}))]
+  .map(([id, bond]) => [id, typeof bond === 'object' && bond !== null ? bond.strength || 0 : bond || 0]);
 
 const NpcViewer = ({ npc }) => {
+  const { getBiography, currentTurn } = useSimulationContext();
+  const [biography, setBiography] = useState(null);
+  const [hiddenKinds, setHiddenKinds] = useState(new Set());
+  const npcId = npc?.id;
+
+  // The life record lives with the simulation worker; fetch it again after every turn
+  useEffect(() => {
+    if (!npcId) return undefined;
+    let stale = false;
+    Promise.resolve(getBiography(npcId))
+      .then(result => {
+        if (!stale) setBiography(result);
+      })
+      .catch(error => console.error('NpcViewer: Failed to load biography:', error));
+    return () => {
+      stale = true;
+    };
+  }, [getBiography, npcId, currentTurn]);
+
   if (!npc) return <div>No NPC selected</div>;
 
+  const toggleKind = kind => setHiddenKinds(previous => {
+    const next = new Set(previous);
+    if (next.has(kind)) next.delete(kind);
+    else next.add(kind);
+    return next;
+  });
+
+  const entries = biography?.entries || [];
+  const kinds = [...new Set(entries.map(entry => entry.kind))];
+  const relationships = relationshipsOf(npc.relationships);
+
   return (
     <div className="p-4 border rounded shadow">
       <h2 className="flex items-center text-lg font-bold"><User className="mr-2" /> {npc.name}</h2>
-      <p>Position: ({npc.position.x}, {npc.position.y})</p>
-      <p>Coherence: {npc.consciousness.coherence.toFixed(2)}</p>
-      <p>Attributes: STR {npc.attributes.strength.score} (Mod: {npc.attributes.strength.modifier})</p>
-      {/* Add lists for relationships, goals, history */}
-      <ul>
-        {npc.relationships.entries().map(([id, affinity]) => (
-          <li key={id}>Relation with {id}: {affinity.toFixed(2)}</li>
-        ))}
-      </ul>
+      <p className="text-sm text-gray-600">
+        {[npc.role, typeof npc.age === 'number' && `age ${Math.floor(npc.age)}`, npc.currentNodeId && `at ${npc.currentNodeId}`]
+          .filter(Boolean).join(', ')}
+      </p>
+      {typeof npc.consciousness?.coherence === 'number' && <p>Coherence: {npc.consciousness.coherence.toFixed(2)}</p>}
+
+      {biography?.text && <p className="my-3 italic">{biography.text}</p>}
+
+      {biography && CHARTS.map(([kind, title]) => (
+        <ValueChart key={kind} title={title} series={biography.series[kind] || []} />
+      ))}
+
+      {entries.length > 0 && (
+        <div className="mt-3">
+          <h3 className="text-sm font-semibold mb-1">Life</h3>
+          <div className="flex flex-wrap gap-1 mb-2">
+            {kinds.map(kind => (
+              <button
+                key={kind}
+                onClick={() => toggleKind(kind)}
+                className={`px-2 py-0.5 rounded text-xs ${KIND_STYLES[kind] || ''} ${hiddenKinds.has(kind) ? 'opacity-40' : ''}`}
+              >
+                {kind}
+              </button>
+            ))}
+          </div>
+          <ol className="text-sm space-y-1 max-h-64 overflow-y-auto">
+            {entries.filter(entry => !hiddenKinds.has(entry.kind)).map((entry, index) => (
+              <li key={`${entry.turn}-${entry.kind}-${index}`}>
+                <span className="text-gray-500">Turn {entry.turn}</span>{' '}
+                <span className={`px-1 rounded text-xs ${KIND_STYLES[entry.kind] || ''}`}>{entry.kind}</span>{' '}
+                {entry.description}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {relationships.length > 0 && (
+        <ul className="mt-3 text-sm">
+          {relationships.map(([id, affinity]) => (
+            <li key={id}>Relation with {id}: {Number(affinity).toFixed(2)}</li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
-export default NpcViewer;
\ No newline at end of file
+export default NpcViewer;
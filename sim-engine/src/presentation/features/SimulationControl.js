@@ -1,91 +1,228 @@
 // src/presentation/components/features/SimulationControl.js
 
 import React, { useState } from 'react';
-import SimulationService from '../../application/use-cases/services/SimulationService.js';
+import { useSimulationContext } from '../contexts/SimulationContext.js';
 import HistoryTimeline from './HistoryTimeline.js';
+import SimulationEventFeed from './SimulationEventFeed.js';
+import { BreakpointTypes } from '../../domain/services/Breakpoints.js';
+
+const SPEEDS = [
+  { value: '0.5', label: '0.5x' },
+  { value: '1', label: '1x' },
+  { value: '2', label: '2x' },
+  { value: '4', label: '4x' },
+  { value: 'max', label: 'Max' }
+];
+
+// Breakpoints offered in the UI; the API also takes prestige level filters and world conditions
+const BREAKPOINT_OPTIONS = [
+  { type: BreakpointTypes.CHARACTER_DEATH, label: 'Character dies' },
+  { type: BreakpointTypes.ENCOUNTER, label: 'Encounter triggers' },
+  { type: BreakpointTypes.PRESTIGE_LEVEL, label: 'Prestige level changes' }
+];
+
+const toSpeed = (value) => (value === 'max' ? Infinity : Number(value));
 
 const SimulationControl = () => {
-  const [isInitialized, setIsInitialized] = useState(false);
-  const [currentTurn, setCurrentTurn] = useState(0);
+  const {
+    isInitialized,
+    currentTurn,
+    isProcessing,
+    runProgress,
+    isAutoRunning,
+    lastStop,
+    processTurn,
+    runUntil,
+    cancelRun,
+    autoRun,
+    setSpeed,
+    rewindTo,
+    resetSimulation,
+    getSnapshotTurns
+  } = useSimulationContext();
+  const [rewindTurn, setRewindTurn] = useState('');
+  const [runTurns, setRunTurns] = useState('10');
+  const [error, setError] = useState(null);
+  const [speed, setSpeedValue] = useState('1');
+  const [breakpoints, setBreakpoints] = useState([BreakpointTypes.CHARACTER_DEATH]);
 
-  const handleInitialize = () => {
-    try {
-      // Try to load existing state first
-      let worldState = SimulationService.loadState();
-      
-      // If no saved state, don't create a default world - user must build manually
-      if (!worldState) {
-        console.log('No saved state found. User must create world through World Builder.');
-        // Don't initialize - user needs to go through world building process
-        return;
-      }
-      
-      setIsInitialized(true);
-      setCurrentTurn(SimulationService.getCurrentTurn());
-    } catch (error) {
-      console.error('Failed to initialize simulation:', error);
-    }
+  const handleResult = (result) => {
+    setError(result && !result.success ? result.error : null);
   };
 
-  const handleProcessTurn = () => {
-    try {
-      // Ensure we're initialized before processing a turn
-      if (!isInitialized) {
-        handleInitialize();
-      }
-      
-      // Process turn directly - no need to "start" simulation for turn-based mode
-      const result = SimulationService.processTurn();
-      if (result && result.success) {
-        setCurrentTurn(SimulationService.getCurrentTurn());
-      }
-    } catch (error) {
-      console.error('Failed to process turn:', error);
-    }
+  const handleProcessTurn = async () => {
+    handleResult(await processTurn());
   };
 
-  const handleReset = () => {
-    try {
-      SimulationService.reset();
-      setIsInitialized(false);
-      setCurrentTurn(0);
-    } catch (error) {
-      console.error('Failed to reset simulation:', error);
+  // Several turns in one worker request; progress arrives after each turn
+  const handleRun = async () => {
+    const turns = parseInt(runTurns, 10);
+    if (!Number.isInteger(turns) || turns < 1) return;
+    handleResult(await runUntil({ turns }));
+  };
+
+  // Auto-play at the world's tick delay, stopping at the checked breakpoints
+  const handlePlay = async () => {
+    handleResult(await autoRun({
+      speed: toSpeed(speed),
+      breakpoints: breakpoints.map(type => ({ type }))
+    }));
+  };
+
+  const handleSpeedChange = (value) => {
+    setSpeedValue(value);
+    if (isAutoRunning) {
+      setSpeed(toSpeed(value));
     }
   };
 
+  const toggleBreakpoint = (type) => {
+    setBreakpoints(current => (current.includes(type)
+      ? current.filter(existing => existing !== type)
+      : [...current, type]));
+  };
+
+  const handleRewind = async () => {
+    if (rewindTurn === '') return;
+    handleResult(await rewindTo(Number(rewindTurn)));
+    setRewindTurn('');
+  };
+
+  const handleReset = async () => {
+    await resetSimulation();
+    setError(null);
+  };
+
   return (
     <div className="p-4">
       <h2 className="text-lg font-bold">Simulation Controls (Turn-Based)</h2>
       <div className="mb-4">
-        <span className="text-sm text-gray-600">Current Turn: {currentTurn}</span>
+        <span className="text-sm text-gray-600">Current Turn: {currentTurn ?? '--'}</span>
       </div>
+      {error && <p className="text-red-600 text-sm mb-2" role="alert">{error}</p>}
       <div className="space-x-2 mb-4">
-        {!isInitialized && (
-          <button 
-            onClick={handleInitialize} 
-            className="bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
-          >
-            Load Saved World
-          </button>
-        )}
-        <button 
-          onClick={handleProcessTurn} 
+        <button
+          onClick={handleProcessTurn}
           className="bg-green-500 text-white p-2 rounded hover:bg-green-600"
-          disabled={!isInitialized}
+          disabled={!isInitialized || isProcessing}
         >
           Process Next Turn
         </button>
-        <button 
-          onClick={handleReset} 
+        <button
+          onClick={handleReset}
           className="bg-red-500 text-white p-2 rounded hover:bg-red-600"
+          disabled={isProcessing}
         >
           Reset
         </button>
       </div>
+      {isInitialized && (
+        <div className="flex items-center space-x-2 mb-4">
+          <label htmlFor="run-turns" className="text-sm text-gray-600">Run turns</label>
+          <input
+            id="run-turns"
+            type="number"
+            min="1"
+            value={runTurns}
+            onChange={(e) => setRunTurns(e.target.value)}
+            className="border rounded p-1 text-sm w-20"
+            disabled={isProcessing}
+          />
+          {runProgress && !isAutoRunning ? (
+            <>
+              <progress value={runProgress.completed} max={runProgress.total} />
+              <span className="text-sm text-gray-600">
+                {runProgress.completed}/{runProgress.total}
+              </span>
+              <button
+                onClick={cancelRun}
+                className="bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={handleRun}
+              className="bg-green-500 text-white p-2 rounded hover:bg-green-600"
+              disabled={isProcessing}
+            >
+              Run
+            </button>
+          )}
+        </div>
+      )}
+      {isInitialized && (
+        <div className="mb-4">
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={isAutoRunning ? cancelRun : handlePlay}
+              className="bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
+              disabled={isProcessing && !isAutoRunning}
+            >
+              {isAutoRunning ? 'Pause' : 'Play'}
+            </button>
+            <label htmlFor="auto-run-speed" className="text-sm text-gray-600">Speed</label>
+            <select
+              id="auto-run-speed"
+              value={speed}
+              onChange={(e) => handleSpeedChange(e.target.value)}
+              className="border rounded p-1 text-sm"
+            >
+              {SPEEDS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <fieldset className="flex items-center space-x-3 mt-2" disabled={isAutoRunning}>
+            <legend className="text-sm text-gray-600">Stop when</legend>
+            {BREAKPOINT_OPTIONS.map(option => (
+              <label key={option.type} className="text-sm">
+                <input
+                  type="checkbox"
+                  checked={breakpoints.includes(option.type)}
+                  onChange={() => toggleBreakpoint(option.type)}
+                />{' '}
+                {option.label}
+              </label>
+            ))}
+          </fieldset>
+          {lastStop && lastStop.reason === 'breakpoint' && (
+            <p className="text-sm text-gray-600 mt-2" role="status">
+              Stopped at turn {lastStop.turn}: {lastStop.hits.map(hit => hit.message).join('; ')}
+            </p>
+          )}
+        </div>
+      )}
+      {isInitialized && (
+        <div className="flex items-center space-x-2 mb-4">
+          <label htmlFor="rewind-turn" className="text-sm text-gray-600">Rewind to turn</label>
+          <select
+            id="rewind-turn"
+            value={rewindTurn}
+            onChange={(e) => setRewindTurn(e.target.value)}
+            className="border rounded p-1 text-sm"
+          >
+            <option value="">--</option>
+            {getSnapshotTurns()
+              .filter(turn => turn < currentTurn)
+              .map(turn => (
+                <option key={turn} value={turn}>{turn}</option>
+              ))}
+          </select>
+          <button
+            onClick={handleRewind}
+            className="bg-yellow-500 text-white p-2 rounded hover:bg-yellow-600"
+            disabled={rewindTurn === '' || isProcessing}
+          >
+            Rewind
+          </button>
+        </div>
+      )}
+      {isInitialized && <SimulationEventFeed />}
       <HistoryTimeline /> {/* Embed analysis */}
     </div>
   );
 };
 
-export default SimulationControl;
\ No newline at end of file
+export default SimulationControl;
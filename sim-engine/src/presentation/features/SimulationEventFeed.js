@@ -0,0 +1,115 @@
+// src/presentation/features/SimulationEventFeed.js
+
+import React, { useState } from 'react';
+import useSimulationEvents from '../hooks/useSimulationEvents.js';
+import { SimulationEventTypes } from '../../domain/events/SimulationEvents.js';
+
+const FEED_SIZE = 15;
+
+const formatScore = (value) => (Number.isInteger(value) ? value : Number(value).toFixed(2));
+
+// One line of text per event type the feed listens to
+const describeEvent = ({ type, payload }) => {
+  switch (type) {
+    case SimulationEventTypes.ATTRIBUTE_CHANGED:
+      return `${payload.characterName || payload.characterId}: ${payload.attribute} ${formatScore(payload.from)} → ${formatScore(payload.to)}`;
+    case SimulationEventTypes.CHARACTER_MOVED:
+      return `${payload.characterName || payload.characterId} moved to ${payload.toNodeId}`;
+    case SimulationEventTypes.CHARACTER_DEPARTED:
+      return `${payload.characterName || payload.characterId} set out for ${payload.toNodeId} (arrives turn ${payload.arrivesAt})`;
+    case SimulationEventTypes.CHARACTER_BORN:
+      return `${payload.characterName || payload.characterId} was born`;
+    case SimulationEventTypes.CHARACTER_DIED:
+      return `${payload.characterName || payload.characterId} died (${payload.cause}, aged ${payload.age})`;
+    case SimulationEventTypes.TITLE_SUCCEEDED:
+      return payload.toCharacterId
+        ? `${payload.toCharacterName || payload.toCharacterId} is now ${payload.title} of ${payload.settlementName || payload.settlementId}`
+        : `${payload.title} of ${payload.settlementName || payload.settlementId} is vacant`;
+    case SimulationEventTypes.ENCOUNTER_STARTED:
+      return `Encounter started: ${payload.encounterName || payload.encounterId}`;
+    case SimulationEventTypes.ENCOUNTER_RESOLVED:
+      return `Encounter resolved: ${payload.encounterName || payload.encounterId}`;
+    case SimulationEventTypes.ENCOUNTER_ENDED:
+      return `Encounter ended (${payload.reason}): ${payload.encounterName || payload.encounterId}`;
+    case SimulationEventTypes.QUEST_ACCEPTED:
+      return `${payload.characterName || payload.characterId} took up ${payload.questName || payload.questId}`;
+    case SimulationEventTypes.QUEST_COMPLETED:
+      return `${payload.characterName || payload.characterId} completed ${payload.questName || payload.questId}`;
+    case SimulationEventTypes.QUEST_FAILED:
+      return `${payload.characterName || payload.characterId} failed ${payload.questName || payload.questId} (${payload.reason})`;
+    case SimulationEventTypes.CARAVAN_DEPARTED:
+      return `${payload.merchantName || payload.merchantId} set out for ${payload.toNodeId} with ${payload.quantity} ${payload.good}`;
+    case SimulationEventTypes.CARAVAN_ARRIVED:
+      return `${payload.merchantName || payload.merchantId} sold ${payload.quantity} ${payload.good} in ${payload.toNodeId} for ${formatScore(payload.value)}`;
+    case SimulationEventTypes.RELATIONSHIP_FORMED:
+      return `${payload.characterName || payload.characterId} and ${payload.otherName || payload.otherId}: ${payload.type} formed`;
+    case SimulationEventTypes.RELATIONSHIP_BROKEN:
+      return `${payload.characterName || payload.characterId} and ${payload.otherName || payload.otherId}: ${payload.type} ended`;
+    case SimulationEventTypes.FACTION_JOINED:
+      return `${payload.characterName || payload.characterId} joined ${payload.factionName || payload.factionId}`;
+    case SimulationEventTypes.FACTION_LEFT:
+      return `${payload.characterName || payload.characterId} left ${payload.factionName || payload.factionId} (${payload.reason})`;
+    case SimulationEventTypes.FACTION_STANCE_CHANGED:
+      return `${payload.factionName || payload.factionId} and ${payload.otherName || payload.otherId}: ${payload.from} → ${payload.to}`;
+    case SimulationEventTypes.FACTION_DISSOLVED:
+      return `${payload.factionName || payload.factionId} dissolved`;
+    case SimulationEventTypes.WORLD_EVENT_OCCURRED:
+      return `${payload.name || payload.kind} at ${payload.nodeName || payload.nodeId} (${payload.severity})`;
+    case SimulationEventTypes.PRESTIGE_LEVEL_CHANGED:
+      return `${payload.characterId || 'Someone'} is now ${payload.toLevel} in ${payload.trackId}`;
+    default:
+      return type;
+  }
+};
+
+const FEED_EVENTS = [
+  SimulationEventTypes.ATTRIBUTE_CHANGED,
+  SimulationEventTypes.CHARACTER_MOVED,
+  SimulationEventTypes.CHARACTER_DEPARTED,
+  SimulationEventTypes.CHARACTER_BORN,
+  SimulationEventTypes.CHARACTER_DIED,
+  SimulationEventTypes.TITLE_SUCCEEDED,
+  SimulationEventTypes.ENCOUNTER_STARTED,
+  SimulationEventTypes.ENCOUNTER_RESOLVED,
+  SimulationEventTypes.ENCOUNTER_ENDED,
+  SimulationEventTypes.QUEST_ACCEPTED,
+  SimulationEventTypes.QUEST_COMPLETED,
+  SimulationEventTypes.QUEST_FAILED,
+  SimulationEventTypes.CARAVAN_DEPARTED,
+  SimulationEventTypes.CARAVAN_ARRIVED,
+  SimulationEventTypes.RELATIONSHIP_FORMED,
+  SimulationEventTypes.RELATIONSHIP_BROKEN,
+  SimulationEventTypes.FACTION_JOINED,
+  SimulationEventTypes.FACTION_LEFT,
+  SimulationEventTypes.FACTION_STANCE_CHANGED,
+  SimulationEventTypes.FACTION_DISSOLVED,
+  SimulationEventTypes.WORLD_EVENT_OCCURRED,
+  SimulationEventTypes.PRESTIGE_LEVEL_CHANGED
+];
+
+// Live list of the latest notable changes, newest first
+const SimulationEventFeed = () => {
+  const [entries, setEntries] = useState([]);
+
+  useSimulationEvents(FEED_EVENTS, (event) => {
+    setEntries(previous => [
+      { key: event.sequence, text: describeEvent(event) },
+      ...previous
+    ].slice(0, FEED_SIZE));
+  });
+
+  return (
+    <div className="p-4">
+      <h2 className="text-lg font-bold">Live Events</h2>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-600">Nothing has happened yet.</p>
+      ) : (
+        <ul className="list-disc text-sm">
+          {entries.map(entry => <li key={entry.key}>{entry.text}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SimulationEventFeed;
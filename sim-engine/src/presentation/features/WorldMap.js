@@ -1,17 +1,19 @@
 // src/presentation/components/features/WorldMap.js
 
 import React from 'react';
-import SimulationService from '../../application/use-cases/services/SimulationService.js';
+import { useSimulationContext } from '../contexts/SimulationContext.js';
 
 const WorldMap = () => {
-  const worldState = SimulationService.worldState || { nodes: [], npcs: [] };
+  const worldState = useSimulationContext().worldState || { nodes: [], npcs: [] };
+  // Mappless worlds have no coordinates; only positioned entities are drawn
+  const positioned = (entities = []) => entities.filter(entity => entity.position);
 
   return (
     <svg width="400" height="400" className="border">
-      {worldState.nodes.map(node => (
+      {positioned(worldState.nodes).map(node => (
         <circle key={node.id} cx={node.position.x * 40} cy={node.position.y * 40} r="10" fill="blue" />
       ))}
-      {worldState.npcs.map(npc => (
+      {positioned(worldState.npcs).map(npc => (
         <circle key={npc.id} cx={npc.position.x * 40} cy={npc.position.y * 40} r="5" fill="red" />
       ))}
     </svg>
@@ -15,4 +15,5 @@ export { default as useSidebar } from './useSidebar';
 
 // Simulation Hooks
 export { default as useSimulation } from './useSimulation';
+export { default as useSimulationEvents } from './useSimulationEvents';
 export { default as useWorldBuilder } from './useWorldBuilder';
\ No newline at end of file
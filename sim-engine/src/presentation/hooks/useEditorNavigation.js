@@ -45,7 +45,9 @@ const useEditorNavigation = () => {
       '/editors/nodes': 'nodes',
       '/editors/characters': 'characters',
       '/editors/interactions': 'interactions',
-      '/editors/encounters': 'encounters'
+      '/editors/encounters': 'encounters',
+      '/editors/quests': 'quests',
+      '/editors/factions': 'factions'
     };
 
     const currentEditor = pathToEditorMap[location.pathname];
@@ -81,7 +83,9 @@ const useEditorNavigation = () => {
       '/editors/nodes': 'nodes',
       '/editors/characters': 'characters',
       '/editors/interactions': 'interactions',
-      '/editors/encounters': 'encounters'
+      '/editors/encounters': 'encounters',
+      '/editors/quests': 'quests',
+      '/editors/factions': 'factions'
     };
 
     return pathToEditorMap[location.pathname] || null;
@@ -134,7 +138,7 @@ const useEditorNavigation = () => {
     const currentEditor = getCurrentEditor();
     const availableEditors = getAvailableEditors();
     
-    const editorOrder = ['world', 'nodes', 'characters', 'interactions', 'encounters'];
+    const editorOrder = ['world', 'nodes', 'characters', 'interactions', 'encounters', 'quests', 'factions'];
     const currentIndex = editorOrder.indexOf(currentEditor);
     
     // Find next available editor
@@ -146,7 +150,9 @@ const useEditorNavigation = () => {
           'nodes': '/editors/nodes',
           'characters': '/editors/characters',
           'interactions': '/editors/interactions',
-          'encounters': '/editors/encounters'
+          'encounters': '/editors/encounters',
+          'quests': '/editors/quests',
+          'factions': '/editors/factions'
         };
         
         navigateToEditor(nextEditor, pathMap[nextEditor]);
@@ -167,7 +173,7 @@ const useEditorNavigation = () => {
     const currentEditor = getCurrentEditor();
     const availableEditors = getAvailableEditors();
     
-    const editorOrder = ['world', 'nodes', 'characters', 'interactions', 'encounters'];
+    const editorOrder = ['world', 'nodes', 'characters', 'interactions', 'encounters', 'quests', 'factions'];
     const currentIndex = editorOrder.indexOf(currentEditor);
     
     // Find previous available editor
@@ -179,7 +185,9 @@ const useEditorNavigation = () => {
           'nodes': '/editors/nodes',
           'characters': '/editors/characters',
           'interactions': '/editors/interactions',
-          'encounters': '/editors/encounters'
+          'encounters': '/editors/encounters',
+          'quests': '/editors/quests',
+          'factions': '/editors/factions'
         };
         
         navigateToEditor(prevEditor, pathMap[prevEditor]);
@@ -209,7 +217,7 @@ const useEditorNavigation = () => {
     };
 
     // Determine next/previous editors
-    const editorOrder = ['world', 'nodes', 'characters', 'interactions', 'encounters'];
+    const editorOrder = ['world', 'nodes', 'characters', 'interactions', 'encounters', 'quests', 'factions'];
     const currentIndex = editorOrder.indexOf(currentEditor);
 
     // Find next available editor
@@ -267,7 +275,9 @@ const useEditorNavigation = () => {
       'nodes': 'Node Editor',
       'characters': 'Character Editor',
       'interactions': 'Interaction Editor',
-      'encounters': 'Encounter Editor'
+      'encounters': 'Encounter Editor',
+      'quests': 'Quest Editor',
+      'factions': 'Faction Editor'
     };
 
     if (currentEditor && editorLabels[currentEditor]) {
@@ -1,7 +1,18 @@
 // src/presentation/hooks/useSimulation.js
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef, useContext } from 'react';
 import SimulationService from '../../application/use-cases/services/SimulationService.js';
+import { createSimulationClient } from '../../infrastructure/workers/SimulationWorkerClient.js';
+import SimulationClientContext from '../contexts/SimulationClientContext.js';
+
+// The simulation runs in a Web Worker (or on this thread where workers are unavailable);
+// every action below is a request to it and resolves once the worker has answered.
+const clientFor = (clientRef) => {
+  if (!clientRef.current) {
+    clientRef.current = createSimulationClient(SimulationService);
+  }
+  return clientRef.current;
+};
 
 const useSimulation = (worldBuilderState = null) => {
   const [worldState, setWorldState] = useState(null);
@@ -11,59 +22,100 @@ const useSimulation = (worldBuilderState = null) => {
   const [currentTurn, setCurrentTurn] = useState(null); // Start with null instead of 0
   const [turnSummary, setTurnSummary] = useState(null);
   const [turnHistory, setTurnHistory] = useState([]);
+  const [snapshotTurns, setSnapshotTurns] = useState([]);
+  const [timelines, setTimelines] = useState([]);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [runProgress, setRunProgress] = useState(null);
+  const [isAutoRunning, setIsAutoRunning] = useState(false);
+  const [lastStop, setLastStop] = useState(null);
+  const ownClientRef = useRef(null);
+  const sharedClientRef = useContext(SimulationClientContext);
+  const initializingRef = useRef(false);
+
+  // Beneath a SimulationProvider the provider's client is used; otherwise the hook has its own
+  const clientRef = sharedClientRef || ownClientRef;
+
+  // The hook's own client is created on first use; unmounting stops its worker
+  useEffect(() => () => {
+    if (ownClientRef.current) {
+      ownClientRef.current.terminate();
+      ownClientRef.current = null;
+    }
+  }, []);
+
+  // Copy a worker snapshot ({ worldState, currentTurn, turnSummary, ... }) into React state
+  const applySnapshot = useCallback((snapshot) => {
+    if (!snapshot) return;
+    setWorldState(snapshot.worldState ? { ...snapshot.worldState } : null);
+    const turn = snapshot.currentTurn;
+    if (typeof turn === 'number' && Number.isFinite(turn) && turn >= 0) {
+      setCurrentTurn(turn);
+    } else {
+      console.error('useSimulation: Invalid turn value in simulation snapshot:', turn);
+      setCurrentTurn(null); // Use null for invalid values to trigger "--" display
+    }
+    setTurnSummary(snapshot.turnSummary || null);
+    setTurnHistory(snapshot.turnHistory || []);
+    setSnapshotTurns(snapshot.snapshotTurns || []);
+    setTimelines(snapshot.timelines || []);
+  }, []);
 
   // Initialize simulation only when valid world builder state is provided
   useEffect(() => {
+    let stale = false;
+
     if (worldBuilderState && worldBuilderState.isValid && worldBuilderState.stepValidation && worldBuilderState.stepValidation[6]) {
+      let simulationConfig;
       try {
         // Convert world builder state to simulation config
-        const simulationConfig = worldBuilderState.toSimulationConfig();
-        const initializedState = SimulationService.initialize(simulationConfig);
-        setWorldState(initializedState);
-        setIsInitialized(true);
-        setInitializationError(null);
-        
-        // Update current turn from initialized state
-        const turn = SimulationService.getCurrentTurn();
-        setCurrentTurn(turn);
+        simulationConfig = worldBuilderState.toSimulationConfig();
       } catch (error) {
         console.error('useSimulation: Failed to initialize simulation from world builder state:', error);
         setInitializationError(error.message);
         setIsInitialized(false);
         setWorldState(null);
+        return undefined;
       }
+
+      // Requests made meanwhile queue behind this one in the worker
+      initializingRef.current = true;
+      clientFor(clientRef).initialize(simulationConfig)
+        .then(snapshot => {
+          if (stale) return;
+          initializingRef.current = false;
+          applySnapshot(snapshot);
+          setIsInitialized(true);
+          setInitializationError(null);
+        })
+        .catch(error => {
+          if (stale) return;
+          initializingRef.current = false;
+          console.error('useSimulation: Failed to initialize simulation from world builder state:', error);
+          setInitializationError(error.message);
+          setIsInitialized(false);
+          setWorldState(null);
+        });
     } else {
       // Don't auto-load from localStorage - only initialize when world is complete
       setWorldState(null);
       setIsInitialized(false);
       setInitializationError(null);
-      
+
       // Set current turn to null to show "--" in UI
       setCurrentTurn(null);
     }
-  }, [worldBuilderState]);
 
-  // Update currentTurn when worldState changes
-  useEffect(() => {
-    if (worldState) {
-      try {
-        const newTurn = SimulationService.getCurrentTurn();
-        if (typeof newTurn === 'number' && Number.isFinite(newTurn) && newTurn >= 0) {
-          setCurrentTurn(newTurn);
-        } else {
-          console.error('useSimulation: Invalid turn value during worldState sync:', newTurn);
-          setCurrentTurn(null); // Use null for invalid values to trigger "--" display
-        }
-      } catch (error) {
-        console.error('useSimulation: Error syncing current turn with world state:', error);
-        setCurrentTurn(null); // Use null for errors to trigger "--" display
-      }
-    }
-  }, [worldState]);
+    return () => {
+      stale = true;
+      initializingRef.current = false;
+    };
+  }, [worldBuilderState, applySnapshot, clientRef]);
 
-  const resetSimulation = useCallback(() => {
+  const resetSimulation = useCallback(async () => {
     try {
-      SimulationService.reset(); // Clear saved state
+      const snapshot = await clientFor(clientRef).reset(); // Clear saved state
+      setTimelines(snapshot.timelines || []);
+      setSnapshotTurns([]);
       setWorldState(null);
       setCurrentTurn(0);
       setIsInitialized(false);
@@ -75,56 +127,196 @@ const useSimulation = (worldBuilderState = null) => {
       console.error('useSimulation: Error resetting simulation:', error);
       return false;
     }
-  }, []);
+  }, [clientRef]);
 
-  const processTurn = useCallback(() => {
-    if (!isInitialized || !worldState) {
+  const processTurn = useCallback(async () => {
+    if ((!isInitialized || !worldState) && !initializingRef.current) {
       const error = 'Cannot process turn: Simulation not initialized';
       setInitializationError(error);
       return { success: false, error };
     }
-    
+
+    setIsProcessing(true);
     try {
-      const result = SimulationService.processTurn();
-      
+      const result = await clientFor(clientRef).processTurn();
       if (result && result.success) {
-        setWorldState(result.worldState);
-        setTurnSummary(result.turnSummary);
-        
-        // Update turn counter
-        const newTurn = SimulationService.getCurrentTurn();
-        if (typeof newTurn === 'number' && Number.isFinite(newTurn) && newTurn >= 0) {
-          setCurrentTurn(newTurn);
-        }
-        
-        // Update turn history
-        try {
-          const history = SimulationService.getTurnHistory(10); // Get last 10 turns
-          setTurnHistory(history || []);
-        } catch (historyError) {
-          console.warn('useSimulation: Could not update turn history:', historyError);
-        }
+        applySnapshot(result);
       }
-      
       return result;
     } catch (error) {
       console.error('useSimulation: Error processing turn:', error);
       return { success: false, error: error.message };
+    } finally {
+      setIsProcessing(false);
     }
-  }, [isInitialized, worldState]);
+  }, [isInitialized, worldState, applySnapshot, clientRef]);
+
+  /**
+   * Processes several turns in the worker, reporting progress after each one
+   * @param {Object} target - { turn } to stop at, or { turns } to run from the current turn
+   * @param {Object} [options] - { onProgress } receives { turn, completed, total, turnSummary }
+   */
+  const runUntil = useCallback(async (target, options = {}) => {
+    if (!isInitialized && !initializingRef.current) {
+      return { success: false, error: 'Cannot run: Simulation not initialized' };
+    }
+
+    setIsProcessing(true);
+    try {
+      const result = await clientFor(clientRef).runUntil(target, {
+        onProgress: (progress) => {
+          setRunProgress(progress);
+          setCurrentTurn(progress.turn);
+          if (options.onProgress) {
+            options.onProgress(progress);
+          }
+        }
+      });
+      applySnapshot(result);
+      return { success: true, completed: result.completed, cancelled: result.cancelled };
+    } catch (error) {
+      console.error('useSimulation: Error running turns:', error);
+      // Whatever turns did complete are kept; show them
+      clientFor(clientRef).snapshot().then(applySnapshot).catch(() => {});
+      return { success: false, error: error.message };
+    } finally {
+      setIsProcessing(false);
+      setRunProgress(null);
+    }
+  }, [isInitialized, applySnapshot, clientRef]);
+
+  /**
+   * Auto-play: turns follow each other at the world's tick delay until a breakpoint hits
+   * @param {Object} settings - { speed, tickDelay, breakpoints } with breakpoint specs
+   *   such as { type: 'characterDeath' } (see domain/services/Breakpoints.js)
+   * @returns {Promise<Object>} { success, reason, hits, completed }
+   */
+  const autoRun = useCallback(async (settings = {}) => {
+    if (!isInitialized && !initializingRef.current) {
+      return { success: false, error: 'Cannot run: Simulation not initialized' };
+    }
+
+    setIsProcessing(true);
+    setIsAutoRunning(true);
+    setLastStop(null);
+    try {
+      const result = await clientFor(clientRef).autoRun(settings, {
+        onProgress: (progress) => {
+          setRunProgress(progress);
+          setCurrentTurn(progress.turn);
+          setTurnSummary(progress.turnSummary || null);
+          if (progress.worldState) {
+            setWorldState({ ...progress.worldState });
+          }
+        }
+      });
+      applySnapshot(result);
+      const stop = { reason: result.reason, hits: result.hits || [], turn: result.currentTurn, error: result.error };
+      setLastStop(stop);
+      return { success: result.reason !== 'error', completed: result.completed, ...stop };
+    } catch (error) {
+      console.error('useSimulation: Error during auto-run:', error);
+      clientFor(clientRef).snapshot().then(applySnapshot).catch(() => {});
+      return { success: false, error: error.message };
+    } finally {
+      setIsProcessing(false);
+      setIsAutoRunning(false);
+      setRunProgress(null);
+    }
+  }, [isInitialized, applySnapshot, clientRef]);
+
+  // Change the auto-run speed multiplier without stopping it
+  const setSpeed = useCallback(async (speed) => {
+    await clientFor(clientRef).setSpeed(speed);
+  }, [clientRef]);
+
+  // Stop a runUntil or auto-run in progress after the turn it is on
+  const cancelRun = useCallback(async () => {
+    const result = await clientFor(clientRef).cancel();
+    return result.cancelled;
+  }, [clientRef]);
+
+  // Roll back to an earlier turn; the turns after it are discarded
+  const rewindTo = useCallback(async (turn) => {
+    try {
+      const snapshot = await clientFor(clientRef).rewindTo(turn);
+      applySnapshot(snapshot);
+      return { success: true, worldState: snapshot.worldState };
+    } catch (error) {
+      console.error('useSimulation: Error rewinding simulation:', error);
+      return { success: false, error: error.message };
+    }
+  }, [applySnapshot, clientRef]);
+
+  const getSnapshotTurns = useCallback(() => snapshotTurns, [snapshotTurns]);
+
+  // Named alternate timelines forked from the main simulation
+  const forkTimeline = useCallback(async (name, options = {}) => {
+    try {
+      const snapshot = await clientFor(clientRef).forkTimeline(name, options);
+      setTimelines(snapshot.timelines);
+      return { success: true };
+    } catch (error) {
+      console.error('useSimulation: Error forking timeline:', error);
+      return { success: false, error: error.message };
+    }
+  }, [clientRef]);
+
+  const advanceTimeline = useCallback(async (name, count = 1) => {
+    try {
+      const snapshot = await clientFor(clientRef).advanceTimeline(name, count);
+      // The root timeline is the main simulation, so its snapshot is the current state
+      applySnapshot(snapshot);
+      return { success: true };
+    } catch (error) {
+      console.error('useSimulation: Error advancing timeline:', error);
+      return { success: false, error: error.message };
+    }
+  }, [applySnapshot, clientRef]);
+
+  const removeTimeline = useCallback(async (name) => {
+    const snapshot = await clientFor(clientRef).removeTimeline(name);
+    setTimelines(snapshot.timelines);
+  }, [clientRef]);
+
+  const compareTimelines = useCallback((nameA, nameB) => {
+    return clientFor(clientRef).compareTimelines(nameA, nameB);
+  }, [clientRef]);
+
+  // Subscribe to simulation events published in the worker; returns the unsubscribe function
+  const subscribeEvents = useCallback((types, handler, options) => {
+    return clientFor(clientRef).subscribe(types, handler, options);
+  }, [clientRef]);
 
   // Get turn history for display
   const getTurnHistory = useCallback((count) => {
-    return SimulationService.getTurnHistory(count);
-  }, []);
+    return count ? turnHistory.slice(-count) : turnHistory;
+  }, [turnHistory]);
 
-  const analyzeHistory = useCallback((criteria = {}) => {
-    const analysis = SimulationService.getHistoryAnalysis(criteria);
+  const analyzeHistory = useCallback(async (criteria = {}) => {
+    const analysis = await clientFor(clientRef).analyzeHistory(criteria);
     setHistoryAnalysis(analysis);
     return analysis;
-  }, []);
+  }, [clientRef]);
+
+  // A character's life record and biography text, from the worker
+  const getBiography = useCallback((characterId, options = {}) => (
+    clientFor(clientRef).getBiography(characterId, options)
+  ), [clientRef]);
+
+  // Replace the world's narrative grammar rules; they are saved with the world
+  const setNarrativeGrammar = useCallback(async (grammar) => {
+    try {
+      const snapshot = await clientFor(clientRef).setNarrativeGrammar(grammar);
+      applySnapshot(snapshot);
+      return { success: true };
+    } catch (error) {
+      console.error('useSimulation: Error saving narrative grammar:', error);
+      return { success: false, error: error.message };
+    }
+  }, [applySnapshot, clientRef]);
 
-  const initializeWorld = useCallback((worldBuilderState) => {
+  const initializeWorld = useCallback(async (worldBuilderState) => {
     if (!worldBuilderState || !worldBuilderState.isValid) {
       const error = 'Cannot initialize: Invalid world builder state';
       setInitializationError(error);
@@ -133,18 +325,17 @@ const useSimulation = (worldBuilderState = null) => {
 
     try {
       const simulationConfig = worldBuilderState.toSimulationConfig();
-      const initializedState = SimulationService.initialize(simulationConfig);
-      setWorldState(initializedState);
+      const snapshot = await clientFor(clientRef).initialize(simulationConfig);
+      applySnapshot(snapshot);
       setIsInitialized(true);
       setInitializationError(null);
-      setCurrentTurn(SimulationService.getCurrentTurn());
       return true;
     } catch (error) {
       console.error('useSimulation: Failed to initialize world:', error);
       setInitializationError(error.message);
       return false;
     }
-  }, []);
+  }, [applySnapshot, clientRef]);
 
   return {
     worldState,
@@ -154,13 +345,32 @@ const useSimulation = (worldBuilderState = null) => {
     currentTurn,
     turnSummary,
     turnHistory,
-    canProcessTurn: isInitialized && !!worldState,
+    isProcessing,
+    runProgress,
+    isAutoRunning,
+    lastStop,
+    canProcessTurn: isInitialized && !!worldState && !isProcessing,
     resetSimulation,
     processTurn,
+    runUntil,
+    cancelRun,
+    autoRun,
+    setSpeed,
+    rewindTo,
+    getSnapshotTurns,
+    timelines,
+    forkTimeline,
+    advanceTimeline,
+    removeTimeline,
+    compareTimelines,
     getTurnHistory,
     analyzeHistory,
-    initializeWorld
+    getBiography,
+    setNarrativeGrammar,
+    subscribeEvents,
+    initializeWorld,
+    clientRef
   };
 };
 
-export default useSimulation;
\ No newline at end of file
+export default useSimulation;
@@ -1,7 +1,10 @@
 // src/presentation/hooks/useSimulation.test.js
 
+import React from 'react';
 import { renderHook, act } from '@testing-library/react';
 import useSimulation from './useSimulation.js';
+import SimulationClientContext from '../contexts/SimulationClientContext.js';
+import { SimulationEventTypes } from '../../domain/events/SimulationEvents.js';
 import SimulationService from '../../application/use-cases/services/SimulationService.js';
 
 // Mock the SimulationService
@@ -209,4 +212,28 @@ describe('useSimulation Hook - Six-Step World Dependency', () => {
       expect(SimulationService.setOnTick).toHaveBeenCalledWith(null);
     });
   });
+
+  describe('shared client', () => {
+    it('should send the hooks beneath a provider through the provider\'s client', () => {
+      const { result: provider, unmount: unmountProvider } = renderHook(() => useSimulation());
+      const wrapper = ({ children }) => (
+        <SimulationClientContext.Provider value={provider.current.clientRef}>{children}</SimulationClientContext.Provider>
+      );
+      const { result: consumer, unmount: unmountConsumer } = renderHook(() => useSimulation(), { wrapper });
+
+      act(() => {
+        consumer.current.subscribeEvents([SimulationEventTypes.TURN_COMPLETED], jest.fn());
+      });
+      const client = provider.current.clientRef.current;
+
+      expect(consumer.current.clientRef).toBe(provider.current.clientRef);
+      expect(client).toBeTruthy();
+
+      // Only the hook that owns the client stops it
+      unmountConsumer();
+      expect(client.terminated).toBe(false);
+      unmountProvider();
+      expect(client.terminated).toBe(true);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,28 @@
+// src/presentation/hooks/useSimulationEvents.js
+
+import { useEffect, useRef } from 'react';
+import { useSimulationContext } from '../contexts/SimulationContext.js';
+
+/**
+ * Subscribes a component to simulation events for as long as it is mounted
+ * @param {string|string[]} types - SimulationEventTypes to receive, or ALL_EVENTS
+ * @param {Function} handler - Receives each event { type, sequence, payload }
+ * @param {Object} [options] - { filter }, as for SimulationEventBus.subscribe
+ */
+const useSimulationEvents = (types, handler, options) => {
+  const { subscribeEvents } = useSimulationContext();
+  // The latest handler is called without resubscribing on every render
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  // Options are read when subscribing; change the types to resubscribe with new ones
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const typeKey = [].concat(types).join(',');
+
+  useEffect(() => {
+    return subscribeEvents(typeKey.split(','), event => handlerRef.current(event), optionsRef.current || {});
+  }, [subscribeEvents, typeKey]);
+};
+
+export default useSimulationEvents;
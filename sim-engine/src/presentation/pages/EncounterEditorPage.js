@@ -14,6 +14,7 @@ import { Save, X, Eye, Download, Upload, Home, ChevronRight, TestTube, Swords, U
 import Navigation from '../UI/Navigation';
 import EncounterEditor from '../components/EncounterEditor';
 import Encounter from '../../domain/entities/Encounter';
+import { getWorldRepository } from '../../infrastructure/Persistance/StorageProvider';
 
 const EncounterEditorPage = () => {
   const navigate = useNavigate();
@@ -78,8 +79,8 @@ const EncounterEditorPage = () => {
     
     setIsSaving(true);
     try {
-      // Save to localStorage
-      const encounters = JSON.parse(localStorage.getItem('encounters') || '[]');
+      const worldRepository = getWorldRepository();
+      const encounters = worldRepository.getDocument('encounters', []);
       const encounterIndex = encounters.findIndex(e => e.id === currentEncounter.id);
       
       if (encounterIndex >= 0) {
@@ -88,7 +89,7 @@ const EncounterEditorPage = () => {
         encounters.push(currentEncounter);
       }
       
-      localStorage.setItem('encounters', JSON.stringify(encounters));
+      worldRepository.saveDocument('encounters', encounters);
       
       setHasUnsavedChanges(false);
       setLastSaved(new Date());
@@ -111,8 +112,8 @@ const EncounterEditorPage = () => {
       // Create Encounter entity
       const encounterEntity = new Encounter(currentEncounter);
       
-      // Save to localStorage
-      const encounters = JSON.parse(localStorage.getItem('encounters') || '[]');
+      const worldRepository = getWorldRepository();
+      const encounters = worldRepository.getDocument('encounters', []);
       const encounterIndex = encounters.findIndex(e => e.id === encounterEntity.id);
       
       if (encounterIndex >= 0) {
@@ -121,11 +122,11 @@ const EncounterEditorPage = () => {
         encounters.push(encounterEntity.toJSON());
       }
       
-      localStorage.setItem('encounters', JSON.stringify(encounters));
+      worldRepository.saveDocument('encounters', encounters);
       
       // Generate and save interactions
       const generatedInteractions = encounterEntity.generateInteractions();
-      const interactions = JSON.parse(localStorage.getItem('interactions') || '[]');
+      const interactions = worldRepository.getDocument('interactions', []);
       
       generatedInteractions.forEach(interaction => {
         const existingIndex = interactions.findIndex(i => i.id === interaction.id);
@@ -136,7 +137,7 @@ const EncounterEditorPage = () => {
         }
       });
       
-      localStorage.setItem('interactions', JSON.stringify(interactions));
+      worldRepository.saveDocument('interactions', interactions);
       
       setHasUnsavedChanges(false);
       setLastSaved(new Date());
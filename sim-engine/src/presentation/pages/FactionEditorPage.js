@@ -0,0 +1,422 @@
+/**
+ * FactionEditorPage - Dedicated full-page interface for faction editing
+ *
+ * Factions are saved to the world's 'factions' document; the simulation runs them each
+ * turn - dues, loyalty, recruits, goals and stances towards the other factions (see
+ * domain/services/FactionService). Import takes Faction JSON or a group template.
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Save, Plus, Trash2, Download, Upload, Home, ChevronRight, ArrowLeft, Shield } from 'lucide-react';
+import Navigation from '../UI/Navigation';
+import { Faction, FACTION_TYPES, STANCE_LEVELS } from '../../domain/entities/Faction';
+import { getWorldRepository } from '../../infrastructure/Persistance/StorageProvider';
+
+const GOAL_TYPES = ['members', 'wealth', 'influence'];
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-600 rounded text-white text-sm';
+
+const toList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const newFaction = () => new Faction({ id: `faction_${Date.now()}`, name: 'New Faction' }).toJSON();
+
+const newGoal = index => ({ id: `goal_${index + 1}`, type: 'members', target: 5, status: 'active' });
+
+const validateFaction = (faction) => {
+  const errors = [];
+  if (!faction.id?.trim()) errors.push('Faction needs an id');
+  if (!faction.name?.trim()) errors.push('Faction needs a name');
+  const memberIds = faction.members.map(member => member.characterId);
+  if (memberIds.some(id => !id?.trim())) errors.push('Every member needs a character id');
+  if (new Set(memberIds).size !== memberIds.length) errors.push('A character can only be a member once');
+  if (faction.leaderId && !memberIds.includes(faction.leaderId)) errors.push('The leader must be a member');
+  const openness = faction.recruitment.openness;
+  if (!(openness >= 0 && openness <= 1)) errors.push('Recruitment openness must be between 0 and 1');
+  return errors;
+};
+
+// Group templates (TemplateGenerator.generateGroupTemplate) carry a hierarchy and roles instead of ranks
+const fromImport = data => (data.hierarchy || data.roles ? Faction.fromTemplate(data) : new Faction(data)).toJSON();
+
+const FactionEditorPage = () => {
+  const navigate = useNavigate();
+  const [factions, setFactions] = useState(() => getWorldRepository().getDocument('factions', []));
+  const [current, setCurrent] = useState(() => factions[0] || newFaction());
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [lastSaved, setLastSaved] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const update = (changes) => {
+    setCurrent(previous => ({ ...previous, ...changes }));
+    setHasUnsavedChanges(true);
+  };
+
+  const updateRecruitment = changes => update({ recruitment: { ...current.recruitment, ...changes } });
+
+  const updateMember = (index, changes) => {
+    update({ members: current.members.map((member, memberIndex) => (memberIndex === index ? { ...member, ...changes } : member)) });
+  };
+
+  const addMember = () => update({
+    members: [...current.members, { characterId: '', rankId: current.ranks[current.ranks.length - 1].id, joinedAt: null, loyalty: 50 }]
+  });
+
+  const removeMember = (index) => {
+    const removed = current.members[index];
+    update({
+      members: current.members.filter((_, memberIndex) => memberIndex !== index),
+      leaderId: current.leaderId === removed.characterId ? null : current.leaderId
+    });
+  };
+
+  const updateGoal = (index, changes) => {
+    update({ goals: current.goals.map((goal, goalIndex) => (goalIndex === index ? { ...goal, ...changes } : goal)) });
+  };
+
+  const addGoal = () => update({ goals: [...current.goals, newGoal(current.goals.length)] });
+
+  const removeGoal = index => update({ goals: current.goals.filter((_, goalIndex) => goalIndex !== index) });
+
+  const setStance = (factionId, score) => update({ stances: { ...current.stances, [factionId]: score } });
+
+  const handleSelect = (faction) => {
+    if (hasUnsavedChanges && !window.confirm('You have unsaved changes. Discard them?')) return;
+    setCurrent(faction);
+    setHasUnsavedChanges(false);
+    setErrors([]);
+  };
+
+  const handleSave = () => {
+    const validation = validateFaction(current);
+    setErrors(validation);
+    if (validation.length) return;
+
+    const faction = new Faction(current).toJSON();
+    // Stances go both ways
+    const others = factions
+      .filter(other => other.id !== faction.id)
+      .map(other => (faction.stances[other.id] === undefined
+        ? other
+        : { ...other, stances: { ...other.stances, [faction.id]: faction.stances[other.id] } }));
+    const saved = factions.some(other => other.id === faction.id)
+      ? factions.map(other => (other.id === faction.id ? faction : others.find(candidate => candidate.id === other.id)))
+      : [...others, faction];
+
+    try {
+      getWorldRepository().saveDocument('factions', saved);
+      setFactions(saved);
+      setCurrent(faction);
+      setHasUnsavedChanges(false);
+      setLastSaved(new Date());
+    } catch (error) {
+      console.error('Save failed:', error);
+      setErrors([`Save failed: ${error.message}`]);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete ${current.name}?`)) return;
+    const remaining = factions
+      .filter(faction => faction.id !== current.id)
+      .map(faction => {
+        const { [current.id]: removed, ...stances } = faction.stances || {};
+        return { ...faction, stances };
+      });
+    getWorldRepository().saveDocument('factions', remaining);
+    setFactions(remaining);
+    setCurrent(remaining[0] || newFaction());
+    setHasUnsavedChanges(false);
+  };
+
+  const handleExport = () => {
+    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(current, null, 2));
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', `faction-${current.name || 'unnamed'}.json`);
+    linkElement.click();
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setCurrent(fromImport(JSON.parse(e.target.result)));
+        setHasUnsavedChanges(true);
+      } catch (error) {
+        alert('Error importing faction: Invalid JSON file');
+        console.error('Import error:', error);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const stanceLabel = score => STANCE_LEVELS.find(level => score >= level.min).stance;
+
+  return (
+    <div className="min-h-screen" style={{
+      background: 'linear-gradient(to bottom right, rgba(15, 23, 42, 0.95), rgba(30, 41, 59, 0.9), rgba(15, 23, 42, 0.95))'
+    }}>
+      <Navigation />
+
+      {/* Breadcrumb Navigation */}
+      <div className="px-8 py-3 border-b border-slate-700/50 bg-slate-900/30">
+        <div className="flex items-center gap-2 text-sm text-slate-400">
+          <button onClick={() => navigate('/')} className="flex items-center gap-1 hover:text-slate-200 transition-colors">
+            <Home className="w-4 h-4" />
+            Home
+          </button>
+          <ChevronRight className="w-4 h-4" />
+          <button onClick={() => navigate('/builder')} className="hover:text-slate-200 transition-colors">
+            World Builder
+          </button>
+          <ChevronRight className="w-4 h-4" />
+          <span className="text-slate-200">Faction Editor</span>
+        </div>
+      </div>
+
+      {/* Editor Header */}
+      <div className="px-8 py-4 border-b border-slate-700 bg-slate-800/50">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <button onClick={() => navigate('/builder')} className="flex items-center gap-2 px-4 py-2 text-slate-300 hover:text-white transition-colors">
+              <ArrowLeft className="w-4 h-4" />
+              Back to Builder
+            </button>
+            <div className="h-6 w-px bg-slate-600"></div>
+            <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+              <Shield className="w-6 h-6" />
+              Faction Editor
+            </h1>
+            {hasUnsavedChanges && (
+              <span className="px-2 py-1 text-xs bg-yellow-600/20 text-yellow-400 border border-yellow-600/30 rounded">
+                Unsaved Changes
+              </span>
+            )}
+            {lastSaved && !hasUnsavedChanges && (
+              <span className="px-2 py-1 text-xs bg-green-600/20 text-green-400 border border-green-600/30 rounded">
+                Saved {lastSaved.toLocaleTimeString()}
+              </span>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <input type="file" accept=".json" onChange={handleImport} className="hidden" id="import-faction" />
+            <label
+              htmlFor="import-faction"
+              className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-lg transition-colors cursor-pointer"
+            >
+              <Upload className="w-4 h-4" />
+              Import
+            </label>
+            <button onClick={handleExport} className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-lg transition-colors">
+              <Download className="w-4 h-4" />
+              Export
+            </button>
+            <div className="h-6 w-px bg-slate-600"></div>
+            <button onClick={handleSave} className="flex items-center gap-2 px-6 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium rounded-lg transition-colors">
+              <Save className="w-4 h-4" />
+              Save Faction
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Editor Content */}
+      <div className="flex-1 p-8">
+        <div className="max-w-7xl mx-auto grid grid-cols-4 gap-6">
+          {/* Faction list */}
+          <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 space-y-2">
+            <button
+              onClick={() => handleSelect(newFaction())}
+              className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded"
+            >
+              <Plus className="w-4 h-4" />
+              New Faction
+            </button>
+            {factions.map(faction => (
+              <button
+                key={faction.id}
+                onClick={() => handleSelect(faction)}
+                className={`w-full text-left px-3 py-2 rounded text-sm ${faction.id === current.id ? 'bg-indigo-600 text-white' : 'text-slate-300 hover:bg-slate-700'}`}
+              >
+                {faction.name} <span className="text-xs opacity-60">{faction.type}</span>
+              </button>
+            ))}
+          </div>
+
+          {/* Faction form */}
+          <div className="col-span-3 bg-slate-800/50 border border-slate-700 rounded-lg p-6 space-y-6">
+            {errors.length > 0 && (
+              <ul className="p-3 bg-red-900/30 border border-red-700/50 rounded text-sm text-red-300">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="text-sm text-slate-300">Id
+                <input className={inputClass} value={current.id} onChange={e => update({ id: e.target.value })} />
+              </label>
+              <label className="text-sm text-slate-300">Name
+                <input className={inputClass} value={current.name} onChange={e => update({ name: e.target.value })} />
+              </label>
+              <label className="text-sm text-slate-300">Type
+                <select className={inputClass} value={current.type} onChange={e => update({ type: e.target.value })}>
+                  {FACTION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-slate-300">Seat (node id)
+                <input className={inputClass} value={current.nodeId || ''} onChange={e => update({ nodeId: e.target.value || null })} />
+              </label>
+              <label className="col-span-2 text-sm text-slate-300">Description
+                <textarea className={inputClass} rows={2} value={current.description || ''} onChange={e => update({ description: e.target.value })} />
+              </label>
+              <label className="text-sm text-slate-300">Recruitment openness (chance a turn, 0-1)
+                <input
+                  className={inputClass}
+                  type="number"
+                  step="0.05"
+                  value={current.recruitment.openness}
+                  onChange={e => updateRecruitment({ openness: Number(e.target.value) })}
+                />
+              </label>
+              <label className="text-sm text-slate-300">Dues (coin per member a turn)
+                <input className={inputClass} type="number" value={current.recruitment.dues} onChange={e => updateRecruitment({ dues: Number(e.target.value) })} />
+              </label>
+              <label className="text-sm text-slate-300">Recruits roles (comma separated, any when empty)
+                <input className={inputClass} value={current.recruitment.roles.join(', ')} onChange={e => updateRecruitment({ roles: toList(e.target.value) })} />
+              </label>
+              <label className="text-sm text-slate-300">Recruits races (comma separated, any when empty)
+                <input className={inputClass} value={current.recruitment.races.join(', ')} onChange={e => updateRecruitment({ races: toList(e.target.value) })} />
+              </label>
+              <label className="text-sm text-slate-300">Recruits at node ids (seat and members' nodes when empty)
+                <input className={inputClass} value={current.recruitment.nodeIds.join(', ')} onChange={e => updateRecruitment({ nodeIds: toList(e.target.value) })} />
+              </label>
+              <label className="text-sm text-slate-300">Coin
+                <input
+                  className={inputClass}
+                  type="number"
+                  value={current.resources.coin || 0}
+                  onChange={e => update({ resources: { ...current.resources, coin: Number(e.target.value) } })}
+                />
+              </label>
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-white">Members</h2>
+                <button onClick={addMember} className="flex items-center gap-2 px-3 py-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded text-sm">
+                  <Plus className="w-4 h-4" />
+                  Add Member
+                </button>
+              </div>
+              {current.members.map((member, index) => (
+                <div key={index} className="grid grid-cols-6 gap-2 items-center p-3 bg-slate-900/40 border border-slate-700 rounded">
+                  <input
+                    className={`${inputClass} col-span-2`}
+                    value={member.characterId}
+                    onChange={e => updateMember(index, { characterId: e.target.value })}
+                    placeholder="character id"
+                  />
+                  <select className={inputClass} value={member.rankId} onChange={e => updateMember(index, { rankId: e.target.value })}>
+                    {current.ranks.map(rank => <option key={rank.id} value={rank.id}>{rank.name}</option>)}
+                  </select>
+                  <input
+                    className={inputClass}
+                    type="number"
+                    value={member.loyalty}
+                    onChange={e => updateMember(index, { loyalty: Number(e.target.value) })}
+                    title="Loyalty (0-100)"
+                  />
+                  <label className="flex items-center gap-2 text-sm text-slate-300">
+                    <input
+                      type="radio"
+                      checked={current.leaderId === member.characterId && Boolean(member.characterId)}
+                      onChange={() => update({ leaderId: member.characterId })}
+                    />
+                    Leader
+                  </label>
+                  <button onClick={() => removeMember(index)} className="flex items-center justify-center text-red-400 hover:text-red-300">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-white">Goals</h2>
+                <button onClick={addGoal} className="flex items-center gap-2 px-3 py-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded text-sm">
+                  <Plus className="w-4 h-4" />
+                  Add Goal
+                </button>
+              </div>
+              {current.goals.map((goal, index) => (
+                <div key={index} className="grid grid-cols-5 gap-2 items-center p-3 bg-slate-900/40 border border-slate-700 rounded">
+                  <input className={inputClass} value={goal.id} onChange={e => updateGoal(index, { id: e.target.value })} placeholder="id" />
+                  <select className={inputClass} value={goal.type} onChange={e => updateGoal(index, { type: e.target.value })}>
+                    {GOAL_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                  <input
+                    className={inputClass}
+                    type="number"
+                    value={goal.target}
+                    onChange={e => updateGoal(index, { target: Number(e.target.value) })}
+                    title="Target"
+                  />
+                  {goal.type === 'influence' ? (
+                    <input
+                      className={inputClass}
+                      value={goal.domain || 'political'}
+                      onChange={e => updateGoal(index, { domain: e.target.value })}
+                      placeholder="influence domain"
+                    />
+                  ) : (
+                    <span className="text-sm text-slate-400">{goal.status}</span>
+                  )}
+                  <button onClick={() => removeGoal(index)} className="flex items-center justify-center text-red-400 hover:text-red-300">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            {factions.some(other => other.id !== current.id) && (
+              <div className="space-y-3">
+                <h2 className="text-lg font-semibold text-white">Stances</h2>
+                {factions.filter(other => other.id !== current.id).map(other => {
+                  const score = current.stances?.[other.id] || 0;
+                  return (
+                    <label key={other.id} className="grid grid-cols-4 gap-2 items-center text-sm text-slate-300">
+                      <span>{other.name}</span>
+                      <input
+                        className="col-span-2"
+                        type="range"
+                        min={-100}
+                        max={100}
+                        value={score}
+                        onChange={e => setStance(other.id, Number(e.target.value))}
+                      />
+                      <span>{stanceLabel(score)} ({score})</span>
+                    </label>
+                  );
+                })}
+              </div>
+            )}
+
+            {factions.some(faction => faction.id === current.id) && (
+              <button onClick={handleDelete} className="flex items-center gap-2 px-3 py-2 text-red-400 hover:text-red-300 text-sm">
+                <Trash2 className="w-4 h-4" />
+                Delete Faction
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FactionEditorPage;
@@ -0,0 +1,266 @@
+/**
+ * GrammarEditorPage - Dedicated full-page interface for the world's narrative grammar
+ *
+ * The grammar is saved to the running world's narrativeGrammar, as rules over the default
+ * narrative grammar (infrastructure/external/DefaultNarrativeGrammar): a symbol defined
+ * here replaces the default one. Rules are Tracery-style - #symbol#, #symbol.capitalize#,
+ * [key:rule] - and the narrative backend fills in the event's subject, place and so on.
+ * Being part of the world state, it is saved with the world and kept by rewinds and forks.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Save, Plus, RotateCcw, Download, Upload, Home, ChevronRight, ArrowLeft, BookOpen, Shuffle } from 'lucide-react';
+import Navigation from '../UI/Navigation';
+import { useSimulationContext } from '../contexts/SimulationContext.js';
+import Grammar from '../../infrastructure/external/Grammar';
+import DEFAULT_NARRATIVE_GRAMMAR, { NARRATIVE_VARIABLES } from '../../infrastructure/external/DefaultNarrativeGrammar';
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-600 rounded text-white text-sm';
+
+// What the preview fills the narrative variables with
+const SAMPLE_VARIABLES = {
+  subject: 'Ann', other: 'Bob', previous: 'Old Cid', place: 'Riverkeep', faction: 'the Smiths\' Guild',
+  otherFaction: 'the Masons', quest: 'The Lost Ore', title: 'leader', cause: 'old age', relation: 'friend',
+  stance: 'hostile', goal: 'grow', interaction: 'haggling', name: 'the Border War', kind: 'war',
+  they: 'she', them: 'her', their: 'her', turn: '12', count: '3 events', role: 'smith', home: 'Riverkeep',
+  born: '3', died: '60', age: '57'
+};
+
+const toRules = text => text.split('\n').map(rule => rule.trim()).filter(Boolean);
+
+const GrammarEditorPage = () => {
+  const navigate = useNavigate();
+  const { worldState, isInitialized, setNarrativeGrammar } = useSimulationContext();
+  const [grammar, setGrammar] = useState(() => worldState?.narrativeGrammar || {});
+  const [symbol, setSymbol] = useState(() => Object.keys(DEFAULT_NARRATIVE_GRAMMAR)[0]);
+  const [newSymbol, setNewSymbol] = useState('');
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [lastSaved, setLastSaved] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [preview, setPreview] = useState([]);
+
+  const rules = useMemo(() => ({ ...DEFAULT_NARRATIVE_GRAMMAR, ...grammar }), [grammar]);
+  const symbols = Object.keys(rules).sort();
+  const current = [].concat(rules[symbol] || []);
+
+  const updateRules = (text) => {
+    setGrammar(previous => ({ ...previous, [symbol]: toRules(text) }));
+    setHasUnsavedChanges(true);
+  };
+
+  const resetSymbol = () => {
+    const { [symbol]: removed, ...rest } = grammar;
+    setGrammar(rest);
+    setHasUnsavedChanges(true);
+    if (!DEFAULT_NARRATIVE_GRAMMAR[symbol]) setSymbol(Object.keys(DEFAULT_NARRATIVE_GRAMMAR)[0]);
+  };
+
+  const addSymbol = () => {
+    const name = newSymbol.trim();
+    if (!/^\w+$/.test(name)) {
+      setErrors(['A symbol name takes letters, digits and underscores only']);
+      return;
+    }
+    if (!rules[name]) {
+      setGrammar(previous => ({ ...previous, [name]: [`#subject# ...`] }));
+      setHasUnsavedChanges(true);
+    }
+    setSymbol(name);
+    setNewSymbol('');
+    setErrors([]);
+  };
+
+  const handlePreview = () => {
+    const engine = new Grammar(rules);
+    setPreview([0, 1, 2].map(() => engine.flatten(`#${symbol}#`, SAMPLE_VARIABLES)));
+  };
+
+  const handleSave = async () => {
+    // Empty symbols fall back to the default rules
+    const saved = Object.fromEntries(Object.entries(grammar).filter(([, list]) => list.length));
+    const validation = Grammar.validate({ ...DEFAULT_NARRATIVE_GRAMMAR, ...saved }, NARRATIVE_VARIABLES);
+    setErrors(validation);
+    if (validation.length) return;
+
+    const result = await setNarrativeGrammar(saved);
+    if (!result.success) {
+      setErrors([`Save failed: ${result.error}`]);
+      return;
+    }
+    setGrammar(saved);
+    setHasUnsavedChanges(false);
+    setLastSaved(new Date());
+  };
+
+  const handleExport = () => {
+    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(grammar, null, 2));
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', 'narrative-grammar.json');
+    linkElement.click();
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = JSON.parse(e.target.result);
+        setGrammar(Object.fromEntries(Object.entries(imported).map(([name, list]) => [name, [].concat(list).map(String)])));
+        setHasUnsavedChanges(true);
+      } catch (error) {
+        alert('Error importing grammar: Invalid JSON file');
+        console.error('Import error:', error);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="min-h-screen" style={{
+      background: 'linear-gradient(to bottom right, rgba(15, 23, 42, 0.95), rgba(30, 41, 59, 0.9), rgba(15, 23, 42, 0.95))'
+    }}>
+      <Navigation />
+
+      {/* Breadcrumb Navigation */}
+      <div className="px-8 py-3 border-b border-slate-700/50 bg-slate-900/30">
+        <div className="flex items-center gap-2 text-sm text-slate-400">
+          <button onClick={() => navigate('/')} className="flex items-center gap-1 hover:text-slate-200 transition-colors">
+            <Home className="w-4 h-4" />
+            Home
+          </button>
+          <ChevronRight className="w-4 h-4" />
+          <button onClick={() => navigate('/builder')} className="hover:text-slate-200 transition-colors">
+            World Builder
+          </button>
+          <ChevronRight className="w-4 h-4" />
+          <span className="text-slate-200">Narrative Grammar</span>
+        </div>
+      </div>
+
+      {/* Editor Header */}
+      <div className="px-8 py-4 border-b border-slate-700 bg-slate-800/50">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <button onClick={() => navigate('/builder')} className="flex items-center gap-2 px-4 py-2 text-slate-300 hover:text-white transition-colors">
+              <ArrowLeft className="w-4 h-4" />
+              Back to Builder
+            </button>
+            <div className="h-6 w-px bg-slate-600"></div>
+            <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+              <BookOpen className="w-6 h-6" />
+              Narrative Grammar
+            </h1>
+            {hasUnsavedChanges && (
+              <span className="px-2 py-1 text-xs bg-yellow-600/20 text-yellow-400 border border-yellow-600/30 rounded">
+                Unsaved Changes
+              </span>
+            )}
+            {lastSaved && !hasUnsavedChanges && (
+              <span className="px-2 py-1 text-xs bg-green-600/20 text-green-400 border border-green-600/30 rounded">
+                Saved {lastSaved.toLocaleTimeString()}
+              </span>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <input type="file" accept=".json" onChange={handleImport} className="hidden" id="import-grammar" />
+            <label
+              htmlFor="import-grammar"
+              className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-lg transition-colors cursor-pointer"
+            >
+              <Upload className="w-4 h-4" />
+              Import
+            </label>
+            <button onClick={handleExport} className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-lg transition-colors">
+              <Download className="w-4 h-4" />
+              Export
+            </button>
+            <div className="h-6 w-px bg-slate-600"></div>
+            <button
+              onClick={handleSave}
+              disabled={!isInitialized}
+              title={isInitialized ? undefined : 'Start a simulation to save its world\'s grammar'}
+              className="flex items-center gap-2 px-6 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-medium rounded-lg transition-colors"
+            >
+              <Save className="w-4 h-4" />
+              Save Grammar
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Editor Content */}
+      <div className="flex-1 p-8">
+        <div className="max-w-7xl mx-auto grid grid-cols-4 gap-6">
+          {/* Symbol list */}
+          <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 space-y-2">
+            <div className="flex gap-2">
+              <input className={inputClass} placeholder="new_symbol" value={newSymbol} onChange={e => setNewSymbol(e.target.value)} />
+              <button onClick={addSymbol} className="px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded" title="Add symbol">
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+            {symbols.map(name => (
+              <button
+                key={name}
+                onClick={() => { setSymbol(name); setPreview([]); }}
+                className={`w-full text-left px-3 py-1 rounded text-sm ${name === symbol ? 'bg-indigo-600 text-white' : 'text-slate-300 hover:bg-slate-700'}`}
+              >
+                {name} {grammar[name] && <span className="text-xs opacity-60">custom</span>}
+              </button>
+            ))}
+          </div>
+
+          {/* Rules of the selected symbol */}
+          <div className="col-span-3 bg-slate-800/50 border border-slate-700 rounded-lg p-6 space-y-4">
+            {!isInitialized && (
+              <p className="p-3 bg-slate-900/50 border border-slate-700 rounded text-sm text-slate-300">
+                The grammar belongs to a world: start a simulation to save it. You can preview and export rules meanwhile.
+              </p>
+            )}
+            {errors.length > 0 && (
+              <ul className="p-3 bg-red-900/30 border border-red-700/50 rounded text-sm text-red-300">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+
+            <label className="block text-sm text-slate-300">#{symbol}# - one rule a line, picked at random
+              <textarea
+                className={`${inputClass} font-mono h-48`}
+                value={current.join('\n')}
+                onChange={e => updateRules(e.target.value)}
+              />
+            </label>
+            <p className="text-xs text-slate-400">
+              Filled in by the simulation: {NARRATIVE_VARIABLES.map(variable => `#${variable}#`).join(' ')}
+            </p>
+
+            <div className="flex gap-3">
+              <button onClick={handlePreview} className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded text-sm">
+                <Shuffle className="w-4 h-4" />
+                Preview
+              </button>
+              {grammar[symbol] && (
+                <button onClick={resetSymbol} className="flex items-center gap-2 px-3 py-2 text-slate-300 hover:text-white text-sm">
+                  <RotateCcw className="w-4 h-4" />
+                  {DEFAULT_NARRATIVE_GRAMMAR[symbol] ? 'Reset to default' : 'Remove symbol'}
+                </button>
+              )}
+            </div>
+
+            {preview.length > 0 && (
+              <ul className="p-3 bg-slate-900/50 border border-slate-700 rounded text-sm text-slate-200 space-y-1">
+                {preview.map((text, index) => <li key={index}>{text}</li>)}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GrammarEditorPage;
@@ -2,15 +2,35 @@
 
 import React, { useState } from 'react';
 import { useSimulationContext } from '../contexts/SimulationContext.js';
+import TimelineComparison from '../components/TimelineComparison.js';
+import HistoryCounts from '../components/HistoryCounts.js';
+
+const EXAMPLE_QUERY = 'type:quest_completed AND turn:1..50 ORDER BY significance DESC';
 
 const HistoryPage = () => {
-  const { analyzeHistory } = useSimulationContext();
-  const [criteria, setCriteria] = useState({ limit: 10 });
+  const {
+    analyzeHistory,
+    isInitialized,
+    timelines,
+    getSnapshotTurns,
+    forkTimeline,
+    advanceTimeline,
+    removeTimeline,
+    compareTimelines
+  } = useSimulationContext();
+  const [criteria, setCriteria] = useState({ query: '', limit: 10 });
   const [analysis, setAnalysis] = useState(null);
+  const [error, setError] = useState(null);
 
-  const handleAnalyze = () => {
-    const result = analyzeHistory(criteria);
-    setAnalysis(result);
+  const handleAnalyze = async () => {
+    try {
+      const result = await analyzeHistory(criteria);
+      setAnalysis(result);
+      setError(null);
+    } catch (analysisError) {
+      // Mostly queries that do not parse; the message points at the offending term
+      setError(analysisError.message);
+    }
   };
 
   return (
@@ -18,6 +38,21 @@ const HistoryPage = () => {
       <h1 className="text-2xl font-bold">History Analysis</h1>
       
       <div className="mb-4">
+        <label className="block text-sm font-medium mb-2">
+          Query:
+          <input
+            type="text"
+            value={criteria.query}
+            onChange={(e) => setCriteria({ ...criteria, query: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && handleAnalyze()}
+            placeholder={EXAMPLE_QUERY}
+            className="ml-2 px-2 py-1 border rounded w-2/3 font-mono"
+          />
+        </label>
+        <p className="text-xs text-gray-500 mb-2">
+          Fields: type, character, node, outcome, faction, turn, significance. Combine with AND, OR, NOT and
+          parentheses; ranges like turn:100..200; ORDER BY field [DESC]; LIMIT n.
+        </p>
         <label className="block text-sm font-medium mb-2">
           Event Limit:
           <input
@@ -32,16 +67,29 @@ const HistoryPage = () => {
       </div>
       
       <button onClick={handleAnalyze} className="bg-blue-500 text-white p-2">Analyze</button>
+      {error && <p className="text-red-600 mt-2">{error}</p>}
       {analysis && (
         <div>
-          <p>Total Events: {analysis.summary.totalEvents}</p>
+          <p>Total Events: {analysis.summary.totalEvents} (Significant: {analysis.summary.significantEvents})</p>
+          <HistoryCounts aggregations={analysis.aggregations} />
           <ul>
             {analysis.events.map(event => (
-              <li key={event.id}>{event.description}</li>
+              <li key={event.id}>[Turn {event.timestamp}] {event.description}</li>
             ))}
           </ul>
         </div>
       )}
+
+      {isInitialized && (
+        <TimelineComparison
+          timelines={timelines}
+          snapshotTurns={getSnapshotTurns()}
+          forkTimeline={forkTimeline}
+          advanceTimeline={advanceTimeline}
+          removeTimeline={removeTimeline}
+          compareTimelines={compareTimelines}
+        />
+      )}
     </div>
   );
 };
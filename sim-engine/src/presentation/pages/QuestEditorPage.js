@@ -0,0 +1,361 @@
+/**
+ * QuestEditorPage - Dedicated full-page interface for quest editing
+ *
+ * Quest templates are saved to the world's 'quests' document; the simulation offers
+ * each at the nodes its trigger matches and NPCs take them up by their goals
+ * (see domain/services/QuestService).
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Save, Plus, Trash2, Download, Upload, Home, ChevronRight, ArrowLeft, ScrollText } from 'lucide-react';
+import Navigation from '../UI/Navigation';
+import { QuestTemplate } from '../../domain/entities/Quest';
+import { getWorldRepository } from '../../infrastructure/Persistance/StorageProvider';
+
+const STEP_TYPES = ['dialogue', 'action', 'discovery', 'choice'];
+const ATTRIBUTES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900/50 border border-slate-600 rounded text-white text-sm';
+
+const toList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const newStep = index => ({
+  id: `step_${index + 1}`,
+  name: `Step ${index + 1}`,
+  description: '',
+  type: 'action',
+  location: '',
+  check: { attr: 'strength', dc: 10 },
+  branches: []
+});
+
+const newQuest = () => ({
+  id: `quest_${Date.now()}`,
+  name: 'New Quest',
+  description: '',
+  trigger: { nodeTypes: [], nodeIds: [] },
+  goals: [],
+  timeLimit: null,
+  repeatable: false,
+  rewards: [{ type: 'prestige', target: 'honor', value: 5 }],
+  nodes: [newStep(0)],
+  initialNode: 'step_1'
+});
+
+// Steps run in order: each one leads to the next, the last completes the quest
+const chainSteps = steps => steps.map((step, index) => ({
+  ...step,
+  location: step.location || null,
+  branches: index < steps.length - 1 ? [{ id: 'continue', text: 'Continue', nextNode: steps[index + 1].id }] : []
+}));
+
+const validateQuest = (quest) => {
+  const errors = [];
+  if (!quest.id?.trim()) errors.push('Quest needs an id');
+  if (!quest.name?.trim()) errors.push('Quest needs a name');
+  if (!quest.nodes.length) errors.push('Quest needs at least one step');
+  const stepIds = quest.nodes.map(step => step.id);
+  if (new Set(stepIds).size !== stepIds.length) errors.push('Step ids must be unique');
+  if (quest.timeLimit !== null && !(quest.timeLimit > 0)) errors.push('Time limit must be a positive number of turns');
+  return errors;
+};
+
+const QuestEditorPage = () => {
+  const navigate = useNavigate();
+  const [quests, setQuests] = useState(() => getWorldRepository().getDocument('quests', []));
+  const [current, setCurrent] = useState(() => quests[0] || newQuest());
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [lastSaved, setLastSaved] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const update = (changes) => {
+    setCurrent(previous => ({ ...previous, ...changes }));
+    setHasUnsavedChanges(true);
+  };
+
+  const updateStep = (index, changes) => {
+    update({ nodes: current.nodes.map((step, stepIndex) => (stepIndex === index ? { ...step, ...changes } : step)) });
+  };
+
+  const addStep = () => update({ nodes: [...current.nodes, newStep(current.nodes.length)] });
+
+  const removeStep = (index) => {
+    const nodes = current.nodes.filter((_, stepIndex) => stepIndex !== index);
+    update({ nodes, initialNode: nodes[0]?.id || null });
+  };
+
+  const handleSelect = (quest) => {
+    if (hasUnsavedChanges && !window.confirm('You have unsaved changes. Discard them?')) return;
+    setCurrent(quest);
+    setHasUnsavedChanges(false);
+    setErrors([]);
+  };
+
+  const handleSave = () => {
+    const validation = validateQuest(current);
+    setErrors(validation);
+    if (validation.length) return;
+
+    const nodes = chainSteps(current.nodes);
+    const template = new QuestTemplate({ ...current, nodes, initialNode: nodes[0].id }).toJSON();
+    const saved = quests.some(quest => quest.id === template.id)
+      ? quests.map(quest => (quest.id === template.id ? template : quest))
+      : [...quests, template];
+
+    try {
+      getWorldRepository().saveDocument('quests', saved);
+      setQuests(saved);
+      setCurrent(template);
+      setHasUnsavedChanges(false);
+      setLastSaved(new Date());
+    } catch (error) {
+      console.error('Save failed:', error);
+      setErrors([`Save failed: ${error.message}`]);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete ${current.name}?`)) return;
+    const remaining = quests.filter(quest => quest.id !== current.id);
+    getWorldRepository().saveDocument('quests', remaining);
+    setQuests(remaining);
+    setCurrent(remaining[0] || newQuest());
+    setHasUnsavedChanges(false);
+  };
+
+  const handleExport = () => {
+    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(current, null, 2));
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', `quest-${current.name || 'unnamed'}.json`);
+    linkElement.click();
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setCurrent(new QuestTemplate(JSON.parse(e.target.result)).toJSON());
+        setHasUnsavedChanges(true);
+      } catch (error) {
+        alert('Error importing quest: Invalid JSON file');
+        console.error('Import error:', error);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const reward = current.rewards.find(candidate => candidate.type === 'prestige') || { type: 'prestige', target: 'honor', value: 0 };
+  const setPrestigeReward = (value) => update({
+    rewards: [...current.rewards.filter(candidate => candidate.type !== 'prestige'), { ...reward, value }]
+  });
+
+  return (
+    <div className="min-h-screen" style={{
+      background: 'linear-gradient(to bottom right, rgba(15, 23, 42, 0.95), rgba(30, 41, 59, 0.9), rgba(15, 23, 42, 0.95))'
+    }}>
+      <Navigation />
+
+      {/* Breadcrumb Navigation */}
+      <div className="px-8 py-3 border-b border-slate-700/50 bg-slate-900/30">
+        <div className="flex items-center gap-2 text-sm text-slate-400">
+          <button onClick={() => navigate('/')} className="flex items-center gap-1 hover:text-slate-200 transition-colors">
+            <Home className="w-4 h-4" />
+            Home
+          </button>
+          <ChevronRight className="w-4 h-4" />
+          <button onClick={() => navigate('/builder')} className="hover:text-slate-200 transition-colors">
+            World Builder
+          </button>
+          <ChevronRight className="w-4 h-4" />
+          <span className="text-slate-200">Quest Editor</span>
+        </div>
+      </div>
+
+      {/* Editor Header */}
+      <div className="px-8 py-4 border-b border-slate-700 bg-slate-800/50">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <button onClick={() => navigate('/builder')} className="flex items-center gap-2 px-4 py-2 text-slate-300 hover:text-white transition-colors">
+              <ArrowLeft className="w-4 h-4" />
+              Back to Builder
+            </button>
+            <div className="h-6 w-px bg-slate-600"></div>
+            <h1 className="text-2xl font-bold text-white flex items-center gap-2">
+              <ScrollText className="w-6 h-6" />
+              Quest Editor
+            </h1>
+            {hasUnsavedChanges && (
+              <span className="px-2 py-1 text-xs bg-yellow-600/20 text-yellow-400 border border-yellow-600/30 rounded">
+                Unsaved Changes
+              </span>
+            )}
+            {lastSaved && !hasUnsavedChanges && (
+              <span className="px-2 py-1 text-xs bg-green-600/20 text-green-400 border border-green-600/30 rounded">
+                Saved {lastSaved.toLocaleTimeString()}
+              </span>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <input type="file" accept=".json" onChange={handleImport} className="hidden" id="import-quest" />
+            <label
+              htmlFor="import-quest"
+              className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-lg transition-colors cursor-pointer"
+            >
+              <Upload className="w-4 h-4" />
+              Import
+            </label>
+            <button onClick={handleExport} className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 hover:text-white rounded-lg transition-colors">
+              <Download className="w-4 h-4" />
+              Export
+            </button>
+            <div className="h-6 w-px bg-slate-600"></div>
+            <button onClick={handleSave} className="flex items-center gap-2 px-6 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium rounded-lg transition-colors">
+              <Save className="w-4 h-4" />
+              Save Quest
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Editor Content */}
+      <div className="flex-1 p-8">
+        <div className="max-w-7xl mx-auto grid grid-cols-4 gap-6">
+          {/* Quest list */}
+          <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 space-y-2">
+            <button
+              onClick={() => handleSelect(newQuest())}
+              className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded"
+            >
+              <Plus className="w-4 h-4" />
+              New Quest
+            </button>
+            {quests.map(quest => (
+              <button
+                key={quest.id}
+                onClick={() => handleSelect(quest)}
+                className={`w-full text-left px-3 py-2 rounded text-sm ${quest.id === current.id ? 'bg-indigo-600 text-white' : 'text-slate-300 hover:bg-slate-700'}`}
+              >
+                {quest.name}
+              </button>
+            ))}
+          </div>
+
+          {/* Quest form */}
+          <div className="col-span-3 bg-slate-800/50 border border-slate-700 rounded-lg p-6 space-y-6">
+            {errors.length > 0 && (
+              <ul className="p-3 bg-red-900/30 border border-red-700/50 rounded text-sm text-red-300">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <label className="text-sm text-slate-300">Id
+                <input className={inputClass} value={current.id} onChange={e => update({ id: e.target.value })} />
+              </label>
+              <label className="text-sm text-slate-300">Name
+                <input className={inputClass} value={current.name} onChange={e => update({ name: e.target.value })} />
+              </label>
+              <label className="col-span-2 text-sm text-slate-300">Description
+                <textarea className={inputClass} rows={2} value={current.description || ''} onChange={e => update({ description: e.target.value })} />
+              </label>
+              <label className="text-sm text-slate-300">Offered at node types (comma separated, any when empty)
+                <input
+                  className={inputClass}
+                  value={(current.trigger?.nodeTypes || []).join(', ')}
+                  onChange={e => update({ trigger: { ...current.trigger, nodeTypes: toList(e.target.value) } })}
+                />
+              </label>
+              <label className="text-sm text-slate-300">Offered at node ids (comma separated, any when empty)
+                <input
+                  className={inputClass}
+                  value={(current.trigger?.nodeIds || []).join(', ')}
+                  onChange={e => update({ trigger: { ...current.trigger, nodeIds: toList(e.target.value) } })}
+                />
+              </label>
+              <label className="text-sm text-slate-300">Goals it serves (NPCs with these goals take it up)
+                <input className={inputClass} value={current.goals.join(', ')} onChange={e => update({ goals: toList(e.target.value) })} />
+              </label>
+              <label className="text-sm text-slate-300">Time limit in turns (none when empty)
+                <input
+                  className={inputClass}
+                  type="number"
+                  value={current.timeLimit ?? ''}
+                  onChange={e => update({ timeLimit: e.target.value === '' ? null : Number(e.target.value) })}
+                />
+              </label>
+              <label className="text-sm text-slate-300">Prestige reward ({reward.target})
+                <input className={inputClass} type="number" value={reward.value} onChange={e => setPrestigeReward(Number(e.target.value))} />
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input type="checkbox" checked={current.repeatable} onChange={e => update({ repeatable: e.target.checked })} />
+                Repeatable
+              </label>
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-white">Steps</h2>
+                <button onClick={addStep} className="flex items-center gap-2 px-3 py-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded text-sm">
+                  <Plus className="w-4 h-4" />
+                  Add Step
+                </button>
+              </div>
+              {current.nodes.map((step, index) => (
+                <div key={index} className="grid grid-cols-6 gap-2 p-3 bg-slate-900/40 border border-slate-700 rounded">
+                  <input className={inputClass} value={step.id} onChange={e => updateStep(index, { id: e.target.value })} placeholder="id" />
+                  <input className={`${inputClass} col-span-2`} value={step.name || ''} onChange={e => updateStep(index, { name: e.target.value })} placeholder="name" />
+                  <select className={inputClass} value={step.type} onChange={e => updateStep(index, { type: e.target.value })}>
+                    {STEP_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                  <input
+                    className={inputClass}
+                    value={step.location || ''}
+                    onChange={e => updateStep(index, { location: e.target.value })}
+                    placeholder="at node (any)"
+                  />
+                  <button onClick={() => removeStep(index)} className="flex items-center justify-center text-red-400 hover:text-red-300">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                  <input
+                    className={`${inputClass} col-span-4`}
+                    value={step.description || ''}
+                    onChange={e => updateStep(index, { description: e.target.value })}
+                    placeholder="description"
+                  />
+                  <select
+                    className={inputClass}
+                    value={step.check?.attr || 'strength'}
+                    onChange={e => updateStep(index, { check: { ...step.check, attr: e.target.value } })}
+                  >
+                    {ATTRIBUTES.map(attribute => <option key={attribute} value={attribute}>{attribute}</option>)}
+                  </select>
+                  <input
+                    className={inputClass}
+                    type="number"
+                    value={step.check?.dc ?? 10}
+                    onChange={e => updateStep(index, { check: { ...step.check, dc: Number(e.target.value) } })}
+                    title="Difficulty class"
+                  />
+                </div>
+              ))}
+            </div>
+
+            {quests.some(quest => quest.id === current.id) && (
+              <button onClick={handleDelete} className="flex items-center gap-2 px-3 py-2 text-red-400 hover:text-red-300 text-sm">
+                <Trash2 className="w-4 h-4" />
+                Delete Quest
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestEditorPage;
@@ -22,6 +22,7 @@ import {
 } from 'lucide-react';
 import { Navigation } from '../UI';
 import useWorldBuilder from '../hooks/useWorldBuilder';
+import { getWorldRepository } from '../../infrastructure/Persistance/StorageProvider';
 
 // Time progression presets
 const TIME_PROGRESSION_PRESETS = {
@@ -122,17 +123,8 @@ const WorldNodeEditorPage = () => {
 
   // Load existing world data on component mount
   useEffect(() => {
-    // Try to load from localStorage first
-    const savedWorlds = Object.keys(localStorage)
-      .filter(key => key.startsWith('world_'))
-      .map(key => {
-        try {
-          return JSON.parse(localStorage.getItem(key));
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean);
+    // Try to load a saved draft first
+    const savedWorlds = getWorldRepository().findDocuments('world_');
     
     // If there's a saved world, load the most recent one
     if (savedWorlds.length > 0) {
@@ -202,13 +194,13 @@ const WorldNodeEditorPage = () => {
         worldBuilder.setInitialConditions(worldData.initialConditions);
       }
       
-      // Also save to localStorage for persistence
+      // Also save a draft for persistence
       const worldKey = `world_${worldData.name.toLowerCase().replace(/\s+/g, '_')}`;
-      localStorage.setItem(worldKey, JSON.stringify({
+      getWorldRepository().saveDocument(worldKey, {
         ...worldData,
         lastModified: new Date().toISOString(),
         version: 1
-      }));
+      });
       
       setHasUnsavedChanges(false);
       setSaveStatus({ type: 'success', message: 'World saved successfully!' });
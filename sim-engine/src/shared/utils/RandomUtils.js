@@ -0,0 +1,54 @@
+// src/shared/utils/RandomUtils.js
+
+// Seedable pseudo-random number generation for reproducible simulations.
+// Every source of randomness in the turn pipeline takes an `rng` object with
+// the shape { seed, next(), nextInt(min, max), getState(), setState(state) }.
+
+// Convert any seed (number or string) into an unsigned 32-bit integer (FNV-1a for strings)
+export const hashSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Pick a fresh seed for worlds that were not given one
+export const generateSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+// Mulberry32 PRNG - small, fast and good enough for gameplay rolls
+export const createRandom = (seed = generateSeed(), state = null) => {
+  let current = state !== null && state !== undefined ? state >>> 0 : hashSeed(seed);
+
+  const next = () => {
+    current = (current + 0x6d2b79f5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed,
+    next,
+    // Inclusive integer range, e.g. nextInt(1, 20) for a d20
+    nextInt: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    getState: () => current,
+    setState: (newState) => { current = newState >>> 0; }
+  };
+};
+
+// Unseeded fallback used when no rng is injected (keeps legacy call sites working)
+export const defaultRandom = {
+  seed: null,
+  next: () => Math.random(),
+  nextInt: (min, max) => min + Math.floor(Math.random() * (max - min + 1)),
+  getState: () => null,
+  setState: () => {}
+};
@@ -1,15 +1,19 @@
 // src/shared/utils/SelectionUtils.js
 
-export const weightedSelect = (options, weightFn) => {
-  const totalWeight = options.reduce((sum, opt) => sum + weightFn(opt), 0);
-  let rand = Math.random() * totalWeight;
-  for (const opt of options) {
-    rand -= weightFn(opt);
-    if (rand <= 0) return opt;
+import { defaultRandom } from './RandomUtils.js';
+
+// Weights are computed once per option so weight functions that consume the rng stay reproducible
+export const weightedSelect = (options, weightFn, rng = defaultRandom) => {
+  const weights = options.map(opt => weightFn(opt));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let rand = rng.next() * totalWeight;
+  for (let i = 0; i < options.length; i++) {
+    rand -= weights[i];
+    if (rand <= 0) return options[i];
   }
   return options[options.length - 1];  // Fallback
 };
 
-export const randomSelect = (options) => {
-  return options[Math.floor(Math.random() * options.length)];
-};
\ No newline at end of file
+export const randomSelect = (options, rng = defaultRandom) => {
+  return options[Math.floor(rng.next() * options.length)];
+};
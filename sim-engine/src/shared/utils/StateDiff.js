@@ -0,0 +1,70 @@
+// src/shared/utils/StateDiff.js
+
+// Structural diffs between JSON-safe values, used to store simulation snapshots
+// as small per-turn changes instead of full copies. A diff is one of:
+//   { set: value }                           - replace the value outright
+//   { props: { key: diff }, unset: [keys] }  - patch a plain object
+//   { items: { index: diff }, length: n }    - patch an array (appends and truncation included)
+// `undefined` means "no change".
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const diffArrays = (before, after) => {
+  const items = {};
+  let changed = before.length !== after.length;
+  after.forEach((value, index) => {
+    const itemDiff = index < before.length ? diffState(before[index], value) : { set: value };
+    if (itemDiff !== undefined) {
+      items[index] = itemDiff;
+      changed = true;
+    }
+  });
+  return changed ? { items, length: after.length } : undefined;
+};
+
+const diffObjects = (before, after) => {
+  const props = {};
+  const unset = Object.keys(before).filter(key => !(key in after));
+  Object.keys(after).forEach(key => {
+    const propDiff = key in before ? diffState(before[key], after[key]) : { set: after[key] };
+    if (propDiff !== undefined) {
+      props[key] = propDiff;
+    }
+  });
+  if (!Object.keys(props).length && !unset.length) return undefined;
+  return unset.length ? { props, unset } : { props };
+};
+
+// Compute the diff that turns `before` into `after`
+export const diffState = (before, after) => {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    return diffArrays(before, after);
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    return diffObjects(before, after);
+  }
+  return Object.is(before, after) ? undefined : { set: after };
+};
+
+// Apply a diff from diffState, returning a new value (the base is not modified)
+export const applyStateDiff = (base, diff) => {
+  if (diff === undefined) return base;
+  if ('set' in diff) return diff.set;
+
+  if ('items' in diff) {
+    const result = (Array.isArray(base) ? base : []).slice(0, diff.length);
+    Object.entries(diff.items).forEach(([index, itemDiff]) => {
+      result[index] = applyStateDiff(result[index], itemDiff);
+    });
+    return result;
+  }
+
+  const result = { ...(isPlainObject(base) ? base : {}) };
+  (diff.unset || []).forEach(key => {
+    delete result[key];
+  });
+  Object.entries(diff.props || {}).forEach(([key, propDiff]) => {
+    result[key] = applyStateDiff(result[key], propDiff);
+  });
+  return result;
+};
@@ -0,0 +1,44 @@
+// src/shared/utils/StatisticsUtils.js
+
+// Descriptive statistics for experiment results. Variance is the population
+// variance (divide by n): every run of an experiment is part of the data set.
+
+export const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+
+export const mean = (values) => (
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+export const variance = (values) => {
+  if (!values.length) return null;
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+};
+
+// Percentile with linear interpolation between closest ranks (p in 0..100)
+export const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (Math.min(100, Math.max(0, p)) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Count, mean, variance, standard deviation, min/max and the requested percentiles (as p5, p50, ...)
+export const summarize = (values, percentiles = DEFAULT_PERCENTILES) => {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  const spread = variance(numbers);
+  const summary = {
+    count: numbers.length,
+    mean: mean(numbers),
+    variance: spread,
+    stdDev: spread === null ? null : Math.sqrt(spread),
+    min: numbers.length ? numbers.reduce((low, value) => Math.min(low, value)) : null,
+    max: numbers.length ? numbers.reduce((high, value) => Math.max(high, value)) : null
+  };
+  percentiles.forEach(p => {
+    summary[`p${p}`] = percentile(numbers, p);
+  });
+  return summary;
+};
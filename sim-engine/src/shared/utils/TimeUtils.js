@@ -0,0 +1,15 @@
+// src/shared/utils/TimeUtils.js
+
+// Simulated calendar: turn N falls `N * daysPerTurn` days after the epoch. Value-object
+// histories (alignment, influence, prestige) and age modifiers are stamped with these dates.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The simulated date of a turn
+export const dateOfTurn = (turn, daysPerTurn = 1) => new Date(turn * daysPerTurn * DAY_MS);
+
+// The turn a simulated date (a Date or its ISO string) falls in; null when it isn't a date
+export const turnOfDate = (date, daysPerTurn = 1) => {
+  const time = new Date(date).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / (daysPerTurn * DAY_MS));
+};
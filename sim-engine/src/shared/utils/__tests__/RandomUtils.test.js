@@ -0,0 +1,137 @@
+// src/shared/utils/__tests__/RandomUtils.test.js
+
+import { createRandom, hashSeed, defaultRandom } from '../RandomUtils';
+import { weightedSelect, randomSelect } from '../SelectionUtils';
+import Encounter from '../../../domain/entities/Encounter';
+
+describe('RandomUtils', () => {
+  describe('createRandom', () => {
+    test('should produce the same sequence for the same seed', () => {
+      const a = createRandom(12345);
+      const b = createRandom(12345);
+
+      const sequenceA = Array.from({ length: 10 }, () => a.next());
+      const sequenceB = Array.from({ length: 10 }, () => b.next());
+
+      expect(sequenceA).toEqual(sequenceB);
+    });
+
+    test('should produce different sequences for different seeds', () => {
+      const a = createRandom(1);
+      const b = createRandom(2);
+
+      expect(a.next()).not.toBe(b.next());
+    });
+
+    test('should return values in [0, 1)', () => {
+      const rng = createRandom('bounds');
+      for (let i = 0; i < 1000; i++) {
+        const value = rng.next();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('should roll inclusive integer ranges', () => {
+      const rng = createRandom(42);
+      const rolls = new Set();
+      for (let i = 0; i < 500; i++) {
+        rolls.add(rng.nextInt(1, 20));
+      }
+
+      expect(Math.min(...rolls)).toBe(1);
+      expect(Math.max(...rolls)).toBe(20);
+      expect(rolls.size).toBe(20);
+    });
+
+    test('should accept string seeds', () => {
+      const a = createRandom('my-world');
+      const b = createRandom('my-world');
+
+      expect(a.seed).toBe('my-world');
+      expect(a.next()).toBe(b.next());
+    });
+
+    test('should resume from a saved state', () => {
+      const original = createRandom(99);
+      original.next();
+      original.next();
+      const state = original.getState();
+      const expected = [original.next(), original.next()];
+
+      const restored = createRandom(99, state);
+
+      expect([restored.next(), restored.next()]).toEqual(expected);
+    });
+  });
+
+  describe('hashSeed', () => {
+    test('should hash strings to stable unsigned integers', () => {
+      expect(hashSeed('abc')).toBe(hashSeed('abc'));
+      expect(hashSeed('abc')).not.toBe(hashSeed('abd'));
+      expect(hashSeed('abc')).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should pass numbers through as unsigned integers', () => {
+      expect(hashSeed(7)).toBe(7);
+      expect(hashSeed(-1)).toBe(4294967295);
+    });
+  });
+
+  describe('defaultRandom', () => {
+    test('should delegate to Math.random', () => {
+      const spy = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(defaultRandom.next()).toBe(0.5);
+      expect(defaultRandom.nextInt(1, 20)).toBe(11);
+
+      spy.mockRestore();
+    });
+  });
+
+  describe('seeded selection', () => {
+    test('weightedSelect should be reproducible with the same seed', () => {
+      const options = ['a', 'b', 'c', 'd'];
+      const pick = (seed) => {
+        const rng = createRandom(seed);
+        return Array.from({ length: 20 }, () => weightedSelect(options, () => 1, rng));
+      };
+
+      expect(pick('replay')).toEqual(pick('replay'));
+    });
+
+    test('weightedSelect should evaluate each weight once', () => {
+      const weightFn = jest.fn(() => 1);
+
+      weightedSelect(['a', 'b', 'c'], weightFn, createRandom(1));
+
+      expect(weightFn).toHaveBeenCalledTimes(3);
+    });
+
+    test('randomSelect should be reproducible with the same seed', () => {
+      const options = [1, 2, 3, 4, 5];
+      const a = createRandom(5);
+      const b = createRandom(5);
+
+      expect(randomSelect(options, a)).toBe(randomSelect(options, b));
+    });
+
+    test('Encounter outcome resolution should use the context rng', () => {
+      const encounter = new Encounter({
+        name: 'Ambush',
+        outcomes: [
+          { description: 'Escape', probability: 1 },
+          { description: 'Captured', probability: 1 },
+          { description: 'Victory', probability: 1 }
+        ]
+      });
+
+      const resolve = (seed) => {
+        const rng = createRandom(seed);
+        return Array.from({ length: 10 }, () => encounter.resolveOutcome({ rng }).description);
+      };
+
+      expect(resolve(2024)).toEqual(resolve(2024));
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// src/shared/utils/__tests__/StateDiff.test.js
+
+import { diffState, applyStateDiff } from '../StateDiff.js';
+
+describe('StateDiff', () => {
+  const roundTrip = (before, after) => applyStateDiff(before, diffState(before, after));
+
+  test('should report no change for equal values', () => {
+    expect(diffState({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBeUndefined();
+    expect(diffState(3, 3)).toBeUndefined();
+  });
+
+  test('should only record the changed properties', () => {
+    const diff = diffState({ time: 1, name: 'World', npcs: [] }, { time: 2, name: 'World', npcs: [] });
+
+    expect(diff).toEqual({ props: { time: { set: 2 } } });
+  });
+
+  test('should patch nested objects, additions and removals', () => {
+    const before = { npc: { health: 100, mood: 80, note: 'x' } };
+    const after = { npc: { health: 90, mood: 80, energy: 40 } };
+
+    expect(roundTrip(before, after)).toEqual(after);
+  });
+
+  test('should patch appended, changed and truncated arrays', () => {
+    expect(roundTrip([1, 2], [1, 2, 3, 4])).toEqual([1, 2, 3, 4]);
+    expect(roundTrip([{ id: 'a', v: 1 }, { id: 'b' }], [{ id: 'a', v: 2 }])).toEqual([{ id: 'a', v: 2 }]);
+    expect(diffState([1, 2], [1, 2, 3])).toEqual({ items: { 2: { set: 3 } }, length: 3 });
+  });
+
+  test('should replace values whose type changes', () => {
+    expect(roundTrip({ value: [1] }, { value: { 0: 1 } })).toEqual({ value: { 0: 1 } });
+    expect(roundTrip({ value: null }, { value: { a: 1 } })).toEqual({ value: { a: 1 } });
+  });
+
+  test('should not modify the base value', () => {
+    const before = { list: [1, 2], nested: { a: 1 } };
+    roundTrip(before, { list: [3], nested: { b: 2 } });
+
+    expect(before).toEqual({ list: [1, 2], nested: { a: 1 } });
+  });
+});
@@ -0,0 +1,53 @@
+// src/shared/utils/__tests__/StatisticsUtils.test.js
+
+import { mean, variance, percentile, summarize } from '../StatisticsUtils.js';
+
+describe('StatisticsUtils', () => {
+  const values = [2, 4, 4, 4, 5, 5, 7, 9];
+
+  test('should compute the mean and population variance', () => {
+    expect(mean(values)).toBe(5);
+    expect(variance(values)).toBe(4);
+  });
+
+  test('should interpolate percentiles between ranks', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([10, 20, 30], 0)).toBe(10);
+    expect(percentile([10, 20, 30], 100)).toBe(30);
+    expect(percentile([30, 10, 20], 25)).toBe(15);
+  });
+
+  test('should return null for empty input', () => {
+    expect(mean([])).toBeNull();
+    expect(variance([])).toBeNull();
+    expect(percentile([], 50)).toBeNull();
+    expect(summarize([])).toEqual(expect.objectContaining({ count: 0, mean: null, min: null, p50: null }));
+  });
+
+  test('should summarize with the default percentiles', () => {
+    const summary = summarize(values);
+
+    expect(summary).toEqual(expect.objectContaining({
+      count: 8,
+      mean: 5,
+      variance: 4,
+      stdDev: 2,
+      min: 2,
+      max: 9,
+      p25: 4,
+      p50: 4.5,
+      p75: 5.5
+    }));
+    expect(summary.p5).toBeCloseTo(2.7);
+    expect(summary.p95).toBeCloseTo(8.3);
+  });
+
+  test('should ignore non-numeric samples and accept custom percentiles', () => {
+    const summary = summarize([1, null, NaN, 3], [10, 90]);
+
+    expect(summary.count).toBe(2);
+    expect(summary.p10).toBeCloseTo(1.2);
+    expect(summary.p90).toBeCloseTo(2.8);
+    expect(summary.p50).toBeUndefined();
+  });
+});
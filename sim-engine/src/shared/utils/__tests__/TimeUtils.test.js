@@ -0,0 +1,18 @@
+// src/shared/utils/__tests__/TimeUtils.test.js
+
+import { DAY_MS, dateOfTurn, turnOfDate } from '../TimeUtils.js';
+
+describe('TimeUtils', () => {
+  test('should place turns daysPerTurn days apart from the epoch', () => {
+    expect(dateOfTurn(0)).toEqual(new Date(0));
+    expect(dateOfTurn(3)).toEqual(new Date(3 * DAY_MS));
+    expect(dateOfTurn(3, 7)).toEqual(new Date(21 * DAY_MS));
+  });
+
+  test('should read dates back as the turn they fall in', () => {
+    expect(turnOfDate(dateOfTurn(12, 7), 7)).toBe(12);
+    expect(turnOfDate(dateOfTurn(12, 7).toISOString(), 7)).toBe(12);
+    expect(turnOfDate(new Date(5 * DAY_MS - 1))).toBe(4);
+    expect(turnOfDate('not a date')).toBeNull();
+  });
+});
@@ -292,7 +292,7 @@ describe('Core Infrastructure Components', () => {
     });
 
     test('should get storage statistics', async () => {
-      const stats = worldPersistenceService.getStorageStats();
+      const stats = await worldPersistenceService.getStorageStats();
       expect(stats).toHaveProperty('totalSize');
       expect(stats).toHaveProperty('worldCount');
       expect(stats).toHaveProperty('nodeCount');
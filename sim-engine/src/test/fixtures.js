@@ -0,0 +1,58 @@
+// src/test/fixtures.js
+
+import Character from '../domain/entities/Character.js';
+
+/**
+ * Fixtures shared by the simulation service tests: scripted random sources,
+ * characters, the world state runTick and the services work on, and an
+ * in-memory history log. Each test file keeps its own scenario (templates,
+ * settlements, links) and builds it from these.
+ */
+
+// Every chance succeeds and every die rolls its highest
+export const lucky = { next: () => 0, nextInt: (min, max) => max };
+
+// Every chance fails and every die rolls its lowest
+export const unlucky = { next: () => 0.999, nextInt: min => min };
+
+// A character named after its id, standing at `nodeId`
+export const character = (id, nodeId, extra = {}) =>
+  new Character({ id, name: id.toUpperCase(), currentNodeId: nodeId, ...extra });
+
+/**
+ * A world state at turn 0
+ * Nodes default to no interactions and a population of the characters standing there.
+ * @param {Object} [world] - { nodes, npcs } plus any other world state (settlements, templates, ...)
+ * @returns {Object}
+ */
+export const buildWorld = ({ nodes = [], npcs = [], ...rest } = {}) => ({
+  time: 0,
+  ...rest,
+  nodes: nodes.map(node => ({
+    interactions: [],
+    population: npcs.filter(npc => npc.currentNodeId === node.id).length,
+    ...node
+  })),
+  npcs
+});
+
+// A history repository over a plain array, for services that log without storage
+export const historyLog = () => {
+  const events = [];
+  return {
+    saveEvent: event => {
+      events.push(event);
+    },
+    findEvents: () => [...events],
+    clearEvents: () => {
+      events.length = 0;
+    }
+  };
+};
+
+// A jest mock function subscribed to one simulation event type
+export const listen = (eventBus, type) => {
+  const handler = jest.fn();
+  eventBus.subscribe(type, handler);
+  return handler;
+};
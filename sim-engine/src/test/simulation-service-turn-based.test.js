@@ -2,6 +2,7 @@
 // This test verifies the new processTurn() method and turn summary generation
 
 import SimulationService from '../application/use-cases/services/SimulationService.js';
+import { SimulationEventTypes } from '../domain/events/SimulationEvents.js';
 
 // Mock localStorage for testing
 const localStorageMock = (() => {
@@ -106,14 +107,37 @@ describe('SimulationService Turn-Based Operation', () => {
     expect(service.turnHistory).toEqual([]);
   });
 
-  test('should start simulation in turn-based mode without automatic progression', () => {
+  test('should start auto-play that waits a tick before the first turn', async () => {
     service.initialize(mockWorldConfig);
     const result = service.start();
-    
+
     expect(service.isRunning).toBe(true);
-    expect(service.tickInterval).toBeNull(); // No automatic tick interval
-    expect(result).toBeDefined();
+    expect(service.tickInterval).toBeNull(); // Auto-play is driven by AutoRunner, not an interval
+    expect(service.getCurrentTurn()).toBe(0);
     expect(service.turnHistory.length).toBe(1); // Initial state recorded
+
+    service.stop();
+    await expect(result).resolves.toEqual(expect.objectContaining({ reason: 'stopped', turnsRun: 0 }));
+    expect(service.isRunning).toBe(false);
+  });
+
+  test('should publish the start and end of auto-play on the event bus', async () => {
+    service.initialize(mockWorldConfig);
+    const events = [];
+    service.eventBus.subscribe(
+      [SimulationEventTypes.AUTO_PLAY_STARTED, SimulationEventTypes.AUTO_PLAY_ENDED],
+      event => events.push([event.type, event.payload])
+    );
+
+    const result = service.start({ speed: 2 });
+    service.stop();
+    await result;
+
+    expect(events).toEqual([
+      [SimulationEventTypes.AUTO_PLAY_STARTED, { turn: 0, speed: 2 }],
+      [SimulationEventTypes.AUTO_PLAY_ENDED, { turn: 0, reason: 'stopped', turnsRun: 0, hits: [] }]
+    ]);
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('auto-play'));
   });
 
   test('should process single turn manually with processTurn()', async () => {
@@ -143,6 +143,11 @@ describe('Turn Counter Integration Tests - Final End-to-End (Turn-Based)', () =>
       };
 
       render(<TestComponent />);
+
+      // Initialization is an asynchronous worker request
+      await waitFor(() => {
+        expect(screen.getByTestId('process-btn')).toBeEnabled();
+      });
       
       // Process turn
       fireEvent.click(screen.getByTestId('process-btn'));
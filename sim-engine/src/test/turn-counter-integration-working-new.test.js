@@ -158,7 +158,9 @@ describe('Turn Counter Integration Tests - Working Turn-Based Implementation', (
       await waitFor(() => {
         expect(screen.getByTestId('status')).toHaveTextContent('Initialized');
       });
-      expect(screen.getByTestId('can-process')).toHaveTextContent('true');
+      await waitFor(() => {
+        expect(screen.getByTestId('can-process')).toHaveTextContent('true');
+      });
 
       // Process a turn
       fireEvent.click(screen.getByTestId('process-btn'));
@@ -57,6 +57,11 @@ const MultiTurnCounterComponent = ({ worldBuilderState }) => {
   );
 };
 
+// useSimulation initializes through an asynchronous worker request
+const waitForSimulationReady = () => waitFor(() => {
+  expect(screen.getByTestId('can-process')).toHaveTextContent('true');
+});
+
 describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
   let originalConsoleError;
   let originalConsoleWarn;
@@ -179,6 +184,7 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process multiple turns
       for (let i = 1; i <= 3; i++) {
@@ -232,6 +238,7 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process a turn
       fireEvent.click(screen.getByTestId('process-turn-btn'));
@@ -315,6 +322,7 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process a turn to change the turn
       fireEvent.click(screen.getByTestId('process-turn-btn'));
@@ -340,10 +348,16 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process a turn
       fireEvent.click(screen.getByTestId('process-turn-btn'));
       
+      // Wait for the asynchronous turn to land
+      await waitFor(() => {
+        expect(screen.getByTestId('header-turn-counter')).not.toHaveTextContent('Turn: 0');
+      });
+
       await waitFor(() => {
         // Get turn values from all components
         const headerTurn = screen.getByTestId('header-turn-counter').textContent.match(/Turn: (\d+)/)[1];
@@ -552,6 +566,7 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process turn should advance simulation state
       fireEvent.click(screen.getByTestId('process-turn-btn'));
@@ -578,6 +593,7 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process multiple turns
       for (let i = 1; i <= 5; i++) {
@@ -611,6 +627,7 @@ describe('Turn Counter Integration Tests - Turn-Based Implementation', () => {
       });
 
       render(<MultiTurnCounterComponent worldBuilderState={mockWorldBuilderState} />);
+      await waitForSimulationReady();
       
       // Process turns with different world states
       for (let i = 1; i <= 3; i++) {